@@ -7,7 +7,17 @@ const { redisCluster, redisReadyPromise } = require('./config/redis');
 const startupCacheService = require('./src/services/startup.cache.service');
 const { startOrdersDbConsumer } = require('./src/services/rabbitmq/orders.db.consumer');
 const swapSchedulerService = require('./src/services/swap.scheduler.service');
+const trailingStopService = require('./src/services/trailingStop.service');
 const CatalogEligibilityCronService = require('./src/services/cron/catalogEligibility.cron.service');
+const PendingExpiryCronService = require('./src/services/cron/pendingExpiry.cron.service');
+const PerformanceFeeCronService = require('./src/services/cron/performanceFee.cron.service');
+const StrategyProviderSnapshotCronService = require('./src/services/cron/strategyProviderSnapshot.cron.service');
+const CopyPortfolioRebalanceCronService = require('./src/services/cron/copyPortfolioRebalance.cron.service');
+const CopyFeeBillingCronService = require('./src/services/cron/copyFeeBilling.cron.service');
+const WalletReconciliationCronService = require('./src/services/cron/walletReconciliation.cron.service');
+const priceAlertService = require('./src/services/priceAlert.service');
+const marginMonitorService = require('./src/services/marginMonitor.service');
+const copyFollowerGuardianService = require('./src/services/copyFollowerGuardian.service');
 
 const PORT = process.env.PORT || 3000;
 const { startPortfolioWSServer } = require('./src/services/ws/portfolio.ws');
@@ -78,7 +88,15 @@ const { startPortfolioWSServer } = require('./src/services/ws/portfolio.ws');
       console.error('❌ Failed to start swap scheduler', swapErr);
     }
 
-    // 7. Initialize catalog eligibility cron job
+    // 7. Start trailing stop-loss engine
+    try {
+      await trailingStopService.start();
+      console.log('✅ Trailing stop engine started');
+    } catch (trailErr) {
+      console.error('❌ Failed to start trailing stop engine', trailErr);
+    }
+
+    // 8. Initialize catalog eligibility cron job
     try {
       CatalogEligibilityCronService.initializeCronJobs();
       console.log('✅ Catalog eligibility cron job initialized');
@@ -86,6 +104,78 @@ const { startPortfolioWSServer } = require('./src/services/ws/portfolio.ws');
       console.error('❌ Failed to initialize catalog eligibility cron job', cronErr);
     }
 
+    // 9. Initialize pending order expiry sweeper
+    try {
+      PendingExpiryCronService.initializeCronJobs();
+      console.log('✅ Pending order expiry cron job initialized');
+    } catch (cronErr) {
+      console.error('❌ Failed to initialize pending order expiry cron job', cronErr);
+    }
+
+    // 10. Start price alert engine
+    try {
+      await priceAlertService.start();
+      console.log('✅ Price alert engine started');
+    } catch (alertErr) {
+      console.error('❌ Failed to start price alert engine', alertErr);
+    }
+
+    // 11. Start margin level monitor
+    try {
+      await marginMonitorService.start();
+      console.log('✅ Margin monitor started');
+    } catch (marginErr) {
+      console.error('❌ Failed to start margin monitor', marginErr);
+    }
+
+    // 12. Initialize performance fee settlement
+    try {
+      PerformanceFeeCronService.initializeCronJobs();
+      console.log('✅ Performance fee settlement cron job initialized');
+    } catch (cronErr) {
+      console.error('❌ Failed to initialize performance fee settlement cron job', cronErr);
+    }
+
+    // 13. Initialize strategy provider daily snapshots
+    try {
+      StrategyProviderSnapshotCronService.initializeCronJobs();
+      console.log('✅ Strategy provider snapshot cron job initialized');
+    } catch (cronErr) {
+      console.error('❌ Failed to initialize strategy provider snapshot cron job', cronErr);
+    }
+
+    // 14. Start copy follower risk guardian
+    try {
+      await copyFollowerGuardianService.start();
+      console.log('✅ Copy follower risk guardian started');
+    } catch (guardianErr) {
+      console.error('❌ Failed to start copy follower risk guardian', guardianErr);
+    }
+
+    // 15. Initialize copy portfolio rebalance
+    try {
+      CopyPortfolioRebalanceCronService.initializeCronJobs();
+      console.log('✅ Copy portfolio rebalance cron job initialized');
+    } catch (cronErr) {
+      console.error('❌ Failed to initialize copy portfolio rebalance cron job', cronErr);
+    }
+
+    // 16. Initialize copy subscription/management fee billing
+    try {
+      CopyFeeBillingCronService.initializeCronJobs();
+      console.log('✅ Copy fee billing cron job initialized');
+    } catch (cronErr) {
+      console.error('❌ Failed to initialize copy fee billing cron job', cronErr);
+    }
+
+    // 17. Initialize wallet-to-ledger reconciliation
+    try {
+      WalletReconciliationCronService.initializeCronJobs();
+      console.log('✅ Wallet reconciliation cron job initialized');
+    } catch (cronErr) {
+      console.error('❌ Failed to initialize wallet reconciliation cron job', cronErr);
+    }
+
   } catch (err) {
     console.error("❌ Startup failed:", err);
     process.exit(1);
@@ -0,0 +1,24 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Closed slices created by a partial close point back at the still-open order
+    for (const table of ['live_user_orders', 'demo_user_orders']) {
+      await queryInterface.addColumn(table, 'parent_order_id', {
+        type: Sequelize.STRING(64),
+        allowNull: true,
+        comment: 'Open order this row was split from by a partial close',
+        after: 'placed_by'
+      });
+      await queryInterface.addIndex(table, ['parent_order_id']);
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    for (const table of ['live_user_orders', 'demo_user_orders']) {
+      await queryInterface.removeIndex(table, ['parent_order_id']);
+      await queryInterface.removeColumn(table, 'parent_order_id');
+    }
+  }
+};
@@ -0,0 +1,29 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Trailing stop configuration, used to rebuild the Redis trail state after a restart
+    for (const table of ['live_user_orders', 'demo_user_orders']) {
+      await queryInterface.addColumn(table, 'trailing_stop_distance', {
+        type: Sequelize.DECIMAL(18, 8),
+        allowNull: true,
+        comment: 'Trailing stop distance as entered by the trader (see trailing_stop_unit)',
+        after: 'parent_order_id'
+      });
+      await queryInterface.addColumn(table, 'trailing_stop_unit', {
+        type: Sequelize.STRING(10),
+        allowNull: true,
+        comment: 'Unit of trailing_stop_distance: points or pips',
+        after: 'trailing_stop_distance'
+      });
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    for (const table of ['live_user_orders', 'demo_user_orders']) {
+      await queryInterface.removeColumn(table, 'trailing_stop_unit');
+      await queryInterface.removeColumn(table, 'trailing_stop_distance');
+    }
+  }
+};
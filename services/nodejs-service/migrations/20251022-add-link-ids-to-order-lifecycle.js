@@ -0,0 +1,33 @@
+'use strict';
+
+const BASE_ID_TYPES = [
+  'order_id',
+  'close_id',
+  'cancel_id',
+  'modify_id',
+  'stoploss_id',
+  'takeprofit_id',
+  'stoploss_cancel_id',
+  'takeprofit_cancel_id'
+];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // OCO legs and bracket entries record their link ids alongside the other lifecycle ids
+    await queryInterface.changeColumn('order_lifecycle_ids', 'id_type', {
+      type: Sequelize.ENUM(...BASE_ID_TYPES, 'oco_link_id', 'bracket_id'),
+      allowNull: false,
+      comment: 'Type of lifecycle ID'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.bulkDelete('order_lifecycle_ids', { id_type: ['oco_link_id', 'bracket_id'] });
+    await queryInterface.changeColumn('order_lifecycle_ids', 'id_type', {
+      type: Sequelize.ENUM(...BASE_ID_TYPES),
+      allowNull: false,
+      comment: 'Type of lifecycle ID'
+    });
+  }
+};
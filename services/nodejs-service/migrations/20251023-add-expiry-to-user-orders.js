@@ -0,0 +1,31 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Time-in-force for pending orders; the expiry sweeper scans (order_status, expires_at)
+    for (const table of ['live_user_orders', 'demo_user_orders']) {
+      await queryInterface.addColumn(table, 'time_in_force', {
+        type: Sequelize.STRING(3),
+        allowNull: true,
+        comment: 'Pending order expiry policy: GTC, DAY or GTD',
+        after: 'trailing_stop_unit'
+      });
+      await queryInterface.addColumn(table, 'expires_at', {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'When a DAY/GTD pending order is cancelled as EXPIRED',
+        after: 'time_in_force'
+      });
+      await queryInterface.addIndex(table, ['order_status', 'expires_at']);
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    for (const table of ['live_user_orders', 'demo_user_orders']) {
+      await queryInterface.removeIndex(table, ['order_status', 'expires_at']);
+      await queryInterface.removeColumn(table, 'expires_at');
+      await queryInterface.removeColumn(table, 'time_in_force');
+    }
+  }
+};
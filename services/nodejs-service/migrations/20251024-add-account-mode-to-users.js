@@ -0,0 +1,21 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Position accounting per user; NULL inherits the group default (NETTING_GROUPS)
+    for (const table of ['live_users', 'demo_users']) {
+      await queryInterface.addColumn(table, 'account_mode', {
+        type: Sequelize.STRING(10),
+        allowNull: true,
+        comment: 'hedging or netting'
+      });
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    for (const table of ['live_users', 'demo_users']) {
+      await queryInterface.removeColumn(table, 'account_mode');
+    }
+  }
+};
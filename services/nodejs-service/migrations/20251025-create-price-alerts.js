@@ -0,0 +1,131 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('price_alerts', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'User ID who owns the alert'
+      },
+      user_type: {
+        type: Sequelize.ENUM('live', 'demo'),
+        allowNull: false,
+        comment: 'Type of user account'
+      },
+      symbol: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        comment: 'Trading symbol (e.g., EURUSD)'
+      },
+      condition: {
+        type: Sequelize.ENUM('crosses_above', 'crosses_below', 'percent_move'),
+        allowNull: false,
+        comment: 'Price crossing a level, or a percentage move within a time window'
+      },
+      price_field: {
+        type: Sequelize.ENUM('bid', 'ask'),
+        allowNull: false,
+        defaultValue: 'bid',
+        comment: 'Market price side the alert watches'
+      },
+      target_price: {
+        type: Sequelize.DECIMAL(18, 8),
+        allowNull: true,
+        comment: 'Level for crosses_above / crosses_below'
+      },
+      percent: {
+        type: Sequelize.DECIMAL(10, 4),
+        allowNull: true,
+        comment: 'Move size in percent for percent_move'
+      },
+      window_minutes: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Look-back window for percent_move'
+      },
+      direction: {
+        type: Sequelize.ENUM('up', 'down', 'any'),
+        allowNull: true,
+        comment: 'Move direction for percent_move'
+      },
+      mode: {
+        type: Sequelize.ENUM('one_shot', 'repeating'),
+        allowNull: false,
+        defaultValue: 'one_shot',
+        comment: 'one_shot alerts stop after the first trigger'
+      },
+      cooldown_seconds: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 300,
+        comment: 'Minimum time between triggers of a repeating alert'
+      },
+      notify_email: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Also email the user when the alert triggers'
+      },
+      status: {
+        type: Sequelize.ENUM('active', 'triggered', 'disabled'),
+        allowNull: false,
+        defaultValue: 'active'
+      },
+      armed: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+        comment: 'Crossing alerts fire only after the price has been on the other side of the level'
+      },
+      last_triggered_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      last_trigger_price: {
+        type: Sequelize.DECIMAL(18, 8),
+        allowNull: true
+      },
+      trigger_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      note: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+        comment: 'Free text shown with the notification'
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('price_alerts', ['user_id', 'user_type'], {
+      name: 'idx_price_alerts_user'
+    });
+
+    // The engine loads active alerts grouped by symbol
+    await queryInterface.addIndex('price_alerts', ['status', 'symbol'], {
+      name: 'idx_price_alerts_status_symbol'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('price_alerts');
+  }
+};
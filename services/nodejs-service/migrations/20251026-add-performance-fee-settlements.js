@@ -0,0 +1,156 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('performance_fee_settlements', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      copy_follower_account_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'Follower account that was settled'
+      },
+      strategy_provider_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'Strategy provider account that earned the fee'
+      },
+      follower_user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'Live user who owns the follower account'
+      },
+      period: {
+        type: Sequelize.ENUM('weekly', 'monthly'),
+        allowNull: false
+      },
+      period_start: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      period_end: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      fee_percentage: {
+        type: Sequelize.DECIMAL(5, 2),
+        allowNull: false
+      },
+      equity: {
+        type: Sequelize.DECIMAL(18, 6),
+        allowNull: false,
+        comment: 'Follower equity at settlement, before the fee'
+      },
+      high_water_mark_before: {
+        type: Sequelize.DECIMAL(18, 6),
+        allowNull: false
+      },
+      high_water_mark_after: {
+        type: Sequelize.DECIMAL(18, 6),
+        allowNull: false
+      },
+      profit_above_hwm: {
+        type: Sequelize.DECIMAL(18, 6),
+        allowNull: false,
+        defaultValue: 0
+      },
+      fee_amount: {
+        type: Sequelize.DECIMAL(18, 6),
+        allowNull: false,
+        defaultValue: 0
+      },
+      status: {
+        type: Sequelize.ENUM('settled', 'no_fee'),
+        allowNull: false
+      },
+      follower_transaction_id: {
+        type: Sequelize.STRING(30),
+        allowNull: true
+      },
+      provider_transaction_id: {
+        type: Sequelize.STRING(30),
+        allowNull: true
+      },
+      orders_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Closed copied orders covered by this settlement'
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    // One settlement per follower and period
+    await queryInterface.addIndex('performance_fee_settlements', ['copy_follower_account_id', 'period_end'], {
+      name: 'uniq_fee_settlement_follower_period',
+      unique: true
+    });
+    await queryInterface.addIndex('performance_fee_settlements', ['strategy_provider_id', 'period_end'], {
+      name: 'idx_fee_settlement_provider_period'
+    });
+
+    await queryInterface.addColumn('copy_follower_accounts', 'high_water_mark', {
+      type: Sequelize.DECIMAL(18, 6),
+      allowNull: true,
+      comment: 'Equity level above which performance fees are due; starts at initial_investment'
+    });
+    await queryInterface.addColumn('copy_follower_accounts', 'last_fee_settlement_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn('strategy_provider_accounts', 'fee_settlement_period', {
+      type: Sequelize.ENUM('weekly', 'monthly'),
+      allowNull: false,
+      defaultValue: 'monthly'
+    });
+    await queryInterface.addColumn('copy_follower_orders', 'fee_settlement_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      comment: 'performance_fee_settlements row that covered this order'
+    });
+
+    // Fee postings are recorded against the copy trading accounts themselves
+    await queryInterface.changeColumn('user_transactions', 'user_type', {
+      type: Sequelize.ENUM('live', 'demo', 'strategy_provider', 'copy_follower'),
+      allowNull: false,
+      comment: 'Type of user account'
+    });
+    await queryInterface.changeColumn('user_transactions', 'type', {
+      type: Sequelize.ENUM('deposit', 'withdraw', 'profit', 'loss', 'commission', 'swap', 'adjustment', 'performance_fee'),
+      allowNull: false,
+      comment: 'Type of transaction'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.changeColumn('user_transactions', 'type', {
+      type: Sequelize.ENUM('deposit', 'withdraw', 'profit', 'loss', 'commission', 'swap', 'adjustment'),
+      allowNull: false,
+      comment: 'Type of transaction'
+    });
+    await queryInterface.changeColumn('user_transactions', 'user_type', {
+      type: Sequelize.ENUM('live', 'demo'),
+      allowNull: false,
+      comment: 'Type of user account'
+    });
+    await queryInterface.removeColumn('copy_follower_orders', 'fee_settlement_id');
+    await queryInterface.removeColumn('strategy_provider_accounts', 'fee_settlement_period');
+    await queryInterface.removeColumn('copy_follower_accounts', 'last_fee_settlement_at');
+    await queryInterface.removeColumn('copy_follower_accounts', 'high_water_mark');
+    await queryInterface.dropTable('performance_fee_settlements');
+  }
+};
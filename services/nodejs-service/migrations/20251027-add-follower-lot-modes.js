@@ -0,0 +1,50 @@
+'use strict';
+
+const LOT_MODES = ['equity_proportional', 'fixed_lot', 'lot_multiplier', 'fixed_risk'];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('copy_follower_accounts', 'lot_mode', {
+      type: Sequelize.ENUM(...LOT_MODES),
+      allowNull: false,
+      defaultValue: 'equity_proportional',
+      comment: 'How copied lots are sized'
+    });
+    await queryInterface.addColumn('copy_follower_accounts', 'fixed_lot_size', {
+      type: Sequelize.DECIMAL(18, 8),
+      allowNull: true,
+      comment: 'Lot size for fixed_lot mode'
+    });
+    await queryInterface.addColumn('copy_follower_accounts', 'lot_multiplier', {
+      type: Sequelize.DECIMAL(10, 4),
+      allowNull: true,
+      comment: 'Multiplier of the master lot for lot_multiplier mode'
+    });
+    await queryInterface.addColumn('copy_follower_accounts', 'risk_percentage', {
+      type: Sequelize.DECIMAL(5, 2),
+      allowNull: true,
+      comment: 'Percent of follower equity risked to the master stop loss for fixed_risk mode'
+    });
+
+    // Audit: the mode and setting each copy was sized with
+    await queryInterface.addColumn('copy_follower_orders', 'lot_mode', {
+      type: Sequelize.ENUM(...LOT_MODES),
+      allowNull: true
+    });
+    await queryInterface.addColumn('copy_follower_orders', 'lot_mode_value', {
+      type: Sequelize.DECIMAL(18, 8),
+      allowNull: true,
+      comment: 'fixed_lot_size, lot_multiplier or risk_percentage at copy time'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('copy_follower_orders', 'lot_mode_value');
+    await queryInterface.removeColumn('copy_follower_orders', 'lot_mode');
+    await queryInterface.removeColumn('copy_follower_accounts', 'risk_percentage');
+    await queryInterface.removeColumn('copy_follower_accounts', 'lot_multiplier');
+    await queryInterface.removeColumn('copy_follower_accounts', 'fixed_lot_size');
+    await queryInterface.removeColumn('copy_follower_accounts', 'lot_mode');
+  }
+};
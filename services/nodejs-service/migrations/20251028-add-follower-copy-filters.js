@@ -0,0 +1,41 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('copy_follower_accounts', 'symbol_filter_mode', {
+      type: Sequelize.ENUM('all', 'include', 'exclude'),
+      allowNull: false,
+      defaultValue: 'all',
+      comment: 'include: copy only symbol_filter, exclude: copy everything but symbol_filter'
+    });
+    await queryInterface.addColumn('copy_follower_accounts', 'symbol_filter', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'Array of symbols for symbol_filter_mode'
+    });
+    await queryInterface.addColumn('copy_follower_accounts', 'copy_direction', {
+      type: Sequelize.ENUM('both', 'buy_only', 'sell_only'),
+      allowNull: false,
+      defaultValue: 'both'
+    });
+
+    // createSkippedOrder writes copy_status 'skipped', which the enum did not allow
+    await queryInterface.changeColumn('copy_follower_orders', 'copy_status', {
+      type: Sequelize.ENUM('pending', 'copied', 'failed', 'cancelled', 'rejected', 'skipped'),
+      allowNull: true,
+      defaultValue: 'pending'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.changeColumn('copy_follower_orders', 'copy_status', {
+      type: Sequelize.ENUM('pending', 'copied', 'failed', 'cancelled', 'rejected'),
+      allowNull: true,
+      defaultValue: 'pending'
+    });
+    await queryInterface.removeColumn('copy_follower_accounts', 'copy_direction');
+    await queryInterface.removeColumn('copy_follower_accounts', 'symbol_filter');
+    await queryInterface.removeColumn('copy_follower_accounts', 'symbol_filter_mode');
+  }
+};
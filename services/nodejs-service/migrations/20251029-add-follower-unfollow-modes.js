@@ -0,0 +1,39 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('copy_follower_accounts', 'unfollow_mode', {
+      type: Sequelize.ENUM('close', 'detach', 'wind_down'),
+      allowNull: true,
+      comment: 'How open copied positions were handled when the follower unfollowed'
+    });
+    await queryInterface.addColumn('copy_follower_accounts', 'unfollow_requested_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn('copy_follower_accounts', 'unfollowed_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'Set once fees were settled and the equity returned to the live wallet'
+    });
+
+    // Detached positions stay open but no longer mirror the master
+    await queryInterface.changeColumn('copy_follower_orders', 'copy_status', {
+      type: Sequelize.ENUM('pending', 'copied', 'failed', 'cancelled', 'rejected', 'skipped', 'detached'),
+      allowNull: true,
+      defaultValue: 'pending'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.changeColumn('copy_follower_orders', 'copy_status', {
+      type: Sequelize.ENUM('pending', 'copied', 'failed', 'cancelled', 'rejected', 'skipped'),
+      allowNull: true,
+      defaultValue: 'pending'
+    });
+    await queryInterface.removeColumn('copy_follower_accounts', 'unfollowed_at');
+    await queryInterface.removeColumn('copy_follower_accounts', 'unfollow_requested_at');
+    await queryInterface.removeColumn('copy_follower_accounts', 'unfollow_mode');
+  }
+};
@@ -0,0 +1,86 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('strategy_provider_daily_snapshots', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      strategy_provider_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      snapshot_date: {
+        type: Sequelize.DATEONLY,
+        allowNull: false,
+        comment: 'UTC trading day the snapshot closes'
+      },
+      balance: {
+        type: Sequelize.DECIMAL(18, 6),
+        allowNull: false,
+        defaultValue: 0
+      },
+      equity: {
+        type: Sequelize.DECIMAL(18, 6),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'balance + floating_pnl'
+      },
+      floating_pnl: {
+        type: Sequelize.DECIMAL(18, 6),
+        allowNull: false,
+        defaultValue: 0
+      },
+      used_margin: {
+        type: Sequelize.DECIMAL(18, 6),
+        allowNull: false,
+        defaultValue: 0
+      },
+      net_flows: {
+        type: Sequelize.DECIMAL(18, 6),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Non-trading wallet movements of the day (deposits, withdrawals, fees); excluded from returns'
+      },
+      open_positions: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      follower_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      aum: {
+        type: Sequelize.DECIMAL(18, 6),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Wallet balance of the active follower accounts'
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('strategy_provider_daily_snapshots', ['strategy_provider_id', 'snapshot_date'], {
+      name: 'uniq_provider_snapshot_date',
+      unique: true
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('strategy_provider_daily_snapshots');
+  }
+};
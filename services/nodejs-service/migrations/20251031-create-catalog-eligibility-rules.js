@@ -0,0 +1,87 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('catalog_eligibility_rules', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      rule_type: {
+        type: Sequelize.ENUM(
+          'min_closed_trades',
+          'min_account_age_days',
+          'max_days_since_last_trade',
+          'max_drawdown',
+          'min_equity',
+          'min_return',
+          'kyc_required'
+        ),
+        allowNull: false
+      },
+      threshold: {
+        type: Sequelize.DECIMAL(18, 6),
+        allowNull: true,
+        comment: 'Rule threshold; unused by kyc_required'
+      },
+      is_enabled: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      description: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Admin who created the rule'
+      },
+      updated_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Admin who last changed the rule'
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('catalog_eligibility_rules', ['rule_type'], {
+      name: 'uniq_catalog_rule_type',
+      unique: true
+    });
+
+    await queryInterface.addColumn('strategy_provider_accounts', 'catalog_eligibility_checks', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'Per-rule pass/fail breakdown of the last catalog eligibility run'
+    });
+
+    // Seed with the requirements that used to be hard-coded
+    const now = new Date();
+    await queryInterface.bulkInsert('catalog_eligibility_rules', [
+      { rule_type: 'min_closed_trades', threshold: 10, is_enabled: true, description: 'Minimum closed trades', created_at: now, updated_at: now },
+      { rule_type: 'min_account_age_days', threshold: 30, is_enabled: true, description: 'Days since first trade', created_at: now, updated_at: now },
+      { rule_type: 'max_days_since_last_trade', threshold: 7, is_enabled: true, description: 'Last trade within N days', created_at: now, updated_at: now },
+      { rule_type: 'min_return', threshold: 0, is_enabled: true, description: 'Minimum total return percentage', created_at: now, updated_at: now },
+      { rule_type: 'min_equity', threshold: 100, is_enabled: true, description: 'Minimum equity', created_at: now, updated_at: now }
+    ]);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('strategy_provider_accounts', 'catalog_eligibility_checks');
+    await queryInterface.dropTable('catalog_eligibility_rules');
+  }
+};
@@ -0,0 +1,98 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('copy_follower_accounts', 'close_positions_on_breach', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Close all copied positions when the risk guardian pauses the account'
+    });
+
+    await queryInterface.createTable('copy_follower_risk_breaches', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      copy_follower_account_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'Live user who owns the follower account'
+      },
+      strategy_provider_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      breach_type: {
+        type: Sequelize.ENUM('drawdown', 'daily_loss'),
+        allowNull: false
+      },
+      limit_value: {
+        type: Sequelize.DECIMAL(18, 6),
+        allowNull: false,
+        comment: 'stop_copying_on_drawdown (%) or max_daily_loss at the time of the breach'
+      },
+      actual_value: {
+        type: Sequelize.DECIMAL(18, 6),
+        allowNull: false
+      },
+      balance: {
+        type: Sequelize.DECIMAL(18, 6),
+        allowNull: true
+      },
+      equity: {
+        type: Sequelize.DECIMAL(18, 6),
+        allowNull: true
+      },
+      floating_pnl: {
+        type: Sequelize.DECIMAL(18, 6),
+        allowNull: true
+      },
+      open_positions: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      close_positions: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      positions_closed: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      close_errors: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('copy_follower_risk_breaches', ['copy_follower_account_id', 'created_at'], {
+      name: 'idx_risk_breach_follower_created'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('copy_follower_risk_breaches');
+    await queryInterface.removeColumn('copy_follower_accounts', 'close_positions_on_breach');
+  }
+};
@@ -0,0 +1,96 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('copy_portfolios', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'Live user who owns the portfolio'
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('active', 'closing', 'closed'),
+        allowNull: false,
+        defaultValue: 'active'
+      },
+      rebalance_frequency: {
+        type: Sequelize.ENUM('none', 'weekly', 'monthly'),
+        allowNull: false,
+        defaultValue: 'none'
+      },
+      rebalance_threshold: {
+        type: Sequelize.DECIMAL(7, 4),
+        allowNull: false,
+        defaultValue: 5,
+        comment: 'Scheduled rebalances run only when a weight drifted this many percentage points from its target'
+      },
+      last_rebalanced_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      total_invested: {
+        type: Sequelize.DECIMAL(18, 6),
+        allowNull: false,
+        defaultValue: 0
+      },
+      total_withdrawn: {
+        type: Sequelize.DECIMAL(18, 6),
+        allowNull: false,
+        defaultValue: 0
+      },
+      closed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('copy_portfolios', ['user_id', 'status'], {
+      name: 'idx_copy_portfolio_user_status'
+    });
+    await queryInterface.addIndex('copy_portfolios', ['status', 'rebalance_frequency'], {
+      name: 'idx_copy_portfolio_rebalance'
+    });
+
+    await queryInterface.addColumn('copy_follower_accounts', 'copy_portfolio_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      comment: 'Portfolio the account belongs to, if any'
+    });
+    await queryInterface.addColumn('copy_follower_accounts', 'portfolio_weight', {
+      type: Sequelize.DECIMAL(7, 4),
+      allowNull: true,
+      comment: 'Target share of the portfolio in percent'
+    });
+    await queryInterface.addIndex('copy_follower_accounts', ['copy_portfolio_id'], {
+      name: 'idx_copy_follower_portfolio'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('copy_follower_accounts', 'idx_copy_follower_portfolio');
+    await queryInterface.removeColumn('copy_follower_accounts', 'portfolio_weight');
+    await queryInterface.removeColumn('copy_follower_accounts', 'copy_portfolio_id');
+    await queryInterface.dropTable('copy_portfolios');
+  }
+};
@@ -0,0 +1,139 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('strategy_provider_accounts', 'subscription_fee', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: true,
+      comment: 'Fixed monthly subscription fee in USD charged to every follower'
+    });
+    await queryInterface.addColumn('strategy_provider_accounts', 'management_fee', {
+      type: Sequelize.DECIMAL(5, 2),
+      allowNull: true,
+      comment: 'Annual management fee in percent of follower equity, accrued daily'
+    });
+
+    await queryInterface.addColumn('copy_follower_accounts', 'management_fee_accrued', {
+      type: Sequelize.DECIMAL(18, 6),
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Management fee accrued since the last monthly charge'
+    });
+    await queryInterface.addColumn('copy_follower_accounts', 'management_fee_accrued_through', {
+      type: Sequelize.DATEONLY,
+      allowNull: true,
+      comment: 'Last UTC day included in management_fee_accrued'
+    });
+
+    await queryInterface.createTable('copy_fee_charges', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      copy_follower_account_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      strategy_provider_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      follower_user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'Live user who owns the follower account'
+      },
+      fee_type: {
+        type: Sequelize.ENUM('subscription_fee', 'management_fee'),
+        allowNull: false
+      },
+      period: {
+        type: Sequelize.STRING(7),
+        allowNull: false,
+        comment: 'Billing month (YYYY-MM): charged in advance for subscriptions, in arrears for management fees'
+      },
+      period_start: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      period_end: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      rate: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        comment: 'Monthly subscription fee in USD or annual management fee in percent'
+      },
+      amount: {
+        type: Sequelize.DECIMAL(18, 6),
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('charged', 'unpaid', 'waived'),
+        allowNull: false
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      charged_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      follower_transaction_id: {
+        type: Sequelize.STRING(30),
+        allowNull: true
+      },
+      provider_transaction_id: {
+        type: Sequelize.STRING(30),
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    // One charge per follower, fee and month
+    await queryInterface.addIndex('copy_fee_charges', ['copy_follower_account_id', 'fee_type', 'period'], {
+      name: 'uniq_copy_fee_charge_follower_period',
+      unique: true
+    });
+    await queryInterface.addIndex('copy_fee_charges', ['status'], {
+      name: 'idx_copy_fee_charge_status'
+    });
+    await queryInterface.addIndex('copy_fee_charges', ['strategy_provider_id', 'period'], {
+      name: 'idx_copy_fee_charge_provider_period'
+    });
+
+    await queryInterface.changeColumn('user_transactions', 'type', {
+      type: Sequelize.ENUM('deposit', 'withdraw', 'profit', 'loss', 'commission', 'swap', 'adjustment', 'performance_fee', 'subscription_fee', 'management_fee'),
+      allowNull: false,
+      comment: 'Type of transaction'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.changeColumn('user_transactions', 'type', {
+      type: Sequelize.ENUM('deposit', 'withdraw', 'profit', 'loss', 'commission', 'swap', 'adjustment', 'performance_fee'),
+      allowNull: false,
+      comment: 'Type of transaction'
+    });
+    await queryInterface.dropTable('copy_fee_charges');
+    await queryInterface.removeColumn('copy_follower_accounts', 'management_fee_accrued_through');
+    await queryInterface.removeColumn('copy_follower_accounts', 'management_fee_accrued');
+    await queryInterface.removeColumn('strategy_provider_accounts', 'management_fee');
+    await queryInterface.removeColumn('strategy_provider_accounts', 'subscription_fee');
+  }
+};
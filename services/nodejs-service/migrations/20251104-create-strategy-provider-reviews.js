@@ -0,0 +1,120 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('strategy_provider_reviews', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      strategy_provider_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'Live user who wrote the review'
+      },
+      rating: {
+        type: Sequelize.TINYINT,
+        allowNull: false,
+        comment: '1-5'
+      },
+      comment: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      copying_days: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Days the reviewer had been copying the strategy when the review was written'
+      },
+      realized_pnl: {
+        type: Sequelize.DECIMAL(18, 6),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Net P&L of the reviewer\'s closed copied orders when the review was written'
+      },
+      realized_return_percentage: {
+        type: Sequelize.DECIMAL(10, 4),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'realized_pnl as percent of the reviewer\'s initial investment'
+      },
+      provider_reply: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      provider_replied_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('published', 'hidden'),
+        allowNull: false,
+        defaultValue: 'published'
+      },
+      moderation_reason: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      moderated_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      moderated_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    // One review per user and strategy; writing again updates it
+    await queryInterface.addIndex('strategy_provider_reviews', ['strategy_provider_id', 'user_id'], {
+      name: 'uniq_strategy_review_user',
+      unique: true
+    });
+    await queryInterface.addIndex('strategy_provider_reviews', ['strategy_provider_id', 'status', 'created_at'], {
+      name: 'idx_strategy_review_provider_status'
+    });
+    await queryInterface.addIndex('strategy_provider_reviews', ['status', 'created_at'], {
+      name: 'idx_strategy_review_status'
+    });
+
+    // Aggregates of the published reviews, kept on the account so the catalog can sort by them
+    await queryInterface.addColumn('strategy_provider_accounts', 'average_rating', {
+      type: Sequelize.DECIMAL(3, 2),
+      allowNull: false,
+      defaultValue: 0
+    });
+    await queryInterface.addColumn('strategy_provider_accounts', 'review_count', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+    await queryInterface.addIndex('strategy_provider_accounts', ['average_rating', 'review_count'], {
+      name: 'idx_strategy_provider_rating'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('strategy_provider_accounts', 'idx_strategy_provider_rating');
+    await queryInterface.removeColumn('strategy_provider_accounts', 'review_count');
+    await queryInterface.removeColumn('strategy_provider_accounts', 'average_rating');
+    await queryInterface.dropTable('strategy_provider_reviews');
+  }
+};
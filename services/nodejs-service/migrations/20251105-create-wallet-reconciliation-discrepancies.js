@@ -0,0 +1,114 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('wallet_reconciliation_discrepancies', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      user_type: {
+        type: Sequelize.ENUM('live', 'demo', 'strategy_provider', 'copy_follower'),
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        comment: 'Account ID in the table for user_type (same convention as user_transactions)'
+      },
+      discrepancy_type: {
+        type: Sequelize.ENUM('chain_gap', 'pair_mismatch', 'wallet_mismatch', 'cache_mismatch'),
+        allowNull: false,
+        comment: 'chain_gap: balance_before differs from the previous balance_after; pair_mismatch: balance_after differs from balance_before + amount; wallet_mismatch: stored wallet_balance differs from the ledger; cache_mismatch: Redis wallet_balance differs from the stored wallet_balance'
+      },
+      transaction_id: {
+        type: Sequelize.STRING(30),
+        allowNull: true,
+        comment: 'Ledger row the discrepancy was found at (chain_gap, pair_mismatch)'
+      },
+      previous_transaction_id: {
+        type: Sequelize.STRING(30),
+        allowNull: true,
+        comment: 'Preceding ledger row (chain_gap)'
+      },
+      expected_balance: {
+        type: Sequelize.DECIMAL(18, 6),
+        allowNull: false
+      },
+      actual_balance: {
+        type: Sequelize.DECIMAL(18, 6),
+        allowNull: false
+      },
+      difference: {
+        type: Sequelize.DECIMAL(18, 6),
+        allowNull: false,
+        comment: 'actual_balance - expected_balance'
+      },
+      status: {
+        type: Sequelize.ENUM('open', 'resolved', 'repaired', 'ignored'),
+        allowNull: false,
+        defaultValue: 'open',
+        comment: 'resolved: no longer found by a later run; repaired: fixed by a superadmin; ignored: acknowledged and no longer reported'
+      },
+      detection_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      first_detected_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      last_detected_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      resolved_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      resolved_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Admin who repaired or ignored the discrepancy'
+      },
+      resolution: {
+        type: Sequelize.ENUM('accept_wallet', 'restore_ledger', 'resync_cache', 'ignore'),
+        allowNull: true
+      },
+      resolution_note: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      repair_transaction_ids: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: 'Adjustment ledger rows posted by the repair'
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('wallet_reconciliation_discrepancies', ['user_type', 'user_id', 'status'], {
+      name: 'idx_wallet_recon_account_status'
+    });
+    await queryInterface.addIndex('wallet_reconciliation_discrepancies', ['status', 'discrepancy_type', 'last_detected_at'], {
+      name: 'idx_wallet_recon_status_type'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('wallet_reconciliation_discrepancies');
+  }
+};
@@ -0,0 +1,96 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('internal_transfers', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      transfer_id: {
+        type: Sequelize.STRING(30),
+        allowNull: false,
+        unique: true
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'Live user who owns both accounts'
+      },
+      from_type: {
+        type: Sequelize.ENUM('live', 'strategy_provider', 'copy_follower'),
+        allowNull: false
+      },
+      from_account_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      from_account_number: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      to_type: {
+        type: Sequelize.ENUM('live', 'strategy_provider', 'copy_follower'),
+        allowNull: false
+      },
+      to_account_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      to_account_number: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      amount: {
+        type: Sequelize.DECIMAL(18, 6),
+        allowNull: false
+      },
+      from_transaction_id: {
+        type: Sequelize.STRING(30),
+        allowNull: false,
+        comment: 'Debit row in user_transactions'
+      },
+      to_transaction_id: {
+        type: Sequelize.STRING(30),
+        allowNull: false,
+        comment: 'Credit row in user_transactions'
+      },
+      notes: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('internal_transfers', ['user_id', 'created_at'], {
+      name: 'idx_internal_transfers_user_created'
+    });
+
+    await queryInterface.changeColumn('user_transactions', 'type', {
+      type: Sequelize.ENUM('deposit', 'withdraw', 'profit', 'loss', 'commission', 'swap', 'adjustment', 'performance_fee', 'subscription_fee', 'management_fee', 'transfer'),
+      allowNull: false,
+      comment: 'Type of transaction'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.changeColumn('user_transactions', 'type', {
+      type: Sequelize.ENUM('deposit', 'withdraw', 'profit', 'loss', 'commission', 'swap', 'adjustment', 'performance_fee', 'subscription_fee', 'management_fee'),
+      allowNull: false,
+      comment: 'Type of transaction'
+    });
+    await queryInterface.dropTable('internal_transfers');
+  }
+};
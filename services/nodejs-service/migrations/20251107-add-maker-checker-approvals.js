@@ -0,0 +1,133 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.changeColumn('money_requests', 'status', {
+      type: Sequelize.ENUM('pending', 'approved', 'rejected', 'on_hold', 'pending_second_approval'),
+      allowNull: false,
+      defaultValue: 'pending',
+      comment: 'Review state'
+    });
+    await queryInterface.addColumn('money_requests', 'first_approved_by', {
+      type: Sequelize.BIGINT,
+      allowNull: true,
+      comment: 'Admin who gave the first of two approvals'
+    });
+    await queryInterface.addColumn('money_requests', 'first_approved_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn('money_requests', 'first_approval_notes', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+
+    await queryInterface.createTable('balance_adjustment_approvals', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      approval_id: {
+        type: Sequelize.STRING(30),
+        allowNull: false,
+        unique: true
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      user_type: {
+        type: Sequelize.ENUM('live', 'demo'),
+        allowNull: false
+      },
+      country_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'User country at request time, for country-scoped checkers'
+      },
+      type: {
+        type: Sequelize.ENUM('deposit', 'withdraw'),
+        allowNull: false
+      },
+      amount: {
+        type: Sequelize.DECIMAL(18, 6),
+        allowNull: false
+      },
+      method_type: {
+        type: Sequelize.STRING(20),
+        allowNull: true
+      },
+      reference_id: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'processing', 'approved', 'rejected'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      requested_by: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'Admin who asked for the adjustment (maker)'
+      },
+      reviewed_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Admin who approved or rejected it (checker)'
+      },
+      reviewed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      review_notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      transaction_id: {
+        type: Sequelize.STRING(30),
+        allowNull: true,
+        comment: 'user_transactions row posted on approval'
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('balance_adjustment_approvals', ['status', 'created_at'], {
+      name: 'idx_balance_adjustment_approvals_status_created'
+    });
+    await queryInterface.addIndex('balance_adjustment_approvals', ['user_type', 'user_id'], {
+      name: 'idx_balance_adjustment_approvals_user'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('balance_adjustment_approvals');
+
+    await queryInterface.removeColumn('money_requests', 'first_approval_notes');
+    await queryInterface.removeColumn('money_requests', 'first_approved_at');
+    await queryInterface.removeColumn('money_requests', 'first_approved_by');
+    await queryInterface.bulkUpdate('money_requests', { status: 'pending' }, { status: 'pending_second_approval' });
+    await queryInterface.changeColumn('money_requests', 'status', {
+      type: Sequelize.ENUM('pending', 'approved', 'rejected', 'on_hold'),
+      allowNull: false,
+      defaultValue: 'pending',
+      comment: 'Review state'
+    });
+  }
+};
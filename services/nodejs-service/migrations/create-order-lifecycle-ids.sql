@@ -14,7 +14,9 @@ CREATE TABLE IF NOT EXISTS order_lifecycle_ids (
         'stoploss_id',
         'takeprofit_id',
         'stoploss_cancel_id',
-        'takeprofit_cancel_id'
+        'takeprofit_cancel_id',
+        'oco_link_id',
+        'bracket_id'
     ) NOT NULL COMMENT 'Type of lifecycle ID',
     lifecycle_id VARCHAR(64) NOT NULL UNIQUE COMMENT 'The actual generated ID (e.g., SL123456789)',
     status ENUM('active', 'replaced', 'cancelled', 'executed') DEFAULT 'active' COMMENT 'Current status of this lifecycle ID',
@@ -0,0 +1,51 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+    try {
+      await queryInterface.bulkInsert('permissions', [
+        { name: 'money_request:second_approve', description: 'Can give the second approval on large withdrawals and manual adjustments', created_at: new Date(), updated_at: new Date() },
+      ], { transaction });
+
+      const [permission] = await queryInterface.sequelize.query(
+        "SELECT id FROM permissions WHERE name = 'money_request:second_approve'",
+        { type: Sequelize.QueryTypes.SELECT, transaction }
+      );
+      const [superadmin] = await queryInterface.sequelize.query(
+        "SELECT id FROM roles WHERE name = 'superadmin'",
+        { type: Sequelize.QueryTypes.SELECT, transaction }
+      );
+
+      // Other roles are granted it through the role-permission management endpoints
+      if (superadmin) {
+        await queryInterface.bulkInsert('role_permissions', [
+          { role_id: superadmin.id, permission_id: permission.id },
+        ], { transaction });
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Seeding failed:', error);
+      throw error;
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+    try {
+      await queryInterface.sequelize.query(
+        "DELETE rp FROM role_permissions rp JOIN permissions p ON p.id = rp.permission_id WHERE p.name = 'money_request:second_approve'",
+        { transaction }
+      );
+      await queryInterface.bulkDelete('permissions', { name: 'money_request:second_approve' }, { transaction });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Reverting seed failed:', error);
+      throw error;
+    }
+  }
+};
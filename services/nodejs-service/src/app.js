@@ -10,9 +10,11 @@ const cacheRoutes = require('./routes/cache.routes');
 const cryptoPaymentRoutes = require('./routes/crypto.payment.routes');
 const groupsRoutes = require('./routes/groups.routes');
 const favoritesRoutes = require('./routes/favorites.routes');
+const priceAlertsRoutes = require('./routes/priceAlerts.routes');
 const withdrawalsRoutes = require('./routes/withdrawals.routes');
 const groupsSuperadminRoutes = require('./routes/superadmin.groups.routes');
 const transactionsRoutes = require('./routes/transactions.routes');
+const transfersRoutes = require('./routes/transfers.routes');
 const path = require('path');
 const ordersRoutes = require('./routes/orders.routes');
 const swaggerUi = require('swagger-ui-express');
@@ -30,7 +32,12 @@ const strategyProviderRoutes = require('./routes/strategyProvider.routes');
 const copyTradingRoutes = require('./routes/copyTrading.routes');
 const copyTradingOrderRoutes = require('./routes/copyTrading.orders.routes');
 const adminCronRoutes = require('./routes/admin.cron.routes');
+const adminApprovalsRoutes = require('./routes/admin.approvals.routes');
 const superadminFreePassRoutes = require('./routes/superadmin.freepass.routes');
+const superadminCatalogRulesRoutes = require('./routes/superadmin.catalog.rules.routes');
+const superadminReplicationRoutes = require('./routes/superadmin.replication.routes');
+const superadminReviewsRoutes = require('./routes/superadmin.reviews.routes');
+const superadminReconciliationRoutes = require('./routes/superadmin.reconciliation.routes');
 const pythonHealthRoutes = require('./routes/python.health.routes');
 
 const app = express();
@@ -110,6 +117,7 @@ app.use('/api/cache', cacheRoutes);
 app.use('/api/crypto-payments', cryptoPaymentRoutes);
 app.use('/api/groups', groupsRoutes);
 app.use('/api/favorites', favoritesRoutes);
+app.use('/api/price-alerts', priceAlertsRoutes);
 app.use('/api/withdrawals', withdrawalsRoutes);
 app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
 app.use('/api/superadmin/groups', groupsSuperadminRoutes);
@@ -117,6 +125,7 @@ app.use('/api/orders', ordersRoutes);
 app.use('/api/superadmin/orders', superadminOrdersRoutes);
 app.use('/api/internal/provider', internalProviderRoutes);
 app.use('/api/transactions', transactionsRoutes);
+app.use('/api/transfers', transfersRoutes);
 app.use('/api/financial-summary', financialSummaryRouter);
 app.use('/api/redis-health', redisHealthRoutes);
 app.use('/api/admin/swap', swapRoutes);
@@ -125,7 +134,12 @@ app.use('/api/strategy-providers', strategyProviderRoutes);
 app.use('/api/copy-trading', copyTradingRoutes);
 app.use('/api/copy-trading/orders', copyTradingOrderRoutes);
 app.use('/api/admin/cron', adminCronRoutes);
+app.use('/api/admin/approvals', adminApprovalsRoutes);
 app.use('/api/superadmin/strategy-providers', superadminFreePassRoutes);
+app.use('/api/superadmin/strategy-providers', superadminCatalogRulesRoutes);
+app.use('/api/superadmin/strategy-providers', superadminReplicationRoutes);
+app.use('/api/superadmin/strategy-reviews', superadminReviewsRoutes);
+app.use('/api/superadmin/wallet-reconciliation', superadminReconciliationRoutes);
 app.use('/api/python-health', pythonHealthRoutes);
 
 // Debug endpoint to test Python health routes
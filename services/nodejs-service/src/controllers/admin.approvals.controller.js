@@ -0,0 +1,264 @@
+const makerCheckerService = require('../services/makerChecker.service');
+const moneyRequestService = require('../services/moneyRequest.service');
+const adminAuditService = require('../services/admin.audit.service');
+const logger = require('../services/logger.service');
+
+/**
+ * Get admin ID from JWT token
+ * @param {Object} admin - Admin object from JWT
+ * @returns {number} Admin ID
+ */
+function getAdminId(admin) {
+  return admin?.id || admin?.sub || admin?.user_id;
+}
+
+// Superadmins see every country; other checkers only their own (applyScope guarantees one)
+function getCountryScope(admin) {
+  return admin?.role === 'superadmin' ? null : admin?.country_id;
+}
+
+function handleError(req, res, error, action, statusCode = 500) {
+  if (error instanceof makerCheckerService.MakerCheckerError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  logger.error(`Failed to ${action}`, {
+    params: req.params,
+    adminId: getAdminId(req.admin),
+    error: error.message,
+    ip: req.ip
+  });
+
+  // The money request and transaction services report rejected operations as plain errors
+  return res.status(statusCode).json({
+    success: false,
+    message: statusCode === 500 ? `Internal server error while trying to ${action}` : error.message
+  });
+}
+
+async function audit(req, action, status, details = {}, errorMessage) {
+  await adminAuditService.logAction({
+    adminId: getAdminId(req.admin),
+    action,
+    ipAddress: req.ip,
+    requestBody: { ...req.params, notes: req.body?.notes, ...details },
+    status,
+    errorMessage
+  });
+}
+
+/**
+ * Load a money request that is waiting for its second approval
+ * @returns {Promise<Object>} The money request
+ */
+async function getAwaitingRequest(requestId) {
+  const request = await moneyRequestService.getRequestById(requestId);
+  if (request.status !== 'pending_second_approval') {
+    throw new makerCheckerService.MakerCheckerError(`Request is not awaiting a second approval (status: ${request.status})`, 409);
+  }
+  return request;
+}
+
+/**
+ * Money requests waiting for a second approval
+ * GET /api/admin/approvals/money-requests
+ */
+async function listMoneyRequests(req, res) {
+  try {
+    const { type, limit, offset } = req.query || {};
+    if (type && !['deposit', 'withdraw'].includes(type)) {
+      return res.status(400).json({ success: false, message: 'Invalid type. Allowed: deposit, withdraw' });
+    }
+
+    const result = await moneyRequestService.getPendingRequests({
+      type,
+      status: 'pending_second_approval',
+      countryId: getCountryScope(req.admin),
+      limit,
+      offset
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Money requests awaiting second approval retrieved successfully',
+      data: {
+        ...result,
+        thresholds: makerCheckerService.getThresholds()
+      }
+    });
+
+  } catch (error) {
+    return handleError(req, res, error, 'list money requests awaiting approval');
+  }
+}
+
+/**
+ * Give the second approval on a money request and create its transaction
+ * POST /api/admin/approvals/money-requests/:requestId/approve
+ */
+async function approveMoneyRequest(req, res) {
+  try {
+    const requestId = parseInt(req.params.requestId, 10);
+    if (!Number.isFinite(requestId)) {
+      return res.status(400).json({ success: false, message: 'Invalid request id' });
+    }
+
+    await getAwaitingRequest(requestId);
+    const updated = await moneyRequestService.approveRequest(requestId, getAdminId(req.admin), req.body?.notes || null);
+    await audit(req, 'MONEY_REQUEST_SECOND_APPROVE', 'SUCCESS', {
+      type: updated.type,
+      amount: updated.amount,
+      first_approved_by: updated.first_approved_by,
+      transaction_id: updated.transaction_id
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Request approved',
+      data: updated
+    });
+
+  } catch (error) {
+    await audit(req, 'MONEY_REQUEST_SECOND_APPROVE', 'FAILURE', {}, error.message);
+    return handleError(req, res, error, 'approve money request', 400);
+  }
+}
+
+/**
+ * Reject a money request waiting for its second approval
+ * POST /api/admin/approvals/money-requests/:requestId/reject
+ */
+async function rejectMoneyRequest(req, res) {
+  try {
+    const requestId = parseInt(req.params.requestId, 10);
+    if (!Number.isFinite(requestId)) {
+      return res.status(400).json({ success: false, message: 'Invalid request id' });
+    }
+
+    const adminId = getAdminId(req.admin);
+    const request = await getAwaitingRequest(requestId);
+    // The first approver may withdraw their own approval
+    if (String(adminId) !== String(request.first_approved_by)) {
+      await makerCheckerService.assertCanReview(adminId, { userType: 'live', userId: request.user_id });
+    }
+
+    const updated = await moneyRequestService.rejectRequest(requestId, adminId, req.body?.notes || null);
+    await audit(req, 'MONEY_REQUEST_REJECT', 'SUCCESS', {
+      type: updated.type,
+      amount: updated.amount,
+      first_approved_by: updated.first_approved_by
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Request rejected',
+      data: updated
+    });
+
+  } catch (error) {
+    await audit(req, 'MONEY_REQUEST_REJECT', 'FAILURE', {}, error.message);
+    return handleError(req, res, error, 'reject money request', 400);
+  }
+}
+
+/**
+ * Superadmin deposits and withdrawals queued for a second approval
+ * GET /api/admin/approvals/adjustments
+ */
+async function listAdjustments(req, res) {
+  try {
+    const result = await makerCheckerService.listAdjustments({
+      ...req.query,
+      countryId: getCountryScope(req.admin)
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Balance adjustment approvals retrieved successfully',
+      data: {
+        ...result,
+        thresholds: makerCheckerService.getThresholds()
+      }
+    });
+
+  } catch (error) {
+    return handleError(req, res, error, 'list balance adjustment approvals');
+  }
+}
+
+/**
+ * Approve a queued adjustment and post it to the user's wallet
+ * POST /api/admin/approvals/adjustments/:approvalId/approve
+ */
+async function approveAdjustment(req, res) {
+  try {
+    const result = await makerCheckerService.approveAdjustment(
+      req.params.approvalId,
+      getAdminId(req.admin),
+      req.body?.notes || null
+    );
+    await audit(req, 'BALANCE_ADJUSTMENT_APPROVE', 'SUCCESS', {
+      user_id: result.approval.user_id,
+      user_type: result.approval.user_type,
+      type: result.approval.type,
+      amount: result.approval.amount,
+      requested_by: result.approval.requested_by,
+      transaction_id: result.transaction.transaction_id,
+      balance_before: result.user.balance_before,
+      balance_after: result.user.balance_after
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Balance adjustment approved and processed',
+      data: result
+    });
+
+  } catch (error) {
+    await audit(req, 'BALANCE_ADJUSTMENT_APPROVE', 'FAILURE', {}, error.message);
+    return handleError(req, res, error, 'approve balance adjustment', 400);
+  }
+}
+
+/**
+ * Reject a queued adjustment
+ * POST /api/admin/approvals/adjustments/:approvalId/reject
+ */
+async function rejectAdjustment(req, res) {
+  try {
+    const approval = await makerCheckerService.rejectAdjustment(
+      req.params.approvalId,
+      getAdminId(req.admin),
+      req.body?.notes || null
+    );
+    await audit(req, 'BALANCE_ADJUSTMENT_REJECT', 'SUCCESS', {
+      user_id: approval.user_id,
+      user_type: approval.user_type,
+      type: approval.type,
+      amount: approval.amount,
+      requested_by: approval.requested_by
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Balance adjustment rejected',
+      data: approval
+    });
+
+  } catch (error) {
+    await audit(req, 'BALANCE_ADJUSTMENT_REJECT', 'FAILURE', {}, error.message);
+    return handleError(req, res, error, 'reject balance adjustment', 400);
+  }
+}
+
+module.exports = {
+  listMoneyRequests,
+  approveMoneyRequest,
+  rejectMoneyRequest,
+  listAdjustments,
+  approveAdjustment,
+  rejectAdjustment
+};
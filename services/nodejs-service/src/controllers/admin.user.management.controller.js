@@ -1,6 +1,7 @@
 const adminUserManagementService = require('../services/admin.user.management.service');
 const adminOrderManagementService = require('../services/admin.order.management.service');
 const { validationResult } = require('express-validator');
+const { BulkCloseError, parseBulkCloseFilter, closePositions } = require('../services/order.bulk.close.service');
 
 class AdminUserManagementController {
   async listLiveUsers(req, res, next) {
@@ -497,6 +498,78 @@ class AdminUserManagementController {
     }
   }
 
+  /**
+   * Admin closes all open positions of a user matching a filter (dealing desk flatten)
+   * Requires 'orders:close' permission
+   */
+  async adminCloseBulkOrders(req, res, next) {
+    try {
+      const { userType, userId } = req.params;
+      const admin = req.admin;
+
+      // Validate userType parameter
+      if (!['live', 'demo'].includes(userType)) {
+        return res.status(400).json({ error: 'Invalid user type. Must be "live" or "demo"' });
+      }
+
+      // Validate userId parameter
+      const userIdInt = parseInt(userId, 10);
+      if (isNaN(userIdInt) || userIdInt <= 0) {
+        return res.status(400).json({ error: 'Invalid user ID. Must be a positive integer.' });
+      }
+
+      let filter;
+      try {
+        filter = parseBulkCloseFilter(req.body || {});
+      } catch (e) {
+        if (e instanceof BulkCloseError) return res.status(e.statusCode).json({ error: e.message });
+        throw e;
+      }
+
+      // Use scoped model to ensure country-level access control
+      const ScopedUserModel = userType === 'live' 
+        ? req.scopedModels.LiveUser 
+        : req.scopedModels.DemoUser;
+
+      // Fail fast on access before touching any position
+      await adminOrderManagementService.validateAdminAccess(admin, userType, userIdInt, ScopedUserModel);
+
+      const report = await closePositions({
+        userType,
+        userId: userIdInt,
+        filter,
+        closeOne: async (p) => {
+          try {
+            const result = await adminOrderManagementService.closeOrder(
+              admin,
+              userType,
+              userIdInt,
+              p.order_id,
+              { symbol: p.symbol, order_type: p.order_type },
+              ScopedUserModel
+            );
+            return { statusCode: 200, body: result };
+          } catch (error) {
+            const statusCode = error.name === 'AdminOrderError'
+              ? error.statusCode
+              : (error.message === 'Order not found or access denied' ? 404 : (error.message.includes('Cannot close order') ? 400 : 500));
+            return { statusCode, body: { success: false, message: error.message, reason: error.reason } };
+          }
+        },
+      });
+
+      // 207 Multi-Status when some closes failed; each result carries its own status_code
+      res.status(report.failed > 0 ? 207 : 200).json({ success: report.failed === 0, ...report });
+
+    } catch (error) {
+      if (error.message === 'User not found or access denied') {
+        return res.status(404).json({ error: `${req.params.userType} user not found or access denied` });
+      }
+
+      res.status(500).json({ error: error.message || 'Failed to bulk close orders' });
+    }
+  }
+
   /**
    * Admin places pending order on behalf of user
    * Requires 'orders:place' permission
@@ -712,8 +785,12 @@ class AdminUserManagementController {
         return res.status(400).json({ error: 'Order ID is required' });
       }
 
-      // Validate stop loss price
-      if (!slData.stop_loss_price || isNaN(parseFloat(slData.stop_loss_price))) {
+      // Validate stop loss price (optional for trailing stops, which start at the trailing distance)
+      const hasTrailing = slData.trailing_distance !== undefined && slData.trailing_distance !== null && slData.trailing_distance !== '';
+      if (hasTrailing && !(parseFloat(slData.trailing_distance) > 0)) {
+        return res.status(400).json({ error: 'trailing_distance must be a positive number' });
+      }
+      if (!hasTrailing && (!slData.stop_loss_price || isNaN(parseFloat(slData.stop_loss_price)))) {
         return res.status(400).json({ error: 'Valid stop loss price is required' });
       }
 
@@ -0,0 +1,231 @@
+const logger = require('../services/logger.service');
+const copyPortfolioService = require('../services/copyPortfolio.service');
+const copyTradingService = require('../services/copyTrading.service');
+const copyTradingUnfollowService = require('../services/copyTradingUnfollow.service');
+
+function getUserId(user) {
+  return user?.sub || user?.user_id || user?.id;
+}
+
+function handleError(req, res, error, action) {
+  if (error instanceof copyPortfolioService.CopyPortfolioError
+    || error instanceof copyTradingService.CopyTradingError
+    || error instanceof copyTradingUnfollowService.UnfollowError) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+
+  logger.error(`Failed to ${action}`, {
+    userId: getUserId(req.user),
+    portfolioId: req.params?.portfolio_id,
+    error: error.message
+  });
+
+  return res.status(500).json({
+    success: false,
+    message: `Failed to ${action}`,
+    error: error.message
+  });
+}
+
+/**
+ * Create a portfolio split across several strategies
+ * Body: { name, investment_amount, allocations: [{ strategy_provider_id, weight, ...copy settings }],
+ *         rebalance_frequency, rebalance_threshold }
+ */
+async function createPortfolio(req, res) {
+  try {
+    const userId = getUserId(req.user);
+    if (!userId) {
+      return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+
+    const portfolio = await copyPortfolioService.createPortfolio(userId, req.body || {});
+
+    res.status(201).json({
+      success: true,
+      message: 'Portfolio created successfully',
+      data: portfolio
+    });
+
+  } catch (error) {
+    return handleError(req, res, error, 'create portfolio');
+  }
+}
+
+/**
+ * Get the user's portfolios
+ */
+async function getPortfolios(req, res) {
+  try {
+    const userId = getUserId(req.user);
+    if (!userId) {
+      return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+
+    const portfolios = await copyPortfolioService.listPortfolios(userId);
+
+    res.json({
+      success: true,
+      data: portfolios
+    });
+
+  } catch (error) {
+    return handleError(req, res, error, 'get portfolios');
+  }
+}
+
+/**
+ * Get a portfolio with consolidated P&L and fees
+ */
+async function getPortfolio(req, res) {
+  try {
+    const userId = getUserId(req.user);
+    if (!userId) {
+      return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+
+    const portfolio = await copyPortfolioService.getPortfolio(userId, req.params.portfolio_id);
+
+    res.json({
+      success: true,
+      data: portfolio
+    });
+
+  } catch (error) {
+    return handleError(req, res, error, 'get portfolio');
+  }
+}
+
+/**
+ * Update portfolio name, rebalance settings or target weights
+ * Body: { name, rebalance_frequency, rebalance_threshold, weights: [{ copy_follower_account_id, weight }] }
+ */
+async function updatePortfolio(req, res) {
+  try {
+    const userId = getUserId(req.user);
+    if (!userId) {
+      return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+
+    const portfolio = await copyPortfolioService.updatePortfolio(userId, req.params.portfolio_id, req.body || {});
+
+    res.json({
+      success: true,
+      message: 'Portfolio updated successfully',
+      data: portfolio
+    });
+
+  } catch (error) {
+    return handleError(req, res, error, 'update portfolio');
+  }
+}
+
+/**
+ * Invest more from the live wallet, split by target weight
+ * Body: { amount }
+ */
+async function investInPortfolio(req, res) {
+  try {
+    const userId = getUserId(req.user);
+    if (!userId) {
+      return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+
+    const result = await copyPortfolioService.invest(userId, req.params.portfolio_id, req.body?.amount);
+
+    res.json({
+      success: true,
+      message: 'Investment added to portfolio',
+      data: result
+    });
+
+  } catch (error) {
+    return handleError(req, res, error, 'invest in portfolio');
+  }
+}
+
+/**
+ * Withdraw to the live wallet, split by target weight
+ * Body: { amount }
+ */
+async function withdrawFromPortfolio(req, res) {
+  try {
+    const userId = getUserId(req.user);
+    if (!userId) {
+      return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+
+    const result = await copyPortfolioService.withdraw(userId, req.params.portfolio_id, req.body?.amount);
+
+    res.json({
+      success: true,
+      message: 'Funds withdrawn from portfolio',
+      data: result
+    });
+
+  } catch (error) {
+    return handleError(req, res, error, 'withdraw from portfolio');
+  }
+}
+
+/**
+ * Rebalance a portfolio to its target weights now
+ */
+async function rebalancePortfolio(req, res) {
+  try {
+    const userId = getUserId(req.user);
+    if (!userId) {
+      return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+
+    const result = await copyPortfolioService.rebalanceOwned(userId, req.params.portfolio_id);
+
+    res.json({
+      success: true,
+      message: result.status === 'rebalanced' ? 'Portfolio rebalanced' : 'Portfolio is already at its target weights',
+      data: result
+    });
+
+  } catch (error) {
+    return handleError(req, res, error, 'rebalance portfolio');
+  }
+}
+
+/**
+ * Close a portfolio by unfollowing all of its strategies
+ * Body: { mode: 'close' | 'detach' | 'wind_down' } - mode is required while positions are open
+ */
+async function closePortfolio(req, res) {
+  try {
+    const userId = getUserId(req.user);
+    if (!userId) {
+      return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+
+    const result = await copyPortfolioService.closePortfolio(userId, req.params.portfolio_id, {
+      mode: req.body?.mode || req.query.mode || null
+    });
+
+    res.json({
+      success: true,
+      message: result.status === 'closed'
+        ? 'Portfolio closed'
+        : 'Stopped copying; the portfolio will close once its remaining positions are closed',
+      data: result
+    });
+
+  } catch (error) {
+    return handleError(req, res, error, 'close portfolio');
+  }
+}
+
+module.exports = {
+  createPortfolio,
+  getPortfolios,
+  getPortfolio,
+  updatePortfolio,
+  investInPortfolio,
+  withdrawFromPortfolio,
+  rebalancePortfolio,
+  closePortfolio
+};
@@ -1,9 +1,12 @@
 const CopyFollowerAccount = require('../models/copyFollowerAccount.model');
 const StrategyProviderAccount = require('../models/strategyProviderAccount.model');
-const CopyFollowerOrder = require('../models/copyFollowerOrder.model');
-const LiveUser = require('../models/liveUser.model');
 const logger = require('../services/logger.service');
 const strategyProviderService = require('../services/strategyProvider.service');
+const copyTradingService = require('../services/copyTrading.service');
+const performanceFeeService = require('../services/performanceFee.service');
+const copyTradingUnfollowService = require('../services/copyTradingUnfollow.service');
+const copyFollowerGuardianService = require('../services/copyFollowerGuardian.service');
+const copyFeeBillingService = require('../services/copyFeeBilling.service');
 
 /**
  * Create a copy follower account to follow a strategy provider
@@ -17,211 +20,11 @@ async function createFollowerAccount(req, res) {
       return res.status(401).json({ success: false, message: 'Authentication required' });
     }
 
-    const {
-      strategy_provider_id,
-      investment_amount,
-      account_name,
-      copy_sl_mode = 'none',
-      copy_tp_mode = 'none',
-      sl_percentage,
-      tp_percentage,
-      sl_amount,
-      tp_amount,
-      max_lot_size,
-      max_daily_loss,
-      stop_copying_on_drawdown
-    } = req.body;
-
-    // Validate required fields
-    if (!strategy_provider_id || !investment_amount || !account_name) {
-      return res.status(400).json({
-        success: false,
-        message: 'Missing required fields: strategy_provider_id, investment_amount, account_name'
-      });
-    }
-
-    // Validate investment amount
-    if (parseFloat(investment_amount) < 100) {
-      return res.status(400).json({
-        success: false,
-        message: 'Minimum investment amount is $100'
-      });
-    }
-
-    // Get strategy provider and validate
-    const strategyProvider = await StrategyProviderAccount.findOne({
-      where: {
-        id: strategy_provider_id,
-        status: 1,
-        is_active: 1
-      }
-    });
-
-    if (!strategyProvider) {
-      return res.status(404).json({
-        success: false,
-        message: 'Strategy provider not found or inactive'
-      });
-    }
-
-    // Check if strategy provider has minimum balance to accept followers
-    const strategyProviderEquity = parseFloat(strategyProvider.wallet_balance || 0) + parseFloat(strategyProvider.net_profit || 0);
-    const minStrategyBalance = 100.00;
-    
-    if (strategyProviderEquity < minStrategyBalance) {
-      return res.status(400).json({
-        success: false,
-        message: `Strategy provider does not meet minimum balance requirement of $${minStrategyBalance}. Current equity: $${strategyProviderEquity.toFixed(2)}`
-      });
-    }
-
-    // Check if user is trying to follow their own strategy
-    if (strategyProvider.user_id === userId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Cannot follow your own strategy'
-      });
-    }
-
-    // Validate investment amount meets strategy requirements
-    if (strategyProvider.min_investment && parseFloat(investment_amount) < parseFloat(strategyProvider.min_investment)) {
-      return res.status(400).json({
-        success: false,
-        message: `Minimum investment for this strategy is $${strategyProvider.min_investment}`
-      });
-    }
-
-    // Check if strategy has reached maximum followers
-    if (strategyProvider.max_followers && strategyProvider.total_followers >= strategyProvider.max_followers) {
-      return res.status(400).json({
-        success: false,
-        message: 'Strategy has reached maximum number of followers'
-      });
-    }
-
-    // Check if user already follows this strategy
-    const existingFollower = await CopyFollowerAccount.findOne({
-      where: {
-        user_id: userId,
-        strategy_provider_id: strategy_provider_id,
-        status: 1,
-        is_active: 1
-      }
-    });
-
-    if (existingFollower) {
-      return res.status(400).json({
-        success: false,
-        message: 'You are already following this strategy'
-      });
-    }
-
-    // Get user details for inheritance and balance check
-    const liveUser = await LiveUser.findByPk(userId);
-    if (!liveUser) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
-
-    // Check if user has sufficient balance and meets minimum balance requirement
-    const userBalance = parseFloat(liveUser.wallet_balance || 0);
-    const investmentAmountFloat = parseFloat(investment_amount);
-    const minBalance = 100.00;
-    
-    // Check minimum balance requirement
-    if (userBalance < minBalance) {
-      return res.status(400).json({
-        success: false,
-        message: `Minimum balance of $${minBalance} required to start copy trading. Current balance: $${userBalance.toFixed(2)}`
-      });
-    }
-    
-    // Check if user has sufficient balance for investment
-    if (userBalance < investmentAmountFloat) {
-      return res.status(400).json({
-        success: false,
-        message: `Insufficient balance. Required: $${investmentAmountFloat}, Available: $${userBalance}`
-      });
-    }
-
-    // Generate unique account number
-    const generateAccountNumber = () => {
-      const timestamp = Date.now().toString();
-      const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
-      return `CF${timestamp}${random}`;
-    };
-
-    let accountNumber = generateAccountNumber();
-    
-    // Ensure account number is unique (very unlikely to collide, but safety check)
-    let existingAccount = await CopyFollowerAccount.findOne({ where: { account_number: accountNumber } });
-    while (existingAccount) {
-      accountNumber = generateAccountNumber();
-      existingAccount = await CopyFollowerAccount.findOne({ where: { account_number: accountNumber } });
-    }
-
-    // Create follower account
-    const followerData = {
-      user_id: userId,
-      strategy_provider_id: strategy_provider_id,
-      account_name: account_name,
-      account_number: accountNumber,
-      investment_amount: investmentAmountFloat,
-      initial_investment: investmentAmountFloat,
-      
-      // Inherit settings from strategy provider
-      group: strategyProvider.group,
-      leverage: strategyProvider.leverage,
-      sending_orders: strategyProvider.sending_orders,
-      auto_cutoff_level: strategyProvider.auto_cutoff_level,
-      
-      // Copy settings
-      copy_sl_mode,
-      copy_tp_mode,
-      sl_percentage: sl_percentage ? parseFloat(sl_percentage) : null,
-      tp_percentage: tp_percentage ? parseFloat(tp_percentage) : null,
-      sl_amount: sl_amount ? parseFloat(sl_amount) : null,
-      tp_amount: tp_amount ? parseFloat(tp_amount) : null,
-      
-      // Risk management
-      max_lot_size: max_lot_size ? parseFloat(max_lot_size) : null,
-      max_daily_loss: max_daily_loss ? parseFloat(max_daily_loss) : null,
-      stop_copying_on_drawdown: stop_copying_on_drawdown ? parseFloat(stop_copying_on_drawdown) : null,
-      
-      // Initial financial state
-      wallet_balance: investmentAmountFloat,
-      equity: investmentAmountFloat,
-      
-      // Status
-      status: 1,
-      is_active: 1,
-      copy_status: 'active'
-    };
-
-    const followerAccount = await CopyFollowerAccount.create(followerData);
-
-    // Deduct investment amount from user's main account balance
-    await LiveUser.decrement({
-      wallet_balance: investmentAmountFloat
-    }, {
-      where: { id: userId }
-    });
-
-    // Update strategy provider follower count and total investment
-    await StrategyProviderAccount.increment({
-      total_followers: 1,
-      total_investment: investmentAmountFloat
-    }, {
-      where: { id: strategy_provider_id }
-    });
-
-    logger.info('Copy follower account created', {
-      userId,
-      followerId: followerAccount.id,
-      strategyProviderId: strategy_provider_id,
-      investmentAmount: investment_amount
+    const followerAccount = await copyTradingService.createFollowerAccount(userId, {
+      ...req.body,
+      // Portfolio membership is managed through the portfolio routes
+      copy_portfolio_id: null,
+      portfolio_weight: null
     });
 
     res.status(201).json({
@@ -238,6 +41,10 @@ async function createFollowerAccount(req, res) {
     });
 
   } catch (error) {
+    if (error instanceof copyTradingService.CopyTradingError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+
     logger.error('Failed to create copy follower account', {
       userId: req.user?.id,
       error: error.message,
@@ -270,8 +77,8 @@ async function getFollowerAccounts(req, res) {
         model: StrategyProviderAccount,
         as: 'strategyProvider',
         attributes: [
-          'id', 'strategy_name', 'performance_fee', 'total_return_percentage',
-          'win_rate', 'max_drawdown', 'total_followers'
+          'id', 'strategy_name', 'performance_fee', 'fee_settlement_period', 'subscription_fee', 'management_fee',
+          'total_return_percentage', 'win_rate', 'max_drawdown', 'total_followers'
         ]
       }],
       order: [['created_at', 'DESC']]
@@ -285,7 +92,25 @@ async function getFollowerAccounts(req, res) {
       current_equity: parseFloat(account.equity || 0),
       total_profit_loss: parseFloat(account.total_profit_loss || 0),
       total_fees_paid: parseFloat(account.total_fees_paid || 0),
+      management_fee_accrued: parseFloat(account.management_fee_accrued || 0),
+      lot_mode: account.lot_mode,
+      symbol_filter_mode: account.symbol_filter_mode,
+      symbol_filter: account.symbol_filter || [],
+      copy_direction: account.copy_direction,
+      unfollow_mode: account.unfollow_mode,
+      unfollow_requested_at: account.unfollow_requested_at,
+      unfollowed_at: account.unfollowed_at,
+      copy_portfolio_id: account.copy_portfolio_id,
+      portfolio_weight: account.portfolio_weight !== null && account.portfolio_weight !== undefined ? parseFloat(account.portfolio_weight) : null,
+      fixed_lot_size: account.fixed_lot_size !== null && account.fixed_lot_size !== undefined ? parseFloat(account.fixed_lot_size) : null,
+      lot_multiplier: account.lot_multiplier !== null && account.lot_multiplier !== undefined ? parseFloat(account.lot_multiplier) : null,
+      risk_percentage: account.risk_percentage !== null && account.risk_percentage !== undefined ? parseFloat(account.risk_percentage) : null,
+      high_water_mark: parseFloat(account.high_water_mark ?? account.initial_investment ?? 0),
       copy_status: account.copy_status,
+      pause_reason: account.pause_reason,
+      max_daily_loss: account.max_daily_loss !== null && account.max_daily_loss !== undefined ? parseFloat(account.max_daily_loss) : null,
+      stop_copying_on_drawdown: account.stop_copying_on_drawdown !== null && account.stop_copying_on_drawdown !== undefined ? parseFloat(account.stop_copying_on_drawdown) : null,
+      close_positions_on_breach: !!account.close_positions_on_breach,
       successful_copies: account.successful_copies || 0,
       failed_copies: account.failed_copies || 0,
       created_at: account.created_at,
@@ -293,6 +118,9 @@ async function getFollowerAccounts(req, res) {
         id: account.strategyProvider.id,
         strategy_name: account.strategyProvider.strategy_name,
         performance_fee: parseFloat(account.strategyProvider.performance_fee || 0),
+        fee_settlement_period: account.strategyProvider.fee_settlement_period,
+        subscription_fee: parseFloat(account.strategyProvider.subscription_fee || 0),
+        management_fee: parseFloat(account.strategyProvider.management_fee || 0),
         total_return_percentage: parseFloat(account.strategyProvider.total_return_percentage || 0),
         win_rate: parseFloat(account.strategyProvider.win_rate || 0),
         max_drawdown: parseFloat(account.strategyProvider.max_drawdown || 0),
@@ -319,6 +147,27 @@ async function getFollowerAccounts(req, res) {
   }
 }
 
+const SYMBOL_FILTER_MODES = ['all', 'include', 'exclude'];
+const COPY_DIRECTIONS = ['both', 'buy_only', 'sell_only'];
+const MAX_FILTER_SYMBOLS = 200;
+
+/**
+ * Normalize a symbol filter list to unique upper-case symbols
+ * @param {Array|string} value - Array of symbols or comma-separated string
+ * @returns {Array|null} Symbols, or null when the input is invalid
+ */
+function normalizeSymbolFilter(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  const symbols = [];
+  for (const item of list) {
+    const symbol = String(item || '').trim().toUpperCase();
+    if (!symbol) continue;
+    if (!/^[A-Z0-9._#-]{1,30}$/.test(symbol)) return null;
+    if (!symbols.includes(symbol)) symbols.push(symbol);
+  }
+  return symbols.length <= MAX_FILTER_SYMBOLS ? symbols : null;
+}
+
 /**
  * Update copy follower account settings
  */
@@ -346,6 +195,13 @@ async function updateFollowerAccount(req, res) {
       });
     }
 
+    if (followerAccount.unfollow_requested_at) {
+      return res.status(409).json({
+        success: false,
+        message: 'Follower account is being closed and can no longer be changed'
+      });
+    }
+
     const {
       copy_status,
       copy_sl_mode,
@@ -357,11 +213,102 @@ async function updateFollowerAccount(req, res) {
       max_lot_size,
       max_daily_loss,
       stop_copying_on_drawdown,
-      pause_reason
+      close_positions_on_breach,
+      pause_reason,
+      lot_mode,
+      fixed_lot_size,
+      lot_multiplier,
+      risk_percentage,
+      symbol_filter_mode,
+      symbol_filter,
+      copy_direction
     } = req.body;
 
     const updateFields = {};
 
+    // Update symbol and direction filters
+    if (symbol_filter_mode !== undefined && !SYMBOL_FILTER_MODES.includes(symbol_filter_mode)) {
+      return res.status(400).json({
+        success: false,
+        message: `symbol_filter_mode must be one of: ${SYMBOL_FILTER_MODES.join(', ')}`
+      });
+    }
+    if (copy_direction !== undefined && !COPY_DIRECTIONS.includes(copy_direction)) {
+      return res.status(400).json({
+        success: false,
+        message: `copy_direction must be one of: ${COPY_DIRECTIONS.join(', ')}`
+      });
+    }
+    if (symbol_filter !== undefined) {
+      const symbols = symbol_filter === null ? [] : normalizeSymbolFilter(symbol_filter);
+      if (!symbols) {
+        return res.status(400).json({
+          success: false,
+          message: `symbol_filter must be a list of up to ${MAX_FILTER_SYMBOLS} symbols`
+        });
+      }
+      updateFields.symbol_filter = symbols;
+    }
+    if (symbol_filter_mode !== undefined) updateFields.symbol_filter_mode = symbol_filter_mode;
+    if (copy_direction !== undefined) updateFields.copy_direction = copy_direction;
+
+    // An include list without symbols would silently stop all copying
+    const effectiveFilterMode = updateFields.symbol_filter_mode || followerAccount.symbol_filter_mode;
+    const effectiveSymbols = updateFields.symbol_filter || followerAccount.symbol_filter || [];
+    if (effectiveFilterMode === 'include' && effectiveSymbols.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'symbol_filter must contain at least one symbol when symbol_filter_mode is include'
+      });
+    }
+
+    // Update lot sizing mode; the mode's setting must be provided or already stored
+    if (lot_mode !== undefined && !copyTradingService.LOT_MODES.includes(lot_mode)) {
+      return res.status(400).json({
+        success: false,
+        message: `lot_mode must be one of: ${copyTradingService.LOT_MODES.join(', ')}`
+      });
+    }
+    if (fixed_lot_size !== undefined) updateFields.fixed_lot_size = fixed_lot_size ? parseFloat(fixed_lot_size) : null;
+    if (lot_multiplier !== undefined) updateFields.lot_multiplier = lot_multiplier ? parseFloat(lot_multiplier) : null;
+    if (risk_percentage !== undefined) updateFields.risk_percentage = risk_percentage ? parseFloat(risk_percentage) : null;
+    if (lot_mode !== undefined) updateFields.lot_mode = lot_mode;
+
+    const modeSettings = {
+      fixed_lot: 'fixed_lot_size',
+      lot_multiplier: 'lot_multiplier',
+      fixed_risk: 'risk_percentage'
+    };
+    const effectiveMode = updateFields.lot_mode || followerAccount.lot_mode;
+    const settingField = modeSettings[effectiveMode];
+    if (settingField) {
+      const value = settingField in updateFields ? updateFields[settingField] : followerAccount[settingField];
+      if (!(parseFloat(value) > 0)) {
+        return res.status(400).json({
+          success: false,
+          message: `${settingField} must be a positive number for lot_mode ${effectiveMode}`
+        });
+      }
+    }
+
+    // Copying only resumes once unpaid subscription/management fees are collected
+    if (copy_status === 'active' && followerAccount.copy_status !== 'active') {
+      const unpaid = await copyFeeBillingService.collectUnpaid(followerAccount.id);
+      if (unpaid.length > 0) {
+        const outstanding = unpaid.reduce((sum, charge) => sum + parseFloat(charge.amount || 0), 0);
+        return res.status(409).json({
+          success: false,
+          message: `Outstanding fees of ${outstanding.toFixed(2)} could not be collected from the account's free funds`,
+          unpaid_charges: unpaid.map((charge) => ({
+            id: charge.id,
+            fee_type: charge.fee_type,
+            period: charge.period,
+            amount: parseFloat(charge.amount)
+          }))
+        });
+      }
+    }
+
     // Update copy status
     if (copy_status && ['active', 'paused', 'stopped'].includes(copy_status)) {
       updateFields.copy_status = copy_status;
@@ -385,10 +332,20 @@ async function updateFollowerAccount(req, res) {
     if (max_lot_size !== undefined) updateFields.max_lot_size = max_lot_size ? parseFloat(max_lot_size) : null;
     if (max_daily_loss !== undefined) updateFields.max_daily_loss = max_daily_loss ? parseFloat(max_daily_loss) : null;
     if (stop_copying_on_drawdown !== undefined) updateFields.stop_copying_on_drawdown = stop_copying_on_drawdown ? parseFloat(stop_copying_on_drawdown) : null;
+    if (close_positions_on_breach !== undefined) {
+      if (typeof close_positions_on_breach !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          message: 'close_positions_on_breach must be a boolean'
+        });
+      }
+      updateFields.close_positions_on_breach = close_positions_on_breach;
+    }
 
     await CopyFollowerAccount.update(updateFields, {
       where: { id: follower_id }
     });
+    copyFollowerGuardianService.invalidate(follower_id);
 
     logger.info('Copy follower account updated', {
       userId,
@@ -418,6 +375,7 @@ async function updateFollowerAccount(req, res) {
 
 /**
  * Stop following a strategy (close follower account)
+ * Body: { mode: 'close' | 'detach' | 'wind_down', reason } - mode is required while positions are open
  */
 async function stopFollowing(req, res) {
   try {
@@ -429,66 +387,113 @@ async function stopFollowing(req, res) {
       return res.status(401).json({ success: false, message: 'Authentication required' });
     }
 
-    const followerAccount = await CopyFollowerAccount.findOne({
-      where: {
-        id: follower_id,
-        user_id: userId
-      }
+    const body = req.body || {};
+    const result = await copyTradingUnfollowService.requestUnfollow(userId, follower_id, {
+      mode: body.mode || req.query.mode || null,
+      reason: body.reason
     });
 
-    if (!followerAccount) {
-      return res.status(404).json({
+    res.json({
+      success: true,
+      message: result.status === 'completed'
+        ? 'Successfully stopped following strategy'
+        : 'Stopped copying new trades; the account will be closed once its remaining positions are closed',
+      data: result
+    });
+
+  } catch (error) {
+    if (error instanceof copyTradingUnfollowService.UnfollowError) {
+      return res.status(error.statusCode).json({
         success: false,
-        message: 'Follower account not found'
+        message: error.message,
+        ...(error.openOrdersCount !== undefined ? { open_orders_count: error.openOrdersCount } : {})
       });
     }
 
-    // Check for open orders before allowing unfollowing
-    const openOrdersCount = await CopyFollowerOrder.count({
-      where: {
-        order_user_id: follower_id,
-        order_status: ['OPEN', 'PENDING', 'PARTIALLY_FILLED']
-      }
+    logger.error('Failed to stop following strategy', {
+      userId: req.user?.id,
+      followerId: req.params?.follower_id,
+      error: error.message
     });
 
-    if (openOrdersCount > 0) {
-      return res.status(400).json({
-        success: false,
-        message: `Cannot stop following strategy. You have ${openOrdersCount} open order(s). Please close all open positions before unfollowing.`,
-        open_orders_count: openOrdersCount
-      });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to stop following strategy',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Close a detached position of an unfollowed account
+ */
+async function closeDetachedOrder(req, res) {
+  try {
+    const user = req.user || {};
+    const userId = user.sub || user.user_id || user.id;
+    const { follower_id, order_id } = req.params;
+
+    if (!userId) {
+      return res.status(401).json({ success: false, message: 'Authentication required' });
     }
 
-    // Update follower account to stopped status
-    await CopyFollowerAccount.update({
-      copy_status: 'stopped',
-      is_active: 0,
-      stop_reason: req.body.reason || 'Manually stopped by user'
-    }, {
-      where: { id: follower_id }
+    const result = await copyTradingUnfollowService.closeDetachedOrder(userId, follower_id, order_id);
+
+    res.json({
+      success: true,
+      message: 'Close request sent for detached position',
+      data: result
     });
 
-    // Update strategy provider follower count
-    await StrategyProviderAccount.decrement({
-      total_followers: 1,
-      total_investment: parseFloat(followerAccount.investment_amount || 0)
-    }, {
-      where: { id: followerAccount.strategy_provider_id }
+  } catch (error) {
+    if (error instanceof copyTradingUnfollowService.UnfollowError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+
+    logger.error('Failed to close detached order', {
+      userId: req.user?.id,
+      followerId: req.params?.follower_id,
+      orderId: req.params?.order_id,
+      error: error.message
     });
 
-    logger.info('User stopped following strategy', {
-      userId,
-      followerId: follower_id,
-      strategyProviderId: followerAccount.strategy_provider_id
+    res.status(500).json({
+      success: false,
+      message: 'Failed to close detached order',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Get performance fee settlements of a follower account
+ */
+async function getFeeSettlements(req, res) {
+  try {
+    const user = req.user || {};
+    const userId = user.sub || user.user_id || user.id;
+    const { follower_id } = req.params;
+
+    if (!userId) {
+      return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+
+    const result = await performanceFeeService.getFollowerSettlements(userId, follower_id, {
+      page: req.query.page,
+      limit: req.query.limit
     });
 
     res.json({
       success: true,
-      message: 'Successfully stopped following strategy'
+      ...result
     });
 
   } catch (error) {
-    logger.error('Failed to stop following strategy', {
+    if (error instanceof performanceFeeService.PerformanceFeeError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+
+    logger.error('Failed to get fee settlements', {
       userId: req.user?.id,
       followerId: req.params?.follower_id,
       error: error.message
@@ -496,7 +501,93 @@ async function stopFollowing(req, res) {
 
     res.status(500).json({
       success: false,
-      message: 'Failed to stop following strategy',
+      message: 'Failed to get fee settlements',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Get the fee statement of a follower account (fee schedule, totals and fee postings)
+ */
+async function getFeeStatement(req, res) {
+  try {
+    const user = req.user || {};
+    const userId = user.sub || user.user_id || user.id;
+    const { follower_id } = req.params;
+
+    if (!userId) {
+      return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+
+    const result = await copyFeeBillingService.getFollowerStatement(userId, follower_id, {
+      page: req.query.page,
+      limit: req.query.limit
+    });
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    if (error instanceof copyFeeBillingService.CopyFeeBillingError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+
+    logger.error('Failed to get fee statement', {
+      userId: req.user?.id,
+      followerId: req.params?.follower_id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get fee statement',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Get risk limit breaches recorded by the risk guardian for a follower account
+ */
+async function getRiskBreaches(req, res) {
+  try {
+    const user = req.user || {};
+    const userId = user.sub || user.user_id || user.id;
+    const { follower_id } = req.params;
+
+    if (!userId) {
+      return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+
+    const result = await copyFollowerGuardianService.getFollowerBreaches(userId, follower_id, {
+      page: req.query.page,
+      limit: req.query.limit
+    });
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Follower account not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    logger.error('Failed to get risk breaches', {
+      userId: req.user?.id,
+      followerId: req.params?.follower_id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get risk breaches',
       error: error.message
     });
   }
@@ -506,5 +597,9 @@ module.exports = {
   createFollowerAccount,
   getFollowerAccounts,
   updateFollowerAccount,
-  stopFollowing
+  stopFollowing,
+  closeDetachedOrder,
+  getFeeSettlements,
+  getFeeStatement,
+  getRiskBreaches
 };
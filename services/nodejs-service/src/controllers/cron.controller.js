@@ -1,4 +1,9 @@
 const CatalogEligibilityCronService = require('../services/cron/catalogEligibility.cron.service');
+const PerformanceFeeCronService = require('../services/cron/performanceFee.cron.service');
+const StrategyProviderSnapshotCronService = require('../services/cron/strategyProviderSnapshot.cron.service');
+const CopyPortfolioRebalanceCronService = require('../services/cron/copyPortfolioRebalance.cron.service');
+const CopyFeeBillingCronService = require('../services/cron/copyFeeBilling.cron.service');
+const WalletReconciliationCronService = require('../services/cron/walletReconciliation.cron.service');
 const logger = require('../services/logger.service');
 
 /**
@@ -98,7 +103,247 @@ async function getCatalogEligibilityStatus(req, res) {
   }
 }
 
+/**
+ * Manually run performance fee settlement (Admin only)
+ * POST /api/admin/cron/performance-fee/trigger
+ */
+async function triggerPerformanceFeeSettlement(req, res) {
+  try {
+    const adminId = getUserId(req.user);
+
+    if (!adminId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication token'
+      });
+    }
+
+    logger.info('Manual performance fee settlement triggered by admin', {
+      adminId,
+      adminEmail: req.user.email,
+      ip: req.ip
+    });
+
+    const result = await PerformanceFeeCronService.manualTrigger();
+
+    return res.status(200).json({
+      success: true,
+      message: result.message,
+      data: {
+        triggered_at: new Date().toISOString(),
+        triggered_by: req.user.email,
+        summary: result.result
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to trigger performance fee settlement', {
+      adminId: getUserId(req.user),
+      error: error.message,
+      ip: req.ip
+    });
+
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while settling performance fees'
+    });
+  }
+}
+
+/**
+ * Manually take strategy provider daily snapshots (Admin only)
+ * POST /api/admin/cron/provider-snapshots/trigger
+ */
+async function triggerProviderSnapshots(req, res) {
+  try {
+    const adminId = getUserId(req.user);
+
+    if (!adminId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication token'
+      });
+    }
+
+    logger.info('Manual strategy provider snapshot triggered by admin', {
+      adminId,
+      adminEmail: req.user.email,
+      ip: req.ip
+    });
+
+    const result = await StrategyProviderSnapshotCronService.manualTrigger();
+
+    return res.status(200).json({
+      success: true,
+      message: result.message,
+      data: {
+        triggered_at: new Date().toISOString(),
+        triggered_by: req.user.email,
+        summary: result.result
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to trigger strategy provider snapshots', {
+      adminId: getUserId(req.user),
+      error: error.message,
+      ip: req.ip
+    });
+
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while taking strategy provider snapshots'
+    });
+  }
+}
+
+/**
+ * Manually trigger the copy portfolio rebalance (Admin only)
+ * POST /api/admin/cron/portfolio-rebalance/trigger
+ */
+async function triggerPortfolioRebalance(req, res) {
+  try {
+    const adminId = getUserId(req.user);
+
+    if (!adminId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication token'
+      });
+    }
+
+    logger.info('Manual copy portfolio rebalance triggered by admin', {
+      adminId,
+      adminEmail: req.user.email,
+      ip: req.ip
+    });
+
+    const result = await CopyPortfolioRebalanceCronService.manualTrigger();
+
+    return res.status(200).json({
+      success: true,
+      message: result.message,
+      data: {
+        triggered_at: new Date().toISOString(),
+        triggered_by: req.user.email,
+        summary: result.result
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to trigger copy portfolio rebalance', {
+      adminId: getUserId(req.user),
+      error: error.message,
+      ip: req.ip
+    });
+
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while rebalancing copy portfolios'
+    });
+  }
+}
+
+/**
+ * Manually trigger the copy subscription/management fee billing (Admin only)
+ * POST /api/admin/cron/copy-fee-billing/trigger
+ */
+async function triggerCopyFeeBilling(req, res) {
+  try {
+    const adminId = getUserId(req.user);
+
+    if (!adminId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication token'
+      });
+    }
+
+    logger.info('Manual copy fee billing triggered by admin', {
+      adminId,
+      adminEmail: req.user.email,
+      ip: req.ip
+    });
+
+    const result = await CopyFeeBillingCronService.manualTrigger();
+
+    return res.status(200).json({
+      success: true,
+      message: result.message,
+      data: {
+        triggered_at: new Date().toISOString(),
+        triggered_by: req.user.email,
+        summary: result.result
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to trigger copy fee billing', {
+      adminId: getUserId(req.user),
+      error: error.message,
+      ip: req.ip
+    });
+
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while billing copy trading fees'
+    });
+  }
+}
+
+/**
+ * Manually trigger the wallet-to-ledger reconciliation (Admin only)
+ * POST /api/admin/cron/wallet-reconciliation/trigger
+ */
+async function triggerWalletReconciliation(req, res) {
+  try {
+    const adminId = getUserId(req.user);
+
+    if (!adminId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication token'
+      });
+    }
+
+    logger.info('Manual wallet reconciliation triggered by admin', {
+      adminId,
+      adminEmail: req.user.email,
+      ip: req.ip
+    });
+
+    const result = await WalletReconciliationCronService.manualTrigger();
+
+    return res.status(200).json({
+      success: true,
+      message: result.message,
+      data: {
+        triggered_at: new Date().toISOString(),
+        triggered_by: req.user.email,
+        summary: result.result
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to trigger wallet reconciliation', {
+      adminId: getUserId(req.user),
+      error: error.message,
+      ip: req.ip
+    });
+
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while reconciling wallets'
+    });
+  }
+}
+
 module.exports = {
   triggerCatalogEligibilityUpdate,
-  getCatalogEligibilityStatus
+  getCatalogEligibilityStatus,
+  triggerPerformanceFeeSettlement,
+  triggerProviderSnapshots,
+  triggerPortfolioRebalance,
+  triggerCopyFeeBilling,
+  triggerWalletReconciliation
 };
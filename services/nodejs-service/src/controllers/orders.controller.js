@@ -16,6 +16,15 @@ const redisUserCache = require('../services/redis.user.cache.service');
 const LiveUser = require('../models/liveUser.model');
 const DemoUser = require('../models/demoUser.model');
 const { applyOrderClosePayout } = require('../services/order.payout.service');
+const { PartialCloseError, isPartialCloseQuantity, assertPartialCloseLots, applyPartialClose } = require('../services/order.partial.close.service');
+const trailingStopService = require('../services/trailingStop.service');
+const pendingLinkService = require('../services/pendingLink.service');
+const PendingExpiryCronService = require('../services/cron/pendingExpiry.cron.service');
+const { invokeOrdersHandler } = require('../services/orders.internal.service');
+const { BulkCloseError, parseBulkCloseFilter, closePositions } = require('../services/order.bulk.close.service');
+const nettingService = require('../services/netting.service');
+const { OrderPreviewError, parsePreviewInput, previewOrder: buildOrderPreview } = require('../services/order.preview.service');
+const { OrderHistoryError, parseClosedOrdersQuery, buildClosedOrdersWhere, streamClosedOrdersCsv } = require('../services/order.history.service');
 
 // Create reusable axios instance with HTTP keep-alive for Python service calls
 const pythonServiceAxios = axios.create({
@@ -139,6 +148,32 @@ async function placeInstantOrder(req, res) {
       return res.status(403).json({ success: false, message: 'Cannot place orders for another user' });
     }
 
+    // Netting accounts: the order increases, reduces or reverses the open position on the symbol
+    if (!req.nettingResolved && nettingService.supportsUserType(parsed.user_type)) {
+      let plan;
+      try {
+        plan = await nettingService.prepareMarketOrder({
+          userType: parsed.user_type,
+          userId: normalizeStr(parsed.user_id),
+          symbol: parsed.symbol,
+          orderType: parsed.order_type,
+          quantity: parsed.order_quantity,
+        });
+      } catch (e) {
+        if (e instanceof nettingService.NettingError) {
+          return res.status(e.statusCode).json({ success: false, message: e.message, reason: e.reason || undefined });
+        }
+        throw e;
+      }
+      if (plan) {
+        try {
+          return await placeNettingOrder(req, res, parsed, plan);
+        } finally {
+          await plan.release();
+        }
+      }
+    }
+
     // Generate order_id in ord_YYYYMMDD_seq format using IdGeneratorService
     const order_id = await idGenerator.generateOrderId();
     mark('after_id_generated');
@@ -499,6 +534,87 @@ async function placeInstantOrder(req, res) {
   }
 }
 
+// Netting account market order: close (part of) the current position and/or open through the
+// regular instant flow, then merge increases into the position
+async function placeNettingOrder(req, res, parsed, plan) {
+  const userType = parsed.user_type;
+  const userId = normalizeStr(parsed.user_id);
+  const { position } = plan;
+  const netting = {
+    account_mode: 'netting',
+    action: plan.action,
+    position_order_id: position ? position.order_id : null,
+  };
+
+  if (plan.closeQuantity > 0) {
+    const closeBody = {
+      order_id: position.order_id,
+      user_id: userId,
+      user_type: userType,
+      symbol: plan.symbol,
+      order_type: position.order_type,
+      status: 'CLOSED',
+      order_status: 'CLOSED',
+    };
+    if (plan.action === 'reduce') closeBody.close_quantity = plan.closeQuantity;
+
+    const closeResult = await invokeOrdersHandler('closeOrder', closeBody, 'netting');
+    if (closeResult.statusCode >= 300 || closeResult.body?.success === false) {
+      return res.status(closeResult.statusCode >= 300 ? closeResult.statusCode : 500).json({ ...closeResult.body, success: false, netting });
+    }
+    netting.closed_quantity = plan.closeQuantity;
+    netting.close = closeResult.body?.data ?? closeResult.body;
+
+    if (plan.action === 'reduce') {
+      netting.remaining_quantity = Number((position.order_quantity - plan.closeQuantity).toFixed(8));
+      return res.status(closeResult.statusCode).json({ success: true, order_id: position.order_id, netting });
+    }
+    await nettingService.untrackPosition(userType, userId, plan.symbol, position.order_id);
+    if (plan.action === 'close') {
+      return res.status(closeResult.statusCode).json({ success: true, order_id: position.order_id, netting });
+    }
+  }
+
+  // open, increase, or the remainder of a reversal
+  const openResult = await invokeOrdersHandler(
+    'placeInstantOrder',
+    { ...req.body, order_quantity: plan.openQuantity },
+    'netting',
+    { nettingResolved: true }
+  );
+  const openBody = openResult.body || {};
+  if (openResult.statusCode >= 300 || openBody.success === false) {
+    return res.status(openResult.statusCode >= 300 ? openResult.statusCode : 500).json({ ...openBody, netting });
+  }
+
+  const fillOrderId = normalizeStr(openBody.order_id);
+  if (plan.action === 'increase') {
+    if (openBody.execution_mode === 'provider') {
+      // Merged by the orders DB consumer once the provider confirms the fill
+      await nettingService.markPendingMerge(fillOrderId, position.order_id);
+      netting.merge_status = 'pending_confirmation';
+    } else {
+      try {
+        netting.position = await nettingService.mergeIntoPosition({
+          userType,
+          userId,
+          positionOrderId: position.order_id,
+          fillOrderId,
+        });
+        netting.merge_status = 'merged';
+      } catch (e) {
+        logger.error('Netting merge failed after fill', { error: e.message, positionOrderId: position.order_id, fillOrderId });
+        netting.merge_status = 'failed';
+      }
+    }
+  } else {
+    await nettingService.trackPosition(userType, userId, plan.symbol, fillOrderId);
+    netting.position_order_id = fillOrderId;
+  }
+
+  return res.status(openResult.statusCode).json({ ...openBody, netting });
+}
+
 // Place a pending order: validate constraints, compute compare_price, persist SQL+Redis
 async function placePendingOrder(req, res) {
   const operationId = `pending_place_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
@@ -543,10 +659,65 @@ async function placePendingOrder(req, res) {
       return res.status(403).json({ success: false, message: 'Cannot place orders for another user' });
     }
 
+    // Netting accounts hold one position per symbol; a pending fill would open a second ticket
+    if (nettingService.supportsUserType(parsed.user_type) && await nettingService.isNetting(parsed.user_type, normalizeStr(parsed.user_id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Pending orders are not available in netting mode; use a market order',
+        reason: 'netting_pending_not_supported',
+      });
+    }
+
     // Normalize for Redis keys and cross-service compatibility
     const symbol = String(parsed.symbol).toUpperCase();
     const orderType = String(parsed.order_type).toUpperCase();
 
+    // Linked orders: OCO with an existing pending order and/or bracket SL/TP attached on fill
+    const oco_order_id = normalizeStr(req.body?.oco_order_id);
+    const bracketSlIn = req.body?.stop_loss;
+    const bracketTpIn = req.body?.take_profit;
+    const hasBracketSl = bracketSlIn !== undefined && bracketSlIn !== null && bracketSlIn !== '';
+    const hasBracketTp = bracketTpIn !== undefined && bracketTpIn !== null && bracketTpIn !== '';
+    let bracket = null;
+    try {
+      if (hasBracketSl || hasBracketTp) {
+        bracket = pendingLinkService.validateBracket({
+          orderType,
+          orderPrice: parsed.order_price,
+          stopLoss: hasBracketSl ? bracketSlIn : null,
+          takeProfit: hasBracketTp ? bracketTpIn : null,
+        });
+      }
+      if (oco_order_id) {
+        await pendingLinkService.validateOcoSibling({
+          siblingOrderId: oco_order_id,
+          userId: parsed.user_id,
+          userType: parsed.user_type,
+          symbol,
+        });
+      }
+    } catch (e) {
+      if (e instanceof pendingLinkService.PendingLinkError) {
+        return res.status(e.statusCode).json({ success: false, message: e.message });
+      }
+      throw e;
+    }
+
+    // Time in force: GTC (default), DAY (end of trading day) or GTD (expires_at)
+    let expiry;
+    try {
+      expiry = PendingExpiryCronService.resolveExpiry({
+        timeInForce: req.body?.time_in_force,
+        expiresAt: req.body?.expires_at,
+      });
+    } catch (e) {
+      if (e instanceof PendingExpiryCronService.PendingExpiryError) {
+        return res.status(e.statusCode).json({ success: false, message: e.message });
+      }
+      throw e;
+    }
+    const expiresAtIso = expiry.expiresAt ? expiry.expiresAt.toISOString() : null;
+
     // Fetch current market prices from Redis
     let bid = null, ask = null;
     try {
@@ -618,6 +789,8 @@ async function placePendingOrder(req, res) {
         margin: 0,
         status: 'PENDING',
         placed_by: 'user',
+        time_in_force: expiry.timeInForce,
+        expires_at: expiry.expiresAt,
       });
     } catch (dbErr) {
       logger.error('Pending order DB create failed', { error: dbErr.message, order_id });
@@ -641,6 +814,8 @@ async function placePendingOrder(req, res) {
           status: 'PENDING',
           created_at: Date.now().toString(),
           group: userGroup,
+          time_in_force: expiry.timeInForce,
+          ...(expiresAtIso ? { expires_at: expiresAtIso } : {}),
         });
       }
       // Mirror minimal PENDING into user holdings and index for immediate WS visibility
@@ -661,6 +836,8 @@ async function placePendingOrder(req, res) {
           order_quantity: String(parsed.order_quantity),
           group: userGroup,
           created_at: Date.now().toString(),
+          time_in_force: expiry.timeInForce,
+          ...(expiresAtIso ? { expires_at: expiresAtIso } : {}),
         });
         await pipe.exec();
       } catch (e3) {
@@ -684,6 +861,8 @@ async function placePendingOrder(req, res) {
           group: userGroup,
           compare_price: String(compare_price),
           half_spread: String(hs),
+          time_in_force: expiry.timeInForce,
+          ...(expiresAtIso ? { expires_at: expiresAtIso } : {}),
         });
       } catch (e4) {
         logger.warn('Failed to write canonical order_data for pending', { error: e4.message, order_id });
@@ -701,6 +880,33 @@ async function placePendingOrder(req, res) {
       return res.status(500).json({ success: false, message: 'Cache error', operationId });
     }
 
+    // Register link state before the order can trigger
+    let ocoLink = null;
+    let bracketLink = null;
+    try {
+      if (bracket) {
+        bracketLink = await pendingLinkService.setBracket({
+          orderId: order_id,
+          userId: parsed.user_id,
+          userType: parsed.user_type,
+          symbol,
+          stopLoss: bracket.stopLoss,
+          takeProfit: bracket.takeProfit,
+        });
+      }
+      if (oco_order_id) {
+        ocoLink = await pendingLinkService.linkOco({
+          orderId: order_id,
+          siblingOrderId: oco_order_id,
+          userId: parsed.user_id,
+          userType: parsed.user_type,
+          symbol,
+        });
+      }
+    } catch (e) {
+      logger.error('Failed to register pending order links', { error: e.message, order_id, oco_order_id });
+    }
+
  
     try {
       await redisCluster.publish('market_price_updates', symbol);
@@ -763,6 +969,10 @@ async function placePendingOrder(req, res) {
       order_status: isProviderFlow ? 'PENDING-QUEUED' : 'PENDING',
       compare_price,
       group: userGroup,
+      time_in_force: expiry.timeInForce,
+      expires_at: expiresAtIso,
+      ...(ocoLink ? { oco_order_id: ocoLink.oco_sibling_id, oco_link_id: ocoLink.oco_link_id } : {}),
+      ...(bracketLink ? { bracket_id: bracketLink.bracket_id, stop_loss: bracketLink.stop_loss, take_profit: bracketLink.take_profit } : {}),
     });
   } catch (error) {
     logger.error('placePendingOrder internal error', { error: error.message, operationId });
@@ -1122,11 +1332,16 @@ async function closeOrder(req, res) {
     const order_id = normalizeStr(body.order_id);
     const req_user_id = normalizeStr(body.user_id);
     const provided_close_price = toNumber(body.close_price);
+    const hasCloseQuantity = body.close_quantity !== undefined && body.close_quantity !== null && body.close_quantity !== '';
+    const requested_close_quantity = hasCloseQuantity ? toNumber(body.close_quantity) : NaN;
     const incomingStatus = normalizeStr(body.status || 'CLOSED');
     const incomingOrderStatus = normalizeStr(body.order_status || 'CLOSED');
     if (!order_id) {
       return res.status(400).json({ success: false, message: 'order_id is required' });
     }
+    if (hasCloseQuantity && !(requested_close_quantity > 0)) {
+      return res.status(400).json({ success: false, message: 'close_quantity must be greater than 0 when provided' });
+    }
     if (!req_user_type || !['live', 'demo', 'strategy_provider', 'copy_follower'].includes(req_user_type)) {
       return res.status(400).json({ success: false, message: 'user_type must be live, demo, strategy_provider, or copy_follower' });
     }
@@ -1251,23 +1466,53 @@ async function closeOrder(req, res) {
     const order_type = (canonical && canonical.order_type)
       ? normalizeStr(canonical.order_type).toUpperCase()
       : (sqlRow ? normalizeStr(sqlRow.order_type).toUpperCase() : normalizeStr(body.order_type).toUpperCase());
-    const willCancelTP = canonical
+
+    // Partial close: close_quantity below the open quantity keeps the remainder open under the same order_id
+    let isPartialClose = false;
+    if (hasCloseQuantity) {
+      const currentQty = toNumber(canonical && canonical.order_quantity != null ? canonical.order_quantity : sqlRow?.order_quantity);
+      try {
+        isPartialClose = isPartialCloseQuantity(currentQty, requested_close_quantity);
+        if (isPartialClose) {
+          if (!['live', 'demo'].includes(req_user_type)) {
+            return res.status(400).json({ success: false, message: 'Partial close is only supported for live and demo accounts' });
+          }
+          let minLot = NaN;
+          try {
+            const groupName = normalizeStr((canonical && canonical.group) || 'Standard');
+            const gf = await groupsCache.getGroupFields(groupName, symbol, ['min_lot']);
+            minLot = gf && gf.min_lot != null ? Number(gf.min_lot) : NaN;
+          } catch (e) {
+            logger.warn('GroupsCache min_lot check failed for partial close', { error: e.message, order_id, symbol });
+          }
+          assertPartialCloseLots(currentQty, requested_close_quantity, minLot);
+        }
+      } catch (e) {
+        if (e instanceof PartialCloseError) return res.status(e.statusCode).json({ success: false, message: e.message });
+        throw e;
+      }
+    }
+
+    // A partial close leaves SL/TP in place for the remaining quantity
+    const willCancelTP = !isPartialClose && (canonical
       ? (canonical.take_profit != null && Number(canonical.take_profit) > 0)
-      : (sqlRow ? (sqlRow.take_profit != null && Number(sqlRow.take_profit) > 0) : false);
-    const willCancelSL = canonical
+      : (sqlRow ? (sqlRow.take_profit != null && Number(sqlRow.take_profit) > 0) : false));
+    const willCancelSL = !isPartialClose && (canonical
       ? (canonical.stop_loss != null && Number(canonical.stop_loss) > 0)
-      : (sqlRow ? (sqlRow.stop_loss != null && Number(sqlRow.stop_loss) > 0) : false);
+      : (sqlRow ? (sqlRow.stop_loss != null && Number(sqlRow.stop_loss) > 0) : false));
 
     // Generate lifecycle ids
     const close_id = await idGenerator.generateCloseOrderId();
     const takeprofit_cancel_id = willCancelTP ? await idGenerator.generateTakeProfitCancelId() : undefined;
     const stoploss_cancel_id = willCancelSL ? await idGenerator.generateStopLossCancelId() : undefined;
+    // The closed slice of a partial close becomes its own order row
+    const close_order_id = isPartialClose ? idGenerator.generateOrderId() : undefined;
 
     // Persist lifecycle ids into SQL row for traceability, and store incoming status field
     try {
       const OrderModel = req_user_type === 'live' ? LiveUserOrder : DemoUserOrder;
       // Reuse fetched sqlRow if available
-      const rowToUpdate = sqlRow || await OrderModel.findOne({ where: { order_id } });
+      const rowToUpdate = isPartialClose ? null : (sqlRow || await OrderModel.findOne({ where: { order_id } }));
       if (rowToUpdate) {
         const idUpdates = { close_id };
         if (takeprofit_cancel_id) idUpdates.takeprofit_cancel_id = takeprofit_cancel_id;
@@ -1281,7 +1526,9 @@ async function closeOrder(req, res) {
         order_id, 
         'close_id', 
         close_id, 
-        `Close order initiated - status: ${incomingStatus}`
+        isPartialClose
+          ? `Partial close initiated - quantity: ${requested_close_quantity}, close_order_id: ${close_order_id}`
+          : `Close order initiated - status: ${incomingStatus}`
       );
       
       if (takeprofit_cancel_id) {
@@ -1345,6 +1592,10 @@ async function closeOrder(req, res) {
     if (stoploss_cancel_id) pyPayload.stoploss_cancel_id = stoploss_cancel_id;
     if (!Number.isNaN(provided_close_price) && provided_close_price > 0) pyPayload.close_price = provided_close_price;
     if (body.idempotency_key) pyPayload.idempotency_key = normalizeStr(body.idempotency_key);
+    if (isPartialClose) {
+      pyPayload.close_quantity = requested_close_quantity;
+      pyPayload.close_order_id = close_order_id;
+    }
 
     const baseUrl = process.env.PYTHON_SERVICE_URL || 'http://127.0.0.1:8000';
     let pyResp;
@@ -1363,6 +1614,64 @@ async function closeOrder(req, res) {
     const result = pyResp.data?.data || pyResp.data || {};
     const flow = result.flow; // 'local' or 'provider'
 
+    if (!isPartialClose) {
+      await trailingStopService.removeTrail(order_id, { userType: req_user_type, reason: 'order_closed' });
+    }
+
+    // Local partial close: persist the closed slice and shrink the open order
+    if (flow === 'local' && result.partial) {
+      const closeOrderId = result.close_order_id || close_order_id;
+      const partialClose = {
+        userType: req_user_type,
+        userId: req_user_id,
+        parentOrderId: order_id,
+        closeOrderId,
+        closeId: close_id,
+        closedQuantity: result.closed_quantity,
+        remainingQuantity: result.remaining_quantity,
+        closePrice: result.close_price,
+        netProfit: result.net_profit,
+        commission: result.total_commission,
+        commissionEntry: result.commission_entry,
+        profitUsd: result.profit_usd,
+        swap: result.swap,
+        status: incomingStatus,
+      };
+      // The engine has already closed the slice; applyPartialClose is idempotent, so retry transient DB failures
+      let persistError = null;
+      for (let attempt = 1; attempt <= 3; attempt += 1) {
+        try {
+          await applyPartialClose(partialClose);
+          persistError = null;
+          break;
+        } catch (e) {
+          persistError = e;
+          logger.error('Failed to persist local partial close', { order_id, close_order_id: closeOrderId, attempt, error: e.message });
+          if (attempt < 3) await new Promise((resolve) => setTimeout(resolve, 200 * attempt));
+        }
+      }
+      try {
+        if (typeof result.used_margin_executed === 'number') {
+          await updateUserUsedMargin({ userType: req_user_type, userId: parseInt(req_user_id, 10), usedMargin: result.used_margin_executed });
+          portfolioEvents.emitUserUpdate(req_user_type, req_user_id, { type: 'user_margin_update', used_margin_usd: result.used_margin_executed });
+        }
+      } catch (mErr) {
+        logger.error('Failed to persist/emit margin updates after partial close', { order_id, error: mErr.message });
+      }
+      if (persistError) {
+        return res.status(500).json({
+          success: false,
+          order_id,
+          close_order_id: closeOrderId,
+          reason: 'partial_close_persist_failed',
+          message: 'Partial close was executed but could not be saved',
+          error: persistError.message,
+          data: result,
+        });
+      }
+      return res.status(200).json({ success: true, data: result, order_id, close_order_id: closeOrderId });
+    }
+
     // If local flow, finalize DB immediately
     if (flow === 'local') {
       try {
@@ -1438,7 +1747,7 @@ async function closeOrder(req, res) {
       // provider flow: DB will be updated by worker_close via RabbitMQ; we already persisted lifecycle IDs
     }
 
-    return res.status(200).json({ success: true, data: result, order_id });
+    return res.status(200).json({ success: true, data: result, order_id, ...(isPartialClose ? { close_order_id } : {}) });
   } catch (error) {
     logger.error('closeOrder internal error', { error: error.message });
     return res.status(500).json({ success: false, message: 'Internal server error', operationId });
@@ -1482,14 +1791,21 @@ async function addStopLoss(req, res) {
     const user_type = normalizeStr(body.user_type).toLowerCase();
     const symbolReq = normalizeStr(body.symbol).toUpperCase();
     const order_typeReq = normalizeStr(body.order_type).toUpperCase();
-    const stop_loss = toNumber(body.stop_loss);
+    let stop_loss = toNumber(body.stop_loss);
     const status = normalizeStr(body.status || 'STOPLOSS');
     const order_status_in = normalizeStr(body.order_status || 'OPEN');
+    // Trailing mode: stop follows the market at a fixed distance; stop_loss is optional
+    const hasTrailing = body.trailing_distance !== undefined && body.trailing_distance !== null && body.trailing_distance !== '';
+    const trailing_distance = hasTrailing ? toNumber(body.trailing_distance) : null;
+    const trailing_unit = normalizeStr(body.trailing_unit || 'pips').toLowerCase();
 
     if (!order_id || !user_id || !user_type || !symbolReq || !['BUY', 'SELL'].includes(order_typeReq)) {
       return res.status(400).json({ success: false, message: 'Missing/invalid fields' });
     }
-    if (!(stop_loss > 0)) {
+    if (hasTrailing && !(trailing_distance > 0)) {
+      return res.status(400).json({ success: false, message: 'trailing_distance must be > 0' });
+    }
+    if (!hasTrailing && !(stop_loss > 0)) {
       return res.status(400).json({ success: false, message: 'stop_loss must be > 0' });
     }
     if (tokenUserId && normalizeStr(user_id) !== normalizeStr(tokenUserId)) {
@@ -1549,12 +1865,34 @@ async function addStopLoss(req, res) {
     if (!(entry_price_num > 0)) {
       return res.status(400).json({ success: false, message: 'Invalid entry price' });
     }
-    // Price logic: SL for BUY must be < entry; for SELL must be > entry
-    if (order_type === 'BUY' && !(stop_loss < entry_price_num)) {
-      return res.status(400).json({ success: false, message: 'For BUY, stop_loss must be less than entry price' });
-    }
-    if (order_type === 'SELL' && !(stop_loss > entry_price_num)) {
-      return res.status(400).json({ success: false, message: 'For SELL, stop_loss must be greater than entry price' });
+    let trail = null;
+    if (hasTrailing) {
+      // Trailing stop is validated against the current market, since it may already lock in profit
+      try {
+        trail = await trailingStopService.prepare({
+          userType: user_type,
+          userId: user_id,
+          symbol,
+          side: order_type,
+          distance: trailing_distance,
+          unit: trailing_unit,
+          stopLoss: stop_loss > 0 ? stop_loss : null,
+        });
+      } catch (e) {
+        if (e instanceof trailingStopService.TrailingStopError) {
+          return res.status(e.statusCode).json({ success: false, message: e.message });
+        }
+        throw e;
+      }
+      stop_loss = trail.stopLoss;
+    } else {
+      // Price logic: SL for BUY must be < entry; for SELL must be > entry
+      if (order_type === 'BUY' && !(stop_loss < entry_price_num)) {
+        return res.status(400).json({ success: false, message: 'For BUY, stop_loss must be less than entry price' });
+      }
+      if (order_type === 'SELL' && !(stop_loss > entry_price_num)) {
+        return res.status(400).json({ success: false, message: 'For SELL, stop_loss must be greater than entry price' });
+      }
     }
 
     // Generate lifecycle id and persist to SQL for traceability
@@ -1570,7 +1908,9 @@ async function addStopLoss(req, res) {
         order_id, 
         'stoploss_id', 
         stoploss_id, 
-        `Stoploss added - price: ${stop_loss}`
+        trail
+          ? `Trailing stoploss added - price: ${stop_loss}, distance: ${trail.distance} ${trail.unit}`
+          : `Stoploss added - price: ${stop_loss}`
       );
     } catch (e) {
       logger.warn('Failed to persist stoploss_id before send', { order_id, error: e.message });
@@ -1631,7 +1971,37 @@ async function addStopLoss(req, res) {
       }
     } catch (_) {}
 
-    return res.status(200).json({ success: true, data: result, order_id, stoploss_id });
+    // A fixed stop replaces any trailing stop; a trailing request (re)registers the trail
+    if (trail) {
+      try {
+        await trailingStopService.registerTrail({
+          orderId: order_id,
+          userId: user_id,
+          userType: user_type,
+          symbol,
+          side: order_type,
+          group: trail.group,
+          distance: trail.distance,
+          unit: trail.unit,
+          distancePrice: trail.distancePrice,
+          stopLoss: stop_loss,
+          stoplossId: stoploss_id,
+          flow: result.flow,
+        });
+      } catch (e) {
+        logger.error('Failed to register trailing stop', { order_id, error: e.message });
+      }
+    } else {
+      await trailingStopService.removeTrail(order_id, { userType: user_type, reason: 'manual_stoploss' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: result,
+      order_id,
+      stoploss_id,
+      ...(trail ? { stop_loss, trailing_distance: trail.distance, trailing_unit: trail.unit } : {}),
+    });
   } catch (error) {
     logger.error('addStopLoss internal error', { error: error.message });
     return res.status(500).json({ success: false, message: 'Internal server error', operationId });
@@ -2041,6 +2411,8 @@ async function cancelStopLoss(req, res) {
       }
     } catch (_) {}
 
+    await trailingStopService.removeTrail(order_id, { userType: user_type, reason: 'stoploss_cancelled' });
+
     return res.status(200).json({ success: true, data: result, order_id, stoploss_cancel_id });
   } catch (error) {
     logger.error('cancelStopLoss internal error', { error: error.message });
@@ -2373,6 +2745,7 @@ async function cancelPendingOrder(req, res) {
           reason: 'local_pending_cancel'
         });
       } catch (_) {}
+      await pendingLinkService.unlink(order_id, { reason: 'cancelled' });
       return res.status(200).json({ success: true, order_id, order_status: 'CANCELLED' });
     }
 
@@ -2382,7 +2755,7 @@ async function cancelPendingOrder(req, res) {
     if (!cancel_id) return res.status(500).json({ success: false, message: 'Failed to generate cancel id' });
     try {
       const rowNow = await OrderModel.findOne({ where: { order_id } });
-      if (rowNow) await rowNow.update({ cancel_id, status: statusReq });
+      if (rowNow) await rowNow.update({ cancel_id, status: statusReq, close_message: cancel_message });
     } catch (e) { logger.warn('Failed to persist cancel_id', { error: e.message, order_id }); }
     try {
       const tag = `${user_type}:${user_id}`;
@@ -2421,6 +2794,97 @@ async function cancelPendingOrder(req, res) {
   }
 }
 
+// Close every open position matching a filter (all, symbol, side, profitable/losing) via closeOrder
+async function closeBulkOrders(req, res) {
+  const operationId = `close_bulk_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  try {
+    orderReqLogger.logOrderRequest({ endpoint: 'closeBulkOrders', operationId, method: req.method, path: req.originalUrl || req.url, ip: req.ip, user: req.user, headers: req.headers, body: req.body }).catch(() => {});
+    const user = req.user || {};
+    const tokenUserId = getTokenUserId(user);
+    const role = user.role || user.user_role;
+    const isSelfTrading = user.is_self_trading;
+    const userStatus = user.status;
+
+    if (role && role !== 'trader') return res.status(403).json({ success: false, message: 'User role not allowed for close order' });
+    if (isSelfTrading !== undefined && String(isSelfTrading) !== '1') return res.status(403).json({ success: false, message: 'Self trading is disabled for this user' });
+    if (userStatus !== undefined && String(userStatus) === '0') return res.status(403).json({ success: false, message: 'User status is not allowed to trade' });
+
+    const body = req.body || {};
+    const user_id = normalizeStr(body.user_id);
+    const user_type = normalizeStr(body.user_type).toLowerCase();
+    if (!user_id || !['live', 'demo'].includes(user_type)) {
+      return res.status(400).json({ success: false, message: 'user_id and user_type (live or demo) are required' });
+    }
+    if (tokenUserId && normalizeStr(user_id) !== normalizeStr(tokenUserId)) {
+      return res.status(403).json({ success: false, message: 'Cannot close orders for another user' });
+    }
+
+    let filter;
+    try {
+      filter = parseBulkCloseFilter(body);
+    } catch (e) {
+      if (e instanceof BulkCloseError) return res.status(e.statusCode).json({ success: false, message: e.message });
+      throw e;
+    }
+
+    const report = await closePositions({
+      userType: user_type,
+      userId: user_id,
+      filter,
+      closeOne: (p) => invokeOrdersHandler('closeOrder', {
+        order_id: p.order_id,
+        user_id,
+        user_type,
+        symbol: p.symbol,
+        order_type: p.order_type,
+        status: 'CLOSED',
+        order_status: 'CLOSED',
+      }, 'close_bulk'),
+    });
+
+    // 207 Multi-Status when some closes failed; each result carries its own status_code
+    return res.status(report.failed > 0 ? 207 : 200).json({ success: report.failed === 0, operationId, ...report });
+  } catch (error) {
+    logger.error('closeBulkOrders internal error', { error: error.message, operationId });
+    return res.status(500).json({ success: false, message: 'Internal server error', operationId });
+  }
+}
+
+// Pre-trade calculator: margin, pip value, commission, swap and P&L at SL/TP without placing an order
+async function previewOrder(req, res) {
+  const operationId = `order_preview_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  try {
+    const user = req.user || {};
+    const tokenUserId = getTokenUserId(user);
+    const role = user.role || user.user_role;
+    if (role && role !== 'trader') {
+      return res.status(403).json({ success: false, message: 'User role not allowed for order preview' });
+    }
+
+    const body = req.body || {};
+    const user_id = normalizeStr(body.user_id);
+    const user_type = normalizeStr(body.user_type).toLowerCase();
+    if (!user_id || !['live', 'demo'].includes(user_type)) {
+      return res.status(400).json({ success: false, message: 'user_id and user_type (live or demo) are required' });
+    }
+    if (tokenUserId && normalizeStr(user_id) !== normalizeStr(tokenUserId)) {
+      return res.status(403).json({ success: false, message: 'Cannot preview orders for another user' });
+    }
+
+    try {
+      const input = parsePreviewInput(body);
+      const data = await buildOrderPreview({ userType: user_type, userId: user_id, input });
+      return res.status(200).json({ success: true, data });
+    } catch (e) {
+      if (e instanceof OrderPreviewError) return res.status(e.statusCode).json({ success: false, message: e.message });
+      throw e;
+    }
+  } catch (error) {
+    logger.error('previewOrder internal error', { error: error.message, operationId });
+    return res.status(500).json({ success: false, message: 'Internal server error', operationId });
+  }
+}
+
 async function getClosedOrders(req, res) {
   const operationId = `closed_orders_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
   try {
@@ -2439,6 +2903,24 @@ async function getClosedOrders(req, res) {
     const userType = String(user.account_type || user.user_type || 'live').toLowerCase();
     const OrderModel = userType === 'live' ? LiveUserOrder : DemoUserOrder;
 
+    // Filters and sorting
+    let history;
+    try {
+      history = parseClosedOrdersQuery(req.query || {});
+    } catch (e) {
+      if (e instanceof OrderHistoryError) return res.status(e.statusCode).json({ success: false, message: e.message });
+      throw e;
+    }
+    const where = buildClosedOrdersWhere(tokenUserId, history.filters);
+
+    // CSV export streams every matching row (no pagination)
+    if (String(req.query.format || '').toLowerCase() === 'csv') {
+      const filename = `closed-orders-${userType}-${tokenUserId}-${new Date().toISOString().slice(0, 10)}.csv`;
+      const written = await streamClosedOrdersCsv(res, { OrderModel, where, order: history.order, filename });
+      logger.info('Closed orders CSV exported', { operationId, userType, userId: tokenUserId, rows: written });
+      return;
+    }
+
     // Pagination
     const page = Math.max(1, parseInt(req.query.page || req.body?.page || '1', 10));
     const pageSizeRaw = parseInt(req.query.page_size || req.query.limit || req.body?.page_size || req.body?.limit || '20', 10);
@@ -2446,8 +2928,8 @@ async function getClosedOrders(req, res) {
     const offset = (page - 1) * pageSize;
 
     const { count, rows } = await OrderModel.findAndCountAll({
-      where: { order_user_id: parseInt(tokenUserId, 10), order_status: 'CLOSED' },
-      order: [['updated_at', 'DESC']],
+      where,
+      order: history.order,
       offset,
       limit: pageSize,
     });
@@ -2469,6 +2951,8 @@ async function getClosedOrders(req, res) {
       commission: r.commission?.toString?.() ?? null,
       swap: r.swap?.toString?.() ?? null,
       close_message: r.close_message ?? null,
+      close_id: r.close_id ?? null,
+      parent_order_id: r.parent_order_id ?? null,
       created_at: r.created_at ? (r.created_at instanceof Date ? r.created_at.toISOString() : new Date(r.created_at).toISOString()) : null,
       updated_at: r.updated_at ? (r.updated_at instanceof Date ? r.updated_at.toISOString() : new Date(r.updated_at).toISOString()) : null,
     }));
@@ -2476,8 +2960,13 @@ async function getClosedOrders(req, res) {
     return res.status(200).json(data);
   } catch (error) {
     logger.error('getClosedOrders internal error', { error: error.message, operationId });
+    if (res.headersSent) {
+      // Failed mid-stream (CSV): the status is already out, just terminate the download
+      res.end();
+      return;
+    }
     return res.status(500).json({ success: false, message: 'Internal server error', operationId });
   }
 }
 
-module.exports = { placeInstantOrder, placePendingOrder, closeOrder, addStopLoss, addTakeProfit, cancelStopLoss, cancelTakeProfit, cancelPendingOrder, modifyPendingOrder, getClosedOrders };
+module.exports = { placeInstantOrder, placePendingOrder, closeOrder, closeBulkOrders, addStopLoss, addTakeProfit, cancelStopLoss, cancelTakeProfit, cancelPendingOrder, modifyPendingOrder, getClosedOrders, previewOrder };
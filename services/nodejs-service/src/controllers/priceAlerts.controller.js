@@ -0,0 +1,110 @@
+const logger = require('../services/logger.service');
+const priceAlertService = require('../services/priceAlert.service');
+
+const { PriceAlertError } = priceAlertService;
+
+function getAuthUser(req) {
+  const user = req.user || {};
+  const userId = user.sub || user.user_id || user.id;
+  const userType = (user.user_type || user.account_type || 'live').toString().toLowerCase();
+  const isActive = !!user.is_active;
+  return { userId, userType, isActive };
+}
+
+function rejectUnauthenticated(res, { userId, isActive }) {
+  if (!userId) {
+    res.status(401).json({ success: false, message: 'Unauthorized' });
+    return true;
+  }
+  if (!isActive) {
+    res.status(401).json({ success: false, message: 'User account is inactive' });
+    return true;
+  }
+  return false;
+}
+
+function handleError(res, operation, operationId, error) {
+  if (error instanceof PriceAlertError) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  logger.transactionFailure(operation, error, { operationId });
+  return res.status(500).json({ success: false, message: 'Internal server error' });
+}
+
+async function createAlert(req, res) {
+  const operationId = `price_alert_create_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  try {
+    const auth = getAuthUser(req);
+    if (rejectUnauthenticated(res, auth)) return;
+
+    logger.transactionStart('price_alert_create', { operationId, userId: auth.userId, symbol: req.body?.symbol });
+    const alert = await priceAlertService.createAlert({ userType: auth.userType, userId: auth.userId, body: req.body || {} });
+    logger.transactionSuccess('price_alert_create', { operationId, userId: auth.userId, alertId: alert.id });
+
+    return res.status(201).json({ success: true, message: 'Price alert created', data: alert });
+  } catch (error) {
+    return handleError(res, 'price_alert_create', operationId, error);
+  }
+}
+
+async function getAlerts(req, res) {
+  const operationId = `price_alert_list_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  try {
+    const auth = getAuthUser(req);
+    if (rejectUnauthenticated(res, auth)) return;
+
+    const alerts = await priceAlertService.listAlerts({
+      userType: auth.userType,
+      userId: auth.userId,
+      status: req.query?.status,
+      symbol: req.query?.symbol,
+    });
+    return res.status(200).json({ success: true, data: alerts });
+  } catch (error) {
+    return handleError(res, 'price_alert_list', operationId, error);
+  }
+}
+
+async function updateAlert(req, res) {
+  const operationId = `price_alert_update_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  try {
+    const auth = getAuthUser(req);
+    if (rejectUnauthenticated(res, auth)) return;
+
+    logger.transactionStart('price_alert_update', { operationId, userId: auth.userId, alertId: req.params.id });
+    const alert = await priceAlertService.updateAlert({
+      userType: auth.userType,
+      userId: auth.userId,
+      alertId: req.params.id,
+      body: req.body || {},
+    });
+    logger.transactionSuccess('price_alert_update', { operationId, userId: auth.userId, alertId: alert.id });
+
+    return res.status(200).json({ success: true, message: 'Price alert updated', data: alert });
+  } catch (error) {
+    return handleError(res, 'price_alert_update', operationId, error);
+  }
+}
+
+async function deleteAlert(req, res) {
+  const operationId = `price_alert_delete_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  try {
+    const auth = getAuthUser(req);
+    if (rejectUnauthenticated(res, auth)) return;
+
+    logger.transactionStart('price_alert_delete', { operationId, userId: auth.userId, alertId: req.params.id });
+    const result = await priceAlertService.deleteAlert({ userType: auth.userType, userId: auth.userId, alertId: req.params.id });
+    logger.transactionSuccess('price_alert_delete', { operationId, userId: auth.userId, alertId: result.id });
+
+    return res.status(200).json({ success: true, message: 'Price alert deleted', data: result });
+  } catch (error) {
+    return handleError(res, 'price_alert_delete', operationId, error);
+  }
+}
+
+module.exports = {
+  createAlert,
+  getAlerts,
+  updateAlert,
+  deleteAlert,
+};
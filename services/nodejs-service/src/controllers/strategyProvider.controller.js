@@ -1,4 +1,8 @@
 const strategyProviderService = require('../services/strategyProvider.service');
+const strategyProviderAnalyticsService = require('../services/strategyProviderAnalytics.service');
+const copyTradingSimulatorService = require('../services/copyTradingSimulator.service');
+const copyReplicationQualityService = require('../services/copyReplicationQuality.service');
+const strategyReviewService = require('../services/strategyReview.service');
 const StrategyProviderAccount = require('../models/strategyProviderAccount.model');
 const CopyFollowerAccount = require('../models/copyFollowerAccount.model');
 const LiveUser = require('../models/liveUser.model');
@@ -427,6 +431,14 @@ async function getCatalogStrategies(req, res) {
       }
     }
     
+    // Follower rating filter
+    if (req.query.min_rating !== undefined) {
+      const minRating = parseFloat(req.query.min_rating);
+      if (!isNaN(minRating) && minRating >= 0 && minRating <= 5) {
+        filters.min_rating = minRating;
+      }
+    }
+    
     // Search filter
     if (req.query.search && req.query.search.trim()) {
       filters.search = req.query.search.trim();
@@ -449,7 +461,7 @@ async function getCatalogStrategies(req, res) {
     }
 
     // Sort filter
-    const validSortOptions = ['performance', 'followers', 'newest', 'performance_fee', 'three_month_return', 'drawdown'];
+    const validSortOptions = ['performance', 'followers', 'newest', 'performance_fee', 'three_month_return', 'drawdown', 'rating', 'reviews'];
     if (req.query.sort_by && validSortOptions.includes(req.query.sort_by)) {
       filters.sort_by = req.query.sort_by;
     }
@@ -487,6 +499,345 @@ async function getCatalogStrategies(req, res) {
   }
 }
 
+/**
+ * Get performance analytics for a strategy provider
+ * GET /api/strategy-providers/:id/analytics
+ */
+async function getStrategyAnalytics(req, res) {
+  try {
+    const userId = getUserId(req.user);
+    const strategyProviderId = parseInt(req.params.id);
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    if (!strategyProviderId || isNaN(strategyProviderId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid strategy provider ID'
+      });
+    }
+
+    const analytics = await strategyProviderAnalyticsService.getAnalytics(userId, strategyProviderId, {
+      days: req.query.days
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Strategy analytics retrieved successfully',
+      data: analytics
+    });
+
+  } catch (error) {
+    if (error instanceof strategyProviderAnalyticsService.StrategyAnalyticsError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Failed to get strategy analytics', {
+      userId: getUserId(req.user),
+      strategyProviderId: req.params.id,
+      error: error.message,
+      ip: req.ip
+    });
+
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving strategy analytics'
+    });
+  }
+}
+
+/**
+ * Copy replication quality of the user's strategy: delay, slippage, failures and P&L divergence
+ * GET /api/strategy-providers/:id/replication-quality
+ */
+async function getReplicationQuality(req, res) {
+  try {
+    const userId = getUserId(req.user);
+    const strategyProviderId = parseInt(req.params.id);
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    if (!strategyProviderId || isNaN(strategyProviderId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid strategy provider ID'
+      });
+    }
+
+    const report = await copyReplicationQualityService.getProviderReport(userId, strategyProviderId, {
+      from: req.query.from,
+      to: req.query.to,
+      follower_id: req.query.follower_id
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Replication quality report retrieved successfully',
+      data: report
+    });
+
+  } catch (error) {
+    if (error instanceof copyReplicationQualityService.ReplicationQualityError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Failed to get replication quality report', {
+      userId: getUserId(req.user),
+      strategyProviderId: req.params.id,
+      error: error.message,
+      ip: req.ip
+    });
+
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving replication quality report'
+    });
+  }
+}
+
+function handleReviewError(req, res, error, action, fallbackMessage) {
+  if (error instanceof strategyReviewService.StrategyReviewError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  logger.error(`Failed to ${action}`, {
+    userId: getUserId(req.user),
+    strategyProviderId: req.params.id,
+    reviewId: req.params.reviewId,
+    error: error.message,
+    ip: req.ip
+  });
+
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+}
+
+/**
+ * Get published follower reviews of a public strategy (no authentication required)
+ * GET /api/strategy-providers/:id/reviews
+ */
+async function getStrategyReviews(req, res) {
+  try {
+    const strategyProviderId = parseInt(req.params.id);
+    if (!strategyProviderId || isNaN(strategyProviderId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid strategy provider ID'
+      });
+    }
+
+    const result = await strategyReviewService.listReviews(strategyProviderId, {
+      page: req.query.page,
+      limit: req.query.limit,
+      sort_by: req.query.sort_by
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Strategy reviews retrieved successfully',
+      data: result
+    });
+
+  } catch (error) {
+    return handleReviewError(req, res, error, 'get strategy reviews',
+      'Internal server error while retrieving strategy reviews');
+  }
+}
+
+/**
+ * Write or update the authenticated follower's review of a strategy
+ * POST /api/strategy-providers/:id/reviews
+ */
+async function submitStrategyReview(req, res) {
+  try {
+    const userId = getUserId(req.user);
+    const strategyProviderId = parseInt(req.params.id);
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    if (!strategyProviderId || isNaN(strategyProviderId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid strategy provider ID'
+      });
+    }
+
+    const { review, created } = await strategyReviewService.submitReview(userId, strategyProviderId, req.body || {});
+
+    return res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Review submitted successfully' : 'Review updated successfully',
+      data: review
+    });
+
+  } catch (error) {
+    return handleReviewError(req, res, error, 'submit strategy review',
+      'Internal server error while submitting review');
+  }
+}
+
+/**
+ * Delete the authenticated follower's review of a strategy
+ * DELETE /api/strategy-providers/:id/reviews
+ */
+async function deleteStrategyReview(req, res) {
+  try {
+    const userId = getUserId(req.user);
+    const strategyProviderId = parseInt(req.params.id);
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    if (!strategyProviderId || isNaN(strategyProviderId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid strategy provider ID'
+      });
+    }
+
+    const result = await strategyReviewService.deleteOwnReview(userId, strategyProviderId);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Review deleted successfully',
+      data: result
+    });
+
+  } catch (error) {
+    return handleReviewError(req, res, error, 'delete strategy review',
+      'Internal server error while deleting review');
+  }
+}
+
+/**
+ * Post, change or remove the strategy owner's public reply to a review
+ * PUT /api/strategy-providers/:id/reviews/:reviewId/reply
+ */
+async function replyToStrategyReview(req, res) {
+  try {
+    const userId = getUserId(req.user);
+    const strategyProviderId = parseInt(req.params.id);
+    const reviewId = parseInt(req.params.reviewId);
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    if (!strategyProviderId || isNaN(strategyProviderId) || !reviewId || isNaN(reviewId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid strategy provider or review ID'
+      });
+    }
+
+    const review = await strategyReviewService.replyToReview(userId, strategyProviderId, reviewId, (req.body || {}).reply);
+
+    return res.status(200).json({
+      success: true,
+      message: review.provider_reply ? 'Reply saved successfully' : 'Reply removed successfully',
+      data: review
+    });
+
+  } catch (error) {
+    return handleReviewError(req, res, error, 'reply to strategy review',
+      'Internal server error while saving reply');
+  }
+}
+
+/**
+ * Simulate copying a strategy with a given investment and copy settings
+ * POST /api/strategy-providers/:id/simulate
+ */
+async function simulateCopyTrading(req, res) {
+  try {
+    const userId = getUserId(req.user);
+    const strategyProviderId = parseInt(req.params.id);
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    if (!strategyProviderId || isNaN(strategyProviderId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid strategy provider ID'
+      });
+    }
+
+    const result = await copyTradingSimulatorService.simulate(userId, strategyProviderId, req.body || {});
+
+    logger.info('Copy trading simulation run', {
+      userId,
+      strategyProviderId,
+      investmentAmount: result.parameters.investment_amount,
+      tradesReplayed: result.summary.trades_replayed,
+      ip: req.ip
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Simulation completed successfully',
+      data: result
+    });
+
+  } catch (error) {
+    if (error instanceof copyTradingSimulatorService.SimulationError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Failed to run copy trading simulation', {
+      userId: getUserId(req.user),
+      strategyProviderId: req.params.id,
+      error: error.message,
+      ip: req.ip
+    });
+
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while running simulation'
+    });
+  }
+}
+
 /**
  * Check catalog eligibility for a specific strategy provider
  * GET /api/strategy-providers/:id/catalog-eligibility
@@ -1123,6 +1474,13 @@ module.exports = {
   getPrivateStrategyByLink,
   getCatalogStrategies,
   checkCatalogEligibility,
+  getStrategyAnalytics,
+  getReplicationQuality,
+  getStrategyReviews,
+  submitStrategyReview,
+  deleteStrategyReview,
+  replyToStrategyReview,
+  simulateCopyTrading,
   updateCatalogEligibilityByBalance,
   checkTradingEligibility,
   switchToStrategyProvider,
@@ -0,0 +1,156 @@
+const catalogEligibilityRuleService = require('../services/catalogEligibilityRule.service');
+const adminAuditService = require('../services/admin.audit.service');
+const logger = require('../services/logger.service');
+
+/**
+ * Get admin ID from JWT token
+ * @param {Object} admin - Admin object from JWT
+ * @returns {number} Admin ID
+ */
+function getAdminId(admin) {
+  return admin?.id || admin?.sub || admin?.user_id;
+}
+
+function handleError(req, res, error, action, fallbackMessage) {
+  if (error instanceof catalogEligibilityRuleService.CatalogRuleError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  logger.error(`Failed to ${action}`, {
+    ruleId: req.params.ruleId,
+    adminId: getAdminId(req.admin),
+    error: error.message,
+    ip: req.ip
+  });
+
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+}
+
+async function audit(req, action, status, errorMessage) {
+  await adminAuditService.logAction({
+    adminId: getAdminId(req.admin),
+    action,
+    ipAddress: req.ip,
+    requestBody: { rule_id: req.params.ruleId, ...req.body },
+    status,
+    errorMessage
+  });
+}
+
+/**
+ * List catalog eligibility rules
+ * GET /api/superadmin/strategy-providers/catalog-rules
+ */
+async function listCatalogRules(req, res) {
+  try {
+    const rules = await catalogEligibilityRuleService.listRules();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Catalog eligibility rules retrieved successfully',
+      data: {
+        rules,
+        rule_types: Object.keys(catalogEligibilityRuleService.RULE_TYPES)
+      }
+    });
+
+  } catch (error) {
+    return handleError(req, res, error, 'list catalog eligibility rules',
+      'Internal server error while retrieving catalog eligibility rules');
+  }
+}
+
+/**
+ * Create a catalog eligibility rule
+ * POST /api/superadmin/strategy-providers/catalog-rules
+ */
+async function createCatalogRule(req, res) {
+  try {
+    const rule = await catalogEligibilityRuleService.createRule(req.body || {}, getAdminId(req.admin));
+    await audit(req, 'CATALOG_RULE_CREATE', 'SUCCESS');
+
+    return res.status(201).json({
+      success: true,
+      message: 'Catalog eligibility rule created successfully',
+      data: rule
+    });
+
+  } catch (error) {
+    await audit(req, 'CATALOG_RULE_CREATE', 'FAILURE', error.message);
+    return handleError(req, res, error, 'create catalog eligibility rule',
+      'Internal server error while creating catalog eligibility rule');
+  }
+}
+
+/**
+ * Update a catalog eligibility rule
+ * PUT /api/superadmin/strategy-providers/catalog-rules/:ruleId
+ */
+async function updateCatalogRule(req, res) {
+  try {
+    const ruleId = parseInt(req.params.ruleId);
+    if (!ruleId || isNaN(ruleId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid rule ID'
+      });
+    }
+
+    const rule = await catalogEligibilityRuleService.updateRule(ruleId, req.body || {}, getAdminId(req.admin));
+    await audit(req, 'CATALOG_RULE_UPDATE', 'SUCCESS');
+
+    return res.status(200).json({
+      success: true,
+      message: 'Catalog eligibility rule updated successfully',
+      data: rule
+    });
+
+  } catch (error) {
+    await audit(req, 'CATALOG_RULE_UPDATE', 'FAILURE', error.message);
+    return handleError(req, res, error, 'update catalog eligibility rule',
+      'Internal server error while updating catalog eligibility rule');
+  }
+}
+
+/**
+ * Delete a catalog eligibility rule
+ * DELETE /api/superadmin/strategy-providers/catalog-rules/:ruleId
+ */
+async function deleteCatalogRule(req, res) {
+  try {
+    const ruleId = parseInt(req.params.ruleId);
+    if (!ruleId || isNaN(ruleId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid rule ID'
+      });
+    }
+
+    const rule = await catalogEligibilityRuleService.deleteRule(ruleId, getAdminId(req.admin));
+    await audit(req, 'CATALOG_RULE_DELETE', 'SUCCESS');
+
+    return res.status(200).json({
+      success: true,
+      message: 'Catalog eligibility rule deleted successfully',
+      data: rule
+    });
+
+  } catch (error) {
+    await audit(req, 'CATALOG_RULE_DELETE', 'FAILURE', error.message);
+    return handleError(req, res, error, 'delete catalog eligibility rule',
+      'Internal server error while deleting catalog eligibility rule');
+  }
+}
+
+module.exports = {
+  listCatalogRules,
+  createCatalogRule,
+  updateCatalogRule,
+  deleteCatalogRule
+};
@@ -1,6 +1,7 @@
 const moneyRequestService = require('../services/moneyRequest.service');
 const logger = require('../services/logger.service');
 const adminAuditService = require('../services/admin.audit.service');
+const makerCheckerService = require('../services/makerChecker.service');
 
 function getAdmin(req) {
   const admin = req.admin || {};
@@ -8,23 +9,27 @@ function getAdmin(req) {
   return { adminId };
 }
 
-// GET /api/superadmin/money-requests/pending?type=withdraw|deposit&limit=&offset=
+// GET /api/superadmin/money-requests/pending?type=withdraw|deposit&status=&limit=&offset=
 async function getPending(req, res) {
   const operationId = `money_req_pending_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
   try {
-    const { type, limit, offset } = req.query || {};
+    const { type, status, limit, offset } = req.query || {};
     const allowedTypes = ['deposit', 'withdraw'];
     if (type && !allowedTypes.includes(String(type).toLowerCase())) {
       return res.status(400).json({ success: false, message: 'Invalid type. Allowed: deposit, withdraw' });
     }
-    const result = await moneyRequestService.getPendingRequests({ type, limit, offset });
+    const allowedStatuses = ['pending', 'on_hold', 'pending_second_approval'];
+    if (status && !allowedStatuses.includes(status)) {
+      return res.status(400).json({ success: false, message: `Invalid status. Allowed: ${allowedStatuses.join(', ')}` });
+    }
+    const result = await moneyRequestService.getPendingRequests({ type, status, limit, offset });
 
     // Audit
     await adminAuditService.logAction({
       adminId: req.admin?.id,
       action: 'MONEY_REQUESTS_LIST_PENDING',
       ipAddress: req.ip,
-      requestBody: { type, limit, offset },
+      requestBody: { type, status, limit, offset },
       status: 'SUCCESS',
     });
     return res.status(200).json({ success: true, message: 'Pending requests fetched', data: result });
@@ -34,7 +39,7 @@ async function getPending(req, res) {
       adminId: req.admin?.id,
       action: 'MONEY_REQUESTS_LIST_PENDING',
       ipAddress: req.ip,
-      requestBody: { type: req.query?.type, limit: req.query?.limit, offset: req.query?.offset },
+      requestBody: { type: req.query?.type, status: req.query?.status, limit: req.query?.limit, offset: req.query?.offset },
       status: 'FAILURE',
       errorMessage: error.message,
     });
@@ -72,7 +77,14 @@ async function getById(req, res) {
   }
 }
 
+// Audit action for a successful approval: the first of two, the second of two, or a single one
+function approvalAction(updated) {
+  if (updated.status === 'pending_second_approval') return 'MONEY_REQUEST_FIRST_APPROVE';
+  return updated.first_approved_by ? 'MONEY_REQUEST_SECOND_APPROVE' : 'MONEY_REQUEST_APPROVE';
+}
+
 // POST /api/superadmin/money-requests/:requestId/approve
+// Withdrawals above the maker-checker threshold need this call from two different admins
 async function approve(req, res) {
   const operationId = `money_req_approve_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
   try {
@@ -81,14 +93,25 @@ async function approve(req, res) {
     const { notes } = req.body || {};
     if (!Number.isFinite(id)) return res.status(400).json({ success: false, message: 'Invalid request id' });
     const updated = await moneyRequestService.approveRequest(id, adminId, notes || null);
+    const action = approvalAction(updated);
 
     await adminAuditService.logAction({
       adminId,
-      action: 'MONEY_REQUEST_APPROVE',
+      action,
       ipAddress: req.ip,
-      requestBody: { id, notes },
+      requestBody: {
+        id,
+        notes,
+        type: updated.type,
+        amount: updated.amount,
+        first_approved_by: updated.first_approved_by,
+        transaction_id: updated.transaction_id
+      },
       status: 'SUCCESS',
     });
+    if (action === 'MONEY_REQUEST_FIRST_APPROVE') {
+      return res.status(202).json({ success: true, message: 'Request awaiting second approval by a different admin', data: updated });
+    }
     return res.status(200).json({ success: true, message: 'Request approved', data: updated });
   } catch (error) {
     logger.error('Failed to approve money request', { operationId, error: error.message });
@@ -100,7 +123,8 @@ async function approve(req, res) {
       status: 'FAILURE',
       errorMessage: error.message,
     });
-    return res.status(400).json({ success: false, message: error.message || 'Failed to approve request' });
+    const statusCode = error instanceof makerCheckerService.MakerCheckerError ? error.statusCode : 400;
+    return res.status(statusCode).json({ success: false, message: error.message || 'Failed to approve request' });
   }
 }
 
@@ -0,0 +1,156 @@
+const walletReconciliationService = require('../services/walletReconciliation.service');
+const adminAuditService = require('../services/admin.audit.service');
+const logger = require('../services/logger.service');
+
+/**
+ * Get admin ID from JWT token
+ * @param {Object} admin - Admin object from JWT
+ * @returns {number} Admin ID
+ */
+function getAdminId(admin) {
+  return admin?.id || admin?.sub || admin?.user_id;
+}
+
+function handleError(req, res, error, action, fallbackMessage) {
+  if (error instanceof walletReconciliationService.WalletReconciliationError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  logger.error(`Failed to ${action}`, {
+    params: req.params,
+    adminId: getAdminId(req.admin),
+    error: error.message,
+    ip: req.ip
+  });
+
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+}
+
+async function audit(req, action, status, errorMessage) {
+  await adminAuditService.logAction({
+    adminId: getAdminId(req.admin),
+    action,
+    ipAddress: req.ip,
+    requestBody: { discrepancy_id: req.params.discrepancyId, ...req.body },
+    status,
+    errorMessage
+  });
+}
+
+function parseId(value, res, label) {
+  const id = parseInt(value);
+  if (!id || isNaN(id)) {
+    res.status(400).json({
+      success: false,
+      message: `Invalid ${label}`
+    });
+    return null;
+  }
+  return id;
+}
+
+/**
+ * List reconciliation discrepancies
+ * GET /api/superadmin/wallet-reconciliation/discrepancies
+ */
+async function listDiscrepancies(req, res) {
+  try {
+    const result = await walletReconciliationService.listDiscrepancies(req.query || {});
+
+    return res.status(200).json({
+      success: true,
+      message: 'Wallet discrepancies retrieved successfully',
+      data: result
+    });
+
+  } catch (error) {
+    return handleError(req, res, error, 'list wallet discrepancies',
+      'Internal server error while retrieving wallet discrepancies');
+  }
+}
+
+/**
+ * Replay one account's ledger now and list its discrepancies
+ * GET /api/superadmin/wallet-reconciliation/accounts/:userType/:accountId
+ */
+async function getAccountReport(req, res) {
+  try {
+    const accountId = parseId(req.params.accountId, res, 'account ID');
+    if (!accountId) return;
+
+    const report = await walletReconciliationService.getAccountReport(req.params.userType, accountId);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Account reconciliation retrieved successfully',
+      data: report
+    });
+
+  } catch (error) {
+    return handleError(req, res, error, 'reconcile account',
+      'Internal server error while reconciling account');
+  }
+}
+
+/**
+ * Repair a wallet or cache mismatch
+ * POST /api/superadmin/wallet-reconciliation/discrepancies/:discrepancyId/repair
+ */
+async function repairDiscrepancy(req, res) {
+  try {
+    const discrepancyId = parseId(req.params.discrepancyId, res, 'discrepancy ID');
+    if (!discrepancyId) return;
+
+    const discrepancy = await walletReconciliationService.repairDiscrepancy(discrepancyId, req.body || {}, getAdminId(req.admin));
+    await audit(req, 'WALLET_RECONCILIATION_REPAIR', 'SUCCESS');
+
+    return res.status(200).json({
+      success: true,
+      message: 'Wallet discrepancy repaired successfully',
+      data: discrepancy
+    });
+
+  } catch (error) {
+    await audit(req, 'WALLET_RECONCILIATION_REPAIR', 'FAILURE', error.message);
+    return handleError(req, res, error, 'repair wallet discrepancy',
+      'Internal server error while repairing wallet discrepancy');
+  }
+}
+
+/**
+ * Acknowledge a discrepancy without repairing it
+ * POST /api/superadmin/wallet-reconciliation/discrepancies/:discrepancyId/ignore
+ */
+async function ignoreDiscrepancy(req, res) {
+  try {
+    const discrepancyId = parseId(req.params.discrepancyId, res, 'discrepancy ID');
+    if (!discrepancyId) return;
+
+    const discrepancy = await walletReconciliationService.ignoreDiscrepancy(discrepancyId, req.body || {}, getAdminId(req.admin));
+    await audit(req, 'WALLET_RECONCILIATION_IGNORE', 'SUCCESS');
+
+    return res.status(200).json({
+      success: true,
+      message: 'Wallet discrepancy ignored successfully',
+      data: discrepancy
+    });
+
+  } catch (error) {
+    await audit(req, 'WALLET_RECONCILIATION_IGNORE', 'FAILURE', error.message);
+    return handleError(req, res, error, 'ignore wallet discrepancy',
+      'Internal server error while ignoring wallet discrepancy');
+  }
+}
+
+module.exports = {
+  listDiscrepancies,
+  getAccountReport,
+  repairDiscrepancy,
+  ignoreDiscrepancy
+};
@@ -0,0 +1,56 @@
+const copyReplicationQualityService = require('../services/copyReplicationQuality.service');
+const logger = require('../services/logger.service');
+
+/**
+ * Get admin ID from JWT token
+ * @param {Object} admin - Admin object from JWT
+ * @returns {number} Admin ID
+ */
+function getAdminId(admin) {
+  return admin?.id || admin?.sub || admin?.user_id;
+}
+
+/**
+ * Copy replication quality across strategies, or for one strategy
+ * GET /api/superadmin/strategy-providers/replication-quality
+ */
+async function getReplicationQuality(req, res) {
+  try {
+    const report = await copyReplicationQualityService.getAdminReport({
+      strategy_provider_id: req.query.strategy_provider_id,
+      follower_id: req.query.follower_id,
+      from: req.query.from,
+      to: req.query.to
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Replication quality report retrieved successfully',
+      data: report
+    });
+
+  } catch (error) {
+    if (error instanceof copyReplicationQualityService.ReplicationQualityError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Failed to get replication quality report', {
+      adminId: getAdminId(req.admin),
+      query: req.query,
+      error: error.message,
+      ip: req.ip
+    });
+
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving replication quality report'
+    });
+  }
+}
+
+module.exports = {
+  getReplicationQuality
+};
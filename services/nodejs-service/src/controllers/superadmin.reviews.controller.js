@@ -0,0 +1,132 @@
+const strategyReviewService = require('../services/strategyReview.service');
+const adminAuditService = require('../services/admin.audit.service');
+const logger = require('../services/logger.service');
+
+/**
+ * Get admin ID from JWT token
+ * @param {Object} admin - Admin object from JWT
+ * @returns {number} Admin ID
+ */
+function getAdminId(admin) {
+  return admin?.id || admin?.sub || admin?.user_id;
+}
+
+function handleError(req, res, error, action, fallbackMessage) {
+  if (error instanceof strategyReviewService.StrategyReviewError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  logger.error(`Failed to ${action}`, {
+    reviewId: req.params.reviewId,
+    adminId: getAdminId(req.admin),
+    error: error.message,
+    ip: req.ip
+  });
+
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+}
+
+async function audit(req, action, status, errorMessage) {
+  await adminAuditService.logAction({
+    adminId: getAdminId(req.admin),
+    action,
+    ipAddress: req.ip,
+    requestBody: { review_id: req.params.reviewId, ...req.body },
+    status,
+    errorMessage
+  });
+}
+
+function parseReviewId(req, res) {
+  const reviewId = parseInt(req.params.reviewId);
+  if (!reviewId || isNaN(reviewId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid review ID'
+    });
+    return null;
+  }
+  return reviewId;
+}
+
+/**
+ * List strategy reviews for moderation
+ * GET /api/superadmin/strategy-reviews
+ */
+async function listReviews(req, res) {
+  try {
+    const result = await strategyReviewService.listForModeration(req.query || {});
+
+    return res.status(200).json({
+      success: true,
+      message: 'Strategy reviews retrieved successfully',
+      data: result
+    });
+
+  } catch (error) {
+    return handleError(req, res, error, 'list strategy reviews',
+      'Internal server error while retrieving strategy reviews');
+  }
+}
+
+/**
+ * Hide or publish a review, or remove the provider reply
+ * PATCH /api/superadmin/strategy-reviews/:reviewId
+ */
+async function moderateReview(req, res) {
+  try {
+    const reviewId = parseReviewId(req, res);
+    if (!reviewId) return;
+
+    const review = await strategyReviewService.moderateReview(reviewId, req.body || {}, getAdminId(req.admin));
+    await audit(req, 'STRATEGY_REVIEW_MODERATE', 'SUCCESS');
+
+    return res.status(200).json({
+      success: true,
+      message: 'Strategy review updated successfully',
+      data: review
+    });
+
+  } catch (error) {
+    await audit(req, 'STRATEGY_REVIEW_MODERATE', 'FAILURE', error.message);
+    return handleError(req, res, error, 'moderate strategy review',
+      'Internal server error while moderating strategy review');
+  }
+}
+
+/**
+ * Delete a review
+ * DELETE /api/superadmin/strategy-reviews/:reviewId
+ */
+async function deleteReview(req, res) {
+  try {
+    const reviewId = parseReviewId(req, res);
+    if (!reviewId) return;
+
+    const result = await strategyReviewService.deleteReview(reviewId, getAdminId(req.admin));
+    await audit(req, 'STRATEGY_REVIEW_DELETE', 'SUCCESS');
+
+    return res.status(200).json({
+      success: true,
+      message: 'Strategy review deleted successfully',
+      data: result
+    });
+
+  } catch (error) {
+    await audit(req, 'STRATEGY_REVIEW_DELETE', 'FAILURE', error.message);
+    return handleError(req, res, error, 'delete strategy review',
+      'Internal server error while deleting strategy review');
+  }
+}
+
+module.exports = {
+  listReviews,
+  moderateReview,
+  deleteReview
+};
@@ -1,4 +1,5 @@
 const superadminTransactionService = require('../services/superadmin.transaction.service');
+const makerCheckerService = require('../services/makerChecker.service');
 const { createAuditLog } = require('../middlewares/audit.middleware');
 const logger = require('../utils/logger');
 const { UserTransaction } = require('../models');
@@ -42,6 +43,39 @@ class SuperadminTransactionController {
 
       logger.info(`Deposit request received: ${userType} user ${userId}, amount: ${depositAmount}, admin: ${admin.id}`);
 
+      // Above the adjustment threshold a different admin has to approve it (maker-checker)
+      if (makerCheckerService.requiresSecondApproval('adjustment', depositAmount)) {
+        const approval = await makerCheckerService.requestAdjustment({
+          userId: parseInt(userId),
+          userType,
+          type: 'deposit',
+          amount: depositAmount,
+          adminId: admin.id,
+          notes,
+          referenceId,
+          methodType: method_type || 'OTHER'
+        });
+
+        await createAuditLog(
+          admin.id,
+          'USER_DEPOSIT_APPROVAL_REQUESTED',
+          req.ip,
+          {
+            user_id: userId,
+            user_type: userType,
+            amount: depositAmount,
+            approval_id: approval.approval_id
+          },
+          'SUCCESS'
+        );
+
+        return res.status(202).json({
+          success: true,
+          message: 'Deposit is above the second-approval threshold and awaits approval by a different admin',
+          data: { approval }
+        });
+      }
+
       // Process deposit
       const result = await superadminTransactionService.processDeposit({
         userId: parseInt(userId),
@@ -102,7 +136,7 @@ class SuperadminTransactionController {
         error.message
       );
 
-      res.status(400).json({
+      res.status(error instanceof makerCheckerService.MakerCheckerError ? error.statusCode : 400).json({
         success: false,
         message: error.message
       });
@@ -146,6 +180,39 @@ class SuperadminTransactionController {
 
       logger.info(`Withdrawal request received: ${userType} user ${userId}, amount: ${withdrawalAmount}, admin: ${admin.id}`);
 
+      // Above the adjustment threshold a different admin has to approve it (maker-checker)
+      if (makerCheckerService.requiresSecondApproval('adjustment', withdrawalAmount)) {
+        const approval = await makerCheckerService.requestAdjustment({
+          userId: parseInt(userId),
+          userType,
+          type: 'withdraw',
+          amount: withdrawalAmount,
+          adminId: admin.id,
+          notes,
+          referenceId,
+          methodType: method_type || 'OTHER'
+        });
+
+        await createAuditLog(
+          admin.id,
+          'USER_WITHDRAWAL_APPROVAL_REQUESTED',
+          req.ip,
+          {
+            user_id: userId,
+            user_type: userType,
+            amount: withdrawalAmount,
+            approval_id: approval.approval_id
+          },
+          'SUCCESS'
+        );
+
+        return res.status(202).json({
+          success: true,
+          message: 'Withdrawal is above the second-approval threshold and awaits approval by a different admin',
+          data: { approval }
+        });
+      }
+
       // Process withdrawal
       const result = await superadminTransactionService.processWithdrawal({
         userId: parseInt(userId),
@@ -206,7 +273,7 @@ class SuperadminTransactionController {
         error.message
       );
 
-      res.status(400).json({
+      res.status(error instanceof makerCheckerService.MakerCheckerError ? error.statusCode : 400).json({
         success: false,
         message: error.message
       });
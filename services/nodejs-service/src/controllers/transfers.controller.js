@@ -0,0 +1,103 @@
+const internalTransferService = require('../services/internalTransfer.service');
+const { IdempotencyService } = require('../services/idempotency.service');
+const logger = require('../services/logger.service');
+
+function getUserId(user) {
+  return user?.sub || user?.user_id || user?.id;
+}
+
+function handleError(req, res, error, action) {
+  if (error instanceof internalTransferService.InternalTransferError) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+
+  logger.error(`Failed to ${action}`, {
+    userId: getUserId(req.user),
+    error: error.message
+  });
+
+  return res.status(500).json({
+    success: false,
+    message: `Failed to ${action}`,
+    error: error.message
+  });
+}
+
+/**
+ * Move funds between two of the user's own accounts
+ * POST /api/transfers
+ * Body: { from_type, from_account_id?, to_type, to_account_id?, amount, notes?, idempotency_key? }
+ */
+async function createTransfer(req, res) {
+  let idempotencyKey = null;
+  try {
+    const userId = getUserId(req.user);
+    if (!userId) {
+      return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+    if (req.user.user_type !== 'live') {
+      return res.status(403).json({ success: false, message: 'Transfers are only available for live users' });
+    }
+
+    // A retried request with the same key returns the first result instead of moving funds twice
+    if (req.body?.idempotency_key) {
+      idempotencyKey = `internal_transfer:${userId}:${String(req.body.idempotency_key)}`;
+      const { isExisting, record } = await IdempotencyService.checkIdempotency(idempotencyKey);
+      if (isExisting && record.status === 'completed') {
+        return res.status(201).json(record.response);
+      }
+      if (isExisting && record.status === 'processing') {
+        return res.status(409).json({ success: false, message: 'Request is already being processed' });
+      }
+    }
+
+    const transfer = await internalTransferService.transfer(userId, req.body || {});
+    const response = {
+      success: true,
+      message: 'Transfer completed successfully',
+      data: transfer
+    };
+    if (idempotencyKey) {
+      await IdempotencyService.markCompleted(idempotencyKey, response);
+    }
+
+    return res.status(201).json(response);
+
+  } catch (error) {
+    if (idempotencyKey) {
+      await IdempotencyService.markFailed(idempotencyKey, error).catch(() => {});
+    }
+    return handleError(req, res, error, 'transfer funds');
+  }
+}
+
+/**
+ * Transfer history of the user, optionally narrowed to one account
+ * GET /api/transfers?account_type=&account_id=&page=&limit=
+ */
+async function getTransfers(req, res) {
+  try {
+    const userId = getUserId(req.user);
+    if (!userId) {
+      return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+    if (req.user.user_type !== 'live') {
+      return res.status(403).json({ success: false, message: 'Transfers are only available for live users' });
+    }
+
+    const result = await internalTransferService.listTransfers(userId, req.query || {});
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    return handleError(req, res, error, 'get transfers');
+  }
+}
+
+module.exports = {
+  createTransfer,
+  getTransfers
+};
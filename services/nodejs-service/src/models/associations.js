@@ -49,6 +49,13 @@ function defineAssociations() {
     onUpdate: 'CASCADE'
   });
 
+  // First of two approvals on requests above the maker-checker threshold
+  MoneyRequest.belongsTo(Admin, {
+    foreignKey: 'first_approved_by',
+    as: 'firstApprover',
+    constraints: false
+  });
+
   // Soft reference by transaction_id string to UserTransaction.transaction_id
   MoneyRequest.belongsTo(UserTransaction, {
     foreignKey: 'transaction_id',
@@ -0,0 +1,94 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+const BalanceAdjustmentApproval = sequelize.define('BalanceAdjustmentApproval', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false
+  },
+  approval_id: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    unique: true
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  user_type: {
+    type: DataTypes.ENUM('live', 'demo'),
+    allowNull: false
+  },
+  country_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'User country at request time, for country-scoped checkers'
+  },
+  type: {
+    type: DataTypes.ENUM('deposit', 'withdraw'),
+    allowNull: false
+  },
+  amount: {
+    type: DataTypes.DECIMAL(18, 6),
+    allowNull: false
+  },
+  method_type: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  reference_id: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'processing', 'approved', 'rejected'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  requested_by: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Admin who asked for the adjustment (maker)'
+  },
+  reviewed_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Admin who approved or rejected it (checker)'
+  },
+  reviewed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  review_notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  transaction_id: {
+    type: DataTypes.STRING(30),
+    allowNull: true,
+    comment: 'user_transactions row posted on approval'
+  }
+}, {
+  tableName: 'balance_adjustment_approvals',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      name: 'idx_balance_adjustment_approvals_status_created',
+      fields: ['status', 'created_at']
+    },
+    {
+      name: 'idx_balance_adjustment_approvals_user',
+      fields: ['user_type', 'user_id']
+    }
+  ]
+});
+
+module.exports = BalanceAdjustmentApproval;
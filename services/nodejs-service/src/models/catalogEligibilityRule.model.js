@@ -0,0 +1,61 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+const CatalogEligibilityRule = sequelize.define('CatalogEligibilityRule', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false
+  },
+  rule_type: {
+    type: DataTypes.ENUM(
+      'min_closed_trades',
+      'min_account_age_days',
+      'max_days_since_last_trade',
+      'max_drawdown',
+      'min_equity',
+      'min_return',
+      'kyc_required'
+    ),
+    allowNull: false
+  },
+  threshold: {
+    type: DataTypes.DECIMAL(18, 6),
+    allowNull: true,
+    comment: 'Rule threshold; unused by kyc_required'
+  },
+  is_enabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  description: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Admin who created the rule'
+  },
+  updated_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Admin who last changed the rule'
+  }
+}, {
+  tableName: 'catalog_eligibility_rules',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      name: 'uniq_catalog_rule_type',
+      unique: true,
+      fields: ['rule_type']
+    }
+  ]
+});
+
+module.exports = CatalogEligibilityRule;
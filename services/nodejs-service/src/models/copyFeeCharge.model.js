@@ -0,0 +1,93 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+const CopyFeeCharge = sequelize.define('CopyFeeCharge', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false
+  },
+  copy_follower_account_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  strategy_provider_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  follower_user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Live user who owns the follower account'
+  },
+  fee_type: {
+    type: DataTypes.ENUM('subscription_fee', 'management_fee'),
+    allowNull: false
+  },
+  period: {
+    type: DataTypes.STRING(7),
+    allowNull: false,
+    comment: 'Billing month (YYYY-MM): charged in advance for subscriptions, in arrears for management fees'
+  },
+  period_start: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  period_end: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  rate: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    comment: 'Monthly subscription fee in USD or annual management fee in percent'
+  },
+  amount: {
+    type: DataTypes.DECIMAL(18, 6),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('charged', 'unpaid', 'waived'),
+    allowNull: false
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+  charged_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  follower_transaction_id: {
+    type: DataTypes.STRING(30),
+    allowNull: true
+  },
+  provider_transaction_id: {
+    type: DataTypes.STRING(30),
+    allowNull: true
+  }
+}, {
+  tableName: 'copy_fee_charges',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      name: 'uniq_copy_fee_charge_follower_period',
+      unique: true,
+      fields: ['copy_follower_account_id', 'fee_type', 'period']
+    },
+    {
+      name: 'idx_copy_fee_charge_status',
+      fields: ['status']
+    },
+    {
+      name: 'idx_copy_fee_charge_provider_period',
+      fields: ['strategy_provider_id', 'period']
+    }
+  ]
+});
+
+module.exports = CopyFeeCharge;
@@ -117,6 +117,52 @@ const CopyFollowerAccount = sequelize.define('CopyFollowerAccount', {
     }
   },
   
+  // Lot sizing (copyTrading.service.calculateFollowerLotSize)
+  lot_mode: {
+    type: DataTypes.ENUM('equity_proportional', 'fixed_lot', 'lot_multiplier', 'fixed_risk'),
+    allowNull: false,
+    defaultValue: 'equity_proportional'
+  },
+  fixed_lot_size: {
+    type: DataTypes.DECIMAL(18, 8),
+    allowNull: true,
+    validate: {
+      min: 0.00018
+    }
+  },
+  lot_multiplier: {
+    type: DataTypes.DECIMAL(10, 4),
+    allowNull: true,
+    validate: {
+      min: 0.01,
+      max: 100.00
+    }
+  },
+  risk_percentage: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: true,
+    validate: {
+      min: 0.01,
+      max: 50.00
+    }
+  },
+  
+  // Copy filters (copyTrading.service.checkCopyFilters)
+  symbol_filter_mode: {
+    type: DataTypes.ENUM('all', 'include', 'exclude'),
+    allowNull: false,
+    defaultValue: 'all'
+  },
+  symbol_filter: {
+    type: DataTypes.JSON,
+    allowNull: true // Array of upper-case symbols
+  },
+  copy_direction: {
+    type: DataTypes.ENUM('both', 'buy_only', 'sell_only'),
+    allowNull: false,
+    defaultValue: 'both'
+  },
+  
   // Risk Management Settings
   max_lot_size: { 
     type: DataTypes.DECIMAL(18, 8),
@@ -140,6 +186,11 @@ const CopyFollowerAccount = sequelize.define('CopyFollowerAccount', {
       max: 95.00
     }
   },
+  close_positions_on_breach: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false // Risk guardian closes copied positions when it pauses the account
+  },
   
   // Status & Trading Settings (Same pattern as LiveUser)
   status: { 
@@ -179,6 +230,23 @@ const CopyFollowerAccount = sequelize.define('CopyFollowerAccount', {
     type: DataTypes.DECIMAL(18, 6), 
     defaultValue: 0 
   },
+  high_water_mark: {
+    type: DataTypes.DECIMAL(18, 6),
+    allowNull: true // Equity level above which performance fees are due; starts at initial_investment
+  },
+  last_fee_settlement_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  management_fee_accrued: {
+    type: DataTypes.DECIMAL(18, 6),
+    allowNull: false,
+    defaultValue: 0 // Accrued since the last monthly management fee charge
+  },
+  management_fee_accrued_through: {
+    type: DataTypes.DATEONLY,
+    allowNull: true // Last UTC day included in management_fee_accrued
+  },
   total_copied_orders: { 
     type: DataTypes.INTEGER, 
     defaultValue: 0 
@@ -209,6 +277,26 @@ const CopyFollowerAccount = sequelize.define('CopyFollowerAccount', {
     type: DataTypes.STRING,
     allowNull: true
   },
+  unfollow_mode: {
+    type: DataTypes.ENUM('close', 'detach', 'wind_down'),
+    allowNull: true
+  },
+  unfollow_requested_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  unfollowed_at: {
+    type: DataTypes.DATE,
+    allowNull: true // Fees settled and equity returned (copyTradingUnfollow.service)
+  },
+  copy_portfolio_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true // Portfolio the account belongs to (copyPortfolio.service)
+  },
+  portfolio_weight: {
+    type: DataTypes.DECIMAL(7, 4),
+    allowNull: true // Target share of the portfolio in percent
+  },
   
   // Additional LiveUser pattern fields
   view_password: { 
@@ -237,6 +325,7 @@ const CopyFollowerAccount = sequelize.define('CopyFollowerAccount', {
     // Composite indexes for performance
     { fields: ['strategy_provider_id', 'copy_status', 'is_active'] },
     { fields: ['user_id', 'copy_status'] },
+    { name: 'idx_copy_follower_portfolio', fields: ['copy_portfolio_id'] },
     { fields: ['copy_status', 'subscription_date'] }
   ],
   scopes: {
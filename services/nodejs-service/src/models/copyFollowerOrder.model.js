@@ -176,10 +176,18 @@ const CopyFollowerOrder = sequelize.define('CopyFollowerOrder', {
     type: DataTypes.DECIMAL(18, 8), 
     allowNull: false // After applying max_lot_size limits
   },
+  lot_mode: {
+    type: DataTypes.ENUM('equity_proportional', 'fixed_lot', 'lot_multiplier', 'fixed_risk'),
+    allowNull: true // Follower lot mode the copy was sized with
+  },
+  lot_mode_value: {
+    type: DataTypes.DECIMAL(18, 8),
+    allowNull: true // fixed_lot_size, lot_multiplier or risk_percentage at copy time
+  },
   
   // Copy Status & Timing
   copy_status: { 
-    type: DataTypes.ENUM('pending', 'copied', 'failed', 'cancelled', 'rejected'), 
+    type: DataTypes.ENUM('pending', 'copied', 'failed', 'cancelled', 'rejected', 'skipped', 'detached'), 
     defaultValue: 'pending' 
   },
   copy_timestamp: { 
@@ -245,6 +253,10 @@ const CopyFollowerOrder = sequelize.define('CopyFollowerOrder', {
   fee_payment_date: { 
     type: DataTypes.DATE,
     allowNull: true
+  },
+  fee_settlement_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true // performance_fee_settlements row that covered this order
   }
   
 }, {
@@ -329,20 +341,9 @@ const CopyFollowerOrder = sequelize.define('CopyFollowerOrder', {
       if (!order.final_lot_size && order.calculated_lot_size) {
         order.final_lot_size = order.calculated_lot_size;
       }
-    },
-    afterUpdate: async (order) => {
-      // Calculate performance fees when order is closed with profit
-      if (order.changed('order_status') && order.order_status === 'CLOSED') {
-        if (order.net_profit > 0 && order.performance_fee_percentage > 0) {
-          order.gross_profit = order.net_profit;
-          order.performance_fee_amount = (order.net_profit * order.performance_fee_percentage) / 100;
-          order.net_profit_after_fees = order.net_profit - order.performance_fee_amount;
-          order.fee_status = 'calculated';
-          order.fee_calculation_date = new Date();
-          await order.save({ hooks: false });
-        }
-      }
     }
+    // Performance fees are settled per period against the follower's high-water mark
+    // (performanceFee.service), not per order
   }
 });
 
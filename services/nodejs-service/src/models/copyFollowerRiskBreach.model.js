@@ -0,0 +1,81 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+const CopyFollowerRiskBreach = sequelize.define('CopyFollowerRiskBreach', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false
+  },
+  copy_follower_account_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Live user who owns the follower account'
+  },
+  strategy_provider_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  breach_type: {
+    type: DataTypes.ENUM('drawdown', 'daily_loss'),
+    allowNull: false
+  },
+  limit_value: {
+    type: DataTypes.DECIMAL(18, 6),
+    allowNull: false,
+    comment: 'stop_copying_on_drawdown (%) or max_daily_loss at the time of the breach'
+  },
+  actual_value: {
+    type: DataTypes.DECIMAL(18, 6),
+    allowNull: false
+  },
+  balance: {
+    type: DataTypes.DECIMAL(18, 6),
+    allowNull: true
+  },
+  equity: {
+    type: DataTypes.DECIMAL(18, 6),
+    allowNull: true
+  },
+  floating_pnl: {
+    type: DataTypes.DECIMAL(18, 6),
+    allowNull: true
+  },
+  open_positions: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  close_positions: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  positions_closed: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  close_errors: {
+    type: DataTypes.JSON,
+    allowNull: true
+  }
+}, {
+  tableName: 'copy_follower_risk_breaches',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      name: 'idx_risk_breach_follower_created',
+      fields: ['copy_follower_account_id', 'created_at']
+    }
+  ]
+});
+
+module.exports = CopyFollowerRiskBreach;
@@ -0,0 +1,71 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+const CopyPortfolio = sequelize.define('CopyPortfolio', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Live user who owns the portfolio'
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'closing', 'closed'),
+    allowNull: false,
+    defaultValue: 'active'
+  },
+  rebalance_frequency: {
+    type: DataTypes.ENUM('none', 'weekly', 'monthly'),
+    allowNull: false,
+    defaultValue: 'none'
+  },
+  rebalance_threshold: {
+    type: DataTypes.DECIMAL(7, 4),
+    allowNull: false,
+    defaultValue: 5,
+    comment: 'Scheduled rebalances run only when a weight drifted this many percentage points from its target'
+  },
+  last_rebalanced_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  total_invested: {
+    type: DataTypes.DECIMAL(18, 6),
+    allowNull: false,
+    defaultValue: 0
+  },
+  total_withdrawn: {
+    type: DataTypes.DECIMAL(18, 6),
+    allowNull: false,
+    defaultValue: 0
+  },
+  closed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'copy_portfolios',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      name: 'idx_copy_portfolio_user_status',
+      fields: ['user_id', 'status']
+    },
+    {
+      name: 'idx_copy_portfolio_rebalance',
+      fields: ['status', 'rebalance_frequency']
+    }
+  ]
+});
+
+module.exports = CopyPortfolio;
@@ -4,6 +4,8 @@ const StrategyProviderAccount = require('./strategyProviderAccount.model');
 const CopyFollowerAccount = require('./copyFollowerAccount.model');
 const StrategyProviderOrder = require('./strategyProviderOrder.model');
 const CopyFollowerOrder = require('./copyFollowerOrder.model');
+const CopyPortfolio = require('./copyPortfolio.model');
+const StrategyProviderReview = require('./strategyProviderReview.model');
 
 // LiveUser Associations
 LiveUser.hasMany(StrategyProviderAccount, {
@@ -59,6 +61,39 @@ CopyFollowerAccount.hasMany(CopyFollowerOrder, {
   onDelete: 'CASCADE'
 });
 
+// CopyPortfolio Associations
+CopyPortfolio.belongsTo(LiveUser, {
+  foreignKey: 'user_id',
+  as: 'owner'
+});
+
+CopyPortfolio.hasMany(CopyFollowerAccount, {
+  foreignKey: 'copy_portfolio_id',
+  as: 'members'
+});
+
+CopyFollowerAccount.belongsTo(CopyPortfolio, {
+  foreignKey: 'copy_portfolio_id',
+  as: 'portfolio'
+});
+
+// StrategyProviderReview Associations
+StrategyProviderAccount.hasMany(StrategyProviderReview, {
+  foreignKey: 'strategy_provider_id',
+  as: 'reviews',
+  onDelete: 'CASCADE'
+});
+
+StrategyProviderReview.belongsTo(StrategyProviderAccount, {
+  foreignKey: 'strategy_provider_id',
+  as: 'strategyProvider'
+});
+
+StrategyProviderReview.belongsTo(LiveUser, {
+  foreignKey: 'user_id',
+  as: 'reviewer'
+});
+
 // StrategyProviderOrder Associations
 StrategyProviderOrder.belongsTo(StrategyProviderAccount, {
   foreignKey: 'order_user_id',
@@ -100,5 +135,7 @@ module.exports = {
   StrategyProviderAccount,
   CopyFollowerAccount,
   StrategyProviderOrder,
-  CopyFollowerOrder
+  CopyFollowerOrder,
+  CopyPortfolio,
+  StrategyProviderReview
 };
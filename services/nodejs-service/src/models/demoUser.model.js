@@ -23,6 +23,8 @@ const DemoUser = sequelize.define('DemoUser', {
   country: DataTypes.STRING,
   status: { type: DataTypes.INTEGER, defaultValue: 1 },
   is_active: { type: DataTypes.INTEGER, defaultValue: 1 },
+  // 'hedging' | 'netting'; null inherits the group default (NETTING_GROUPS)
+  account_mode: { type: DataTypes.STRING(10), allowNull: true },
 }, {
   tableName: 'demo_users',
   timestamps: true,
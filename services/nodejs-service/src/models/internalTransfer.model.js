@@ -0,0 +1,76 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+const InternalTransfer = sequelize.define('InternalTransfer', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false
+  },
+  transfer_id: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    unique: true
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Live user who owns both accounts'
+  },
+  from_type: {
+    type: DataTypes.ENUM('live', 'strategy_provider', 'copy_follower'),
+    allowNull: false
+  },
+  from_account_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  from_account_number: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  to_type: {
+    type: DataTypes.ENUM('live', 'strategy_provider', 'copy_follower'),
+    allowNull: false
+  },
+  to_account_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  to_account_number: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  amount: {
+    type: DataTypes.DECIMAL(18, 6),
+    allowNull: false
+  },
+  from_transaction_id: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    comment: 'Debit row in user_transactions'
+  },
+  to_transaction_id: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    comment: 'Credit row in user_transactions'
+  },
+  notes: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  }
+}, {
+  tableName: 'internal_transfers',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      name: 'idx_internal_transfers_user_created',
+      fields: ['user_id', 'created_at']
+    }
+  ]
+});
+
+module.exports = InternalTransfer;
@@ -48,6 +48,8 @@ const LiveUser = sequelize.define('LiveUser', {
   sending_orders: { type: DataTypes.STRING, allowNull: true, defaultValue: 'barclays' },
   view_password: { type: DataTypes.STRING, allowNull: true },
   book: { type: DataTypes.STRING(5), allowNull: true },
+  // 'hedging' | 'netting'; null inherits the group default (NETTING_GROUPS)
+  account_mode: { type: DataTypes.STRING(10), allowNull: true },
 }, {
   tableName: 'live_users',
   timestamps: true,
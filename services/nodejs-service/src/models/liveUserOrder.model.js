@@ -123,6 +123,31 @@ const LiveUserOrder = sequelize.define('LiveUserOrder', {
   placed_by: { 
     type: DataTypes.STRING(30), 
     allowNull: true 
+  },
+  parent_order_id: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    comment: 'Open order this row was split from by a partial close'
+  },
+  trailing_stop_distance: {
+    type: DataTypes.DECIMAL(18, 8),
+    allowNull: true,
+    comment: 'Trailing stop distance as entered by the trader (see trailing_stop_unit)'
+  },
+  trailing_stop_unit: {
+    type: DataTypes.STRING(10),
+    allowNull: true,
+    comment: 'Unit of trailing_stop_distance: points or pips'
+  },
+  time_in_force: {
+    type: DataTypes.STRING(3),
+    allowNull: true,
+    comment: 'Pending order expiry policy: GTC, DAY or GTD'
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When a DAY/GTD pending order is cancelled as EXPIRED'
   }
 }, {
   tableName: 'live_user_orders',
@@ -142,7 +167,9 @@ const LiveUserOrder = sequelize.define('LiveUserOrder', {
     { fields: ['stoploss_id'] },
     { fields: ['takeprofit_id'] },
     { fields: ['stoploss_cancel_id'] },
-    { fields: ['takeprofit_cancel_id'] }
+    { fields: ['takeprofit_cancel_id'] },
+    { fields: ['parent_order_id'] },
+    { fields: ['order_status', 'expires_at'] }
   ]
 });
 
@@ -52,7 +52,7 @@ const MoneyRequest = sequelize.define('MoneyRequest', {
     comment: 'Currency code (expandable for future)',
   },
   status: {
-    type: DataTypes.ENUM('pending', 'approved', 'rejected', 'on_hold'),
+    type: DataTypes.ENUM('pending', 'approved', 'rejected', 'on_hold', 'pending_second_approval'),
     allowNull: false,
     defaultValue: 'pending',
     comment: 'Review state',
@@ -77,6 +77,21 @@ const MoneyRequest = sequelize.define('MoneyRequest', {
     allowNull: true,
     comment: 'Link to user_transactions.transaction_id if approved',
   },
+  first_approved_by: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    comment: 'Admin who gave the first of two approvals',
+  },
+  first_approved_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the first of two approvals was given',
+  },
+  first_approval_notes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Remarks of the first approver',
+  },
 }, {
   tableName: 'money_requests',
   timestamps: true,
@@ -134,6 +149,11 @@ const MoneyRequest = sequelize.define('MoneyRequest', {
         status: 'rejected'
       }
     },
+    pendingSecondApproval: {
+      where: {
+        status: 'pending_second_approval'
+      }
+    },
     deposits: {
       where: {
         type: 'deposit'
@@ -185,6 +205,13 @@ MoneyRequest.associate = (models) => {
     onUpdate: 'CASCADE'
   });
 
+  // Admin who gave the first approval of a two-approval request
+  MoneyRequest.belongsTo(models.Admin, {
+    foreignKey: 'first_approved_by',
+    as: 'firstApprover',
+    constraints: false
+  });
+
   // Optional: Reference to UserTransaction if approved
   MoneyRequest.belongsTo(models.UserTransaction, {
     foreignKey: 'transaction_id',
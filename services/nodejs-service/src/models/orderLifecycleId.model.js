@@ -21,7 +21,9 @@ const OrderLifecycleId = sequelize.define('OrderLifecycleId', {
       'stoploss_id',
       'takeprofit_id',
       'stoploss_cancel_id',
-      'takeprofit_cancel_id'
+      'takeprofit_cancel_id',
+      'oco_link_id',
+      'bracket_id'
     ),
     allowNull: false,
     comment: 'Type of lifecycle ID'
@@ -0,0 +1,101 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+const PerformanceFeeSettlement = sequelize.define('PerformanceFeeSettlement', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false
+  },
+  copy_follower_account_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Follower account that was settled'
+  },
+  strategy_provider_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Strategy provider account that earned the fee'
+  },
+  follower_user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Live user who owns the follower account'
+  },
+  period: {
+    type: DataTypes.ENUM('weekly', 'monthly'),
+    allowNull: false
+  },
+  period_start: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  period_end: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  fee_percentage: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: false
+  },
+  equity: {
+    type: DataTypes.DECIMAL(18, 6),
+    allowNull: false,
+    comment: 'Follower equity at settlement, before the fee'
+  },
+  high_water_mark_before: {
+    type: DataTypes.DECIMAL(18, 6),
+    allowNull: false
+  },
+  high_water_mark_after: {
+    type: DataTypes.DECIMAL(18, 6),
+    allowNull: false
+  },
+  profit_above_hwm: {
+    type: DataTypes.DECIMAL(18, 6),
+    allowNull: false,
+    defaultValue: 0
+  },
+  fee_amount: {
+    type: DataTypes.DECIMAL(18, 6),
+    allowNull: false,
+    defaultValue: 0
+  },
+  status: {
+    type: DataTypes.ENUM('settled', 'no_fee'),
+    allowNull: false
+  },
+  follower_transaction_id: {
+    type: DataTypes.STRING(30),
+    allowNull: true
+  },
+  provider_transaction_id: {
+    type: DataTypes.STRING(30),
+    allowNull: true
+  },
+  orders_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Closed copied orders covered by this settlement'
+  }
+}, {
+  tableName: 'performance_fee_settlements',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      name: 'uniq_fee_settlement_follower_period',
+      unique: true,
+      fields: ['copy_follower_account_id', 'period_end']
+    },
+    {
+      name: 'idx_fee_settlement_provider_period',
+      fields: ['strategy_provider_id', 'period_end']
+    }
+  ]
+});
+
+module.exports = PerformanceFeeSettlement;
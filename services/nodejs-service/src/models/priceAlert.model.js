@@ -0,0 +1,121 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+const PriceAlert = sequelize.define('PriceAlert', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'User ID who owns the alert'
+  },
+  user_type: {
+    type: DataTypes.ENUM('live', 'demo'),
+    allowNull: false,
+    comment: 'Type of user account'
+  },
+  symbol: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'Trading symbol (e.g., EURUSD)'
+  },
+  condition: {
+    type: DataTypes.ENUM('crosses_above', 'crosses_below', 'percent_move'),
+    allowNull: false,
+    comment: 'Price crossing a level, or a percentage move within a time window'
+  },
+  price_field: {
+    type: DataTypes.ENUM('bid', 'ask'),
+    allowNull: false,
+    defaultValue: 'bid',
+    comment: 'Market price side the alert watches'
+  },
+  target_price: {
+    type: DataTypes.DECIMAL(18, 8),
+    allowNull: true,
+    comment: 'Level for crosses_above / crosses_below'
+  },
+  percent: {
+    type: DataTypes.DECIMAL(10, 4),
+    allowNull: true,
+    comment: 'Move size in percent for percent_move'
+  },
+  window_minutes: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Look-back window for percent_move'
+  },
+  direction: {
+    type: DataTypes.ENUM('up', 'down', 'any'),
+    allowNull: true,
+    comment: 'Move direction for percent_move'
+  },
+  mode: {
+    type: DataTypes.ENUM('one_shot', 'repeating'),
+    allowNull: false,
+    defaultValue: 'one_shot',
+    comment: 'one_shot alerts stop after the first trigger'
+  },
+  cooldown_seconds: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 300,
+    comment: 'Minimum time between triggers of a repeating alert'
+  },
+  notify_email: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Also email the user when the alert triggers'
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'triggered', 'disabled'),
+    allowNull: false,
+    defaultValue: 'active'
+  },
+  armed: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    comment: 'Crossing alerts fire only after the price has been on the other side of the level'
+  },
+  last_triggered_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  last_trigger_price: {
+    type: DataTypes.DECIMAL(18, 8),
+    allowNull: true
+  },
+  trigger_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  note: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Free text shown with the notification'
+  }
+}, {
+  tableName: 'price_alerts',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      name: 'idx_price_alerts_user',
+      fields: ['user_id', 'user_type']
+    },
+    {
+      name: 'idx_price_alerts_status_symbol',
+      fields: ['status', 'symbol']
+    }
+  ]
+});
+
+module.exports = PriceAlert;
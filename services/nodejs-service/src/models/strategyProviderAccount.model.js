@@ -82,6 +82,26 @@ const StrategyProviderAccount = sequelize.define('StrategyProviderAccount', {
       max: 50.00 // 5-50% as per Exness requirement
     }
   },
+  fee_settlement_period: {
+    type: DataTypes.ENUM('weekly', 'monthly'),
+    defaultValue: 'monthly' // Performance fees are settled against the follower's high-water mark
+  },
+  subscription_fee: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true, // Fixed monthly fee in USD, billed in advance (copyFeeBilling.service)
+    validate: {
+      min: 0,
+      max: 500.00
+    }
+  },
+  management_fee: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: true, // Annual percent of follower equity, accrued daily and billed monthly
+    validate: {
+      min: 0,
+      max: 5.00
+    }
+  },
   max_leverage: { 
     type: DataTypes.INTEGER, 
     defaultValue: 100,
@@ -165,6 +185,11 @@ const StrategyProviderAccount = sequelize.define('StrategyProviderAccount', {
     type: DataTypes.DATE,
     allowNull: true
   },
+  catalog_eligibility_checks: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Per-rule pass/fail breakdown of the last catalog eligibility run'
+  },
   
   // Superadmin Free Pass for Catalog Display
   catalog_free_pass: { 
@@ -221,6 +246,16 @@ const StrategyProviderAccount = sequelize.define('StrategyProviderAccount', {
     type: DataTypes.DECIMAL(8, 4), 
     defaultValue: 0 
   },
+  average_rating: {
+    type: DataTypes.DECIMAL(3, 2),
+    allowNull: false,
+    defaultValue: 0 // Published follower reviews (strategyReview.service)
+  },
+  review_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
   
   // Media & Presentation
   profile_image_url: { 
@@ -279,7 +314,8 @@ const StrategyProviderAccount = sequelize.define('StrategyProviderAccount', {
     // Composite indexes for catalog queries
     { fields: ['is_catalog_eligible', 'status', 'is_active'] },
     { fields: ['visibility', 'is_catalog_eligible', 'total_followers'] },
-    { fields: ['performance_fee', 'total_return_percentage'] }
+    { fields: ['performance_fee', 'total_return_percentage'] },
+    { name: 'idx_strategy_provider_rating', fields: ['average_rating', 'review_count'] }
   ],
   scopes: {
     active: {
@@ -0,0 +1,97 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+const StrategyProviderReview = sequelize.define('StrategyProviderReview', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false
+  },
+  strategy_provider_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Live user who wrote the review'
+  },
+  rating: {
+    type: DataTypes.TINYINT,
+    allowNull: false,
+    validate: {
+      min: 1,
+      max: 5
+    }
+  },
+  comment: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  copying_days: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Days the reviewer had been copying the strategy when the review was written'
+  },
+  realized_pnl: {
+    type: DataTypes.DECIMAL(18, 6),
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Net P&L of the reviewer\'s closed copied orders when the review was written'
+  },
+  realized_return_percentage: {
+    type: DataTypes.DECIMAL(10, 4),
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'realized_pnl as percent of the reviewer\'s initial investment'
+  },
+  provider_reply: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  provider_replied_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('published', 'hidden'),
+    allowNull: false,
+    defaultValue: 'published'
+  },
+  moderation_reason: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  moderated_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  moderated_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'strategy_provider_reviews',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      name: 'uniq_strategy_review_user',
+      unique: true,
+      fields: ['strategy_provider_id', 'user_id']
+    },
+    {
+      name: 'idx_strategy_review_provider_status',
+      fields: ['strategy_provider_id', 'status', 'created_at']
+    },
+    {
+      name: 'idx_strategy_review_status',
+      fields: ['status', 'created_at']
+    }
+  ]
+});
+
+module.exports = StrategyProviderReview;
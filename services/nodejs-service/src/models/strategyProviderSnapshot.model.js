@@ -0,0 +1,77 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+const StrategyProviderSnapshot = sequelize.define('StrategyProviderSnapshot', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false
+  },
+  strategy_provider_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  snapshot_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    comment: 'UTC trading day the snapshot closes'
+  },
+  balance: {
+    type: DataTypes.DECIMAL(18, 6),
+    allowNull: false,
+    defaultValue: 0
+  },
+  equity: {
+    type: DataTypes.DECIMAL(18, 6),
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'balance + floating_pnl'
+  },
+  floating_pnl: {
+    type: DataTypes.DECIMAL(18, 6),
+    allowNull: false,
+    defaultValue: 0
+  },
+  used_margin: {
+    type: DataTypes.DECIMAL(18, 6),
+    allowNull: false,
+    defaultValue: 0
+  },
+  net_flows: {
+    type: DataTypes.DECIMAL(18, 6),
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Non-trading wallet movements since the previous snapshot (deposits, withdrawals, fees); excluded from returns'
+  },
+  open_positions: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  follower_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  aum: {
+    type: DataTypes.DECIMAL(18, 6),
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Wallet balance of the active follower accounts'
+  }
+}, {
+  tableName: 'strategy_provider_daily_snapshots',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      name: 'uniq_provider_snapshot_date',
+      unique: true,
+      fields: ['strategy_provider_id', 'snapshot_date']
+    }
+  ]
+});
+
+module.exports = StrategyProviderSnapshot;
@@ -16,10 +16,10 @@ const UserTransaction = sequelize.define('UserTransaction', {
   user_id: {
     type: DataTypes.BIGINT,
     allowNull: false,
-    comment: 'Reference to user (live_users or demo_users)',
+    comment: 'Reference to user (live_users, demo_users) or copy trading account by user_type',
   },
   user_type: {
-    type: DataTypes.ENUM('live', 'demo'),
+    type: DataTypes.ENUM('live', 'demo', 'strategy_provider', 'copy_follower'),
     allowNull: false,
     comment: 'Type of user account',
   },
@@ -36,7 +36,11 @@ const UserTransaction = sequelize.define('UserTransaction', {
       'loss',
       'commission',
       'swap',
-      'adjustment'
+      'adjustment',
+      'performance_fee',
+      'subscription_fee',
+      'management_fee',
+      'transfer'
     ),
     allowNull: false,
     comment: 'Type of transaction',
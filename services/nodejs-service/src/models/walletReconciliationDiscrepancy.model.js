@@ -0,0 +1,102 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+const WalletReconciliationDiscrepancy = sequelize.define('WalletReconciliationDiscrepancy', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false
+  },
+  user_type: {
+    type: DataTypes.ENUM('live', 'demo', 'strategy_provider', 'copy_follower'),
+    allowNull: false
+  },
+  user_id: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    comment: 'Account ID in the table for user_type (same convention as user_transactions)'
+  },
+  discrepancy_type: {
+    type: DataTypes.ENUM('chain_gap', 'pair_mismatch', 'wallet_mismatch', 'cache_mismatch'),
+    allowNull: false
+  },
+  transaction_id: {
+    type: DataTypes.STRING(30),
+    allowNull: true,
+    comment: 'Ledger row the discrepancy was found at (chain_gap, pair_mismatch)'
+  },
+  previous_transaction_id: {
+    type: DataTypes.STRING(30),
+    allowNull: true,
+    comment: 'Preceding ledger row (chain_gap)'
+  },
+  expected_balance: {
+    type: DataTypes.DECIMAL(18, 6),
+    allowNull: false
+  },
+  actual_balance: {
+    type: DataTypes.DECIMAL(18, 6),
+    allowNull: false
+  },
+  difference: {
+    type: DataTypes.DECIMAL(18, 6),
+    allowNull: false,
+    comment: 'actual_balance - expected_balance'
+  },
+  status: {
+    type: DataTypes.ENUM('open', 'resolved', 'repaired', 'ignored'),
+    allowNull: false,
+    defaultValue: 'open'
+  },
+  detection_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+  first_detected_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  last_detected_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  resolved_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  resolved_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  resolution: {
+    type: DataTypes.ENUM('accept_wallet', 'restore_ledger', 'resync_cache', 'ignore'),
+    allowNull: true
+  },
+  resolution_note: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  repair_transaction_ids: {
+    type: DataTypes.JSON,
+    allowNull: true
+  }
+}, {
+  tableName: 'wallet_reconciliation_discrepancies',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      name: 'idx_wallet_recon_account_status',
+      fields: ['user_type', 'user_id', 'status']
+    },
+    {
+      name: 'idx_wallet_recon_status_type',
+      fields: ['status', 'discrepancy_type', 'last_detected_at']
+    }
+  ]
+});
+
+module.exports = WalletReconciliationDiscrepancy;
@@ -0,0 +1,303 @@
+const express = require('express');
+const router = express.Router();
+const adminApprovalsController = require('../controllers/admin.approvals.controller');
+const { authenticateAdmin, requirePermission } = require('../middlewares/auth.middleware');
+const { applyScope } = require('../middlewares/scope.middleware');
+const { SECOND_APPROVAL_PERMISSION } = require('../services/makerChecker.service');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin Approvals
+ *   description: |
+ *     Second approval (maker-checker) of large money request withdrawals and superadmin balance adjustments.
+ *     Open to superadmins and to roles granted the money_request:second_approve permission; country-scoped admins only see users of their country.
+ *     The second approver must be a different admin from the one who first approved or requested the operation.
+ *
+ * components:
+ *   schemas:
+ *     BalanceAdjustmentApproval:
+ *       type: object
+ *       properties:
+ *         approval_id:
+ *           type: string
+ *           example: "ADJ1234567890123456"
+ *         user_id:
+ *           type: integer
+ *         user_type:
+ *           type: string
+ *           enum: [live, demo]
+ *         type:
+ *           type: string
+ *           enum: [deposit, withdraw]
+ *         amount:
+ *           type: number
+ *         method_type:
+ *           type: string
+ *         reference_id:
+ *           type: string
+ *           nullable: true
+ *         notes:
+ *           type: string
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [pending, processing, approved, rejected]
+ *         requested_by:
+ *           type: integer
+ *           description: Admin who asked for the adjustment
+ *         reviewed_by:
+ *           type: integer
+ *           nullable: true
+ *           description: Admin who approved or rejected it
+ *         reviewed_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         review_notes:
+ *           type: string
+ *           nullable: true
+ *         transaction_id:
+ *           type: string
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+router.use(authenticateAdmin);
+router.use(requirePermission(SECOND_APPROVAL_PERMISSION));
+router.use(applyScope);
+
+/**
+ * @swagger
+ * /api/admin/approvals/money-requests:
+ *   get:
+ *     summary: List money requests awaiting a second approval
+ *     tags: [Admin Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [deposit, withdraw]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Requests in pending_second_approval, oldest first, with the configured thresholds
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing money_request:second_approve permission
+ */
+router.get('/money-requests', adminApprovalsController.listMoneyRequests);
+
+/**
+ * @swagger
+ * /api/admin/approvals/money-requests/{requestId}/approve:
+ *   post:
+ *     summary: Give the second approval on a money request
+ *     description: Creates the wallet transaction. The first approver cannot give the second approval.
+ *     tags: [Admin Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Request approved and transaction created
+ *       400:
+ *         description: Invalid request or insufficient balance
+ *       403:
+ *         description: Same admin as the first approver, or user outside your country scope
+ *       409:
+ *         description: Request is not awaiting a second approval
+ */
+router.post('/money-requests/:requestId/approve', adminApprovalsController.approveMoneyRequest);
+
+/**
+ * @swagger
+ * /api/admin/approvals/money-requests/{requestId}/reject:
+ *   post:
+ *     summary: Reject a money request awaiting a second approval
+ *     tags: [Admin Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Request rejected
+ *       403:
+ *         description: User outside your country scope
+ *       409:
+ *         description: Request is not awaiting a second approval
+ */
+router.post('/money-requests/:requestId/reject', adminApprovalsController.rejectMoneyRequest);
+
+/**
+ * @swagger
+ * /api/admin/approvals/adjustments:
+ *   get:
+ *     summary: List superadmin deposits and withdrawals queued for a second approval
+ *     tags: [Admin Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, processing, approved, rejected]
+ *           default: pending
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Adjustment approvals, oldest first, with the configured thresholds
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     approvals:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/BalanceAdjustmentApproval'
+ *                     total:
+ *                       type: integer
+ *                     thresholds:
+ *                       type: object
+ *                       properties:
+ *                         withdrawal:
+ *                           type: number
+ *                         adjustment:
+ *                           type: number
+ *       400:
+ *         description: Invalid status
+ */
+router.get('/adjustments', adminApprovalsController.listAdjustments);
+
+/**
+ * @swagger
+ * /api/admin/approvals/adjustments/{approvalId}/approve:
+ *   post:
+ *     summary: Approve a queued balance adjustment and post it
+ *     description: The admin who requested the adjustment cannot approve it.
+ *     tags: [Admin Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: approvalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Adjustment approved and transaction created
+ *       400:
+ *         description: Insufficient balance or inactive user; the adjustment stays pending
+ *       403:
+ *         description: Same admin as the requester, or user outside your country scope
+ *       404:
+ *         description: Approval not found
+ *       409:
+ *         description: Adjustment is no longer pending
+ */
+router.post('/adjustments/:approvalId/approve', adminApprovalsController.approveAdjustment);
+
+/**
+ * @swagger
+ * /api/admin/approvals/adjustments/{approvalId}/reject:
+ *   post:
+ *     summary: Reject a queued balance adjustment
+ *     description: The requesting admin may also withdraw their own adjustment.
+ *     tags: [Admin Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: approvalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Adjustment rejected
+ *       403:
+ *         description: User outside your country scope
+ *       404:
+ *         description: Approval not found
+ *       409:
+ *         description: Adjustment is no longer pending
+ */
+router.post('/adjustments/:approvalId/reject', adminApprovalsController.rejectAdjustment);
+
+module.exports = router;
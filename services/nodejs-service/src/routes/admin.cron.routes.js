@@ -112,6 +112,282 @@ const { authenticateAdmin } = require('../middlewares/auth.middleware');
  *         description: Internal server error
  */
 
+/**
+ * @swagger
+ * /api/admin/cron/performance-fee/trigger:
+ *   post:
+ *     summary: Manually run performance fee settlement
+ *     description: Settles every copy follower account whose latest weekly or monthly period has not been settled yet, charging profits above the follower's high-water mark. Periods already settled are skipped, so the run is safe to repeat.
+ *     tags: [Admin - Cron Jobs]
+ *     security:
+ *       - adminAuth: []
+ *     responses:
+ *       200:
+ *         description: Settlement run finished
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Manual performance fee settlement completed"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     triggered_at:
+ *                       type: string
+ *                       format: date-time
+ *                     triggered_by:
+ *                       type: string
+ *                     summary:
+ *                       type: object
+ *                       nullable: true
+ *                       description: Null when a run was already in progress
+ *                       properties:
+ *                         processed:
+ *                           type: integer
+ *                         settled:
+ *                           type: integer
+ *                         no_fee:
+ *                           type: integer
+ *                         skipped:
+ *                           type: integer
+ *                         errors:
+ *                           type: integer
+ *                         total_fees:
+ *                           type: number
+ *                         duration_ms:
+ *                           type: integer
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/admin/cron/provider-snapshots/trigger:
+ *   post:
+ *     summary: Manually take strategy provider daily snapshots
+ *     description: Records today's balance, equity, floating P&L, follower count and AUM for every active strategy provider account and recomputes the stored return, drawdown and win rate figures. Re-running on the same UTC day overwrites that day's snapshots.
+ *     tags: [Admin - Cron Jobs]
+ *     security:
+ *       - adminAuth: []
+ *     responses:
+ *       200:
+ *         description: Snapshot run finished
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Manual strategy provider snapshot completed"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     triggered_at:
+ *                       type: string
+ *                       format: date-time
+ *                     triggered_by:
+ *                       type: string
+ *                     summary:
+ *                       type: object
+ *                       nullable: true
+ *                       description: Null when a run was already in progress
+ *                       properties:
+ *                         snapshot_date:
+ *                           type: string
+ *                           format: date
+ *                         processed:
+ *                           type: integer
+ *                         errors:
+ *                           type: integer
+ *                         duration_ms:
+ *                           type: integer
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/admin/cron/portfolio-rebalance/trigger:
+ *   post:
+ *     summary: Manually run the copy portfolio rebalance
+ *     description: Rebalances every active copy portfolio whose weekly or monthly rebalance is due. Free funds move between the portfolio's follower accounts towards their target weights; portfolios within their drift threshold are only marked as checked.
+ *     tags: [Admin - Cron Jobs]
+ *     security:
+ *       - adminAuth: []
+ *     responses:
+ *       200:
+ *         description: Rebalance run finished
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Manual copy portfolio rebalance completed"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     triggered_at:
+ *                       type: string
+ *                       format: date-time
+ *                     triggered_by:
+ *                       type: string
+ *                     summary:
+ *                       type: object
+ *                       nullable: true
+ *                       description: Null when a run was already in progress
+ *                       properties:
+ *                         checked:
+ *                           type: integer
+ *                         rebalanced:
+ *                           type: integer
+ *                         skipped:
+ *                           type: integer
+ *                         failed:
+ *                           type: integer
+ *                         duration_ms:
+ *                           type: integer
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/admin/cron/copy-fee-billing/trigger:
+ *   post:
+ *     summary: Manually run the copy subscription and management fee billing
+ *     description: Accrues strategy management fees for the completed days, charges the previous month's accrued management fees and the current month's subscription fees, and retries unpaid charges. Followers that cannot pay are paused.
+ *     tags: [Admin - Cron Jobs]
+ *     security:
+ *       - adminAuth: []
+ *     responses:
+ *       200:
+ *         description: Billing run finished
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Manual copy fee billing completed"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     triggered_at:
+ *                       type: string
+ *                       format: date-time
+ *                     triggered_by:
+ *                       type: string
+ *                     summary:
+ *                       type: object
+ *                       nullable: true
+ *                       description: Null when a run was already in progress
+ *                       properties:
+ *                         processed:
+ *                           type: integer
+ *                         accrued:
+ *                           type: integer
+ *                         charged:
+ *                           type: integer
+ *                         unpaid:
+ *                           type: integer
+ *                         retried:
+ *                           type: integer
+ *                         errors:
+ *                           type: integer
+ *                         total_charged:
+ *                           type: number
+ *                         duration_ms:
+ *                           type: integer
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/admin/cron/wallet-reconciliation/trigger:
+ *   post:
+ *     summary: Manually run the wallet-to-ledger reconciliation
+ *     description: Replays the completed ledger of every account, compares the result with the stored and cached wallet balances, and stores the discrepancies found. Open discrepancies that are no longer found are marked resolved.
+ *     tags: [Admin - Cron Jobs]
+ *     security:
+ *       - adminAuth: []
+ *     responses:
+ *       200:
+ *         description: Reconciliation run finished
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Manual wallet reconciliation completed"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     triggered_at:
+ *                       type: string
+ *                       format: date-time
+ *                     triggered_by:
+ *                       type: string
+ *                     summary:
+ *                       type: object
+ *                       nullable: true
+ *                       description: Null when a run was already in progress
+ *                       properties:
+ *                         checked:
+ *                           type: integer
+ *                         skipped:
+ *                           type: integer
+ *                           description: Accounts without completed ledger rows
+ *                         failed:
+ *                           type: integer
+ *                         accounts_with_discrepancies:
+ *                           type: integer
+ *                         discrepancies_opened:
+ *                           type: integer
+ *                         discrepancies_resolved:
+ *                           type: integer
+ *                         by_type:
+ *                           type: object
+ *                         duration_ms:
+ *                           type: integer
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *       500:
+ *         description: Internal server error
+ */
+
 // Apply admin authentication to all routes
 router.use(authenticateAdmin);
 
@@ -119,4 +395,19 @@ router.use(authenticateAdmin);
 router.post('/catalog-eligibility/trigger', cronController.triggerCatalogEligibilityUpdate);
 router.get('/catalog-eligibility/status', cronController.getCatalogEligibilityStatus);
 
+// Performance fee settlement
+router.post('/performance-fee/trigger', cronController.triggerPerformanceFeeSettlement);
+
+// Strategy provider daily snapshots
+router.post('/provider-snapshots/trigger', cronController.triggerProviderSnapshots);
+
+// Copy portfolio rebalance
+router.post('/portfolio-rebalance/trigger', cronController.triggerPortfolioRebalance);
+
+// Copy subscription and management fee billing
+router.post('/copy-fee-billing/trigger', cronController.triggerCopyFeeBilling);
+
+// Wallet-to-ledger reconciliation
+router.post('/wallet-reconciliation/trigger', cronController.triggerWalletReconciliation);
+
 module.exports = router;
@@ -94,6 +94,11 @@ router.get('/demo-users', requirePermissions(['user:read']), adminUserManagement
  *               is_active:
  *                 type: integer
  *                 enum: [0, 1]
+ *               account_mode:
+ *                 type: string
+ *                 enum: [hedging, netting]
+ *                 nullable: true
+ *                 description: Position accounting; null uses the group default
  *               wallet_balance:
  *                 type: number
  *               margin:
@@ -181,6 +186,11 @@ router.put('/live-users/:userId', requirePermissions(['user:update']), auditLog(
  *               is_active:
  *                 type: integer
  *                 enum: [0, 1]
+ *               account_mode:
+ *                 type: string
+ *                 enum: [hedging, netting]
+ *                 nullable: true
+ *                 description: Position accounting; null uses the group default
  *               wallet_balance:
  *                 type: number
  *               margin:
@@ -629,6 +639,14 @@ router.get('/:userType/:userId/closed-orders', requirePermissions(['orders:read'
  *                   close_message:
  *                     type: string
  *                     nullable: true
+ *                   time_in_force:
+ *                     type: string
+ *                     enum: [GTC, DAY, GTD]
+ *                   expires_at:
+ *                     type: string
+ *                     format: date-time
+ *                     nullable: true
+ *                     description: When the order is cancelled as EXPIRED (DAY/GTD only)
  *       400:
  *         description: Invalid parameters
  *         content:
@@ -919,6 +937,62 @@ router.post('/:userType/:userId/orders/instant', requirePermissions(['orders:pla
  */
 router.post('/:userType/:userId/orders/:orderId/close', requirePermissions(['orders:close']), auditLog('ADMIN_CLOSE_ORDER'), adminUserManagementController.adminCloseOrder);
 
+/**
+ * @swagger
+ * /api/admin/users/{userType}/{userId}/orders/close-bulk:
+ *   post:
+ *     summary: Admin closes all open positions of a user matching a filter
+ *     tags: [Admin Order Management]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Closes every OPEN position of the user matching the filter through the admin close flow, one order at a time. Filters combine; with none given every open position is closed. Requires 'orders:close' permission.
+ *     parameters:
+ *       - in: path
+ *         name: userType
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [live, demo]
+ *         description: The type of user (live or demo)
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the user whose positions to close
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               symbol:
+ *                 type: string
+ *                 example: "EURUSD"
+ *               side:
+ *                 type: string
+ *                 enum: [BUY, SELL]
+ *               pnl:
+ *                 type: string
+ *                 enum: [profitable, losing]
+ *                 description: Only positions currently in profit or in loss (price move against bid/ask, before commission and swap)
+ *     responses:
+ *       200:
+ *         description: All matching positions closed (or none matched); body has matched/closed/failed counts and per-order results
+ *       207:
+ *         description: Some closes failed; see results for per-order status
+ *       400:
+ *         description: Invalid parameters or filter
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: User not found or access denied
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:userType/:userId/orders/close-bulk', requirePermissions(['orders:close']), auditLog('ADMIN_CLOSE_BULK_ORDERS'), adminUserManagementController.adminCloseBulkOrders);
+
 /**
  * @swagger
  * /api/admin/users/{userType}/{userId}/orders/pending:
@@ -1126,13 +1200,19 @@ router.delete('/:userType/:userId/orders/pending/:orderId', requirePermissions([
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - stop_loss_price
  *             properties:
  *               stop_loss_price:
  *                 type: number
  *                 example: 1.0800
- *                 description: Stop loss price level
+ *                 description: Stop loss price level. Required unless trailing_distance is set.
+ *               trailing_distance:
+ *                 type: number
+ *                 example: 20
+ *                 description: Makes the stop a trailing stop that follows the market at this distance
+ *               trailing_unit:
+ *                 type: string
+ *                 enum: [pips, points]
+ *                 default: pips
  *     responses:
  *       200:
  *         description: Stop loss set successfully
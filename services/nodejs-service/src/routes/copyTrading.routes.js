@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const copyTradingController = require('../controllers/copyTrading.controller');
+const copyPortfolioController = require('../controllers/copyPortfolio.controller');
 const { authenticateJWT } = require('../middlewares/auth.middleware');
 
 /**
@@ -21,15 +22,97 @@ router.get('/accounts',
 );
 
 // Update follower account settings
+// (copy status, SL/TP, risk limits, lot_mode, symbol_filter_mode/symbol_filter, copy_direction)
+// Resuming (copy_status 'active') first collects unpaid subscription/management fees
 router.put('/accounts/:follower_id', 
   authenticateJWT,
   copyTradingController.updateFollowerAccount
 );
 
 // Stop following a strategy
+// Body: { mode: 'close' | 'detach' | 'wind_down', reason } - mode is required while positions are open
 router.delete('/accounts/:follower_id', 
   authenticateJWT,
   copyTradingController.stopFollowing
 );
 
+// Close a position detached from the strategy on unfollow
+router.post('/accounts/:follower_id/orders/:order_id/close', 
+  authenticateJWT,
+  copyTradingController.closeDetachedOrder
+);
+
+// Get performance fee settlements of a follower account
+router.get('/accounts/:follower_id/fee-settlements', 
+  authenticateJWT,
+  copyTradingController.getFeeSettlements
+);
+
+// Get the fee statement of a follower account: fee schedule, totals per fee type,
+// unpaid charges and performance/subscription/management fee postings
+router.get('/accounts/:follower_id/statement', 
+  authenticateJWT,
+  copyTradingController.getFeeStatement
+);
+
+// Get risk limit breaches recorded by the risk guardian for a follower account
+router.get('/accounts/:follower_id/risk-breaches', 
+  authenticateJWT,
+  copyTradingController.getRiskBreaches
+);
+
+// Create a portfolio split across several strategies by target weight
+// Body: { name, investment_amount, allocations: [{ strategy_provider_id, weight, ...copy settings }],
+//         rebalance_frequency: 'none' | 'weekly' | 'monthly', rebalance_threshold }
+router.post('/portfolios', 
+  authenticateJWT,
+  copyPortfolioController.createPortfolio
+);
+
+// Get user's portfolios
+router.get('/portfolios', 
+  authenticateJWT,
+  copyPortfolioController.getPortfolios
+);
+
+// Get a portfolio with consolidated balance, equity, P&L and fees per strategy
+router.get('/portfolios/:portfolio_id', 
+  authenticateJWT,
+  copyPortfolioController.getPortfolio
+);
+
+// Update portfolio name, rebalance settings or target weights
+// Body: { name, rebalance_frequency, rebalance_threshold, weights: [{ copy_follower_account_id, weight }] }
+router.put('/portfolios/:portfolio_id', 
+  authenticateJWT,
+  copyPortfolioController.updatePortfolio
+);
+
+// Invest from the live wallet, split by target weight
+// Body: { amount }
+router.post('/portfolios/:portfolio_id/invest', 
+  authenticateJWT,
+  copyPortfolioController.investInPortfolio
+);
+
+// Withdraw to the live wallet, split by target weight
+// Body: { amount }
+router.post('/portfolios/:portfolio_id/withdraw', 
+  authenticateJWT,
+  copyPortfolioController.withdrawFromPortfolio
+);
+
+// Rebalance to the target weights now
+router.post('/portfolios/:portfolio_id/rebalance', 
+  authenticateJWT,
+  copyPortfolioController.rebalancePortfolio
+);
+
+// Close a portfolio by unfollowing all of its strategies
+// Body: { mode: 'close' | 'detach' | 'wind_down' } - mode is required while positions are open
+router.delete('/portfolios/:portfolio_id', 
+  authenticateJWT,
+  copyPortfolioController.closePortfolio
+);
+
 module.exports = router;
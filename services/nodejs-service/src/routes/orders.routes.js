@@ -9,6 +9,11 @@ const ordersController = require('../controllers/orders.controller');
  * /api/orders/instant/place:
  *   post:
  *     summary: Place an instant order and forward to execution service
+ *     description: |
+ *       Hedging accounts open a new position per order. Netting accounts hold one position per symbol:
+ *       a same-side order increases it (volume-weighted average price, summed margin), an opposite-side
+ *       order reduces it through a partial close, closes it, or closes it and opens the remainder in the
+ *       other direction. The `netting` object in the response describes what happened.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -82,12 +87,40 @@ const ordersController = require('../controllers/orders.controller');
  *                   type: number
  *                 contract_value:
  *                   type: number
+ *                 netting:
+ *                   type: object
+ *                   description: Present for netting accounts only
+ *                   properties:
+ *                     account_mode:
+ *                       type: string
+ *                       example: "netting"
+ *                     action:
+ *                       type: string
+ *                       enum: [open, increase, reduce, close, reverse]
+ *                     position_order_id:
+ *                       type: string
+ *                       description: The symbol's position after the order
+ *                     closed_quantity:
+ *                       type: number
+ *                     remaining_quantity:
+ *                       type: number
+ *                     merge_status:
+ *                       type: string
+ *                       enum: [merged, pending_confirmation, failed]
+ *                     close:
+ *                       type: object
+ *                       description: Close response for reduce, close and reverse
+ *                     position:
+ *                       type: object
+ *                       description: Merged position (order_price is the average entry)
+ *       200:
+ *         description: Netting account order reduced or closed the existing position
  *       400:
  *         description: Invalid payload
  *       403:
  *         description: Forbidden (JWT/user checks)
  *       409:
- *         description: Conflict (duplicate order_id)
+ *         description: Conflict (duplicate order_id, or netting position busy / several positions open on the symbol)
  *       500:
  *         description: Internal server error
  */
@@ -136,6 +169,28 @@ router.post('/instant/place', authenticateJWT, ordersController.placeInstantOrde
  *                 type: string
  *                 enum: [live, demo]
  *                 example: "demo"
+ *               oco_order_id:
+ *                 type: string
+ *                 description: Existing pending order (same user and symbol) to link as a one-cancels-other pair. When either leg fills, the other is cancelled.
+ *                 example: "1234567890"
+ *               stop_loss:
+ *                 type: number
+ *                 description: Bracket stop loss, attached automatically once the entry fills. Below order_price for BUY entries, above for SELL.
+ *                 example: 0.885
+ *               take_profit:
+ *                 type: number
+ *                 description: Bracket take profit, attached automatically once the entry fills. Above order_price for BUY entries, below for SELL.
+ *                 example: 0.9
+ *               time_in_force:
+ *                 type: string
+ *                 enum: [GTC, DAY, GTD]
+ *                 default: GTC
+ *                 description: GTC stays until cancelled; DAY expires at the end of the server trading day (22:00 UTC rollover); GTD expires at expires_at. Expired orders are cancelled with cancel_message EXPIRED.
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Expiry for GTD orders (ISO date or epoch ms, must be in the future)
+ *                 example: "2025-10-31T18:00:00Z"
  *     responses:
  *       201:
  *         description: Pending order accepted
@@ -155,10 +210,29 @@ router.post('/instant/place', authenticateJWT, ordersController.placeInstantOrde
  *                   type: number
  *                 group:
  *                   type: string
+ *                 oco_order_id:
+ *                   type: string
+ *                   description: Linked OCO leg (OCO requests only)
+ *                 oco_link_id:
+ *                   type: string
+ *                   description: OCO lifecycle ID of this order
+ *                 bracket_id:
+ *                   type: string
+ *                   description: Bracket lifecycle ID (bracket requests only)
+ *                 time_in_force:
+ *                   type: string
+ *                 expires_at:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
  *       400:
- *         description: Invalid payload or price constraints violated
+ *         description: Invalid payload, price constraints or bracket levels violated, or account in netting mode
  *       403:
  *         description: Forbidden (JWT/user checks)
+ *       404:
+ *         description: OCO order not found
+ *       409:
+ *         description: OCO order is not pending or already linked
  *       500:
  *         description: Internal server error
  */
@@ -323,6 +397,9 @@ router.post('/pending/modify', authenticateJWT, ordersController.modifyPendingOr
  *               close_price:
  *                 type: number
  *                 description: Optional price hint (must be > 0 if provided)
+ *               close_quantity:
+ *                 type: number
+ *                 description: Optional lot quantity to close. Less than the open quantity performs a partial close - the remainder stays open under the same order_id and the closed slice is recorded as its own closed order (returned as close_order_id).
  *     responses:
  *       200:
  *         description: Close request processed
@@ -339,6 +416,201 @@ router.post('/pending/modify', authenticateJWT, ordersController.modifyPendingOr
  */
 router.post('/close', authenticateJWT, ordersController.closeOrder);
 
+// POST /api/orders/close-bulk
+/**
+ * @swagger
+ * /api/orders/close-bulk:
+ *   post:
+ *     summary: Close all open positions matching a filter
+ *     description: Closes every OPEN position of the user that matches the filter, one closeOrder per position. Filters combine; with none given every open position is closed. Failures do not stop the remaining closes.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - user_id
+ *               - user_type
+ *             properties:
+ *               user_id:
+ *                 type: string
+ *               user_type:
+ *                 type: string
+ *                 enum: [live, demo]
+ *               symbol:
+ *                 type: string
+ *                 example: "EURUSD"
+ *               side:
+ *                 type: string
+ *                 enum: [BUY, SELL]
+ *               pnl:
+ *                 type: string
+ *                 enum: [profitable, losing]
+ *                 description: Only positions currently in profit or in loss (price move against bid/ask, before commission and swap)
+ *     responses:
+ *       200:
+ *         description: All matching positions closed (or none matched)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 matched:
+ *                   type: integer
+ *                 closed:
+ *                   type: integer
+ *                 failed:
+ *                   type: integer
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       order_id:
+ *                         type: string
+ *                       symbol:
+ *                         type: string
+ *                       order_type:
+ *                         type: string
+ *                       success:
+ *                         type: boolean
+ *                       status_code:
+ *                         type: integer
+ *                       message:
+ *                         type: string
+ *                       data:
+ *                         type: object
+ *       207:
+ *         description: Some closes failed; see results for per-order status
+ *       400:
+ *         description: Invalid payload or filter
+ *       403:
+ *         description: Forbidden (JWT/user checks)
+ */
+router.post('/close-bulk', authenticateJWT, ordersController.closeBulkOrders);
+
+// POST /api/orders/preview
+/**
+ * @swagger
+ * /api/orders/preview:
+ *   post:
+ *     summary: Preview margin, costs and P&L of a market order without placing it
+ *     description: Uses the user's group configuration (contract size, spread, commission, swap, pips) and leverage with the same formulas as order execution. Amounts are in USD; profit currencies such as JPY are converted at the current rate.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - user_id
+ *               - user_type
+ *               - symbol
+ *               - order_type
+ *               - order_quantity
+ *             properties:
+ *               user_id:
+ *                 type: string
+ *               user_type:
+ *                 type: string
+ *                 enum: [live, demo]
+ *               symbol:
+ *                 type: string
+ *                 example: "USDJPY"
+ *               order_type:
+ *                 type: string
+ *                 enum: [BUY, SELL]
+ *               order_quantity:
+ *                 type: number
+ *                 description: Lot size
+ *                 example: 0.5
+ *               order_price:
+ *                 type: number
+ *                 description: Optional entry price; defaults to the current market price including spread
+ *               stop_loss:
+ *                 type: number
+ *               take_profit:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: Preview computed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     entry_price:
+ *                       type: number
+ *                     contract_value:
+ *                       type: number
+ *                     margin:
+ *                       type: number
+ *                       description: Required margin in USD
+ *                     pip_value:
+ *                       type: number
+ *                       description: USD value of a one-pip move for this lot size
+ *                     commission:
+ *                       type: object
+ *                       properties:
+ *                         entry:
+ *                           type: number
+ *                         exit:
+ *                           type: number
+ *                         total:
+ *                           type: number
+ *                     swap:
+ *                       type: object
+ *                       properties:
+ *                         type:
+ *                           type: string
+ *                         per_night:
+ *                           type: number
+ *                         triple_night:
+ *                           type: number
+ *                           nullable: true
+ *                     stop_loss:
+ *                       type: object
+ *                       nullable: true
+ *                       properties:
+ *                         price:
+ *                           type: number
+ *                         distance_pips:
+ *                           type: number
+ *                         pnl:
+ *                           type: number
+ *                         pnl_after_commission:
+ *                           type: number
+ *                     take_profit:
+ *                       type: object
+ *                       nullable: true
+ *                     risk_reward_ratio:
+ *                       type: number
+ *                       nullable: true
+ *       400:
+ *         description: Invalid payload or SL/TP on the wrong side of the entry
+ *       403:
+ *         description: Forbidden (JWT/user checks)
+ *       404:
+ *         description: User or symbol configuration not found
+ *       503:
+ *         description: Market or conversion price unavailable
+ */
+router.post('/preview', authenticateJWT, ordersController.previewOrder);
+
 // POST /api/orders/stoploss/add
 /**
  * @swagger
@@ -360,7 +632,6 @@ router.post('/close', authenticateJWT, ordersController.closeOrder);
  *               - user_type
  *               - symbol
  *               - order_type
- *               - stop_loss
  *             properties:
  *               order_id:
  *                 type: string
@@ -381,7 +652,17 @@ router.post('/close', authenticateJWT, ordersController.closeOrder);
  *                 example: "BUY"
  *               stop_loss:
  *                 type: number
+ *                 description: Required unless trailing_distance is set. For trailing stops it is the optional initial stop.
  *                 example: 1.08325
+ *               trailing_distance:
+ *                 type: number
+ *                 description: Turns the stop into a trailing stop that follows the market at this distance and only moves in the trade's favour. A later fixed stop_loss or a stoploss cancel removes the trail.
+ *                 example: 20
+ *               trailing_unit:
+ *                 type: string
+ *                 enum: [pips, points]
+ *                 default: pips
+ *                 description: Unit of trailing_distance, resolved from the user's group config (pips or show_points)
  *               order_status:
  *                 type: string
  *                 description: Internal lifecycle status. Must be OPEN.
@@ -405,6 +686,13 @@ router.post('/close', authenticateJWT, ordersController.closeOrder);
  *                 stoploss_id:
  *                   type: string
  *                   description: Lifecycle ID generated for stoploss request
+ *                 stop_loss:
+ *                   type: number
+ *                   description: Initial stop of a trailing stop (trailing requests only)
+ *                 trailing_distance:
+ *                   type: number
+ *                 trailing_unit:
+ *                   type: string
  *                 data:
  *                   type: object
  *                   description: Python service response
@@ -624,12 +912,65 @@ router.post('/takeprofit/cancel', authenticateJWT, ordersController.cancelTakePr
  * @swagger
  * /api/orders/closed:
  *   get:
- *     summary: Get authenticated user's CLOSED orders (latest to oldest)
+ *     summary: Get authenticated user's CLOSED orders (latest to oldest by default)
+ *     description: Close time is the time the order was closed (row updated_at). With format=csv the full filtered history is streamed as a CSV download, ignoring pagination.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: symbol
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: side
+ *         schema:
+ *           type: string
+ *           enum: [BUY, SELL]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *         description: Close time lower bound (ISO date or epoch ms, inclusive)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: Close time upper bound (ISO date or epoch ms, inclusive)
+ *       - in: query
+ *         name: result
+ *         schema:
+ *           type: string
+ *           enum: [profit, loss]
+ *         description: Only orders closed with net_profit above / below zero
+ *       - in: query
+ *         name: min_lot
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: max_lot
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: sort_by
+ *         schema:
+ *           type: string
+ *           enum: [close_time, open_time, profit]
+ *           default: close_time
+ *       - in: query
+ *         name: sort_dir
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *         description: csv returns a download including swap, commission, close_message and lifecycle ids (type:id separated by ;)
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -646,8 +987,11 @@ router.post('/takeprofit/cancel', authenticateJWT, ordersController.cancelTakePr
  *         description: Items per page (max 100)
  *     responses:
  *       200:
- *         description: Array of closed orders
+ *         description: Array of closed orders (or a CSV file when format=csv)
  *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
  *           application/json:
  *             schema:
  *               type: array
@@ -687,12 +1031,20 @@ router.post('/takeprofit/cancel', authenticateJWT, ordersController.cancelTakePr
  *                     type: string
  *                   close_message:
  *                     type: string
+ *                   close_id:
+ *                     type: string
+ *                   parent_order_id:
+ *                     type: string
+ *                     nullable: true
+ *                     description: Set on slices created by a partial close; the order_id of the position that remains open
  *                   created_at:
  *                     type: string
  *                     format: date-time
  *                   updated_at:
  *                     type: string
  *                     format: date-time
+ *       400:
+ *         description: Invalid filter or sort parameter
  */
 router.get('/closed', authenticateJWT, ordersController.getClosedOrders);
 
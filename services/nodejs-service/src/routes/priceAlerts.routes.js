@@ -0,0 +1,241 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateJWT } = require('../middlewares/auth.middleware');
+const priceAlertsController = require('../controllers/priceAlerts.controller');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Price Alerts
+ *   description: Price alerts on favorite symbols, delivered over /ws/portfolio as {"type":"price_alert","data":{...}}
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PriceAlert:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         symbol:
+ *           type: string
+ *           example: "EURUSD"
+ *         condition:
+ *           type: string
+ *           enum: [crosses_above, crosses_below, percent_move]
+ *         price_field:
+ *           type: string
+ *           enum: [bid, ask]
+ *         target_price:
+ *           type: number
+ *           nullable: true
+ *         percent:
+ *           type: number
+ *           nullable: true
+ *         window_minutes:
+ *           type: integer
+ *           nullable: true
+ *         direction:
+ *           type: string
+ *           enum: [up, down, any]
+ *           nullable: true
+ *         mode:
+ *           type: string
+ *           enum: [one_shot, repeating]
+ *         cooldown_seconds:
+ *           type: integer
+ *         notify_email:
+ *           type: boolean
+ *         status:
+ *           type: string
+ *           enum: [active, triggered, disabled]
+ *         armed:
+ *           type: boolean
+ *           description: Crossing alerts are armed while the price is on the near side of the level
+ *         last_triggered_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         last_trigger_price:
+ *           type: number
+ *           nullable: true
+ *         trigger_count:
+ *           type: integer
+ *         note:
+ *           type: string
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/price-alerts:
+ *   post:
+ *     summary: Create a price alert on a symbol in the user's favorites
+ *     description: crosses_above / crosses_below fire when the bid or ask reaches target_price. percent_move fires when the price moved by percent within window_minutes. one_shot alerts become triggered after firing; repeating alerts fire again after cooldown_seconds (crossing alerts also wait for the price to come back across the level).
+ *     tags: [Price Alerts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - symbol
+ *               - condition
+ *             properties:
+ *               symbol:
+ *                 type: string
+ *                 example: "EURUSD"
+ *               condition:
+ *                 type: string
+ *                 enum: [crosses_above, crosses_below, percent_move]
+ *               price_field:
+ *                 type: string
+ *                 enum: [bid, ask]
+ *                 default: bid
+ *               target_price:
+ *                 type: number
+ *                 description: Required for crosses_above / crosses_below
+ *                 example: 1.09
+ *               percent:
+ *                 type: number
+ *                 description: Required for percent_move
+ *                 example: 0.5
+ *               window_minutes:
+ *                 type: integer
+ *                 default: 60
+ *               direction:
+ *                 type: string
+ *                 enum: [up, down, any]
+ *                 default: any
+ *               mode:
+ *                 type: string
+ *                 enum: [one_shot, repeating]
+ *                 default: one_shot
+ *               cooldown_seconds:
+ *                 type: integer
+ *                 minimum: 60
+ *                 default: 300
+ *               notify_email:
+ *                 type: boolean
+ *                 default: false
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Alert created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/PriceAlert'
+ *       400:
+ *         description: Validation error or symbol not in favorites
+ *       404:
+ *         description: Symbol not found
+ *       409:
+ *         description: Active alert limit reached
+ *   get:
+ *     summary: List the user's price alerts
+ *     tags: [Price Alerts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, triggered, disabled]
+ *       - in: query
+ *         name: symbol
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Alerts, newest first
+ */
+router.post('/', authenticateJWT, priceAlertsController.createAlert);
+router.get('/', authenticateJWT, priceAlertsController.getAlerts);
+
+/**
+ * @swagger
+ * /api/price-alerts/{id}:
+ *   patch:
+ *     summary: Update a price alert
+ *     description: symbol and condition cannot change. Set status to active to re-enable a triggered or disabled alert, or disabled to pause it.
+ *     tags: [Price Alerts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               price_field:
+ *                 type: string
+ *                 enum: [bid, ask]
+ *               target_price:
+ *                 type: number
+ *               percent:
+ *                 type: number
+ *               window_minutes:
+ *                 type: integer
+ *               direction:
+ *                 type: string
+ *                 enum: [up, down, any]
+ *               mode:
+ *                 type: string
+ *                 enum: [one_shot, repeating]
+ *               cooldown_seconds:
+ *                 type: integer
+ *               notify_email:
+ *                 type: boolean
+ *               note:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [active, disabled]
+ *     responses:
+ *       200:
+ *         description: Alert updated
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Alert not found
+ *   delete:
+ *     summary: Delete a price alert
+ *     tags: [Price Alerts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Alert deleted
+ *       404:
+ *         description: Alert not found
+ */
+router.patch('/:id', authenticateJWT, priceAlertsController.updateAlert);
+router.delete('/:id', authenticateJWT, priceAlertsController.deleteAlert);
+
+module.exports = router;
@@ -72,6 +72,23 @@ const upload = multer({
  *           default: 20.00
  *           description: Performance fee percentage (5-50%)
  *           example: 25.00
+ *         fee_settlement_period:
+ *           type: string
+ *           enum: [weekly, monthly]
+ *           default: monthly
+ *           description: How often follower profits above their high-water mark are charged
+ *         subscription_fee:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 500.00
+ *           description: Optional fixed monthly subscription fee in USD, charged to followers in advance (pro-rated in the first month)
+ *           example: 29.00
+ *         management_fee:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 5.00
+ *           description: Optional annual management fee in percent of follower equity, accrued daily and charged monthly
+ *           example: 2.00
  *         leverage:
  *           type: integer
  *           enum: [50, 100, 200]
@@ -157,6 +174,14 @@ const upload = multer({
  *         performance_fee:
  *           type: number
  *           description: Performance fee percentage
+ *         subscription_fee:
+ *           type: number
+ *           nullable: true
+ *           description: Monthly subscription fee in USD
+ *         management_fee:
+ *           type: number
+ *           nullable: true
+ *           description: Annual management fee percentage of follower equity
  *         min_investment:
  *           type: number
  *           description: Minimum investment amount
@@ -249,6 +274,21 @@ const upload = multer({
  *                 maximum: 50.00
  *                 default: 20.00
  *                 description: Performance fee percentage (5-50%)
+ *               fee_settlement_period:
+ *                 type: string
+ *                 enum: [weekly, monthly]
+ *                 default: monthly
+ *                 description: How often follower profits above their high-water mark are charged
+ *               subscription_fee:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 500.00
+ *                 description: Optional fixed monthly subscription fee in USD
+ *               management_fee:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 5.00
+ *                 description: Optional annual management fee in percent of follower equity
  *               leverage:
  *                 type: integer
  *                 enum: [50, 100, 200]
@@ -546,12 +586,20 @@ const upload = multer({
  *         description: Minimum 3-month return percentage filter
  *         example: 5.0
  *       - in: query
+ *         name: min_rating
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 5
+ *         description: Minimum average follower rating
+ *         example: 4.0
+ *       - in: query
  *         name: sort_by
  *         schema:
  *           type: string
- *           enum: [performance, followers, newest, performance_fee, three_month_return, drawdown]
+ *           enum: [performance, followers, newest, performance_fee, three_month_return, drawdown, rating, reviews]
  *           default: performance
- *         description: Sort criteria
+ *         description: Sort criteria (rating = best average rating first, reviews = most reviewed first)
  *         example: "performance"
  *     responses:
  *       200:
@@ -594,6 +642,22 @@ const upload = multer({
  *                           performance_fee:
  *                             type: number
  *                             example: 20.0
+ *                           subscription_fee:
+ *                             type: number
+ *                             description: Monthly subscription fee in USD (0 when none)
+ *                             example: 29.0
+ *                           management_fee:
+ *                             type: number
+ *                             description: Annual management fee in percent of equity (0 when none)
+ *                             example: 2.0
+ *                           average_rating:
+ *                             type: number
+ *                             description: Average of the published follower ratings (0 without reviews)
+ *                             example: 4.35
+ *                           review_count:
+ *                             type: integer
+ *                             description: Number of published follower reviews
+ *                             example: 23
  *                     pagination:
  *                       type: object
  *                       properties:
@@ -633,7 +697,7 @@ const upload = multer({
  * /api/strategy-providers/{id}/catalog-eligibility:
  *   get:
  *     summary: Check catalog eligibility for strategy provider
- *     description: Check if a strategy provider meets catalog eligibility requirements
+ *     description: Check if a strategy provider meets the catalog eligibility rules, with a pass/fail entry per rule
  *     tags: [Strategy Providers]
  *     security:
  *       - bearerAuth: []
@@ -676,19 +740,54 @@ const upload = multer({
  *                           example: "All catalog requirements met"
  *                         requirements:
  *                           type: object
+ *                           description: Thresholds of the enabled catalog rules, keyed by rule type (managed by superadmins under /api/superadmin/strategy-providers/catalog-rules)
+ *                           additionalProperties: true
+ *                           example:
+ *                             min_closed_trades: 10
+ *                             min_account_age_days: 30
+ *                             max_days_since_last_trade: 7
+ *                             min_return: 0
+ *                             min_equity: 100
+ *                         checks:
+ *                           type: array
+ *                           description: One entry per enabled rule; failed entries explain what to fix
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               rule_id:
+ *                                 type: integer
+ *                               rule_type:
+ *                                 type: string
+ *                                 example: "min_closed_trades"
+ *                               description:
+ *                                 type: string
+ *                               threshold:
+ *                                 type: number
+ *                                 nullable: true
+ *                                 example: 10
+ *                               actual:
+ *                                 nullable: true
+ *                                 example: 4
+ *                               passed:
+ *                                 type: boolean
+ *                                 example: false
+ *                               message:
+ *                                 type: string
+ *                                 nullable: true
+ *                                 example: "Minimum 10 closed trades required (current: 4)"
+ *                         last_run:
+ *                           type: object
+ *                           description: Breakdown stored by the last scheduled eligibility run
  *                           properties:
- *                             min_closed_trades:
- *                               type: integer
- *                               example: 10
- *                             min_days_since_first_trade:
- *                               type: integer
- *                               example: 30
- *                             max_days_since_last_trade:
- *                               type: integer
- *                               example: 7
- *                             min_return_percentage:
- *                               type: number
- *                               example: 0
+ *                             evaluated_at:
+ *                               type: string
+ *                               format: date-time
+ *                               nullable: true
+ *                             checks:
+ *                               type: array
+ *                               nullable: true
+ *                               items:
+ *                                 type: object
  *                         current:
  *                           type: object
  *                           properties:
@@ -715,6 +814,15 @@ const upload = multer({
  *                             total_return_percentage:
  *                               type: number
  *                               example: 15.75
+ *                             max_drawdown:
+ *                               type: number
+ *                               example: 8.5
+ *                             current_equity:
+ *                               type: number
+ *                               example: 1250.5
+ *                             is_kyc_verified:
+ *                               type: boolean
+ *                               example: true
  *                             status:
  *                               type: integer
  *                               example: 1
@@ -734,9 +842,824 @@ const upload = multer({
  */
 
 
+/**
+ * @swagger
+ * /api/strategy-providers/{id}/analytics:
+ *   get:
+ *     summary: Get strategy performance analytics
+ *     description: Equity curve, returns, drawdown, risk ratios and trade statistics built from the strategy's daily snapshots and closed orders. Available to the owner, to followers of the strategy, and to any user while the strategy is public and active.
+ *     tags: [Strategy Providers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Strategy provider ID
+ *         example: 1
+ *       - in: query
+ *         name: days
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 3650
+ *         description: Limit the analytics to the last N days (defaults to the full history)
+ *         example: 90
+ *     responses:
+ *       200:
+ *         description: Strategy analytics retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Strategy analytics retrieved successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     strategy_provider:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: integer
+ *                         strategy_name:
+ *                           type: string
+ *                     period:
+ *                       type: object
+ *                       properties:
+ *                         from:
+ *                           type: string
+ *                           format: date
+ *                           nullable: true
+ *                         to:
+ *                           type: string
+ *                           format: date
+ *                           nullable: true
+ *                         days:
+ *                           type: integer
+ *                           description: Number of daily returns in the period
+ *                     current:
+ *                       type: object
+ *                       nullable: true
+ *                       description: Latest snapshot
+ *                     equity_curve:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           date:
+ *                             type: string
+ *                             format: date
+ *                           balance:
+ *                             type: number
+ *                           equity:
+ *                             type: number
+ *                           floating_pnl:
+ *                             type: number
+ *                           follower_count:
+ *                             type: integer
+ *                           aum:
+ *                             type: number
+ *                     returns:
+ *                       type: object
+ *                       properties:
+ *                         total_return_percentage:
+ *                           type: number
+ *                           example: 12.5
+ *                         three_month_return:
+ *                           type: number
+ *                           nullable: true
+ *                         monthly_returns:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               month:
+ *                                 type: string
+ *                                 example: "2025-10"
+ *                               return_percentage:
+ *                                 type: number
+ *                     risk:
+ *                       type: object
+ *                       properties:
+ *                         max_drawdown:
+ *                           type: object
+ *                           properties:
+ *                             max_drawdown_percentage:
+ *                               type: number
+ *                               example: 8.2
+ *                             peak_date:
+ *                               type: string
+ *                               format: date
+ *                               nullable: true
+ *                             trough_date:
+ *                               type: string
+ *                               format: date
+ *                               nullable: true
+ *                             recovery_date:
+ *                               type: string
+ *                               format: date
+ *                               nullable: true
+ *                               description: Null while the drawdown has not been recovered
+ *                         sharpe_ratio:
+ *                           type: number
+ *                           nullable: true
+ *                         sortino_ratio:
+ *                           type: number
+ *                           nullable: true
+ *                     trading:
+ *                       type: object
+ *                       properties:
+ *                         closed_trades:
+ *                           type: integer
+ *                         win_rate:
+ *                           type: number
+ *                         profit_factor:
+ *                           type: number
+ *                           nullable: true
+ *                           description: Null when there are no losing trades
+ *                         gross_profit:
+ *                           type: number
+ *                         gross_loss:
+ *                           type: number
+ *                         average_holding_hours:
+ *                           type: number
+ *                           nullable: true
+ *                     per_symbol:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           symbol:
+ *                             type: string
+ *                           trades:
+ *                             type: integer
+ *                           win_rate:
+ *                             type: number
+ *                           net_profit:
+ *                             type: number
+ *                           volume:
+ *                             type: number
+ *                           average_holding_hours:
+ *                             type: number
+ *                             nullable: true
+ *       400:
+ *         description: Invalid strategy provider ID or days
+ *       401:
+ *         description: Authentication required
+ *       404:
+ *         description: Strategy provider not found
+ *       500:
+ *         description: Internal server error
+ */
+
+
+/**
+ * @swagger
+ * /api/strategy-providers/{id}/simulate:
+ *   post:
+ *     summary: Simulate copying a strategy
+ *     description: |
+ *       Replays the strategy's closed orders since start_date for a hypothetical follower, using the
+ *       same lot sizing and high-water-mark performance fee calculation as live copy trading. Fees are
+ *       settled at the strategy's weekly or monthly period ends. Historical prices between open and
+ *       close are not available, so a follower SL/TP only changes a trade when the master's close
+ *       price went beyond it. At most 5000 orders are replayed (summary.truncated is set when cut off).
+ *     tags: [Strategy Providers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Strategy provider ID
+ *         example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - investment_amount
+ *               - start_date
+ *             properties:
+ *               investment_amount:
+ *                 type: number
+ *                 example: 1000
+ *               start_date:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-01-01"
+ *               lot_mode:
+ *                 type: string
+ *                 enum: [equity_proportional, fixed_lot, lot_multiplier, fixed_risk]
+ *                 default: equity_proportional
+ *               fixed_lot_size:
+ *                 type: number
+ *                 description: Required for fixed_lot
+ *               lot_multiplier:
+ *                 type: number
+ *                 description: Required for lot_multiplier
+ *               risk_percentage:
+ *                 type: number
+ *                 description: Required for fixed_risk
+ *               max_lot_size:
+ *                 type: number
+ *               copy_sl_mode:
+ *                 type: string
+ *                 enum: [none, percentage, amount]
+ *                 default: none
+ *               sl_percentage:
+ *                 type: number
+ *               sl_amount:
+ *                 type: number
+ *               copy_tp_mode:
+ *                 type: string
+ *                 enum: [none, percentage, amount]
+ *                 default: none
+ *               tp_percentage:
+ *                 type: number
+ *               tp_amount:
+ *                 type: number
+ *               max_daily_loss:
+ *                 type: number
+ *                 description: New trades are skipped for the rest of the UTC day once losses reach this amount
+ *     responses:
+ *       200:
+ *         description: Simulation completed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Simulation completed successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     strategy_provider:
+ *                       type: object
+ *                     parameters:
+ *                       type: object
+ *                     summary:
+ *                       type: object
+ *                       properties:
+ *                         initial_investment:
+ *                           type: number
+ *                           example: 1000
+ *                         final_equity:
+ *                           type: number
+ *                           example: 1184.32
+ *                         trading_pnl:
+ *                           type: number
+ *                           example: 216.85
+ *                         fees_paid:
+ *                           type: number
+ *                           example: 32.53
+ *                         final_pnl:
+ *                           type: number
+ *                           example: 184.32
+ *                         return_percentage:
+ *                           type: number
+ *                         max_drawdown_percentage:
+ *                           type: number
+ *                         pending_fee:
+ *                           type: number
+ *                           description: Fee that would be charged at the next period end
+ *                         trades_replayed:
+ *                           type: integer
+ *                         trades_copied:
+ *                           type: integer
+ *                         trades_skipped:
+ *                           type: integer
+ *                         truncated:
+ *                           type: boolean
+ *                     equity_curve:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           date:
+ *                             type: string
+ *                             format: date
+ *                           equity:
+ *                             type: number
+ *                     fee_settlements:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           period_end:
+ *                             type: string
+ *                             format: date-time
+ *                           equity:
+ *                             type: number
+ *                           profit_above_hwm:
+ *                             type: number
+ *                           fee_amount:
+ *                             type: number
+ *                           high_water_mark_after:
+ *                             type: number
+ *                     skipped_trades:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           order_id:
+ *                             type: string
+ *                           symbol:
+ *                             type: string
+ *                           order_type:
+ *                             type: string
+ *                           opened_at:
+ *                             type: string
+ *                             format: date-time
+ *                           reason:
+ *                             type: string
+ *                             example: "Daily loss limit exceeded"
+ *       400:
+ *         description: Invalid strategy provider ID or simulation parameters
+ *       401:
+ *         description: Authentication required
+ *       404:
+ *         description: Strategy provider not found
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReplicationQualityReport:
+ *       type: object
+ *       properties:
+ *         strategy_provider:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id:
+ *               type: integer
+ *             strategy_name:
+ *               type: string
+ *         period:
+ *           type: object
+ *           properties:
+ *             from:
+ *               type: string
+ *               format: date-time
+ *             to:
+ *               type: string
+ *               format: date-time
+ *         orders:
+ *           type: object
+ *           properties:
+ *             total:
+ *               type: integer
+ *               description: Copies created in the period, including failed and skipped ones
+ *             filled:
+ *               type: integer
+ *             closed:
+ *               type: integer
+ *             truncated:
+ *               type: boolean
+ *               description: True when the period held more than 50000 copies; only the latest were analysed
+ *         copy_delay:
+ *           type: object
+ *           description: Milliseconds between the master order and its copy
+ *           properties:
+ *             count:
+ *               type: integer
+ *             avg_ms:
+ *               type: number
+ *               nullable: true
+ *             p50_ms:
+ *               type: number
+ *               nullable: true
+ *             p95_ms:
+ *               type: number
+ *               nullable: true
+ *             max_ms:
+ *               type: number
+ *               nullable: true
+ *         slippage:
+ *           type: object
+ *           description: Follower fill price against the master fill price. Positive values are against the follower.
+ *           properties:
+ *             count:
+ *               type: integer
+ *             avg_bps:
+ *               type: number
+ *               nullable: true
+ *             avg_abs_bps:
+ *               type: number
+ *               nullable: true
+ *             p95_abs_bps:
+ *               type: number
+ *               nullable: true
+ *             adverse_count:
+ *               type: integer
+ *             favorable_count:
+ *               type: integer
+ *             zero_count:
+ *               type: integer
+ *             by_symbol:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   symbol:
+ *                     type: string
+ *                   count:
+ *                     type: integer
+ *                   avg_price_diff:
+ *                     type: number
+ *                   avg_bps:
+ *                     type: number
+ *         failures:
+ *           type: object
+ *           properties:
+ *             total:
+ *               type: integer
+ *             by_status:
+ *               type: object
+ *               additionalProperties:
+ *                 type: integer
+ *               example: { "failed": 3, "skipped": 12 }
+ *             by_reason:
+ *               type: array
+ *               description: The 20 most frequent reasons
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   copy_status:
+ *                     type: string
+ *                   reason:
+ *                     type: string
+ *                     example: "Skipped: min_lot_size"
+ *                   count:
+ *                     type: integer
+ *             other_reasons:
+ *               type: integer
+ *               description: Unsuccessful copies with a reason outside the top 20
+ *         pnl_divergence:
+ *           type: array
+ *           description: Per follower, realized P&L of closed copies against the master's P&L scaled to the follower's lots. Largest divergence first.
+ *           items:
+ *             type: object
+ *             properties:
+ *               copy_follower_account_id:
+ *                 type: integer
+ *               closed_trades:
+ *                 type: integer
+ *               expected_pnl:
+ *                 type: number
+ *               actual_pnl:
+ *                 type: number
+ *               divergence:
+ *                 type: number
+ *               divergence_percentage:
+ *                 type: number
+ *                 nullable: true
+ *               avg_abs_trade_divergence:
+ *                 type: number
+ */
+
+/**
+ * @swagger
+ * /api/strategy-providers/{id}/replication-quality:
+ *   get:
+ *     summary: Get copy replication quality of your strategy
+ *     description: Copy delay, fill slippage, failed and skipped copies by reason, and realized P&L divergence per follower for the copies created in the period. Only available to the owner of the strategy.
+ *     tags: [Strategy Providers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Strategy provider ID
+ *       - in: query
+ *         name: from
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the period (defaults to 30 days before to)
+ *       - in: query
+ *         name: to
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the period (defaults to now). The period cannot exceed 366 days.
+ *       - in: query
+ *         name: follower_id
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Limit the report to one copy follower account
+ *     responses:
+ *       200:
+ *         description: Replication quality report retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Replication quality report retrieved successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/ReplicationQualityReport'
+ *       400:
+ *         description: Invalid strategy provider ID or date range
+ *       401:
+ *         description: Authentication required
+ *       404:
+ *         description: Strategy provider not found
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StrategyReview:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         strategy_provider_id:
+ *           type: integer
+ *         rating:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         comment:
+ *           type: string
+ *         reviewer_name:
+ *           type: string
+ *           description: First name and last initial of the reviewer
+ *           example: "Jane D."
+ *         copying_days:
+ *           type: integer
+ *           description: Days the reviewer had been copying the strategy when writing the review
+ *         realized_pnl:
+ *           type: number
+ *           description: Net P&L of the reviewer's closed copied orders when writing the review
+ *         realized_return_percentage:
+ *           type: number
+ *           description: realized_pnl as percent of the reviewer's initial investment
+ *         provider_reply:
+ *           type: string
+ *           nullable: true
+ *         provider_replied_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/strategy-providers/{id}/reviews:
+ *   get:
+ *     summary: Get follower reviews of a strategy
+ *     description: Published reviews of a public strategy with its average rating and rating distribution. No authentication required.
+ *     tags: [Strategy Providers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: sort_by
+ *         schema:
+ *           type: string
+ *           enum: [newest, highest, lowest, best_return]
+ *           default: newest
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Strategy reviews retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     strategy_provider:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: integer
+ *                         strategy_name:
+ *                           type: string
+ *                         average_rating:
+ *                           type: number
+ *                         review_count:
+ *                           type: integer
+ *                     rating_distribution:
+ *                       type: object
+ *                       description: Number of published reviews per rating (1-5)
+ *                       example: { "1": 0, "2": 1, "3": 2, "4": 8, "5": 12 }
+ *                     reviews:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/StrategyReview'
+ *                     pagination:
+ *                       type: object
+ *       400:
+ *         description: Invalid strategy provider ID
+ *       404:
+ *         description: Strategy provider not found
+ *       500:
+ *         description: Internal server error
+ *   post:
+ *     summary: Review a strategy
+ *     description: Writes the authenticated follower's 1-5 rating and review of a strategy, or updates it when one exists. The user must have copied the strategy for at least STRATEGY_REVIEW_MIN_COPY_DAYS days (default 14). The reviewer's copying days and realized return are stored with the review.
+ *     tags: [Strategy Providers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [rating, comment]
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               comment:
+ *                 type: string
+ *                 minLength: 10
+ *                 maxLength: 2000
+ *     responses:
+ *       200:
+ *         description: Review updated successfully
+ *       201:
+ *         description: Review submitted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/StrategyReview'
+ *       400:
+ *         description: Invalid rating or comment
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Not a follower of the strategy, copying for too short a time, or own strategy
+ *       404:
+ *         description: Strategy provider not found
+ *       500:
+ *         description: Internal server error
+ *   delete:
+ *     summary: Delete your review of a strategy
+ *     tags: [Strategy Providers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Review deleted successfully
+ *       401:
+ *         description: Authentication required
+ *       404:
+ *         description: Review not found
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/strategy-providers/{id}/reviews/{reviewId}/reply:
+ *   put:
+ *     summary: Reply to a review of your strategy
+ *     description: Posts or replaces the strategy owner's public reply to a review. An empty or null reply removes it.
+ *     tags: [Strategy Providers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reply:
+ *                 type: string
+ *                 nullable: true
+ *                 maxLength: 2000
+ *     responses:
+ *       200:
+ *         description: Reply saved or removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/StrategyReview'
+ *       400:
+ *         description: Invalid reply
+ *       401:
+ *         description: Authentication required
+ *       404:
+ *         description: Strategy provider (owned by the user) or review not found
+ *       500:
+ *         description: Internal server error
+ */
+
+
 // Public catalog route (no authentication required)
 router.get('/catalog', strategyProviderController.getCatalogStrategies);
 
+// Public follower reviews of a strategy (no authentication required)
+router.get('/:id/reviews', strategyProviderController.getStrategyReviews);
+
 // Apply JWT authentication to all routes below this point
 router.use(authenticateJWT);
 
@@ -770,6 +1693,12 @@ router.post('/', (req, res, next) => {
 router.get('/', strategyProviderController.getUserStrategyProviderAccounts);
 router.get('/:id', strategyProviderController.getStrategyProviderAccount);
 router.get('/:id/catalog-eligibility', strategyProviderController.checkCatalogEligibility);
+router.get('/:id/analytics', strategyProviderController.getStrategyAnalytics);
+router.get('/:id/replication-quality', strategyProviderController.getReplicationQuality);
+router.post('/:id/simulate', strategyProviderController.simulateCopyTrading);
+router.post('/:id/reviews', strategyProviderController.submitStrategyReview);
+router.delete('/:id/reviews', strategyProviderController.deleteStrategyReview);
+router.put('/:id/reviews/:reviewId/reply', strategyProviderController.replyToStrategyReview);
 
 // Account switching routes (requires authentication)
 router.post('/:id/switch', authenticateJWT, strategyProviderController.switchToStrategyProvider);
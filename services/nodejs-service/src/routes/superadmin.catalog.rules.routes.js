@@ -0,0 +1,238 @@
+const express = require('express');
+const router = express.Router();
+const superadminCatalogRulesController = require('../controllers/superadmin.catalog.rules.controller');
+const { authenticateAdmin, requireRole } = require('../middlewares/auth.middleware');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CatalogEligibilityRule:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         rule_type:
+ *           type: string
+ *           enum: [min_closed_trades, min_account_age_days, max_days_since_last_trade, max_drawdown, min_equity, min_return, kyc_required]
+ *           example: "min_closed_trades"
+ *         threshold:
+ *           type: number
+ *           nullable: true
+ *           description: Null for kyc_required
+ *           example: 10
+ *         is_enabled:
+ *           type: boolean
+ *           example: true
+ *         description:
+ *           type: string
+ *           nullable: true
+ *           example: "Minimum closed trades"
+ *         created_by:
+ *           type: integer
+ *           nullable: true
+ *         updated_by:
+ *           type: integer
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     CatalogEligibilityRuleInput:
+ *       type: object
+ *       properties:
+ *         rule_type:
+ *           type: string
+ *           enum: [min_closed_trades, min_account_age_days, max_days_since_last_trade, max_drawdown, min_equity, min_return, kyc_required]
+ *           description: |
+ *             - min_closed_trades: at least N closed trades
+ *             - min_account_age_days: at least N days since the first trade
+ *             - max_days_since_last_trade: last trade no more than N days ago
+ *             - max_drawdown: stored max drawdown at most N percent (0-100)
+ *             - min_equity: wallet balance + net profit at least N
+ *             - min_return: total return at least N percent
+ *             - kyc_required: provider must be KYC verified (no threshold)
+ *         threshold:
+ *           type: number
+ *           description: Required for every rule type except kyc_required
+ *         is_enabled:
+ *           type: boolean
+ *           default: true
+ *         description:
+ *           type: string
+ *           maxLength: 255
+ */
+
+/**
+ * @swagger
+ * /api/superadmin/strategy-providers/catalog-rules:
+ *   get:
+ *     summary: List catalog eligibility rules
+ *     description: Rules evaluated by the catalog eligibility check and the daily catalog eligibility cron job. Disabled rules are listed but not applied.
+ *     tags: [Superadmin - Catalog Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Catalog eligibility rules retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     rules:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/CatalogEligibilityRule'
+ *                     rule_types:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *       403:
+ *         description: Forbidden - Superadmin role required
+ *       500:
+ *         description: Internal server error
+ *   post:
+ *     summary: Create a catalog eligibility rule
+ *     description: Adds a rule to the catalog eligibility rule set. Only one rule per rule_type is allowed.
+ *     tags: [Superadmin - Catalog Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/CatalogEligibilityRuleInput'
+ *               - required: [rule_type]
+ *           example:
+ *             rule_type: "max_drawdown"
+ *             threshold: 30
+ *             description: "Drawdown must stay under 30%"
+ *     responses:
+ *       201:
+ *         description: Catalog eligibility rule created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/CatalogEligibilityRule'
+ *       400:
+ *         description: Invalid rule type or threshold
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *       403:
+ *         description: Forbidden - Superadmin role required
+ *       409:
+ *         description: A rule of this type already exists
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/superadmin/strategy-providers/catalog-rules/{ruleId}:
+ *   put:
+ *     summary: Update a catalog eligibility rule
+ *     description: Change the threshold, description or enabled flag of a rule. The rule type cannot be changed. Takes effect on the next eligibility check.
+ *     tags: [Superadmin - Catalog Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CatalogEligibilityRuleInput'
+ *           example:
+ *             threshold: 20
+ *             is_enabled: true
+ *     responses:
+ *       200:
+ *         description: Catalog eligibility rule updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/CatalogEligibilityRule'
+ *       400:
+ *         description: Invalid rule ID or threshold
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *       403:
+ *         description: Forbidden - Superadmin role required
+ *       404:
+ *         description: Rule not found
+ *       500:
+ *         description: Internal server error
+ *   delete:
+ *     summary: Delete a catalog eligibility rule
+ *     tags: [Superadmin - Catalog Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Catalog eligibility rule deleted successfully
+ *       400:
+ *         description: Invalid rule ID
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *       403:
+ *         description: Forbidden - Superadmin role required
+ *       404:
+ *         description: Rule not found
+ *       500:
+ *         description: Internal server error
+ */
+
+// Apply superadmin authentication to all routes
+router.use(authenticateAdmin);
+router.use(requireRole(['superadmin']));
+
+// Catalog eligibility rule management routes
+router.get('/catalog-rules', superadminCatalogRulesController.listCatalogRules);
+router.post('/catalog-rules', superadminCatalogRulesController.createCatalogRule);
+router.put('/catalog-rules/:ruleId', superadminCatalogRulesController.updateCatalogRule);
+router.delete('/catalog-rules/:ruleId', superadminCatalogRulesController.deleteCatalogRule);
+
+module.exports = router;
@@ -28,6 +28,12 @@ router.use(authenticateAdmin, requireRole(['superadmin']));
  *           type: string
  *           enum: [deposit, withdraw]
  *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, on_hold, pending_second_approval]
+ *           default: pending
+ *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
@@ -68,6 +74,10 @@ router.get('/money-requests/:requestId', ctrl.getById);
  * /api/superadmin/money-requests/{requestId}/approve:
  *   post:
  *     summary: Approve a money request
+ *     description: |
+ *       Withdrawals above MAKER_CHECKER_WITHDRAWAL_THRESHOLD (default 10000) need two approvals from different admins.
+ *       The first approval moves the request to pending_second_approval; the second creates the transaction.
+ *       Second approvals can also be given at /api/admin/approvals by roles with the money_request:second_approve permission.
  *     tags: [Superadmin Money Requests]
  *     security:
  *       - bearerAuth: []
@@ -88,6 +98,10 @@ router.get('/money-requests/:requestId', ctrl.getById);
  *     responses:
  *       200:
  *         description: Request approved and transaction created
+ *       202:
+ *         description: First approval recorded; the request awaits a second approval by a different admin
+ *       403:
+ *         description: Second approval attempted by the first approver
  */
 router.post('/money-requests/:requestId/approve', ctrl.approve);
 
@@ -95,7 +109,7 @@ router.post('/money-requests/:requestId/approve', ctrl.approve);
  * @swagger
  * /api/superadmin/money-requests/{requestId}/reject:
  *   post:
- *     summary: Reject a money request
+ *     summary: Reject a money request (pending, on hold or awaiting a second approval)
  *     tags: [Superadmin Money Requests]
  *     security:
  *       - bearerAuth: []
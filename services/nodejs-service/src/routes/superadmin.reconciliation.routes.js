@@ -0,0 +1,359 @@
+const express = require('express');
+const router = express.Router();
+const superadminReconciliationController = require('../controllers/superadmin.reconciliation.controller');
+const { authenticateAdmin, requireRole } = require('../middlewares/auth.middleware');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WalletDiscrepancy:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         user_type:
+ *           type: string
+ *           enum: [live, demo, strategy_provider, copy_follower]
+ *         user_id:
+ *           type: integer
+ *         discrepancy_type:
+ *           type: string
+ *           enum: [chain_gap, pair_mismatch, wallet_mismatch, cache_mismatch]
+ *           description: chain_gap - a ledger row does not start where the previous one ended; pair_mismatch - balance_after is not balance_before + amount; wallet_mismatch - stored wallet_balance differs from the ledger balance; cache_mismatch - Redis wallet_balance differs from the stored one
+ *         transaction_id:
+ *           type: string
+ *           nullable: true
+ *         previous_transaction_id:
+ *           type: string
+ *           nullable: true
+ *         expected_balance:
+ *           type: number
+ *         actual_balance:
+ *           type: number
+ *         difference:
+ *           type: number
+ *           description: actual_balance - expected_balance
+ *         status:
+ *           type: string
+ *           enum: [open, resolved, repaired, ignored]
+ *         repairable_with:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [accept_wallet, restore_ledger, resync_cache]
+ *         detection_count:
+ *           type: integer
+ *         first_detected_at:
+ *           type: string
+ *           format: date-time
+ *         last_detected_at:
+ *           type: string
+ *           format: date-time
+ *         resolved_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         resolved_by:
+ *           type: integer
+ *           nullable: true
+ *         resolution:
+ *           type: string
+ *           nullable: true
+ *           enum: [accept_wallet, restore_ledger, resync_cache, ignore]
+ *         resolution_note:
+ *           type: string
+ *           nullable: true
+ *         repair_transaction_ids:
+ *           type: array
+ *           nullable: true
+ *           items:
+ *             type: string
+ */
+
+/**
+ * @swagger
+ * /api/superadmin/wallet-reconciliation/discrepancies:
+ *   get:
+ *     summary: List wallet-to-ledger discrepancies
+ *     description: Discrepancies stored by the reconciliation job, most recently detected first, with open totals per discrepancy type.
+ *     tags: [Superadmin - Wallet Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [all, open, resolved, repaired, ignored]
+ *           default: open
+ *       - in: query
+ *         name: discrepancy_type
+ *         schema:
+ *           type: string
+ *           enum: [chain_gap, pair_mismatch, wallet_mismatch, cache_mismatch]
+ *       - in: query
+ *         name: user_type
+ *         schema:
+ *           type: string
+ *           enum: [live, demo, strategy_provider, copy_follower]
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Wallet discrepancies retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     discrepancies:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/WalletDiscrepancy'
+ *                     open_totals:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           discrepancy_type:
+ *                             type: string
+ *                           count:
+ *                             type: integer
+ *                           absolute_difference:
+ *                             type: number
+ *                     pagination:
+ *                       type: object
+ *       400:
+ *         description: Invalid filter
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *       403:
+ *         description: Forbidden - Superadmin role required
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/superadmin/wallet-reconciliation/accounts/{userType}/{accountId}:
+ *   get:
+ *     summary: Reconcile one account now
+ *     description: Replays the account's completed ledger on demand and returns the result next to its stored discrepancies. Nothing is recorded; replay is null when the account has no completed ledger rows.
+ *     tags: [Superadmin - Wallet Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userType
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [live, demo, strategy_provider, copy_follower]
+ *       - in: path
+ *         name: accountId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Account reconciliation retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user_type:
+ *                       type: string
+ *                     user_id:
+ *                       type: integer
+ *                     replay:
+ *                       type: object
+ *                       nullable: true
+ *                       properties:
+ *                         transactions:
+ *                           type: integer
+ *                         opening_balance:
+ *                           type: number
+ *                         ledger_balance:
+ *                           type: number
+ *                           description: balance_after of the latest completed ledger row
+ *                         replayed_balance:
+ *                           type: number
+ *                           description: Opening balance plus all amounts
+ *                         wallet_balance:
+ *                           type: number
+ *                         cached_balance:
+ *                           type: number
+ *                           nullable: true
+ *                         findings:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                     discrepancies:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/WalletDiscrepancy'
+ *       400:
+ *         description: Invalid user type or account ID
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *       403:
+ *         description: Forbidden - Superadmin role required
+ *       404:
+ *         description: Account not found
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/superadmin/wallet-reconciliation/discrepancies/{discrepancyId}/repair:
+ *   post:
+ *     summary: Repair a wallet or cache mismatch
+ *     description: |
+ *       Only open wallet_mismatch and cache_mismatch discrepancies can be repaired. expected_difference must repeat the recorded difference, and the balances are re-checked under lock; if they moved since the run, the repair is refused.
+ *       - accept_wallet: the stored wallet is correct. An adjustment ledger row records the unexplained movement; the wallet is not changed.
+ *       - restore_ledger: the ledger is correct. The same adjustment is posted, followed by a reversing adjustment that moves the wallet back to the ledger balance.
+ *       - resync_cache: the stored wallet balance is pushed to Redis again.
+ *     tags: [Superadmin - Wallet Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: discrepancyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [mode, reason, expected_difference]
+ *             properties:
+ *               mode:
+ *                 type: string
+ *                 enum: [accept_wallet, restore_ledger, resync_cache]
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *               expected_difference:
+ *                 type: number
+ *           example:
+ *             mode: "restore_ledger"
+ *             reason: "Duplicate credit from payout retry, confirmed with finance"
+ *             expected_difference: 250
+ *     responses:
+ *       200:
+ *         description: Wallet discrepancy repaired successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/WalletDiscrepancy'
+ *       400:
+ *         description: Invalid discrepancy ID, mode, reason or expected_difference, or the discrepancy cannot be repaired
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *       403:
+ *         description: Forbidden - Superadmin role required
+ *       404:
+ *         description: Discrepancy or account not found
+ *       409:
+ *         description: Discrepancy is not open, or the balances changed since it was found
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/superadmin/wallet-reconciliation/discrepancies/{discrepancyId}/ignore:
+ *   post:
+ *     summary: Ignore a discrepancy
+ *     description: Acknowledges an open discrepancy, e.g. a historic chain gap that has been explained. Later runs keep it ignored instead of reporting it again.
+ *     tags: [Superadmin - Wallet Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: discrepancyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Wallet discrepancy ignored successfully
+ *       400:
+ *         description: Invalid discrepancy ID or missing reason
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *       403:
+ *         description: Forbidden - Superadmin role required
+ *       404:
+ *         description: Discrepancy not found
+ *       409:
+ *         description: Discrepancy is not open
+ *       500:
+ *         description: Internal server error
+ */
+
+// Apply superadmin authentication to all routes
+router.use(authenticateAdmin);
+router.use(requireRole(['superadmin']));
+
+// Wallet-to-ledger reconciliation routes
+router.get('/discrepancies', superadminReconciliationController.listDiscrepancies);
+router.get('/accounts/:userType/:accountId', superadminReconciliationController.getAccountReport);
+router.post('/discrepancies/:discrepancyId/repair', superadminReconciliationController.repairDiscrepancy);
+router.post('/discrepancies/:discrepancyId/ignore', superadminReconciliationController.ignoreDiscrepancy);
+
+module.exports = router;
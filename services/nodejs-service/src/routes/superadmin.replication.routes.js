@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+const superadminReplicationController = require('../controllers/superadmin.replication.controller');
+const { authenticateAdmin, requireRole } = require('../middlewares/auth.middleware');
+
+/**
+ * @swagger
+ * /api/superadmin/strategy-providers/replication-quality:
+ *   get:
+ *     summary: Get copy replication quality
+ *     description: Copy delay, fill slippage, failed and skipped copies by reason, and realized P&L divergence per follower for the copies created in the period, across all strategies unless one is given. Follower rows include the account name, number and owner.
+ *     tags: [Superadmin - Copy Trading]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: strategy_provider_id
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Limit the report to one strategy
+ *       - in: query
+ *         name: follower_id
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Limit the report to one copy follower account
+ *       - in: query
+ *         name: from
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the period (defaults to 30 days before to)
+ *       - in: query
+ *         name: to
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the period (defaults to now). The period cannot exceed 366 days.
+ *     responses:
+ *       200:
+ *         description: Replication quality report retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Replication quality report retrieved successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/ReplicationQualityReport'
+ *       400:
+ *         description: Invalid date range
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *       403:
+ *         description: Forbidden - Superadmin role required
+ *       404:
+ *         description: Strategy provider not found
+ *       500:
+ *         description: Internal server error
+ */
+
+// Apply superadmin authentication to all routes
+router.use(authenticateAdmin);
+router.use(requireRole(['superadmin']));
+
+router.get('/replication-quality', superadminReplicationController.getReplicationQuality);
+
+module.exports = router;
@@ -0,0 +1,188 @@
+const express = require('express');
+const router = express.Router();
+const superadminReviewsController = require('../controllers/superadmin.reviews.controller');
+const { authenticateAdmin, requireRole } = require('../middlewares/auth.middleware');
+
+/**
+ * @swagger
+ * /api/superadmin/strategy-reviews:
+ *   get:
+ *     summary: List strategy reviews for moderation
+ *     description: Follower reviews of all strategies, newest first, including hidden ones and the reviewer's contact details.
+ *     tags: [Superadmin - Strategy Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [published, hidden]
+ *       - in: query
+ *         name: strategy_provider_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: integer
+ *         description: Reviewer live user ID
+ *       - in: query
+ *         name: min_rating
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *       - in: query
+ *         name: max_rating
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Strategy reviews retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     reviews:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/StrategyReview'
+ *                           - type: object
+ *                             properties:
+ *                               status:
+ *                                 type: string
+ *                                 enum: [published, hidden]
+ *                               moderation_reason:
+ *                                 type: string
+ *                                 nullable: true
+ *                               user_id:
+ *                                 type: integer
+ *                               reviewer:
+ *                                 type: object
+ *                               strategy_provider:
+ *                                 type: object
+ *                               moderated_by:
+ *                                 type: integer
+ *                                 nullable: true
+ *                               moderated_at:
+ *                                 type: string
+ *                                 format: date-time
+ *                                 nullable: true
+ *                     pagination:
+ *                       type: object
+ *       400:
+ *         description: Invalid status filter
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *       403:
+ *         description: Forbidden - Superadmin role required
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/superadmin/strategy-reviews/{reviewId}:
+ *   patch:
+ *     summary: Moderate a strategy review
+ *     description: Hides or republishes a review and/or removes the provider's reply. Hidden reviews are left out of the public list and the strategy's average rating and review count.
+ *     tags: [Superadmin - Strategy Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [published, hidden]
+ *               moderation_reason:
+ *                 type: string
+ *                 maxLength: 255
+ *               remove_reply:
+ *                 type: boolean
+ *           example:
+ *             status: "hidden"
+ *             moderation_reason: "Contains contact details"
+ *     responses:
+ *       200:
+ *         description: Strategy review updated successfully
+ *       400:
+ *         description: Invalid review ID, status or nothing to update
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *       403:
+ *         description: Forbidden - Superadmin role required
+ *       404:
+ *         description: Review not found
+ *       500:
+ *         description: Internal server error
+ *   delete:
+ *     summary: Delete a strategy review
+ *     tags: [Superadmin - Strategy Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Strategy review deleted successfully
+ *       400:
+ *         description: Invalid review ID
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *       403:
+ *         description: Forbidden - Superadmin role required
+ *       404:
+ *         description: Review not found
+ *       500:
+ *         description: Internal server error
+ */
+
+// Apply superadmin authentication to all routes
+router.use(authenticateAdmin);
+router.use(requireRole(['superadmin']));
+
+// Strategy review moderation routes
+router.get('/', superadminReviewsController.listReviews);
+router.patch('/:reviewId', superadminReviewsController.moderateReview);
+router.delete('/:reviewId', superadminReviewsController.deleteReview);
+
+module.exports = router;
@@ -103,6 +103,8 @@ const { handleValidationErrors } = require('../middlewares/error.middleware');
  *     responses:
  *       200:
  *         description: deposit processed successfully
+ *       202:
+ *         description: Amount is above MAKER_CHECKER_ADJUSTMENT_THRESHOLD; queued for approval by a different admin at /api/admin/approvals/adjustments
  *         content:
  *           application/json:
  *             schema:
@@ -153,6 +155,8 @@ router.post('/users/:userId/deposit',
  *     responses:
  *       200:
  *         description: Withdrawal processed successfully
+ *       202:
+ *         description: Amount is above MAKER_CHECKER_ADJUSTMENT_THRESHOLD; queued for approval by a different admin at /api/admin/approvals/adjustments
  *         content:
  *           application/json:
  *             schema:
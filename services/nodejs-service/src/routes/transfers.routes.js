@@ -0,0 +1,195 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateJWT } = require('../middlewares/auth.middleware');
+const { createTransfer, getTransfers } = require('../controllers/transfers.controller');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     InternalTransfer:
+ *       type: object
+ *       properties:
+ *         transfer_id:
+ *           type: string
+ *           example: "TRF1234567890123456"
+ *         from:
+ *           type: object
+ *           properties:
+ *             type:
+ *               type: string
+ *               enum: [live, strategy_provider, copy_follower]
+ *             account_id:
+ *               type: integer
+ *             account_number:
+ *               type: string
+ *             transaction_id:
+ *               type: string
+ *               description: Debit row in the transaction history
+ *         to:
+ *           type: object
+ *           properties:
+ *             type:
+ *               type: string
+ *               enum: [live, strategy_provider, copy_follower]
+ *             account_id:
+ *               type: integer
+ *             account_number:
+ *               type: string
+ *             transaction_id:
+ *               type: string
+ *               description: Credit row in the transaction history
+ *         amount:
+ *           type: number
+ *         notes:
+ *           type: string
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/transfers:
+ *   post:
+ *     summary: Transfer funds between your own accounts (Live users only)
+ *     description: |
+ *       Moves funds between the live wallet, your strategy provider accounts and your copy follower accounts. Only free funds can leave an account: margin held by open positions stays.
+ *       Copy follower accounts that belong to a portfolio or have stopped copying cannot take part. Funds moved in or out of a copy follower account adjust its invested amount and high-water mark, so they are not charged as performance.
+ *     tags: [Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [from_type, to_type, amount]
+ *             properties:
+ *               from_type:
+ *                 type: string
+ *                 enum: [live, strategy_provider, copy_follower]
+ *               from_account_id:
+ *                 type: integer
+ *                 description: Required unless from_type is live
+ *               to_type:
+ *                 type: string
+ *                 enum: [live, strategy_provider, copy_follower]
+ *               to_account_id:
+ *                 type: integer
+ *                 description: Required unless to_type is live
+ *               amount:
+ *                 type: number
+ *                 minimum: 1
+ *               notes:
+ *                 type: string
+ *                 maxLength: 255
+ *               idempotency_key:
+ *                 type: string
+ *                 description: Optional client-provided key; a retry with the same key returns the first result
+ *           example:
+ *             from_type: "live"
+ *             to_type: "strategy_provider"
+ *             to_account_id: 12
+ *             amount: 500
+ *     responses:
+ *       201:
+ *         description: Transfer completed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/InternalTransfer'
+ *                     - type: object
+ *                       properties:
+ *                         balances:
+ *                           type: array
+ *                           description: Wallet balances of both accounts after the transfer
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               type:
+ *                                 type: string
+ *                               account_id:
+ *                                 type: integer
+ *                               wallet_balance:
+ *                                 type: number
+ *       400:
+ *         description: Invalid accounts or amount, or insufficient free funds
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only live users can transfer funds
+ *       404:
+ *         description: Source or destination account not found
+ *       409:
+ *         description: An account is inactive, stopped or in a portfolio, the balance changed meanwhile, or the same request is already being processed
+ *   get:
+ *     summary: Get my transfer history (Live users only)
+ *     tags: [Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: account_type
+ *         schema:
+ *           type: string
+ *           enum: [live, strategy_provider, copy_follower]
+ *         description: Only transfers in or out of this account
+ *       - in: query
+ *         name: account_id
+ *         schema:
+ *           type: integer
+ *         description: Required with account_type unless it is live
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Transfers, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     transfers:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/InternalTransfer'
+ *                     pagination:
+ *                       type: object
+ *       400:
+ *         description: Invalid account filter
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only live users can transfer funds
+ */
+router.post('/', authenticateJWT, createTransfer);
+router.get('/', authenticateJWT, getTransfers);
+
+module.exports = router;
@@ -6,6 +6,8 @@ const { redisCluster } = require('../../config/redis');
 const { LiveUserOrder, DemoUserOrder, LiveUser, DemoUser } = require('../models');
 const idGenerator = require('./idGenerator.service');
 const orderLifecycleService = require('./orderLifecycle.service');
+const trailingStopService = require('./trailingStop.service');
+const pendingLinkService = require('./pendingLink.service');
 
 // Create reusable axios instance for Python service calls
 const pythonServiceAxios = axios.create({
@@ -880,6 +882,8 @@ class AdminOrderManagementService {
       const result = pyResp.data?.data || pyResp.data || {};
       const flow = result.flow; // 'local' or 'provider'
 
+      await trailingStopService.removeTrail(orderId, { userType, reason: 'admin_order_closed' });
+
       // If local flow, finalize DB immediately (EXACT same as user orders)
       if (flow === 'local') {
         try {
@@ -1560,6 +1564,8 @@ class AdminOrderManagementService {
           order_type
         });
         
+        await pendingLinkService.unlink(orderId, { reason: 'admin_cancelled' });
+
         return { success: true, order_id: orderId, order_status: 'CANCELLED' };
       }
 
@@ -1692,6 +1698,7 @@ class AdminOrderManagementService {
         stop_loss: slData.stop_loss_price || slData.stop_loss,
         status: slData.status || 'STOPLOSS'
       };
+      const hasTrailing = slData.trailing_distance !== undefined && slData.trailing_distance !== null && slData.trailing_distance !== '';
 
       // 3. Validate required fields (EXACT same validation as user orders)
       if (!userPayload.order_id) {
@@ -1703,7 +1710,10 @@ class AdminOrderManagementService {
       if (!userPayload.user_type || !['live', 'demo'].includes(userPayload.user_type)) {
         throw new Error('user_type must be live or demo');
       }
-      if (!userPayload.stop_loss || !(Number(userPayload.stop_loss) > 0)) {
+      if (hasTrailing && !(Number(slData.trailing_distance) > 0)) {
+        throw new Error('trailing_distance must be a positive number');
+      }
+      if (!hasTrailing && (!userPayload.stop_loss || !(Number(userPayload.stop_loss) > 0))) {
         throw new Error('stop_loss must be a positive number');
       }
 
@@ -1743,6 +1753,29 @@ class AdminOrderManagementService {
         throw new Error('Invalid entry price for stop loss calculation');
       }
 
+      // Trailing mode: initial stop defaults to the trailing distance from the market
+      let trail = null;
+      if (hasTrailing) {
+        try {
+          trail = await trailingStopService.prepare({
+            userType,
+            userId,
+            symbol,
+            side: order_type,
+            groupName: user.group || null,
+            distance: slData.trailing_distance,
+            unit: slData.trailing_unit || 'pips',
+            stopLoss: Number(userPayload.stop_loss) > 0 ? userPayload.stop_loss : null,
+          });
+        } catch (e) {
+          if (e instanceof trailingStopService.TrailingStopError) {
+            throw new AdminOrderError(e.message, e.statusCode, 'invalid_trailing_stop');
+          }
+          throw e;
+        }
+        userPayload.stop_loss = trail.stopLoss;
+      }
+
       // 6. Generate lifecycle id and persist to SQL (EXACT same as user orders)
       const stoploss_id = await idGenerator.generateStopLossId();
       try {
@@ -1756,7 +1789,9 @@ class AdminOrderManagementService {
           orderId, 
           'stoploss_id', 
           stoploss_id, 
-          `Admin stoploss added - price: ${userPayload.stop_loss}`
+          trail
+            ? `Admin trailing stoploss added - price: ${userPayload.stop_loss}, distance: ${trail.distance} ${trail.unit}`
+            : `Admin stoploss added - price: ${userPayload.stop_loss}`
         );
       } catch (e) {
         logger.warn('Failed to persist admin stoploss_id before send', { order_id: orderId, error: e.message });
@@ -1853,6 +1888,30 @@ class AdminOrderManagementService {
         }
       }
 
+      // A fixed stop replaces any trailing stop; a trailing request (re)registers the trail
+      if (trail) {
+        try {
+          await trailingStopService.registerTrail({
+            orderId,
+            userId,
+            userType,
+            symbol,
+            side: order_type,
+            group: trail.group,
+            distance: trail.distance,
+            unit: trail.unit,
+            distancePrice: trail.distancePrice,
+            stopLoss: userPayload.stop_loss,
+            stoplossId: stoploss_id,
+            flow,
+          });
+        } catch (e) {
+          logger.error('Failed to register admin trailing stop', { order_id: orderId, error: e.message });
+        }
+      } else {
+        await trailingStopService.removeTrail(orderId, { userType, reason: 'admin_manual_stoploss' });
+      }
+
       // 10. Log successful admin action
       logger.info('Admin stop loss set successfully', {
         operationId,
@@ -1866,12 +1925,19 @@ class AdminOrderManagementService {
         order_type,
         stop_loss: userPayload.stop_loss,
         stoploss_id,
+        trailing_distance: trail ? trail.distance : undefined,
         flow,
         result
       });
 
       // 11. Return EXACT same response structure as user orders
-      return { success: true, data: result, order_id: orderId, stoploss_id };
+      return {
+        success: true,
+        data: result,
+        order_id: orderId,
+        stoploss_id,
+        ...(trail ? { stop_loss: userPayload.stop_loss, trailing_distance: trail.distance, trailing_unit: trail.unit } : {}),
+      };
 
     } catch (error) {
       logger.error('Failed to set admin stop loss', {
@@ -2134,6 +2200,8 @@ class AdminOrderManagementService {
         result
       });
 
+      await trailingStopService.removeTrail(orderId, { userType, reason: 'admin_stoploss_cancelled' });
+
       // 14. Return EXACT same response structure as user orders
       return { success: true, data: result, order_id: orderId, stoploss_cancel_id };
 
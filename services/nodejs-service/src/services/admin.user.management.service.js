@@ -292,6 +292,11 @@ class AdminUserManagementService {
       errors.push('is_active must be 0 or 1');
     }
 
+    // Account mode validation (null falls back to the group default)
+    if (updateData.account_mode !== undefined && updateData.account_mode !== null && !['hedging', 'netting'].includes(updateData.account_mode)) {
+      errors.push('account_mode must be hedging or netting');
+    }
+
     return {
       isValid: errors.length === 0,
       errors
@@ -310,7 +315,7 @@ class AdminUserManagementService {
     // Common fields for both user types
     const commonFields = [
       'wallet_balance', 'leverage', 'margin', 'account_number',
-      'group', 'status', 'is_active', 'country_id'
+      'group', 'status', 'is_active', 'country_id', 'account_mode'
     ];
     
     // Additional fields for live users only
@@ -698,7 +703,7 @@ class AdminUserManagementService {
           'id', 'order_id', 'symbol', 'order_type', 'order_status',
           'order_price', 'order_quantity', 'contract_value', 'margin',
           'commission', 'swap', 'stop_loss', 'take_profit', 'net_profit',
-          'created_at', 'updated_at', 'close_message'
+          'created_at', 'updated_at', 'close_message', 'time_in_force', 'expires_at'
         ],
         order: [['created_at', 'DESC']], // Most recently created first
         limit: limit,
@@ -737,7 +742,9 @@ class AdminUserManagementService {
         net_profit: parseFloat(order.net_profit) || 0,
         created_at: order.created_at,
         updated_at: order.updated_at,
-        close_message: order.close_message
+        close_message: order.close_message,
+        time_in_force: order.time_in_force || 'GTC',
+        expires_at: order.expires_at || null
       }));
 
     } catch (error) {
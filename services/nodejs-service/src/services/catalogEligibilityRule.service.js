@@ -0,0 +1,228 @@
+const CatalogEligibilityRule = require('../models/catalogEligibilityRule.model');
+const logger = require('./logger.service');
+const { ServiceError } = require('../utils/serviceError.util');
+
+// Supported rule types. `metric` is the key read from the evaluation context,
+// `compare` is how the metric must relate to the threshold to pass.
+const RULE_TYPES = {
+  min_closed_trades: { metric: 'closed_trades', compare: 'gte', integer: true, label: 'closed trades' },
+  min_account_age_days: { metric: 'days_since_first_trade', compare: 'gte', integer: true, label: 'days since first trade' },
+  max_days_since_last_trade: { metric: 'days_since_last_trade', compare: 'lte', integer: true, label: 'days since last trade' },
+  max_drawdown: { metric: 'max_drawdown', compare: 'lte', min: 0, max: 100, label: 'max drawdown (%)' },
+  min_equity: { metric: 'current_equity', compare: 'gte', min: 0, label: 'equity' },
+  min_return: { metric: 'total_return_percentage', compare: 'gte', label: 'total return (%)' },
+  kyc_required: { metric: 'is_kyc_verified', compare: 'true', label: 'KYC verification' }
+};
+
+class CatalogRuleError extends ServiceError {}
+
+function formatRule(rule) {
+  return {
+    id: rule.id,
+    rule_type: rule.rule_type,
+    threshold: rule.threshold === null || rule.threshold === undefined ? null : parseFloat(rule.threshold),
+    is_enabled: !!rule.is_enabled,
+    description: rule.description,
+    created_by: rule.created_by,
+    updated_by: rule.updated_by,
+    created_at: rule.created_at,
+    updated_at: rule.updated_at
+  };
+}
+
+/**
+ * Explain a failed check in terms the provider can act on
+ */
+function describeFailure(ruleType, threshold, actual) {
+  switch (ruleType) {
+    case 'min_closed_trades':
+      return `Minimum ${threshold} closed trades required (current: ${actual})`;
+    case 'min_account_age_days':
+      return actual === null
+        ? 'No trades found - first trade required'
+        : `Must complete ${threshold} days after first trade (current: ${actual} days)`;
+    case 'max_days_since_last_trade':
+      return actual === null
+        ? `No recent trades - must have traded within ${threshold} days`
+        : `Last trade must be within ${threshold} days (current: ${actual} days ago)`;
+    case 'max_drawdown':
+      return `Max drawdown must be <= ${threshold}% (current: ${Number(actual).toFixed(2)}%)`;
+    case 'min_equity':
+      return `Minimum equity of $${threshold} required (current: $${Number(actual).toFixed(2)})`;
+    case 'min_return':
+      return `Return must be >= ${threshold}% (current: ${Number(actual).toFixed(2)}%)`;
+    case 'kyc_required':
+      return 'KYC verification required';
+    default:
+      return `Rule ${ruleType} not met`;
+  }
+}
+
+class CatalogEligibilityRuleService {
+
+  /**
+   * Validate a rule payload. `existing` is passed for updates so partial payloads work.
+   * @returns {Object} Normalized attributes to save
+   */
+  validateRule(data = {}, existing = null) {
+    const attrs = {};
+    const ruleType = data.rule_type !== undefined ? data.rule_type : existing?.rule_type;
+
+    if (!ruleType || !RULE_TYPES[ruleType]) {
+      throw new CatalogRuleError(`rule_type must be one of: ${Object.keys(RULE_TYPES).join(', ')}`);
+    }
+    if (existing && data.rule_type !== undefined && data.rule_type !== existing.rule_type) {
+      throw new CatalogRuleError('rule_type cannot be changed; create a new rule instead');
+    }
+    if (!existing) attrs.rule_type = ruleType;
+
+    const def = RULE_TYPES[ruleType];
+    if (ruleType === 'kyc_required') {
+      attrs.threshold = null;
+    } else if (data.threshold !== undefined || !existing) {
+      const threshold = Number(data.threshold);
+      if (data.threshold === null || data.threshold === '' || !Number.isFinite(threshold)) {
+        throw new CatalogRuleError(`threshold is required for ${ruleType}`);
+      }
+      if (def.integer && (!Number.isInteger(threshold) || threshold < 0)) {
+        throw new CatalogRuleError(`threshold for ${ruleType} must be a non-negative integer`);
+      }
+      if (def.min !== undefined && threshold < def.min) {
+        throw new CatalogRuleError(`threshold for ${ruleType} must be >= ${def.min}`);
+      }
+      if (def.max !== undefined && threshold > def.max) {
+        throw new CatalogRuleError(`threshold for ${ruleType} must be <= ${def.max}`);
+      }
+      attrs.threshold = threshold;
+    }
+
+    if (data.is_enabled !== undefined) {
+      if (typeof data.is_enabled !== 'boolean') {
+        throw new CatalogRuleError('is_enabled must be a boolean');
+      }
+      attrs.is_enabled = data.is_enabled;
+    }
+
+    if (data.description !== undefined) {
+      if (data.description !== null && (typeof data.description !== 'string' || data.description.length > 255)) {
+        throw new CatalogRuleError('description must be a string of at most 255 characters');
+      }
+      attrs.description = data.description ? data.description.trim() : null;
+    }
+
+    return attrs;
+  }
+
+  /**
+   * List all rules, enabled or not
+   * @returns {Promise<Array<Object>>}
+   */
+  async listRules() {
+    const rules = await CatalogEligibilityRule.findAll({ order: [['id', 'ASC']] });
+    return rules.map(formatRule);
+  }
+
+  /**
+   * Rules applied by eligibility checks
+   * @returns {Promise<Array<Object>>}
+   */
+  async getEnabledRules() {
+    const rules = await CatalogEligibilityRule.findAll({
+      where: { is_enabled: true },
+      order: [['id', 'ASC']]
+    });
+    return rules.map(formatRule);
+  }
+
+  async createRule(data, adminId) {
+    const attrs = this.validateRule(data);
+
+    const duplicate = await CatalogEligibilityRule.findOne({ where: { rule_type: attrs.rule_type } });
+    if (duplicate) {
+      throw new CatalogRuleError(`A ${attrs.rule_type} rule already exists (id ${duplicate.id}); update it instead`, 409);
+    }
+
+    const rule = await CatalogEligibilityRule.create({
+      ...attrs,
+      created_by: adminId,
+      updated_by: adminId
+    });
+
+    logger.info('Catalog eligibility rule created', { ruleId: rule.id, ruleType: rule.rule_type, adminId });
+    return formatRule(rule);
+  }
+
+  async updateRule(ruleId, data, adminId) {
+    const rule = await CatalogEligibilityRule.findByPk(ruleId);
+    if (!rule) {
+      throw new CatalogRuleError('Catalog eligibility rule not found', 404);
+    }
+
+    const attrs = this.validateRule(data, rule);
+    await rule.update({ ...attrs, updated_by: adminId });
+
+    logger.info('Catalog eligibility rule updated', { ruleId: rule.id, ruleType: rule.rule_type, changes: attrs, adminId });
+    return formatRule(rule);
+  }
+
+  async deleteRule(ruleId, adminId) {
+    const rule = await CatalogEligibilityRule.findByPk(ruleId);
+    if (!rule) {
+      throw new CatalogRuleError('Catalog eligibility rule not found', 404);
+    }
+
+    await rule.destroy();
+
+    logger.info('Catalog eligibility rule deleted', { ruleId, ruleType: rule.rule_type, adminId });
+    return formatRule(rule);
+  }
+
+  /**
+   * Evaluate rules against a provider's current figures
+   * @param {Array<Object>} rules - Enabled rules
+   * @param {Object} context - Metric values keyed by RULE_TYPES[].metric
+   * @returns {Array<Object>} One check per rule: { rule_id, rule_type, threshold, actual, passed, message }
+   */
+  evaluateRules(rules, context) {
+    return rules.map(rule => {
+      const def = RULE_TYPES[rule.rule_type];
+      const actual = def ? context[def.metric] : undefined;
+      let passed = false;
+
+      if (def && def.compare === 'true') {
+        passed = !!actual;
+      } else if (def && actual !== null && actual !== undefined) {
+        passed = def.compare === 'gte' ? actual >= rule.threshold : actual <= rule.threshold;
+      }
+
+      return {
+        rule_id: rule.id,
+        rule_type: rule.rule_type,
+        description: rule.description || (def ? def.label : rule.rule_type),
+        threshold: rule.threshold,
+        actual: actual === undefined ? null : actual,
+        passed,
+        message: passed ? null : describeFailure(rule.rule_type, rule.threshold, actual === undefined ? null : actual)
+      };
+    });
+  }
+
+  /**
+   * Thresholds keyed by rule type, for clients that show the requirements up front
+   * @param {Array<Object>} rules
+   * @returns {Object}
+   */
+  toRequirements(rules) {
+    const requirements = {};
+    for (const rule of rules) {
+      requirements[rule.rule_type] = rule.rule_type === 'kyc_required' ? true : rule.threshold;
+    }
+    return requirements;
+  }
+}
+
+const catalogEligibilityRuleService = new CatalogEligibilityRuleService();
+catalogEligibilityRuleService.CatalogRuleError = CatalogRuleError;
+catalogEligibilityRuleService.RULE_TYPES = RULE_TYPES;
+
+module.exports = catalogEligibilityRuleService;
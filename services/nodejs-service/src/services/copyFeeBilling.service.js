@@ -0,0 +1,694 @@
+const { Op, Transaction } = require('sequelize');
+const sequelize = require('../config/db');
+const CopyFollowerAccount = require('../models/copyFollowerAccount.model');
+const StrategyProviderAccount = require('../models/strategyProviderAccount.model');
+const LiveUser = require('../models/liveUser.model');
+const UserTransaction = require('../models/userTransaction.model');
+const CopyFeeCharge = require('../models/copyFeeCharge.model');
+const marginMonitorService = require('./marginMonitor.service');
+const copyFollowerGuardianService = require('./copyFollowerGuardian.service');
+const portfolioEvents = require('./events/portfolio.events');
+const { sendCopyFeeUnpaidEmail } = require('./email.service');
+const idGenerator = require('./idGenerator.service');
+const redisSyncService = require('./redis.sync.service');
+const logger = require('./logger.service');
+const { toAmount, roundAmount } = require('../utils/number.util');
+const { ServiceError } = require('../utils/serviceError.util');
+
+const FEE_TYPES = ['subscription_fee', 'management_fee'];
+const FEE_LABELS = { subscription_fee: 'Subscription fee', management_fee: 'Management fee' };
+const STATEMENT_TRANSACTION_TYPES = ['performance_fee', 'subscription_fee', 'management_fee'];
+const BATCH_SIZE = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class CopyFeeBillingError extends ServiceError {}
+
+// UTC day as YYYY-MM-DD
+function dayKey(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+function addDays(key, days) {
+  return dayKey(new Date(Date.parse(`${key}T00:00:00Z`) + days * DAY_MS));
+}
+
+/**
+ * Calendar month (UTC) containing `date`
+ * @returns {{ period: string, start: Date, end: Date, days: number }}
+ */
+function monthWindow(date) {
+  const d = new Date(date);
+  const start = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1));
+  const end = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1));
+  return {
+    period: start.toISOString().slice(0, 7),
+    start,
+    end,
+    days: Math.round((end - start) / DAY_MS)
+  };
+}
+
+/**
+ * Management fee for a run of days: equity × annual% / 365 per day
+ * @param {number} equity
+ * @param {number} annualPercentage
+ * @param {number} days
+ * @returns {number}
+ */
+function managementFeeForDays(equity, annualPercentage, days) {
+  if (!(days > 0) || !(annualPercentage > 0)) return 0;
+  return roundAmount(Math.max(0, toAmount(equity)) * (annualPercentage / 100) / 365 * days, 6);
+}
+
+/**
+ * Subscription fee for a month; the month the follower joined is pro-rated by day
+ * @param {number} monthlyFee
+ * @param {{ start: Date, end: Date, days: number }} window
+ * @param {Date} since - Subscription date
+ * @returns {number}
+ */
+function subscriptionFeeForMonth(monthlyFee, window, since) {
+  if (!(monthlyFee > 0)) return 0;
+  const from = since ? new Date(since) : window.start;
+  if (from >= window.end) return 0;
+  if (from <= window.start) return roundAmount(monthlyFee, 2);
+  const daysLeft = Math.round((window.end - Date.parse(`${dayKey(from)}T00:00:00Z`)) / DAY_MS);
+  return roundAmount(monthlyFee * daysLeft / window.days, 2);
+}
+
+/**
+ * Subscription and management fees for copy trading.
+ *
+ * Next to the performance fee a strategy can charge a fixed monthly subscription_fee (USD) and an
+ * annual management_fee (percent of follower equity). The daily billing run:
+ * - accrues the management fee for each completed UTC day into management_fee_accrued, using the
+ *   follower's current equity (days missed while the job was down are caught up at that equity)
+ * - charges the accrued management fee for the previous month once it is complete (in arrears)
+ * - charges the subscription for the current month (in advance; pro-rated in the joining month)
+ * - retries charges that were left unpaid
+ *
+ * Every charge is a copy_fee_charges row (unique per follower, fee and month) with matching
+ * UserTransaction records on the follower and provider accounts. When the follower cannot cover a
+ * charge from its free margin the charge stays 'unpaid' and copying is paused until it is paid.
+ * On unfollow the outstanding fees are collected up to the remaining balance and the rest waived.
+ */
+class CopyFeeBillingService {
+
+  /**
+   * Run one billing pass. Safe to run repeatedly.
+   * @param {Object} [options]
+   * @param {Date} [options.now]
+   * @returns {Promise<Object>} Run summary
+   */
+  async runBilling({ now = new Date() } = {}) {
+    const summary = { processed: 0, accrued: 0, charged: 0, unpaid: 0, retried: 0, errors: 0, total_charged: 0 };
+    // Charges created or retried in this run are not retried again by the unpaid pass
+    const billed = new Set();
+    const count = (result) => {
+      if (!result) return;
+      billed.add(result.id);
+      if (result.status === 'charged') {
+        summary.charged++;
+        summary.total_charged = roundAmount(summary.total_charged + toAmount(result.amount), 6);
+      } else if (result.status === 'unpaid') {
+        summary.unpaid++;
+      }
+    };
+
+    const currentMonth = monthWindow(now);
+    const previousMonth = monthWindow(new Date(currentMonth.start.getTime() - DAY_MS));
+    const yesterday = addDays(dayKey(now), -1);
+    const previousLastDay = addDays(dayKey(currentMonth.start), -1);
+    let lastId = 0;
+
+    for (;;) {
+      const followers = await CopyFollowerAccount.findAll({
+        // Unfollowing accounts are billed when the unfollow completes
+        where: { id: { [Op.gt]: lastId }, unfollowed_at: null, unfollow_requested_at: null },
+        attributes: ['id', 'wallet_balance', 'subscription_date', 'created_at', 'management_fee_accrued_through'],
+        include: [{
+          model: StrategyProviderAccount,
+          as: 'strategyProvider',
+          required: true,
+          where: {
+            [Op.or]: [
+              { subscription_fee: { [Op.gt]: 0 } },
+              { management_fee: { [Op.gt]: 0 } }
+            ]
+          },
+          attributes: ['id', 'subscription_fee', 'management_fee']
+        }],
+        order: [['id', 'ASC']],
+        limit: BATCH_SIZE
+      });
+      if (followers.length === 0) break;
+      lastId = followers[followers.length - 1].id;
+
+      for (const follower of followers) {
+        summary.processed++;
+        try {
+          const provider = follower.strategyProvider;
+          const managementFee = toAmount(provider.management_fee);
+          if (managementFee > 0) {
+            const figures = await this.getFigures(follower);
+            // Close the previous month before accruing into the current one
+            const closing = await this.accrueManagementFee(follower.id, managementFee, figures.equity, previousLastDay);
+            if (closing.amount > 0) summary.accrued++;
+            if (closing.accruedThrough === previousLastDay && !(await this.hasCharge(follower.id, 'management_fee', previousMonth.period))) {
+              count(await this.chargeFee(follower.id, 'management_fee', previousMonth, {
+                rate: managementFee,
+                accruedThrough: previousLastDay,
+                freeMargin: figures.free_margin,
+                now
+              }));
+            }
+            if ((await this.accrueManagementFee(follower.id, managementFee, figures.equity, yesterday)).amount > 0) {
+              summary.accrued++;
+            }
+          }
+
+          const subscriptionFee = toAmount(provider.subscription_fee);
+          if (subscriptionFee > 0 && !(await this.hasCharge(follower.id, 'subscription_fee', currentMonth.period))) {
+            const amount = subscriptionFeeForMonth(subscriptionFee, currentMonth, follower.subscription_date || follower.created_at);
+            if (amount > 0) {
+              const figures = await this.getFigures(follower);
+              count(await this.chargeFee(follower.id, 'subscription_fee', currentMonth, { rate: subscriptionFee, amount, freeMargin: figures.free_margin, now }));
+            }
+          }
+        } catch (error) {
+          summary.errors++;
+          logger.error('Copy fee billing failed for follower', {
+            copyFollowerAccountId: follower.id,
+            error: error.message
+          });
+        }
+      }
+    }
+
+    // Charges left unpaid by earlier runs
+    lastId = 0;
+    for (;;) {
+      const charges = await CopyFeeCharge.findAll({
+        where: { id: { [Op.gt]: lastId }, status: 'unpaid' },
+        attributes: ['id', 'copy_follower_account_id', 'fee_type', 'period', 'period_start', 'period_end', 'rate'],
+        order: [['id', 'ASC']],
+        limit: BATCH_SIZE
+      });
+      if (charges.length === 0) break;
+      lastId = charges[charges.length - 1].id;
+
+      for (const charge of charges) {
+        if (billed.has(charge.id)) continue;
+        try {
+          const follower = await CopyFollowerAccount.findByPk(charge.copy_follower_account_id, {
+            attributes: ['id', 'wallet_balance', 'unfollow_requested_at']
+          });
+          if (!follower || follower.unfollow_requested_at) continue;
+          summary.retried++;
+          const figures = await this.getFigures(follower);
+          count(await this.chargeFee(follower.id, charge.fee_type, this.chargeWindow(charge), { rate: toAmount(charge.rate), freeMargin: figures.free_margin, now }));
+        } catch (error) {
+          summary.errors++;
+          logger.error('Copy fee retry failed', {
+            chargeId: charge.id,
+            copyFollowerAccountId: charge.copy_follower_account_id,
+            error: error.message
+          });
+        }
+      }
+    }
+
+    logger.info('Copy fee billing run completed', summary);
+    return summary;
+  }
+
+  chargeWindow(charge) {
+    return { period: charge.period, start: new Date(charge.period_start), end: new Date(charge.period_end) };
+  }
+
+  async hasCharge(copyFollowerAccountId, feeType, period) {
+    const charge = await CopyFeeCharge.findOne({
+      where: { copy_follower_account_id: copyFollowerAccountId, fee_type: feeType, period },
+      attributes: ['id']
+    });
+    return !!charge;
+  }
+
+  /**
+   * Live equity and free margin of a follower; the stored wallet when it is not cached
+   */
+  async getFigures(follower) {
+    try {
+      const figures = await marginMonitorService.computeMarginLevel('copy_follower', follower.id);
+      if (figures) return { equity: figures.equity, free_margin: figures.free_margin };
+    } catch (e) {
+      logger.warn('Copy fee billing: could not compute follower equity', { copyFollowerAccountId: follower.id, error: e.message });
+    }
+    return { equity: toAmount(follower.wallet_balance), free_margin: null };
+  }
+
+  /**
+   * Accrue the management fee for the days after management_fee_accrued_through up to `throughDay`.
+   * The first day accrued is the subscription day.
+   * @param {number} copyFollowerAccountId
+   * @param {number} annualPercentage
+   * @param {number} equity
+   * @param {string} throughDay - YYYY-MM-DD, inclusive
+   * @returns {Promise<{ amount: number, accruedThrough: string|null }>} Amount accrued now and the
+   *   last day accrued so far
+   */
+  async accrueManagementFee(copyFollowerAccountId, annualPercentage, equity, throughDay) {
+    return sequelize.transaction({ isolationLevel: Transaction.ISOLATION_LEVELS.READ_COMMITTED }, async (t) => {
+      const follower = await CopyFollowerAccount.findByPk(copyFollowerAccountId, { transaction: t, lock: t.LOCK.UPDATE });
+      if (!follower) return { amount: 0, accruedThrough: null };
+
+      const firstDay = follower.management_fee_accrued_through
+        ? addDays(dayKey(follower.management_fee_accrued_through), 1)
+        : dayKey(follower.subscription_date || follower.created_at || new Date());
+      if (firstDay > throughDay) {
+        return { amount: 0, accruedThrough: follower.management_fee_accrued_through ? dayKey(follower.management_fee_accrued_through) : null };
+      }
+
+      const days = Math.round((Date.parse(`${throughDay}T00:00:00Z`) - Date.parse(`${firstDay}T00:00:00Z`)) / DAY_MS) + 1;
+      const amount = managementFeeForDays(equity, annualPercentage, days);
+      await follower.update({
+        management_fee_accrued: roundAmount(toAmount(follower.management_fee_accrued) + amount, 6),
+        management_fee_accrued_through: throughDay
+      }, { transaction: t });
+      return { amount, accruedThrough: throughDay };
+    });
+  }
+
+  /**
+   * Charge (or retry) one fee for one month.
+   *
+   * A new management fee charge takes everything accrued so far. Without enough free funds the
+   * charge is recorded as 'unpaid' and the follower paused, unless capToBalance is set (unfollow):
+   * then whatever the balance covers is charged and the rest waived.
+   *
+   * @param {number} copyFollowerAccountId
+   * @param {string} feeType - subscription_fee | management_fee
+   * @param {{ period: string, start: Date, end: Date }} window
+   * @param {Object} options
+   * @param {number} options.rate - Monthly USD fee or annual percent
+   * @param {number} [options.amount] - Subscription amount for a new charge
+   * @param {string} [options.accruedThrough] - New management fee charges only take the accrual
+   *   when it ends on this day, so later days are never billed to an earlier month
+   * @param {number|null} [options.freeMargin] - Live free margin, when known
+   * @param {boolean} [options.capToBalance]
+   * @param {Date} [options.now]
+   * @returns {Promise<Object|null>} The charge row, or null when there was nothing to charge
+   */
+  async chargeFee(copyFollowerAccountId, feeType, window, { rate, amount = 0, accruedThrough = null, freeMargin = null, capToBalance = false, now = new Date() }) {
+    if (!FEE_TYPES.includes(feeType)) {
+      throw new CopyFeeBillingError(`Unknown fee type ${feeType}`);
+    }
+
+    let result;
+    try {
+      result = await sequelize.transaction({ isolationLevel: Transaction.ISOLATION_LEVELS.READ_COMMITTED }, async (t) => {
+        // Follower first, then provider, like the performance fee settlement
+        const follower = await CopyFollowerAccount.findByPk(copyFollowerAccountId, { transaction: t, lock: t.LOCK.UPDATE });
+        if (!follower) {
+          throw new CopyFeeBillingError('Copy follower account not found', 404);
+        }
+        const provider = await StrategyProviderAccount.findByPk(follower.strategy_provider_id, { transaction: t, lock: t.LOCK.UPDATE });
+        if (!provider) {
+          throw new CopyFeeBillingError('Strategy provider account not found', 404);
+        }
+
+        let charge = await CopyFeeCharge.findOne({
+          where: { copy_follower_account_id: follower.id, fee_type: feeType, period: window.period },
+          transaction: t,
+          lock: t.LOCK.UPDATE
+        });
+        if (charge && charge.status !== 'unpaid') return null;
+
+        let due;
+        if (charge) {
+          due = toAmount(charge.amount);
+        } else if (feeType === 'management_fee') {
+          const through = follower.management_fee_accrued_through ? dayKey(follower.management_fee_accrued_through) : null;
+          if (accruedThrough && through !== accruedThrough) return null;
+          due = roundAmount(follower.management_fee_accrued, 6);
+          if (!(due > 0)) return null;
+          // The accrual moves into the charge, paid or not
+          await follower.update({ management_fee_accrued: 0 }, { transaction: t });
+        } else {
+          due = roundAmount(amount, 6);
+          if (!(due > 0)) return null;
+        }
+
+        const walletBefore = toAmount(follower.wallet_balance);
+        const available = freeMargin === null || freeMargin === undefined ? walletBefore : Math.min(walletBefore, toAmount(freeMargin));
+        const collect = capToBalance ? roundAmount(Math.min(due, Math.max(0, walletBefore)), 6) : due;
+
+        if (!capToBalance && available < due) {
+          if (charge) {
+            await charge.update({ attempts: charge.attempts + 1 }, { transaction: t });
+          } else {
+            charge = await CopyFeeCharge.create({
+              copy_follower_account_id: follower.id,
+              strategy_provider_id: provider.id,
+              follower_user_id: follower.user_id,
+              fee_type: feeType,
+              period: window.period,
+              period_start: window.start,
+              period_end: window.end,
+              rate,
+              amount: due,
+              status: 'unpaid'
+            }, { transaction: t });
+          }
+          return { charge, userId: follower.user_id, strategyName: provider.strategy_name, due };
+        }
+
+        let followerTxnId = null;
+        let providerTxnId = null;
+        let providerBalanceAfter = toAmount(provider.wallet_balance);
+
+        if (collect > 0) {
+          const label = FEE_LABELS[feeType];
+          const metadata = {
+            period: window.period,
+            period_start: window.start.toISOString(),
+            period_end: window.end.toISOString(),
+            rate: toAmount(rate),
+            copy_follower_account_id: follower.id,
+            strategy_provider_id: provider.id
+          };
+
+          followerTxnId = await idGenerator.generateTransactionId();
+          await UserTransaction.create({
+            transaction_id: followerTxnId,
+            user_id: follower.id,
+            user_type: 'copy_follower',
+            type: feeType,
+            amount: -collect,
+            balance_before: walletBefore,
+            balance_after: roundAmount(walletBefore - collect, 6),
+            status: 'completed',
+            notes: `${label} to ${provider.strategy_name || `strategy ${provider.id}`} for ${window.period}`,
+            metadata
+          }, { transaction: t });
+
+          const providerBalanceBefore = toAmount(provider.wallet_balance);
+          providerBalanceAfter = roundAmount(providerBalanceBefore + collect, 6);
+          providerTxnId = await idGenerator.generateTransactionId();
+          await UserTransaction.create({
+            transaction_id: providerTxnId,
+            user_id: provider.id,
+            user_type: 'strategy_provider',
+            type: feeType,
+            amount: collect,
+            balance_before: providerBalanceBefore,
+            balance_after: providerBalanceAfter,
+            status: 'completed',
+            notes: `${label} from follower account ${follower.id} for ${window.period}`,
+            metadata
+          }, { transaction: t });
+
+          await follower.update({
+            wallet_balance: roundAmount(walletBefore - collect, 6),
+            total_fees_paid: roundAmount(toAmount(follower.total_fees_paid) + collect, 6)
+          }, { transaction: t });
+          await provider.update({ wallet_balance: providerBalanceAfter }, { transaction: t });
+        }
+
+        const values = {
+          rate,
+          amount: collect,
+          status: collect > 0 ? 'charged' : 'waived',
+          charged_at: collect > 0 ? now : null,
+          follower_transaction_id: followerTxnId,
+          provider_transaction_id: providerTxnId
+        };
+        if (charge) {
+          await charge.update({ ...values, attempts: charge.attempts + 1 }, { transaction: t });
+        } else {
+          charge = await CopyFeeCharge.create({
+            copy_follower_account_id: follower.id,
+            strategy_provider_id: provider.id,
+            follower_user_id: follower.user_id,
+            fee_type: feeType,
+            period: window.period,
+            period_start: window.start,
+            period_end: window.end,
+            ...values
+          }, { transaction: t });
+        }
+
+        return {
+          charge,
+          due,
+          followerBalanceAfter: toAmount(follower.wallet_balance),
+          providerBalanceAfter,
+          providerId: provider.id
+        };
+      });
+    } catch (error) {
+      // Another instance billed the same month first
+      if (error.name === 'SequelizeUniqueConstraintError') return null;
+      throw error;
+    }
+    if (!result) return null;
+
+    const { charge } = result;
+    if (charge.status === 'unpaid') {
+      await this.pauseForUnpaidFee(copyFollowerAccountId, result);
+      return charge;
+    }
+
+    if (toAmount(charge.amount) > 0) {
+      const syncOptions = { operation_type: feeType, cachedOnly: true };
+      await redisSyncService.syncUserAfterBalanceChange(copyFollowerAccountId, 'copy_follower', { wallet_balance: result.followerBalanceAfter }, syncOptions);
+      await redisSyncService.syncUserAfterBalanceChange(result.providerId, 'strategy_provider', { wallet_balance: result.providerBalanceAfter }, syncOptions);
+    }
+
+    logger.info('Copy fee charged', {
+      copyFollowerAccountId,
+      strategyProviderId: result.providerId,
+      feeType,
+      period: window.period,
+      status: charge.status,
+      amount: toAmount(charge.amount),
+      due: result.due
+    });
+
+    return charge;
+  }
+
+  /**
+   * Stop copying until an unpaid fee is settled and tell the owner why
+   */
+  async pauseForUnpaidFee(copyFollowerAccountId, { charge, userId, strategyName, due }) {
+    const pauseReason = `${FEE_LABELS[charge.fee_type]} of ${roundAmount(due, 2)} for ${charge.period} unpaid: insufficient funds`;
+    const [paused] = await CopyFollowerAccount.update(
+      { copy_status: 'paused', pause_reason: pauseReason },
+      { where: { id: copyFollowerAccountId, copy_status: 'active', unfollow_requested_at: null } }
+    );
+    copyFollowerGuardianService.invalidate(copyFollowerAccountId);
+
+    logger.warn('Copy fee unpaid', {
+      copyFollowerAccountId,
+      chargeId: charge.id,
+      feeType: charge.fee_type,
+      period: charge.period,
+      amount: due,
+      attempts: charge.attempts,
+      paused: paused > 0
+    });
+    if (!paused) return;
+
+    const notice = {
+      charge_id: charge.id,
+      copy_follower_account_id: copyFollowerAccountId,
+      strategy_provider_id: charge.strategy_provider_id,
+      strategy_name: strategyName || null,
+      fee_type: charge.fee_type,
+      period: charge.period,
+      amount: roundAmount(due, 2),
+      pause_reason: pauseReason,
+      at: new Date().toISOString()
+    };
+    portfolioEvents.emitUserUpdate('live', userId, { type: 'copy_fee_unpaid', data: notice });
+
+    // The account was paused without the user doing anything, so tell them by email as well
+    const owner = await LiveUser.findByPk(userId, { attributes: ['email'] });
+    if (owner && owner.email) {
+      sendCopyFeeUnpaidEmail(owner.email, notice).catch((e) => {
+        logger.warn('Copy fee unpaid email failed', { copyFollowerAccountId, error: e.message });
+      });
+    }
+  }
+
+  /**
+   * Try to collect the unpaid fees of a follower now (e.g. before copying is resumed)
+   * @param {number} copyFollowerAccountId
+   * @returns {Promise<Array>} Charges that are still unpaid
+   */
+  async collectUnpaid(copyFollowerAccountId) {
+    const charges = await CopyFeeCharge.findAll({
+      where: { copy_follower_account_id: copyFollowerAccountId, status: 'unpaid' },
+      order: [['id', 'ASC']]
+    });
+    if (charges.length === 0) return [];
+
+    const follower = await CopyFollowerAccount.findByPk(copyFollowerAccountId, { attributes: ['id', 'wallet_balance'] });
+    const remaining = [];
+    for (const charge of charges) {
+      const figures = await this.getFigures(follower);
+      const result = await this.chargeFee(copyFollowerAccountId, charge.fee_type, this.chargeWindow(charge), {
+        rate: toAmount(charge.rate),
+        freeMargin: figures.free_margin
+      });
+      if (result && result.status === 'unpaid') remaining.push(result);
+      // Later charges see the balance left by this one
+      await follower.reload({ attributes: ['id', 'wallet_balance'] });
+    }
+    return remaining;
+  }
+
+  /**
+   * Final billing when an unfollow completes: accrue the management fee up to today, then collect
+   * it and any unpaid fees from the remaining balance. What the balance cannot cover is waived.
+   * @param {number} copyFollowerAccountId
+   * @param {Object} [options]
+   * @param {Date} [options.now]
+   * @returns {Promise<number>} Total charged
+   */
+  async settleOnUnfollow(copyFollowerAccountId, { now = new Date() } = {}) {
+    const follower = await CopyFollowerAccount.findByPk(copyFollowerAccountId, {
+      attributes: ['id', 'wallet_balance'],
+      include: [{ model: StrategyProviderAccount, as: 'strategyProvider', attributes: ['id', 'management_fee'] }]
+    });
+    if (!follower) return 0;
+
+    let total = 0;
+    const unpaid = await CopyFeeCharge.findAll({
+      where: { copy_follower_account_id: follower.id, status: 'unpaid' },
+      order: [['id', 'ASC']]
+    });
+    for (const charge of unpaid) {
+      const result = await this.chargeFee(follower.id, charge.fee_type, this.chargeWindow(charge), { rate: toAmount(charge.rate), capToBalance: true, now });
+      if (result) total = roundAmount(total + toAmount(result.amount), 6);
+    }
+
+    const managementFee = toAmount(follower.strategyProvider?.management_fee);
+    const today = dayKey(now);
+    await this.accrueManagementFee(follower.id, managementFee, toAmount(follower.wallet_balance), today);
+    const month = monthWindow(now);
+    const result = await this.chargeFee(follower.id, 'management_fee', { ...month, end: now }, {
+      rate: managementFee,
+      accruedThrough: today,
+      capToBalance: true,
+      now
+    });
+    if (result) total = roundAmount(total + toAmount(result.amount), 6);
+
+    return total;
+  }
+
+  /**
+   * Fee statement of a follower account owned by the user: the strategy's fee schedule, totals per
+   * fee type and the fee postings on the account (performance, subscription and management fees)
+   * @param {number} userId - Live user ID
+   * @param {number} copyFollowerAccountId
+   * @param {Object} [options]
+   * @returns {Promise<Object>}
+   */
+  async getFollowerStatement(userId, copyFollowerAccountId, { page = 1, limit = 20 } = {}) {
+    const follower = await CopyFollowerAccount.findOne({
+      where: { id: copyFollowerAccountId, user_id: userId },
+      attributes: ['id', 'account_name', 'total_fees_paid', 'management_fee_accrued', 'management_fee_accrued_through'],
+      include: [{
+        model: StrategyProviderAccount,
+        as: 'strategyProvider',
+        attributes: ['id', 'strategy_name', 'performance_fee', 'fee_settlement_period', 'subscription_fee', 'management_fee']
+      }]
+    });
+    if (!follower) {
+      throw new CopyFeeBillingError('Copy follower account not found', 404);
+    }
+
+    const totalsRows = await UserTransaction.findAll({
+      where: { user_id: follower.id, user_type: 'copy_follower', type: { [Op.in]: STATEMENT_TRANSACTION_TYPES } },
+      attributes: ['type', [sequelize.fn('SUM', sequelize.col('amount')), 'total']],
+      group: ['type'],
+      raw: true
+    });
+    const totals = Object.fromEntries(STATEMENT_TRANSACTION_TYPES.map((type) => [type, 0]));
+    for (const row of totalsRows) {
+      totals[row.type] = roundAmount(-toAmount(row.total), 6);
+    }
+
+    const unpaid = await CopyFeeCharge.findAll({
+      where: { copy_follower_account_id: follower.id, status: 'unpaid' },
+      attributes: ['id', 'fee_type', 'period', 'amount', 'attempts', 'created_at'],
+      order: [['id', 'ASC']]
+    });
+
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+    const { count, rows } = await UserTransaction.findAndCountAll({
+      where: { user_id: follower.id, user_type: 'copy_follower', type: { [Op.in]: STATEMENT_TRANSACTION_TYPES } },
+      attributes: ['transaction_id', 'type', 'amount', 'balance_before', 'balance_after', 'notes', 'metadata', 'created_at'],
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      limit: pageSize,
+      offset: (pageNum - 1) * pageSize
+    });
+
+    const provider = follower.strategyProvider;
+    return {
+      account: {
+        id: follower.id,
+        account_name: follower.account_name,
+        total_fees_paid: toAmount(follower.total_fees_paid),
+        management_fee_accrued: toAmount(follower.management_fee_accrued),
+        management_fee_accrued_through: follower.management_fee_accrued_through
+      },
+      fee_schedule: provider ? {
+        strategy_provider_id: provider.id,
+        strategy_name: provider.strategy_name,
+        performance_fee: toAmount(provider.performance_fee),
+        fee_settlement_period: provider.fee_settlement_period,
+        subscription_fee: toAmount(provider.subscription_fee),
+        management_fee: toAmount(provider.management_fee)
+      } : null,
+      totals,
+      unpaid_charges: unpaid.map((charge) => ({
+        id: charge.id,
+        fee_type: charge.fee_type,
+        period: charge.period,
+        amount: toAmount(charge.amount),
+        attempts: charge.attempts,
+        created_at: charge.created_at
+      })),
+      entries: rows.map((row) => ({
+        transaction_id: row.transaction_id,
+        type: row.type,
+        amount: toAmount(row.amount),
+        balance_before: toAmount(row.balance_before),
+        balance_after: toAmount(row.balance_after),
+        notes: row.notes,
+        period: row.metadata?.period ?? null,
+        created_at: row.created_at
+      })),
+      pagination: {
+        total: count,
+        page: pageNum,
+        limit: pageSize,
+        total_pages: Math.ceil(count / pageSize)
+      }
+    };
+  }
+}
+
+const copyFeeBillingService = new CopyFeeBillingService();
+copyFeeBillingService.CopyFeeBillingError = CopyFeeBillingError;
+copyFeeBillingService.FEE_TYPES = FEE_TYPES;
+copyFeeBillingService.monthWindow = monthWindow;
+copyFeeBillingService.managementFeeForDays = managementFeeForDays;
+copyFeeBillingService.subscriptionFeeForMonth = subscriptionFeeForMonth;
+
+module.exports = copyFeeBillingService;
@@ -0,0 +1,323 @@
+const logger = require('./logger.service');
+const { redisCluster } = require('../../config/redis');
+const portfolioEvents = require('./events/portfolio.events');
+const marginMonitorService = require('./marginMonitor.service');
+const copyTradingService = require('./copyTrading.service');
+const { sendCopyRiskBreachEmail } = require('./email.service');
+const CopyFollowerAccount = require('../models/copyFollowerAccount.model');
+const CopyFollowerOrder = require('../models/copyFollowerOrder.model');
+const CopyFollowerRiskBreach = require('../models/copyFollowerRiskBreach.model');
+const StrategyProviderAccount = require('../models/strategyProviderAccount.model');
+const LiveUser = require('../models/liveUser.model');
+const { Op } = require('sequelize');
+const { toNumber, round } = require('../utils/number.util');
+
+const USER_TYPE = 'copy_follower';
+const MARKET_CHANNEL = 'market_price_updates';
+const CHECK_INTERVAL_MS = parseInt(process.env.COPY_GUARDIAN_INTERVAL_MS || '5000', 10) || 5000;
+// Limits and today's realized loss are re-read from the database at most this often per follower
+const LIMITS_TTL_MS = parseInt(process.env.COPY_GUARDIAN_LIMITS_TTL_MS || '30000', 10) || 30000;
+const BREACH_LOCK_SEC = 60;
+// Copied orders that still tie up the follower account
+const OPEN_ORDER_STATUSES = ['QUEUED', 'OPEN', 'PENDING', 'PENDING-QUEUED', 'PARTIALLY_FILLED'];
+
+/**
+ * Compare a follower's live figures with its risk limits.
+ *
+ * Drawdown is measured against the initial investment, like validateFollowerForCopy. The daily
+ * loss is today's realized loss plus the unrealized loss of the open copied positions.
+ *
+ * @param {Object} limits - { max_daily_loss, stop_copying_on_drawdown, base_equity, realized_loss_today }
+ * @param {Object} figures - computeMarginLevel() result
+ * @returns {Object|null} The breach, drawdown first, or null when within limits
+ */
+function evaluate(limits, figures) {
+  const equity = toNumber(figures.equity);
+  const floating = toNumber(figures.floating_pnl) || 0;
+
+  if (limits.stop_copying_on_drawdown > 0 && limits.base_equity > 0 && Number.isFinite(equity)) {
+    const drawdown = Math.max(0, ((limits.base_equity - equity) / limits.base_equity) * 100);
+    if (drawdown >= limits.stop_copying_on_drawdown) {
+      return { breach_type: 'drawdown', limit_value: limits.stop_copying_on_drawdown, actual_value: round(drawdown) };
+    }
+  }
+
+  if (limits.max_daily_loss > 0) {
+    const dailyLoss = (limits.realized_loss_today || 0) + Math.max(0, -floating);
+    if (dailyLoss >= limits.max_daily_loss) {
+      return { breach_type: 'daily_loss', limit_value: limits.max_daily_loss, actual_value: round(dailyLoss) };
+    }
+  }
+
+  return null;
+}
+
+function describeBreach(breach) {
+  return breach.breach_type === 'drawdown'
+    ? `Risk guardian: drawdown ${breach.actual_value}% reached limit ${breach.limit_value}%`
+    : `Risk guardian: daily loss ${breach.actual_value} reached limit ${breach.limit_value}`;
+}
+
+/**
+ * Real-time drawdown and daily loss limits for copy follower accounts.
+ *
+ * validateFollowerForCopy only checks the limits when the strategy opens a new trade, so an
+ * account could run far past its limits on positions that are already open. The guardian marks
+ * the copy_follower holders of every symbol that moved (symbol_holders:{symbol}:copy_follower)
+ * and re-prices them every COPY_GUARDIAN_INTERVAL_MS with the margin monitor's equity figures.
+ *
+ * A breach pauses the account (copy_status 'paused' with a pause_reason), optionally closes its
+ * copied positions (close_positions_on_breach), notifies the owner and records a
+ * copy_follower_risk_breaches row for support. copy_guardian_breach:{copy_follower:id} (NX + TTL)
+ * keeps instances from handling the same breach twice.
+ */
+class CopyFollowerGuardianService {
+  constructor() {
+    this.started = false;
+    this.dirtySymbols = new Set();
+    this.checkTimer = null;
+    this.checking = false;
+    this.limitsCache = new Map(); // follower id -> { limits, expiresAt }
+  }
+
+  breachLockKey(followerId) {
+    return `copy_guardian_breach:{${USER_TYPE}:${followerId}}`;
+  }
+
+  /**
+   * Drop the cached limits of a follower, e.g. after its settings change
+   */
+  invalidate(followerId) {
+    this.limitsCache.delete(String(followerId));
+  }
+
+  /**
+   * Limits of a follower the guardian should watch, or null when there is nothing to enforce
+   */
+  async getLimits(followerId) {
+    const key = String(followerId);
+    const cached = this.limitsCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.limits;
+
+    const follower = await CopyFollowerAccount.findByPk(followerId, {
+      attributes: [
+        'id', 'user_id', 'strategy_provider_id', 'copy_status', 'max_daily_loss', 'stop_copying_on_drawdown',
+        'initial_investment', 'investment_amount', 'close_positions_on_breach', 'unfollow_requested_at'
+      ]
+    });
+
+    let limits = null;
+    const maxDailyLoss = toNumber(follower?.max_daily_loss);
+    const maxDrawdown = toNumber(follower?.stop_copying_on_drawdown);
+    // Accounts being unfollowed are already winding down their positions
+    if (follower && follower.copy_status === 'active' && !follower.unfollow_requested_at
+      && (maxDailyLoss > 0 || maxDrawdown > 0)) {
+      limits = {
+        follower_id: follower.id,
+        user_id: follower.user_id,
+        strategy_provider_id: follower.strategy_provider_id,
+        max_daily_loss: maxDailyLoss > 0 ? maxDailyLoss : null,
+        stop_copying_on_drawdown: maxDrawdown > 0 ? maxDrawdown : null,
+        base_equity: toNumber(follower.initial_investment) || toNumber(follower.investment_amount) || 0,
+        close_positions_on_breach: !!follower.close_positions_on_breach,
+        realized_loss_today: maxDailyLoss > 0 ? await copyTradingService.getTodayLossForFollower(follower.id) : 0
+      };
+    }
+
+    this.limitsCache.set(key, { limits, expiresAt: Date.now() + LIMITS_TTL_MS });
+    return limits;
+  }
+
+  /**
+   * Check one follower and handle a breach
+   * @returns {Promise<Object|null>} The breach recorded, if any
+   */
+  async checkFollower(followerId) {
+    const limits = await this.getLimits(followerId);
+    if (!limits) return null;
+    const figures = await marginMonitorService.computeMarginLevel(USER_TYPE, followerId);
+    if (!figures) return null;
+    const breach = evaluate(limits, figures);
+    if (!breach) return null;
+    return this.handleBreach(limits, figures, breach);
+  }
+
+  async handleBreach(limits, figures, breach) {
+    const followerId = limits.follower_id;
+    const locked = await redisCluster.set(this.breachLockKey(followerId), '1', 'EX', BREACH_LOCK_SEC, 'NX');
+    if (!locked) return null;
+
+    const pauseReason = describeBreach(breach);
+    const [paused] = await CopyFollowerAccount.update(
+      { copy_status: 'paused', pause_reason: pauseReason },
+      { where: { id: followerId, copy_status: 'active', unfollow_requested_at: null } }
+    );
+    this.invalidate(followerId);
+    // Paused or unfollowed in the meantime
+    if (!paused) return null;
+
+    const closeErrors = [];
+    let positionsClosed = 0;
+    if (limits.close_positions_on_breach) {
+      const openOrders = await CopyFollowerOrder.findAll({
+        where: {
+          copy_follower_account_id: followerId,
+          order_status: { [Op.in]: OPEN_ORDER_STATUSES }
+        }
+      });
+      for (const order of openOrders) {
+        const masterRef = { order_id: order.master_order_id, close_price: null };
+        const outcome = order.order_status === 'OPEN'
+          ? await copyTradingService.closeFollowerOrder(order, masterRef)
+          : await copyTradingService.cancelFollowerOrder(order, masterRef);
+        if (outcome.success) {
+          positionsClosed += 1;
+        } else {
+          closeErrors.push({ order_id: String(order.order_id), error: outcome.error });
+        }
+      }
+    }
+
+    const record = await CopyFollowerRiskBreach.create({
+      copy_follower_account_id: followerId,
+      user_id: limits.user_id,
+      strategy_provider_id: limits.strategy_provider_id,
+      breach_type: breach.breach_type,
+      limit_value: breach.limit_value,
+      actual_value: breach.actual_value,
+      balance: figures.balance,
+      equity: figures.equity,
+      floating_pnl: figures.floating_pnl,
+      open_positions: figures.open_positions || 0,
+      close_positions: limits.close_positions_on_breach,
+      positions_closed: positionsClosed,
+      close_errors: closeErrors.length > 0 ? closeErrors : null
+    });
+
+    logger.warn('Copy follower paused by risk guardian', {
+      followerId,
+      userId: limits.user_id,
+      strategyProviderId: limits.strategy_provider_id,
+      breachId: record.id,
+      ...breach,
+      equity: figures.equity,
+      positionsClosed,
+      closeErrors: closeErrors.length
+    });
+
+    const strategy = await StrategyProviderAccount.findByPk(limits.strategy_provider_id, { attributes: ['strategy_name'] });
+    const notice = {
+      breach_id: record.id,
+      copy_follower_account_id: followerId,
+      strategy_provider_id: limits.strategy_provider_id,
+      strategy_name: strategy ? strategy.strategy_name : null,
+      ...breach,
+      pause_reason: pauseReason,
+      balance: figures.balance,
+      equity: figures.equity,
+      floating_pnl: figures.floating_pnl,
+      open_positions: figures.open_positions || 0,
+      close_positions: limits.close_positions_on_breach,
+      positions_closed: positionsClosed,
+      currency: figures.currency || 'USD',
+      at: new Date().toISOString()
+    };
+    portfolioEvents.emitUserUpdate('live', limits.user_id, { type: 'copy_risk_breach', data: notice });
+
+    const owner = await LiveUser.findByPk(limits.user_id, { attributes: ['email'] });
+    if (owner && owner.email) {
+      sendCopyRiskBreachEmail(owner.email, notice).catch((e) => {
+        logger.warn('Copy guardian: breach email failed', { followerId, error: e.message });
+      });
+    }
+
+    return notice;
+  }
+
+  /**
+   * Breaches recorded for a follower account of the user
+   */
+  async getFollowerBreaches(userId, copyFollowerAccountId, { page = 1, limit = 20 } = {}) {
+    const follower = await CopyFollowerAccount.findOne({
+      where: { id: copyFollowerAccountId, user_id: userId },
+      attributes: ['id', 'account_name', 'copy_status', 'pause_reason', 'max_daily_loss', 'stop_copying_on_drawdown', 'close_positions_on_breach']
+    });
+    if (!follower) return null;
+
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+    const { count, rows } = await CopyFollowerRiskBreach.findAndCountAll({
+      where: { copy_follower_account_id: follower.id },
+      order: [['created_at', 'DESC']],
+      limit: pageSize,
+      offset: (pageNum - 1) * pageSize
+    });
+
+    return {
+      account: follower,
+      breaches: rows,
+      pagination: {
+        total: count,
+        page: pageNum,
+        limit: pageSize,
+        total_pages: Math.ceil(count / pageSize)
+      }
+    };
+  }
+
+  /**
+   * Start watching market updates. Only followers holding a symbol that moved are checked.
+   */
+  async start() {
+    if (this.started) return;
+    this.started = true;
+    redisCluster.on('message', (channel, message) => {
+      if (channel !== MARKET_CHANNEL) return;
+      const symbol = String(message || '').toUpperCase();
+      if (symbol) this.dirtySymbols.add(symbol);
+    });
+    await redisCluster.subscribe(MARKET_CHANNEL);
+    this.checkTimer = setInterval(() => {
+      this.runChecks().catch((e) => logger.warn('Copy guardian: check pass failed', { error: e.message }));
+    }, CHECK_INTERVAL_MS);
+    logger.info('Copy follower risk guardian started', { intervalMs: CHECK_INTERVAL_MS });
+  }
+
+  stop() {
+    if (this.checkTimer) {
+      clearInterval(this.checkTimer);
+      this.checkTimer = null;
+    }
+    this.started = false;
+  }
+
+  async runChecks() {
+    if (this.checking || this.dirtySymbols.size === 0) return;
+    this.checking = true;
+    try {
+      const symbols = [...this.dirtySymbols];
+      this.dirtySymbols.clear();
+      const followers = new Set();
+      for (const symbol of symbols) {
+        const holders = await redisCluster.smembers(`symbol_holders:${symbol}:${USER_TYPE}`);
+        (holders || []).forEach((tag) => followers.add(String(tag)));
+      }
+      for (const tag of followers) {
+        const [userType, followerId] = tag.split(':');
+        if (userType !== USER_TYPE || !followerId) continue;
+        try {
+          await this.checkFollower(followerId);
+        } catch (e) {
+          logger.warn('Copy guardian: follower check failed', { followerId, error: e.message });
+        }
+      }
+    } finally {
+      this.checking = false;
+    }
+  }
+}
+
+const copyFollowerGuardianService = new CopyFollowerGuardianService();
+copyFollowerGuardianService.evaluate = evaluate;
+
+module.exports = copyFollowerGuardianService;
@@ -0,0 +1,842 @@
+const { Op, Transaction } = require('sequelize');
+const sequelize = require('../config/db');
+const CopyPortfolio = require('../models/copyPortfolio.model');
+const CopyFollowerAccount = require('../models/copyFollowerAccount.model');
+const CopyFollowerOrder = require('../models/copyFollowerOrder.model');
+const StrategyProviderAccount = require('../models/strategyProviderAccount.model');
+const LiveUser = require('../models/liveUser.model');
+const UserTransaction = require('../models/userTransaction.model');
+const copyTradingService = require('./copyTrading.service');
+const copyTradingUnfollowService = require('./copyTradingUnfollow.service');
+const marginMonitorService = require('./marginMonitor.service');
+const redisSyncService = require('./redis.sync.service');
+const idGenerator = require('./idGenerator.service');
+const logger = require('./logger.service');
+const { toAmount, roundAmount } = require('../utils/number.util');
+const { ServiceError } = require('../utils/serviceError.util');
+
+const REBALANCE_FREQUENCIES = ['none', 'weekly', 'monthly'];
+const MIN_STRATEGIES = 2;
+const MAX_STRATEGIES = 10;
+const DEFAULT_REBALANCE_THRESHOLD = 5;
+// Weights are percentages and must add up to 100 within this tolerance
+const WEIGHT_TOLERANCE = 0.01;
+// Rebalance transfers smaller than this are not worth a ledger entry
+const MIN_TRANSFER = 1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Settings a portfolio allocation may pass to its follower account
+const COPY_SETTING_FIELDS = [
+  'copy_sl_mode', 'copy_tp_mode', 'sl_percentage', 'tp_percentage', 'sl_amount', 'tp_amount',
+  'max_lot_size', 'max_daily_loss', 'stop_copying_on_drawdown', 'close_positions_on_breach'
+];
+
+class CopyPortfolioError extends ServiceError {}
+
+/**
+ * Split an amount by weight. Parts are rounded to cents and the rounding remainder goes to the
+ * largest weight, so the parts always add up to the amount.
+ * @param {number} amount
+ * @param {Array<{ id: *, weight: number }>} members - Weights need not add up to 100
+ * @returns {Array<{ id: *, amount: number }>}
+ */
+function splitByWeight(amount, members) {
+  const totalWeight = members.reduce((sum, m) => sum + m.weight, 0);
+  if (!(totalWeight > 0)) return [];
+  const parts = members.map(m => ({ id: m.id, amount: roundAmount((amount * m.weight) / totalWeight) }));
+  const remainder = roundAmount(amount - parts.reduce((sum, p) => sum + p.amount, 0));
+  if (remainder !== 0) {
+    let largest = 0;
+    members.forEach((m, i) => { if (m.weight > members[largest].weight) largest = i; });
+    parts[largest].amount = roundAmount(parts[largest].amount + remainder);
+  }
+  return parts;
+}
+
+/**
+ * Plan the cash moves that bring a portfolio back to its target weights. Only free funds can
+ * leave an account, so the result may stay short of the targets while positions are open.
+ * @param {Array<{ id: *, weight: number, equity: number, withdrawable: number }>} members
+ * @returns {{ drift: number, adjustments: Array<{ id: *, amount: number }> }} drift is the largest
+ *   distance from a target weight in percentage points; adjustments add up to zero
+ */
+function planRebalance(members) {
+  const totalWeight = members.reduce((sum, m) => sum + m.weight, 0);
+  const totalEquity = members.reduce((sum, m) => sum + Math.max(0, m.equity), 0);
+  if (!(totalWeight > 0) || !(totalEquity > 0)) return { drift: 0, adjustments: [] };
+
+  let drift = 0;
+  const over = [];
+  const under = [];
+  for (const m of members) {
+    const targetShare = m.weight / totalWeight;
+    const share = Math.max(0, m.equity) / totalEquity;
+    drift = Math.max(drift, Math.abs(share - targetShare) * 100);
+    const diff = Math.max(0, m.equity) - totalEquity * targetShare;
+    if (diff > 0) over.push({ id: m.id, amount: Math.min(diff, Math.max(0, m.withdrawable)) });
+    else if (diff < 0) under.push({ id: m.id, amount: -diff });
+  }
+
+  // Move what the over-weight accounts can release, in proportion to each shortfall
+  const available = over.reduce((sum, o) => sum + o.amount, 0);
+  const needed = under.reduce((sum, u) => sum + u.amount, 0);
+  const moved = roundAmount(Math.min(available, needed));
+  if (moved < MIN_TRANSFER) return { drift: roundAmount(drift, 4), adjustments: [] };
+
+  const debits = splitByWeight(moved, over.map(o => ({ id: o.id, weight: o.amount })));
+  const credits = splitByWeight(moved, under.map(u => ({ id: u.id, weight: u.amount })));
+  return {
+    drift: roundAmount(drift, 4),
+    adjustments: [
+      ...debits.map(d => ({ id: d.id, amount: -d.amount })),
+      ...credits
+    ].filter(a => a.amount !== 0)
+  };
+}
+
+/**
+ * Free funds of a member read again from its locked row. The wallet and margin may have moved
+ * since getMemberFigures; the floating P&L still comes from that read since prices cannot be locked.
+ * @param {Object} member - Locked copy follower account
+ * @param {Object} figures - getMemberFigures result read before the lock
+ * @returns {number}
+ */
+function lockedWithdrawable(member, figures) {
+  const balance = toAmount(member.wallet_balance);
+  const usedMargin = Math.max(figures.used_margin, toAmount(member.margin));
+  return Math.max(0, Math.min(balance, balance + figures.floating_pnl - usedMargin));
+}
+
+/**
+ * Whether a scheduled rebalance is due for a portfolio
+ */
+function isRebalanceDue(portfolio, now = new Date()) {
+  const last = new Date(portfolio.last_rebalanced_at || portfolio.created_at || 0);
+  if (portfolio.rebalance_frequency === 'weekly') {
+    return now.getTime() - last.getTime() >= 7 * DAY_MS;
+  }
+  if (portfolio.rebalance_frequency === 'monthly') {
+    const next = new Date(last);
+    next.setUTCMonth(next.getUTCMonth() + 1);
+    return now >= next;
+  }
+  return false;
+}
+
+/**
+ * Follower account fields after moving funds in (positive amount) or out. Deposits raise the
+ * invested amount and high-water mark by the amount; withdrawals lower them in proportion to
+ * the share of equity taken out, so neither is charged as performance.
+ * @param {Object} account - Copy follower account
+ * @param {number} amount
+ * @param {number} [equity] - Live equity; the stored wallet is used when unknown
+ * @returns {Object} wallet_balance, investment_amount, initial_investment, high_water_mark
+ */
+function fundingUpdates(account, amount, equity) {
+  const balanceBefore = toAmount(account.wallet_balance);
+  const hwm = toAmount(account.high_water_mark ?? account.initial_investment ?? account.investment_amount);
+  const updates = { wallet_balance: roundAmount(balanceBefore + amount, 6) };
+
+  if (amount > 0) {
+    updates.investment_amount = roundAmount(toAmount(account.investment_amount) + amount, 6);
+    updates.initial_investment = roundAmount(toAmount(account.initial_investment) + amount, 6);
+    updates.high_water_mark = roundAmount(hwm + amount, 6);
+  } else {
+    const base = equity > 0 ? equity : balanceBefore;
+    const keep = base > 0 ? Math.max(0, 1 + amount / base) : 0;
+    updates.investment_amount = roundAmount(toAmount(account.investment_amount) * keep, 6);
+    updates.initial_investment = roundAmount(toAmount(account.initial_investment) * keep, 6);
+    updates.high_water_mark = roundAmount(hwm * keep, 6);
+  }
+  return updates;
+}
+
+class CopyPortfolioService {
+
+  validateSettings(data, existing = null) {
+    const attrs = {};
+    if (data.name !== undefined || !existing) {
+      if (typeof data.name !== 'string' || !data.name.trim() || data.name.trim().length > 100) {
+        throw new CopyPortfolioError('name is required and must be at most 100 characters');
+      }
+      attrs.name = data.name.trim();
+    }
+    if (data.rebalance_frequency !== undefined) {
+      if (!REBALANCE_FREQUENCIES.includes(data.rebalance_frequency)) {
+        throw new CopyPortfolioError(`rebalance_frequency must be one of: ${REBALANCE_FREQUENCIES.join(', ')}`);
+      }
+      attrs.rebalance_frequency = data.rebalance_frequency;
+    }
+    if (data.rebalance_threshold !== undefined) {
+      const threshold = Number(data.rebalance_threshold);
+      if (!Number.isFinite(threshold) || threshold < 0 || threshold > 100) {
+        throw new CopyPortfolioError('rebalance_threshold must be between 0 and 100 percentage points');
+      }
+      attrs.rebalance_threshold = threshold;
+    }
+    return attrs;
+  }
+
+  /**
+   * Check a list of weights in percent
+   * @param {Array<number>} weights
+   */
+  validateWeights(weights) {
+    if (weights.some(w => !Number.isFinite(w) || w <= 0)) {
+      throw new CopyPortfolioError('Each weight must be a positive number');
+    }
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    if (Math.abs(total - 100) > WEIGHT_TOLERANCE) {
+      throw new CopyPortfolioError(`Weights must add up to 100 (got ${roundAmount(total, 4)})`);
+    }
+  }
+
+  async findOwnedPortfolio(userId, portfolioId, { transaction, lock } = {}) {
+    const portfolio = await CopyPortfolio.findOne({
+      where: { id: portfolioId, user_id: userId },
+      transaction,
+      lock
+    });
+    if (!portfolio) {
+      throw new CopyPortfolioError('Portfolio not found', 404);
+    }
+    return portfolio;
+  }
+
+  /**
+   * Follower accounts of a portfolio that still take part in allocation
+   */
+  async getActiveMembers(portfolioId, { transaction, lock } = {}) {
+    return CopyFollowerAccount.findAll({
+      where: {
+        copy_portfolio_id: portfolioId,
+        is_active: 1,
+        unfollow_requested_at: null
+      },
+      order: [['id', 'ASC']],
+      transaction,
+      lock
+    });
+  }
+
+  /**
+   * Live balance, equity and withdrawable funds of a follower account. Falls back to the stored
+   * wallet when the account is not in the cache.
+   */
+  async getMemberFigures(account) {
+    const figures = await marginMonitorService.computeMarginLevel('copy_follower', account.id).catch(() => null);
+    if (figures) {
+      return {
+        balance: toAmount(figures.balance),
+        equity: toAmount(figures.equity),
+        floating_pnl: toAmount(figures.floating_pnl),
+        used_margin: toAmount(figures.used_margin),
+        withdrawable: Math.max(0, Math.min(toAmount(figures.balance), toAmount(figures.free_margin)))
+      };
+    }
+    const balance = toAmount(account.wallet_balance);
+    const usedMargin = toAmount(account.margin);
+    return {
+      balance,
+      equity: balance,
+      floating_pnl: 0,
+      used_margin: usedMargin,
+      withdrawable: Math.max(0, balance - usedMargin)
+    };
+  }
+
+  /**
+   * Move funds in or out of a follower account inside a transaction (see fundingUpdates)
+   * @returns {Promise<number>} Wallet balance after the move
+   */
+  async adjustMemberFunds(account, amount, { transaction, equity, reason, portfolioId, notes }) {
+    const balanceBefore = toAmount(account.wallet_balance);
+    const updates = fundingUpdates(account, amount, equity);
+    const balanceAfter = updates.wallet_balance;
+
+    await UserTransaction.create({
+      transaction_id: await idGenerator.generateTransactionId(),
+      user_id: account.id,
+      user_type: 'copy_follower',
+      type: 'adjustment',
+      amount,
+      balance_before: balanceBefore,
+      balance_after: balanceAfter,
+      status: 'completed',
+      notes,
+      metadata: { reason, copy_portfolio_id: portfolioId, copy_follower_account_id: account.id }
+    }, { transaction });
+
+    await account.update(updates, { transaction });
+    await StrategyProviderAccount.increment({ total_investment: amount }, {
+      where: { id: account.strategy_provider_id },
+      transaction
+    });
+    return balanceAfter;
+  }
+
+  /**
+   * Debit (negative amount) or credit the owner's live wallet inside a transaction
+   * @returns {Promise<number>} Wallet balance after the move
+   */
+  async adjustOwnerFunds(owner, amount, { transaction, reason, portfolio, notes }) {
+    const balanceBefore = toAmount(owner.wallet_balance);
+    const balanceAfter = roundAmount(balanceBefore + amount, 6);
+    await UserTransaction.create({
+      transaction_id: await idGenerator.generateTransactionId(),
+      user_id: owner.id,
+      user_type: 'live',
+      type: 'adjustment',
+      amount,
+      balance_before: balanceBefore,
+      balance_after: balanceAfter,
+      status: 'completed',
+      notes,
+      metadata: { reason, copy_portfolio_id: portfolio.id }
+    }, { transaction });
+    await owner.update({ wallet_balance: balanceAfter }, { transaction });
+    return balanceAfter;
+  }
+
+  /**
+   * Keep cached wallets in step with the ledger (best-effort)
+   * @param {Array<{ userType: string, userId: *, balance: number }>} balances
+   */
+  async syncCachedBalances(balances) {
+    for (const { userType, userId, balance } of balances) {
+      await redisSyncService.syncUserAfterBalanceChange(userId, userType, { wallet_balance: balance }, {
+        operation_type: 'copy_portfolio_transfer'
+      });
+    }
+  }
+
+  /**
+   * Create a portfolio and one follower account per strategy, funded from the live wallet
+   * @param {number} userId - Live user ID
+   * @param {Object} data
+   * @param {string} data.name
+   * @param {number} data.investment_amount - Split across the strategies by weight
+   * @param {Array<Object>} data.allocations - { strategy_provider_id, weight, account_name?, ...copy settings }
+   * @param {string} [data.rebalance_frequency]
+   * @param {number} [data.rebalance_threshold]
+   */
+  async createPortfolio(userId, data = {}) {
+    const attrs = this.validateSettings(data);
+    const allocations = Array.isArray(data.allocations) ? data.allocations : [];
+    if (allocations.length < MIN_STRATEGIES || allocations.length > MAX_STRATEGIES) {
+      throw new CopyPortfolioError(`allocations must list between ${MIN_STRATEGIES} and ${MAX_STRATEGIES} strategies`);
+    }
+    const providerIds = allocations.map(a => parseInt(a.strategy_provider_id, 10));
+    if (providerIds.some(id => !Number.isInteger(id) || id <= 0)) {
+      throw new CopyPortfolioError('Each allocation needs a valid strategy_provider_id');
+    }
+    if (new Set(providerIds).size !== providerIds.length) {
+      throw new CopyPortfolioError('Each strategy can appear only once in a portfolio');
+    }
+    const weights = allocations.map(a => Number(a.weight));
+    this.validateWeights(weights);
+
+    const investmentAmount = Number(data.investment_amount);
+    if (!Number.isFinite(investmentAmount) || investmentAmount <= 0) {
+      throw new CopyPortfolioError('investment_amount must be a positive number');
+    }
+    const parts = splitByWeight(roundAmount(investmentAmount), providerIds.map((id, i) => ({ id, weight: weights[i] })));
+
+    const result = await sequelize.transaction({ isolationLevel: Transaction.ISOLATION_LEVELS.READ_COMMITTED }, async (t) => {
+      const owner = await LiveUser.findByPk(userId, { transaction: t, lock: t.LOCK.UPDATE });
+      if (!owner) {
+        throw new CopyPortfolioError('User not found', 404);
+      }
+      copyTradingService.assertCanInvest(owner, roundAmount(investmentAmount));
+
+      // Every strategy is checked before any account is opened
+      const providers = [];
+      for (let i = 0; i < providerIds.length; i++) {
+        providers.push(await copyTradingService.assertCanFollow(userId, providerIds[i], parts[i].amount, { transaction: t }));
+      }
+
+      const portfolio = await CopyPortfolio.create({
+        user_id: userId,
+        name: attrs.name,
+        rebalance_frequency: attrs.rebalance_frequency || 'none',
+        rebalance_threshold: attrs.rebalance_threshold ?? DEFAULT_REBALANCE_THRESHOLD,
+        total_invested: roundAmount(investmentAmount)
+      }, { transaction: t });
+
+      const members = [];
+      for (let i = 0; i < allocations.length; i++) {
+        const settings = {};
+        COPY_SETTING_FIELDS.forEach(field => {
+          if (allocations[i][field] !== undefined) settings[field] = allocations[i][field];
+        });
+        members.push(await copyTradingService.openFollowerAccount(userId, providers[i], {
+          ...settings,
+          account_name: String(allocations[i].account_name || `${attrs.name} - ${providers[i].strategy_name || `Strategy ${providers[i].id}`}`).slice(0, 150),
+          investment_amount: parts[i].amount,
+          copy_portfolio_id: portfolio.id,
+          portfolio_weight: weights[i]
+        }, { transaction: t }));
+      }
+
+      const ownerBalance = await this.adjustOwnerFunds(owner, -roundAmount(investmentAmount), {
+        transaction: t,
+        reason: 'copy_portfolio_invest',
+        portfolio,
+        notes: `Invested in copy trading portfolio ${attrs.name}`
+      });
+
+      return { portfolio, members, ownerBalance };
+    });
+
+    await this.syncCachedBalances([{ userType: 'live', userId, balance: result.ownerBalance }]);
+
+    logger.info('Copy portfolio created', {
+      userId,
+      portfolioId: result.portfolio.id,
+      investmentAmount,
+      followerIds: result.members.map(m => m.id)
+    });
+
+    return this.getPortfolio(userId, result.portfolio.id);
+  }
+
+  /**
+   * Change the name, rebalance settings or target weights of a portfolio
+   * @param {Object} data - name, rebalance_frequency, rebalance_threshold,
+   *   weights: [{ copy_follower_account_id, weight }] covering every active member
+   */
+  async updatePortfolio(userId, portfolioId, data = {}) {
+    const portfolio = await this.findOwnedPortfolio(userId, portfolioId);
+    if (portfolio.status !== 'active') {
+      throw new CopyPortfolioError('Portfolio is closed and can no longer be changed', 409);
+    }
+    const attrs = this.validateSettings(data, portfolio);
+
+    let weightUpdates = null;
+    if (data.weights !== undefined) {
+      if (!Array.isArray(data.weights)) {
+        throw new CopyPortfolioError('weights must be a list of { copy_follower_account_id, weight }');
+      }
+      const members = await this.getActiveMembers(portfolio.id);
+      const memberIds = new Set(members.map(m => String(m.id)));
+      const given = new Map(data.weights.map(w => [String(w.copy_follower_account_id), Number(w.weight)]));
+      if (given.size !== data.weights.length || given.size !== memberIds.size || [...given.keys()].some(id => !memberIds.has(id))) {
+        throw new CopyPortfolioError('weights must list every active follower account of the portfolio exactly once');
+      }
+      this.validateWeights([...given.values()]);
+      weightUpdates = given;
+    }
+
+    await sequelize.transaction(async (t) => {
+      if (Object.keys(attrs).length > 0) {
+        await portfolio.update(attrs, { transaction: t });
+      }
+      if (weightUpdates) {
+        for (const [id, weight] of weightUpdates) {
+          await CopyFollowerAccount.update({ portfolio_weight: weight }, {
+            where: { id, copy_portfolio_id: portfolio.id },
+            transaction: t
+          });
+        }
+      }
+    });
+
+    logger.info('Copy portfolio updated', { userId, portfolioId: portfolio.id, changes: attrs, weights: weightUpdates ? Object.fromEntries(weightUpdates) : undefined });
+    return this.getPortfolio(userId, portfolio.id);
+  }
+
+  /**
+   * Add funds from the live wallet, split across the active members by target weight
+   */
+  async invest(userId, portfolioId, amount) {
+    const investAmount = roundAmount(Number(amount));
+    if (!Number.isFinite(investAmount) || investAmount <= 0) {
+      throw new CopyPortfolioError('amount must be a positive number');
+    }
+
+    const result = await sequelize.transaction({ isolationLevel: Transaction.ISOLATION_LEVELS.READ_COMMITTED }, async (t) => {
+      const portfolio = await this.findOwnedPortfolio(userId, portfolioId, { transaction: t, lock: t.LOCK.UPDATE });
+      if (portfolio.status !== 'active') {
+        throw new CopyPortfolioError('Portfolio is closed and can no longer be changed', 409);
+      }
+      const members = await this.getActiveMembers(portfolio.id, { transaction: t, lock: t.LOCK.UPDATE });
+      if (members.length === 0) {
+        throw new CopyPortfolioError('Portfolio has no active follower accounts', 409);
+      }
+
+      const owner = await LiveUser.findByPk(userId, { transaction: t, lock: t.LOCK.UPDATE });
+      if (!owner) {
+        throw new CopyPortfolioError('User not found', 404);
+      }
+      if (toAmount(owner.wallet_balance) < investAmount) {
+        throw new CopyPortfolioError(`Insufficient balance. Required: $${investAmount}, Available: $${toAmount(owner.wallet_balance)}`);
+      }
+
+      const parts = splitByWeight(investAmount, members.map(m => ({ id: m.id, weight: toAmount(m.portfolio_weight) })));
+      const balances = [];
+      for (const part of parts) {
+        if (part.amount <= 0) continue;
+        const member = members.find(m => m.id === part.id);
+        const balance = await this.adjustMemberFunds(member, part.amount, {
+          transaction: t,
+          reason: 'copy_portfolio_invest',
+          portfolioId: portfolio.id,
+          notes: `Investment from live account ${owner.account_number || owner.id} via portfolio ${portfolio.name}`
+        });
+        balances.push({ userType: 'copy_follower', userId: member.id, balance });
+      }
+
+      const ownerBalance = await this.adjustOwnerFunds(owner, -investAmount, {
+        transaction: t,
+        reason: 'copy_portfolio_invest',
+        portfolio,
+        notes: `Invested in copy trading portfolio ${portfolio.name}`
+      });
+      balances.push({ userType: 'live', userId, balance: ownerBalance });
+
+      await portfolio.update({ total_invested: roundAmount(toAmount(portfolio.total_invested) + investAmount, 6) }, { transaction: t });
+      return { parts, balances };
+    });
+
+    await this.syncCachedBalances(result.balances);
+    logger.info('Copy portfolio investment', { userId, portfolioId, amount: investAmount, parts: result.parts });
+    return { amount: investAmount, allocations: result.parts.map(p => ({ copy_follower_account_id: p.id, amount: p.amount })) };
+  }
+
+  /**
+   * Return funds to the live wallet, taken from the active members by target weight. Each
+   * member must have the free funds for its share.
+   */
+  async withdraw(userId, portfolioId, amount) {
+    const withdrawAmount = roundAmount(Number(amount));
+    if (!Number.isFinite(withdrawAmount) || withdrawAmount <= 0) {
+      throw new CopyPortfolioError('amount must be a positive number');
+    }
+
+    const portfolio = await this.findOwnedPortfolio(userId, portfolioId);
+    if (portfolio.status !== 'active') {
+      throw new CopyPortfolioError('Portfolio is closed and can no longer be changed', 409);
+    }
+    const members = await this.getActiveMembers(portfolio.id);
+    if (members.length === 0) {
+      throw new CopyPortfolioError('Portfolio has no active follower accounts', 409);
+    }
+
+    const figures = new Map();
+    for (const member of members) {
+      figures.set(member.id, await this.getMemberFigures(member));
+    }
+    const parts = splitByWeight(withdrawAmount, members.map(m => ({ id: m.id, weight: toAmount(m.portfolio_weight) })));
+    for (const part of parts) {
+      const available = figures.get(part.id).withdrawable;
+      if (part.amount > available) {
+        const member = members.find(m => m.id === part.id);
+        throw new CopyPortfolioError(`Follower account ${member.account_name} has $${roundAmount(available)} free for withdrawal but its share is $${part.amount}. Withdraw less or close positions first.`);
+      }
+    }
+
+    const result = await sequelize.transaction({ isolationLevel: Transaction.ISOLATION_LEVELS.READ_COMMITTED }, async (t) => {
+      const locked = await this.findOwnedPortfolio(userId, portfolio.id, { transaction: t, lock: t.LOCK.UPDATE });
+      const owner = await LiveUser.findByPk(userId, { transaction: t, lock: t.LOCK.UPDATE });
+      if (!owner) {
+        throw new CopyPortfolioError('User not found', 404);
+      }
+
+      const balances = [];
+      for (const part of parts) {
+        if (part.amount <= 0) continue;
+        const member = await CopyFollowerAccount.findByPk(part.id, { transaction: t, lock: t.LOCK.UPDATE });
+        // A concurrent withdrawal or rebalance may have taken the free funds since they were read
+        if (!member || part.amount > lockedWithdrawable(member, figures.get(part.id))) {
+          throw new CopyPortfolioError(`Follower account ${part.id} no longer has enough free funds; try again`, 409);
+        }
+        const balance = await this.adjustMemberFunds(member, -part.amount, {
+          transaction: t,
+          equity: figures.get(part.id).equity,
+          reason: 'copy_portfolio_withdraw',
+          portfolioId: locked.id,
+          notes: `Withdrawal to live account ${owner.account_number || owner.id} via portfolio ${locked.name}`
+        });
+        balances.push({ userType: 'copy_follower', userId: member.id, balance });
+      }
+
+      const ownerBalance = await this.adjustOwnerFunds(owner, withdrawAmount, {
+        transaction: t,
+        reason: 'copy_portfolio_withdraw',
+        portfolio: locked,
+        notes: `Withdrawn from copy trading portfolio ${locked.name}`
+      });
+      balances.push({ userType: 'live', userId, balance: ownerBalance });
+
+      await locked.update({ total_withdrawn: roundAmount(toAmount(locked.total_withdrawn) + withdrawAmount, 6) }, { transaction: t });
+      return { balances };
+    });
+
+    await this.syncCachedBalances(result.balances);
+    logger.info('Copy portfolio withdrawal', { userId, portfolioId, amount: withdrawAmount, parts });
+    return { amount: withdrawAmount, allocations: parts.map(p => ({ copy_follower_account_id: p.id, amount: p.amount })) };
+  }
+
+  /**
+   * Move free funds between members towards their target weights
+   * @param {Object} portfolio
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Rebalance even when the drift is below the threshold
+   * @returns {Promise<Object>} { status: 'rebalanced' | 'skipped', drift, adjustments }
+   */
+  async rebalance(portfolio, { force = false } = {}) {
+    if (portfolio.status !== 'active') {
+      throw new CopyPortfolioError('Portfolio is closed and can no longer be changed', 409);
+    }
+    const members = await this.getActiveMembers(portfolio.id);
+    const figures = new Map();
+    const positions = [];
+    for (const member of members) {
+      const memberFigures = await this.getMemberFigures(member);
+      figures.set(member.id, memberFigures);
+      positions.push({ id: member.id, weight: toAmount(member.portfolio_weight), equity: memberFigures.equity, withdrawable: memberFigures.withdrawable });
+    }
+
+    const plan = planRebalance(positions);
+    const now = new Date();
+    if (plan.adjustments.length === 0 || (!force && plan.drift < toAmount(portfolio.rebalance_threshold))) {
+      // A check within the threshold counts as the period's rebalance
+      await portfolio.update({ last_rebalanced_at: now });
+      return { status: 'skipped', drift: plan.drift, adjustments: [] };
+    }
+
+    const balances = await sequelize.transaction({ isolationLevel: Transaction.ISOLATION_LEVELS.READ_COMMITTED }, async (t) => {
+      // Lock the portfolio like withdraw() so a withdrawal cannot run between the member moves
+      const locked = await this.findOwnedPortfolio(portfolio.user_id, portfolio.id, { transaction: t, lock: t.LOCK.UPDATE });
+      if (locked.status !== 'active') {
+        throw new CopyPortfolioError('Portfolio is closed and can no longer be changed', 409);
+      }
+      const updated = [];
+      for (const adjustment of plan.adjustments) {
+        const member = await CopyFollowerAccount.findByPk(adjustment.id, { transaction: t, lock: t.LOCK.UPDATE });
+        if (!member || (adjustment.amount < 0 && -adjustment.amount > lockedWithdrawable(member, figures.get(adjustment.id)))) {
+          throw new CopyPortfolioError(`Follower account ${adjustment.id} no longer has enough free funds; try again`, 409);
+        }
+        const balance = await this.adjustMemberFunds(member, adjustment.amount, {
+          transaction: t,
+          equity: figures.get(adjustment.id).equity,
+          reason: 'copy_portfolio_rebalance',
+          portfolioId: locked.id,
+          notes: `Rebalance of portfolio ${locked.name}`
+        });
+        updated.push({ userType: 'copy_follower', userId: member.id, balance });
+      }
+      await locked.update({ last_rebalanced_at: now }, { transaction: t });
+      return updated;
+    });
+
+    await this.syncCachedBalances(balances);
+    logger.info('Copy portfolio rebalanced', { portfolioId: portfolio.id, drift: plan.drift, adjustments: plan.adjustments });
+    return {
+      status: 'rebalanced',
+      drift: plan.drift,
+      adjustments: plan.adjustments.map(a => ({ copy_follower_account_id: a.id, amount: a.amount }))
+    };
+  }
+
+  async rebalanceOwned(userId, portfolioId) {
+    const portfolio = await this.findOwnedPortfolio(userId, portfolioId);
+    return this.rebalance(portfolio, { force: true });
+  }
+
+  /**
+   * Rebalance every portfolio whose weekly or monthly rebalance is due
+   * @returns {Promise<Object>} Run summary
+   */
+  async rebalanceDuePortfolios(now = new Date()) {
+    const portfolios = await CopyPortfolio.findAll({
+      where: { status: 'active', rebalance_frequency: { [Op.ne]: 'none' } },
+      order: [['id', 'ASC']]
+    });
+
+    const summary = { checked: portfolios.length, rebalanced: 0, skipped: 0, failed: 0 };
+    for (const portfolio of portfolios) {
+      if (!isRebalanceDue(portfolio, now)) continue;
+      try {
+        const result = await this.rebalance(portfolio);
+        summary[result.status] += 1;
+      } catch (error) {
+        summary.failed += 1;
+        logger.error('Scheduled portfolio rebalance failed', { portfolioId: portfolio.id, error: error.message });
+      }
+    }
+
+    logger.info('Scheduled portfolio rebalance completed', summary);
+    return summary;
+  }
+
+  /**
+   * Unfollow every strategy of the portfolio. Funds return to the live wallet as each follower
+   * account finishes unfollowing.
+   * @param {Object} [options]
+   * @param {string} [options.mode] - Unfollow mode; required while positions are open
+   */
+  async closePortfolio(userId, portfolioId, { mode = null } = {}) {
+    const portfolio = await this.findOwnedPortfolio(userId, portfolioId);
+    if (portfolio.status === 'closed') {
+      throw new CopyPortfolioError('Portfolio is already closed', 409);
+    }
+
+    const members = await this.getActiveMembers(portfolio.id);
+    if (!mode) {
+      let openOrders = 0;
+      for (const member of members) {
+        openOrders += await copyTradingUnfollowService.countOpenOrders(member.id);
+      }
+      if (openOrders > 0) {
+        throw new CopyPortfolioError(`The portfolio has ${openOrders} open order(s). Choose mode "close", "detach" or "wind_down".`);
+      }
+    }
+
+    await portfolio.update({ status: 'closing' });
+    const results = [];
+    for (const member of members) {
+      const result = await copyTradingUnfollowService.requestUnfollow(userId, member.id, {
+        mode,
+        reason: `Portfolio ${portfolio.name} closed`
+      });
+      results.push({ copy_follower_account_id: member.id, status: result.status, open_orders_count: result.open_orders_count });
+    }
+    await this.refreshClosingStatus(portfolio);
+
+    logger.info('Copy portfolio close requested', { userId, portfolioId: portfolio.id, mode, results });
+    return { status: portfolio.status, members: results };
+  }
+
+  /**
+   * Mark a closing portfolio closed once all of its follower accounts finished unfollowing
+   */
+  async refreshClosingStatus(portfolio) {
+    if (portfolio.status !== 'closing') return portfolio;
+    const remaining = await CopyFollowerAccount.count({
+      where: { copy_portfolio_id: portfolio.id, unfollowed_at: null }
+    });
+    if (remaining === 0) {
+      await portfolio.update({ status: 'closed', closed_at: new Date() });
+    }
+    return portfolio;
+  }
+
+  /**
+   * Portfolio with consolidated and per-strategy balance, equity, P&L and fees
+   */
+  async getPortfolio(userId, portfolioId) {
+    const portfolio = await this.refreshClosingStatus(await this.findOwnedPortfolio(userId, portfolioId));
+    const accounts = await CopyFollowerAccount.findAll({
+      where: { copy_portfolio_id: portfolio.id },
+      include: [{ model: StrategyProviderAccount, as: 'strategyProvider', attributes: ['id', 'strategy_name', 'performance_fee'] }],
+      order: [['id', 'ASC']]
+    });
+
+    const realizedRows = accounts.length > 0 ? await CopyFollowerOrder.findAll({
+      where: { copy_follower_account_id: { [Op.in]: accounts.map(a => a.id) }, order_status: 'CLOSED' },
+      attributes: ['copy_follower_account_id', [sequelize.fn('SUM', sequelize.col('net_profit')), 'realized_pnl']],
+      group: ['copy_follower_account_id'],
+      raw: true
+    }) : [];
+    const realized = new Map(realizedRows.map(r => [String(r.copy_follower_account_id), toAmount(r.realized_pnl)]));
+
+    const members = [];
+    for (const account of accounts) {
+      const active = !!account.is_active && !account.unfollow_requested_at;
+      const figures = account.unfollowed_at
+        ? { balance: 0, equity: 0, floating_pnl: 0 }
+        : await this.getMemberFigures(account);
+      members.push({
+        copy_follower_account_id: account.id,
+        account_name: account.account_name,
+        account_number: account.account_number,
+        strategy_provider: account.strategyProvider ? {
+          id: account.strategyProvider.id,
+          strategy_name: account.strategyProvider.strategy_name,
+          performance_fee: toAmount(account.strategyProvider.performance_fee)
+        } : null,
+        copy_status: account.copy_status,
+        active,
+        target_weight: active ? toAmount(account.portfolio_weight) : null,
+        actual_weight: null,
+        investment_amount: toAmount(account.investment_amount),
+        balance: roundAmount(figures.balance),
+        equity: roundAmount(figures.equity),
+        floating_pnl: roundAmount(figures.floating_pnl),
+        realized_pnl: roundAmount(realized.get(String(account.id)) || 0),
+        fees_paid: roundAmount(toAmount(account.total_fees_paid)),
+        unfollowed_at: account.unfollowed_at
+      });
+    }
+
+    const activeEquity = members.filter(m => m.active).reduce((sum, m) => sum + Math.max(0, m.equity), 0);
+    members.forEach(m => {
+      if (m.active && activeEquity > 0) m.actual_weight = roundAmount((Math.max(0, m.equity) / activeEquity) * 100, 4);
+    });
+
+    const sum = (field) => roundAmount(members.reduce((total, m) => total + m[field], 0));
+    const netInvested = roundAmount(toAmount(portfolio.total_invested) - toAmount(portfolio.total_withdrawn));
+    const equity = sum('equity');
+    return {
+      id: portfolio.id,
+      name: portfolio.name,
+      status: portfolio.status,
+      rebalance_frequency: portfolio.rebalance_frequency,
+      rebalance_threshold: toAmount(portfolio.rebalance_threshold),
+      last_rebalanced_at: portfolio.last_rebalanced_at,
+      created_at: portfolio.created_at,
+      closed_at: portfolio.closed_at,
+      totals: {
+        total_invested: roundAmount(toAmount(portfolio.total_invested)),
+        total_withdrawn: roundAmount(toAmount(portfolio.total_withdrawn)),
+        net_invested: netInvested,
+        balance: sum('balance'),
+        equity,
+        floating_pnl: sum('floating_pnl'),
+        realized_pnl: sum('realized_pnl'),
+        fees_paid: sum('fees_paid'),
+        // Closing members return their funds outside the portfolio, so P&L is shown while it is active
+        total_pnl: portfolio.status === 'active' ? roundAmount(equity - netInvested) : null,
+        return_percentage: portfolio.status === 'active' && netInvested > 0 ? roundAmount(((equity - netInvested) / netInvested) * 100, 4) : null
+      },
+      members
+    };
+  }
+
+  async listPortfolios(userId) {
+    const portfolios = await CopyPortfolio.findAll({
+      where: { user_id: userId },
+      order: [['created_at', 'DESC']]
+    });
+    const counts = portfolios.length > 0 ? await CopyFollowerAccount.findAll({
+      where: { copy_portfolio_id: { [Op.in]: portfolios.map(p => p.id) }, is_active: 1, unfollow_requested_at: null },
+      attributes: ['copy_portfolio_id', [sequelize.fn('COUNT', sequelize.col('id')), 'members']],
+      group: ['copy_portfolio_id'],
+      raw: true
+    }) : [];
+    const memberCounts = new Map(counts.map(c => [String(c.copy_portfolio_id), parseInt(c.members, 10) || 0]));
+
+    return portfolios.map(p => ({
+      id: p.id,
+      name: p.name,
+      status: p.status,
+      active_strategies: memberCounts.get(String(p.id)) || 0,
+      total_invested: roundAmount(toAmount(p.total_invested)),
+      total_withdrawn: roundAmount(toAmount(p.total_withdrawn)),
+      rebalance_frequency: p.rebalance_frequency,
+      rebalance_threshold: toAmount(p.rebalance_threshold),
+      last_rebalanced_at: p.last_rebalanced_at,
+      created_at: p.created_at
+    }));
+  }
+}
+
+const copyPortfolioService = new CopyPortfolioService();
+copyPortfolioService.CopyPortfolioError = CopyPortfolioError;
+copyPortfolioService.REBALANCE_FREQUENCIES = REBALANCE_FREQUENCIES;
+copyPortfolioService.splitByWeight = splitByWeight;
+copyPortfolioService.planRebalance = planRebalance;
+copyPortfolioService.isRebalanceDue = isRebalanceDue;
+copyPortfolioService.fundingUpdates = fundingUpdates;
+
+module.exports = copyPortfolioService;
@@ -0,0 +1,325 @@
+const { Op } = require('sequelize');
+const StrategyProviderAccount = require('../models/strategyProviderAccount.model');
+const StrategyProviderOrder = require('../models/strategyProviderOrder.model');
+const CopyFollowerAccount = require('../models/copyFollowerAccount.model');
+const CopyFollowerOrder = require('../models/copyFollowerOrder.model');
+const { toNumber, round } = require('../utils/number.util');
+const { ServiceError } = require('../utils/serviceError.util');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+// Copied orders read per report; the report says when the range held more
+const MAX_ORDERS = 50000;
+const MASTER_LOOKUP_CHUNK = 1000;
+const MAX_REASONS = 20;
+const REASON_LENGTH = 200;
+// Copies that reached the market and so have a follower fill price
+const FILLED_COPY_STATUSES = ['copied', 'detached'];
+const UNSUCCESSFUL_COPY_STATUSES = ['failed', 'skipped', 'rejected', 'cancelled'];
+
+class ReplicationQualityError extends ServiceError {}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : NaN;
+}
+
+/**
+ * Nearest-rank percentile of an ascending list
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return NaN;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+/**
+ * Copy delay statistics in milliseconds
+ * @param {Array<Object>} orders - Copied orders with copy_delay_ms
+ */
+function summarizeDelays(orders) {
+  const delays = orders
+    // A copy without a recorded delay is not a 0 ms copy (Number(null) is 0)
+    .filter(o => o.copy_delay_ms !== null && o.copy_delay_ms !== undefined && o.copy_delay_ms !== '')
+    .map(o => toNumber(o.copy_delay_ms))
+    .filter(v => Number.isFinite(v) && v >= 0)
+    .sort((a, b) => a - b);
+  return {
+    count: delays.length,
+    avg_ms: round(average(delays), 1),
+    p50_ms: round(percentile(delays, 50), 1),
+    p95_ms: round(percentile(delays, 95), 1),
+    max_ms: round(delays[delays.length - 1], 1)
+  };
+}
+
+/**
+ * Fill price slippage between master and follower. Positive slippage is against the follower:
+ * a higher fill than the master on a BUY, a lower one on a SELL. Symbols trade on different
+ * price scales, so the totals are in basis points of the master price.
+ * @param {Array<Object>} orders - Filled copies
+ * @param {Map<string, Object>} masters - Master orders by order_id
+ */
+function computeSlippage(orders, masters) {
+  const all = [];
+  const bySymbol = new Map();
+  for (const order of orders) {
+    const master = masters.get(String(order.master_order_id));
+    const masterPrice = toNumber(master?.order_price);
+    const followerPrice = toNumber(order.order_price);
+    if (!(masterPrice > 0) || !(followerPrice > 0)) continue;
+
+    const diff = String(order.order_type).toUpperCase().startsWith('SELL')
+      ? masterPrice - followerPrice
+      : followerPrice - masterPrice;
+    const bps = (diff / masterPrice) * 10000;
+    all.push(bps);
+
+    const symbol = String(order.symbol || '').toUpperCase();
+    if (!bySymbol.has(symbol)) bySymbol.set(symbol, { diffs: [], bps: [] });
+    bySymbol.get(symbol).diffs.push(diff);
+    bySymbol.get(symbol).bps.push(bps);
+  }
+
+  const absSorted = all.map(Math.abs).sort((a, b) => a - b);
+  return {
+    count: all.length,
+    avg_bps: round(average(all), 2),
+    avg_abs_bps: round(average(absSorted), 2),
+    p95_abs_bps: round(percentile(absSorted, 95), 2),
+    adverse_count: all.filter(v => v > 0).length,
+    favorable_count: all.filter(v => v < 0).length,
+    zero_count: all.filter(v => v === 0).length,
+    by_symbol: [...bySymbol.entries()]
+      .map(([symbol, s]) => ({
+        symbol,
+        count: s.bps.length,
+        avg_price_diff: round(average(s.diffs), 8),
+        avg_bps: round(average(s.bps), 2)
+      }))
+      .sort((a, b) => b.count - a.count)
+  };
+}
+
+/**
+ * Unsuccessful copies by status and by reason, most frequent first
+ */
+function groupFailures(orders) {
+  const byStatus = {};
+  const byReason = new Map();
+  for (const order of orders) {
+    if (!UNSUCCESSFUL_COPY_STATUSES.includes(order.copy_status)) continue;
+    byStatus[order.copy_status] = (byStatus[order.copy_status] || 0) + 1;
+    const reason = String(order.failure_reason || 'unknown').slice(0, REASON_LENGTH);
+    const key = `${order.copy_status}\u0000${reason}`;
+    if (!byReason.has(key)) byReason.set(key, { copy_status: order.copy_status, reason, count: 0 });
+    byReason.get(key).count += 1;
+  }
+
+  const reasons = [...byReason.values()].sort((a, b) => b.count - a.count);
+  return {
+    total: Object.values(byStatus).reduce((sum, n) => sum + n, 0),
+    by_status: byStatus,
+    by_reason: reasons.slice(0, MAX_REASONS),
+    other_reasons: reasons.slice(MAX_REASONS).reduce((sum, r) => sum + r.count, 0)
+  };
+}
+
+/**
+ * Realized P&L of each follower against the master's P&L scaled to the follower's lots.
+ * Only copies whose master order is closed too are compared.
+ * @param {Array<Object>} orders - Closed copies
+ * @param {Map<string, Object>} masters - Master orders by order_id
+ */
+function computeDivergence(orders, masters) {
+  const byFollower = new Map();
+  for (const order of orders) {
+    const master = masters.get(String(order.master_order_id));
+    if (!master || master.order_status !== 'CLOSED') continue;
+    const masterLots = toNumber(order.master_lot_size) || toNumber(master.order_quantity);
+    const followerLots = toNumber(order.final_lot_size) || toNumber(order.order_quantity);
+    const masterProfit = toNumber(master.net_profit);
+    const followerProfit = toNumber(order.net_profit);
+    if (!(masterLots > 0) || !(followerLots > 0) || !Number.isFinite(masterProfit) || !Number.isFinite(followerProfit)) continue;
+
+    const expected = masterProfit * (followerLots / masterLots);
+    const id = order.copy_follower_account_id;
+    if (!byFollower.has(id)) byFollower.set(id, { trades: 0, expected: 0, actual: 0, absDiff: 0 });
+    const f = byFollower.get(id);
+    f.trades += 1;
+    f.expected += expected;
+    f.actual += followerProfit;
+    f.absDiff += Math.abs(followerProfit - expected);
+  }
+
+  return [...byFollower.entries()]
+    .map(([id, f]) => ({
+      copy_follower_account_id: id,
+      closed_trades: f.trades,
+      expected_pnl: round(f.expected, 2),
+      actual_pnl: round(f.actual, 2),
+      divergence: round(f.actual - f.expected, 2),
+      divergence_percentage: f.expected !== 0 ? round(((f.actual - f.expected) / Math.abs(f.expected)) * 100, 2) : null,
+      avg_abs_trade_divergence: round(f.absDiff / f.trades, 2)
+    }))
+    .sort((a, b) => Math.abs(b.divergence) - Math.abs(a.divergence));
+}
+
+class CopyReplicationQualityService {
+
+  /**
+   * Parse the from/to filters. Defaults to the last 30 days.
+   * @returns {{ from: Date, to: Date }}
+   */
+  parseRange({ from, to } = {}) {
+    const end = to ? new Date(to) : new Date();
+    if (Number.isNaN(end.getTime())) {
+      throw new ReplicationQualityError('to must be a valid date');
+    }
+    const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+    if (Number.isNaN(start.getTime())) {
+      throw new ReplicationQualityError('from must be a valid date');
+    }
+    if (start >= end) {
+      throw new ReplicationQualityError('from must be before to');
+    }
+    if (end.getTime() - start.getTime() > MAX_RANGE_DAYS * DAY_MS) {
+      throw new ReplicationQualityError(`The date range cannot exceed ${MAX_RANGE_DAYS} days`);
+    }
+    return { from: start, to: end };
+  }
+
+  async loadMasters(orderIds) {
+    const masters = new Map();
+    for (let i = 0; i < orderIds.length; i += MASTER_LOOKUP_CHUNK) {
+      const rows = await StrategyProviderOrder.findAll({
+        where: { order_id: { [Op.in]: orderIds.slice(i, i + MASTER_LOOKUP_CHUNK) } },
+        attributes: ['order_id', 'order_status', 'order_price', 'order_quantity', 'net_profit'],
+        raw: true
+      });
+      rows.forEach(row => masters.set(String(row.order_id), row));
+    }
+    return masters;
+  }
+
+  /**
+   * Build the report for the copies created in a date range
+   * @param {Object} filters
+   * @param {number} [filters.strategyProviderId] - All strategies when omitted
+   * @param {number} [filters.copyFollowerAccountId]
+   * @param {string} [filters.from]
+   * @param {string} [filters.to]
+   * @param {Object} [options]
+   * @param {boolean} [options.includeFollowerDetails] - Add follower account names and owners
+   * @returns {Promise<Object>}
+   */
+  async buildReport(filters = {}, { includeFollowerDetails = false } = {}) {
+    const range = this.parseRange(filters);
+    const where = { created_at: { [Op.between]: [range.from, range.to] } };
+    if (filters.strategyProviderId) where.strategy_provider_id = filters.strategyProviderId;
+    if (filters.copyFollowerAccountId) where.copy_follower_account_id = filters.copyFollowerAccountId;
+
+    const orders = await CopyFollowerOrder.findAll({
+      where,
+      attributes: [
+        'order_id', 'master_order_id', 'strategy_provider_id', 'copy_follower_account_id', 'symbol', 'order_type',
+        'order_status', 'order_price', 'order_quantity', 'net_profit', 'master_lot_size', 'final_lot_size',
+        'copy_status', 'copy_delay_ms', 'failure_reason'
+      ],
+      order: [['created_at', 'DESC']],
+      limit: MAX_ORDERS + 1,
+      raw: true
+    });
+    const truncated = orders.length > MAX_ORDERS;
+    if (truncated) orders.length = MAX_ORDERS;
+
+    const filled = orders.filter(o => FILLED_COPY_STATUSES.includes(o.copy_status));
+    const closed = filled.filter(o => o.order_status === 'CLOSED');
+    const masters = await this.loadMasters([...new Set(filled.map(o => String(o.master_order_id)))]);
+
+    const followers = computeDivergence(closed, masters);
+    if (includeFollowerDetails && followers.length > 0) {
+      const accounts = await CopyFollowerAccount.findAll({
+        where: { id: { [Op.in]: followers.map(f => f.copy_follower_account_id) } },
+        attributes: ['id', 'user_id', 'account_name', 'account_number'],
+        raw: true
+      });
+      const byId = new Map(accounts.map(a => [String(a.id), a]));
+      followers.forEach(f => {
+        const account = byId.get(String(f.copy_follower_account_id));
+        f.user_id = account ? account.user_id : null;
+        f.account_name = account ? account.account_name : null;
+        f.account_number = account ? account.account_number : null;
+      });
+    }
+
+    return {
+      period: { from: range.from.toISOString(), to: range.to.toISOString() },
+      orders: {
+        total: orders.length,
+        filled: filled.length,
+        closed: closed.length,
+        truncated
+      },
+      copy_delay: summarizeDelays(filled),
+      slippage: computeSlippage(filled, masters),
+      failures: groupFailures(orders),
+      pnl_divergence: followers
+    };
+  }
+
+  /**
+   * Report for the owner of a strategy
+   * @param {number} userId - Live user ID of the owner
+   * @param {number} strategyProviderId
+   * @param {Object} query - from, to, follower_id
+   */
+  async getProviderReport(userId, strategyProviderId, query = {}) {
+    const provider = await StrategyProviderAccount.findOne({
+      where: { id: strategyProviderId, user_id: userId },
+      attributes: ['id', 'strategy_name']
+    });
+    if (!provider) {
+      throw new ReplicationQualityError('Strategy provider not found', 404);
+    }
+
+    const report = await this.buildReport({
+      strategyProviderId: provider.id,
+      copyFollowerAccountId: query.follower_id,
+      from: query.from,
+      to: query.to
+    });
+    return { strategy_provider: { id: provider.id, strategy_name: provider.strategy_name }, ...report };
+  }
+
+  /**
+   * Report for admins, across all strategies unless one is given
+   * @param {Object} query - strategy_provider_id, follower_id, from, to
+   */
+  async getAdminReport(query = {}) {
+    let provider = null;
+    if (query.strategy_provider_id) {
+      provider = await StrategyProviderAccount.findByPk(query.strategy_provider_id, { attributes: ['id', 'strategy_name'] });
+      if (!provider) {
+        throw new ReplicationQualityError('Strategy provider not found', 404);
+      }
+    }
+
+    const report = await this.buildReport({
+      strategyProviderId: provider ? provider.id : null,
+      copyFollowerAccountId: query.follower_id,
+      from: query.from,
+      to: query.to
+    }, { includeFollowerDetails: true });
+    return { strategy_provider: provider ? { id: provider.id, strategy_name: provider.strategy_name } : null, ...report };
+  }
+}
+
+const copyReplicationQualityService = new CopyReplicationQualityService();
+copyReplicationQualityService.ReplicationQualityError = ReplicationQualityError;
+copyReplicationQualityService.summarizeDelays = summarizeDelays;
+copyReplicationQualityService.computeSlippage = computeSlippage;
+copyReplicationQualityService.groupFailures = groupFailures;
+copyReplicationQualityService.computeDivergence = computeDivergence;
+
+module.exports = copyReplicationQualityService;
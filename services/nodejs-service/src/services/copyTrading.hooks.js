@@ -220,62 +220,6 @@ class CopyTradingHooks {
       return { canModify: true };
     }
   }
-
-  /**
-   * Process performance fee calculation for closed copy trading orders
-   * @param {Object} copiedOrder - Closed copied order
-   */
-  async processPerformanceFee(copiedOrder) {
-    try {
-      // Only calculate fees for profitable closed orders
-      if (copiedOrder.order_status !== 'CLOSED' || !copiedOrder.net_profit || copiedOrder.net_profit <= 0) {
-        return;
-      }
-
-      const performanceFeePercentage = parseFloat(copiedOrder.performance_fee_percentage || 0);
-      if (performanceFeePercentage <= 0) {
-        return;
-      }
-
-      // Calculate performance fee
-      const grossProfit = parseFloat(copiedOrder.net_profit);
-      const performanceFeeAmount = (grossProfit * performanceFeePercentage) / 100;
-      const netProfitAfterFees = grossProfit - performanceFeeAmount;
-
-      // Update order with fee calculation
-      const CopyFollowerOrder = require('../models/copyFollowerOrder.model');
-      await CopyFollowerOrder.update({
-        gross_profit: grossProfit,
-        performance_fee_amount: performanceFeeAmount,
-        net_profit_after_fees: netProfitAfterFees,
-        fee_status: 'calculated',
-        fee_calculation_date: new Date()
-      }, {
-        where: { id: copiedOrder.id }
-      });
-
-      // Update follower account total fees paid
-      const CopyFollowerAccount = require('../models/copyFollowerAccount.model');
-      await CopyFollowerAccount.increment('total_fees_paid', {
-        by: performanceFeeAmount,
-        where: { id: copiedOrder.copy_follower_account_id }
-      });
-
-      logger.info('Performance fee calculated for copied order', {
-        orderId: copiedOrder.order_id,
-        grossProfit,
-        performanceFeeAmount,
-        netProfitAfterFees,
-        feePercentage: performanceFeePercentage
-      });
-
-    } catch (error) {
-      logger.error('Failed to process performance fee', {
-        orderId: copiedOrder?.order_id,
-        error: error.message
-      });
-    }
-  }
 }
 
 module.exports = new CopyTradingHooks();
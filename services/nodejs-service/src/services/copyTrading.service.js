@@ -12,6 +12,17 @@ const { updateUserUsedMargin } = require('./user.margin.service');
 const portfolioEvents = require('./events/portfolio.events');
 const { redisCluster } = require('../../config/redis');
 const axios = require('axios');
+const { loadGroupConfig, getUsdRate } = require('./order.preview.service');
+const { ServiceError } = require('../utils/serviceError.util');
+
+const LOT_MODES = ['equity_proportional', 'fixed_lot', 'lot_multiplier', 'fixed_risk'];
+// Strategies below this equity cannot take new followers
+const MIN_STRATEGY_EQUITY = 100.00;
+// Live wallet balance needed to start copy trading, and the smallest investment
+const MIN_COPY_BALANCE = 100.00;
+const MIN_INVESTMENT = 100;
+
+class CopyTradingError extends ServiceError {}
 
 class CopyTradingService {
 
@@ -294,6 +305,13 @@ class CopyTradingService {
         throw new Error(canCopy.reason);
       }
 
+      // Follower's symbol and direction filters
+      const filterCheck = this.checkCopyFilters(masterOrder, follower);
+      if (!filterCheck.allowed) {
+        await this.createSkippedOrder(masterOrder, follower, filterCheck.reason);
+        return { status: 'skipped', reason: filterCheck.reason };
+      }
+
       // Calculate lot size based on follower's equity/balance
       const lotCalculation = await this.calculateFollowerLotSize(masterOrder, follower);
       
@@ -333,6 +351,8 @@ class CopyTradingService {
         lot_ratio: lotCalculation.ratio,
         calculated_lot_size: lotCalculation.calculatedLotSize,
         final_lot_size: lotCalculation.finalLotSize,
+        lot_mode: lotCalculation.lotMode,
+        lot_mode_value: lotCalculation.lotModeValue,
         
         // Copy settings
         copy_status: 'pending',
@@ -366,7 +386,7 @@ class CopyTradingService {
       });
 
       // Update follower order with execution results
-      await this.updateFollowerOrderAfterExecution(followerOrder, executionResult);
+      await this.updateFollowerOrderAfterExecution(followerOrder, executionResult, masterOrder);
 
       // Update copy follower margin for local execution (like regular users)
       if (executionResult.success && executionResult.data?.flow === 'local' && typeof executionResult.data.used_margin_executed === 'number') {
@@ -505,7 +525,43 @@ class CopyTradingService {
   }
 
   /**
-   * Calculate follower lot size based on equity ratio
+   * Check a master order against the follower's symbol and direction filters
+   * @param {Object} masterOrder - Master order
+   * @param {Object} follower - Follower account
+   * @returns {{ allowed: boolean, reason?: string }}
+   */
+  checkCopyFilters(masterOrder, follower) {
+    const symbol = String(masterOrder.symbol || '').toUpperCase();
+    const symbols = Array.isArray(follower.symbol_filter)
+      ? follower.symbol_filter.map(s => String(s).toUpperCase())
+      : [];
+
+    if (follower.symbol_filter_mode === 'include' && !symbols.includes(symbol)) {
+      return { allowed: false, reason: `symbol_filter (${symbol} is not in the follower's include list)` };
+    }
+    if (follower.symbol_filter_mode === 'exclude' && symbols.includes(symbol)) {
+      return { allowed: false, reason: `symbol_filter (${symbol} is in the follower's exclude list)` };
+    }
+
+    const isBuy = String(masterOrder.order_type || '').toUpperCase().includes('BUY');
+    if (follower.copy_direction === 'buy_only' && !isBuy) {
+      return { allowed: false, reason: `direction_filter (follower copies BUY orders only, master order is ${masterOrder.order_type})` };
+    }
+    if (follower.copy_direction === 'sell_only' && isBuy) {
+      return { allowed: false, reason: `direction_filter (follower copies SELL orders only, master order is ${masterOrder.order_type})` };
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Calculate follower lot size using the follower's lot mode:
+   * - equity_proportional: master lot * follower investment / master equity (default)
+   * - fixed_lot: fixed_lot_size regardless of the master lot
+   * - lot_multiplier: master lot * lot_multiplier
+   * - fixed_risk: risk_percentage of follower equity lost if the master stop loss is hit;
+   *   falls back to equity_proportional when the master order has no stop loss
+   * The follower's max_lot_size and the group min/max lot apply to every mode.
    * @param {Object} masterOrder - Master order
    * @param {Object} follower - Follower account
    * @returns {Object} Lot calculation details
@@ -518,6 +574,7 @@ class CopyTradingService {
       
       // Get follower investment amount (their equity in copy trading)
       const followerInvestment = parseFloat(follower.investment_amount || 0);
+      const requestedMode = LOT_MODES.includes(follower.lot_mode) ? follower.lot_mode : 'equity_proportional';
       
       logger.info('Lot size calculation data', {
         strategyProviderId: masterOrder.order_user_id,
@@ -530,46 +587,16 @@ class CopyTradingService {
         follower: {
           id: follower.id,
           investment_amount: follower.investment_amount,
-          followerInvestment: followerInvestment
+          followerInvestment: followerInvestment,
+          lot_mode: requestedMode
         },
         masterOrder: {
-          order_quantity: masterOrder.order_quantity
+          order_quantity: masterOrder.order_quantity,
+          stop_loss: masterOrder.stop_loss
         }
       });
-      
-      if (masterEquity <= 0) {
-        throw new Error(`Master equity is zero or negative: wallet_balance=${strategyProvider.wallet_balance}, net_profit=${strategyProvider.net_profit}, calculated=${masterEquity}`);
-      }
-
-      // Calculate basic ratio
-      const ratio = followerInvestment / masterEquity;
-      const masterLotSize = parseFloat(masterOrder.order_quantity);
-      let calculatedLotSize = masterLotSize * ratio;
-
-      // Apply follower's max lot size limit
-      if (follower.max_lot_size && calculatedLotSize > follower.max_lot_size) {
-        calculatedLotSize = parseFloat(follower.max_lot_size);
-      }
 
-      // Get group min/max lot constraints
-      const groupConstraints = await this.getGroupLotConstraints(follower.group, masterOrder.symbol);
-      
-      // Ensure calculated lot meets minimum requirements
-      const finalLotSize = Math.max(calculatedLotSize, groupConstraints.minLot);
-      
-      // Ensure doesn't exceed maximum
-      const constrainedLotSize = Math.min(finalLotSize, groupConstraints.maxLot);
-
-      return {
-        masterEquity,
-        followerInvestment,
-        ratio,
-        masterLotSize,
-        calculatedLotSize,
-        finalLotSize: constrainedLotSize,
-        minLot: groupConstraints.minLot,
-        maxLot: groupConstraints.maxLot
-      };
+      return await this.sizeFollowerLot(masterOrder, follower, masterEquity);
 
     } catch (error) {
       logger.error('Failed to calculate follower lot size', {
@@ -581,6 +608,118 @@ class CopyTradingService {
     }
   }
 
+  /**
+   * Lot sizing for a given master equity, shared by live copying and the copy simulator
+   * @param {Object} masterOrder - Master order
+   * @param {Object} follower - Follower account (or simulated follower settings)
+   * @param {number} masterEquity - Strategy provider equity when the master order opened
+   * @returns {Promise<Object>} Lot calculation details
+   */
+  async sizeFollowerLot(masterOrder, follower, masterEquity) {
+    const followerInvestment = parseFloat(follower.investment_amount || 0);
+    const masterLotSize = parseFloat(masterOrder.order_quantity);
+    const requestedMode = LOT_MODES.includes(follower.lot_mode) ? follower.lot_mode : 'equity_proportional';
+
+    const ratio = masterEquity > 0 ? followerInvestment / masterEquity : 0;
+    let lotMode = requestedMode;
+    let lotModeValue = null;
+    let calculatedLotSize = null;
+
+    if (requestedMode === 'fixed_lot') {
+      lotModeValue = parseFloat(follower.fixed_lot_size);
+      if (!(lotModeValue > 0)) {
+        throw new Error('fixed_lot mode requires fixed_lot_size');
+      }
+      calculatedLotSize = lotModeValue;
+    } else if (requestedMode === 'lot_multiplier') {
+      lotModeValue = parseFloat(follower.lot_multiplier);
+      if (!(lotModeValue > 0)) {
+        throw new Error('lot_multiplier mode requires lot_multiplier');
+      }
+      calculatedLotSize = masterLotSize * lotModeValue;
+    } else if (requestedMode === 'fixed_risk') {
+      lotModeValue = parseFloat(follower.risk_percentage);
+      if (!(lotModeValue > 0)) {
+        throw new Error('fixed_risk mode requires risk_percentage');
+      }
+      calculatedLotSize = await this.calculateRiskLotSize(masterOrder, follower, lotModeValue);
+      if (calculatedLotSize === null) {
+        logger.warn('Master order has no usable stop loss, sizing fixed_risk follower proportionally', {
+          masterOrderId: masterOrder.order_id,
+          followerId: follower.id
+        });
+        lotMode = 'equity_proportional';
+        lotModeValue = null;
+      }
+    }
+
+    if (lotMode === 'equity_proportional') {
+      if (masterEquity <= 0) {
+        throw new Error(`Master equity is zero or negative: ${masterEquity}`);
+      }
+      calculatedLotSize = masterLotSize * ratio;
+    }
+
+    // Apply follower's max lot size limit
+    if (follower.max_lot_size && calculatedLotSize > follower.max_lot_size) {
+      calculatedLotSize = parseFloat(follower.max_lot_size);
+    }
+
+    // Get group min/max lot constraints
+    const groupConstraints = await this.getGroupLotConstraints(follower.group, masterOrder.symbol);
+    
+    // Ensure calculated lot meets minimum requirements
+    const finalLotSize = Math.max(calculatedLotSize, groupConstraints.minLot);
+    
+    // Ensure doesn't exceed maximum
+    const constrainedLotSize = Math.min(finalLotSize, groupConstraints.maxLot);
+
+    return {
+      masterEquity,
+      followerInvestment,
+      ratio,
+      masterLotSize,
+      lotMode,
+      lotModeValue,
+      calculatedLotSize,
+      finalLotSize: constrainedLotSize,
+      minLot: groupConstraints.minLot,
+      maxLot: groupConstraints.maxLot
+    };
+  }
+
+  /**
+   * Lot size that loses riskPercentage of the follower's equity if the master stop loss is hit
+   * @param {Object} masterOrder - Master order
+   * @param {Object} follower - Follower account
+   * @param {number} riskPercentage - Percent of follower equity to risk
+   * @returns {Promise<number|null>} Lot size, or null when the master order has no stop loss
+   */
+  async calculateRiskLotSize(masterOrder, follower, riskPercentage) {
+    const entryPrice = parseFloat(masterOrder.order_price);
+    const stopLoss = parseFloat(masterOrder.stop_loss);
+    if (!(entryPrice > 0) || !(stopLoss > 0) || stopLoss === entryPrice) {
+      return null;
+    }
+
+    const { cfg } = await loadGroupConfig(follower.group || 'Standard', masterOrder.symbol);
+    const contractSize = parseFloat(cfg.contract_size);
+    if (!(contractSize > 0)) {
+      throw new Error(`Contract size not configured for ${masterOrder.symbol}`);
+    }
+    const usdRate = await getUsdRate(String(cfg.profit || 'USD').toUpperCase());
+
+    // Same equity definition as the master side: wallet_balance + net_profit
+    const followerEquity = parseFloat(follower.wallet_balance || 0) + parseFloat(follower.net_profit || 0);
+    if (!(followerEquity > 0)) {
+      throw new Error(`Follower equity is zero or negative: ${followerEquity}`);
+    }
+
+    const riskAmount = followerEquity * riskPercentage / 100;
+    const lossPerLot = Math.abs(entryPrice - stopLoss) * contractSize * usdRate;
+    return riskAmount / lossPerLot;
+  }
+
   /**
    * Get group lot constraints for symbol
    * @param {string} groupName - Group name
@@ -819,13 +958,20 @@ class CopyTradingService {
    * Update follower order after execution
    * @param {Object} followerOrder - Follower order
    * @param {Object} executionResult - Execution result
+   * @param {Object} [masterOrder] - Strategy provider order the copy was made from
    */
-  async updateFollowerOrderAfterExecution(followerOrder, executionResult) {
+  async updateFollowerOrderAfterExecution(followerOrder, executionResult, masterOrder = null) {
     try {
       const updateFields = {
         copy_timestamp: new Date()
       };
 
+      // Replication latency, measured from when the master order was recorded
+      const masterCreatedAt = masterOrder?.created_at ? new Date(masterOrder.created_at).getTime() : NaN;
+      if (Number.isFinite(masterCreatedAt)) {
+        updateFields.copy_delay_ms = Math.max(0, updateFields.copy_timestamp.getTime() - masterCreatedAt);
+      }
+
       if (executionResult.success) {
         updateFields.copy_status = 'copied';
         updateFields.order_status = 'OPEN';
@@ -886,9 +1032,9 @@ class CopyTradingService {
    * @param {Object} masterOrder - Master order
    * @param {Object} follower - Follower account
    * @param {string} reason - Skip reason
-   * @param {Object} lotCalculation - Lot calculation details
+   * @param {Object} [lotCalculation] - Lot calculation details; omitted when skipped before sizing
    */
-  async createSkippedOrder(masterOrder, follower, reason, lotCalculation) {
+  async createSkippedOrder(masterOrder, follower, reason, lotCalculation = {}) {
     try {
       const followerOrderId = await idGenerator.generateOrderId();
 
@@ -899,7 +1045,7 @@ class CopyTradingService {
         order_type: masterOrder.order_type,
         order_status: 'SKIPPED',
         order_price: masterOrder.order_price,
-        order_quantity: lotCalculation.calculatedLotSize,
+        order_quantity: lotCalculation.calculatedLotSize || 0,
         
         // Copy trading specific fields
         master_order_id: masterOrder.order_id,
@@ -909,10 +1055,12 @@ class CopyTradingService {
         // Lot calculation audit trail
         master_lot_size: masterOrder.order_quantity,
         follower_investment_at_copy: follower.investment_amount,
-        master_equity_at_copy: lotCalculation.masterEquity,
-        lot_ratio: lotCalculation.ratio,
-        calculated_lot_size: lotCalculation.calculatedLotSize,
-        final_lot_size: lotCalculation.finalLotSize,
+        master_equity_at_copy: lotCalculation.masterEquity || 0,
+        lot_ratio: lotCalculation.ratio || 0,
+        calculated_lot_size: lotCalculation.calculatedLotSize || 0,
+        final_lot_size: lotCalculation.finalLotSize || 0,
+        lot_mode: lotCalculation.lotMode || null,
+        lot_mode_value: lotCalculation.lotModeValue ?? null,
         
         copy_status: 'skipped',
         failure_reason: `Skipped: ${reason}`,
@@ -1028,6 +1176,7 @@ class CopyTradingService {
    * Close follower order when master order is closed
    * @param {Object} copiedOrder - Copied order
    * @param {Object} masterOrder - Master order
+   * @returns {Promise<{ success: boolean, error?: string }>} success once the close was accepted
    */
   async closeFollowerOrder(copiedOrder, masterOrder) {
     try {
@@ -1121,12 +1270,14 @@ class CopyTradingService {
         }
       }
 
+      return { success: true };
     } catch (error) {
       logger.error('Failed to close follower order', {
         copiedOrderId: copiedOrder.order_id,
         masterOrderId: masterOrder.order_id,
         error: error.message
       });
+      return { success: false, error: error.message };
     }
   }
 
@@ -1134,6 +1285,7 @@ class CopyTradingService {
    * Cancel follower order when master order is cancelled
    * @param {Object} copiedOrder - Copied order
    * @param {Object} masterOrder - Master order
+   * @returns {Promise<{ success: boolean, error?: string }>} success once the cancel was accepted
    */
   async cancelFollowerOrder(copiedOrder, masterOrder) {
     try {
@@ -1213,12 +1365,14 @@ class CopyTradingService {
         }
       }
 
+      return { success: true };
     } catch (error) {
       logger.error('Failed to cancel follower order', {
         copiedOrderId: copiedOrder.order_id,
         masterOrderId: masterOrder.order_id,
         error: error.message
       });
+      return { success: false, error: error.message };
     }
   }
 
@@ -1304,6 +1458,202 @@ class CopyTradingService {
       throw error;
     }
   }
+
+  /**
+   * Check that a user may start following a strategy with the given investment
+   * @param {number} userId - Live user ID
+   * @param {number} strategyProviderId
+   * @param {number} investmentAmount
+   * @param {Object} [options]
+   * @param {Object} [options.transaction]
+   * @returns {Promise<Object>} The strategy provider account
+   */
+  async assertCanFollow(userId, strategyProviderId, investmentAmount, { transaction } = {}) {
+    if (parseFloat(investmentAmount) < MIN_INVESTMENT) {
+      throw new CopyTradingError(`Minimum investment amount is $${MIN_INVESTMENT}`);
+    }
+
+    const strategyProvider = await StrategyProviderAccount.findOne({
+      where: {
+        id: strategyProviderId,
+        status: 1,
+        is_active: 1
+      },
+      transaction
+    });
+    if (!strategyProvider) {
+      throw new CopyTradingError('Strategy provider not found or inactive', 404);
+    }
+
+    // Check if strategy provider has minimum balance to accept followers
+    const strategyProviderEquity = parseFloat(strategyProvider.wallet_balance || 0) + parseFloat(strategyProvider.net_profit || 0);
+    if (strategyProviderEquity < MIN_STRATEGY_EQUITY) {
+      throw new CopyTradingError(`Strategy provider does not meet minimum balance requirement of $${MIN_STRATEGY_EQUITY}. Current equity: $${strategyProviderEquity.toFixed(2)}`);
+    }
+
+    if (String(strategyProvider.user_id) === String(userId)) {
+      throw new CopyTradingError('Cannot follow your own strategy');
+    }
+
+    if (strategyProvider.min_investment && parseFloat(investmentAmount) < parseFloat(strategyProvider.min_investment)) {
+      throw new CopyTradingError(`Minimum investment for this strategy is $${strategyProvider.min_investment}`);
+    }
+
+    if (strategyProvider.max_followers && strategyProvider.total_followers >= strategyProvider.max_followers) {
+      throw new CopyTradingError('Strategy has reached maximum number of followers');
+    }
+
+    const existingFollower = await CopyFollowerAccount.findOne({
+      where: {
+        user_id: userId,
+        strategy_provider_id: strategyProviderId,
+        status: 1,
+        is_active: 1
+      },
+      transaction
+    });
+    if (existingFollower) {
+      throw new CopyTradingError('You are already following this strategy');
+    }
+
+    return strategyProvider;
+  }
+
+  /**
+   * Check the live wallet can fund an investment
+   * @param {Object} liveUser
+   * @param {number} amount
+   */
+  assertCanInvest(liveUser, amount) {
+    const userBalance = parseFloat(liveUser.wallet_balance || 0);
+    if (userBalance < MIN_COPY_BALANCE) {
+      throw new CopyTradingError(`Minimum balance of $${MIN_COPY_BALANCE} required to start copy trading. Current balance: $${userBalance.toFixed(2)}`);
+    }
+    if (userBalance < amount) {
+      throw new CopyTradingError(`Insufficient balance. Required: $${amount}, Available: $${userBalance}`);
+    }
+  }
+
+  /**
+   * Open a follower account for a validated strategy. The caller funds it from the live wallet.
+   * @param {number} userId - Live user ID
+   * @param {Object} strategyProvider - From assertCanFollow
+   * @param {Object} data - Account name, investment and copy settings
+   * @param {Object} [options]
+   * @param {Object} [options.transaction]
+   * @returns {Promise<Object>} The follower account
+   */
+  async openFollowerAccount(userId, strategyProvider, data, { transaction } = {}) {
+    const investmentAmount = parseFloat(data.investment_amount);
+
+    const generateAccountNumber = () => {
+      const timestamp = Date.now().toString();
+      const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
+      return `CF${timestamp}${random}`;
+    };
+
+    let accountNumber = generateAccountNumber();
+    // Ensure account number is unique (very unlikely to collide, but safety check)
+    while (await CopyFollowerAccount.findOne({ where: { account_number: accountNumber }, transaction })) {
+      accountNumber = generateAccountNumber();
+    }
+
+    const followerAccount = await CopyFollowerAccount.create({
+      user_id: userId,
+      strategy_provider_id: strategyProvider.id,
+      account_name: data.account_name,
+      account_number: accountNumber,
+      investment_amount: investmentAmount,
+      initial_investment: investmentAmount,
+
+      // Inherit settings from strategy provider
+      group: strategyProvider.group,
+      leverage: strategyProvider.leverage,
+      sending_orders: strategyProvider.sending_orders,
+      auto_cutoff_level: strategyProvider.auto_cutoff_level,
+
+      // Copy settings
+      copy_sl_mode: data.copy_sl_mode || 'none',
+      copy_tp_mode: data.copy_tp_mode || 'none',
+      sl_percentage: data.sl_percentage ? parseFloat(data.sl_percentage) : null,
+      tp_percentage: data.tp_percentage ? parseFloat(data.tp_percentage) : null,
+      sl_amount: data.sl_amount ? parseFloat(data.sl_amount) : null,
+      tp_amount: data.tp_amount ? parseFloat(data.tp_amount) : null,
+
+      // Risk management
+      max_lot_size: data.max_lot_size ? parseFloat(data.max_lot_size) : null,
+      max_daily_loss: data.max_daily_loss ? parseFloat(data.max_daily_loss) : null,
+      stop_copying_on_drawdown: data.stop_copying_on_drawdown ? parseFloat(data.stop_copying_on_drawdown) : null,
+      close_positions_on_breach: data.close_positions_on_breach === true,
+
+      // Portfolio membership
+      copy_portfolio_id: data.copy_portfolio_id || null,
+      portfolio_weight: data.portfolio_weight ?? null,
+
+      // Initial financial state
+      wallet_balance: investmentAmount,
+      equity: investmentAmount,
+
+      // Status
+      status: 1,
+      is_active: 1,
+      copy_status: 'active'
+    }, { transaction });
+
+    // Update strategy provider follower count and total investment
+    await StrategyProviderAccount.increment({
+      total_followers: 1,
+      total_investment: investmentAmount
+    }, {
+      where: { id: strategyProvider.id },
+      transaction
+    });
+
+    return followerAccount;
+  }
+
+  /**
+   * Start following a strategy, funded from the user's live wallet
+   * @param {number} userId - Live user ID
+   * @param {Object} data - strategy_provider_id, investment_amount, account_name and copy settings
+   * @returns {Promise<Object>} The follower account
+   */
+  async createFollowerAccount(userId, data) {
+    if (!data.strategy_provider_id || !data.investment_amount || !data.account_name) {
+      throw new CopyTradingError('Missing required fields: strategy_provider_id, investment_amount, account_name');
+    }
+
+    const investmentAmount = parseFloat(data.investment_amount);
+    const strategyProvider = await this.assertCanFollow(userId, data.strategy_provider_id, investmentAmount);
+
+    const liveUser = await LiveUser.findByPk(userId);
+    if (!liveUser) {
+      throw new CopyTradingError('User not found', 404);
+    }
+    this.assertCanInvest(liveUser, investmentAmount);
+
+    const followerAccount = await this.openFollowerAccount(userId, strategyProvider, data);
+
+    // Deduct investment amount from user's main account balance
+    await LiveUser.decrement({
+      wallet_balance: investmentAmount
+    }, {
+      where: { id: userId }
+    });
+
+    logger.info('Copy follower account created', {
+      userId,
+      followerId: followerAccount.id,
+      strategyProviderId: strategyProvider.id,
+      investmentAmount: data.investment_amount
+    });
+
+    return followerAccount;
+  }
 }
 
-module.exports = new CopyTradingService();
+const copyTradingService = new CopyTradingService();
+copyTradingService.LOT_MODES = LOT_MODES;
+copyTradingService.CopyTradingError = CopyTradingError;
+
+module.exports = copyTradingService;
@@ -0,0 +1,452 @@
+const { Op } = require('sequelize');
+const StrategyProviderOrder = require('../models/strategyProviderOrder.model');
+const StrategyProviderSnapshot = require('../models/strategyProviderSnapshot.model');
+const copyTradingService = require('./copyTrading.service');
+const performanceFeeService = require('./performanceFee.service');
+const strategyProviderAnalyticsService = require('./strategyProviderAnalytics.service');
+const logger = require('./logger.service');
+const { loadGroupConfig, getUsdRate } = require('./order.preview.service');
+const { toAmount, roundAmount } = require('../utils/number.util');
+const { ServiceError } = require('../utils/serviceError.util');
+
+// Keeps a single simulation bounded; orders after the first MAX_SIMULATED_ORDERS are not replayed
+const MAX_SIMULATED_ORDERS = 5000;
+const MAX_INVESTMENT = 10000000;
+const MAX_HISTORY_DAYS = 5 * 365;
+const SL_TP_MODES = ['none', 'percentage', 'amount'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class SimulationError extends ServiceError {}
+
+function toDateString(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+function optionalPositive(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) {
+    throw new SimulationError(`${field} must be a positive number`);
+  }
+  return n;
+}
+
+/**
+ * "What if" replay of a strategy's closed orders for a prospective follower.
+ *
+ * Orders are replayed in time order through the live lot sizing (copyTradingService.sizeFollowerLot)
+ * and the live high-water-mark fee calculation (performanceFeeService.calculateFee), settled at the
+ * provider's weekly or monthly period ends. The master equity used for proportional sizing comes from
+ * the daily snapshots. There is no tick history, so a follower SL/TP only changes a trade when the
+ * master's close price is beyond it; the trade is then closed at the follower's level. Lots sized
+ * below the group minimum are rounded up to it, as the live copier does, and listed in upsized_trades.
+ */
+class CopyTradingSimulatorService {
+
+  /**
+   * Validate and normalize the request body
+   * @returns {Object} { investmentAmount, startDate, settings }
+   */
+  validateParams(body = {}, now = new Date()) {
+    const investmentAmount = Number(body.investment_amount);
+    if (!Number.isFinite(investmentAmount) || investmentAmount <= 0 || investmentAmount > MAX_INVESTMENT) {
+      throw new SimulationError(`investment_amount must be a positive number up to ${MAX_INVESTMENT}`);
+    }
+
+    const startDate = body.start_date ? new Date(body.start_date) : null;
+    if (!startDate || isNaN(startDate.getTime())) {
+      throw new SimulationError('start_date must be a valid date');
+    }
+    if (startDate >= now) {
+      throw new SimulationError('start_date must be in the past');
+    }
+    if (now - startDate > MAX_HISTORY_DAYS * DAY_MS) {
+      throw new SimulationError(`start_date cannot be more than ${MAX_HISTORY_DAYS} days ago`);
+    }
+
+    const lotMode = body.lot_mode || 'equity_proportional';
+    if (!copyTradingService.LOT_MODES.includes(lotMode)) {
+      throw new SimulationError(`lot_mode must be one of: ${copyTradingService.LOT_MODES.join(', ')}`);
+    }
+    const settings = {
+      lot_mode: lotMode,
+      fixed_lot_size: optionalPositive(body.fixed_lot_size, 'fixed_lot_size'),
+      lot_multiplier: optionalPositive(body.lot_multiplier, 'lot_multiplier'),
+      risk_percentage: optionalPositive(body.risk_percentage, 'risk_percentage'),
+      max_lot_size: optionalPositive(body.max_lot_size, 'max_lot_size'),
+      max_daily_loss: optionalPositive(body.max_daily_loss, 'max_daily_loss'),
+      copy_sl_mode: body.copy_sl_mode || 'none',
+      copy_tp_mode: body.copy_tp_mode || 'none',
+      sl_percentage: optionalPositive(body.sl_percentage, 'sl_percentage'),
+      tp_percentage: optionalPositive(body.tp_percentage, 'tp_percentage'),
+      sl_amount: optionalPositive(body.sl_amount, 'sl_amount'),
+      tp_amount: optionalPositive(body.tp_amount, 'tp_amount')
+    };
+
+    const modeSettings = {
+      fixed_lot: 'fixed_lot_size',
+      lot_multiplier: 'lot_multiplier',
+      fixed_risk: 'risk_percentage'
+    };
+    if (modeSettings[lotMode] && settings[modeSettings[lotMode]] === null) {
+      throw new SimulationError(`${modeSettings[lotMode]} is required for lot_mode ${lotMode}`);
+    }
+    if (settings.risk_percentage !== null && settings.risk_percentage > 100) {
+      throw new SimulationError('risk_percentage cannot exceed 100');
+    }
+
+    for (const side of ['sl', 'tp']) {
+      const mode = settings[`copy_${side}_mode`];
+      if (!SL_TP_MODES.includes(mode)) {
+        throw new SimulationError(`copy_${side}_mode must be one of: ${SL_TP_MODES.join(', ')}`);
+      }
+      if (mode !== 'none' && settings[`${side}_${mode}`] === null) {
+        throw new SimulationError(`${side}_${mode} is required for copy_${side}_mode ${mode}`);
+      }
+    }
+
+    return { investmentAmount, startDate, settings };
+  }
+
+  /**
+   * Fee period ends (exclusive boundaries) after `start` up to `now`, oldest first
+   */
+  getFeePeriodEnds(period, start, now) {
+    const ends = [];
+    let end = performanceFeeService.getLastCompletedPeriod(period, now).end;
+    while (end > start) {
+      ends.unshift(end);
+      end = performanceFeeService.getLastCompletedPeriod(period, new Date(end.getTime() - 1)).end;
+    }
+    return ends;
+  }
+
+  /**
+   * Master equity on a given day from the daily snapshots: the latest snapshot on or before the
+   * day, else the earliest one after it, else the provider's current equity
+   */
+  buildMasterEquityLookup(snapshots, currentEquity) {
+    const points = snapshots
+      .map(s => ({ date: String(s.snapshot_date), equity: toAmount(s.equity) }))
+      .filter(p => p.equity > 0);
+    return (time) => {
+      if (points.length === 0) return currentEquity;
+      const day = toDateString(time);
+      let found = null;
+      for (const p of points) {
+        if (p.date > day) break;
+        found = p;
+      }
+      return (found || points[0]).equity;
+    };
+  }
+
+  /**
+   * Follower P&L of one replayed trade. The master net profit is scaled by the lot ratio unless the
+   * follower's own SL/TP would have closed the trade earlier.
+   */
+  async simulateTradePnl(order, follower, lots) {
+    const masterLots = toAmount(order.order_quantity);
+    const scale = masterLots > 0 ? lots / masterLots : 0;
+    const scaledPnl = toAmount(order.net_profit) * scale;
+
+    if (follower.copy_sl_mode === 'none' && follower.copy_tp_mode === 'none') {
+      return { pnl: scaledPnl, exitReason: null };
+    }
+
+    const entry = toAmount(order.order_price);
+    const close = toAmount(order.close_price);
+    if (!(entry > 0) || !(close > 0)) {
+      return { pnl: scaledPnl, exitReason: null };
+    }
+
+    const { stopLoss, takeProfit } = await copyTradingService.applyFollowerSlTpSettings(order, follower);
+    const isBuy = String(order.order_type || '').toUpperCase().includes('BUY');
+    const sl = follower.copy_sl_mode !== 'none' ? toAmount(stopLoss) : 0;
+    const tp = follower.copy_tp_mode !== 'none' ? toAmount(takeProfit) : 0;
+
+    let exit = null;
+    let exitReason = null;
+    if (sl > 0 && (isBuy ? close <= sl : close >= sl)) {
+      exit = sl;
+      exitReason = 'stop_loss';
+    } else if (tp > 0 && (isBuy ? close >= tp : close <= tp)) {
+      exit = tp;
+      exitReason = 'take_profit';
+    }
+    if (exit === null) {
+      return { pnl: scaledPnl, exitReason: null };
+    }
+
+    try {
+      const { cfg } = await loadGroupConfig(follower.group || 'Standard', order.symbol);
+      const contractSize = toAmount(cfg.contract_size);
+      if (!(contractSize > 0)) {
+        return { pnl: scaledPnl, exitReason: null };
+      }
+      const usdRate = await getUsdRate(String(cfg.profit || 'USD').toUpperCase());
+      const move = isBuy ? exit - entry : entry - exit;
+      // Charges scale with the lot like the rest of the trade
+      const charges = (toAmount(order.commission) + toAmount(order.swap)) * scale;
+      return { pnl: move * contractSize * lots * usdRate - charges, exitReason };
+    } catch (error) {
+      logger.warn('Simulator could not price follower SL/TP exit, using master result', {
+        orderId: order.order_id,
+        symbol: order.symbol,
+        error: error.message
+      });
+      return { pnl: scaledPnl, exitReason: null };
+    }
+  }
+
+  /**
+   * Run a simulation for a prospective follower
+   * @param {number} userId - Live user ID of the viewer
+   * @param {number} strategyProviderId
+   * @param {Object} body - investment_amount, start_date and copy settings
+   * @returns {Promise<Object>} Simulation result
+   */
+  async simulate(userId, strategyProviderId, body, { now = new Date() } = {}) {
+    let provider;
+    try {
+      provider = await strategyProviderAnalyticsService.getViewableProvider(userId, strategyProviderId, [
+        'group', 'wallet_balance', 'net_profit', 'performance_fee', 'fee_settlement_period', 'min_investment'
+      ]);
+    } catch (error) {
+      if (error instanceof strategyProviderAnalyticsService.StrategyAnalyticsError) {
+        throw new SimulationError(error.message, error.statusCode);
+      }
+      throw error;
+    }
+
+    const { investmentAmount, startDate, settings } = this.validateParams(body, now);
+    if (provider.min_investment && investmentAmount < toAmount(provider.min_investment)) {
+      throw new SimulationError(`Minimum investment for this strategy is $${provider.min_investment}`);
+    }
+
+    const orders = await StrategyProviderOrder.findAll({
+      where: {
+        order_user_id: provider.id,
+        order_status: 'CLOSED',
+        created_at: { [Op.gte]: startDate, [Op.lte]: now }
+      },
+      attributes: [
+        'order_id', 'order_user_id', 'symbol', 'order_type', 'order_price', 'order_quantity',
+        'stop_loss', 'take_profit', 'close_price', 'net_profit', 'commission', 'swap',
+        'created_at', 'updated_at'
+      ],
+      order: [['created_at', 'ASC']],
+      limit: MAX_SIMULATED_ORDERS + 1
+    });
+    const truncated = orders.length > MAX_SIMULATED_ORDERS;
+    if (truncated) orders.length = MAX_SIMULATED_ORDERS;
+
+    const openMasterOrders = await StrategyProviderOrder.count({
+      where: { order_user_id: provider.id, order_status: 'OPEN', created_at: { [Op.gte]: startDate } }
+    });
+
+    const snapshots = await StrategyProviderSnapshot.findAll({
+      where: { strategy_provider_id: provider.id },
+      attributes: ['snapshot_date', 'equity'],
+      order: [['snapshot_date', 'ASC']]
+    });
+    const masterEquityAt = this.buildMasterEquityLookup(
+      snapshots,
+      toAmount(provider.wallet_balance) + toAmount(provider.net_profit)
+    );
+
+    // Simulated follower account; wallet_balance is kept current as trades close
+    const follower = {
+      id: null,
+      group: provider.group || 'Standard',
+      investment_amount: investmentAmount,
+      wallet_balance: investmentAmount,
+      net_profit: 0,
+      ...settings
+    };
+
+    // Event order at the same instant: fee settlement (period ends are exclusive), then closes, then opens
+    const rank = { fee: 0, close: 1, open: 2 };
+    const events = [];
+    for (const order of orders) {
+      events.push({ type: 'open', time: new Date(order.created_at), order });
+      events.push({ type: 'close', time: new Date(order.updated_at || order.created_at), order });
+    }
+    const period = provider.fee_settlement_period || 'monthly';
+    for (const end of this.getFeePeriodEnds(period, startDate, now)) {
+      events.push({ type: 'fee', time: end });
+    }
+    events.sort((a, b) => {
+      if (a.time - b.time !== 0) return a.time - b.time;
+      // A trade opened and closed in the same instant still opens first
+      if (a.order && b.order && a.order === b.order) return a.type === 'open' ? -1 : 1;
+      return rank[a.type] - rank[b.type];
+    });
+
+    let balance = investmentAmount;
+    let highWaterMark = investmentAmount;
+    let feesPaid = 0;
+    let tradingPnl = 0;
+    let peak = investmentAmount;
+    let maxDrawdown = 0;
+    const positions = new Map();
+    const dailyLoss = new Map();
+    const dailyEquity = new Map([[toDateString(startDate), investmentAmount]]);
+    const skipped = [];
+    const upsized = [];
+    const feeSettlements = [];
+    const stats = { copied: 0, wins: 0, losses: 0, sl_exits: 0, tp_exits: 0 };
+
+    const recordEquity = (time) => {
+      dailyEquity.set(toDateString(time), roundAmount(balance));
+      peak = Math.max(peak, balance);
+      if (peak > 0) maxDrawdown = Math.max(maxDrawdown, (peak - balance) / peak * 100);
+    };
+
+    for (const event of events) {
+      if (event.type === 'fee') {
+        const feePercentage = toAmount(provider.performance_fee);
+        const { profitAboveHwm, feeAmount, highWaterMarkAfter } = performanceFeeService.calculateFee({
+          equity: balance,
+          highWaterMark,
+          feePercentage,
+          walletBalance: balance
+        });
+        feeSettlements.push({
+          period,
+          period_end: event.time.toISOString(),
+          equity: roundAmount(balance),
+          high_water_mark_before: roundAmount(highWaterMark),
+          profit_above_hwm: roundAmount(profitAboveHwm),
+          fee_amount: roundAmount(feeAmount),
+          high_water_mark_after: roundAmount(highWaterMarkAfter)
+        });
+        if (feeAmount > 0) {
+          balance -= feeAmount;
+          feesPaid += feeAmount;
+          recordEquity(event.time);
+        }
+        highWaterMark = highWaterMarkAfter;
+        continue;
+      }
+
+      const order = event.order;
+      if (event.type === 'open') {
+        let reason = null;
+        const day = toDateString(event.time);
+        if (!(balance > 0)) {
+          reason = 'Follower equity depleted';
+        } else if (settings.max_daily_loss && (dailyLoss.get(day) || 0) >= settings.max_daily_loss) {
+          reason = 'Daily loss limit exceeded';
+        }
+
+        if (!reason) {
+          try {
+            follower.wallet_balance = balance;
+            const lot = await copyTradingService.sizeFollowerLot(order, follower, masterEquityAt(event.time));
+            positions.set(order.order_id, lot.finalLotSize);
+            // Like the live copier, a lot below the group minimum is rounded up, which risks more than the sizing asked for
+            if (lot.calculatedLotSize < lot.minLot) {
+              upsized.push({
+                order_id: order.order_id,
+                symbol: order.symbol,
+                order_type: order.order_type,
+                opened_at: event.time.toISOString(),
+                calculated_lot_size: roundAmount(lot.calculatedLotSize, 8),
+                lot_size: lot.finalLotSize
+              });
+            }
+          } catch (error) {
+            reason = error.message;
+          }
+        }
+
+        if (reason) {
+          skipped.push({
+            order_id: order.order_id,
+            symbol: order.symbol,
+            order_type: order.order_type,
+            opened_at: event.time.toISOString(),
+            reason
+          });
+        }
+        continue;
+      }
+
+      // close
+      if (!positions.has(order.order_id)) continue;
+      const lots = positions.get(order.order_id);
+      positions.delete(order.order_id);
+
+      const { pnl, exitReason } = await this.simulateTradePnl(order, follower, lots);
+      balance += pnl;
+      tradingPnl += pnl;
+      stats.copied++;
+      if (pnl > 0) stats.wins++;
+      if (pnl < 0) {
+        stats.losses++;
+        const day = toDateString(event.time);
+        dailyLoss.set(day, (dailyLoss.get(day) || 0) + Math.abs(pnl));
+      }
+      if (exitReason === 'stop_loss') stats.sl_exits++;
+      if (exitReason === 'take_profit') stats.tp_exits++;
+      recordEquity(event.time);
+    }
+
+    const equityCurve = [...dailyEquity.entries()]
+      .sort(([a], [b]) => (a < b ? -1 : 1))
+      .map(([date, equity]) => ({ date, equity }));
+
+    // Profit above the mark since the last period end; it is charged at the next settlement
+    const { feeAmount: pendingFee } = performanceFeeService.calculateFee({
+      equity: balance,
+      highWaterMark,
+      feePercentage: toAmount(provider.performance_fee),
+      walletBalance: balance
+    });
+
+    return {
+      strategy_provider: {
+        id: provider.id,
+        strategy_name: provider.strategy_name,
+        performance_fee: toAmount(provider.performance_fee),
+        fee_settlement_period: period
+      },
+      parameters: {
+        investment_amount: investmentAmount,
+        start_date: startDate.toISOString(),
+        end_date: now.toISOString(),
+        ...settings
+      },
+      summary: {
+        initial_investment: roundAmount(investmentAmount),
+        final_equity: roundAmount(balance),
+        trading_pnl: roundAmount(tradingPnl),
+        fees_paid: roundAmount(feesPaid),
+        final_pnl: roundAmount(balance - investmentAmount),
+        return_percentage: roundAmount((balance - investmentAmount) / investmentAmount * 100, 4),
+        max_drawdown_percentage: roundAmount(maxDrawdown, 4),
+        pending_fee: roundAmount(pendingFee),
+        trades_replayed: orders.length,
+        trades_copied: stats.copied,
+        trades_skipped: skipped.length,
+        trades_upsized_to_min_lot: upsized.length,
+        winning_trades: stats.wins,
+        losing_trades: stats.losses,
+        follower_sl_exits: stats.sl_exits,
+        follower_tp_exits: stats.tp_exits,
+        open_master_orders_excluded: openMasterOrders,
+        truncated
+      },
+      equity_curve: equityCurve,
+      fee_settlements: feeSettlements,
+      skipped_trades: skipped,
+      upsized_trades: upsized
+    };
+  }
+}
+
+const copyTradingSimulatorService = new CopyTradingSimulatorService();
+copyTradingSimulatorService.SimulationError = SimulationError;
+
+module.exports = copyTradingSimulatorService;
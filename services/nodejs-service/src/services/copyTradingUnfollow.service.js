@@ -0,0 +1,368 @@
+const { Op, Transaction } = require('sequelize');
+const sequelize = require('../config/db');
+const CopyFollowerAccount = require('../models/copyFollowerAccount.model');
+const CopyFollowerOrder = require('../models/copyFollowerOrder.model');
+const StrategyProviderAccount = require('../models/strategyProviderAccount.model');
+const LiveUser = require('../models/liveUser.model');
+const UserTransaction = require('../models/userTransaction.model');
+const copyTradingService = require('./copyTrading.service');
+const copyTradingRedisService = require('./copyTradingRedis.service');
+const performanceFeeService = require('./performanceFee.service');
+const copyFeeBillingService = require('./copyFeeBilling.service');
+const idGenerator = require('./idGenerator.service');
+const redisSyncService = require('./redis.sync.service');
+const logger = require('./logger.service');
+const { redisCluster } = require('../../config/redis');
+const { toAmount, roundAmount } = require('../utils/number.util');
+const { ServiceError } = require('../utils/serviceError.util');
+
+const UNFOLLOW_MODES = ['close', 'detach', 'wind_down'];
+// Copied orders that still tie up the follower account
+const OPEN_ORDER_STATUSES = ['QUEUED', 'OPEN', 'PENDING', 'PENDING-QUEUED', 'PARTIALLY_FILLED'];
+
+class UnfollowError extends ServiceError {}
+
+/**
+ * Unfollowing a strategy.
+ *
+ * The request stops new copies right away (copy_status 'stopped') and handles the open copied
+ * positions according to the chosen mode:
+ * - close: close them now at market (pending ones are cancelled)
+ * - detach: keep them open but stop mirroring the master (copy_status 'detached' on the order);
+ *   the follower closes them manually
+ * - wind_down: keep mirroring master closes until the last copied position is closed
+ *
+ * Once the account has no open orders the unfollow is finished: outstanding performance,
+ * management and unpaid subscription fees are settled up to that moment and the remaining wallet
+ * balance is returned to the owner's live wallet. The consumer calls onFollowerOrderClosed after every copy follower close
+ * payout to get there; positions closed by the unfollow itself are only finished from there, once their P&L is in the wallet.
+ */
+class CopyTradingUnfollowService {
+
+  async countOpenOrders(copyFollowerAccountId, options = {}) {
+    return CopyFollowerOrder.count({
+      where: {
+        copy_follower_account_id: copyFollowerAccountId,
+        order_status: { [Op.in]: OPEN_ORDER_STATUSES }
+      },
+      ...options
+    });
+  }
+
+  /**
+   * Start unfollowing a strategy
+   * @param {number} userId - Live user ID (owner)
+   * @param {number} copyFollowerAccountId
+   * @param {Object} params
+   * @param {string} [params.mode] - close | detach | wind_down; required while positions are open
+   * @param {string} [params.reason]
+   * @returns {Promise<Object>}
+   */
+  async requestUnfollow(userId, copyFollowerAccountId, { mode = null, reason = null } = {}) {
+    if (mode !== null && mode !== undefined && !UNFOLLOW_MODES.includes(mode)) {
+      throw new UnfollowError(`mode must be one of: ${UNFOLLOW_MODES.join(', ')}`);
+    }
+
+    const follower = await CopyFollowerAccount.findOne({
+      where: { id: copyFollowerAccountId, user_id: userId }
+    });
+    if (!follower) {
+      throw new UnfollowError('Follower account not found', 404);
+    }
+    if (follower.unfollowed_at) {
+      throw new UnfollowError('Follower account is already closed', 409);
+    }
+    if (follower.unfollow_requested_at) {
+      throw new UnfollowError(`Unfollow already in progress (${follower.unfollow_mode})`, 409);
+    }
+
+    const openOrders = await CopyFollowerOrder.findAll({
+      where: {
+        copy_follower_account_id: follower.id,
+        order_status: { [Op.in]: OPEN_ORDER_STATUSES }
+      }
+    });
+    if (openOrders.length > 0 && !mode) {
+      const error = new UnfollowError(
+        `You have ${openOrders.length} open order(s). Choose mode "close" to close them, "detach" to keep them as manually managed positions, or "wind_down" to keep mirroring the strategy until they are closed.`
+      );
+      error.openOrdersCount = openOrders.length;
+      throw error;
+    }
+    const effectiveMode = mode || 'close';
+
+    await follower.update({
+      copy_status: 'stopped',
+      stop_reason: reason || 'Manually stopped by user',
+      unfollow_mode: effectiveMode,
+      unfollow_requested_at: new Date()
+    });
+
+    await StrategyProviderAccount.decrement({
+      total_followers: 1,
+      total_investment: parseFloat(follower.investment_amount || 0)
+    }, {
+      where: { id: follower.strategy_provider_id }
+    });
+
+    logger.info('Copy follower unfollow requested', {
+      userId,
+      copyFollowerAccountId: follower.id,
+      strategyProviderId: follower.strategy_provider_id,
+      mode: effectiveMode,
+      openOrders: openOrders.length
+    });
+
+    if (effectiveMode === 'detach') {
+      if (openOrders.length > 0) {
+        await CopyFollowerOrder.update({ copy_status: 'detached' }, {
+          where: { id: { [Op.in]: openOrders.map(o => o.id) } }
+        });
+      }
+      // Nothing mirrors the master any more
+      await this.cleanupRelationship(follower);
+    } else if (effectiveMode === 'close') {
+      for (const order of openOrders) {
+        const masterRef = { order_id: order.master_order_id, close_price: null };
+        const outcome = order.order_status === 'OPEN'
+          ? await copyTradingService.closeFollowerOrder(order, masterRef)
+          : await copyTradingService.cancelFollowerOrder(order, masterRef);
+        if (!outcome.success) {
+          logger.warn('Copied order could not be closed on unfollow; unfollow stays pending', {
+            copyFollowerAccountId: follower.id,
+            orderId: order.order_id,
+            error: outcome.error
+          });
+        }
+      }
+    }
+
+    // Closed positions are paid out by the consumer, which finishes the unfollow after the payout
+    const awaitingPayout = effectiveMode === 'close' && openOrders.some(o => o.order_status === 'OPEN');
+    const completion = awaitingPayout ? null : await this.finalizeUnfollow(follower.id);
+    const remaining = completion ? 0 : await this.countOpenOrders(follower.id);
+
+    return {
+      mode: effectiveMode,
+      status: completion ? 'completed' : 'pending',
+      open_orders_count: remaining,
+      ...(completion || {})
+    };
+  }
+
+  /**
+   * Called after a copy follower order closed; finishes a pending unfollow when it was the last one
+   * @param {number|string} copyFollowerAccountId
+   */
+  async onFollowerOrderClosed(copyFollowerAccountId) {
+    const follower = await CopyFollowerAccount.findByPk(parseInt(String(copyFollowerAccountId), 10), {
+      attributes: ['id', 'unfollow_requested_at', 'unfollowed_at']
+    });
+    if (!follower || !follower.unfollow_requested_at || follower.unfollowed_at) return null;
+    return this.finalizeUnfollow(follower.id);
+  }
+
+  /**
+   * Settle fees and return the remaining equity once no copied order is open.
+   * Safe to call repeatedly; only the first call after the last close does anything.
+   * @param {number} copyFollowerAccountId
+   * @returns {Promise<Object|null>} Completion details, or null while orders are still open
+   */
+  async finalizeUnfollow(copyFollowerAccountId) {
+    const openCount = await this.countOpenOrders(copyFollowerAccountId);
+    if (openCount > 0) return null;
+
+    const follower = await CopyFollowerAccount.findByPk(copyFollowerAccountId, {
+      include: [{ model: StrategyProviderAccount, as: 'strategyProvider', attributes: ['id', 'fee_settlement_period'] }]
+    });
+    if (!follower || !follower.unfollow_requested_at || follower.unfollowed_at) return null;
+    if (!(await this.closePayoutsApplied(follower))) return null;
+
+    // Final performance fee for the part of the period since the last settlement
+    const now = new Date();
+    const period = follower.strategyProvider?.fee_settlement_period || 'monthly';
+    const start = follower.last_fee_settlement_at || follower.subscription_date || follower.created_at || now;
+    const settlement = await performanceFeeService.settleFollower(follower.id, { period, start: new Date(start), end: now }, { now });
+    // Accrued management fee and unpaid charges, capped at what is left in the account
+    const billedFees = await copyFeeBillingService.settleOnUnfollow(follower.id, { now });
+
+    const result = await sequelize.transaction({ isolationLevel: Transaction.ISOLATION_LEVELS.READ_COMMITTED }, async (t) => {
+      const account = await CopyFollowerAccount.findByPk(follower.id, { transaction: t, lock: t.LOCK.UPDATE });
+      if (!account || account.unfollowed_at) return null;
+      if (await this.countOpenOrders(account.id, { transaction: t }) > 0) return null;
+
+      const owner = await LiveUser.findByPk(account.user_id, { transaction: t, lock: t.LOCK.UPDATE });
+      if (!owner) {
+        throw new UnfollowError('Follower owner not found', 404);
+      }
+
+      const amount = roundAmount(account.wallet_balance, 6);
+      let ownerBalanceAfter = toAmount(owner.wallet_balance);
+
+      if (amount > 0) {
+        const ownerBalanceBefore = toAmount(owner.wallet_balance);
+        ownerBalanceAfter = roundAmount(ownerBalanceBefore + amount, 6);
+        const metadata = {
+          reason: 'copy_trading_unfollow',
+          copy_follower_account_id: account.id,
+          strategy_provider_id: account.strategy_provider_id,
+          unfollow_mode: account.unfollow_mode
+        };
+
+        await UserTransaction.create({
+          transaction_id: await idGenerator.generateTransactionId(),
+          user_id: account.id,
+          user_type: 'copy_follower',
+          type: 'adjustment',
+          amount: -amount,
+          balance_before: amount,
+          balance_after: 0,
+          status: 'completed',
+          notes: `Equity returned to live account ${owner.account_number || owner.id} on unfollow`,
+          metadata
+        }, { transaction: t });
+
+        await UserTransaction.create({
+          transaction_id: await idGenerator.generateTransactionId(),
+          user_id: owner.id,
+          user_type: 'live',
+          type: 'adjustment',
+          amount,
+          balance_before: ownerBalanceBefore,
+          balance_after: ownerBalanceAfter,
+          status: 'completed',
+          notes: `Equity returned from copy trading account ${account.account_number || account.id}`,
+          metadata
+        }, { transaction: t });
+
+        await owner.update({ wallet_balance: ownerBalanceAfter }, { transaction: t });
+      } else if (amount < 0) {
+        logger.warn('Copy follower account closed with a negative balance', {
+          copyFollowerAccountId: account.id,
+          walletBalance: amount
+        });
+      }
+
+      await account.update({
+        wallet_balance: amount > 0 ? 0 : amount,
+        copy_status: 'stopped',
+        is_active: 0,
+        unfollowed_at: now
+      }, { transaction: t });
+
+      return {
+        returnedAmount: amount > 0 ? amount : 0,
+        ownerId: owner.id,
+        ownerBalanceAfter,
+        mode: account.unfollow_mode,
+        strategyProviderId: account.strategy_provider_id
+      };
+    });
+    if (!result) return null;
+
+    const syncOptions = { operation_type: 'copy_unfollow', cachedOnly: true };
+    await redisSyncService.syncUserAfterBalanceChange(result.ownerId, 'live', { wallet_balance: result.ownerBalanceAfter }, syncOptions);
+    await redisSyncService.syncUserAfterBalanceChange(follower.id, 'copy_follower', { wallet_balance: 0 }, syncOptions);
+    // Detached accounts were unlinked when the unfollow was requested
+    if (result.mode !== 'detach') {
+      await this.cleanupRelationship(follower);
+    }
+
+    logger.info('Copy follower unfollow completed', {
+      copyFollowerAccountId: follower.id,
+      strategyProviderId: result.strategyProviderId,
+      mode: result.mode,
+      returnedAmount: result.returnedAmount,
+      feeAmount: settlement ? toAmount(settlement.fee_amount) : 0,
+      billedFees
+    });
+
+    return {
+      returned_amount: result.returnedAmount,
+      performance_fee: settlement ? toAmount(settlement.fee_amount) : 0,
+      fee_settlement_id: settlement ? settlement.id : null,
+      subscription_management_fees: billedFees,
+      unfollowed_at: now
+    };
+  }
+
+  /**
+   * Whether the P&L of every copied order closed since the unfollow request is in the wallet.
+   * The consumer sets close_payout_applied:{order_id} when it pays a close out, then calls
+   * onFollowerOrderClosed, so a missing marker only delays the unfollow.
+   * @param {Object} follower - Follower account with unfollow_requested_at
+   * @returns {Promise<boolean>}
+   */
+  async closePayoutsApplied(follower) {
+    const closedOrders = await CopyFollowerOrder.findAll({
+      where: {
+        copy_follower_account_id: follower.id,
+        order_status: 'CLOSED',
+        updated_at: { [Op.gte]: follower.unfollow_requested_at }
+      },
+      attributes: ['order_id']
+    });
+    for (const order of closedOrders) {
+      if (!(await redisCluster.exists(`close_payout_applied:${String(order.order_id)}`))) {
+        logger.info('Unfollow waits for a close payout', {
+          copyFollowerAccountId: follower.id,
+          orderId: order.order_id
+        });
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Close a detached copied position at market (the follower manages it after unfollowing)
+   * @param {number} userId - Live user ID (owner)
+   * @param {number} copyFollowerAccountId
+   * @param {string} orderId
+   */
+  async closeDetachedOrder(userId, copyFollowerAccountId, orderId) {
+    const follower = await CopyFollowerAccount.findOne({
+      where: { id: copyFollowerAccountId, user_id: userId },
+      attributes: ['id']
+    });
+    if (!follower) {
+      throw new UnfollowError('Follower account not found', 404);
+    }
+    const order = await CopyFollowerOrder.findOne({
+      where: { order_id: orderId, copy_follower_account_id: follower.id }
+    });
+    if (!order) {
+      throw new UnfollowError('Order not found', 404);
+    }
+    if (order.copy_status !== 'detached') {
+      throw new UnfollowError('Only detached positions can be closed manually; copied positions follow the strategy', 409);
+    }
+    if (order.order_status !== 'OPEN') {
+      throw new UnfollowError('Order cannot be closed in current status');
+    }
+
+    const outcome = await copyTradingService.closeFollowerOrder(order, { order_id: order.master_order_id, close_price: null });
+    if (!outcome.success) {
+      throw new UnfollowError(`Failed to close order: ${outcome.error}`, 502);
+    }
+    const completion = await this.finalizeUnfollow(follower.id);
+    return { order_id: order.order_id, unfollow_completed: !!completion, ...(completion || {}) };
+  }
+
+  async cleanupRelationship(follower) {
+    try {
+      await copyTradingRedisService.cleanupCopyTradingRelationship(follower.strategy_provider_id, follower.id);
+    } catch (e) {
+      logger.warn('Failed to clean up copy trading relationship in Redis', {
+        copyFollowerAccountId: follower.id,
+        error: e.message
+      });
+    }
+  }
+}
+
+const copyTradingUnfollowService = new CopyTradingUnfollowService();
+copyTradingUnfollowService.UnfollowError = UnfollowError;
+copyTradingUnfollowService.UNFOLLOW_MODES = UNFOLLOW_MODES;
+
+module.exports = copyTradingUnfollowService;
@@ -126,13 +126,14 @@ class CatalogEligibilityCronService {
       const wasEligible = strategy.is_catalog_eligible;
       const isNowEligible = eligibilityResult.eligible;
 
-      // Update the database if eligibility status changed
-      if (wasEligible !== isNowEligible) {
-        await strategy.update({
-          is_catalog_eligible: isNowEligible,
-          catalog_eligibility_updated_at: new Date()
-        });
+      // Store the per-rule breakdown on every run so providers can see what to fix
+      await strategy.update({
+        is_catalog_eligible: isNowEligible,
+        catalog_eligibility_checks: eligibilityResult.checks || null,
+        catalog_eligibility_updated_at: new Date()
+      });
 
+      if (wasEligible !== isNowEligible) {
         logger.info('Strategy catalog eligibility status changed', {
           strategyId: strategy.id,
           strategyName: strategy.strategy_name,
@@ -0,0 +1,71 @@
+const cron = require('node-cron');
+const copyFeeBillingService = require('../copyFeeBilling.service');
+const logger = require('../logger.service');
+
+class CopyFeeBillingCronService {
+
+  /**
+   * Initialize and start the copy subscription/management fee billing cron job
+   * Runs daily; each run accrues management fees for the completed days and charges due months
+   */
+  static initializeCronJobs() {
+    const cronExpression = process.env.COPY_FEE_BILLING_CRON || '10 0 * * *';
+
+    logger.info('Initializing copy fee billing cron job', {
+      cronExpression,
+      timezone: 'UTC'
+    });
+
+    cron.schedule(cronExpression, async () => {
+      await this.runBilling();
+    }, {
+      scheduled: true,
+      timezone: 'UTC'
+    });
+
+    logger.info('Copy fee billing cron job scheduled successfully');
+  }
+
+  /**
+   * Run fee billing unless a run is already in progress
+   * @returns {Promise<Object|null>} Run summary, null when skipped
+   */
+  static async runBilling() {
+    if (this.isRunning) {
+      logger.warn('Copy fee billing already running, skipping');
+      return null;
+    }
+    this.isRunning = true;
+    const startTime = Date.now();
+    try {
+      const summary = await copyFeeBillingService.runBilling();
+      return { ...summary, duration_ms: Date.now() - startTime };
+    } catch (error) {
+      logger.error('Copy fee billing job failed', { error: error.message });
+      throw error;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Manually trigger a billing run (for admin use)
+   * @returns {Promise<Object>} Run result
+   */
+  static async manualTrigger() {
+    logger.info('Manual copy fee billing triggered');
+
+    const result = await this.runBilling();
+
+    return {
+      success: true,
+      message: result ? 'Manual copy fee billing completed' : 'Copy fee billing already running',
+      timestamp: new Date().toISOString(),
+      result
+    };
+  }
+}
+
+CopyFeeBillingCronService.isRunning = false;
+
+module.exports = CopyFeeBillingCronService;
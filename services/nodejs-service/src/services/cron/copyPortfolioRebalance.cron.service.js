@@ -0,0 +1,71 @@
+const cron = require('node-cron');
+const copyPortfolioService = require('../copyPortfolio.service');
+const logger = require('../logger.service');
+
+class CopyPortfolioRebalanceCronService {
+
+  /**
+   * Initialize and start the copy portfolio rebalance cron job
+   * Runs daily; each run rebalances the portfolios whose weekly or monthly rebalance is due
+   */
+  static initializeCronJobs() {
+    const cronExpression = process.env.COPY_PORTFOLIO_REBALANCE_CRON || '30 0 * * *';
+
+    logger.info('Initializing copy portfolio rebalance cron job', {
+      cronExpression,
+      timezone: 'UTC'
+    });
+
+    cron.schedule(cronExpression, async () => {
+      await this.runRebalance();
+    }, {
+      scheduled: true,
+      timezone: 'UTC'
+    });
+
+    logger.info('Copy portfolio rebalance cron job scheduled successfully');
+  }
+
+  /**
+   * Rebalance due portfolios unless a run is already in progress
+   * @returns {Promise<Object|null>} Run summary, null when skipped
+   */
+  static async runRebalance() {
+    if (this.isRunning) {
+      logger.warn('Copy portfolio rebalance already running, skipping');
+      return null;
+    }
+    this.isRunning = true;
+    const startTime = Date.now();
+    try {
+      const summary = await copyPortfolioService.rebalanceDuePortfolios();
+      return { ...summary, duration_ms: Date.now() - startTime };
+    } catch (error) {
+      logger.error('Copy portfolio rebalance job failed', { error: error.message });
+      throw error;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Manually trigger a rebalance run (for admin use)
+   * @returns {Promise<Object>} Run result
+   */
+  static async manualTrigger() {
+    logger.info('Manual copy portfolio rebalance triggered');
+
+    const result = await this.runRebalance();
+
+    return {
+      success: true,
+      message: result ? 'Manual copy portfolio rebalance completed' : 'Copy portfolio rebalance already running',
+      timestamp: new Date().toISOString(),
+      result
+    };
+  }
+}
+
+CopyPortfolioRebalanceCronService.isRunning = false;
+
+module.exports = CopyPortfolioRebalanceCronService;
@@ -0,0 +1,176 @@
+const cron = require('node-cron');
+const { Op } = require('sequelize');
+const LiveUserOrder = require('../../models/liveUserOrder.model');
+const DemoUserOrder = require('../../models/demoUserOrder.model');
+const { redisCluster } = require('../../../config/redis');
+const { invokeOrdersHandler } = require('../orders.internal.service');
+const logger = require('../logger.service');
+const { ServiceError } = require('../../utils/serviceError.util');
+
+const TIME_IN_FORCE = ['GTC', 'DAY', 'GTD'];
+const EXPIRED_CANCEL_MESSAGE = 'EXPIRED';
+const PENDING_STATUSES = ['PENDING', 'PENDING-QUEUED'];
+// Provider cancels complete asynchronously; do not re-send while one is in flight
+const EXPIRY_LOCK_TTL_SEC = 600;
+const SWEEP_BATCH_SIZE = 500;
+
+class PendingExpiryError extends ServiceError {}
+
+class PendingExpiryCronService {
+
+  /**
+   * Initialize and start the pending order expiry sweeper
+   * Runs every minute and cancels DAY/GTD pending orders whose expires_at has passed
+   */
+  static initializeCronJobs() {
+    const cronExpression = process.env.PENDING_EXPIRY_CRON || '* * * * *';
+
+    logger.info('Initializing pending order expiry cron job', {
+      cronExpression,
+      timezone: 'UTC'
+    });
+
+    cron.schedule(cronExpression, async () => {
+      if (this.isRunning) return;
+      this.isRunning = true;
+      try {
+        await this.sweepExpiredOrders();
+      } finally {
+        this.isRunning = false;
+      }
+    }, {
+      scheduled: true,
+      timezone: 'UTC'
+    });
+
+    logger.info('Pending order expiry cron job scheduled successfully');
+  }
+
+  /**
+   * End of the current server trading day. The day rolls over with the swap run
+   * (22:00 UTC by default, TRADING_DAY_END_UTC_HOUR to override).
+   * @param {Date} now
+   * @returns {Date}
+   */
+  static getTradingDayEnd(now = new Date()) {
+    const hour = parseInt(process.env.TRADING_DAY_END_UTC_HOUR || '22', 10);
+    const end = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), Number.isFinite(hour) ? hour : 22, 0, 0, 0));
+    if (end.getTime() <= now.getTime()) {
+      end.setUTCDate(end.getUTCDate() + 1);
+    }
+    return end;
+  }
+
+  /**
+   * Validate time-in-force input for a pending order and work out its expiry.
+   * GTC never expires, DAY expires at the end of the trading day, GTD at the given expires_at.
+   * @param {Object} params
+   * @param {string} [params.timeInForce='GTC']
+   * @param {string|number} [params.expiresAt] - ISO date or epoch ms, required for GTD
+   * @param {Date} [params.now]
+   * @returns {{ timeInForce: string, expiresAt: Date|null }}
+   */
+  static resolveExpiry({ timeInForce = null, expiresAt = null, now = new Date() } = {}) {
+    const tif = String(timeInForce || 'GTC').trim().toUpperCase();
+    if (!TIME_IN_FORCE.includes(tif)) {
+      throw new PendingExpiryError(`time_in_force must be one of: ${TIME_IN_FORCE.join(', ')}`);
+    }
+    if (tif === 'GTC') {
+      return { timeInForce: tif, expiresAt: null };
+    }
+    if (tif === 'DAY') {
+      return { timeInForce: tif, expiresAt: this.getTradingDayEnd(now) };
+    }
+
+    if (expiresAt === null || expiresAt === undefined || expiresAt === '') {
+      throw new PendingExpiryError('expires_at is required for GTD orders');
+    }
+    const asNumber = Number(expiresAt);
+    const date = Number.isFinite(asNumber) ? new Date(asNumber) : new Date(String(expiresAt));
+    if (Number.isNaN(date.getTime())) {
+      throw new PendingExpiryError('expires_at must be an ISO date or epoch milliseconds');
+    }
+    if (date.getTime() <= now.getTime()) {
+      throw new PendingExpiryError('expires_at must be in the future');
+    }
+    return { timeInForce: tif, expiresAt: date };
+  }
+
+  /**
+   * Cancel every expired pending order through the pending cancel endpoint flow
+   * (local finalize or provider cancel) with cancel_message EXPIRED.
+   */
+  static async sweepExpiredOrders() {
+    const startTime = Date.now();
+    let expiredCount = 0;
+    let errorCount = 0;
+
+    for (const [userType, OrderModel] of [['live', LiveUserOrder], ['demo', DemoUserOrder]]) {
+      let rows = [];
+      try {
+        rows = await OrderModel.findAll({
+          where: {
+            order_status: { [Op.in]: PENDING_STATUSES },
+            expires_at: { [Op.lte]: new Date() }
+          },
+          attributes: ['order_id', 'order_user_id', 'symbol', 'order_type', 'time_in_force', 'expires_at'],
+          order: [['expires_at', 'ASC']],
+          limit: SWEEP_BATCH_SIZE
+        });
+      } catch (error) {
+        logger.error('Failed to load expired pending orders', { userType, error: error.message });
+        continue;
+      }
+
+      for (const row of rows) {
+        const orderId = String(row.order_id);
+        try {
+          const locked = await redisCluster.set(`pending_expiry_lock:${orderId}`, '1', 'EX', EXPIRY_LOCK_TTL_SEC, 'NX');
+          if (!locked) continue;
+
+          const { statusCode, body } = await invokeOrdersHandler('cancelPendingOrder', {
+            order_id: orderId,
+            user_id: String(row.order_user_id),
+            user_type: userType,
+            symbol: String(row.symbol).toUpperCase(),
+            order_type: String(row.order_type).toUpperCase(),
+            cancel_message: EXPIRED_CANCEL_MESSAGE
+          }, 'pending_expiry');
+
+          if (statusCode >= 300) {
+            errorCount++;
+            logger.warn('Pending order expiry cancel rejected', { orderId, userType, statusCode, response: body });
+          } else {
+            expiredCount++;
+            logger.info('Pending order expired', {
+              orderId,
+              userType,
+              userId: row.order_user_id,
+              timeInForce: row.time_in_force,
+              expiresAt: row.expires_at,
+              orderStatus: body?.order_status
+            });
+          }
+        } catch (error) {
+          errorCount++;
+          logger.error('Failed to expire pending order', { orderId, userType, error: error.message });
+        }
+      }
+    }
+
+    if (expiredCount > 0 || errorCount > 0) {
+      logger.info('Pending order expiry sweep completed', {
+        expiredCount,
+        errorCount,
+        durationMs: Date.now() - startTime
+      });
+    }
+    return { expiredCount, errorCount };
+  }
+}
+
+PendingExpiryCronService.isRunning = false;
+PendingExpiryCronService.PendingExpiryError = PendingExpiryError;
+PendingExpiryCronService.EXPIRED_CANCEL_MESSAGE = EXPIRED_CANCEL_MESSAGE;
+
+module.exports = PendingExpiryCronService;
@@ -0,0 +1,71 @@
+const cron = require('node-cron');
+const performanceFeeService = require('../performanceFee.service');
+const logger = require('../logger.service');
+
+class PerformanceFeeCronService {
+
+  /**
+   * Initialize and start the performance fee settlement cron job
+   * Runs hourly; each run settles the periods that ended since the last one
+   */
+  static initializeCronJobs() {
+    const cronExpression = process.env.PERFORMANCE_FEE_CRON || '15 * * * *';
+
+    logger.info('Initializing performance fee settlement cron job', {
+      cronExpression,
+      timezone: 'UTC'
+    });
+
+    cron.schedule(cronExpression, async () => {
+      await this.runSettlement();
+    }, {
+      scheduled: true,
+      timezone: 'UTC'
+    });
+
+    logger.info('Performance fee settlement cron job scheduled successfully');
+  }
+
+  /**
+   * Settle due periods unless a run is already in progress
+   * @returns {Promise<Object|null>} Run summary, null when skipped
+   */
+  static async runSettlement() {
+    if (this.isRunning) {
+      logger.warn('Performance fee settlement already running, skipping');
+      return null;
+    }
+    this.isRunning = true;
+    const startTime = Date.now();
+    try {
+      const summary = await performanceFeeService.settleDuePeriods();
+      return { ...summary, duration_ms: Date.now() - startTime };
+    } catch (error) {
+      logger.error('Performance fee settlement job failed', { error: error.message });
+      throw error;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Manually trigger a settlement run (for admin use)
+   * @returns {Promise<Object>} Run result
+   */
+  static async manualTrigger() {
+    logger.info('Manual performance fee settlement triggered');
+
+    const result = await this.runSettlement();
+
+    return {
+      success: true,
+      message: result ? 'Manual performance fee settlement completed' : 'Performance fee settlement already running',
+      timestamp: new Date().toISOString(),
+      result
+    };
+  }
+}
+
+PerformanceFeeCronService.isRunning = false;
+
+module.exports = PerformanceFeeCronService;
@@ -0,0 +1,72 @@
+const cron = require('node-cron');
+const strategyProviderAnalyticsService = require('../strategyProviderAnalytics.service');
+const logger = require('../logger.service');
+
+class StrategyProviderSnapshotCronService {
+
+  /**
+   * Initialize and start the strategy provider daily snapshot cron job
+   * Runs once a day shortly before midnight UTC so each snapshot closes its calendar day
+   */
+  static initializeCronJobs() {
+    const cronExpression = process.env.PROVIDER_SNAPSHOT_CRON || '55 23 * * *';
+
+    logger.info('Initializing strategy provider snapshot cron job', {
+      cronExpression,
+      timezone: 'UTC'
+    });
+
+    cron.schedule(cronExpression, async () => {
+      await this.runSnapshots();
+    }, {
+      scheduled: true,
+      timezone: 'UTC'
+    });
+
+    logger.info('Strategy provider snapshot cron job scheduled successfully');
+  }
+
+  /**
+   * Take today's snapshots unless a run is already in progress
+   * @returns {Promise<Object|null>} Run summary, null when skipped
+   */
+  static async runSnapshots() {
+    if (this.isRunning) {
+      logger.warn('Strategy provider snapshot job already running, skipping');
+      return null;
+    }
+    this.isRunning = true;
+    const startTime = Date.now();
+    try {
+      const summary = await strategyProviderAnalyticsService.takeDailySnapshots();
+      return { ...summary, duration_ms: Date.now() - startTime };
+    } catch (error) {
+      logger.error('Strategy provider snapshot job failed', { error: error.message });
+      throw error;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Manually trigger a snapshot run (for admin use). Re-running on the same day refreshes
+   * that day's snapshots.
+   * @returns {Promise<Object>} Run result
+   */
+  static async manualTrigger() {
+    logger.info('Manual strategy provider snapshot triggered');
+
+    const result = await this.runSnapshots();
+
+    return {
+      success: true,
+      message: result ? 'Manual strategy provider snapshot completed' : 'Strategy provider snapshot already running',
+      timestamp: new Date().toISOString(),
+      result
+    };
+  }
+}
+
+StrategyProviderSnapshotCronService.isRunning = false;
+
+module.exports = StrategyProviderSnapshotCronService;
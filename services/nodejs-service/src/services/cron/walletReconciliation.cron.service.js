@@ -0,0 +1,71 @@
+const cron = require('node-cron');
+const walletReconciliationService = require('../walletReconciliation.service');
+const logger = require('../logger.service');
+
+class WalletReconciliationCronService {
+
+  /**
+   * Initialize and start the wallet-to-ledger reconciliation cron job
+   * Runs daily, off-peak; each run replays every account's ledger and stores the discrepancies found
+   */
+  static initializeCronJobs() {
+    const cronExpression = process.env.WALLET_RECONCILIATION_CRON || '30 2 * * *';
+
+    logger.info('Initializing wallet reconciliation cron job', {
+      cronExpression,
+      timezone: 'UTC'
+    });
+
+    cron.schedule(cronExpression, async () => {
+      await this.runReconciliation();
+    }, {
+      scheduled: true,
+      timezone: 'UTC'
+    });
+
+    logger.info('Wallet reconciliation cron job scheduled successfully');
+  }
+
+  /**
+   * Run the reconciliation unless a run is already in progress
+   * @returns {Promise<Object|null>} Run summary, null when skipped
+   */
+  static async runReconciliation() {
+    if (this.isRunning) {
+      logger.warn('Wallet reconciliation already running, skipping');
+      return null;
+    }
+    this.isRunning = true;
+    const startTime = Date.now();
+    try {
+      const summary = await walletReconciliationService.runReconciliation();
+      return { ...summary, duration_ms: Date.now() - startTime };
+    } catch (error) {
+      logger.error('Wallet reconciliation job failed', { error: error.message });
+      throw error;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Manually trigger a reconciliation run (for admin use)
+   * @returns {Promise<Object>} Run result
+   */
+  static async manualTrigger() {
+    logger.info('Manual wallet reconciliation triggered');
+
+    const result = await this.runReconciliation();
+
+    return {
+      success: true,
+      message: result ? 'Manual wallet reconciliation completed' : 'Wallet reconciliation already running',
+      timestamp: new Date().toISOString(),
+      result
+    };
+  }
+}
+
+WalletReconciliationCronService.isRunning = false;
+
+module.exports = WalletReconciliationCronService;
@@ -38,6 +38,210 @@ async function sendOTPEmail(email, otp, subject = 'Your Verification Code') {
   }
 }
 
+/**
+ * Sends a triggered price alert to the user's email address.
+ *
+ * @param {string} email The recipient's email address.
+ * @param {Object} alert The triggered alert (symbol, condition, triggered_price, ...).
+ * @returns {Promise<void>}
+ */
+async function sendPriceAlertEmail(email, alert) {
+  const subject = `Price alert: ${alert.symbol} ${describePriceAlert(alert)}`;
+  const mailOptions = {
+    from: process.env.EMAIL_FROM,
+    to: email,
+    subject,
+    html: `
+      <div style="font-family: Arial, sans-serif; color: #333;">
+        <h2>Price Alert Triggered</h2>
+        <p><strong>${alert.symbol}</strong> ${describePriceAlert(alert)}.</p>
+        <p style="font-size: 24px; font-weight: bold; color: #007bff;">${alert.price_field} ${alert.triggered_price}</p>
+        ${alert.note ? `<p>${escapeHTML(alert.note)}</p>` : ''}
+        <p style="font-size: 0.9em; color: #666;">Triggered at ${alert.triggered_at} (UTC).${alert.mode === 'repeating' ? ' This alert stays active and can trigger again after its cooldown.' : ''}</p>
+        <hr>
+        <p style="font-size: 0.9em; color: #666;">You can manage your alerts in the app.</p>
+      </div>
+    `,
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    logger.info(`Price alert email sent to ${email}`, { alertId: alert.id });
+  } catch (error) {
+    logger.error('Failed to send price alert email', { email, alertId: alert.id, error: error.message });
+    throw new Error('Could not send price alert email.');
+  }
+}
+
+/**
+ * Sends a margin level warning to the user's email address.
+ *
+ * @param {string} email The recipient's email address.
+ * @param {Object} warning Margin figures with the threshold that was crossed.
+ * @returns {Promise<void>}
+ */
+async function sendMarginWarningEmail(email, warning) {
+  const mailOptions = {
+    from: process.env.EMAIL_FROM,
+    to: email,
+    subject: `Margin warning: level ${warning.margin_level}% is below ${warning.threshold}%`,
+    html: `
+      <div style="font-family: Arial, sans-serif; color: #333;">
+        <h2>Margin Level Warning</h2>
+        <p>Your margin level is at <strong>${warning.margin_level}%</strong>, below the ${warning.threshold}% warning level.</p>
+        <table style="border-collapse: collapse;">
+          <tr><td style="padding: 4px 12px 4px 0;">Balance</td><td>${warning.balance} ${warning.currency}</td></tr>
+          <tr><td style="padding: 4px 12px 4px 0;">Equity</td><td>${warning.equity} ${warning.currency}</td></tr>
+          <tr><td style="padding: 4px 12px 4px 0;">Used margin</td><td>${warning.used_margin} ${warning.currency}</td></tr>
+          <tr><td style="padding: 4px 12px 4px 0;">Free margin</td><td>${warning.free_margin} ${warning.currency}</td></tr>
+        </table>
+        <p>If the margin level keeps falling, open positions will be closed automatically. Add funds or reduce your exposure to avoid a stop-out.</p>
+        <hr>
+        <p style="font-size: 0.9em; color: #666;">This is an automated risk notification.</p>
+      </div>
+    `,
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    logger.info(`Margin warning email sent to ${email}`, { threshold: warning.threshold });
+  } catch (error) {
+    logger.error('Failed to send margin warning email', { email, error: error.message });
+    throw new Error('Could not send margin warning email.');
+  }
+}
+
+/**
+ * Sends a stop-out notice listing the positions closed by the auto-cutoff.
+ *
+ * @param {string} email The recipient's email address.
+ * @param {Object} notice Closed positions and the account state after the stop-out.
+ * @returns {Promise<void>}
+ */
+async function sendStopOutEmail(email, notice) {
+  const rows = notice.orders.map((o) => `
+          <tr>
+            <td style="padding: 4px 12px 4px 0;">${o.order_id}</td>
+            <td style="padding: 4px 12px 4px 0;">${o.symbol}</td>
+            <td style="padding: 4px 12px 4px 0;">${o.order_type || ''}</td>
+            <td style="padding: 4px 12px 4px 0;">${o.order_quantity ?? ''}</td>
+            <td style="padding: 4px 12px 4px 0;">${o.close_price ?? ''}</td>
+            <td style="padding: 4px 0;">${o.net_profit ?? ''}</td>
+          </tr>`).join('');
+  const mailOptions = {
+    from: process.env.EMAIL_FROM,
+    to: email,
+    subject: `Stop-out: ${notice.closed_count} position${notice.closed_count === 1 ? '' : 's'} closed`,
+    html: `
+      <div style="font-family: Arial, sans-serif; color: #333;">
+        <h2>Positions Closed (Stop-Out)</h2>
+        <p>Your margin level fell below the stop-out level and the following positions were closed automatically:</p>
+        <table style="border-collapse: collapse;">
+          <tr><th align="left">Order</th><th align="left">Symbol</th><th align="left">Side</th><th align="left">Lots</th><th align="left">Close price</th><th align="left">P&amp;L</th></tr>
+          ${rows}
+        </table>
+        <p>Realized P&amp;L: <strong>${notice.realized_pnl} ${notice.currency}</strong>${notice.balance !== null ? ` &middot; Balance: <strong>${notice.balance} ${notice.currency}</strong>` : ''}</p>
+        <hr>
+        <p style="font-size: 0.9em; color: #666;">This is an automated risk notification.</p>
+      </div>
+    `,
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    logger.info(`Stop-out email sent to ${email}`, { closed_count: notice.closed_count });
+  } catch (error) {
+    logger.error('Failed to send stop-out email', { email, error: error.message });
+    throw new Error('Could not send stop-out email.');
+  }
+}
+
+/**
+ * Sends the notice that the copy trading risk guardian paused a follower account.
+ *
+ * @param {string} email The recipient's email address.
+ * @param {Object} breach The limit that was breached and the account state at that moment.
+ * @returns {Promise<void>}
+ */
+async function sendCopyRiskBreachEmail(email, breach) {
+  const limitText = breach.breach_type === 'drawdown'
+    ? `drawdown of ${breach.actual_value}% reached your ${breach.limit_value}% limit`
+    : `loss today of ${breach.actual_value} ${breach.currency} reached your ${breach.limit_value} ${breach.currency} daily limit`;
+  const mailOptions = {
+    from: process.env.EMAIL_FROM,
+    to: email,
+    subject: `Copy trading paused: ${breach.strategy_name || 'strategy'} ${breach.breach_type === 'drawdown' ? 'drawdown' : 'daily loss'} limit reached`,
+    html: `
+      <div style="font-family: Arial, sans-serif; color: #333;">
+        <h2>Copy Trading Paused</h2>
+        <p>Copying of <strong>${escapeHTML(breach.strategy_name || '')}</strong> was paused because your ${limitText}.</p>
+        <table style="border-collapse: collapse;">
+          <tr><td style="padding: 4px 12px 4px 0;">Balance</td><td>${breach.balance} ${breach.currency}</td></tr>
+          <tr><td style="padding: 4px 12px 4px 0;">Equity</td><td>${breach.equity} ${breach.currency}</td></tr>
+          <tr><td style="padding: 4px 12px 4px 0;">Open positions</td><td>${breach.open_positions}</td></tr>
+        </table>
+        <p>${breach.close_positions ? `${breach.positions_closed} copied position${breach.positions_closed === 1 ? ' was' : 's were'} closed.` : 'Your open copied positions were left open.'} No new trades will be copied until you resume copying.</p>
+        <hr>
+        <p style="font-size: 0.9em; color: #666;">This is an automated risk notification.</p>
+      </div>
+    `,
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    logger.info(`Copy risk breach email sent to ${email}`, { breach_type: breach.breach_type });
+  } catch (error) {
+    logger.error('Failed to send copy risk breach email', { email, error: error.message });
+    throw new Error('Could not send copy risk breach email.');
+  }
+}
+
+/**
+ * Sends the notice that a follower account was paused because a copy trading fee could not be collected.
+ *
+ * @param {string} email The recipient's email address.
+ * @param {Object} notice The unpaid charge and the reason the account was paused.
+ * @returns {Promise<void>}
+ */
+async function sendCopyFeeUnpaidEmail(email, notice) {
+  const feeLabel = notice.fee_type === 'management_fee' ? 'management fee' : 'subscription fee';
+  const mailOptions = {
+    from: process.env.EMAIL_FROM,
+    to: email,
+    subject: `Copy trading paused: ${notice.strategy_name || 'strategy'} ${feeLabel} unpaid`,
+    html: `
+      <div style="font-family: Arial, sans-serif; color: #333;">
+        <h2>Copy Trading Paused</h2>
+        <p>Copying of <strong>${escapeHTML(notice.strategy_name || '')}</strong> was paused because the ${feeLabel} of <strong>${notice.amount} USD</strong> for ${notice.period} could not be collected from the follower account's free funds.</p>
+        <p>Add funds to the follower account and resume copying; the unpaid fee is collected first. No new trades will be copied until then.</p>
+        <hr>
+        <p style="font-size: 0.9em; color: #666;">This is an automated copy trading notification.</p>
+      </div>
+    `,
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    logger.info(`Copy fee unpaid email sent to ${email}`, { fee_type: notice.fee_type, period: notice.period });
+  } catch (error) {
+    logger.error('Failed to send copy fee unpaid email', { email, error: error.message });
+    throw new Error('Could not send copy fee unpaid email.');
+  }
+}
+
+function describePriceAlert(alert) {
+  if (alert.condition === 'percent_move') {
+    const change = alert.change_percent !== undefined ? ` (${alert.change_percent}%)` : '';
+    const direction = alert.direction === 'up' ? 'up ' : alert.direction === 'down' ? 'down ' : '';
+    return `moved ${direction}${alert.percent}% in ${alert.window_minutes} min${change}`;
+  }
+  return `${alert.price_field} crossed ${alert.condition === 'crosses_above' ? 'above' : 'below'} ${alert.target_price}`;
+}
+
+function escapeHTML(text) {
+  return String(text).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
 function getEmailHTML(subject, otp) {
   if (subject.toLowerCase().includes('password reset')) {
     return `
@@ -100,4 +304,4 @@ function getEmailHTML(subject, otp) {
   `;
 }
 
-module.exports = { sendOTPEmail };
+module.exports = { sendOTPEmail, sendPriceAlertEmail, sendMarginWarningEmail, sendStopOutEmail, sendCopyRiskBreachEmail, sendCopyFeeUnpaidEmail };
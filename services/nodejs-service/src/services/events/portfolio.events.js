@@ -28,7 +28,8 @@ class PortfolioEventBus extends EventEmitter {
     this.emit(`user:${key}`, evt);
     // Publish cross-process via Redis Pub/Sub
     try {
-      const msg = JSON.stringify({ _src: INSTANCE_ID, type: 'user_update', ...evt });
+      // Keep the envelope type; the event's own type travels as event_type
+      const msg = JSON.stringify({ _src: INSTANCE_ID, ...evt, type: 'user_update', event_type: evt.type });
       // Channel name: portfolio_events
       redisCluster.publish('portfolio_events', msg).catch(() => {});
     } catch (e) {
@@ -154,9 +155,9 @@ class PortfolioEventBus extends EventEmitter {
           const data = JSON.parse(message);
           if (data && data._src && data._src === INSTANCE_ID) return; // ignore self
           if (!data || data.type !== 'user_update') return;
-          const { userType, userId, ...rest } = data;
+          const { userType, userId, event_type: eventType, ...rest } = data;
           const key = this.makeUserKey(userType, userId);
-          this.emit(`user:${key}`, { userType, userId, ...rest });
+          this.emit(`user:${key}`, { userType, userId, ...rest, type: eventType || rest.type });
         } catch (_) {}
       });
       redisCluster.subscribe('portfolio_events').then(() => {
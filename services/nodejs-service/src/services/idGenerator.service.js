@@ -245,6 +245,16 @@ class IdGeneratorService {
     return this.generatePrefixedId('REQ');
   }
 
+  // Internal transfer IDs: TRF1234567890123456 (Redis-independent)
+  generateTransferId() {
+    return this.generatePrefixedId('TRF');
+  }
+
+  // Balance adjustment approval IDs: ADJ1234567890123456 (Redis-independent)
+  generateAdjustmentApprovalId() {
+    return this.generatePrefixedId('ADJ');
+  }
+
   // Stop Loss IDs: SL1234567890123456 (Redis-independent)
   generateStopLossId() {
     return this.generatePrefixedId('SL');
@@ -315,6 +325,22 @@ class IdGeneratorService {
     return this.generatePrefixedId('MOD');
   }
 
+  /**
+   * Generate OCO Link ID shared by both legs of a one-cancels-other pair (Redis-independent)
+   * @returns {string} OCO Link ID (e.g., 'OCO1234567890123456')
+   */
+  generateOcoLinkId() {
+    return this.generatePrefixedId('OCO');
+  }
+
+  /**
+   * Generate Bracket ID for a pending entry carrying SL/TP (Redis-independent)
+   * @returns {string} Bracket ID (e.g., 'BRK1234567890123456')
+   */
+  generateBracketId() {
+    return this.generatePrefixedId('BRK');
+  }
+
   /**
    * Batch generate multiple IDs with the same prefix
    * @param {string} prefix - The prefix for the IDs
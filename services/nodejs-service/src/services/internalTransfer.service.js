@@ -0,0 +1,340 @@
+const { Op } = require('sequelize');
+const LiveUser = require('../models/liveUser.model');
+const StrategyProviderAccount = require('../models/strategyProviderAccount.model');
+const CopyFollowerAccount = require('../models/copyFollowerAccount.model');
+const UserTransaction = require('../models/userTransaction.model');
+const InternalTransfer = require('../models/internalTransfer.model');
+const TransactionService = require('./transaction.service');
+const copyPortfolioService = require('./copyPortfolio.service');
+const marginMonitorService = require('./marginMonitor.service');
+const redisSyncService = require('./redis.sync.service');
+const idGenerator = require('./idGenerator.service');
+const logger = require('./logger.service');
+const { toAmount, roundAmount } = require('../utils/number.util');
+const { ServiceError } = require('../utils/serviceError.util');
+
+const ACCOUNT_TYPES = ['live', 'strategy_provider', 'copy_follower'];
+const ACCOUNT_LABELS = { live: 'live account', strategy_provider: 'strategy provider account', copy_follower: 'copy follower account' };
+const LOCK_ORDER = ['live', 'copy_follower', 'strategy_provider'];
+const MIN_TRANSFER = 1;
+
+class InternalTransferError extends ServiceError {}
+
+function paginate(page, limit) {
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const pageSize = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+  return { pageNum, pageSize, offset: (pageNum - 1) * pageSize };
+}
+
+function parseEndpoint(userId, type, accountId, side) {
+  if (!ACCOUNT_TYPES.includes(type)) {
+    throw new InternalTransferError(`${side}_type must be one of: ${ACCOUNT_TYPES.join(', ')}`);
+  }
+  // The live wallet is the user itself
+  if (type === 'live') return { type, id: Number(userId) };
+  const id = parseInt(accountId, 10);
+  if (!id || id <= 0) {
+    throw new InternalTransferError(`${side}_account_id is required for ${ACCOUNT_LABELS[type]}s`);
+  }
+  return { type, id };
+}
+
+function formatTransfer(transfer) {
+  return {
+    transfer_id: transfer.transfer_id,
+    from: {
+      type: transfer.from_type,
+      account_id: transfer.from_account_id,
+      account_number: transfer.from_account_number,
+      transaction_id: transfer.from_transaction_id
+    },
+    to: {
+      type: transfer.to_type,
+      account_id: transfer.to_account_id,
+      account_number: transfer.to_account_number,
+      transaction_id: transfer.to_transaction_id
+    },
+    amount: toAmount(transfer.amount),
+    notes: transfer.notes,
+    created_at: transfer.created_at
+  };
+}
+
+class InternalTransferService {
+  /**
+   * Find one of the user's accounts
+   * @param {number} userId - Live user ID
+   * @param {{ type: string, id: number }} endpoint
+   * @param {Object} [options] - transaction, lock
+   * @returns {Promise<Object|null>}
+   */
+  async findOwnedAccount(userId, { type, id }, { transaction, lock } = {}) {
+    if (type === 'live') {
+      return LiveUser.findByPk(id, { transaction, lock });
+    }
+    const Model = type === 'strategy_provider' ? StrategyProviderAccount : CopyFollowerAccount;
+    return Model.findOne({ where: { id, user_id: userId }, transaction, lock });
+  }
+
+  /**
+   * Reasons an account cannot take part in a transfer, checked on both sides
+   */
+  assertCanTransfer(type, account) {
+    const label = ACCOUNT_LABELS[type];
+    if (Number(account.status) === 0 || Number(account.is_active) === 0) {
+      throw new InternalTransferError(`The ${label} is inactive`, 409);
+    }
+    if (type === 'copy_follower') {
+      if (account.copy_status === 'stopped') {
+        throw new InternalTransferError('The copy follower account has stopped copying', 409);
+      }
+      if (account.copy_portfolio_id) {
+        throw new InternalTransferError('The copy follower account belongs to a portfolio; use the portfolio invest and withdraw instead', 409);
+      }
+    }
+  }
+
+  /**
+   * Live balance, equity and funds free to leave an account. Open positions hold margin, so only
+   * the free margin can move. Falls back to the stored wallet when the account is not cached.
+   */
+  async getAvailableFunds(type, account) {
+    const figures = await marginMonitorService.computeMarginLevel(type, account.id).catch(() => null);
+    if (figures) {
+      return {
+        balance: toAmount(figures.balance),
+        equity: toAmount(figures.equity),
+        used_margin: toAmount(figures.used_margin),
+        available: Math.max(0, Math.min(toAmount(figures.balance), toAmount(figures.free_margin)))
+      };
+    }
+    const balance = toAmount(account.wallet_balance);
+    const usedMargin = toAmount(account.margin);
+    return {
+      balance,
+      equity: balance,
+      used_margin: usedMargin,
+      available: Math.max(0, balance - usedMargin)
+    };
+  }
+
+  /**
+   * Move an account's wallet by amount inside the transfer's transaction and write its ledger row
+   * @returns {Promise<{ transactionId: string, balance: number }>}
+   */
+  async postLeg(type, account, amount, { transaction, transferId, counterparty, equity, owner, notes }) {
+    const balanceBefore = toAmount(account.wallet_balance);
+    let updates;
+    if (type === 'copy_follower') {
+      // Transfers move invested capital, so they must not count as performance
+      updates = copyPortfolioService.fundingUpdates(account, amount, equity);
+    } else {
+      updates = { wallet_balance: Number((balanceBefore + amount).toFixed(6)) };
+    }
+
+    const row = await UserTransaction.create({
+      transaction_id: await idGenerator.generateTransactionId(),
+      user_id: account.id,
+      user_type: type,
+      type: 'transfer',
+      amount,
+      balance_before: balanceBefore,
+      balance_after: updates.wallet_balance,
+      status: 'completed',
+      reference_id: transferId,
+      user_email: owner.email,
+      notes,
+      metadata: {
+        transfer_id: transferId,
+        counterparty_type: counterparty.type,
+        counterparty_account_id: counterparty.id
+      }
+    }, { transaction });
+
+    await account.update(updates, { transaction });
+    if (type === 'copy_follower') {
+      await StrategyProviderAccount.increment({ total_investment: amount }, {
+        where: { id: account.strategy_provider_id },
+        transaction
+      });
+    }
+    return { transactionId: row.transaction_id, balance: updates.wallet_balance };
+  }
+
+  /**
+   * Move funds between two accounts owned by the same live user
+   * @param {number} userId - Live user ID
+   * @param {Object} data
+   * @param {string} data.from_type - live | strategy_provider | copy_follower
+   * @param {number} [data.from_account_id] - Not needed for the live account
+   * @param {string} data.to_type
+   * @param {number} [data.to_account_id]
+   * @param {number} data.amount
+   * @param {string} [data.notes]
+   * @returns {Promise<Object>} The transfer
+   */
+  async transfer(userId, data = {}) {
+    const from = parseEndpoint(userId, data.from_type, data.from_account_id, 'from');
+    const to = parseEndpoint(userId, data.to_type, data.to_account_id, 'to');
+    if (from.type === to.type && from.id === to.id) {
+      throw new InternalTransferError('Source and destination must be different accounts');
+    }
+    const amount = roundAmount(Number(data.amount));
+    if (!Number.isFinite(amount) || amount < MIN_TRANSFER) {
+      throw new InternalTransferError(`amount must be at least $${MIN_TRANSFER}`);
+    }
+    const notes = typeof data.notes === 'string' && data.notes.trim() ? data.notes.trim() : null;
+    if (notes && notes.length > 255) {
+      throw new InternalTransferError('notes must be at most 255 characters');
+    }
+
+    const source = await this.findOwnedAccount(userId, from);
+    if (!source) {
+      throw new InternalTransferError('Source account not found', 404);
+    }
+    const destination = await this.findOwnedAccount(userId, to);
+    if (!destination) {
+      throw new InternalTransferError('Destination account not found', 404);
+    }
+    this.assertCanTransfer(from.type, source);
+    this.assertCanTransfer(to.type, destination);
+
+    const funds = await this.getAvailableFunds(from.type, source);
+    if (amount > funds.available) {
+      throw new InternalTransferError(`Insufficient free funds. Required: $${amount}, Available: $${roundAmount(funds.available)}${funds.used_margin > 0 ? ' (open positions hold margin)' : ''}`);
+    }
+    const destinationFunds = to.type === 'copy_follower' ? await this.getAvailableFunds(to.type, destination) : null;
+
+    const transferId = idGenerator.generateTransferId();
+    const result = await TransactionService.executeWithUserLock(userId, async (transaction, owner) => {
+      // The live user is locked first; then follower rows before provider rows, like the fee settlements
+      const endpoints = [from, to].sort((a, b) =>
+        LOCK_ORDER.indexOf(a.type) - LOCK_ORDER.indexOf(b.type) || a.id - b.id);
+      const locked = new Map();
+      for (const endpoint of endpoints) {
+        const account = endpoint.type === 'live'
+          ? owner
+          : await this.findOwnedAccount(userId, endpoint, { transaction, lock: transaction.LOCK.UPDATE });
+        if (!account) {
+          throw new InternalTransferError(`${endpoint === from ? 'Source' : 'Destination'} account not found`, 404);
+        }
+        this.assertCanTransfer(endpoint.type, account);
+        locked.set(endpoint, account);
+      }
+
+      const lockedSource = locked.get(from);
+      const lockedDestination = locked.get(to);
+      // The wallet may have moved since the free funds were read, so check them again on the locked
+      // row; the floating P&L still comes from that read since prices cannot be locked
+      const lockedBalance = toAmount(lockedSource.wallet_balance);
+      const lockedMargin = Math.max(funds.used_margin, toAmount(lockedSource.margin));
+      const lockedAvailable = Math.max(0, Math.min(lockedBalance, lockedBalance + (funds.equity - funds.balance) - lockedMargin));
+      if (amount > lockedAvailable) {
+        throw new InternalTransferError(`The source account no longer has enough free funds (available: $${roundAmount(lockedAvailable)}); try again`, 409);
+      }
+
+      const debit = await this.postLeg(from.type, lockedSource, -amount, {
+        transaction,
+        transferId,
+        counterparty: to,
+        equity: funds.equity,
+        owner,
+        notes: `Transfer to ${ACCOUNT_LABELS[to.type]} ${lockedDestination.account_number || to.id}${notes ? `: ${notes}` : ''}`
+      });
+      const credit = await this.postLeg(to.type, lockedDestination, amount, {
+        transaction,
+        transferId,
+        counterparty: from,
+        equity: destinationFunds ? destinationFunds.equity : null,
+        owner,
+        notes: `Transfer from ${ACCOUNT_LABELS[from.type]} ${lockedSource.account_number || from.id}${notes ? `: ${notes}` : ''}`
+      });
+
+      const transfer = await InternalTransfer.create({
+        transfer_id: transferId,
+        user_id: userId,
+        from_type: from.type,
+        from_account_id: from.id,
+        from_account_number: lockedSource.account_number || null,
+        to_type: to.type,
+        to_account_id: to.id,
+        to_account_number: lockedDestination.account_number || null,
+        amount,
+        from_transaction_id: debit.transactionId,
+        to_transaction_id: credit.transactionId,
+        notes
+      }, { transaction });
+
+      return {
+        transfer,
+        balances: [
+          { userType: from.type, userId: from.id, balance: debit.balance, transactionId: debit.transactionId },
+          { userType: to.type, userId: to.id, balance: credit.balance, transactionId: credit.transactionId }
+        ]
+      };
+    }, { userModel: LiveUser });
+
+    for (const { userType, userId: accountId, balance, transactionId } of result.balances) {
+      await redisSyncService.syncUserAfterBalanceChange(accountId, userType, {
+        wallet_balance: balance
+      }, {
+        operation_type: 'internal_transfer',
+        transfer_id: transferId,
+        transaction_id: transactionId
+      });
+    }
+
+    logger.info('Internal transfer completed', {
+      userId,
+      transferId,
+      from,
+      to,
+      amount
+    });
+
+    return {
+      ...formatTransfer(result.transfer),
+      balances: result.balances.map(b => ({ type: b.userType, account_id: b.userId, wallet_balance: b.balance }))
+    };
+  }
+
+  /**
+   * Transfer history of a user, newest first
+   * @param {number} userId - Live user ID
+   * @param {Object} [query] - account_type and account_id to narrow to one account, page, limit
+   */
+  async listTransfers(userId, query = {}) {
+    const where = { user_id: userId };
+    if (query.account_type !== undefined) {
+      const account = parseEndpoint(userId, query.account_type, query.account_id, 'account');
+      where[Op.or] = [
+        { from_type: account.type, from_account_id: account.id },
+        { to_type: account.type, to_account_id: account.id }
+      ];
+    }
+
+    const { pageNum, pageSize, offset } = paginate(query.page, query.limit);
+    const { count, rows } = await InternalTransfer.findAndCountAll({
+      where,
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      limit: pageSize,
+      offset
+    });
+
+    return {
+      transfers: rows.map(formatTransfer),
+      pagination: {
+        total: count,
+        page: pageNum,
+        limit: pageSize,
+        total_pages: Math.ceil(count / pageSize)
+      }
+    };
+  }
+}
+
+const internalTransferService = new InternalTransferService();
+internalTransferService.InternalTransferError = InternalTransferError;
+internalTransferService.ACCOUNT_TYPES = ACCOUNT_TYPES;
+
+module.exports = internalTransferService;
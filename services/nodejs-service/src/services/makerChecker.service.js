@@ -0,0 +1,288 @@
+const { Admin, Role, LiveUser, DemoUser } = require('../models');
+const BalanceAdjustmentApproval = require('../models/balanceAdjustmentApproval.model');
+const permissionService = require('./permission.service');
+const superadminTransactionService = require('./superadmin.transaction.service');
+const idGenerator = require('./idGenerator.service');
+const logger = require('./logger.service');
+const { toAmount } = require('../utils/number.util');
+const { ServiceError } = require('../utils/serviceError.util');
+
+const SECOND_APPROVAL_PERMISSION = 'money_request:second_approve';
+const DEFAULT_THRESHOLD = 10000;
+const ADJUSTMENT_STATUSES = ['pending', 'processing', 'approved', 'rejected'];
+
+class MakerCheckerError extends ServiceError {}
+
+function readThreshold(envName) {
+  const raw = process.env[envName];
+  const value = Number(raw);
+  return raw && Number.isFinite(value) && value >= 0 ? value : DEFAULT_THRESHOLD;
+}
+
+function getUserModel(userType) {
+  return userType === 'live' ? LiveUser : DemoUser;
+}
+
+class MakerCheckerService {
+  /**
+   * Amounts above which a second approver is required
+   * - withdrawal: money request withdrawals (MAKER_CHECKER_WITHDRAWAL_THRESHOLD)
+   * - adjustment: superadmin deposits and withdrawals (MAKER_CHECKER_ADJUSTMENT_THRESHOLD)
+   * @returns {{ withdrawal: number, adjustment: number }}
+   */
+  getThresholds() {
+    return {
+      withdrawal: readThreshold('MAKER_CHECKER_WITHDRAWAL_THRESHOLD'),
+      adjustment: readThreshold('MAKER_CHECKER_ADJUSTMENT_THRESHOLD')
+    };
+  }
+
+  /**
+   * @param {'withdrawal'|'adjustment'} kind
+   * @param {number|string} amount
+   * @returns {boolean}
+   */
+  requiresSecondApproval(kind, amount) {
+    return toAmount(amount) > this.getThresholds()[kind];
+  }
+
+  /**
+   * Check that an admin may review maker-checker items for a user: superadmins always can,
+   * other roles need SECOND_APPROVAL_PERMISSION and the user's country
+   * @param {number} adminId
+   * @param {{ userType: string, userId: number }} user
+   * @returns {Promise<Object>} The reviewing admin
+   */
+  async assertCanReview(adminId, { userType, userId }) {
+    const admin = adminId
+      ? await Admin.findByPk(adminId, { include: [{ model: Role, as: 'role', attributes: ['name'] }] })
+      : null;
+    if (!admin || !admin.is_active) {
+      throw new MakerCheckerError('Reviewing admin not found or inactive', 403);
+    }
+    if (admin.role?.name === 'superadmin') return admin;
+
+    const permissions = await permissionService.getPermissionsForAdmin(admin.id);
+    if (!permissions.includes(SECOND_APPROVAL_PERMISSION)) {
+      throw new MakerCheckerError(`Insufficient permissions. Required: ${SECOND_APPROVAL_PERMISSION}`, 403);
+    }
+
+    const user = await getUserModel(userType).findByPk(userId, { attributes: ['id', 'country_id'] });
+    if (!user || !admin.country_id || Number(user.country_id) !== Number(admin.country_id)) {
+      throw new MakerCheckerError('This user is outside your country scope', 403);
+    }
+
+    return admin;
+  }
+
+  /**
+   * The second approval must come from a different admin who may review the user
+   * @param {number} adminId - Admin giving the second approval
+   * @param {number} firstApproverId - Admin who made or first approved the request
+   * @param {{ userType: string, userId: number }} user
+   * @returns {Promise<Object>} The second approver
+   */
+  async assertSecondApprover(adminId, firstApproverId, user) {
+    if (adminId && String(adminId) === String(firstApproverId)) {
+      throw new MakerCheckerError('The second approval must come from a different admin', 403);
+    }
+    return this.assertCanReview(adminId, user);
+  }
+
+  /**
+   * Queue a superadmin deposit or withdrawal above the adjustment threshold for a second approver
+   * @param {Object} params
+   * @param {number} params.userId
+   * @param {string} params.userType - 'live' or 'demo'
+   * @param {string} params.type - 'deposit' or 'withdraw'
+   * @param {number} params.amount
+   * @param {number} params.adminId - Requesting admin (maker)
+   * @param {string} [params.notes]
+   * @param {string} [params.referenceId]
+   * @param {string} [params.methodType]
+   * @returns {Promise<Object>} The pending approval
+   */
+  async requestAdjustment({ userId, userType, type, amount, adminId, notes = null, referenceId = null, methodType = null }) {
+    const user = await getUserModel(userType).findByPk(userId, {
+      attributes: ['id', 'country_id', 'wallet_balance', 'is_active']
+    });
+    if (!user) {
+      throw new MakerCheckerError(`${userType} user not found with ID: ${userId}`, 404);
+    }
+    if (!user.is_active) {
+      throw new MakerCheckerError(`Cannot process ${type === 'deposit' ? 'deposit' : 'withdrawal'} for inactive user`);
+    }
+    // Checked again when the adjustment is executed; this only refuses hopeless requests early
+    if (type === 'withdraw' && toAmount(user.wallet_balance) < amount) {
+      throw new MakerCheckerError(`Insufficient balance. Available: ${toAmount(user.wallet_balance)}, Requested: ${amount}`);
+    }
+
+    const approval = await BalanceAdjustmentApproval.create({
+      approval_id: idGenerator.generateAdjustmentApprovalId(),
+      user_id: userId,
+      user_type: userType,
+      country_id: user.country_id ?? null,
+      type,
+      amount,
+      method_type: methodType,
+      reference_id: referenceId,
+      notes,
+      status: 'pending',
+      requested_by: adminId
+    });
+
+    logger.info('Balance adjustment queued for second approval', {
+      approvalId: approval.approval_id,
+      userId,
+      userType,
+      type,
+      amount,
+      requestedBy: adminId
+    });
+
+    return approval;
+  }
+
+  /**
+   * List balance adjustment approvals, oldest first
+   * @param {Object} filters
+   * @param {string} [filters.status='pending']
+   * @param {number} [filters.countryId] - Restrict to users of one country (country-scoped checkers)
+   * @param {number} [filters.limit=50]
+   * @param {number} [filters.offset=0]
+   */
+  async listAdjustments({ status = 'pending', countryId = null, limit = 50, offset = 0 } = {}) {
+    if (!ADJUSTMENT_STATUSES.includes(status)) {
+      throw new MakerCheckerError(`status must be one of: ${ADJUSTMENT_STATUSES.join(', ')}`);
+    }
+    const pageSize = Math.min(200, Math.max(1, parseInt(limit, 10) || 50));
+    const skip = Math.max(0, parseInt(offset, 10) || 0);
+
+    const where = { status };
+    if (countryId) where.country_id = countryId;
+
+    const { count, rows } = await BalanceAdjustmentApproval.findAndCountAll({
+      where,
+      order: [['created_at', 'ASC']],
+      limit: pageSize,
+      offset: skip
+    });
+
+    return {
+      approvals: rows,
+      total: count,
+      limit: pageSize,
+      offset: skip,
+      hasMore: skip + pageSize < count
+    };
+  }
+
+  /**
+   * Second approval of a queued adjustment: posts it through the superadmin transaction service
+   * @param {string} approvalId
+   * @param {number} adminId - Checker
+   * @param {string} [notes]
+   * @returns {Promise<Object>} { approval, transaction, user }
+   */
+  async approveAdjustment(approvalId, adminId, notes = null) {
+    const approval = await BalanceAdjustmentApproval.findOne({ where: { approval_id: approvalId } });
+    if (!approval) {
+      throw new MakerCheckerError('Adjustment approval not found', 404);
+    }
+    if (approval.status !== 'pending') {
+      throw new MakerCheckerError(`Adjustment cannot be approved from status: ${approval.status}`, 409);
+    }
+    await this.assertSecondApprover(adminId, approval.requested_by, {
+      userType: approval.user_type,
+      userId: approval.user_id
+    });
+
+    // Claim the row so two checkers cannot post the same adjustment twice
+    const [claimed] = await BalanceAdjustmentApproval.update(
+      { status: 'processing', reviewed_by: adminId },
+      { where: { id: approval.id, status: 'pending' } }
+    );
+    if (!claimed) {
+      throw new MakerCheckerError('Adjustment is already being reviewed', 409);
+    }
+
+    let result;
+    try {
+      const params = {
+        userId: approval.user_id,
+        userType: approval.user_type,
+        amount: toAmount(approval.amount),
+        adminId,
+        notes: approval.notes,
+        referenceId: approval.reference_id,
+        methodType: approval.method_type || 'OTHER',
+        approval: {
+          approval_id: approval.approval_id,
+          requested_by: approval.requested_by,
+          approved_by: adminId
+        }
+      };
+      result = approval.type === 'deposit'
+        ? await superadminTransactionService.processDeposit(params)
+        : await superadminTransactionService.processWithdrawal(params);
+    } catch (error) {
+      // Nothing was posted: hand the adjustment back to the queue
+      await BalanceAdjustmentApproval.update(
+        { status: 'pending', reviewed_by: null },
+        { where: { id: approval.id, status: 'processing' } }
+      );
+      throw error;
+    }
+
+    await approval.update({
+      status: 'approved',
+      reviewed_by: adminId,
+      reviewed_at: new Date(),
+      review_notes: notes,
+      transaction_id: result.transaction.transaction_id
+    });
+
+    logger.info('Balance adjustment approved', {
+      approvalId,
+      requestedBy: approval.requested_by,
+      approvedBy: adminId,
+      transactionId: result.transaction.transaction_id
+    });
+
+    return { approval, transaction: result.transaction, user: result.user };
+  }
+
+  /**
+   * Reject a queued adjustment. The maker may withdraw their own request.
+   * @param {string} approvalId
+   * @param {number} adminId
+   * @param {string} [notes]
+   * @returns {Promise<Object>} The rejected approval
+   */
+  async rejectAdjustment(approvalId, adminId, notes = null) {
+    const approval = await BalanceAdjustmentApproval.findOne({ where: { approval_id: approvalId } });
+    if (!approval) {
+      throw new MakerCheckerError('Adjustment approval not found', 404);
+    }
+    if (String(adminId) !== String(approval.requested_by)) {
+      await this.assertCanReview(adminId, { userType: approval.user_type, userId: approval.user_id });
+    }
+
+    const [rejected] = await BalanceAdjustmentApproval.update(
+      { status: 'rejected', reviewed_by: adminId, reviewed_at: new Date(), review_notes: notes },
+      { where: { id: approval.id, status: 'pending' } }
+    );
+    if (!rejected) {
+      await approval.reload();
+      throw new MakerCheckerError(`Adjustment cannot be rejected from status: ${approval.status}`, 409);
+    }
+
+    return approval.reload();
+  }
+}
+
+const makerCheckerService = new MakerCheckerService();
+makerCheckerService.MakerCheckerError = MakerCheckerError;
+makerCheckerService.SECOND_APPROVAL_PERMISSION = SECOND_APPROVAL_PERMISSION;
+
+module.exports = makerCheckerService;
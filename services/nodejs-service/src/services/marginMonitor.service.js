@@ -0,0 +1,258 @@
+const logger = require('./logger.service');
+const { redisCluster } = require('../../config/redis');
+const redisUserCache = require('./redis.user.cache.service');
+const portfolioEvents = require('./events/portfolio.events');
+const { computeFloatingPnl } = require('./order.preview.service');
+const { sendMarginWarningEmail, sendStopOutEmail } = require('./email.service');
+const { toNumber, round } = require('../utils/number.util');
+
+const USER_TYPES = ['live', 'demo'];
+const MARKET_CHANNEL = 'market_price_updates';
+// Close messages the execution engine writes when the auto-cutoff liquidates a position
+// ("Autocutoff" on the local path, "Auto-cutoff" on the provider path), compared letters only
+const STOP_OUT_CLOSE_MESSAGES = ['autocutoff'];
+const CHECK_INTERVAL_MS = parseInt(process.env.MARGIN_CHECK_INTERVAL_MS || '5000', 10) || 5000;
+const WARNING_COOLDOWN_SEC = parseInt(process.env.MARGIN_WARNING_COOLDOWN_SEC || '900', 10) || 900;
+// A liquidation closes several positions in a row; they are reported in one notice
+const STOP_OUT_BATCH_MS = 15000;
+
+/**
+ * Warning thresholds in percent, highest first. MARGIN_WARNING_LEVELS="100,70" by default.
+ */
+function parseWarningLevels(raw = process.env.MARGIN_WARNING_LEVELS || '100,70') {
+  const levels = String(raw)
+    .split(',')
+    .map((v) => toNumber(v.trim()))
+    .filter((v) => v > 0);
+  return [...new Set(levels)].sort((a, b) => b - a);
+}
+
+/**
+ * Margin level warnings and stop-out notices for live and demo users.
+ *
+ * Margin level = equity / used margin * 100, where equity is the cached wallet balance plus the
+ * floating P&L of the open holdings at the current bid (BUY) / ask (SELL), converted to USD.
+ * Market updates mark the holders of a symbol (symbol_holders:{symbol}:{type}) for a check; the
+ * checks run every MARGIN_CHECK_INTERVAL_MS so a busy symbol costs one pass per interval.
+ *
+ * Falling below a threshold sends one warning for the lowest threshold crossed. Each threshold
+ * is rate-limited per user through margin_warning_sent:{type:id}:{level} (NX + TTL), which also
+ * keeps instances from sending the same warning twice.
+ */
+class MarginMonitorService {
+  constructor() {
+    this.started = false;
+    this.levels = parseWarningLevels();
+    this.dirtySymbols = new Set();
+    this.checkTimer = null;
+    this.checking = false;
+    this.pendingStopOuts = new Map(); // user key -> { timer, orders }
+  }
+
+  warningSentKey(userType, userId, level) {
+    return `margin_warning_sent:{${userType}:${userId}}:${level}`;
+  }
+
+  async loadOpenHoldings(userType, userId) {
+    const tag = `${userType}:${userId}`;
+    const ids = await redisCluster.smembers(`user_orders_index:{${tag}}`);
+    if (!ids || ids.length === 0) return [];
+    const pipe = redisCluster.pipeline();
+    ids.forEach((id) => pipe.hgetall(`user_holdings:{${tag}}:${id}`));
+    const results = await pipe.exec();
+    const holdings = [];
+    results.forEach(([err, h], i) => {
+      if (err || !h || Object.keys(h).length === 0) return;
+      if (String(h.order_status || '').toUpperCase() !== 'OPEN') return;
+      holdings.push({
+        order_id: String(h.order_id || ids[i]),
+        symbol: String(h.symbol || '').toUpperCase(),
+        order_type: String(h.order_type || '').toUpperCase(),
+        order_price: toNumber(h.order_price),
+        order_quantity: toNumber(h.order_quantity),
+        margin: toNumber(h.margin),
+      });
+    });
+    return holdings;
+  }
+
+  /**
+   * Current margin figures for a user, or null when the user is not cached.
+   * margin_level is null while nothing is using margin.
+   */
+  async computeMarginLevel(userType, userId) {
+    const user = await redisUserCache.getUser(userType, userId);
+    if (!user) return null;
+    const group = user.group || 'Standard';
+    const holdings = await this.loadOpenHoldings(userType, userId);
+
+    const holdingsMargin = holdings.reduce((sum, h) => (h.margin > 0 ? sum + h.margin : sum), 0);
+    const floating = await computeFloatingPnl(group, holdings, (h, e) => {
+      logger.warn('Margin monitor: could not price holding', { userType, userId: String(userId), order_id: h.order_id, error: e.message });
+    });
+
+    const balance = toNumber(user.wallet_balance) || 0;
+    // Holdings carry the margin the engine reserved per position; the cached total is the fallback
+    const usedMargin = holdingsMargin > 0 ? holdingsMargin : (toNumber(user.margin) || 0);
+    const equity = balance + floating;
+    return {
+      balance: round(balance),
+      equity: round(equity),
+      floating_pnl: round(floating),
+      net_profit: round(toNumber(user.net_profit)),
+      used_margin: round(usedMargin),
+      free_margin: round(equity - usedMargin),
+      margin_level: usedMargin > 0 ? round((equity / usedMargin) * 100) : null,
+      open_positions: holdings.length,
+      currency: 'USD',
+      email: user.email || null,
+    };
+  }
+
+  /**
+   * Check one user and send a warning when the margin level is below a threshold.
+   * @returns {Promise<Object|null>} The warning sent, if any
+   */
+  async checkUser(userType, userId) {
+    const figures = await this.computeMarginLevel(userType, userId);
+    if (!figures || figures.margin_level === null) return null;
+    const crossed = this.levels.filter((level) => figures.margin_level < level);
+    if (crossed.length === 0) return null;
+
+    const threshold = crossed[crossed.length - 1];
+    const sent = await redisCluster.set(this.warningSentKey(userType, userId, threshold), '1', 'EX', WARNING_COOLDOWN_SEC, 'NX');
+    if (!sent) return null;
+    // Recovering above a lower threshold should not re-announce the higher ones right away
+    for (const level of crossed.slice(0, -1)) {
+      await redisCluster.set(this.warningSentKey(userType, userId, level), '1', 'EX', WARNING_COOLDOWN_SEC);
+    }
+
+    const { email, ...data } = figures;
+    const warning = { ...data, threshold, at: new Date().toISOString() };
+    portfolioEvents.emitUserUpdate(userType, userId, { type: 'margin_warning', data: warning });
+    logger.warn('Margin level warning sent', { userType, userId: String(userId), threshold, margin_level: warning.margin_level });
+    if (email) {
+      sendMarginWarningEmail(email, warning).catch((e) => {
+        logger.warn('Margin monitor: warning email failed', { userType, userId: String(userId), error: e.message });
+      });
+    }
+    return warning;
+  }
+
+  isStopOut(closeMessage) {
+    return STOP_OUT_CLOSE_MESSAGES.includes(String(closeMessage || '').toLowerCase().replace(/[^a-z]/g, ''));
+  }
+
+  /**
+   * Queue a stop-out notice for a position closed by the auto-cutoff. Closes for the same user
+   * within STOP_OUT_BATCH_MS go out together.
+   */
+  notifyStopOut({ userType, userId, order }) {
+    if (!USER_TYPES.includes(String(userType))) return;
+    const key = `${userType}:${userId}`;
+    let pending = this.pendingStopOuts.get(key);
+    if (!pending) {
+      pending = { orders: [] };
+      pending.timer = setTimeout(() => {
+        this.pendingStopOuts.delete(key);
+        this.flushStopOut(userType, userId, pending.orders).catch((e) => {
+          logger.error('Margin monitor: stop-out notice failed', { userType, userId: String(userId), error: e.message });
+        });
+      }, STOP_OUT_BATCH_MS);
+      this.pendingStopOuts.set(key, pending);
+    }
+    pending.orders.push({
+      order_id: String(order.order_id),
+      symbol: String(order.symbol || '').toUpperCase(),
+      order_type: order.order_type || null,
+      order_quantity: round(toNumber(order.order_quantity), 4),
+      order_price: round(toNumber(order.order_price), 8),
+      close_price: round(toNumber(order.close_price), 8),
+      net_profit: round(toNumber(order.net_profit)),
+      close_message: order.close_message || null,
+    });
+  }
+
+  async flushStopOut(userType, userId, orders) {
+    if (orders.length === 0) return;
+    const figures = await this.computeMarginLevel(userType, userId).catch(() => null);
+    const email = figures ? figures.email : null;
+    const notice = {
+      orders,
+      closed_count: orders.length,
+      realized_pnl: round(orders.reduce((sum, o) => sum + (Number.isFinite(o.net_profit) ? o.net_profit : 0), 0)),
+      balance: figures ? figures.balance : null,
+      equity: figures ? figures.equity : null,
+      margin_level: figures ? figures.margin_level : null,
+      currency: 'USD',
+      at: new Date().toISOString(),
+    };
+    portfolioEvents.emitUserUpdate(userType, userId, { type: 'stop_out', data: notice });
+    logger.warn('Stop-out notice sent', { userType, userId: String(userId), closed_count: notice.closed_count, realized_pnl: notice.realized_pnl });
+    if (email) {
+      await sendStopOutEmail(email, notice);
+    }
+  }
+
+  /**
+   * Start watching market updates. Only users holding a symbol that moved are checked.
+   */
+  async start() {
+    if (this.started) return;
+    this.started = true;
+    if (this.levels.length === 0) {
+      logger.warn('Margin monitor: no warning levels configured, margin warnings are disabled');
+    } else {
+      redisCluster.on('message', (channel, message) => {
+        if (channel !== MARKET_CHANNEL) return;
+        const symbol = String(message || '').toUpperCase();
+        if (symbol) this.dirtySymbols.add(symbol);
+      });
+      await redisCluster.subscribe(MARKET_CHANNEL);
+      this.checkTimer = setInterval(() => {
+        this.runChecks().catch((e) => logger.warn('Margin monitor: check pass failed', { error: e.message }));
+      }, CHECK_INTERVAL_MS);
+    }
+    logger.info('Margin monitor started', { levels: this.levels, intervalMs: CHECK_INTERVAL_MS });
+  }
+
+  stop() {
+    if (this.checkTimer) {
+      clearInterval(this.checkTimer);
+      this.checkTimer = null;
+    }
+    this.started = false;
+  }
+
+  async runChecks() {
+    if (this.checking || this.dirtySymbols.size === 0) return;
+    this.checking = true;
+    try {
+      const symbols = [...this.dirtySymbols];
+      this.dirtySymbols.clear();
+      const users = new Set();
+      for (const symbol of symbols) {
+        for (const userType of USER_TYPES) {
+          const holders = await redisCluster.smembers(`symbol_holders:${symbol}:${userType}`);
+          (holders || []).forEach((tag) => users.add(String(tag)));
+        }
+      }
+      for (const tag of users) {
+        const [userType, userId] = tag.split(':');
+        if (!USER_TYPES.includes(userType) || !userId) continue;
+        try {
+          await this.checkUser(userType, userId);
+        } catch (e) {
+          logger.warn('Margin monitor: user check failed', { userType, userId, error: e.message });
+        }
+      }
+    } finally {
+      this.checking = false;
+    }
+  }
+}
+
+const marginMonitorService = new MarginMonitorService();
+marginMonitorService.parseWarningLevels = parseWarningLevels;
+
+module.exports = marginMonitorService;
@@ -3,6 +3,7 @@ const LiveUser = require('../models/liveUser.model');
 const Admin = require('../models/admin.model');
 const idGeneratorService = require('./idGenerator.service');
 const walletService = require('./wallet.service');
+const makerCheckerService = require('./makerChecker.service');
 const logger = require('../utils/logger');
 const { Op } = require('sequelize');
 const sequelize = require('../config/db');
@@ -97,6 +98,12 @@ class MoneyRequestService {
             as: 'admin',
             attributes: ['id', 'username', 'email'],
             required: false
+          },
+          {
+            model: Admin,
+            as: 'firstApprover',
+            attributes: ['id', 'username', 'email'],
+            required: false
           }
         ]
       });
@@ -151,13 +158,15 @@ class MoneyRequestService {
    * Get pending requests for admin review
    * @param {Object} filters - Filter options
    * @param {string} filters.type - 'deposit' or 'withdraw'
+   * @param {string} [filters.status] - 'pending' (default), 'on_hold' or 'pending_second_approval'
+   * @param {number} [filters.countryId] - Only users of this country (country-scoped admins)
    * @param {number} filters.limit - Limit results
    * @param {number} filters.offset - Offset for pagination
    * @returns {Promise<Object>} Pending requests with pagination
    */
   async getPendingRequests(filters = {}) {
     try {
-      const { type, status = 'pending', limit = 50, offset = 0 } = filters;
+      const { type, status = 'pending', countryId = null, limit = 50, offset = 0 } = filters;
       
       const whereClause = { status };
       if (type) {
@@ -170,7 +179,14 @@ class MoneyRequestService {
           {
             model: LiveUser,
             as: 'user',
-            attributes: ['id', 'name', 'email', 'account_number']
+            attributes: ['id', 'name', 'email', 'account_number'],
+            ...(countryId ? { where: { country_id: countryId }, required: true } : {})
+          },
+          {
+            model: Admin,
+            as: 'firstApprover',
+            attributes: ['id', 'username'],
+            required: false
           }
         ],
         order: [['created_at', 'ASC']], // Oldest first for FIFO processing
@@ -228,7 +244,9 @@ class MoneyRequestService {
   }
 
   /**
-   * Approve a money request and create transaction
+   * Approve a money request and create transaction.
+   * Withdrawals above the maker-checker threshold only move to 'pending_second_approval' on the
+   * first approval; the transaction is created when a different admin approves them again.
    * @param {number} requestId - Request ID
    * @param {number} adminId - Admin ID approving the request
    * @param {string} notes - Admin notes
@@ -241,24 +259,27 @@ class MoneyRequestService {
     try {
       logger.info(`[${operationId}] Approving request ${requestId} by admin ${adminId}`);
 
-      // Get the request with user information
-      const request = await MoneyRequest.findByPk(requestId, { 
-        transaction,
-        include: [
-          {
-            model: LiveUser,
-            as: 'user',
-            attributes: ['id', 'name', 'email', 'account_number']
-          }
-        ]
-      });
+      // Lock the request so two admins cannot approve it at the same time
+      const request = await MoneyRequest.findByPk(requestId, { transaction, lock: transaction.LOCK.UPDATE });
       if (!request) {
         throw new Error('Money request not found');
       }
 
-      if (!['pending', 'on_hold'].includes(request.status)) {
+      const isSecondApproval = request.status === 'pending_second_approval';
+      if (!isSecondApproval && !['pending', 'on_hold'].includes(request.status)) {
         throw new Error(`Request cannot be approved from status: ${request.status}`);
       }
+      if (isSecondApproval) {
+        await makerCheckerService.assertSecondApprover(adminId, request.first_approved_by, {
+          userType: 'live',
+          userId: request.user_id
+        });
+      }
+
+      // Read outside the lock: the wallet transaction below updates this user row
+      const user = await LiveUser.findByPk(request.user_id, {
+        attributes: ['id', 'name', 'email', 'account_number']
+      });
 
       // For withdrawals, double-check balance
       if (request.type === 'withdraw') {
@@ -268,6 +289,22 @@ class MoneyRequestService {
         }
       }
 
+      if (!isSecondApproval && request.type === 'withdraw'
+        && makerCheckerService.requiresSecondApproval('withdrawal', request.amount)) {
+        await request.update({
+          status: 'pending_second_approval',
+          first_approved_by: adminId,
+          first_approved_at: new Date(),
+          first_approval_notes: notes
+        }, { transaction });
+
+        await transaction.commit();
+
+        logger.info(`[${operationId}] Request ${requestId} first-approved by admin ${adminId}, awaiting second approval`);
+
+        return await this.getRequestById(requestId);
+      }
+
       // Create the actual transaction
       const transactionData = {
         userId: request.user_id,
@@ -276,12 +313,13 @@ class MoneyRequestService {
         amount: request.type === 'withdraw' ? -Math.abs(request.amount) : Math.abs(request.amount),
         referenceId: request.request_id,
         adminId: adminId,
-        userEmail: request.user.email, // Add user email from the included user data
+        userEmail: user?.email, // User email for the transaction record
         methodType: request.method_type, // Add method type from the request
         notes: notes || `${request.type} approved via money request ${request.request_id}`,
         metadata: {
           money_request_id: request.id,
           approved_by_admin: adminId,
+          ...(isSecondApproval ? { first_approved_by: request.first_approved_by } : {}),
           original_request_amount: request.amount,
           currency: request.currency,
           method_details: request.method_details // Store method details in metadata for reference
@@ -329,16 +367,21 @@ class MoneyRequestService {
         throw new Error('Money request not found');
       }
 
-      if (!['pending', 'on_hold'].includes(request.status)) {
+      const rejectable = ['pending', 'on_hold', 'pending_second_approval'];
+      if (!rejectable.includes(request.status)) {
         throw new Error(`Request cannot be rejected from status: ${request.status}`);
       }
 
-      await request.update({
+      // Conditional update so a concurrent second approval cannot be overwritten
+      const [updated] = await MoneyRequest.update({
         status: 'rejected',
         admin_id: adminId,
         approved_at: new Date(),
         notes: notes || 'Request rejected by admin'
-      });
+      }, { where: { id: requestId, status: rejectable } });
+      if (!updated) {
+        throw new Error('Request was processed by another admin');
+      }
 
       logger.info(`[${operationId}] Request rejected successfully`);
 
@@ -0,0 +1,375 @@
+const logger = require('./logger.service');
+const { redisCluster } = require('../../config/redis');
+const portfolioEvents = require('./events/portfolio.events');
+const LiveUser = require('../models/liveUser.model');
+const DemoUser = require('../models/demoUser.model');
+const LiveUserOrder = require('../models/liveUserOrder.model');
+const DemoUserOrder = require('../models/demoUserOrder.model');
+const { toNumber } = require('../utils/number.util');
+const { ServiceError } = require('../utils/serviceError.util');
+
+const ACCOUNT_MODES = ['hedging', 'netting'];
+const NETTING_USER_TYPES = ['live', 'demo'];
+const QTY_EPSILON = 1e-9;
+// Held for the whole order round trip (close and/or open); the TTL only matters if the process dies
+const SYMBOL_LOCK_TTL_SEC = 30;
+const MERGE_TTL_SEC = 7 * 24 * 3600;
+
+class NettingError extends ServiceError {}
+
+function getOrderModel(userType) {
+  return userType === 'live' ? LiveUserOrder : DemoUserOrder;
+}
+
+function getUserModel(userType) {
+  return userType === 'live' ? LiveUser : DemoUser;
+}
+
+function nettingGroups() {
+  return String(process.env.NETTING_GROUPS || '')
+    .split(',')
+    .map((g) => g.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Netting account mode.
+ *
+ * Hedging (the default) keeps every market order as its own ticket. In netting mode a user holds
+ * at most one position per symbol: a market order on the same side increases it, the opposite
+ * side reduces, closes or reverses it.
+ *
+ * The mode comes from the user's account_mode column (cached in user:{type:id}:config); when
+ * unset, groups listed in NETTING_GROUPS default to netting.
+ *
+ * The per-symbol aggregate lives in user_net_positions:{type:id} (symbol -> position order_id),
+ * next to user_orders_index/user_holdings in the same hash slot. It is validated against
+ * user_holdings on every read, so closes from any path (SL/TP, autocutoff, admin) never leave
+ * a stale entry in charge.
+ *
+ * Increases open a fill ticket through the normal execution flow and merge it into the position:
+ * summed quantity, margin, contract value and entry commission at the volume-weighted average
+ * price. The fill row is kept as NETTED with parent_order_id pointing at the position.
+ * Reductions go through the close flow (partial close for a slice) so realized P&L, payout and
+ * history match a hedging close.
+ */
+class NettingService {
+  netPositionsKey(userType, userId) {
+    return `user_net_positions:{${userType}:${userId}}`;
+  }
+
+  lockKey(userType, userId, symbol) {
+    return `netting_lock:{${userType}:${userId}}:${symbol}`;
+  }
+
+  pendingMergeKey(orderId) {
+    return `netting_merge_pending:${orderId}`;
+  }
+
+  supportsUserType(userType) {
+    return NETTING_USER_TYPES.includes(String(userType || '').toLowerCase());
+  }
+
+  /**
+   * Resolve the account mode for a user: explicit account_mode first, then the group default.
+   * @returns {Promise<'hedging'|'netting'>}
+   */
+  async resolveAccountMode(userType, userId) {
+    if (!this.supportsUserType(userType)) return 'hedging';
+
+    let mode = null;
+    let group = null;
+    try {
+      const [cachedMode, cachedGroup] = await redisCluster.hmget(`user:{${userType}:${userId}}:config`, 'account_mode', 'group');
+      mode = cachedMode;
+      group = cachedGroup;
+    } catch (e) {
+      logger.warn('Netting: failed to read user config from Redis', { userType, userId, error: e.message });
+    }
+    if (!group) {
+      const user = await getUserModel(userType).findByPk(parseInt(userId, 10), { attributes: ['id', 'group', 'account_mode'] });
+      if (user) {
+        mode = user.account_mode;
+        group = user.group;
+      }
+    }
+
+    const normalized = String(mode || '').trim().toLowerCase();
+    if (ACCOUNT_MODES.includes(normalized)) return normalized;
+    if (group && nettingGroups().includes(String(group).trim().toLowerCase())) return 'netting';
+    return 'hedging';
+  }
+
+  async isNetting(userType, userId) {
+    return (await this.resolveAccountMode(userType, userId)) === 'netting';
+  }
+
+  /**
+   * Find the user's position on a symbol. Returns null when flat.
+   * Throws 409 when the position is still awaiting provider execution, or when several tickets are
+   * open on the symbol (e.g. left over from hedging mode) and there is no single position to net against.
+   */
+  async findNetPosition(userType, userId, symbol) {
+    const tag = `${userType}:${userId}`;
+    const sym = String(symbol).toUpperCase();
+
+    const trackedId = await redisCluster.hget(this.netPositionsKey(userType, userId), sym);
+    if (trackedId) {
+      const h = await redisCluster.hgetall(`user_holdings:{${tag}}:${trackedId}`);
+      const status = String(h?.order_status || '').toUpperCase();
+      if (h && String(h.symbol || '').toUpperCase() === sym && ['OPEN', 'QUEUED'].includes(status)) {
+        return this._checkUsable(this._toPosition(trackedId, h));
+      }
+      await redisCluster.hdel(this.netPositionsKey(userType, userId), sym);
+    }
+
+    const ids = await redisCluster.smembers(`user_orders_index:{${tag}}`);
+    const candidates = [];
+    if (ids && ids.length) {
+      const pipe = redisCluster.pipeline();
+      ids.forEach((id) => pipe.hgetall(`user_holdings:{${tag}}:${id}`));
+      const results = await pipe.exec();
+      results.forEach(([err, h], i) => {
+        if (err || !h || String(h.symbol || '').toUpperCase() !== sym) return;
+        if (!['OPEN', 'QUEUED'].includes(String(h.order_status || '').toUpperCase())) return;
+        candidates.push(this._toPosition(h.order_id || ids[i], h));
+      });
+    }
+    if (candidates.length === 0) return null;
+    if (candidates.length > 1) {
+      throw new NettingError(
+        `Multiple open positions on ${sym}; close them down to one before trading in netting mode`,
+        409,
+        'netting_multiple_positions'
+      );
+    }
+    await this.trackPosition(userType, userId, sym, candidates[0].order_id);
+    return this._checkUsable(candidates[0]);
+  }
+
+  _toPosition(orderId, h) {
+    return {
+      order_id: String(orderId),
+      symbol: String(h.symbol || '').toUpperCase(),
+      order_type: String(h.order_type || '').toUpperCase(),
+      order_status: String(h.order_status || '').toUpperCase(),
+      order_price: toNumber(h.order_price),
+      order_quantity: toNumber(h.order_quantity),
+    };
+  }
+
+  _checkUsable(position) {
+    if (position.order_status !== 'OPEN') {
+      throw new NettingError(`Position ${position.order_id} on ${position.symbol} is still being executed; retry shortly`, 409, 'netting_position_queued');
+    }
+    return position;
+  }
+
+  async trackPosition(userType, userId, symbol, orderId) {
+    await redisCluster.hset(this.netPositionsKey(userType, userId), String(symbol).toUpperCase(), String(orderId));
+  }
+
+  /**
+   * Drop the per-symbol entry if it still points at orderId (a newer position may have replaced it).
+   */
+  async untrackPosition(userType, userId, symbol, orderId) {
+    const key = this.netPositionsKey(userType, userId);
+    const sym = String(symbol).toUpperCase();
+    const current = await redisCluster.hget(key, sym);
+    if (current && String(current) === String(orderId)) {
+      await redisCluster.hdel(key, sym);
+    }
+  }
+
+  /**
+   * Work out what a market order does to the current position.
+   * @returns {{ action: 'open'|'increase'|'reduce'|'close'|'reverse', position: Object|null, closeQuantity: number, openQuantity: number }}
+   */
+  planOrder(position, orderType, quantity) {
+    const side = String(orderType).toUpperCase();
+    const qty = Number(quantity);
+    if (!position) {
+      return { action: 'open', position: null, closeQuantity: 0, openQuantity: qty };
+    }
+    if (position.order_type === side) {
+      return { action: 'increase', position, closeQuantity: 0, openQuantity: qty };
+    }
+    const diff = qty - position.order_quantity;
+    if (Math.abs(diff) <= QTY_EPSILON) {
+      return { action: 'close', position, closeQuantity: position.order_quantity, openQuantity: 0 };
+    }
+    if (diff < 0) {
+      return { action: 'reduce', position, closeQuantity: qty, openQuantity: 0 };
+    }
+    return { action: 'reverse', position, closeQuantity: position.order_quantity, openQuantity: Number(diff.toFixed(8)) };
+  }
+
+  /**
+   * Lock the user's symbol and plan a market order against the current position.
+   * Resolves to null for hedging accounts (no lock taken). Callers must release() the returned plan.
+   */
+  async prepareMarketOrder({ userType, userId, symbol, orderType, quantity }) {
+    if (!(await this.isNetting(userType, userId))) return null;
+
+    const sym = String(symbol).toUpperCase();
+    const lockKey = this.lockKey(userType, userId, sym);
+    const token = `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    const locked = await redisCluster.set(lockKey, token, 'EX', SYMBOL_LOCK_TTL_SEC, 'NX');
+    if (!locked) {
+      throw new NettingError(`Another order on ${sym} is in progress; retry shortly`, 409, 'netting_in_progress');
+    }
+
+    const release = async () => {
+      try {
+        if ((await redisCluster.get(lockKey)) === token) await redisCluster.del(lockKey);
+      } catch (e) {
+        logger.warn('Netting: failed to release symbol lock', { lockKey, error: e.message });
+      }
+    };
+
+    try {
+      const position = await this.findNetPosition(userType, userId, sym);
+      return { ...this.planOrder(position, orderType, quantity), symbol: sym, release };
+    } catch (e) {
+      await release();
+      throw e;
+    }
+  }
+
+  /**
+   * Remember that a provider-routed fill must be merged into a position once it is confirmed.
+   */
+  async markPendingMerge(fillOrderId, positionOrderId) {
+    await redisCluster.set(this.pendingMergeKey(fillOrderId), String(positionOrderId), 'EX', MERGE_TTL_SEC);
+  }
+
+  /**
+   * Merge an executed fill into the position it increases.
+   * Idempotent per fill. If the position closed while the fill was in flight, the fill becomes the
+   * net position instead.
+   * @returns {Promise<Object|null>} Merged position fields, or null when nothing was merged
+   */
+  async mergeIntoPosition({ userType, userId, positionOrderId, fillOrderId }) {
+    const nx = await redisCluster.set(`netting_merge_applied:${fillOrderId}`, '1', 'EX', MERGE_TTL_SEC, 'NX');
+    if (!nx) return null;
+
+    const OrderModel = getOrderModel(userType);
+    const [position, fill] = await Promise.all([
+      OrderModel.findOne({ where: { order_id: String(positionOrderId) } }),
+      OrderModel.findOne({ where: { order_id: String(fillOrderId) } }),
+    ]);
+    if (!fill) {
+      logger.warn('Netting merge: fill row not found', { userType, userId, positionOrderId, fillOrderId });
+      return null;
+    }
+    if (!position || String(position.order_status).toUpperCase() !== 'OPEN') {
+      await this.trackPosition(userType, userId, fill.symbol, fillOrderId);
+      logger.info('Netting merge skipped: position no longer open, fill kept as the net position', {
+        userType, userId, positionOrderId, fillOrderId,
+      });
+      return null;
+    }
+
+    const posQty = toNumber(position.order_quantity) || 0;
+    const fillQty = toNumber(fill.order_quantity) || 0;
+    const totalQty = posQty + fillQty;
+    const avgPrice = totalQty > 0
+      ? ((toNumber(position.order_price) || 0) * posQty + (toNumber(fill.order_price) || 0) * fillQty) / totalQty
+      : toNumber(position.order_price);
+    const sum = (a, b) => ((toNumber(a) || 0) + (toNumber(b) || 0)).toFixed(8);
+
+    const merged = {
+      order_price: avgPrice.toFixed(8),
+      order_quantity: totalQty.toFixed(8),
+      margin: sum(position.margin, fill.margin),
+      contract_value: sum(position.contract_value, fill.contract_value),
+      commission: sum(position.commission, fill.commission),
+    };
+    await position.update(merged);
+    await fill.update({
+      order_status: 'NETTED',
+      parent_order_id: String(positionOrderId),
+      close_message: `Netted into ${positionOrderId}`,
+    });
+
+    await this._mergeHoldings({ userType, userId, positionOrderId, fillOrderId, merged });
+    await this.trackPosition(userType, userId, position.symbol, positionOrderId);
+
+    try {
+      portfolioEvents.emitUserUpdate(userType, String(userId), {
+        type: 'order_update',
+        order_id: String(positionOrderId),
+        reason: 'netting_increase',
+        update: { order_status: 'OPEN', ...merged, merged_order_id: String(fillOrderId) },
+      });
+    } catch (e) {
+      logger.warn('Netting merge: failed to emit portfolio event', { positionOrderId, error: e.message });
+    }
+
+    logger.info('Netting: fill merged into position', {
+      userType, userId, positionOrderId, fillOrderId, ...merged,
+    });
+    return { order_id: String(positionOrderId), ...merged };
+  }
+
+  async _mergeHoldings({ userType, userId, positionOrderId, fillOrderId, merged }) {
+    const tag = `${userType}:${userId}`;
+    const posKey = `user_holdings:{${tag}}:${positionOrderId}`;
+    const fillKey = `user_holdings:{${tag}}:${fillOrderId}`;
+    try {
+      const [pos, fill] = await Promise.all([redisCluster.hgetall(posKey), redisCluster.hgetall(fillKey)]);
+      const fields = {
+        order_price: merged.order_price,
+        order_quantity: merged.order_quantity,
+        margin: merged.margin,
+        contract_value: merged.contract_value,
+      };
+      // Entry commission is what the close flow charges back; keep it summed alongside quantity
+      if (pos?.commission_entry !== undefined || fill?.commission_entry !== undefined) {
+        fields.commission_entry = ((toNumber(pos?.commission_entry) || 0) + (toNumber(fill?.commission_entry) || 0)).toFixed(8);
+      }
+      if (pos?.commission !== undefined) fields.commission = merged.commission;
+
+      const pipe = redisCluster.pipeline();
+      pipe.hset(posKey, fields);
+      pipe.del(fillKey);
+      pipe.srem(`user_orders_index:{${tag}}`, String(fillOrderId));
+      await pipe.exec();
+    } catch (e) {
+      logger.error('Netting merge: failed to update holdings', { userType, userId, positionOrderId, fillOrderId, error: e.message });
+    }
+
+    try {
+      const exists = await redisCluster.exists(`order_data:${positionOrderId}`);
+      if (exists) {
+        await redisCluster.hset(`order_data:${positionOrderId}`, {
+          order_price: merged.order_price,
+          order_quantity: merged.order_quantity,
+        });
+      }
+      await redisCluster.del(`order_data:${fillOrderId}`);
+    } catch (e) {
+      logger.warn('Netting merge: failed to update order_data', { positionOrderId, fillOrderId, error: e.message });
+    }
+  }
+
+  /**
+   * Orders DB consumer hook: a provider fill confirmed OPEN. Merge it if it was an increase.
+   */
+  async onPositionOpened({ userType, userId, orderId }) {
+    const positionOrderId = await redisCluster.get(this.pendingMergeKey(orderId));
+    if (!positionOrderId) return null;
+    await redisCluster.del(this.pendingMergeKey(orderId));
+    return this.mergeIntoPosition({ userType, userId, positionOrderId, fillOrderId: orderId });
+  }
+
+  async onOrderRejected(orderId) {
+    await redisCluster.del(this.pendingMergeKey(orderId));
+  }
+}
+
+const nettingService = new NettingService();
+nettingService.NettingError = NettingError;
+nettingService.ACCOUNT_MODES = ACCOUNT_MODES;
+
+module.exports = nettingService;
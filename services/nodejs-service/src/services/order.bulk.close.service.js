@@ -0,0 +1,190 @@
+const logger = require('./logger.service');
+const { redisCluster } = require('../../config/redis');
+const LiveUserOrder = require('../models/liveUserOrder.model');
+const DemoUserOrder = require('../models/demoUserOrder.model');
+const { toNumber } = require('../utils/number.util');
+const { ServiceError } = require('../utils/serviceError.util');
+
+const PNL_FILTERS = ['profitable', 'losing'];
+const SIDES = ['BUY', 'SELL'];
+// Closes run in small batches: fast enough for a flatten, without flooding the execution engine
+const CLOSE_CONCURRENCY = parseInt(process.env.BULK_CLOSE_CONCURRENCY || '5', 10) || 5;
+
+class BulkCloseError extends ServiceError {}
+
+/**
+ * Parse bulk close filter fields. All criteria are optional and combine with AND;
+ * with none given every open position is closed.
+ * @param {Object} body - { symbol?, side?, pnl? }
+ * @returns {{ symbol: string|null, side: string|null, pnl: string|null }}
+ */
+function parseBulkCloseFilter(body = {}) {
+  const symbol = body.symbol ? String(body.symbol).trim().toUpperCase() : null;
+  const side = body.side ? String(body.side).trim().toUpperCase() : null;
+  const pnl = body.pnl ? String(body.pnl).trim().toLowerCase() : null;
+  if (side && !SIDES.includes(side)) {
+    throw new BulkCloseError(`side must be one of: ${SIDES.join(', ')}`);
+  }
+  if (pnl && !PNL_FILTERS.includes(pnl)) {
+    throw new BulkCloseError(`pnl must be one of: ${PNL_FILTERS.join(', ')}`);
+  }
+  return { symbol, side, pnl };
+}
+
+/**
+ * Load the user's OPEN positions from Redis holdings, falling back to SQL when the index is empty.
+ */
+async function loadOpenPositions(userType, userId) {
+  const tag = `${userType}:${userId}`;
+  const positions = [];
+  try {
+    const ids = await redisCluster.smembers(`user_orders_index:{${tag}}`);
+    if (ids && ids.length) {
+      const pipe = redisCluster.pipeline();
+      ids.forEach((id) => pipe.hgetall(`user_holdings:{${tag}}:${id}`));
+      const results = await pipe.exec();
+      results.forEach(([err, h], i) => {
+        if (err || !h || Object.keys(h).length === 0) return;
+        if (String(h.order_status || '').toUpperCase() !== 'OPEN') return;
+        positions.push({
+          order_id: String(h.order_id || ids[i]),
+          symbol: String(h.symbol || '').toUpperCase(),
+          order_type: String(h.order_type || '').toUpperCase(),
+          order_price: toNumber(h.order_price),
+          order_quantity: toNumber(h.order_quantity),
+        });
+      });
+      return positions;
+    }
+  } catch (e) {
+    logger.warn('Bulk close: failed to read holdings from Redis, falling back to SQL', { userType, userId, error: e.message });
+  }
+
+  const OrderModel = userType === 'live' ? LiveUserOrder : DemoUserOrder;
+  const rows = await OrderModel.findAll({ where: { order_user_id: parseInt(userId, 10), order_status: 'OPEN' } });
+  for (const r of rows) {
+    positions.push({
+      order_id: String(r.order_id),
+      symbol: String(r.symbol || '').toUpperCase(),
+      order_type: String(r.order_type || '').toUpperCase(),
+      order_price: toNumber(r.order_price),
+      order_quantity: toNumber(r.order_quantity),
+    });
+  }
+  return positions;
+}
+
+/**
+ * Attach the current exit price and price move to each position.
+ * BUY positions exit at bid, SELL at ask; price_move > 0 means the position is in profit
+ * before commission and swap.
+ */
+async function attachMarketMove(positions) {
+  const symbols = [...new Set(positions.map((p) => p.symbol))];
+  const prices = {};
+  for (const symbol of symbols) {
+    try {
+      const [bid, ask] = await redisCluster.hmget(`market:${symbol}`, 'bid', 'ask');
+      prices[symbol] = { bid: toNumber(bid), ask: toNumber(ask) };
+    } catch (_) {
+      prices[symbol] = { bid: NaN, ask: NaN };
+    }
+  }
+  return positions.map((p) => {
+    const px = prices[p.symbol] || {};
+    const exit = p.order_type === 'BUY' ? px.bid : px.ask;
+    const move = exit > 0 && p.order_price > 0
+      ? (p.order_type === 'BUY' ? exit - p.order_price : p.order_price - exit)
+      : NaN;
+    return { ...p, market_price: exit > 0 ? exit : null, price_move: Number.isFinite(move) ? move : null };
+  });
+}
+
+/**
+ * Select the user's open positions that match a bulk close filter.
+ * Positions without a market price cannot be classified and are left out of pnl filters.
+ */
+async function selectPositions(userType, userId, filter) {
+  let positions = await loadOpenPositions(userType, userId);
+  if (filter.symbol) positions = positions.filter((p) => p.symbol === filter.symbol);
+  if (filter.side) positions = positions.filter((p) => p.order_type === filter.side);
+  if (filter.pnl) {
+    positions = (await attachMarketMove(positions)).filter((p) => {
+      if (p.price_move == null) return false;
+      return filter.pnl === 'profitable' ? p.price_move > 0 : p.price_move < 0;
+    });
+  }
+  return positions;
+}
+
+/**
+ * Close every position matching the filter through the per-order close flow.
+ * Each close is independent: a failure is reported for that order and the rest still close.
+ *
+ * @param {Object} params
+ * @param {string} params.userType - 'live' or 'demo'
+ * @param {string|number} params.userId
+ * @param {Object} params.filter - Result of parseBulkCloseFilter
+ * @param {Function} params.closeOne - async (position) => { statusCode, body }
+ * @returns {Promise<Object>} Report with per-order results
+ */
+async function closePositions({ userType, userId, filter, closeOne }) {
+  const positions = await selectPositions(userType, String(userId), filter);
+  const results = [];
+
+  for (let i = 0; i < positions.length; i += CLOSE_CONCURRENCY) {
+    const batch = positions.slice(i, i + CLOSE_CONCURRENCY);
+    const settled = await Promise.all(batch.map(async (p) => {
+      try {
+        const { statusCode, body } = await closeOne(p);
+        const ok = statusCode < 300 && body?.success !== false;
+        return {
+          order_id: p.order_id,
+          symbol: p.symbol,
+          order_type: p.order_type,
+          order_quantity: p.order_quantity,
+          success: ok,
+          status_code: statusCode,
+          ...(ok ? { data: body?.data ?? body } : { message: body?.message || body?.error || body?.reason || 'Close failed', reason: body?.reason }),
+        };
+      } catch (e) {
+        return {
+          order_id: p.order_id,
+          symbol: p.symbol,
+          order_type: p.order_type,
+          order_quantity: p.order_quantity,
+          success: false,
+          status_code: e.statusCode || 500,
+          message: e.message,
+          reason: e.reason,
+        };
+      }
+    }));
+    results.push(...settled);
+  }
+
+  const closed = results.filter((r) => r.success).length;
+  const report = {
+    filter,
+    matched: positions.length,
+    closed,
+    failed: results.length - closed,
+    results,
+  };
+  logger.info('Bulk close completed', {
+    userType,
+    userId: String(userId),
+    filter,
+    matched: report.matched,
+    closed: report.closed,
+    failed: report.failed,
+  });
+  return report;
+}
+
+module.exports = {
+  BulkCloseError,
+  parseBulkCloseFilter,
+  selectPositions,
+  closePositions,
+};
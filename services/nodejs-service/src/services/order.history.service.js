@@ -0,0 +1,182 @@
+const { Op } = require('sequelize');
+const OrderLifecycleId = require('../models/orderLifecycleId.model');
+const { ServiceError } = require('../utils/serviceError.util');
+
+const SIDES = ['BUY', 'SELL'];
+const RESULTS = ['profit', 'loss'];
+// Close time is the row's last update: the close confirmation is the final write on a CLOSED order
+const SORT_COLUMNS = {
+  close_time: 'updated_at',
+  open_time: 'created_at',
+  profit: 'net_profit',
+};
+const CSV_BATCH_SIZE = 500;
+const CSV_COLUMNS = [
+  'order_id', 'parent_order_id', 'symbol', 'order_type', 'order_quantity', 'order_price', 'close_price',
+  'net_profit', 'commission', 'swap', 'margin', 'contract_value', 'stop_loss', 'take_profit',
+  'close_message', 'close_id', 'open_time', 'close_time', 'lifecycle_ids',
+];
+
+class OrderHistoryError extends ServiceError {}
+
+function isSet(v) {
+  return v !== undefined && v !== null && v !== '';
+}
+
+function parseDate(value, name) {
+  if (!isSet(value)) return null;
+  const asNumber = Number(value);
+  const date = Number.isFinite(asNumber) ? new Date(asNumber) : new Date(String(value));
+  if (Number.isNaN(date.getTime())) {
+    throw new OrderHistoryError(`${name} must be an ISO date or epoch milliseconds`);
+  }
+  return date;
+}
+
+function parseLot(value, name) {
+  if (!isSet(value)) return null;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) throw new OrderHistoryError(`${name} must be a non-negative number`);
+  return n;
+}
+
+/**
+ * Parse closed order history filters and sorting from query params.
+ * @param {Object} query - { symbol?, side?, from?, to?, result?, min_lot?, max_lot?, sort_by?, sort_dir? }
+ * @returns {{ filters: Object, order: Array }}
+ */
+function parseClosedOrdersQuery(query = {}) {
+  const symbol = isSet(query.symbol) ? String(query.symbol).trim().toUpperCase() : null;
+  const side = isSet(query.side) ? String(query.side).trim().toUpperCase() : null;
+  const result = isSet(query.result) ? String(query.result).trim().toLowerCase() : null;
+  const from = parseDate(query.from, 'from');
+  const to = parseDate(query.to, 'to');
+  const minLot = parseLot(query.min_lot, 'min_lot');
+  const maxLot = parseLot(query.max_lot, 'max_lot');
+  const sortBy = isSet(query.sort_by) ? String(query.sort_by).trim().toLowerCase() : 'close_time';
+  const sortDir = isSet(query.sort_dir) ? String(query.sort_dir).trim().toUpperCase() : 'DESC';
+
+  if (side && !SIDES.includes(side)) throw new OrderHistoryError(`side must be one of: ${SIDES.join(', ')}`);
+  if (result && !RESULTS.includes(result)) throw new OrderHistoryError(`result must be one of: ${RESULTS.join(', ')}`);
+  if (from && to && from > to) throw new OrderHistoryError('from must be before to');
+  if (minLot !== null && maxLot !== null && minLot > maxLot) throw new OrderHistoryError('min_lot must not exceed max_lot');
+  if (!SORT_COLUMNS[sortBy]) throw new OrderHistoryError(`sort_by must be one of: ${Object.keys(SORT_COLUMNS).join(', ')}`);
+  if (!['ASC', 'DESC'].includes(sortDir)) throw new OrderHistoryError('sort_dir must be asc or desc');
+
+  return {
+    filters: { symbol, side, result, from, to, minLot, maxLot },
+    // Tie-break on id so pages and CSV batches are stable
+    order: [[SORT_COLUMNS[sortBy], sortDir], ['id', sortDir]],
+  };
+}
+
+/**
+ * Build the Sequelize where clause for a user's closed orders.
+ */
+function buildClosedOrdersWhere(userId, filters = {}) {
+  const where = { order_user_id: parseInt(userId, 10), order_status: 'CLOSED' };
+  if (filters.symbol) where.symbol = filters.symbol;
+  if (filters.side) where.order_type = filters.side;
+  if (filters.from || filters.to) {
+    where.updated_at = {};
+    if (filters.from) where.updated_at[Op.gte] = filters.from;
+    if (filters.to) where.updated_at[Op.lte] = filters.to;
+  }
+  if (filters.result === 'profit') where.net_profit = { [Op.gt]: 0 };
+  if (filters.result === 'loss') where.net_profit = { [Op.lt]: 0 };
+  if (filters.minLot !== null && filters.minLot !== undefined) {
+    where.order_quantity = { ...(where.order_quantity || {}), [Op.gte]: filters.minLot };
+  }
+  if (filters.maxLot !== null && filters.maxLot !== undefined) {
+    where.order_quantity = { ...(where.order_quantity || {}), [Op.lte]: filters.maxLot };
+  }
+  return where;
+}
+
+function toIso(v) {
+  if (!v) return '';
+  return v instanceof Date ? v.toISOString() : new Date(v).toISOString();
+}
+
+function csvCell(v) {
+  if (v === null || v === undefined) return '';
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Lifecycle ids (close, SL/TP, cancel ids...) for a batch of orders, as "type:id" joined by ';'.
+ * Partial close slices carry the ids of the position they came from.
+ */
+async function loadLifecycleIds(rows) {
+  const orderIds = [...new Set(rows.map((r) => String(r.parent_order_id || r.order_id)))];
+  const byOrder = {};
+  if (orderIds.length === 0) return byOrder;
+  const records = await OrderLifecycleId.findAll({
+    where: { order_id: { [Op.in]: orderIds } },
+    attributes: ['order_id', 'id_type', 'lifecycle_id'],
+    order: [['created_at', 'ASC']],
+  });
+  for (const rec of records) {
+    if (rec.id_type === 'order_id') continue;
+    (byOrder[rec.order_id] = byOrder[rec.order_id] || []).push(`${rec.id_type}:${rec.lifecycle_id}`);
+  }
+  return byOrder;
+}
+
+/**
+ * Stream closed orders as CSV in id-stable batches so large histories never sit in memory.
+ * @param {Object} res - Express response (headers must not be sent yet)
+ * @param {Object} params
+ * @param {Object} params.OrderModel - LiveUserOrder or DemoUserOrder
+ * @param {Object} params.where - From buildClosedOrdersWhere
+ * @param {Array} params.order - From parseClosedOrdersQuery
+ * @param {string} params.filename
+ * @returns {Promise<number>} Rows written
+ */
+async function streamClosedOrdersCsv(res, { OrderModel, where, order, filename }) {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.write(`${CSV_COLUMNS.join(',')}\n`);
+
+  let written = 0;
+  for (let offset = 0; ; offset += CSV_BATCH_SIZE) {
+    const rows = await OrderModel.findAll({ where, order, offset, limit: CSV_BATCH_SIZE });
+    if (rows.length === 0) break;
+    const lifecycle = await loadLifecycleIds(rows);
+    const chunk = rows.map((r) => [
+      r.order_id,
+      r.parent_order_id,
+      String(r.symbol || '').toUpperCase(),
+      r.order_type,
+      r.order_quantity,
+      r.order_price,
+      r.close_price,
+      r.net_profit,
+      r.commission,
+      r.swap,
+      r.margin,
+      r.contract_value,
+      r.stop_loss,
+      r.take_profit,
+      r.close_message,
+      r.close_id,
+      toIso(r.created_at),
+      toIso(r.updated_at),
+      (lifecycle[String(r.parent_order_id || r.order_id)] || []).join(';'),
+    ].map(csvCell).join(',')).join('\n');
+    res.write(`${chunk}\n`);
+    written += rows.length;
+    if (rows.length < CSV_BATCH_SIZE) break;
+  }
+  res.end();
+  return written;
+}
+
+module.exports = {
+  OrderHistoryError,
+  parseClosedOrdersQuery,
+  buildClosedOrdersWhere,
+  streamClosedOrdersCsv,
+};
@@ -0,0 +1,235 @@
+const LiveUserOrder = require('../models/liveUserOrder.model');
+const DemoUserOrder = require('../models/demoUserOrder.model');
+const LiveUser = require('../models/liveUser.model');
+const DemoUser = require('../models/demoUser.model');
+const sequelize = require('../config/db');
+const logger = require('./logger.service');
+const portfolioEvents = require('./events/portfolio.events');
+const { redisCluster } = require('../../config/redis');
+const orderPayoutService = require('./order.payout.service');
+const { toNumber, toAmount } = require('../utils/number.util');
+const { ServiceError } = require('../utils/serviceError.util');
+
+// Tolerance when comparing lot quantities (partial vs full close)
+const QTY_EPSILON = 1e-9;
+
+class PartialCloseError extends ServiceError {}
+
+function getOrderModel(userType) {
+  return userType === 'live' ? LiveUserOrder : DemoUserOrder;
+}
+
+function getUserModel(userType) {
+  return userType === 'live' ? LiveUser : DemoUser;
+}
+
+/**
+ * Whether a requested close_quantity closes only part of an open order. A quantity equal to the
+ * open quantity is a full close.
+ * @param {number} openQuantity
+ * @param {number} closeQuantity
+ * @returns {boolean}
+ */
+function isPartialCloseQuantity(openQuantity, closeQuantity) {
+  if (!(openQuantity > 0)) {
+    throw new PartialCloseError('Unable to resolve open quantity for partial close', 409);
+  }
+  if (closeQuantity > openQuantity + QTY_EPSILON) {
+    throw new PartialCloseError(`close_quantity cannot exceed the open quantity (${openQuantity})`);
+  }
+  return closeQuantity < openQuantity - QTY_EPSILON;
+}
+
+/**
+ * Both the closed slice and the quantity left open must be at least the group min_lot
+ * @param {number} openQuantity
+ * @param {number} closeQuantity
+ * @param {number} minLot - Not enforced when unknown
+ */
+function assertPartialCloseLots(openQuantity, closeQuantity, minLot) {
+  if (!(Number.isFinite(minLot) && minLot > 0)) return;
+  if (closeQuantity < minLot - QTY_EPSILON || (openQuantity - closeQuantity) < minLot - QTY_EPSILON) {
+    throw new PartialCloseError(`Both the closed and the remaining quantity must be at least the minimum lot (${minLot})`);
+  }
+}
+
+function scaled(value, ratio) {
+  const n = toNumber(value);
+  return Number.isFinite(n) ? (n * ratio).toFixed(8) : null;
+}
+
+/**
+ * Persist a partial close confirmed by the Python engine.
+ *
+ * The parent order keeps its order_id and is shrunk to the remaining quantity. The closed slice is
+ * stored as its own CLOSED row (order_id = closeOrderId, parent_order_id = parent) carrying the
+ * close_id, close price, net profit, commission and swap of that slice only.
+ *
+ * Idempotent per closeOrderId: a redelivered confirmation finds the slice row and only re-emits events.
+ * Wallet payout and user net_profit increments are guarded with the same Redis NX keys as full closes,
+ * keyed by the slice order id.
+ *
+ * @returns {Promise<{ parent: Object|null, slice: Object|null, created: boolean }>}
+ */
+async function applyPartialClose({
+  userType,
+  userId,
+  parentOrderId,
+  closeOrderId,
+  closeId = null,
+  closedQuantity,
+  remainingQuantity = null,
+  closePrice = null,
+  netProfit = 0,
+  commission = 0,
+  commissionEntry = null,
+  profitUsd = 0,
+  swap = 0,
+  closeMessage = 'Partial-Close',
+  status = 'CLOSED',
+}) {
+  const OrderModel = getOrderModel(userType);
+  let parent = null;
+  let slice = null;
+  let created = false;
+  let sliceQuantities = null;
+
+  // Slice insert and parent shrink commit together; the parent lock serializes redelivered confirmations
+  await sequelize.transaction(async (transaction) => {
+    parent = await OrderModel.findOne({
+      where: { order_id: String(parentOrderId) },
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+    if (!parent) return;
+
+    slice = await OrderModel.findOne({ where: { order_id: String(closeOrderId) }, transaction });
+    if (slice) return;
+
+    const parentQty = toAmount(parent.order_quantity);
+    const closedQty = toAmount(closedQuantity);
+    const remainingQty = Number.isFinite(toNumber(remainingQuantity)) ? toNumber(remainingQuantity) : Math.max(0, parentQty - closedQty);
+    const sliceRatio = parentQty > 0 ? closedQty / parentQty : 0;
+    const keepRatio = parentQty > 0 ? remainingQty / parentQty : 0;
+
+    // Entry commission still carried by the remainder after the slice took its share
+    const parentCommission = toNumber(parent.commission);
+    const entryCommission = toNumber(commissionEntry);
+    const remainingCommission = Number.isFinite(parentCommission)
+      ? Math.max(0, parentCommission - (Number.isFinite(entryCommission) ? entryCommission : parentCommission * sliceRatio)).toFixed(8)
+      : null;
+
+    slice = await OrderModel.create({
+      order_id: String(closeOrderId),
+      parent_order_id: String(parentOrderId),
+      order_user_id: parent.order_user_id,
+      symbol: parent.symbol,
+      order_type: parent.order_type,
+      order_status: 'CLOSED',
+      order_price: parent.order_price,
+      order_quantity: closedQty.toFixed(8),
+      contract_value: scaled(parent.contract_value, sliceRatio),
+      margin: scaled(parent.margin, sliceRatio),
+      close_price: Number.isFinite(toNumber(closePrice)) ? Number(closePrice).toFixed(8) : null,
+      net_profit: toAmount(netProfit).toFixed(8),
+      commission: toAmount(commission).toFixed(8),
+      swap: toAmount(swap).toFixed(8),
+      close_id: closeId ? String(closeId) : null,
+      close_message: closeMessage,
+      status,
+      placed_by: parent.placed_by,
+    }, { transaction });
+
+    const parentUpdates = {
+      order_quantity: remainingQty.toFixed(8),
+      contract_value: scaled(parent.contract_value, keepRatio),
+      margin: scaled(parent.margin, keepRatio),
+      swap: scaled(parent.swap, keepRatio),
+    };
+    if (remainingCommission != null) parentUpdates.commission = remainingCommission;
+    await parent.update(parentUpdates, { transaction });
+
+    created = true;
+    sliceQuantities = { closedQty, remainingQty };
+  });
+
+  if (!parent) {
+    logger.warn('Partial close: parent order row not found', { parentOrderId, closeOrderId, userType, userId });
+    return { parent: null, slice: null, created: false };
+  }
+
+  if (created) {
+    logger.info('Partial close persisted', {
+      parent_order_id: String(parentOrderId),
+      close_order_id: String(closeOrderId),
+      close_id: closeId,
+      closed_quantity: sliceQuantities.closedQty,
+      remaining_quantity: sliceQuantities.remainingQty,
+      net_profit: netProfit,
+    });
+  } else {
+    logger.info('Partial close already persisted; skipping row writes', { parentOrderId, closeOrderId });
+  }
+
+  // Wallet payout + transactions (idempotent per slice)
+  try {
+    const payoutKey = `close_payout_applied:${String(closeOrderId)}`;
+    const nx = await redisCluster.set(payoutKey, '1', 'EX', 7 * 24 * 3600, 'NX');
+    if (nx) {
+      await orderPayoutService.applyOrderClosePayout({
+        userType,
+        userId: parseInt(String(userId), 10),
+        orderPk: slice?.id ?? null,
+        orderIdStr: String(closeOrderId),
+        netProfit: Number(netProfit) || 0,
+        commission: Number(commission) || 0,
+        profitUsd: Number(profitUsd) || 0,
+        swap: Number(swap) || 0,
+        symbol: parent.symbol ? String(parent.symbol).toUpperCase() : undefined,
+        orderType: parent.order_type ? String(parent.order_type).toUpperCase() : undefined,
+      });
+      portfolioEvents.emitUserUpdate(userType, String(userId), { type: 'wallet_balance_update', order_id: String(closeOrderId) });
+    }
+  } catch (e) {
+    logger.error('Failed to apply wallet payout on partial close', { error: e.message, parentOrderId, closeOrderId });
+  }
+
+  // Aggregate user net_profit (idempotent per slice)
+  try {
+    const np = toNumber(netProfit);
+    if (Number.isFinite(np)) {
+      const npKey = `close_np_applied:${String(closeOrderId)}`;
+      const setRes = await redisCluster.set(npKey, '1', 'EX', 7 * 24 * 3600, 'NX');
+      if (setRes) {
+        await getUserModel(userType).increment({ net_profit: np }, { where: { id: parseInt(String(userId), 10) } });
+      }
+    }
+  } catch (e) {
+    logger.error('Failed to increment user net_profit on partial close', { error: e.message, parentOrderId, closeOrderId });
+  }
+
+  // Portfolio stream: remaining position shrank, closed slice appears in history
+  try {
+    portfolioEvents.emitUserUpdate(userType, String(userId), {
+      type: 'order_update',
+      order_id: String(parentOrderId),
+      reason: 'partial_close',
+      update: {
+        order_status: 'OPEN',
+        order_quantity: parent.order_quantity?.toString?.() ?? String(parent.order_quantity),
+        close_order_id: String(closeOrderId),
+      },
+    });
+  } catch (e) {
+    logger.warn('Failed to emit portfolio event after partial close', { error: e.message, parentOrderId });
+  }
+
+  return { parent, slice, created };
+}
+
+module.exports = {
+  PartialCloseError,
+  isPartialCloseQuantity,
+  assertPartialCloseLots,
+  applyPartialClose,
+};
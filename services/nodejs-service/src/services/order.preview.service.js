@@ -0,0 +1,280 @@
+const { redisCluster } = require('../../config/redis');
+const groupsCache = require('./groups.cache.service');
+const swapCalculationService = require('./swap.calculation.service');
+const LiveUser = require('../models/liveUser.model');
+const DemoUser = require('../models/demoUser.model');
+const { toNumber, round } = require('../utils/number.util');
+const { ServiceError } = require('../utils/serviceError.util');
+
+const SIDES = ['BUY', 'SELL'];
+const CRYPTO_TYPE = 4;
+
+class OrderPreviewError extends ServiceError {}
+
+function isSet(v) {
+  return v !== undefined && v !== null && v !== '';
+}
+
+/**
+ * Parse and validate preview input.
+ * @param {Object} body - { symbol, order_type|side, order_quantity|lots, stop_loss?, take_profit?, order_price? }
+ */
+function parsePreviewInput(body = {}) {
+  const symbol = String(body.symbol || '').trim().toUpperCase();
+  const side = String(body.order_type || body.side || '').trim().toUpperCase();
+  const lots = toNumber(isSet(body.order_quantity) ? body.order_quantity : body.lots);
+  const stopLoss = isSet(body.stop_loss) ? toNumber(body.stop_loss) : null;
+  const takeProfit = isSet(body.take_profit) ? toNumber(body.take_profit) : null;
+  const price = isSet(body.order_price) ? toNumber(body.order_price) : null;
+
+  if (!symbol) throw new OrderPreviewError('symbol is required');
+  if (!SIDES.includes(side)) throw new OrderPreviewError(`order_type must be one of: ${SIDES.join(', ')}`);
+  if (!(lots > 0)) throw new OrderPreviewError('order_quantity must be greater than 0');
+  if (stopLoss !== null && !(stopLoss > 0)) throw new OrderPreviewError('stop_loss must be greater than 0 when provided');
+  if (takeProfit !== null && !(takeProfit > 0)) throw new OrderPreviewError('take_profit must be greater than 0 when provided');
+  if (price !== null && !(price > 0)) throw new OrderPreviewError('order_price must be greater than 0 when provided');
+
+  return { symbol, side, lots, stopLoss, takeProfit, price };
+}
+
+async function loadUserTradingConfig(userType, userId) {
+  let group = null;
+  let leverage = NaN;
+  try {
+    const [g, lev] = await redisCluster.hmget(`user:{${userType}:${userId}}:config`, 'group', 'leverage');
+    group = g || null;
+    leverage = toNumber(lev);
+  } catch (_) {}
+  if (!group || !(leverage > 0)) {
+    const UserModel = userType === 'live' ? LiveUser : DemoUser;
+    const user = await UserModel.findByPk(parseInt(userId, 10), { attributes: ['id', 'group', 'leverage'] });
+    if (!user) throw new OrderPreviewError('User not found', 404);
+    group = group || user.group;
+    leverage = leverage > 0 ? leverage : toNumber(user.leverage);
+  }
+  if (!(leverage > 0)) throw new OrderPreviewError('User leverage is not configured', 422);
+  return { group: group || 'Standard', leverage };
+}
+
+// Same fallback as the execution engine: the user's group, then Standard
+async function loadGroupConfig(groupName, symbol) {
+  let cfg = await groupsCache.getGroup(groupName, symbol);
+  let usedGroup = groupName;
+  if (!cfg && groupName !== 'Standard') {
+    cfg = await groupsCache.getGroup('Standard', symbol);
+    usedGroup = 'Standard';
+  }
+  if (!cfg) throw new OrderPreviewError(`Symbol ${symbol} is not configured for group ${groupName}`, 404);
+  return { cfg, usedGroup };
+}
+
+async function getMarketPrices(symbol) {
+  const [bid, ask] = await redisCluster.hmget(`market:${symbol}`, 'bid', 'ask');
+  return { bid: toNumber(bid), ask: toNumber(ask) };
+}
+
+/**
+ * Rate to convert an amount in `currency` into USD, matching the execution engine's
+ * convert_to_usd: ask of CCYUSD (multiply) or ask of USDCCY (divide).
+ */
+async function getUsdRate(currency) {
+  const ccy = String(currency || '').toUpperCase();
+  if (!ccy || ccy === 'USD' || ccy === 'USDT') return 1;
+  const direct = await getMarketPrices(`${ccy}USD`);
+  if (direct.ask > 0) return direct.ask;
+  const inverse = await getMarketPrices(`USD${ccy}`);
+  if (inverse.ask > 0) return 1 / inverse.ask;
+  throw new OrderPreviewError(`No conversion rate available for ${ccy} to USD`, 503);
+}
+
+// Result in USD of closing a position of `contractValue` units opened at entryPrice at exitPrice
+function positionPnl(side, entryPrice, exitPrice, contractValue, usdRate) {
+  const move = side === 'BUY' ? exitPrice - entryPrice : entryPrice - exitPrice;
+  return move * contractValue * usdRate;
+}
+
+/**
+ * Floating P&L in USD of open holdings at the current bid (BUY) / ask (SELL).
+ * A holding that cannot be priced is handed to `onError` and left out of the total.
+ */
+async function computeFloatingPnl(groupName, holdings, onError = () => {}) {
+  const configs = new Map();
+  const rates = new Map();
+  const prices = new Map();
+  let floating = 0;
+  for (const h of holdings) {
+    const symbol = String(h.symbol || '').toUpperCase();
+    const side = String(h.order_type || '').toUpperCase();
+    const entry = toNumber(h.order_price);
+    const qty = toNumber(h.order_quantity);
+    if (!(entry > 0) || !(qty > 0)) continue;
+    try {
+      if (!configs.has(symbol)) configs.set(symbol, (await loadGroupConfig(groupName, symbol)).cfg);
+      const cfg = configs.get(symbol);
+      const currency = String(cfg.profit || 'USD').toUpperCase();
+      if (!rates.has(currency)) rates.set(currency, await getUsdRate(currency));
+      if (!prices.has(symbol)) prices.set(symbol, await getMarketPrices(symbol));
+      const px = prices.get(symbol);
+      const exit = side === 'BUY' ? px.bid : px.ask;
+      const contractSize = toNumber(cfg.contract_size);
+      if (!(exit > 0) || !(contractSize > 0)) continue;
+      floating += positionPnl(side, entry, exit, contractSize * qty, rates.get(currency));
+    } catch (e) {
+      onError(h, e);
+    }
+  }
+  return floating;
+}
+
+/**
+ * Commission for one side of the trade, as charged by the execution engine.
+ * commision_type: 0 every trade, 1 entry only, 2 exit only.
+ * commision_value_type: 0 per lot, 1 percent of notional.
+ */
+function computeCommission(cfg, leg, lots, price) {
+  const rate = toNumber(cfg.commision);
+  const type = parseInt(cfg.commision_type, 10);
+  const valueType = parseInt(cfg.commision_value_type, 10);
+  if (!Number.isFinite(rate) || !Number.isFinite(type) || !Number.isFinite(valueType)) return 0;
+  const applies = type === 0 || (leg === 'entry' ? type === 1 : type === 2);
+  if (!applies) return 0;
+  if (valueType === 0) return round(lots * rate);
+  if (valueType === 1) {
+    const contractSize = toNumber(cfg.contract_size);
+    return contractSize > 0 ? round((rate / 100) * contractSize * lots * price) : 0;
+  }
+  return 0;
+}
+
+/**
+ * Pre-trade preview: margin, contract value, pip value, commission, overnight swap and the money at
+ * stake at SL/TP for a market order, from the user's group config and leverage.
+ *
+ * Formulas follow the execution engine:
+ * - entry price:    BUY ask + half spread, SELL bid - half spread (half spread = spread * spread_pip / 2)
+ * - contract value: contract_size * lots
+ * - margin:         contract_value * entry / leverage (crypto: * group margin factor), profit ccy -> USD
+ * - pip value:      pips * contract_size * lots, profit ccy -> USD
+ * - P&L at price:   (exit - entry) * contract_size * lots for BUY, reversed for SELL, profit ccy -> USD
+ *
+ * @param {Object} params
+ * @param {string} params.userType - 'live' or 'demo'
+ * @param {string|number} params.userId
+ * @param {Object} params.input - Result of parsePreviewInput
+ * @returns {Promise<Object>}
+ */
+async function previewOrder({ userType, userId, input }) {
+  const { symbol, side, lots, stopLoss, takeProfit, price } = input;
+  const { group, leverage } = await loadUserTradingConfig(userType, String(userId));
+  const { cfg, usedGroup } = await loadGroupConfig(group, symbol);
+
+  const contractSize = toNumber(cfg.contract_size);
+  if (!(contractSize > 0)) throw new OrderPreviewError(`contract_size is not configured for ${symbol}`, 422);
+  const profitCurrency = cfg.profit ? String(cfg.profit).toUpperCase() : null;
+  if (!profitCurrency) throw new OrderPreviewError(`Profit currency is not configured for ${symbol}`, 422);
+
+  const halfSpread = (toNumber(cfg.spread) || 0) * (toNumber(cfg.spread_pip) || 0) / 2;
+  let entryPrice = price;
+  let marketPrice = null;
+  if (entryPrice === null) {
+    const market = await getMarketPrices(symbol);
+    marketPrice = side === 'BUY' ? market.ask : market.bid;
+    if (!(marketPrice > 0)) throw new OrderPreviewError(`No market price available for ${symbol}`, 503);
+    entryPrice = side === 'BUY' ? marketPrice + halfSpread : marketPrice - halfSpread;
+  }
+
+  if (stopLoss !== null && (side === 'BUY' ? stopLoss >= entryPrice : stopLoss <= entryPrice)) {
+    throw new OrderPreviewError(`stop_loss must be ${side === 'BUY' ? 'below' : 'above'} the entry price for a ${side} order`);
+  }
+  if (takeProfit !== null && (side === 'BUY' ? takeProfit <= entryPrice : takeProfit >= entryPrice)) {
+    throw new OrderPreviewError(`take_profit must be ${side === 'BUY' ? 'above' : 'below'} the entry price for a ${side} order`);
+  }
+
+  const usdRate = await getUsdRate(profitCurrency);
+  const contractValue = contractSize * lots;
+  const isCrypto = parseInt(cfg.type, 10) === CRYPTO_TYPE;
+  const marginFactor = isCrypto && toNumber(cfg.margin) > 0 ? toNumber(cfg.margin) : 1;
+  const margin = (contractValue * entryPrice * marginFactor / leverage) * usdRate;
+
+  const pipSize = toNumber(cfg.pips);
+  const pipValue = pipSize > 0 ? pipSize * contractValue * usdRate : null;
+  const showPoints = parseInt(cfg.show_points, 10);
+  const pointSize = showPoints > 0 ? Math.pow(10, -showPoints) : null;
+
+  const pnlAt = (exitPrice) => positionPnl(side, entryPrice, exitPrice, contractValue, usdRate);
+
+  const entryCommission = computeCommission(cfg, 'entry', lots, entryPrice);
+  const exitAt = (exitPrice) => computeCommission(cfg, 'exit', lots, exitPrice);
+
+  const swapType = String(cfg.swap_type || 'percentage').toLowerCase();
+  const swapOrder = { order_type: side, order_quantity: lots };
+  let swapPerNight = 0;
+  if (swapType === 'points') {
+    swapPerNight = await swapCalculationService.calculatePointsSwap(swapOrder, cfg);
+  } else if (swapType === 'percentage') {
+    swapPerNight = await swapCalculationService.calculatePercentageSwap(swapOrder, cfg);
+  }
+
+  const legAt = (level) => {
+    if (level === null) return null;
+    const gross = pnlAt(level);
+    const commission = entryCommission + exitAt(level);
+    const pips = pipSize > 0 ? Math.abs(level - entryPrice) / pipSize : null;
+    return {
+      price: level,
+      distance_pips: round(pips, 1),
+      pnl: round(gross),
+      pnl_after_commission: round(gross - commission),
+    };
+  };
+  const atStopLoss = legAt(stopLoss);
+  const atTakeProfit = legAt(takeProfit);
+
+  return {
+    symbol,
+    order_type: side,
+    order_quantity: lots,
+    group: usedGroup,
+    leverage,
+    currency: 'USD',
+    profit_currency: profitCurrency,
+    conversion_rate: usdRate,
+    market_price: marketPrice,
+    entry_price: entryPrice,
+    half_spread: halfSpread,
+    contract_size: contractSize,
+    contract_value: contractValue,
+    margin: round(margin),
+    pip_size: pipSize > 0 ? pipSize : null,
+    pip_value: round(pipValue, 4),
+    point_size: pointSize,
+    min_lot: Number.isFinite(toNumber(cfg.min_lot)) ? toNumber(cfg.min_lot) : null,
+    max_lot: Number.isFinite(toNumber(cfg.max_lot)) ? toNumber(cfg.max_lot) : null,
+    commission: {
+      entry: entryCommission,
+      exit: exitAt(entryPrice),
+      total: round(entryCommission + exitAt(entryPrice)),
+    },
+    swap: {
+      type: swapType,
+      per_night: round(swapPerNight),
+      // Wednesday rollover books three nights for non-crypto symbols
+      triple_night: isCrypto ? null : round(swapPerNight * 3),
+    },
+    stop_loss: atStopLoss,
+    take_profit: atTakeProfit,
+    risk_reward_ratio: atStopLoss && atTakeProfit && atStopLoss.pnl !== 0
+      ? round(Math.abs(atTakeProfit.pnl / atStopLoss.pnl))
+      : null,
+  };
+}
+
+module.exports = {
+  OrderPreviewError,
+  parsePreviewInput,
+  computeCommission,
+  previewOrder,
+  loadGroupConfig,
+  getUsdRate,
+  computeFloatingPnl,
+};
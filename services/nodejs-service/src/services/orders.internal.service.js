@@ -0,0 +1,44 @@
+/**
+ * Run an orders controller handler in-process and capture its JSON response.
+ *
+ * Server-initiated order actions (OCO sibling cancel, bracket SL/TP, pending expiry) go through
+ * the same handlers as user requests so validation, provider routing and SQL/Redis/WS side effects
+ * stay identical. The synthetic request carries no JWT user, so role/ownership checks are skipped.
+ *
+ * @param {string} handlerName - Export name in orders.controller (e.g. 'cancelPendingOrder')
+ * @param {Object} body - Request body, same shape as the public endpoint
+ * @param {string} [origin='internal'] - Tag recorded in the order request log path
+ * @param {Object} [context={}] - Extra request properties for the handler (e.g. { nettingResolved: true })
+ * @returns {Promise<{ statusCode: number, body: Object }>}
+ */
+function invokeOrdersHandler(handlerName, body, origin = 'internal', context = {}) {
+  // Lazy require: the controller depends on services that use this helper
+  const ordersController = require('../controllers/orders.controller');
+  return new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(payload) {
+        resolve({ statusCode: this.statusCode, body: payload });
+        return this;
+      },
+    };
+    const req = {
+      method: 'INTERNAL',
+      originalUrl: `internal:${origin}:${handlerName}`,
+      ip: null,
+      headers: {},
+      user: {},
+      body,
+      ...context,
+    };
+    Promise.resolve(ordersController[handlerName](req, res)).catch((e) => {
+      resolve({ statusCode: 500, body: { success: false, message: e.message } });
+    });
+  });
+}
+
+module.exports = { invokeOrdersHandler };
@@ -0,0 +1,305 @@
+const logger = require('./logger.service');
+const { redisCluster } = require('../../config/redis');
+const idGenerator = require('./idGenerator.service');
+const orderLifecycleService = require('./orderLifecycle.service');
+const portfolioEvents = require('./events/portfolio.events');
+const { invokeOrdersHandler } = require('./orders.internal.service');
+const LiveUserOrder = require('../models/liveUserOrder.model');
+const DemoUserOrder = require('../models/demoUserOrder.model');
+const { toNumber } = require('../utils/number.util');
+const { ServiceError } = require('../utils/serviceError.util');
+
+const PENDING_STATUSES = ['PENDING', 'PENDING-QUEUED'];
+const RESOLVE_TTL_SEC = 7 * 24 * 3600;
+
+class PendingLinkError extends ServiceError {}
+
+function sideOf(orderType) {
+  return String(orderType || '').toUpperCase().startsWith('BUY') ? 'BUY' : 'SELL';
+}
+
+function getOrderModel(userType) {
+  return userType === 'live' ? LiveUserOrder : DemoUserOrder;
+}
+
+/**
+ * Linked pending orders: one-cancels-other pairs and bracket entries.
+ *
+ * Link state sits next to the pending_orders:{order_id} hashes in pending_links:{order_id}:
+ * - oco_link_id, oco_sibling_id, oco_sibling_link_id  OCO leg (each leg has its own lifecycle id)
+ * - bracket_id, stop_loss, take_profit                SL/TP attached once the entry fills
+ * Link ids are recorded with orderLifecycle.service (id types oco_link_id / bracket_id).
+ *
+ * The orders DB consumer reports fills: the first leg of an OCO pair to trigger cancels the other
+ * through cancelPendingOrder; a bracket attaches its SL/TP through addStopLoss/addTakeProfit once
+ * the entry is OPEN.
+ */
+class PendingLinkService {
+  linkKey(orderId) {
+    return `pending_links:${orderId}`;
+  }
+
+  async getLink(orderId) {
+    const link = await redisCluster.hgetall(this.linkKey(orderId));
+    return link && Object.keys(link).length > 0 ? link : null;
+  }
+
+  /**
+   * Check that an existing pending order can become the other leg of a new OCO pair.
+   */
+  async validateOcoSibling({ siblingOrderId, userId, userType, symbol }) {
+    const sid = String(siblingOrderId);
+    let sibling = null;
+    try {
+      sibling = await redisCluster.hgetall(`order_data:${sid}`);
+    } catch (_) {}
+    if (!sibling || Object.keys(sibling).length === 0 || !sibling.user_id) {
+      const row = await getOrderModel(userType).findOne({ where: { order_id: sid } });
+      if (!row) throw new PendingLinkError('OCO order not found', 404);
+      sibling = {
+        user_id: String(row.order_user_id),
+        user_type: userType,
+        symbol: row.symbol,
+        order_type: row.order_type,
+        order_status: row.order_status,
+      };
+    }
+    if (String(sibling.user_id) !== String(userId) || String(sibling.user_type || userType).toLowerCase() !== userType) {
+      throw new PendingLinkError('OCO order does not belong to user', 403);
+    }
+    const st = String(sibling.order_status || '').toUpperCase();
+    if (!PENDING_STATUSES.includes(st)) {
+      throw new PendingLinkError(`OCO order is not pending (current: ${st})`, 409);
+    }
+    if (String(sibling.symbol || '').toUpperCase() !== String(symbol).toUpperCase()) {
+      throw new PendingLinkError('OCO orders must be on the same symbol');
+    }
+    const existing = await this.getLink(sid);
+    if (existing && existing.oco_sibling_id) {
+      throw new PendingLinkError(`OCO order is already linked to ${existing.oco_sibling_id}`, 409);
+    }
+    return sibling;
+  }
+
+  /**
+   * Validate bracket levels against the pending entry price.
+   * BUY entries need stop_loss below and take_profit above the entry; SELL entries the opposite.
+   */
+  validateBracket({ orderType, orderPrice, stopLoss = null, takeProfit = null }) {
+    const side = sideOf(orderType);
+    const price = toNumber(orderPrice);
+    const sl = stopLoss != null ? toNumber(stopLoss) : null;
+    const tp = takeProfit != null ? toNumber(takeProfit) : null;
+    if (sl != null && !(sl > 0)) throw new PendingLinkError('stop_loss must be > 0');
+    if (tp != null && !(tp > 0)) throw new PendingLinkError('take_profit must be > 0');
+    if (side === 'BUY') {
+      if (sl != null && !(sl < price)) throw new PendingLinkError('For BUY entries, stop_loss must be less than order_price');
+      if (tp != null && !(tp > price)) throw new PendingLinkError('For BUY entries, take_profit must be greater than order_price');
+    } else {
+      if (sl != null && !(sl > price)) throw new PendingLinkError('For SELL entries, stop_loss must be greater than order_price');
+      if (tp != null && !(tp < price)) throw new PendingLinkError('For SELL entries, take_profit must be less than order_price');
+    }
+    return { stopLoss: sl, takeProfit: tp };
+  }
+
+  /**
+   * Link two pending orders as a one-cancels-other pair.
+   */
+  async linkOco({ orderId, siblingOrderId, userId, userType, symbol }) {
+    const oid = String(orderId);
+    const sid = String(siblingOrderId);
+    const ownLinkId = idGenerator.generateOcoLinkId();
+    const siblingLinkId = idGenerator.generateOcoLinkId();
+    const base = { user_id: String(userId), user_type: String(userType), symbol: String(symbol).toUpperCase() };
+
+    await redisCluster.hset(this.linkKey(oid), { ...base, oco_link_id: ownLinkId, oco_sibling_id: sid, oco_sibling_link_id: siblingLinkId });
+    await redisCluster.hset(this.linkKey(sid), { ...base, oco_link_id: siblingLinkId, oco_sibling_id: oid, oco_sibling_link_id: ownLinkId });
+
+    try {
+      await orderLifecycleService.addLifecycleId(oid, 'oco_link_id', ownLinkId, `OCO linked with order ${sid}`);
+      await orderLifecycleService.addLifecycleId(sid, 'oco_link_id', siblingLinkId, `OCO linked with order ${oid}`);
+    } catch (e) {
+      logger.warn('Failed to record OCO lifecycle ids', { order_id: oid, sibling_order_id: sid, error: e.message });
+    }
+
+    logger.info('OCO pair linked', { order_id: oid, sibling_order_id: sid, oco_link_id: ownLinkId });
+    return { oco_link_id: ownLinkId, oco_sibling_id: sid };
+  }
+
+  /**
+   * Store bracket SL/TP on a pending entry.
+   */
+  async setBracket({ orderId, userId, userType, symbol, stopLoss = null, takeProfit = null }) {
+    const oid = String(orderId);
+    const bracketId = idGenerator.generateBracketId();
+    const fields = {
+      user_id: String(userId),
+      user_type: String(userType),
+      symbol: String(symbol).toUpperCase(),
+      bracket_id: bracketId,
+    };
+    if (stopLoss != null) fields.stop_loss = String(stopLoss);
+    if (takeProfit != null) fields.take_profit = String(takeProfit);
+    await redisCluster.hset(this.linkKey(oid), fields);
+
+    try {
+      await orderLifecycleService.addLifecycleId(
+        oid,
+        'bracket_id',
+        bracketId,
+        `Bracket - stop_loss: ${stopLoss != null ? stopLoss : 'none'}, take_profit: ${takeProfit != null ? takeProfit : 'none'}`
+      );
+    } catch (e) {
+      logger.warn('Failed to record bracket lifecycle id', { order_id: oid, error: e.message });
+    }
+
+    logger.info('Bracket set on pending order', { order_id: oid, bracket_id: bracketId, stop_loss: stopLoss, take_profit: takeProfit });
+    return { bracket_id: bracketId, stop_loss: stopLoss, take_profit: takeProfit };
+  }
+
+  /**
+   * Drop all link state of an order that left the pending book without filling
+   * (user/admin cancel, provider cancel confirmation, rejection). An OCO sibling stays pending on its own.
+   */
+  async unlink(orderId, { reason = 'cancelled' } = {}) {
+    const oid = String(orderId);
+    try {
+      const link = await this.getLink(oid);
+      if (!link) return false;
+      await redisCluster.del(this.linkKey(oid));
+      if (link.oco_sibling_id) {
+        await redisCluster.hdel(this.linkKey(link.oco_sibling_id), 'oco_link_id', 'oco_sibling_id', 'oco_sibling_link_id');
+        await this._deleteIfEmpty(link.oco_sibling_id);
+        await orderLifecycleService.updateLifecycleStatus(link.oco_link_id, 'cancelled', `OCO link dropped: ${reason}`);
+        if (link.oco_sibling_link_id) {
+          await orderLifecycleService.updateLifecycleStatus(link.oco_sibling_link_id, 'cancelled', `OCO link dropped: order ${oid} ${reason}`);
+        }
+      }
+      if (link.bracket_id) {
+        await orderLifecycleService.updateLifecycleStatus(link.bracket_id, 'cancelled', `Bracket dropped: ${reason}`);
+      }
+      logger.info('Pending links removed', { order_id: oid, reason, oco_sibling_id: link.oco_sibling_id || null });
+      return true;
+    } catch (e) {
+      logger.warn('Failed to remove pending links', { order_id: oid, error: e.message });
+      return false;
+    }
+  }
+
+  async _deleteIfEmpty(orderId) {
+    const link = await this.getLink(orderId);
+    if (link && !link.oco_sibling_id && !link.bracket_id) {
+      await redisCluster.del(this.linkKey(orderId));
+    }
+  }
+
+  /**
+   * A linked pending order triggered: cancel its OCO sibling. Safe to call more than once per fill.
+   */
+  async onLegTriggered({ orderId }) {
+    const oid = String(orderId);
+    const link = await this.getLink(oid);
+    if (!link || !link.oco_sibling_id) return null;
+
+    // Both legs may trigger on the same tick; only the first fill resolves the pair
+    const pairKey = [link.oco_link_id, link.oco_sibling_link_id].sort().join(':');
+    const won = await redisCluster.set(`pending_oco_resolved:${pairKey}`, oid, 'EX', RESOLVE_TTL_SEC, 'NX');
+    if (!won) return null;
+
+    const siblingId = String(link.oco_sibling_id);
+    await redisCluster.hdel(this.linkKey(oid), 'oco_link_id', 'oco_sibling_id', 'oco_sibling_link_id');
+    await this._deleteIfEmpty(oid);
+    const siblingLink = await this.getLink(siblingId);
+    await redisCluster.del(this.linkKey(siblingId));
+
+    await orderLifecycleService.updateLifecycleStatus(link.oco_link_id, 'executed', `OCO leg filled; cancelling order ${siblingId}`);
+    if (link.oco_sibling_link_id) {
+      await orderLifecycleService.updateLifecycleStatus(link.oco_sibling_link_id, 'cancelled', `OCO sibling ${oid} filled`);
+    }
+    if (siblingLink && siblingLink.bracket_id) {
+      await orderLifecycleService.updateLifecycleStatus(siblingLink.bracket_id, 'cancelled', `OCO sibling ${oid} filled`);
+    }
+
+    const canonical = await redisCluster.hgetall(`order_data:${siblingId}`);
+    let symbol = canonical?.symbol;
+    let orderType = canonical?.order_type;
+    if (!symbol || !orderType) {
+      const row = await getOrderModel(link.user_type).findOne({ where: { order_id: siblingId } });
+      symbol = symbol || row?.symbol;
+      orderType = orderType || row?.order_type;
+    }
+
+    const { statusCode, body } = await invokeOrdersHandler('cancelPendingOrder', {
+      order_id: siblingId,
+      user_id: link.user_id,
+      user_type: link.user_type,
+      symbol: String(symbol || link.symbol).toUpperCase(),
+      order_type: String(orderType || '').toUpperCase(),
+      cancel_message: `OCO: cancelled because linked order ${oid} was filled`,
+    });
+    if (statusCode >= 300) {
+      logger.error('OCO sibling cancel failed', { order_id: oid, sibling_order_id: siblingId, statusCode, response: body });
+    } else {
+      logger.info('OCO sibling cancelled', { order_id: oid, sibling_order_id: siblingId, order_status: body?.order_status });
+    }
+    return { sibling_order_id: siblingId, statusCode, response: body };
+  }
+
+  /**
+   * A linked pending order is now an OPEN position: resolve any OCO pair and attach bracket SL/TP.
+   */
+  async onLegOpened({ orderId, userId, userType, symbol = null, orderType = null }) {
+    const oid = String(orderId);
+    await this.onLegTriggered({ orderId: oid });
+
+    const link = await this.getLink(oid);
+    if (!link || !link.bracket_id) return null;
+    const applied = await redisCluster.set(`pending_bracket_applied:${link.bracket_id}`, '1', 'EX', RESOLVE_TTL_SEC, 'NX');
+    if (!applied) return null;
+    await redisCluster.del(this.linkKey(oid));
+
+    const side = sideOf(orderType || '');
+    const base = {
+      order_id: oid,
+      user_id: String(userId || link.user_id),
+      user_type: String(userType || link.user_type),
+      symbol: String(symbol || link.symbol).toUpperCase(),
+      order_type: side,
+      order_status: 'OPEN',
+    };
+
+    const results = {};
+    if (link.stop_loss) {
+      results.stoploss = await invokeOrdersHandler('addStopLoss', { ...base, stop_loss: link.stop_loss, status: 'STOPLOSS' });
+    }
+    if (link.take_profit) {
+      results.takeprofit = await invokeOrdersHandler('addTakeProfit', { ...base, take_profit: link.take_profit, status: 'TAKEPROFIT' });
+    }
+
+    const failed = Object.entries(results).filter(([, r]) => r.statusCode >= 300);
+    const notes = Object.entries(results)
+      .map(([k, r]) => `${k}: ${r.statusCode < 300 ? 'attached' : `failed (${r.body?.message || r.body?.reason || r.statusCode})`}`)
+      .join(', ');
+    await orderLifecycleService.updateLifecycleStatus(link.bracket_id, 'executed', `Bracket entry filled - ${notes}`);
+
+    if (failed.length) {
+      logger.error('Bracket SL/TP attach failed', { order_id: oid, bracket_id: link.bracket_id, failed: failed.map(([k, r]) => ({ k, statusCode: r.statusCode, response: r.body })) });
+      try {
+        portfolioEvents.emitUserUpdate(base.user_type, base.user_id, {
+          type: 'order_update',
+          order_id: oid,
+          reason: 'bracket_attach_failed',
+          update: { bracket_id: link.bracket_id },
+        });
+      } catch (_) {}
+    } else {
+      logger.info('Bracket SL/TP attached', { order_id: oid, bracket_id: link.bracket_id, stop_loss: link.stop_loss || null, take_profit: link.take_profit || null });
+    }
+    return results;
+  }
+}
+
+const pendingLinkService = new PendingLinkService();
+pendingLinkService.PendingLinkError = PendingLinkError;
+
+module.exports = pendingLinkService;
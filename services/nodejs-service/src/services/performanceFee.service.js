@@ -0,0 +1,357 @@
+const { Op, Transaction } = require('sequelize');
+const sequelize = require('../config/db');
+const CopyFollowerAccount = require('../models/copyFollowerAccount.model');
+const CopyFollowerOrder = require('../models/copyFollowerOrder.model');
+const StrategyProviderAccount = require('../models/strategyProviderAccount.model');
+const UserTransaction = require('../models/userTransaction.model');
+const PerformanceFeeSettlement = require('../models/performanceFeeSettlement.model');
+const idGenerator = require('./idGenerator.service');
+const logger = require('./logger.service');
+const redisSyncService = require('./redis.sync.service');
+const { toAmount, roundAmount } = require('../utils/number.util');
+const { ServiceError } = require('../utils/serviceError.util');
+
+const SETTLEMENT_PERIODS = ['weekly', 'monthly'];
+const DEFAULT_PERIOD = 'monthly';
+const BATCH_SIZE = 200;
+
+class PerformanceFeeError extends ServiceError {}
+
+/**
+ * Performance fees for copy trading, settled per period against a high-water mark.
+ *
+ * At the end of each settlement period (the provider's fee_settlement_period: weekly periods end
+ * Monday 00:00 UTC, monthly ones on the 1st at 00:00 UTC) the follower's equity is compared with
+ * its high-water mark. Only the part above the mark is charged, so a follower never pays twice for
+ * recovering the same losses. After a fee the mark moves to the post-fee equity; without one it
+ * stays where it was.
+ *
+ * Equity is realized equity: the follower wallet at period end (wallet_balance minus the P&L of
+ * copied orders closed since). Open positions count in the period they close.
+ */
+class PerformanceFeeService {
+
+  /**
+   * The most recent complete settlement period at `now`.
+   * @param {string} period - weekly | monthly
+   * @param {Date} [now]
+   * @returns {{ period: string, start: Date, end: Date }}
+   */
+  getLastCompletedPeriod(period, now = new Date()) {
+    const p = SETTLEMENT_PERIODS.includes(period) ? period : DEFAULT_PERIOD;
+    if (p === 'weekly') {
+      const end = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+      // getUTCDay: 0 = Sunday, 1 = Monday
+      end.setUTCDate(end.getUTCDate() - ((end.getUTCDay() + 6) % 7));
+      const start = new Date(end);
+      start.setUTCDate(start.getUTCDate() - 7);
+      return { period: p, start, end };
+    }
+    const end = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1));
+    return { period: p, start, end };
+  }
+
+  /**
+   * Fee due for one period against the high-water mark
+   * @param {Object} params
+   * @param {number} params.equity - Equity at period end
+   * @param {number} params.highWaterMark - Mark before this period
+   * @param {number} params.feePercentage - Provider performance fee in percent
+   * @param {number} params.walletBalance - Current wallet; the fee never takes it below zero
+   * @returns {{ profitAboveHwm: number, feeAmount: number, highWaterMarkAfter: number }}
+   */
+  calculateFee({ equity, highWaterMark, feePercentage, walletBalance }) {
+    const profitAboveHwm = roundAmount(Math.max(0, toAmount(equity) - toAmount(highWaterMark)), 6);
+    // Never take the wallet below zero when the follower lost money after the period end
+    const feeAmount = roundAmount(Math.min(profitAboveHwm * toAmount(feePercentage) / 100, Math.max(0, toAmount(walletBalance))), 6);
+    const highWaterMarkAfter = feeAmount > 0 ? roundAmount(toAmount(equity) - feeAmount, 6) : roundAmount(highWaterMark, 6);
+    return { profitAboveHwm, feeAmount, highWaterMarkAfter };
+  }
+
+  /**
+   * Settle every follower account whose latest completed period has not been settled yet.
+   * Safe to run repeatedly; (copy_follower_account_id, period_end) is unique.
+   * @param {Object} [options]
+   * @param {Date} [options.now]
+   * @returns {Promise<Object>} Run summary
+   */
+  async settleDuePeriods({ now = new Date() } = {}) {
+    const summary = { processed: 0, settled: 0, no_fee: 0, skipped: 0, errors: 0, total_fees: 0 };
+    let lastId = 0;
+
+    for (;;) {
+      const followers = await CopyFollowerAccount.findAll({
+        // Closed accounts get their final settlement when they unfollow
+        where: { id: { [Op.gt]: lastId }, unfollowed_at: null },
+        attributes: ['id', 'strategy_provider_id', 'subscription_date', 'created_at'],
+        include: [{
+          model: StrategyProviderAccount,
+          as: 'strategyProvider',
+          attributes: ['id', 'fee_settlement_period']
+        }],
+        order: [['id', 'ASC']],
+        limit: BATCH_SIZE
+      });
+      if (followers.length === 0) break;
+      lastId = followers[followers.length - 1].id;
+
+      for (const follower of followers) {
+        summary.processed++;
+        try {
+          const window = this.getLastCompletedPeriod(follower.strategyProvider?.fee_settlement_period, now);
+          const since = follower.subscription_date || follower.created_at;
+          if (since && new Date(since) >= window.end) {
+            summary.skipped++;
+            continue;
+          }
+          const result = await this.settleFollower(follower.id, window, { now });
+          if (!result) {
+            summary.skipped++;
+          } else if (result.status === 'settled') {
+            summary.settled++;
+            summary.total_fees = roundAmount(summary.total_fees + toAmount(result.fee_amount), 6);
+          } else {
+            summary.no_fee++;
+          }
+        } catch (error) {
+          summary.errors++;
+          logger.error('Performance fee settlement failed for follower', {
+            copyFollowerAccountId: follower.id,
+            error: error.message
+          });
+        }
+      }
+    }
+
+    logger.info('Performance fee settlement run completed', summary);
+    return summary;
+  }
+
+  /**
+   * Settle one follower account for one period.
+   * @param {number} copyFollowerAccountId
+   * @param {{ period: string, start: Date, end: Date }} window
+   * @param {Object} [options]
+   * @param {Date} [options.now]
+   * @returns {Promise<Object|null>} The settlement row, or null when the period is already settled
+   */
+  async settleFollower(copyFollowerAccountId, window, { now = new Date() } = {}) {
+    const existing = await PerformanceFeeSettlement.findOne({
+      where: { copy_follower_account_id: copyFollowerAccountId, period_end: window.end },
+      attributes: ['id']
+    });
+    if (existing) return null;
+
+    let result;
+    try {
+      result = await sequelize.transaction({ isolationLevel: Transaction.ISOLATION_LEVELS.READ_COMMITTED }, async (t) => {
+        // Follower first, then provider, so concurrent settlements lock in the same order
+        const follower = await CopyFollowerAccount.findByPk(copyFollowerAccountId, { transaction: t, lock: t.LOCK.UPDATE });
+        if (!follower) {
+          throw new PerformanceFeeError('Copy follower account not found', 404);
+        }
+        const provider = await StrategyProviderAccount.findByPk(follower.strategy_provider_id, { transaction: t, lock: t.LOCK.UPDATE });
+        if (!provider) {
+          throw new PerformanceFeeError('Strategy provider account not found', 404);
+        }
+
+        // Orders closed after the period end belong to the next period
+        const laterPnl = toAmount(await CopyFollowerOrder.sum('net_profit', {
+          where: {
+            copy_follower_account_id: follower.id,
+            order_status: 'CLOSED',
+            updated_at: { [Op.gte]: window.end }
+          },
+          transaction: t
+        }));
+
+        const walletBefore = toAmount(follower.wallet_balance);
+        const equity = roundAmount(walletBefore - laterPnl, 6);
+        const hwmBefore = roundAmount(follower.high_water_mark ?? follower.initial_investment ?? follower.investment_amount, 6);
+        const feePercentage = toAmount(provider.performance_fee);
+        const { profitAboveHwm, feeAmount, highWaterMarkAfter: hwmAfter } = this.calculateFee({
+          equity,
+          highWaterMark: hwmBefore,
+          feePercentage,
+          walletBalance: walletBefore
+        });
+
+        let followerTxnId = null;
+        let providerTxnId = null;
+        let providerBalanceAfter = null;
+
+        if (feeAmount > 0) {
+          const metadata = {
+            period: window.period,
+            period_start: window.start.toISOString(),
+            period_end: window.end.toISOString(),
+            equity,
+            high_water_mark_before: hwmBefore,
+            high_water_mark_after: hwmAfter,
+            profit_above_hwm: profitAboveHwm,
+            fee_percentage: feePercentage,
+            copy_follower_account_id: follower.id,
+            strategy_provider_id: provider.id
+          };
+
+          followerTxnId = await idGenerator.generateTransactionId();
+          await UserTransaction.create({
+            transaction_id: followerTxnId,
+            user_id: follower.id,
+            user_type: 'copy_follower',
+            type: 'performance_fee',
+            amount: -feeAmount,
+            balance_before: walletBefore,
+            balance_after: roundAmount(walletBefore - feeAmount, 6),
+            status: 'completed',
+            notes: `Performance fee to ${provider.strategy_name || `strategy ${provider.id}`} for ${window.period} period ending ${window.end.toISOString().slice(0, 10)}`,
+            metadata
+          }, { transaction: t });
+
+          const providerBalanceBefore = toAmount(provider.wallet_balance);
+          providerBalanceAfter = roundAmount(providerBalanceBefore + feeAmount, 6);
+          providerTxnId = await idGenerator.generateTransactionId();
+          await UserTransaction.create({
+            transaction_id: providerTxnId,
+            user_id: provider.id,
+            user_type: 'strategy_provider',
+            type: 'performance_fee',
+            amount: feeAmount,
+            balance_before: providerBalanceBefore,
+            balance_after: providerBalanceAfter,
+            status: 'completed',
+            notes: `Performance fee from follower account ${follower.id} for ${window.period} period ending ${window.end.toISOString().slice(0, 10)}`,
+            metadata
+          }, { transaction: t });
+
+          await follower.update({
+            wallet_balance: roundAmount(walletBefore - feeAmount, 6),
+            total_fees_paid: roundAmount(toAmount(follower.total_fees_paid) + feeAmount, 6)
+          }, { transaction: t });
+          await provider.update({ wallet_balance: providerBalanceAfter }, { transaction: t });
+        }
+
+        await follower.update({ high_water_mark: hwmAfter, last_fee_settlement_at: now }, { transaction: t });
+
+        const settlement = await PerformanceFeeSettlement.create({
+          copy_follower_account_id: follower.id,
+          strategy_provider_id: provider.id,
+          follower_user_id: follower.user_id,
+          period: window.period,
+          period_start: window.start,
+          period_end: window.end,
+          fee_percentage: feePercentage,
+          equity,
+          high_water_mark_before: hwmBefore,
+          high_water_mark_after: hwmAfter,
+          profit_above_hwm: profitAboveHwm,
+          fee_amount: feeAmount,
+          status: feeAmount > 0 ? 'settled' : 'no_fee',
+          follower_transaction_id: followerTxnId,
+          provider_transaction_id: providerTxnId
+        }, { transaction: t });
+
+        const [ordersCount] = await CopyFollowerOrder.update({
+          fee_settlement_id: settlement.id,
+          fee_status: feeAmount > 0 ? 'paid' : 'calculated',
+          fee_calculation_date: now,
+          fee_payment_date: feeAmount > 0 ? now : null
+        }, {
+          where: {
+            copy_follower_account_id: follower.id,
+            order_status: 'CLOSED',
+            fee_settlement_id: null,
+            fee_status: { [Op.in]: ['pending', 'calculated'] },
+            updated_at: { [Op.lt]: window.end }
+          },
+          transaction: t
+        });
+        if (ordersCount > 0) {
+          await settlement.update({ orders_count: ordersCount }, { transaction: t });
+        }
+
+        return {
+          settlement,
+          followerBalanceAfter: toAmount(follower.wallet_balance),
+          providerBalanceAfter,
+          providerId: provider.id
+        };
+      });
+    } catch (error) {
+      // Another instance settled the same period first
+      if (error.name === 'SequelizeUniqueConstraintError') return null;
+      throw error;
+    }
+
+    const { settlement } = result;
+    if (toAmount(settlement.fee_amount) > 0) {
+      const syncOptions = { operation_type: 'performance_fee', cachedOnly: true };
+      await redisSyncService.syncUserAfterBalanceChange(copyFollowerAccountId, 'copy_follower', { wallet_balance: result.followerBalanceAfter }, syncOptions);
+      await redisSyncService.syncUserAfterBalanceChange(result.providerId, 'strategy_provider', { wallet_balance: result.providerBalanceAfter }, syncOptions);
+    }
+
+    logger.info('Performance fee period settled', {
+      copyFollowerAccountId,
+      strategyProviderId: result.providerId,
+      period: window.period,
+      periodEnd: window.end.toISOString(),
+      status: settlement.status,
+      equity: toAmount(settlement.equity),
+      highWaterMarkBefore: toAmount(settlement.high_water_mark_before),
+      feeAmount: toAmount(settlement.fee_amount),
+      ordersCount: settlement.orders_count
+    });
+
+    return settlement;
+  }
+
+  /**
+   * Settlement history of a follower account owned by the user
+   * @param {number} userId - Live user ID
+   * @param {number} copyFollowerAccountId
+   * @param {Object} [options]
+   * @returns {Promise<Object>}
+   */
+  async getFollowerSettlements(userId, copyFollowerAccountId, { page = 1, limit = 20 } = {}) {
+    const follower = await CopyFollowerAccount.findOne({
+      where: { id: copyFollowerAccountId, user_id: userId },
+      attributes: ['id', 'account_name', 'initial_investment', 'high_water_mark', 'total_fees_paid', 'last_fee_settlement_at']
+    });
+    if (!follower) {
+      throw new PerformanceFeeError('Copy follower account not found', 404);
+    }
+
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+    const { count, rows } = await PerformanceFeeSettlement.findAndCountAll({
+      where: { copy_follower_account_id: follower.id },
+      order: [['period_end', 'DESC']],
+      limit: pageSize,
+      offset: (pageNum - 1) * pageSize
+    });
+
+    return {
+      account: {
+        id: follower.id,
+        account_name: follower.account_name,
+        high_water_mark: follower.high_water_mark ?? follower.initial_investment,
+        total_fees_paid: follower.total_fees_paid,
+        last_fee_settlement_at: follower.last_fee_settlement_at
+      },
+      settlements: rows,
+      pagination: {
+        total: count,
+        page: pageNum,
+        limit: pageSize,
+        total_pages: Math.ceil(count / pageSize)
+      }
+    };
+  }
+}
+
+const performanceFeeService = new PerformanceFeeService();
+performanceFeeService.PerformanceFeeError = PerformanceFeeError;
+performanceFeeService.SETTLEMENT_PERIODS = SETTLEMENT_PERIODS;
+
+module.exports = performanceFeeService;
@@ -0,0 +1,502 @@
+const logger = require('./logger.service');
+const { redisCluster } = require('../../config/redis');
+const portfolioEvents = require('./events/portfolio.events');
+const { sendPriceAlertEmail } = require('./email.service');
+const PriceAlert = require('../models/priceAlert.model');
+const UserFavorite = require('../models/userFavorite.model');
+const SymbolModel = require('../models/symbol.model');
+const LiveUser = require('../models/liveUser.model');
+const DemoUser = require('../models/demoUser.model');
+const { toNumber } = require('../utils/number.util');
+const { ServiceError } = require('../utils/serviceError.util');
+
+const CONDITIONS = ['crosses_above', 'crosses_below', 'percent_move'];
+const PRICE_FIELDS = ['bid', 'ask'];
+const DIRECTIONS = ['up', 'down', 'any'];
+const MODES = ['one_shot', 'repeating'];
+const USER_STATUSES = ['active', 'disabled'];
+const MARKET_CHANNEL = 'market_price_updates';
+const MAX_ALERTS_PER_USER = parseInt(process.env.PRICE_ALERT_MAX_PER_USER || '50', 10) || 50;
+const MIN_COOLDOWN_SEC = 60;
+const DEFAULT_COOLDOWN_SEC = 300;
+const DEFAULT_WINDOW_MINUTES = 60;
+const MAX_WINDOW_MINUTES = 1440;
+const ALERT_REFRESH_MS = 30000;
+// Percent-move alerts compare against sampled prices kept in Redis for the longest window
+const TICK_SAMPLE_MS = 10000;
+const TICK_REFERENCE_TOLERANCE_MS = 60000;
+const FIRE_LOCK_TTL_SEC = 10;
+
+class PriceAlertError extends ServiceError {}
+
+function isSet(v) {
+  return v !== undefined && v !== null && v !== '';
+}
+
+function toBool(v) {
+  if (typeof v === 'boolean') return v;
+  return ['true', '1', 'yes'].includes(String(v).trim().toLowerCase());
+}
+
+function pickEnum(value, allowed, name) {
+  const v = String(value).trim().toLowerCase();
+  if (!allowed.includes(v)) throw new PriceAlertError(`${name} must be one of: ${allowed.join(', ')}`);
+  return v;
+}
+
+function serializeAlert(alert) {
+  const a = alert && typeof alert.get === 'function' ? alert.get({ plain: true }) : alert;
+  const num = (v) => (isSet(v) && Number.isFinite(Number(v)) ? Number(v) : null);
+  return {
+    id: a.id,
+    user_id: a.user_id,
+    user_type: a.user_type,
+    symbol: a.symbol,
+    condition: a.condition,
+    price_field: a.price_field,
+    target_price: num(a.target_price),
+    percent: num(a.percent),
+    window_minutes: a.window_minutes ?? null,
+    direction: a.direction ?? null,
+    mode: a.mode,
+    cooldown_seconds: a.cooldown_seconds,
+    notify_email: !!a.notify_email,
+    status: a.status,
+    armed: !!a.armed,
+    last_triggered_at: a.last_triggered_at || null,
+    last_trigger_price: num(a.last_trigger_price),
+    trigger_count: a.trigger_count || 0,
+    note: a.note ?? null,
+    created_at: a.created_at || null,
+    updated_at: a.updated_at || null,
+  };
+}
+
+/**
+ * Symbol price alerts.
+ *
+ * Alerts are stored in SQL (price_alerts). Every instance keeps the active alerts in memory,
+ * grouped by symbol, and evaluates them on market_price_updates:
+ * - crosses_above / crosses_below fire when the watched price reaches target_price. An alert is
+ *   armed only while the price is on the other side of the level, so a crossing fires once and a
+ *   repeating alert re-arms when the price comes back.
+ * - percent_move fires when the price moved by `percent` against the price `window_minutes` ago.
+ *   Reference prices are sampled into price_alert_ticks:{symbol} so all instances share them.
+ * A trigger takes a short Redis lock and re-reads the row, so only one instance fires it.
+ * Triggered alerts go out as portfolio events (price_alert_triggered) and optionally by email.
+ */
+class PriceAlertService {
+  constructor() {
+    this.started = false;
+    this.alertsBySymbol = new Map(); // symbol -> Map(id -> alert)
+    this.inFlightSymbols = new Set();
+    this.lastSampleAt = new Map(); // symbol -> ms
+    this.refreshTimer = null;
+  }
+
+  ticksKey(symbol) {
+    return `price_alert_ticks:${symbol}`;
+  }
+
+  async getMarketPrices(symbol) {
+    const [bid, ask] = await redisCluster.hmget(`market:${symbol}`, 'bid', 'ask');
+    return { bid: toNumber(bid), ask: toNumber(ask) };
+  }
+
+  /**
+   * Validate alert fields from a request body. With `existing`, only the given fields are
+   * validated and the rest are taken from the stored alert.
+   * @param {Object} body
+   * @param {Object|null} existing - Plain alert when updating
+   * @returns {Object} Column values to write
+   */
+  parseAlertInput(body = {}, existing = null) {
+    const values = {};
+
+    if (existing) {
+      if (isSet(body.symbol) && String(body.symbol).trim().toUpperCase() !== existing.symbol) {
+        throw new PriceAlertError('symbol cannot be changed; create a new alert instead');
+      }
+      if (isSet(body.condition) && String(body.condition).trim().toLowerCase() !== existing.condition) {
+        throw new PriceAlertError('condition cannot be changed; create a new alert instead');
+      }
+    } else {
+      values.symbol = String(body.symbol || '').trim().toUpperCase();
+      if (!values.symbol) throw new PriceAlertError('symbol is required');
+      values.condition = pickEnum(body.condition || '', CONDITIONS, 'condition');
+    }
+    const condition = existing ? existing.condition : values.condition;
+
+    if (isSet(body.price_field)) values.price_field = pickEnum(body.price_field, PRICE_FIELDS, 'price_field');
+    if (isSet(body.mode)) values.mode = pickEnum(body.mode, MODES, 'mode');
+    if (isSet(body.notify_email)) values.notify_email = toBool(body.notify_email);
+    if (body.note !== undefined) {
+      values.note = isSet(body.note) ? String(body.note).trim().slice(0, 255) : null;
+    }
+    if (isSet(body.cooldown_seconds)) {
+      const cooldown = parseInt(body.cooldown_seconds, 10);
+      if (!Number.isFinite(cooldown) || cooldown < MIN_COOLDOWN_SEC) {
+        throw new PriceAlertError(`cooldown_seconds must be at least ${MIN_COOLDOWN_SEC}`);
+      }
+      values.cooldown_seconds = cooldown;
+    }
+    if (existing && isSet(body.status)) values.status = pickEnum(body.status, USER_STATUSES, 'status');
+
+    if (condition === 'percent_move') {
+      if (isSet(body.target_price)) throw new PriceAlertError('target_price is not used by percent_move alerts');
+      if (!existing || isSet(body.percent)) {
+        const percent = toNumber(body.percent);
+        if (!(percent > 0) || percent > 100) throw new PriceAlertError('percent must be greater than 0 and at most 100');
+        values.percent = percent;
+      }
+      if (!existing || isSet(body.window_minutes)) {
+        const windowMinutes = isSet(body.window_minutes) ? parseInt(body.window_minutes, 10) : DEFAULT_WINDOW_MINUTES;
+        if (!Number.isFinite(windowMinutes) || windowMinutes < 1 || windowMinutes > MAX_WINDOW_MINUTES) {
+          throw new PriceAlertError(`window_minutes must be between 1 and ${MAX_WINDOW_MINUTES}`);
+        }
+        values.window_minutes = windowMinutes;
+      }
+      if (!existing || isSet(body.direction)) {
+        values.direction = isSet(body.direction) ? pickEnum(body.direction, DIRECTIONS, 'direction') : 'any';
+      }
+    } else {
+      if (isSet(body.percent) || isSet(body.window_minutes) || isSet(body.direction)) {
+        throw new PriceAlertError('percent, window_minutes and direction are only used by percent_move alerts');
+      }
+      if (!existing || isSet(body.target_price)) {
+        const target = toNumber(body.target_price);
+        if (!(target > 0)) throw new PriceAlertError('target_price must be greater than 0');
+        values.target_price = target;
+      }
+    }
+    return values;
+  }
+
+  /**
+   * A crossing alert is armed while the price is still on the near side of its level.
+   * Without a market price the alert starts armed and the first tick decides.
+   */
+  isArmedAt(alert, prices) {
+    if (alert.condition === 'percent_move') return true;
+    const price = prices[alert.price_field || 'bid'];
+    if (!(price > 0)) return true;
+    const target = toNumber(alert.target_price);
+    return alert.condition === 'crosses_above' ? price < target : price > target;
+  }
+
+  async assertFavorite(userType, userId, symbol) {
+    const sym = await SymbolModel.findOne({ where: { name: symbol }, attributes: ['id', 'name'] });
+    if (!sym) throw new PriceAlertError('Symbol not found', 404);
+    const fav = await UserFavorite.findOne({
+      where: { user_id: parseInt(userId, 10), user_type: userType, symbol_id: sym.id },
+      attributes: ['id'],
+    });
+    if (!fav) throw new PriceAlertError(`Add ${symbol} to your favorites before creating an alert on it`);
+  }
+
+  async getOwnedAlert(userType, userId, alertId) {
+    const id = parseInt(alertId, 10);
+    if (!Number.isFinite(id)) throw new PriceAlertError('Invalid alert id');
+    const alert = await PriceAlert.findOne({ where: { id, user_id: parseInt(userId, 10), user_type: userType } });
+    if (!alert) throw new PriceAlertError('Alert not found', 404);
+    return alert;
+  }
+
+  async createAlert({ userType, userId, body }) {
+    const values = this.parseAlertInput(body);
+    await this.assertFavorite(userType, userId, values.symbol);
+
+    const activeCount = await PriceAlert.count({
+      where: { user_id: parseInt(userId, 10), user_type: userType, status: 'active' },
+    });
+    if (activeCount >= MAX_ALERTS_PER_USER) {
+      throw new PriceAlertError(`You can have at most ${MAX_ALERTS_PER_USER} active alerts`, 409);
+    }
+
+    const draft = { price_field: 'bid', ...values };
+    const prices = await this.getMarketPrices(values.symbol).catch(() => ({ bid: NaN, ask: NaN }));
+    const alert = await PriceAlert.create({
+      ...draft,
+      user_id: parseInt(userId, 10),
+      user_type: userType,
+      cooldown_seconds: values.cooldown_seconds || DEFAULT_COOLDOWN_SEC,
+      status: 'active',
+      armed: this.isArmedAt(draft, prices),
+    });
+    this.cacheAlert(alert);
+    logger.info('Price alert created', { alertId: alert.id, userType, userId: String(userId), symbol: alert.symbol, condition: alert.condition });
+    return serializeAlert(alert);
+  }
+
+  async listAlerts({ userType, userId, status = null, symbol = null }) {
+    const where = { user_id: parseInt(userId, 10), user_type: userType };
+    if (isSet(status)) where.status = pickEnum(status, ['active', 'triggered', 'disabled'], 'status');
+    if (isSet(symbol)) where.symbol = String(symbol).trim().toUpperCase();
+    const rows = await PriceAlert.findAll({ where, order: [['created_at', 'DESC'], ['id', 'DESC']] });
+    return rows.map(serializeAlert);
+  }
+
+  async updateAlert({ userType, userId, alertId, body }) {
+    const alert = await this.getOwnedAlert(userType, userId, alertId);
+    const current = alert.get({ plain: true });
+    const values = this.parseAlertInput(body, current);
+    if (Object.keys(values).length === 0) throw new PriceAlertError('No updatable fields provided');
+
+    const next = { ...current, ...values };
+    if (values.status === 'active' && current.status !== 'active') {
+      await this.assertFavorite(userType, userId, current.symbol);
+    }
+    // A new level or a re-activation starts from where the market is now
+    if (values.target_price !== undefined || values.price_field !== undefined || values.status === 'active') {
+      const prices = await this.getMarketPrices(current.symbol).catch(() => ({ bid: NaN, ask: NaN }));
+      values.armed = this.isArmedAt(next, prices);
+    }
+
+    await alert.update(values);
+    if (alert.status === 'active') this.cacheAlert(alert);
+    else this.uncacheAlert(alert.symbol, alert.id);
+    return serializeAlert(alert);
+  }
+
+  async deleteAlert({ userType, userId, alertId }) {
+    const alert = await this.getOwnedAlert(userType, userId, alertId);
+    await alert.destroy();
+    this.uncacheAlert(alert.symbol, alert.id);
+    return { id: alert.id };
+  }
+
+  cacheAlert(alert) {
+    const a = serializeAlert(alert);
+    if (a.status !== 'active') {
+      this.uncacheAlert(a.symbol, a.id);
+      return;
+    }
+    if (!this.alertsBySymbol.has(a.symbol)) this.alertsBySymbol.set(a.symbol, new Map());
+    this.alertsBySymbol.get(a.symbol).set(a.id, a);
+  }
+
+  uncacheAlert(symbol, id) {
+    const bySymbol = this.alertsBySymbol.get(symbol);
+    if (!bySymbol) return;
+    bySymbol.delete(id);
+    if (bySymbol.size === 0) this.alertsBySymbol.delete(symbol);
+  }
+
+  /**
+   * Start evaluating active alerts on market updates. Other instances create and trigger alerts
+   * too, so the in-memory set is reloaded from SQL periodically.
+   */
+  async start() {
+    if (this.started) return;
+    this.started = true;
+
+    try {
+      await this.refreshAlerts();
+    } catch (e) {
+      logger.error('Price alerts: failed to load active alerts on startup', { error: e.message });
+    }
+
+    redisCluster.on('message', (channel, message) => {
+      if (channel !== MARKET_CHANNEL) return;
+      const symbol = String(message || '').toUpperCase();
+      if (!this.alertsBySymbol.has(symbol)) return;
+      this.onPriceUpdate(symbol).catch((e) => {
+        logger.warn('Price alerts: price update handling failed', { symbol, error: e.message });
+      });
+    });
+    await redisCluster.subscribe(MARKET_CHANNEL);
+
+    this.refreshTimer = setInterval(() => {
+      this.refreshAlerts().catch(() => {});
+    }, ALERT_REFRESH_MS);
+
+    logger.info('Price alert engine started', { symbols: this.alertsBySymbol.size });
+  }
+
+  stop() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+    this.started = false;
+  }
+
+  async refreshAlerts() {
+    const rows = await PriceAlert.findAll({ where: { status: 'active' } });
+    const next = new Map();
+    for (const row of rows) {
+      const a = serializeAlert(row);
+      if (!next.has(a.symbol)) next.set(a.symbol, new Map());
+      next.get(a.symbol).set(a.id, a);
+    }
+    this.alertsBySymbol = next;
+  }
+
+  async onPriceUpdate(symbol) {
+    // One evaluation per symbol at a time; ticks arriving meanwhile are covered by the next one
+    if (this.inFlightSymbols.has(symbol)) return;
+    this.inFlightSymbols.add(symbol);
+    try {
+      const alerts = [...(this.alertsBySymbol.get(symbol) || new Map()).values()];
+      if (alerts.length === 0) return;
+      const prices = await this.getMarketPrices(symbol);
+      if (!(prices.bid > 0) && !(prices.ask > 0)) return;
+
+      const now = Date.now();
+      if (alerts.some((a) => a.condition === 'percent_move')) {
+        await this.sampleTick(symbol, prices, now);
+      }
+      for (const alert of alerts) {
+        try {
+          await this.evaluate(alert, prices, now);
+        } catch (e) {
+          logger.warn('Price alerts: evaluation failed', { alertId: alert.id, symbol, error: e.message });
+        }
+      }
+    } finally {
+      this.inFlightSymbols.delete(symbol);
+    }
+  }
+
+  async sampleTick(symbol, prices, now) {
+    const last = this.lastSampleAt.get(symbol) || 0;
+    if (now - last < TICK_SAMPLE_MS) return;
+    this.lastSampleAt.set(symbol, now);
+    const key = this.ticksKey(symbol);
+    const retentionMs = (MAX_WINDOW_MINUTES * 60000) + TICK_REFERENCE_TOLERANCE_MS;
+    const pipe = redisCluster.pipeline();
+    pipe.zadd(key, now, `${now}|${prices.bid}|${prices.ask}`);
+    pipe.zremrangebyscore(key, '-inf', now - retentionMs);
+    pipe.pexpire(key, retentionMs);
+    await pipe.exec();
+  }
+
+  /**
+   * Price `windowMinutes` ago: the latest sample at or before the window start, if it is recent
+   * enough to stand for that moment.
+   */
+  async getReferencePrice(symbol, field, windowMinutes, now) {
+    const windowStart = now - (windowMinutes * 60000);
+    const [member] = await redisCluster.zrevrangebyscore(this.ticksKey(symbol), windowStart, '-inf', 'LIMIT', 0, 1);
+    if (!member) return null;
+    const [ts, bid, ask] = String(member).split('|').map(Number);
+    if (!(windowStart - ts <= TICK_REFERENCE_TOLERANCE_MS)) return null;
+    const price = field === 'ask' ? ask : bid;
+    return price > 0 ? price : null;
+  }
+
+  cooledDown(alert, now) {
+    if (!alert.last_triggered_at) return true;
+    return now - new Date(alert.last_triggered_at).getTime() >= (alert.cooldown_seconds || 0) * 1000;
+  }
+
+  async evaluate(alert, prices, now) {
+    const field = alert.price_field || 'bid';
+    const price = prices[field];
+    if (!(price > 0)) return;
+
+    if (alert.condition === 'percent_move') {
+      if (!this.cooledDown(alert, now)) return;
+      const reference = await this.getReferencePrice(alert.symbol, field, alert.window_minutes || DEFAULT_WINDOW_MINUTES, now);
+      if (!reference) return;
+      const change = ((price - reference) / reference) * 100;
+      const hit = alert.direction === 'up'
+        ? change >= alert.percent
+        : alert.direction === 'down'
+          ? change <= -alert.percent
+          : Math.abs(change) >= alert.percent;
+      if (hit) {
+        await this.fire(alert, price, { reference_price: reference, change_percent: Number(change.toFixed(4)) });
+      }
+      return;
+    }
+
+    const reached = alert.condition === 'crosses_above' ? price >= alert.target_price : price <= alert.target_price;
+    if (!reached) {
+      if (!alert.armed) await this.rearm(alert);
+      return;
+    }
+    if (alert.armed && this.cooledDown(alert, now)) {
+      await this.fire(alert, price, {});
+    }
+  }
+
+  async rearm(alert) {
+    alert.armed = true;
+    await PriceAlert.update({ armed: true }, { where: { id: alert.id, status: 'active' } });
+  }
+
+  async fire(cached, price, extra) {
+    const lockKey = `price_alert_fire:${cached.id}`;
+    const locked = await redisCluster.set(lockKey, '1', 'EX', FIRE_LOCK_TTL_SEC, 'NX');
+    if (!locked) return;
+    try {
+      // Another instance may have fired, edited or removed it since the last refresh
+      const row = await PriceAlert.findByPk(cached.id);
+      if (!row || row.status !== 'active') {
+        this.uncacheAlert(cached.symbol, cached.id);
+        return;
+      }
+      const fresh = serializeAlert(row);
+      const now = Date.now();
+      if (!this.cooledDown(fresh, now)) {
+        this.cacheAlert(row);
+        return;
+      }
+      if (fresh.condition !== 'percent_move' && !fresh.armed) {
+        this.cacheAlert(row);
+        return;
+      }
+
+      const triggeredAt = new Date(now);
+      await row.update({
+        status: fresh.mode === 'one_shot' ? 'triggered' : 'active',
+        armed: fresh.condition === 'percent_move',
+        last_triggered_at: triggeredAt,
+        last_trigger_price: price,
+        trigger_count: (fresh.trigger_count || 0) + 1,
+      });
+      this.cacheAlert(row);
+
+      const notification = {
+        ...serializeAlert(row),
+        triggered_at: triggeredAt.toISOString(),
+        triggered_price: price,
+        ...extra,
+      };
+      portfolioEvents.emitUserUpdate(row.user_type, row.user_id, {
+        type: 'price_alert_triggered',
+        data: notification,
+      });
+      logger.info('Price alert triggered', {
+        alertId: row.id,
+        userType: row.user_type,
+        userId: String(row.user_id),
+        symbol: row.symbol,
+        condition: row.condition,
+        price,
+        ...extra,
+      });
+
+      if (row.notify_email) {
+        this.emailAlert(row.user_type, row.user_id, notification).catch((e) => {
+          logger.warn('Price alerts: email notification failed', { alertId: row.id, error: e.message });
+        });
+      }
+    } finally {
+      try { await redisCluster.del(lockKey); } catch (_) {}
+    }
+  }
+
+  async emailAlert(userType, userId, notification) {
+    const UserModel = userType === 'live' ? LiveUser : DemoUser;
+    const user = await UserModel.findByPk(userId, { attributes: ['id', 'email'] });
+    if (!user || !user.email) return;
+    await sendPriceAlertEmail(user.email, notification);
+  }
+}
+
+const priceAlertService = new PriceAlertService();
+priceAlertService.PriceAlertError = PriceAlertError;
+
+module.exports = priceAlertService;
@@ -17,6 +17,7 @@ class RedisSyncService {
    * @param {string} userType - 'live' or 'demo'
    * @param {Object} updatedFields - Fields that were updated in database
    * @param {Object} options - Additional options
+   * @param {boolean} [options.cachedOnly] - Skip accounts whose config hash is not cached, so no partial hash is created
    */
   async syncUserAfterBalanceChange(userId, userType, updatedFields, options = {}) {
     const operationId = `redis_sync_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
@@ -27,6 +28,11 @@ class RedisSyncService {
         options
       });
 
+      if (options.cachedOnly && !(await redisCluster.exists(`user:{${userType}:${userId}}:config`))) {
+        logger.info(`[${operationId}] ${userType} user ${userId} is not cached; skipping Redis sync`);
+        return;
+      }
+
       // 1. Update primary user config cache (used by Python services)
       await this._updateUserConfigCache(userId, userType, updatedFields, operationId);
 
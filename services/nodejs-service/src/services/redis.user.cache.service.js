@@ -117,6 +117,7 @@ class RedisUserCacheService {
       wallet_balance: parseFloat(user.wallet_balance) || 0,
       leverage: user.leverage || 0,
       margin: parseFloat(user.margin) || 0,
+      net_profit: parseFloat(user.net_profit) || 0,
       account_number: user.account_number,
       group: user.group,
       status: user.status,
@@ -131,6 +132,7 @@ class RedisUserCacheService {
       copytrading_status: user.copytrading_status,
       copytrading_alloted_time: user.copytrading_alloted_time ? user.copytrading_alloted_time.toISOString() : null,
       sending_orders: user.sending_orders || 'rock',
+      account_mode: user.account_mode || null,
       last_updated: new Date().toISOString()
     };
   }
@@ -146,12 +148,14 @@ class RedisUserCacheService {
       wallet_balance: parseFloat(user.wallet_balance) || 0,
       leverage: user.leverage || 0,
       margin: parseFloat(user.margin) || 0,
+      net_profit: parseFloat(user.net_profit) || 0,
       account_number: user.account_number,
       group: user.group,
       status: user.status,
       is_active: user.is_active,
       country_id: user.country_id,
       sending_orders: 'rock',
+      account_mode: user.account_mode || null,
       last_updated: new Date().toISOString()
     };
   }
@@ -213,10 +217,10 @@ class RedisUserCacheService {
       // Cache live users
       const liveUsers = await LiveUser.findAll({
         attributes: [
-          'id', 'email', 'wallet_balance', 'leverage', 'margin', 'account_number',
+          'id', 'email', 'wallet_balance', 'leverage', 'margin', 'net_profit', 'account_number',
           'group', 'status', 'is_active', 'country_id', 'mam_id', 'mam_status',
           'pam_id', 'pam_status', 'copy_trading_wallet', 'copytrader_id',
-          'copytrading_status', 'copytrading_alloted_time', 'sending_orders'
+          'copytrading_status', 'copytrading_alloted_time', 'sending_orders', 'account_mode'
         ]
       });
 
@@ -229,8 +233,8 @@ class RedisUserCacheService {
       // Cache demo users
       const demoUsers = await DemoUser.findAll({
         attributes: [
-          'id', 'email', 'wallet_balance', 'leverage', 'margin', 'account_number',
-          'group', 'status', 'is_active', 'country_id'
+          'id', 'email', 'wallet_balance', 'leverage', 'margin', 'net_profit', 'account_number',
+          'group', 'status', 'is_active', 'country_id', 'account_mode'
         ]
       });
 
@@ -271,6 +275,7 @@ class RedisUserCacheService {
         wallet_balance: parseFloat(userData.wallet_balance),
         leverage: parseInt(userData.leverage),
         margin: parseFloat(userData.margin),
+        net_profit: userData.net_profit !== undefined ? parseFloat(userData.net_profit) : null,
         status: parseInt(userData.status),
         is_active: parseInt(userData.is_active),
         country_id: userData.country_id ? parseInt(userData.country_id) : null,
@@ -458,10 +463,10 @@ class RedisUserCacheService {
       if (userType === 'live') {
         user = await LiveUser.findByPk(userId, {
           attributes: [
-            'id', 'email', 'wallet_balance', 'leverage', 'margin', 'account_number',
+            'id', 'email', 'wallet_balance', 'leverage', 'margin', 'net_profit', 'account_number',
             'group', 'status', 'is_active', 'country_id', 'mam_id', 'mam_status',
             'pam_id', 'pam_status', 'copy_trading_wallet', 'copytrader_id',
-            'copytrading_status', 'copytrading_alloted_time', 'sending_orders'
+            'copytrading_status', 'copytrading_alloted_time', 'sending_orders', 'account_mode'
           ]
         });
         if (user) {
@@ -471,8 +476,8 @@ class RedisUserCacheService {
       } else if (userType === 'demo') {
         user = await DemoUser.findByPk(userId, {
           attributes: [
-            'id', 'email', 'wallet_balance', 'leverage', 'margin', 'account_number',
-            'group', 'status', 'is_active', 'country_id'
+            'id', 'email', 'wallet_balance', 'leverage', 'margin', 'net_profit', 'account_number',
+            'group', 'status', 'is_active', 'country_id', 'account_mode'
           ]
         });
         if (user) {
@@ -2,6 +2,7 @@ const StrategyProviderAccount = require('../models/strategyProviderAccount.model
 const StrategyProviderOrder = require('../models/strategyProviderOrder.model');
 const LiveUser = require('../models/liveUser.model');
 const logger = require('./logger.service');
+const catalogEligibilityRuleService = require('./catalogEligibilityRule.service');
 const crypto = require('crypto');
 const bcrypt = require('bcrypt');
 const { Op, sequelize } = require('sequelize');
@@ -56,6 +57,9 @@ class StrategyProviderService {
         // Strategy configuration
         visibility: strategyData.visibility || 'public',
         performance_fee: strategyData.performance_fee || 20.00,
+        fee_settlement_period: strategyData.fee_settlement_period || 'monthly',
+        subscription_fee: parseFloat(strategyData.subscription_fee) > 0 ? parseFloat(strategyData.subscription_fee) : null,
+        management_fee: parseFloat(strategyData.management_fee) > 0 ? parseFloat(strategyData.management_fee) : null,
         max_leverage: strategyData.max_leverage || strategyData.leverage || 100,
         
         // Investment requirements
@@ -150,6 +154,26 @@ class StrategyProviderService {
         errors.push('Performance fee must be between 5% and 50%');
       }
     }
+
+    // Fees are settled against the follower's high-water mark at the end of each period
+    if (strategyData.fee_settlement_period !== undefined && !['weekly', 'monthly'].includes(strategyData.fee_settlement_period)) {
+      errors.push('Fee settlement period must be either "weekly" or "monthly"');
+    }
+
+    // Optional fixed monthly subscription fee and annual management fee (% of follower equity)
+    if (strategyData.subscription_fee !== undefined && strategyData.subscription_fee !== null && strategyData.subscription_fee !== '') {
+      const fee = parseFloat(strategyData.subscription_fee);
+      if (isNaN(fee) || fee < 0 || fee > 500.00) {
+        errors.push('Subscription fee must be between $0 and $500 per month');
+      }
+    }
+
+    if (strategyData.management_fee !== undefined && strategyData.management_fee !== null && strategyData.management_fee !== '') {
+      const fee = parseFloat(strategyData.management_fee);
+      if (isNaN(fee) || fee < 0 || fee > 5.00) {
+        errors.push('Management fee must be between 0% and 5% per year');
+      }
+    }
     
     // Leverage validation
     if (strategyData.leverage !== undefined) {
@@ -554,13 +578,9 @@ class StrategyProviderService {
   }
 
   /**
-   * Check catalog eligibility for strategy provider
-   * Eligibility Requirements:
-   * - Minimum 10 closed trades
-   * - 30 days after first trade
-   * - Last trade within 7 days
-   * - Return >= 0%
-   * - Not archived (auto-cutoff not triggered)
+   * Check catalog eligibility for strategy provider against the superadmin-managed
+   * rule set (catalog_eligibility_rules). Every enabled rule yields one entry in
+   * `checks` with its threshold, the provider's current value and whether it passed.
    * @param {number} strategyProviderId - Strategy provider ID
    * @returns {Object} Eligibility result
    */
@@ -573,6 +593,13 @@ class StrategyProviderService {
         throw new Error('Strategy provider not found');
       }
 
+      const rules = await catalogEligibilityRuleService.getEnabledRules();
+      const requirements = catalogEligibilityRuleService.toRequirements(rules);
+      const lastRun = {
+        evaluated_at: strategyProvider.catalog_eligibility_updated_at,
+        checks: strategyProvider.catalog_eligibility_checks
+      };
+
       // Check for superadmin free pass first
       if (strategyProvider.catalog_free_pass) {
         return {
@@ -582,12 +609,14 @@ class StrategyProviderService {
           granted_by: strategyProvider.catalog_free_pass_granted_by,
           granted_at: strategyProvider.catalog_free_pass_granted_at,
           granted_reason: strategyProvider.catalog_free_pass_reason,
-          requirements: this.getCatalogRequirements(),
+          requirements,
+          checks: [],
           current: {
             free_pass_active: true,
             status: strategyProvider.status,
             is_active: strategyProvider.is_active
-          }
+          },
+          last_run: lastRun
         };
       }
 
@@ -596,77 +625,49 @@ class StrategyProviderService {
         return {
           eligible: false,
           reason: 'Strategy provider is not active or has been archived',
-          requirements: this.getCatalogRequirements(),
+          requirements,
+          checks: [],
           current: {
             status: strategyProvider.status,
             is_active: strategyProvider.is_active
-          }
+          },
+          last_run: lastRun
         };
       }
 
       // Get order statistics
       const orderStats = await this.getStrategyOrderStatistics(strategyProviderId);
-      const requirements = this.getCatalogRequirements();
       const now = new Date();
-      const failures = [];
-
-      // Check minimum closed trades
-      if (orderStats.closed_trades < requirements.min_closed_trades) {
-        failures.push(`Minimum ${requirements.min_closed_trades} closed trades required (current: ${orderStats.closed_trades})`);
-      }
-
-      // Check 30 days since first trade
-      if (orderStats.first_trade_date) {
-        const daysSinceFirstTrade = Math.floor((now - new Date(orderStats.first_trade_date)) / (1000 * 60 * 60 * 24));
-        if (daysSinceFirstTrade < requirements.min_days_since_first_trade) {
-          failures.push(`Must complete ${requirements.min_days_since_first_trade} days after first trade (current: ${daysSinceFirstTrade} days)`);
-        }
-      } else {
-        failures.push('No trades found - first trade required');
-      }
-
-      // Check last trade within 7 days
-      if (orderStats.last_trade_date) {
-        const daysSinceLastTrade = Math.floor((now - new Date(orderStats.last_trade_date)) / (1000 * 60 * 60 * 24));
-        if (daysSinceLastTrade > requirements.max_days_since_last_trade) {
-          failures.push(`Last trade must be within ${requirements.max_days_since_last_trade} days (current: ${daysSinceLastTrade} days ago)`);
-        }
-      } else {
-        failures.push('No recent trades - must have traded within 7 days');
-      }
-
-      // Check return percentage >= 0%
-      const totalReturn = parseFloat(strategyProvider.total_return_percentage || 0);
-      if (totalReturn < requirements.min_return_percentage) {
-        failures.push(`Return must be >= ${requirements.min_return_percentage}% (current: ${totalReturn.toFixed(2)}%)`);
-      }
+      const dayMs = 1000 * 60 * 60 * 24;
 
-      // Check minimum equity requirement
-      const currentEquity = parseFloat(strategyProvider.wallet_balance || 0) + parseFloat(strategyProvider.net_profit || 0);
-      if (currentEquity < requirements.min_equity) {
-        failures.push(`Minimum equity of $${requirements.min_equity} required (current: $${currentEquity.toFixed(2)})`);
-      }
+      const current = {
+        closed_trades: orderStats.closed_trades,
+        total_trades: orderStats.total_trades,
+        first_trade_date: orderStats.first_trade_date,
+        last_trade_date: orderStats.last_trade_date,
+        days_since_first_trade: orderStats.first_trade_date ?
+          Math.floor((now - new Date(orderStats.first_trade_date)) / dayMs) : null,
+        days_since_last_trade: orderStats.last_trade_date ?
+          Math.floor((now - new Date(orderStats.last_trade_date)) / dayMs) : null,
+        total_return_percentage: parseFloat(strategyProvider.total_return_percentage || 0),
+        max_drawdown: parseFloat(strategyProvider.max_drawdown || 0),
+        current_equity: parseFloat(strategyProvider.wallet_balance || 0) + parseFloat(strategyProvider.net_profit || 0),
+        is_kyc_verified: !!strategyProvider.is_kyc_verified,
+        status: strategyProvider.status,
+        is_active: strategyProvider.is_active
+      };
 
+      const checks = catalogEligibilityRuleService.evaluateRules(rules, current);
+      const failures = checks.filter(check => !check.passed).map(check => check.message);
       const isEligible = failures.length === 0;
 
       return {
         eligible: isEligible,
         reason: isEligible ? 'All catalog requirements met' : failures.join(', '),
         requirements,
-        current: {
-          closed_trades: orderStats.closed_trades,
-          total_trades: orderStats.total_trades,
-          first_trade_date: orderStats.first_trade_date,
-          last_trade_date: orderStats.last_trade_date,
-          days_since_first_trade: orderStats.first_trade_date ? 
-            Math.floor((now - new Date(orderStats.first_trade_date)) / (1000 * 60 * 60 * 24)) : 0,
-          days_since_last_trade: orderStats.last_trade_date ? 
-            Math.floor((now - new Date(orderStats.last_trade_date)) / (1000 * 60 * 60 * 24)) : 999,
-          total_return_percentage: totalReturn,
-          current_equity: parseFloat(strategyProvider.wallet_balance || 0) + parseFloat(strategyProvider.net_profit || 0),
-          status: strategyProvider.status,
-          is_active: strategyProvider.is_active
-        }
+        checks,
+        current,
+        last_run: lastRun
       };
 
     } catch (error) {
@@ -758,27 +759,32 @@ class StrategyProviderService {
   }
 
   /**
-   * Get catalog requirements configuration
-   * @returns {Object} Catalog requirements
+   * Get catalog requirements configuration (enabled rules keyed by rule type)
+   * @returns {Promise<Object>} Catalog requirements
    */
-  getCatalogRequirements() {
-    return {
-      min_closed_trades: 10,
-      min_days_since_first_trade: 30,
-      max_days_since_last_trade: 7,
-      min_return_percentage: 0,
-      min_equity: 100.00
-    };
+  async getCatalogRequirements() {
+    const rules = await catalogEligibilityRuleService.getEnabledRules();
+    return catalogEligibilityRuleService.toRequirements(rules);
   }
 
   /**
    * Update catalog eligibility for all strategy providers based on minimum balance
    * This should be run periodically to remove providers with insufficient balance
+   * The minimum comes from the min_equity catalog rule; nothing is removed while it is disabled
    * @returns {Object} Update results
    */
   async updateCatalogEligibilityByBalance() {
     try {
-      const minBalance = 100.00;
+      const requirements = await this.getCatalogRequirements();
+      if (requirements.min_equity === undefined) {
+        return {
+          success: true,
+          removed_count: 0,
+          removed_providers: [],
+          min_balance_requirement: null
+        };
+      }
+      const minBalance = requirements.min_equity;
       
       // Find all strategy providers currently in catalog but with insufficient balance
       const ineligibleProviders = await StrategyProviderAccount.findAll({
@@ -960,6 +966,13 @@ class StrategyProviderService {
         };
       }
 
+      // Follower rating filter
+      if (filters.min_rating !== undefined) {
+        whereConditions.average_rating = {
+          [Op.gte]: parseFloat(filters.min_rating) || 0
+        };
+      }
+
       // Max drawdown filter (for moderate drawdown strategies)
       if (filters.max_drawdown !== undefined) {
         whereConditions.max_drawdown = {
@@ -994,6 +1007,10 @@ class StrategyProviderService {
         orderBy = [['three_month_return', 'DESC']]; // Best 3-month performance first
       } else if (filters.sort_by === 'drawdown') {
         orderBy = [['max_drawdown', 'ASC']]; // Lowest drawdown first
+      } else if (filters.sort_by === 'rating') {
+        orderBy = [['average_rating', 'DESC'], ['review_count', 'DESC']]; // Best rated first
+      } else if (filters.sort_by === 'reviews') {
+        orderBy = [['review_count', 'DESC'], ['average_rating', 'DESC']]; // Most reviewed first
       }
 
       // Execute query
@@ -1005,7 +1022,11 @@ class StrategyProviderService {
           'total_return_percentage',
           'total_followers',
           'profile_image_url',
-          'performance_fee'
+          'performance_fee',
+          'subscription_fee',
+          'management_fee',
+          'average_rating',
+          'review_count'
         ],
         order: orderBy,
         limit: limitNum,
@@ -1020,7 +1041,11 @@ class StrategyProviderService {
         total_return_percentage: parseFloat(strategy.total_return_percentage || 0),
         total_followers: strategy.total_followers || 0,
         profile_image_url: strategy.profile_image_url,
-        performance_fee: parseFloat(strategy.performance_fee || 0)
+        performance_fee: parseFloat(strategy.performance_fee || 0),
+        subscription_fee: parseFloat(strategy.subscription_fee || 0),
+        management_fee: parseFloat(strategy.management_fee || 0),
+        average_rating: parseFloat(strategy.average_rating || 0),
+        review_count: strategy.review_count || 0
       }));
 
       return {
@@ -0,0 +1,465 @@
+const { Op } = require('sequelize');
+const StrategyProviderAccount = require('../models/strategyProviderAccount.model');
+const StrategyProviderOrder = require('../models/strategyProviderOrder.model');
+const StrategyProviderSnapshot = require('../models/strategyProviderSnapshot.model');
+const CopyFollowerAccount = require('../models/copyFollowerAccount.model');
+const UserTransaction = require('../models/userTransaction.model');
+const logger = require('./logger.service');
+const { computeFloatingPnl } = require('./order.preview.service');
+const { toAmount, round } = require('../utils/number.util');
+const { ServiceError } = require('../utils/serviceError.util');
+
+// Wallet movements that come from trading; everything else is an external flow
+const TRADING_TRANSACTION_TYPES = ['profit', 'loss', 'commission', 'swap'];
+// Snapshots are taken every calendar day
+const PERIODS_PER_YEAR = 365;
+const THREE_MONTHS_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// total_return_percentage / three_month_return / max_drawdown are DECIMAL(8, 4)
+const STORED_PERCENT_LIMIT = 9999.9999;
+
+class StrategyAnalyticsError extends ServiceError {}
+
+function clampPercent(v) {
+  return Math.max(-STORED_PERCENT_LIMIT, Math.min(STORED_PERCENT_LIMIT, round(v, 4) || 0));
+}
+
+function toDateString(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Daily time-weighted returns from equity snapshots. The day's net_flows are taken out of the
+ * equity change so deposits, withdrawals and fee income do not count as performance.
+ * @param {Array<Object>} snapshots - Ordered by snapshot_date
+ * @returns {Array<{ date: string, return: number }>}
+ */
+function computeDailyReturns(snapshots) {
+  const returns = [];
+  for (let i = 1; i < snapshots.length; i++) {
+    const prev = toAmount(snapshots[i - 1].equity);
+    if (!(prev > 0)) continue;
+    const cur = toAmount(snapshots[i].equity);
+    const flows = toAmount(snapshots[i].net_flows);
+    returns.push({ date: String(snapshots[i].snapshot_date), return: (cur - prev - flows) / prev });
+  }
+  return returns;
+}
+
+/**
+ * Return and risk metrics from daily returns (fractions, not percent).
+ * Percentages in the result are rounded to 4 decimals.
+ * @param {Array<{ date: string, return: number }>} dailyReturns
+ * @param {string|null} [startDate] - Date of the first snapshot (the base of the NAV index)
+ * @returns {Object}
+ */
+function computeReturnMetrics(dailyReturns, startDate = null) {
+  let nav = 1;
+  let peak = 1;
+  let peakDate = startDate;
+  const navSeries = [];
+  const drawdown = { max_drawdown_percentage: 0, peak_date: null, trough_date: null, recovery_date: null };
+  let openDrawdownPeak = null;
+
+  for (const { date, return: r } of dailyReturns) {
+    nav *= 1 + r;
+    navSeries.push({ date, nav });
+    if (nav >= peak) {
+      if (openDrawdownPeak !== null && drawdown.recovery_date === null && drawdown.peak_date === openDrawdownPeak) {
+        drawdown.recovery_date = date;
+      }
+      peak = nav;
+      peakDate = date;
+      openDrawdownPeak = null;
+      continue;
+    }
+    openDrawdownPeak = peakDate;
+    const dd = (peak - nav) / peak * 100;
+    if (dd > drawdown.max_drawdown_percentage) {
+      drawdown.max_drawdown_percentage = dd;
+      drawdown.peak_date = peakDate;
+      drawdown.trough_date = date;
+      drawdown.recovery_date = null;
+    }
+  }
+
+  // Three-month return: NAV now against the NAV on the last day before the window
+  let threeMonthReturn = null;
+  if (navSeries.length > 0) {
+    const lastDate = new Date(`${navSeries[navSeries.length - 1].date}T00:00:00Z`);
+    const cutoff = toDateString(lastDate.getTime() - THREE_MONTHS_DAYS * DAY_MS);
+    let base = 1;
+    for (const point of navSeries) {
+      if (point.date > cutoff) break;
+      base = point.nav;
+    }
+    threeMonthReturn = (nav / base - 1) * 100;
+  }
+
+  // Monthly returns: compounded daily returns per calendar month
+  const months = new Map();
+  for (const { date, return: r } of dailyReturns) {
+    const month = date.slice(0, 7);
+    months.set(month, (months.get(month) || 1) * (1 + r));
+  }
+  const monthlyReturns = [...months.entries()].map(([month, growth]) => ({
+    month,
+    return_percentage: round((growth - 1) * 100, 4)
+  }));
+
+  // Sharpe / Sortino on daily returns, annualized, risk-free rate 0
+  const values = dailyReturns.map(d => d.return);
+  let sharpe = null;
+  let sortino = null;
+  if (values.length >= 2) {
+    const mean = values.reduce((s, v) => s + v, 0) / values.length;
+    const variance = values.reduce((s, v) => s + (v - mean) ** 2, 0) / (values.length - 1);
+    const std = Math.sqrt(variance);
+    if (std > 0) sharpe = (mean / std) * Math.sqrt(PERIODS_PER_YEAR);
+    const downside = Math.sqrt(values.reduce((s, v) => s + Math.min(v, 0) ** 2, 0) / values.length);
+    if (downside > 0) sortino = (mean / downside) * Math.sqrt(PERIODS_PER_YEAR);
+  }
+
+  return {
+    total_return_percentage: round((nav - 1) * 100, 4),
+    three_month_return: round(threeMonthReturn, 4),
+    max_drawdown: {
+      max_drawdown_percentage: round(drawdown.max_drawdown_percentage, 4),
+      peak_date: drawdown.peak_date,
+      trough_date: drawdown.trough_date,
+      recovery_date: drawdown.recovery_date
+    },
+    monthly_returns: monthlyReturns,
+    sharpe_ratio: round(sharpe, 4),
+    sortino_ratio: round(sortino, 4),
+    days: values.length
+  };
+}
+
+/**
+ * Trade statistics from closed orders: win rate, profit factor, holding time, per-symbol breakdown
+ * @param {Array<Object>} orders - Closed strategy provider orders
+ * @returns {Object}
+ */
+function computeTradeStats(orders) {
+  let wins = 0;
+  let grossProfit = 0;
+  let grossLoss = 0;
+  let holdingMs = 0;
+  let holdingCount = 0;
+  const symbols = new Map();
+
+  for (const order of orders) {
+    const pnl = toAmount(order.net_profit);
+    const opened = order.created_at ? new Date(order.created_at).getTime() : NaN;
+    const closed = order.updated_at ? new Date(order.updated_at).getTime() : NaN;
+    const held = Number.isFinite(opened) && Number.isFinite(closed) && closed >= opened ? closed - opened : null;
+
+    if (pnl > 0) {
+      wins++;
+      grossProfit += pnl;
+    } else if (pnl < 0) {
+      grossLoss += -pnl;
+    }
+    if (held !== null) {
+      holdingMs += held;
+      holdingCount++;
+    }
+
+    const symbol = String(order.symbol || '').toUpperCase();
+    if (!symbols.has(symbol)) {
+      symbols.set(symbol, { symbol, trades: 0, wins: 0, net_profit: 0, volume: 0, holdingMs: 0, holdingCount: 0 });
+    }
+    const s = symbols.get(symbol);
+    s.trades++;
+    if (pnl > 0) s.wins++;
+    s.net_profit += pnl;
+    s.volume += toAmount(order.order_quantity);
+    if (held !== null) {
+      s.holdingMs += held;
+      s.holdingCount++;
+    }
+  }
+
+  const perSymbol = [...symbols.values()]
+    .map(s => ({
+      symbol: s.symbol,
+      trades: s.trades,
+      win_rate: round(s.wins / s.trades * 100, 2),
+      net_profit: round(s.net_profit, 2),
+      volume: round(s.volume, 4),
+      average_holding_hours: s.holdingCount > 0 ? round(s.holdingMs / s.holdingCount / 3600000, 2) : null
+    }))
+    .sort((a, b) => b.trades - a.trades);
+
+  return {
+    closed_trades: orders.length,
+    win_rate: orders.length > 0 ? round(wins / orders.length * 100, 2) : 0,
+    gross_profit: round(grossProfit, 2),
+    gross_loss: round(grossLoss, 2),
+    // No losing trade yet: the ratio is undefined
+    profit_factor: grossLoss > 0 ? round(grossProfit / grossLoss, 4) : null,
+    average_holding_hours: holdingCount > 0 ? round(holdingMs / holdingCount / 3600000, 2) : null,
+    per_symbol: perSymbol
+  };
+}
+
+/**
+ * Daily equity snapshots of strategy provider accounts and the performance analytics built on them.
+ * The catalog fields total_return_percentage, three_month_return, max_drawdown and win_rate are
+ * refreshed from the snapshots after every snapshot run.
+ */
+class StrategyProviderAnalyticsService {
+
+  /**
+   * Record (or refresh) one provider's snapshot for a day.
+   * net_flows covers everything since the previous snapshot was taken, so flows booked after
+   * one run and before midnight still land in the next day's snapshot.
+   * @param {Object} provider - StrategyProviderAccount instance
+   * @param {string} snapshotDate - YYYY-MM-DD (UTC)
+   * @param {Date} [now] - When the equity is measured
+   */
+  async snapshotProvider(provider, snapshotDate, now = new Date()) {
+    const previous = await StrategyProviderSnapshot.findOne({
+      where: { strategy_provider_id: provider.id, snapshot_date: { [Op.lt]: snapshotDate } },
+      attributes: ['updated_at'],
+      order: [['snapshot_date', 'DESC']]
+    });
+    // The previous snapshot's equity was last measured when it was written
+    const flowsWindow = previous
+      ? { [Op.gt]: previous.updated_at, [Op.lte]: now }
+      : { [Op.gte]: new Date(`${snapshotDate}T00:00:00Z`), [Op.lte]: now };
+
+    const openOrders = await StrategyProviderOrder.findAll({
+      where: { order_user_id: provider.id, order_status: 'OPEN' },
+      attributes: ['order_id', 'symbol', 'order_type', 'order_price', 'order_quantity']
+    });
+    const floating = await computeFloatingPnl(provider.group || 'Standard', openOrders, (order, e) => {
+      logger.warn('Provider snapshot: could not price open order', { order_id: order.order_id, symbol: order.symbol, error: e.message });
+    });
+    const balance = toAmount(provider.wallet_balance);
+
+    const followerWhere = {
+      strategy_provider_id: provider.id,
+      copy_status: { [Op.in]: ['active', 'paused'] },
+      is_active: 1
+    };
+    const [followerCount, aum, netFlows] = await Promise.all([
+      CopyFollowerAccount.count({ where: { ...followerWhere, copy_status: 'active' } }),
+      CopyFollowerAccount.sum('wallet_balance', { where: followerWhere }),
+      UserTransaction.sum('amount', {
+        where: {
+          user_id: provider.id,
+          user_type: 'strategy_provider',
+          status: 'completed',
+          type: { [Op.notIn]: TRADING_TRANSACTION_TYPES },
+          created_at: flowsWindow
+        }
+      })
+    ]);
+
+    const values = {
+      balance: round(balance, 6),
+      equity: round(balance + floating, 6),
+      floating_pnl: round(floating, 6),
+      used_margin: round(toAmount(provider.margin), 6),
+      net_flows: round(toAmount(netFlows), 6),
+      open_positions: openOrders.length,
+      follower_count: followerCount,
+      aum: round(toAmount(aum), 6)
+    };
+
+    const existing = await StrategyProviderSnapshot.findOne({
+      where: { strategy_provider_id: provider.id, snapshot_date: snapshotDate }
+    });
+    if (existing) {
+      await existing.update(values);
+      return existing;
+    }
+    return StrategyProviderSnapshot.create({ strategy_provider_id: provider.id, snapshot_date: snapshotDate, ...values });
+  }
+
+  /**
+   * Snapshot every active strategy provider and refresh their stored performance fields
+   * @param {Object} [options]
+   * @param {Date} [options.now]
+   * @returns {Promise<Object>} Run summary
+   */
+  async takeDailySnapshots({ now = new Date() } = {}) {
+    const snapshotDate = toDateString(now);
+    const summary = { snapshot_date: snapshotDate, processed: 0, errors: 0 };
+
+    const providers = await StrategyProviderAccount.findAll({
+      where: { status: 1 },
+      attributes: ['id', 'group', 'wallet_balance', 'margin'],
+      order: [['id', 'ASC']]
+    });
+
+    for (const provider of providers) {
+      try {
+        await this.snapshotProvider(provider, snapshotDate, now);
+        await this.refreshStoredMetrics(provider.id);
+        summary.processed++;
+      } catch (error) {
+        summary.errors++;
+        logger.error('Failed to snapshot strategy provider', {
+          strategyProviderId: provider.id,
+          error: error.message
+        });
+      }
+    }
+
+    logger.info('Strategy provider daily snapshots completed', summary);
+    return summary;
+  }
+
+  async loadClosedOrders(strategyProviderId, since = null) {
+    const where = { order_user_id: strategyProviderId, order_status: 'CLOSED' };
+    if (since) where.updated_at = { [Op.gte]: since };
+    return StrategyProviderOrder.findAll({
+      where,
+      attributes: ['symbol', 'order_quantity', 'net_profit', 'created_at', 'updated_at'],
+      order: [['updated_at', 'ASC']]
+    });
+  }
+
+  /**
+   * Recompute total_return_percentage, three_month_return, max_drawdown and win_rate
+   * @param {number} strategyProviderId
+   */
+  async refreshStoredMetrics(strategyProviderId) {
+    const snapshots = await StrategyProviderSnapshot.findAll({
+      where: { strategy_provider_id: strategyProviderId },
+      attributes: ['snapshot_date', 'equity', 'net_flows'],
+      order: [['snapshot_date', 'ASC']]
+    });
+    const metrics = computeReturnMetrics(computeDailyReturns(snapshots), snapshots[0] ? String(snapshots[0].snapshot_date) : null);
+    const trades = computeTradeStats(await this.loadClosedOrders(strategyProviderId));
+
+    await StrategyProviderAccount.update({
+      total_return_percentage: clampPercent(metrics.total_return_percentage),
+      three_month_return: clampPercent(metrics.three_month_return),
+      max_drawdown: clampPercent(metrics.max_drawdown.max_drawdown_percentage),
+      win_rate: trades.win_rate
+    }, {
+      where: { id: strategyProviderId }
+    });
+  }
+
+  /**
+   * Load a strategy provider the user may look at: their own, one they follow, or any public
+   * active strategy. Others are reported as not found.
+   * @param {number} userId - Live user ID of the viewer
+   * @param {number} strategyProviderId
+   * @param {Array<string>} [attributes] - Extra attributes to load
+   * @returns {Promise<Object>} StrategyProviderAccount instance
+   */
+  async getViewableProvider(userId, strategyProviderId, attributes = []) {
+    const provider = await StrategyProviderAccount.findByPk(strategyProviderId, {
+      attributes: [...new Set(['id', 'user_id', 'strategy_name', 'visibility', 'status', 'is_active', 'created_at', ...attributes])]
+    });
+    if (!provider) {
+      throw new StrategyAnalyticsError('Strategy provider not found', 404);
+    }
+
+    const isOwner = String(provider.user_id) === String(userId);
+    const isPublic = provider.visibility === 'public' && provider.status === 1 && provider.is_active === 1;
+    if (!isOwner && !isPublic) {
+      const following = await CopyFollowerAccount.count({
+        where: { strategy_provider_id: provider.id, user_id: userId }
+      });
+      if (following === 0) {
+        throw new StrategyAnalyticsError('Strategy provider not found', 404);
+      }
+    }
+
+    return provider;
+  }
+
+  /**
+   * Analytics for a strategy. Visible to the owner, to its followers, and to everyone while the
+   * strategy is public and active.
+   * @param {number} userId - Live user ID of the viewer
+   * @param {number} strategyProviderId
+   * @param {Object} [options]
+   * @param {number} [options.days] - Limit the equity curve and trade stats to the last N days
+   * @returns {Promise<Object>}
+   */
+  async getAnalytics(userId, strategyProviderId, { days = null } = {}) {
+    const provider = await this.getViewableProvider(userId, strategyProviderId);
+
+    let since = null;
+    if (days !== null && days !== undefined && days !== '') {
+      const n = parseInt(days, 10);
+      if (!Number.isFinite(n) || n < 1 || n > 3650) {
+        throw new StrategyAnalyticsError('days must be between 1 and 3650');
+      }
+      since = new Date(Date.now() - n * DAY_MS);
+    }
+
+    const snapshotWhere = { strategy_provider_id: provider.id };
+    if (since) snapshotWhere.snapshot_date = { [Op.gte]: toDateString(since) };
+    const snapshots = await StrategyProviderSnapshot.findAll({
+      where: snapshotWhere,
+      order: [['snapshot_date', 'ASC']]
+    });
+
+    const metrics = computeReturnMetrics(computeDailyReturns(snapshots), snapshots[0] ? String(snapshots[0].snapshot_date) : null);
+    const trades = computeTradeStats(await this.loadClosedOrders(provider.id, since));
+    const latest = snapshots[snapshots.length - 1] || null;
+
+    return {
+      strategy_provider: {
+        id: provider.id,
+        strategy_name: provider.strategy_name
+      },
+      period: {
+        from: snapshots[0] ? String(snapshots[0].snapshot_date) : null,
+        to: latest ? String(latest.snapshot_date) : null,
+        days: metrics.days
+      },
+      current: latest ? {
+        balance: toAmount(latest.balance),
+        equity: toAmount(latest.equity),
+        floating_pnl: toAmount(latest.floating_pnl),
+        follower_count: latest.follower_count,
+        aum: toAmount(latest.aum)
+      } : null,
+      equity_curve: snapshots.map(s => ({
+        date: String(s.snapshot_date),
+        balance: toAmount(s.balance),
+        equity: toAmount(s.equity),
+        floating_pnl: toAmount(s.floating_pnl),
+        follower_count: s.follower_count,
+        aum: toAmount(s.aum)
+      })),
+      returns: {
+        total_return_percentage: metrics.total_return_percentage,
+        three_month_return: metrics.three_month_return,
+        monthly_returns: metrics.monthly_returns
+      },
+      risk: {
+        max_drawdown: metrics.max_drawdown,
+        sharpe_ratio: metrics.sharpe_ratio,
+        sortino_ratio: metrics.sortino_ratio
+      },
+      trading: {
+        closed_trades: trades.closed_trades,
+        win_rate: trades.win_rate,
+        profit_factor: trades.profit_factor,
+        gross_profit: trades.gross_profit,
+        gross_loss: trades.gross_loss,
+        average_holding_hours: trades.average_holding_hours
+      },
+      per_symbol: trades.per_symbol
+    };
+  }
+}
+
+const strategyProviderAnalyticsService = new StrategyProviderAnalyticsService();
+strategyProviderAnalyticsService.StrategyAnalyticsError = StrategyAnalyticsError;
+strategyProviderAnalyticsService.computeDailyReturns = computeDailyReturns;
+strategyProviderAnalyticsService.computeReturnMetrics = computeReturnMetrics;
+strategyProviderAnalyticsService.computeTradeStats = computeTradeStats;
+
+module.exports = strategyProviderAnalyticsService;
@@ -0,0 +1,457 @@
+const { Op } = require('sequelize');
+const sequelize = require('../config/db');
+const StrategyProviderAccount = require('../models/strategyProviderAccount.model');
+const CopyFollowerAccount = require('../models/copyFollowerAccount.model');
+const CopyFollowerOrder = require('../models/copyFollowerOrder.model');
+const LiveUser = require('../models/liveUser.model');
+const StrategyProviderReview = require('../models/strategyProviderReview.model');
+const logger = require('./logger.service');
+const { toAmount, roundAmount } = require('../utils/number.util');
+const { ServiceError } = require('../utils/serviceError.util');
+
+// Followers must have copied the strategy this long before they can review it
+const MIN_COPY_DAYS = parseInt(process.env.STRATEGY_REVIEW_MIN_COPY_DAYS || '14', 10) || 14;
+const MIN_COMMENT_LENGTH = 10;
+const MAX_TEXT_LENGTH = 2000;
+const REVIEW_STATUSES = ['published', 'hidden'];
+const SORT_OPTIONS = {
+  newest: [['created_at', 'DESC']],
+  highest: [['rating', 'DESC'], ['created_at', 'DESC']],
+  lowest: [['rating', 'ASC'], ['created_at', 'DESC']],
+  best_return: [['realized_return_percentage', 'DESC'], ['created_at', 'DESC']]
+};
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class StrategyReviewError extends ServiceError {}
+
+function paginate(page, limit) {
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const pageSize = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+  return { pageNum, pageSize, offset: (pageNum - 1) * pageSize };
+}
+
+/**
+ * Public name of a reviewer: first name and last initial ("Jane D.")
+ * @param {string} name
+ * @returns {string}
+ */
+function maskReviewerName(name) {
+  const parts = String(name || '').trim().split(/\s+/).filter(Boolean);
+  if (parts.length === 0) return 'Follower';
+  if (parts.length === 1) return parts[0];
+  return `${parts[0]} ${parts[parts.length - 1].charAt(0).toUpperCase()}.`;
+}
+
+/**
+ * Copying time and realized result of a user on a strategy, over all of the user's follower
+ * accounts for it (including closed ones).
+ * @param {Array<Object>} accounts - { subscription_date, created_at, unfollow_requested_at, unfollowed_at, initial_investment, investment_amount }
+ * @param {number} realizedPnl - Net P&L of the closed copied orders of those accounts
+ * @param {Date} [now]
+ * @returns {{ copying_days: number, realized_pnl: number, realized_return_percentage: number }}
+ */
+function computeReviewerStats(accounts, realizedPnl, now = new Date()) {
+  let copyingDays = 0;
+  let invested = 0;
+  for (const account of accounts) {
+    const start = new Date(account.subscription_date || account.created_at || now);
+    const end = new Date(account.unfollow_requested_at || account.unfollowed_at || now);
+    copyingDays = Math.max(copyingDays, Math.floor(Math.max(0, end - start) / DAY_MS));
+    invested += toAmount(account.initial_investment ?? account.investment_amount);
+  }
+  return {
+    copying_days: copyingDays,
+    realized_pnl: roundAmount(realizedPnl, 6),
+    realized_return_percentage: invested > 0 ? roundAmount((toAmount(realizedPnl) / invested) * 100, 4) : 0
+  };
+}
+
+function formatReview(review, { withStatus = false } = {}) {
+  const data = {
+    id: review.id,
+    strategy_provider_id: review.strategy_provider_id,
+    rating: review.rating,
+    comment: review.comment,
+    reviewer_name: maskReviewerName(review.reviewer?.name),
+    copying_days: review.copying_days,
+    realized_pnl: toAmount(review.realized_pnl),
+    realized_return_percentage: toAmount(review.realized_return_percentage),
+    provider_reply: review.provider_reply,
+    provider_replied_at: review.provider_replied_at,
+    created_at: review.created_at,
+    updated_at: review.updated_at
+  };
+  if (withStatus) {
+    data.status = review.status;
+    data.moderation_reason = review.moderation_reason;
+  }
+  return data;
+}
+
+function validateText(value, field, minLength) {
+  const text = typeof value === 'string' ? value.trim() : '';
+  if (text.length < minLength || text.length > MAX_TEXT_LENGTH) {
+    throw new StrategyReviewError(`${field} must be between ${minLength} and ${MAX_TEXT_LENGTH} characters`);
+  }
+  return text;
+}
+
+/**
+ * Follower reviews of strategies.
+ *
+ * A live user who has copied a strategy for at least STRATEGY_REVIEW_MIN_COPY_DAYS (default 14)
+ * can leave one 1-5 rating with a text review per strategy; writing again updates it. Each review
+ * stores the reviewer's copying days and realized return at the time of writing so catalog
+ * visitors can weigh it. The strategy owner can post one public reply per review, superadmins can
+ * hide or delete reviews. average_rating and review_count on the strategy provider account cover
+ * the published reviews and are refreshed on every change.
+ */
+class StrategyReviewService {
+
+  async getReviewerStats(userId, strategyProviderId, { now = new Date() } = {}) {
+    const accounts = await CopyFollowerAccount.findAll({
+      where: { user_id: userId, strategy_provider_id: strategyProviderId },
+      attributes: ['id', 'subscription_date', 'created_at', 'unfollow_requested_at', 'unfollowed_at', 'initial_investment', 'investment_amount']
+    });
+    if (accounts.length === 0) return null;
+
+    const realizedPnl = toAmount(await CopyFollowerOrder.sum('net_profit', {
+      where: {
+        copy_follower_account_id: { [Op.in]: accounts.map((a) => a.id) },
+        order_status: 'CLOSED'
+      }
+    }));
+    return computeReviewerStats(accounts, realizedPnl, now);
+  }
+
+  async findActiveStrategy(strategyProviderId, attributes = ['id', 'user_id', 'strategy_name']) {
+    const provider = await StrategyProviderAccount.findOne({
+      where: { id: strategyProviderId, status: 1, is_active: 1 },
+      attributes
+    });
+    if (!provider) {
+      throw new StrategyReviewError('Strategy provider not found', 404);
+    }
+    return provider;
+  }
+
+  /**
+   * Write or update the user's review of a strategy
+   * @param {number} userId - Live user ID
+   * @param {number} strategyProviderId
+   * @param {Object} data - { rating, comment }
+   * @returns {Promise<{ review: Object, created: boolean }>}
+   */
+  async submitReview(userId, strategyProviderId, data = {}) {
+    const rating = Number(data.rating);
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      throw new StrategyReviewError('rating must be an integer from 1 to 5');
+    }
+    const comment = validateText(data.comment, 'comment', MIN_COMMENT_LENGTH);
+
+    const provider = await this.findActiveStrategy(strategyProviderId);
+    if (String(provider.user_id) === String(userId)) {
+      throw new StrategyReviewError('You cannot review your own strategy', 403);
+    }
+
+    const stats = await this.getReviewerStats(userId, provider.id);
+    if (!stats) {
+      throw new StrategyReviewError('Only followers of this strategy can review it', 403);
+    }
+    if (stats.copying_days < MIN_COPY_DAYS) {
+      throw new StrategyReviewError(`You can review this strategy after copying it for ${MIN_COPY_DAYS} days (currently ${stats.copying_days})`, 403);
+    }
+
+    let review = await StrategyProviderReview.findOne({
+      where: { strategy_provider_id: provider.id, user_id: userId }
+    });
+    const created = !review;
+    try {
+      if (review) {
+        // A hidden review stays hidden when it is edited
+        await review.update({ rating, comment, ...stats });
+      } else {
+        review = await StrategyProviderReview.create({
+          strategy_provider_id: provider.id,
+          user_id: userId,
+          rating,
+          comment,
+          ...stats
+        });
+      }
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        throw new StrategyReviewError('A review for this strategy is already being saved', 409);
+      }
+      throw error;
+    }
+
+    await this.refreshAggregates(provider.id);
+
+    logger.info('Strategy review saved', {
+      reviewId: review.id,
+      strategyProviderId: provider.id,
+      userId,
+      rating,
+      created
+    });
+
+    const reviewer = await LiveUser.findByPk(userId, { attributes: ['name'] });
+    review.reviewer = reviewer;
+    return { review: formatReview(review, { withStatus: true }), created };
+  }
+
+  /**
+   * Delete the user's own review of a strategy
+   */
+  async deleteOwnReview(userId, strategyProviderId) {
+    const review = await StrategyProviderReview.findOne({
+      where: { strategy_provider_id: strategyProviderId, user_id: userId }
+    });
+    if (!review) {
+      throw new StrategyReviewError('Review not found', 404);
+    }
+    await review.destroy();
+    await this.refreshAggregates(review.strategy_provider_id);
+    logger.info('Strategy review deleted by reviewer', { reviewId: review.id, strategyProviderId: review.strategy_provider_id, userId });
+    return { id: review.id };
+  }
+
+  /**
+   * Published reviews of a public strategy
+   * @param {number} strategyProviderId
+   * @param {Object} [query] - page, limit, sort_by (newest | highest | lowest | best_return)
+   */
+  async listReviews(strategyProviderId, { page, limit, sort_by } = {}) {
+    const provider = await StrategyProviderAccount.findOne({
+      where: { id: strategyProviderId, status: 1, is_active: 1, visibility: 'public' },
+      attributes: ['id', 'strategy_name', 'average_rating', 'review_count']
+    });
+    if (!provider) {
+      throw new StrategyReviewError('Strategy provider not found', 404);
+    }
+
+    const where = { strategy_provider_id: provider.id, status: 'published' };
+    const { pageNum, pageSize, offset } = paginate(page, limit);
+    const [{ count, rows }, distribution] = await Promise.all([
+      StrategyProviderReview.findAndCountAll({
+        where,
+        include: [{ model: LiveUser, as: 'reviewer', attributes: ['name'] }],
+        order: SORT_OPTIONS[sort_by] || SORT_OPTIONS.newest,
+        limit: pageSize,
+        offset
+      }),
+      StrategyProviderReview.findAll({
+        where,
+        attributes: ['rating', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+        group: ['rating'],
+        raw: true
+      })
+    ]);
+
+    const ratingDistribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    for (const row of distribution) {
+      ratingDistribution[row.rating] = toAmount(row.count);
+    }
+
+    return {
+      strategy_provider: {
+        id: provider.id,
+        strategy_name: provider.strategy_name,
+        average_rating: toAmount(provider.average_rating),
+        review_count: provider.review_count || 0
+      },
+      rating_distribution: ratingDistribution,
+      reviews: rows.map((review) => formatReview(review)),
+      pagination: {
+        total: count,
+        page: pageNum,
+        limit: pageSize,
+        total_pages: Math.ceil(count / pageSize)
+      }
+    };
+  }
+
+  /**
+   * Public reply of the strategy owner; an empty reply removes it
+   * @param {number} userId - Live user ID of the strategy owner
+   * @param {number} strategyProviderId
+   * @param {number} reviewId
+   * @param {string|null} reply
+   */
+  async replyToReview(userId, strategyProviderId, reviewId, reply) {
+    const provider = await StrategyProviderAccount.findOne({
+      where: { id: strategyProviderId, user_id: userId },
+      attributes: ['id']
+    });
+    if (!provider) {
+      throw new StrategyReviewError('Strategy provider not found', 404);
+    }
+
+    const review = await StrategyProviderReview.findOne({
+      where: { id: reviewId, strategy_provider_id: provider.id },
+      include: [{ model: LiveUser, as: 'reviewer', attributes: ['name'] }]
+    });
+    if (!review) {
+      throw new StrategyReviewError('Review not found', 404);
+    }
+
+    const removing = reply === null || reply === undefined || (typeof reply === 'string' && reply.trim() === '');
+    const text = removing ? null : validateText(reply, 'reply', 1);
+    await review.update({
+      provider_reply: text,
+      provider_replied_at: text ? new Date() : null
+    });
+
+    logger.info('Strategy review reply saved', { reviewId: review.id, strategyProviderId: provider.id, removed: removing });
+    return formatReview(review, { withStatus: true });
+  }
+
+  /**
+   * Reviews for moderation, newest first
+   * @param {Object} [query] - status, strategy_provider_id, user_id, min_rating, max_rating, page, limit
+   */
+  async listForModeration(query = {}) {
+    const where = {};
+    if (query.status !== undefined) {
+      if (!REVIEW_STATUSES.includes(query.status)) {
+        throw new StrategyReviewError(`status must be one of: ${REVIEW_STATUSES.join(', ')}`);
+      }
+      where.status = query.status;
+    }
+    if (query.strategy_provider_id) where.strategy_provider_id = parseInt(query.strategy_provider_id, 10) || 0;
+    if (query.user_id) where.user_id = parseInt(query.user_id, 10) || 0;
+    if (query.max_rating !== undefined || query.min_rating !== undefined) {
+      where.rating = {};
+      if (query.min_rating !== undefined) where.rating[Op.gte] = parseInt(query.min_rating, 10) || 1;
+      if (query.max_rating !== undefined) where.rating[Op.lte] = parseInt(query.max_rating, 10) || 5;
+    }
+
+    const { pageNum, pageSize, offset } = paginate(query.page, query.limit);
+    const { count, rows } = await StrategyProviderReview.findAndCountAll({
+      where,
+      include: [
+        { model: LiveUser, as: 'reviewer', attributes: ['id', 'name', 'email', 'account_number'] },
+        { model: StrategyProviderAccount, as: 'strategyProvider', attributes: ['id', 'strategy_name', 'account_number'] }
+      ],
+      order: [['created_at', 'DESC']],
+      limit: pageSize,
+      offset
+    });
+
+    return {
+      reviews: rows.map((review) => ({
+        ...formatReview(review, { withStatus: true }),
+        user_id: review.user_id,
+        reviewer: review.reviewer ? {
+          id: review.reviewer.id,
+          name: review.reviewer.name,
+          email: review.reviewer.email,
+          account_number: review.reviewer.account_number
+        } : null,
+        strategy_provider: review.strategyProvider ? {
+          id: review.strategyProvider.id,
+          strategy_name: review.strategyProvider.strategy_name,
+          account_number: review.strategyProvider.account_number
+        } : null,
+        moderated_by: review.moderated_by,
+        moderated_at: review.moderated_at
+      })),
+      pagination: {
+        total: count,
+        page: pageNum,
+        limit: pageSize,
+        total_pages: Math.ceil(count / pageSize)
+      }
+    };
+  }
+
+  /**
+   * Hide or publish a review and/or remove the provider reply
+   * @param {number} reviewId
+   * @param {Object} data - { status, moderation_reason, remove_reply }
+   * @param {number} adminId
+   */
+  async moderateReview(reviewId, data = {}, adminId) {
+    const review = await StrategyProviderReview.findByPk(reviewId, {
+      include: [{ model: LiveUser, as: 'reviewer', attributes: ['name'] }]
+    });
+    if (!review) {
+      throw new StrategyReviewError('Review not found', 404);
+    }
+
+    const updates = {};
+    if (data.status !== undefined) {
+      if (!REVIEW_STATUSES.includes(data.status)) {
+        throw new StrategyReviewError(`status must be one of: ${REVIEW_STATUSES.join(', ')}`);
+      }
+      updates.status = data.status;
+    }
+    if (data.remove_reply !== undefined) {
+      if (typeof data.remove_reply !== 'boolean') {
+        throw new StrategyReviewError('remove_reply must be a boolean');
+      }
+      if (data.remove_reply) {
+        updates.provider_reply = null;
+        updates.provider_replied_at = null;
+      }
+    }
+    if (Object.keys(updates).length === 0) {
+      throw new StrategyReviewError('Nothing to update: provide status or remove_reply');
+    }
+    if (data.moderation_reason !== undefined) {
+      updates.moderation_reason = data.moderation_reason ? String(data.moderation_reason).slice(0, 255) : null;
+    }
+
+    const statusChanged = updates.status !== undefined && updates.status !== review.status;
+    await review.update({ ...updates, moderated_by: adminId || null, moderated_at: new Date() });
+    if (statusChanged) {
+      await this.refreshAggregates(review.strategy_provider_id);
+    }
+
+    logger.info('Strategy review moderated', { reviewId: review.id, adminId, ...updates });
+    return formatReview(review, { withStatus: true });
+  }
+
+  /**
+   * Delete a review for good
+   */
+  async deleteReview(reviewId, adminId) {
+    const review = await StrategyProviderReview.findByPk(reviewId);
+    if (!review) {
+      throw new StrategyReviewError('Review not found', 404);
+    }
+    await review.destroy();
+    await this.refreshAggregates(review.strategy_provider_id);
+    logger.info('Strategy review deleted by admin', { reviewId: review.id, strategyProviderId: review.strategy_provider_id, adminId });
+    return { id: review.id, strategy_provider_id: review.strategy_provider_id };
+  }
+
+  /**
+   * Recompute average_rating and review_count of a strategy from its published reviews
+   */
+  async refreshAggregates(strategyProviderId) {
+    const [row] = await StrategyProviderReview.findAll({
+      where: { strategy_provider_id: strategyProviderId, status: 'published' },
+      attributes: [
+        [sequelize.fn('AVG', sequelize.col('rating')), 'average'],
+        [sequelize.fn('COUNT', sequelize.col('id')), 'count']
+      ],
+      raw: true
+    });
+    const reviewCount = toAmount(row?.count);
+    await StrategyProviderAccount.update({
+      average_rating: reviewCount > 0 ? roundAmount(row.average) : 0,
+      review_count: reviewCount
+    }, { where: { id: strategyProviderId } });
+  }
+}
+
+const strategyReviewService = new StrategyReviewService();
+strategyReviewService.StrategyReviewError = StrategyReviewError;
+strategyReviewService.MIN_COPY_DAYS = MIN_COPY_DAYS;
+strategyReviewService.SORT_OPTIONS = Object.keys(SORT_OPTIONS);
+strategyReviewService.computeReviewerStats = computeReviewerStats;
+strategyReviewService.maskReviewerName = maskReviewerName;
+
+module.exports = strategyReviewService;
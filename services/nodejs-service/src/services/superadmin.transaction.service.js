@@ -68,9 +68,10 @@ class SuperadminTransactionService {
    * @param {string} [params.referenceId] - Optional external reference
    * @param {string} [params.userEmail] - User email (will be fetched if not provided)
    * @param {string} [params.methodType] - Payment method type
+   * @param {Object} [params.approval] - Maker-checker approval this adjustment executes
    * @returns {Promise<Object>} Transaction result
    */
-  async processDeposit({ userId, userType, amount, adminId, notes = null, referenceId = null, userEmail = null, methodType = null }) {
+  async processDeposit({ userId, userType, amount, adminId, notes = null, referenceId = null, userEmail = null, methodType = null, approval = null }) {
     // Validate input
     if (!userId || !userType || !amount || !adminId) {
       throw new Error('Missing required parameters: userId, userType, amount, adminId');
@@ -129,7 +130,8 @@ class SuperadminTransactionService {
         notes: notes,
         metadata: {
           processed_by: 'superadmin',
-          processing_timestamp: new Date().toISOString()
+          processing_timestamp: new Date().toISOString(),
+          ...(approval ? { approval } : {})
         }
       }, { transaction });
 
@@ -189,9 +191,10 @@ class SuperadminTransactionService {
    * @param {string} [params.referenceId] - Optional external reference
    * @param {string} [params.userEmail] - User email (will be fetched if not provided)
    * @param {string} [params.methodType] - Payment method type
+   * @param {Object} [params.approval] - Maker-checker approval this adjustment executes
    * @returns {Promise<Object>} Transaction result
    */
-  async processWithdrawal({ userId, userType, amount, adminId, notes = null, referenceId = null, userEmail = null, methodType = null }) {
+  async processWithdrawal({ userId, userType, amount, adminId, notes = null, referenceId = null, userEmail = null, methodType = null, approval = null }) {
     // Validate input
     if (!userId || !userType || !amount || !adminId) {
       throw new Error('Missing required parameters: userId, userType, amount, adminId');
@@ -256,7 +259,8 @@ class SuperadminTransactionService {
         notes: notes,
         metadata: {
           processed_by: 'superadmin',
-          processing_timestamp: new Date().toISOString()
+          processing_timestamp: new Date().toISOString(),
+          ...(approval ? { approval } : {})
         }
       }, { transaction });
 
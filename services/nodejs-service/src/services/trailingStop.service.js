@@ -0,0 +1,464 @@
+const axios = require('axios');
+const { Op } = require('sequelize');
+const logger = require('./logger.service');
+const { redisCluster } = require('../../config/redis');
+const groupsCache = require('./groups.cache.service');
+const redisUserCache = require('./redis.user.cache.service');
+const idGenerator = require('./idGenerator.service');
+const orderLifecycleService = require('./orderLifecycle.service');
+const portfolioEvents = require('./events/portfolio.events');
+const LiveUserOrder = require('../models/liveUserOrder.model');
+const DemoUserOrder = require('../models/demoUserOrder.model');
+const { toNumber } = require('../utils/number.util');
+const { ServiceError } = require('../utils/serviceError.util');
+
+const TRAIL_UNITS = ['points', 'pips'];
+const MARKET_CHANNEL = 'market_price_updates';
+const SYMBOLS_KEY = 'trailing_sl_symbols';
+const LOCK_TTL_SEC = 15;
+const SYMBOL_REFRESH_MS = 30000;
+
+class TrailingStopError extends ServiceError {}
+
+function getOrderModel(userType) {
+  return userType === 'live' ? LiveUserOrder : DemoUserOrder;
+}
+
+/**
+ * Trailing stop-loss engine.
+ *
+ * Trail state lives in Redis so it survives restarts and is shared between instances:
+ * - trailing_sl:{order_id}          hash with the trail configuration and the current stop
+ * - trailing_sl_symbol:{symbol}     set of order_ids trailing on a symbol
+ * - trailing_sl_symbols             set of symbols with at least one trail
+ * The distance is also stored on the SQL order row so the Redis state can be rebuilt if it is lost.
+ *
+ * The engine listens to market_price_updates and ratchets the stop through the regular
+ * Python stoploss endpoints; every adjustment gets a new stoploss_id in orderLifecycle.service.
+ */
+class TrailingStopService {
+  constructor() {
+    this.started = false;
+    this.activeSymbols = new Set();
+    this.inFlightSymbols = new Set();
+    this.refreshTimer = null;
+    this.baseUrl = process.env.PYTHON_SERVICE_URL || 'http://127.0.0.1:8000';
+  }
+
+  trailKey(orderId) {
+    return `trailing_sl:${orderId}`;
+  }
+
+  symbolKey(symbol) {
+    return `trailing_sl_symbol:${symbol}`;
+  }
+
+  /**
+   * Convert a trader-entered distance into a price distance using the group config.
+   * points: distance * 10^-show_points; pips: distance * pips (pip size in price units).
+   */
+  async resolveDistancePrice(groupName, symbol, distance, unit = 'pips') {
+    const d = toNumber(distance);
+    if (!(d > 0)) {
+      throw new TrailingStopError('trailing_distance must be greater than 0');
+    }
+    const normalizedUnit = String(unit || 'pips').toLowerCase();
+    if (!TRAIL_UNITS.includes(normalizedUnit)) {
+      throw new TrailingStopError(`trailing_unit must be one of: ${TRAIL_UNITS.join(', ')}`);
+    }
+
+    let gf = await groupsCache.getGroupFields(groupName, symbol, ['show_points', 'pips']);
+    if (!gf && groupName !== 'Standard') {
+      gf = await groupsCache.getGroupFields('Standard', symbol, ['show_points', 'pips']);
+    }
+    if (!gf) {
+      throw new TrailingStopError(`Group configuration not found for ${symbol}`, 404);
+    }
+
+    let unitSize;
+    if (normalizedUnit === 'points') {
+      const showPoints = parseInt(gf.show_points, 10);
+      unitSize = Number.isFinite(showPoints) && showPoints > 0 ? Math.pow(10, -showPoints) : NaN;
+    } else {
+      unitSize = toNumber(gf.pips);
+    }
+    if (!(unitSize > 0)) {
+      throw new TrailingStopError(`Group ${normalizedUnit} configuration is missing for ${symbol}`);
+    }
+
+    return { distancePrice: d * unitSize, unit: normalizedUnit, unitSize };
+  }
+
+  async getMarketPrices(symbol) {
+    const [bid, ask] = await redisCluster.hmget(`market:${symbol}`, 'bid', 'ask');
+    return { bid: toNumber(bid), ask: toNumber(ask) };
+  }
+
+  /**
+   * Price a position is marked against: BUY trails the bid, SELL trails the ask.
+   */
+  trailingReference(side, prices) {
+    return side === 'BUY' ? prices.bid : prices.ask;
+  }
+
+  candidateStop(side, referencePrice, distancePrice) {
+    return side === 'BUY' ? referencePrice - distancePrice : referencePrice + distancePrice;
+  }
+
+  /**
+   * Validate trailing parameters for a stoploss request and work out the initial stop.
+   * When stopLoss is omitted the stop starts at the trailing distance from the market.
+   */
+  async prepare({ userType, userId, symbol, side, groupName = null, distance, unit, stopLoss = null }) {
+    let group = groupName;
+    if (!group) {
+      try {
+        const cfg = await redisUserCache.getUser(userType, parseInt(userId, 10));
+        group = cfg && cfg.group ? String(cfg.group) : null;
+      } catch (e) {
+        logger.warn('Trailing stop: failed to resolve user group', { userType, userId, error: e.message });
+      }
+    }
+    group = group || 'Standard';
+
+    const { distancePrice, unit: normalizedUnit } = await this.resolveDistancePrice(group, symbol, distance, unit);
+    const prices = await this.getMarketPrices(symbol);
+    const ref = this.trailingReference(side, prices);
+    if (!(ref > 0)) {
+      throw new TrailingStopError(`No market price available for ${symbol}`, 503);
+    }
+
+    let initialStop = toNumber(stopLoss);
+    if (!(initialStop > 0)) {
+      initialStop = this.candidateStop(side, ref, distancePrice);
+    }
+    if (!(initialStop > 0)) {
+      throw new TrailingStopError('trailing_distance is larger than the current market price');
+    }
+    if (side === 'BUY' && !(initialStop < ref)) {
+      throw new TrailingStopError('For BUY, trailing stop_loss must be below the current bid');
+    }
+    if (side === 'SELL' && !(initialStop > ref)) {
+      throw new TrailingStopError('For SELL, trailing stop_loss must be above the current ask');
+    }
+
+    return { group, distance: toNumber(distance), unit: normalizedUnit, distancePrice, stopLoss: initialStop, referencePrice: ref };
+  }
+
+  /**
+   * Start trailing an order after its initial stop has been accepted by the engine.
+   */
+  async registerTrail({ orderId, userId, userType, symbol, side, group, distance, unit, distancePrice, stopLoss, stoplossId, flow }) {
+    const trail = {
+      order_id: String(orderId),
+      user_id: String(userId),
+      user_type: String(userType),
+      symbol: String(symbol).toUpperCase(),
+      order_type: String(side).toUpperCase(),
+      group: String(group || 'Standard'),
+      distance: String(distance),
+      unit: String(unit),
+      distance_price: String(distancePrice),
+      current_sl: String(stopLoss),
+      stoploss_id: stoplossId ? String(stoplossId) : '',
+      flow: flow ? String(flow).toLowerCase() : 'local',
+      created_at: new Date().toISOString(),
+    };
+    await redisCluster.hset(this.trailKey(orderId), trail);
+    await redisCluster.sadd(this.symbolKey(trail.symbol), trail.order_id);
+    await redisCluster.sadd(SYMBOLS_KEY, trail.symbol);
+    this.activeSymbols.add(trail.symbol);
+
+    try {
+      const row = await getOrderModel(trail.user_type).findOne({ where: { order_id: trail.order_id } });
+      if (row) {
+        await row.update({ trailing_stop_distance: Number(distance).toFixed(8), trailing_stop_unit: trail.unit });
+      }
+    } catch (e) {
+      logger.warn('Trailing stop: failed to persist trail config to SQL', { order_id: trail.order_id, error: e.message });
+    }
+
+    logger.info('Trailing stop registered', { order_id: trail.order_id, symbol: trail.symbol, distance: trail.distance, unit: trail.unit, stop_loss: trail.current_sl });
+    return trail;
+  }
+
+  /**
+   * Stop trailing an order (manual SL change, SL cancel, close). Safe to call when no trail exists.
+   */
+  async removeTrail(orderId, { userType = null, reason = 'removed' } = {}) {
+    try {
+      const key = this.trailKey(orderId);
+      const trail = await redisCluster.hgetall(key);
+      if (!trail || Object.keys(trail).length === 0) return false;
+      await redisCluster.del(key);
+      if (trail.symbol) {
+        await redisCluster.srem(this.symbolKey(trail.symbol), String(orderId));
+        const left = await redisCluster.scard(this.symbolKey(trail.symbol));
+        if (!left) {
+          await redisCluster.srem(SYMBOLS_KEY, trail.symbol);
+          this.activeSymbols.delete(trail.symbol);
+        }
+      }
+      const ut = userType || trail.user_type;
+      if (ut === 'live' || ut === 'demo') {
+        try {
+          await getOrderModel(ut).update(
+            { trailing_stop_distance: null, trailing_stop_unit: null },
+            { where: { order_id: String(orderId) } }
+          );
+        } catch (e) {
+          logger.warn('Trailing stop: failed to clear trail config in SQL', { order_id: String(orderId), error: e.message });
+        }
+      }
+      logger.info('Trailing stop removed', { order_id: String(orderId), reason });
+      return true;
+    } catch (e) {
+      logger.warn('Trailing stop: failed to remove trail', { order_id: String(orderId), error: e.message });
+      return false;
+    }
+  }
+
+  async getTrail(orderId) {
+    const trail = await redisCluster.hgetall(this.trailKey(orderId));
+    return trail && Object.keys(trail).length > 0 ? trail : null;
+  }
+
+  /**
+   * Start listening for market updates. Restores trails from SQL when the Redis state is empty.
+   */
+  async start() {
+    if (this.started) return;
+    this.started = true;
+
+    try {
+      await this.refreshActiveSymbols();
+      if (this.activeSymbols.size === 0) {
+        await this.rebuildFromDatabase();
+      }
+    } catch (e) {
+      logger.error('Trailing stop: failed to restore trails on startup', { error: e.message });
+    }
+
+    redisCluster.on('message', (channel, message) => {
+      if (channel !== MARKET_CHANNEL) return;
+      const symbol = String(message || '').toUpperCase();
+      if (!this.activeSymbols.has(symbol)) return;
+      this.onPriceUpdate(symbol).catch((e) => {
+        logger.warn('Trailing stop: price update handling failed', { symbol, error: e.message });
+      });
+    });
+    await redisCluster.subscribe(MARKET_CHANNEL);
+
+    // Other instances may register trails; keep the local symbol filter in sync
+    this.refreshTimer = setInterval(() => {
+      this.refreshActiveSymbols().catch(() => {});
+    }, SYMBOL_REFRESH_MS);
+
+    logger.info('Trailing stop engine started', { symbols: this.activeSymbols.size });
+  }
+
+  stop() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+    this.started = false;
+  }
+
+  async refreshActiveSymbols() {
+    const symbols = await redisCluster.smembers(SYMBOLS_KEY);
+    this.activeSymbols = new Set((symbols || []).map((s) => String(s).toUpperCase()));
+  }
+
+  /**
+   * Recreate Redis trail state from OPEN orders that still carry a trailing distance in SQL.
+   */
+  async rebuildFromDatabase() {
+    let restored = 0;
+    for (const userType of ['live', 'demo']) {
+      const rows = await getOrderModel(userType).findAll({
+        where: { order_status: 'OPEN', trailing_stop_distance: { [Op.ne]: null } },
+      });
+      for (const row of rows) {
+        try {
+          const symbol = String(row.symbol).toUpperCase();
+          const side = String(row.order_type).toUpperCase();
+          const prep = await this.prepare({
+            userType,
+            userId: row.order_user_id,
+            symbol,
+            side,
+            distance: row.trailing_stop_distance,
+            unit: row.trailing_stop_unit || 'pips',
+            stopLoss: row.stop_loss,
+          }).catch(() => null);
+          let flow = 'local';
+          try {
+            const cfg = await redisUserCache.getUser(userType, row.order_user_id);
+            if (cfg && String(cfg.sending_orders || '').toLowerCase() === 'barclays') flow = 'provider';
+          } catch (_) {}
+          const distancePrice = prep ? prep.distancePrice : null;
+          if (!distancePrice || !(toNumber(row.stop_loss) > 0)) continue;
+          await this.registerTrail({
+            orderId: row.order_id,
+            userId: row.order_user_id,
+            userType,
+            symbol,
+            side,
+            group: prep.group,
+            distance: row.trailing_stop_distance,
+            unit: row.trailing_stop_unit || 'pips',
+            distancePrice,
+            stopLoss: row.stop_loss,
+            stoplossId: row.stoploss_id,
+            flow,
+          });
+          restored += 1;
+        } catch (e) {
+          logger.warn('Trailing stop: failed to restore trail', { order_id: row.order_id, error: e.message });
+        }
+      }
+    }
+    if (restored > 0) {
+      logger.info('Trailing stops restored from database', { restored });
+    }
+    return restored;
+  }
+
+  async onPriceUpdate(symbol) {
+    // One evaluation per symbol at a time; ticks arriving meanwhile are covered by the next one
+    if (this.inFlightSymbols.has(symbol)) return;
+    this.inFlightSymbols.add(symbol);
+    try {
+      const orderIds = await redisCluster.smembers(this.symbolKey(symbol));
+      if (!orderIds || orderIds.length === 0) {
+        await redisCluster.srem(SYMBOLS_KEY, symbol);
+        this.activeSymbols.delete(symbol);
+        return;
+      }
+      const prices = await this.getMarketPrices(symbol);
+      for (const orderId of orderIds) {
+        const trail = await this.getTrail(orderId);
+        if (!trail) {
+          await redisCluster.srem(this.symbolKey(symbol), orderId);
+          continue;
+        }
+        const ref = this.trailingReference(trail.order_type, prices);
+        if (!(ref > 0)) continue;
+        const candidate = this.candidateStop(trail.order_type, ref, toNumber(trail.distance_price));
+        const current = toNumber(trail.current_sl);
+        const improves = trail.order_type === 'BUY' ? candidate > current : candidate < current;
+        if (improves && candidate > 0) {
+          await this.adjust(trail, candidate, ref);
+        }
+      }
+    } finally {
+      this.inFlightSymbols.delete(symbol);
+    }
+  }
+
+  /**
+   * Move the stop for one order to newStop through the Python stoploss endpoints and record it.
+   */
+  async adjust(trail, newStop, referencePrice) {
+    const orderId = trail.order_id;
+    const lockKey = `trailing_sl_lock:${orderId}`;
+    const locked = await redisCluster.set(lockKey, '1', 'EX', LOCK_TTL_SEC, 'NX');
+    if (!locked) return null;
+
+    try {
+      // The order must still be open; otherwise the trail is stale
+      const holdingKey = `user_holdings:{${trail.user_type}:${trail.user_id}}:${orderId}`;
+      const holding = await redisCluster.hgetall(holdingKey);
+      const st = String(holding?.order_status || '').toUpperCase();
+      if (!holding || Object.keys(holding).length === 0 || (st && st !== 'OPEN')) {
+        await this.removeTrail(orderId, { reason: 'order_not_open' });
+        return null;
+      }
+
+      const oldStop = trail.current_sl;
+      const headers = { 'X-Internal-Auth': process.env.INTERNAL_PROVIDER_SECRET || process.env.INTERNAL_API_SECRET || 'livefxhub' };
+
+      // Provider flow keeps one live SL at the provider: cancel the previous one first
+      if (trail.flow === 'provider' && trail.stoploss_id) {
+        const stoploss_cancel_id = idGenerator.generateStopLossCancelId();
+        await axios.post(`${this.baseUrl}/api/orders/stoploss/cancel`, {
+          order_id: orderId,
+          symbol: trail.symbol,
+          user_id: trail.user_id,
+          user_type: trail.user_type,
+          order_type: trail.order_type,
+          status: 'STOPLOSS-CANCEL',
+          order_status: 'OPEN',
+          stoploss_id: trail.stoploss_id,
+          stoploss_cancel_id,
+        }, { timeout: 15000, headers });
+        await orderLifecycleService.addLifecycleId(orderId, 'stoploss_cancel_id', stoploss_cancel_id, `Trailing stop replaced - previous SL ${oldStop}`);
+        await orderLifecycleService.updateLifecycleStatus(trail.stoploss_id, 'cancelled', 'Replaced by trailing stop adjustment');
+      }
+
+      const stoploss_id = idGenerator.generateStopLossId();
+      const pyResp = await axios.post(`${this.baseUrl}/api/orders/stoploss/add`, {
+        order_id: orderId,
+        symbol: trail.symbol,
+        user_id: trail.user_id,
+        user_type: trail.user_type,
+        order_type: trail.order_type,
+        order_price: toNumber(holding.order_price) || undefined,
+        order_quantity: toNumber(holding.order_quantity) || undefined,
+        stoploss_id,
+        stop_loss: newStop,
+        status: 'STOPLOSS',
+        order_status: 'OPEN',
+      }, { timeout: 15000, headers });
+      const result = pyResp.data?.data || pyResp.data || {};
+
+      await orderLifecycleService.addLifecycleId(
+        orderId,
+        'stoploss_id',
+        stoploss_id,
+        `Trailing stop adjusted: ${oldStop} -> ${newStop} (market ${referencePrice}, distance ${trail.distance} ${trail.unit})`
+      );
+
+      await redisCluster.hset(this.trailKey(orderId), {
+        current_sl: String(newStop),
+        stoploss_id,
+        flow: result.flow ? String(result.flow).toLowerCase() : trail.flow,
+        last_adjusted_at: new Date().toISOString(),
+      });
+
+      if (trail.user_type === 'live' || trail.user_type === 'demo') {
+        const updates = { stoploss_id };
+        // Provider flow: the DB consumer persists stop_loss once the provider confirms
+        if (String(result.flow || trail.flow).toLowerCase() === 'local') updates.stop_loss = String(newStop);
+        await getOrderModel(trail.user_type).update(updates, { where: { order_id: orderId } });
+      }
+
+      try {
+        portfolioEvents.emitUserUpdate(trail.user_type, trail.user_id, {
+          type: 'order_update',
+          order_id: orderId,
+          update: { stop_loss: String(newStop) },
+          reason: 'trailing_stoploss_adjusted',
+        });
+      } catch (_) {}
+
+      logger.info('Trailing stop adjusted', { order_id: orderId, from: oldStop, to: newStop, market: referencePrice, stoploss_id });
+      return { order_id: orderId, stop_loss: newStop, stoploss_id };
+    } catch (e) {
+      logger.error('Trailing stop adjustment failed', {
+        order_id: orderId,
+        error: e.message,
+        detail: e?.response?.data,
+      });
+      return null;
+    } finally {
+      try { await redisCluster.del(lockKey); } catch (_) {}
+    }
+  }
+}
+
+const trailingStopService = new TrailingStopService();
+trailingStopService.TrailingStopError = TrailingStopError;
+
+module.exports = trailingStopService;
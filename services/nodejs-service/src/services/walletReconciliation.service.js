@@ -0,0 +1,668 @@
+const { Op, Transaction } = require('sequelize');
+const sequelize = require('../config/db');
+const { redisCluster } = require('../../config/redis');
+const LiveUser = require('../models/liveUser.model');
+const DemoUser = require('../models/demoUser.model');
+const StrategyProviderAccount = require('../models/strategyProviderAccount.model');
+const CopyFollowerAccount = require('../models/copyFollowerAccount.model');
+const UserTransaction = require('../models/userTransaction.model');
+const WalletReconciliationDiscrepancy = require('../models/walletReconciliationDiscrepancy.model');
+const redisSyncService = require('./redis.sync.service');
+const idGenerator = require('./idGenerator.service');
+const logger = require('./logger.service');
+const { toAmount, roundAmount } = require('../utils/number.util');
+const { ServiceError } = require('../utils/serviceError.util');
+
+const ACCOUNT_TYPES = ['live', 'demo', 'strategy_provider', 'copy_follower'];
+const DISCREPANCY_TYPES = ['chain_gap', 'pair_mismatch', 'wallet_mismatch', 'cache_mismatch'];
+const DISCREPANCY_STATUSES = ['open', 'resolved', 'repaired', 'ignored'];
+// Repairs available per discrepancy type; ledger history issues can only be acknowledged
+const REPAIR_MODES = {
+  wallet_mismatch: ['accept_wallet', 'restore_ledger'],
+  cache_mismatch: ['resync_cache']
+};
+const TOLERANCE = parseFloat(process.env.WALLET_RECONCILIATION_TOLERANCE) || 0.01;
+const BATCH_SIZE = 200;
+
+class WalletReconciliationError extends ServiceError {}
+
+function differs(expected, actual, tolerance = TOLERANCE) {
+  return Math.abs(roundAmount(actual - expected, 6)) > tolerance;
+}
+
+function paginate(page, limit) {
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const pageSize = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+  return { pageNum, pageSize, offset: (pageNum - 1) * pageSize };
+}
+
+function getAccountModel(userType) {
+  switch (userType) {
+    case 'live': return LiveUser;
+    case 'demo': return DemoUser;
+    case 'strategy_provider': return StrategyProviderAccount;
+    case 'copy_follower': return CopyFollowerAccount;
+    default:
+      throw new WalletReconciliationError(`user_type must be one of: ${ACCOUNT_TYPES.join(', ')}`);
+  }
+}
+
+/**
+ * Replay an account's completed ledger rows in order.
+ *
+ * Every row must start where the previous one ended (otherwise the wallet moved without a
+ * ledger entry: chain_gap) and end at balance_before + amount (pair_mismatch). The chain ends
+ * at the ledger balance, which the stored wallet_balance is compared against; the replayed
+ * balance (opening balance plus all amounts) differs from it by the sum of the findings.
+ *
+ * @param {Array<Object>} rows - { transaction_id, amount, balance_before, balance_after }, oldest first
+ * @param {number} [tolerance]
+ * @returns {{ transactions: number, opening_balance: number, ledger_balance: number,
+ *   replayed_balance: number, findings: Array<Object> }}
+ */
+function replayLedger(rows, tolerance = TOLERANCE) {
+  const findings = [];
+  let previous = null;
+  let replayed = rows.length ? toAmount(rows[0].balance_before) : 0;
+
+  for (const row of rows) {
+    const before = toAmount(row.balance_before);
+    const after = toAmount(row.balance_after);
+    const amount = toAmount(row.amount);
+
+    if (previous && differs(toAmount(previous.balance_after), before, tolerance)) {
+      findings.push({
+        discrepancy_type: 'chain_gap',
+        transaction_id: row.transaction_id,
+        previous_transaction_id: previous.transaction_id,
+        expected_balance: roundAmount(previous.balance_after, 6),
+        actual_balance: roundAmount(before, 6),
+        difference: roundAmount(before - toAmount(previous.balance_after), 6)
+      });
+    }
+    if (differs(before + amount, after, tolerance)) {
+      findings.push({
+        discrepancy_type: 'pair_mismatch',
+        transaction_id: row.transaction_id,
+        previous_transaction_id: null,
+        expected_balance: roundAmount(before + amount, 6),
+        actual_balance: roundAmount(after, 6),
+        difference: roundAmount(after - before - amount, 6)
+      });
+    }
+
+    replayed += amount;
+    previous = row;
+  }
+
+  return {
+    transactions: rows.length,
+    opening_balance: rows.length ? roundAmount(rows[0].balance_before, 6) : 0,
+    ledger_balance: previous ? roundAmount(previous.balance_after, 6) : 0,
+    replayed_balance: roundAmount(replayed, 6),
+    findings
+  };
+}
+
+function findingKey(finding) {
+  return `${finding.discrepancy_type}:${finding.transaction_id || ''}`;
+}
+
+function formatDiscrepancy(d) {
+  return {
+    id: d.id,
+    user_type: d.user_type,
+    user_id: Number(d.user_id),
+    discrepancy_type: d.discrepancy_type,
+    transaction_id: d.transaction_id,
+    previous_transaction_id: d.previous_transaction_id,
+    expected_balance: toAmount(d.expected_balance),
+    actual_balance: toAmount(d.actual_balance),
+    difference: toAmount(d.difference),
+    status: d.status,
+    repairable_with: d.status === 'open' ? (REPAIR_MODES[d.discrepancy_type] || []) : [],
+    detection_count: d.detection_count,
+    first_detected_at: d.first_detected_at,
+    last_detected_at: d.last_detected_at,
+    resolved_at: d.resolved_at,
+    resolved_by: d.resolved_by,
+    resolution: d.resolution,
+    resolution_note: d.resolution_note,
+    repair_transaction_ids: d.repair_transaction_ids
+  };
+}
+
+class WalletReconciliationService {
+  /**
+   * Cached wallet_balance of an account, null when the account is not cached
+   */
+  async getCachedBalance(userType, accountId) {
+    try {
+      const value = await redisCluster.hget(`user:{${userType}:${accountId}}:config`, 'wallet_balance');
+      if (value === null || value === undefined || value === '') return null;
+      const n = parseFloat(value);
+      return Number.isFinite(n) ? n : null;
+    } catch (e) {
+      logger.warn('Failed to read cached wallet_balance for reconciliation', { error: e.message, userType, accountId: String(accountId) });
+      return null;
+    }
+  }
+
+  /**
+   * Push the stored wallet_balance to the Redis caches
+   */
+  async syncCachedBalance(userType, accountId, balance, options = {}) {
+    await redisSyncService.syncUserAfterBalanceChange(accountId, userType, {
+      wallet_balance: balance,
+      last_admin_action: 'reconciliation_repair'
+    }, {
+      operation_type: 'reconciliation_repair',
+      // Copy accounts are only cached while trading; never create a partial config hash for them
+      cachedOnly: userType !== 'live' && userType !== 'demo',
+      ...options
+    });
+  }
+
+  /**
+   * Replay one account and check its stored and cached balances.
+   * The wallet and the ledger are read from one consistent snapshot, so payouts committed
+   * meanwhile cannot show up as a mismatch.
+   * @param {string} userType
+   * @param {number} accountId
+   * @returns {Promise<Object|null>} Replay result with findings, null when the account does not
+   *   exist or has no completed ledger rows
+   */
+  async reconcileAccount(userType, accountId) {
+    const Model = getAccountModel(userType);
+
+    const snapshot = await sequelize.transaction({ isolationLevel: Transaction.ISOLATION_LEVELS.REPEATABLE_READ }, async (t) => {
+      const account = await Model.findByPk(accountId, { attributes: ['id', 'wallet_balance'], transaction: t });
+      if (!account) return null;
+      const rows = await UserTransaction.findAll({
+        where: { user_type: userType, user_id: accountId, status: 'completed' },
+        attributes: ['id', 'transaction_id', 'amount', 'balance_before', 'balance_after'],
+        order: [['id', 'ASC']],
+        raw: true,
+        transaction: t
+      });
+      return { walletBalance: toAmount(account.wallet_balance), rows };
+    });
+    if (!snapshot || snapshot.rows.length === 0) return null;
+
+    const replay = replayLedger(snapshot.rows);
+    const findings = [...replay.findings];
+
+    if (differs(replay.ledger_balance, snapshot.walletBalance)) {
+      findings.push({
+        discrepancy_type: 'wallet_mismatch',
+        transaction_id: null,
+        previous_transaction_id: null,
+        expected_balance: replay.ledger_balance,
+        actual_balance: roundAmount(snapshot.walletBalance, 6),
+        difference: roundAmount(snapshot.walletBalance - replay.ledger_balance, 6)
+      });
+    }
+
+    // The cache is written after the database commits, so confirm a mismatch on fresh reads
+    let walletBalance = snapshot.walletBalance;
+    let cachedBalance = await this.getCachedBalance(userType, accountId);
+    if (cachedBalance !== null && differs(walletBalance, cachedBalance)) {
+      const account = await Model.findByPk(accountId, { attributes: ['id', 'wallet_balance'] });
+      walletBalance = toAmount(account?.wallet_balance);
+      cachedBalance = await this.getCachedBalance(userType, accountId);
+      if (cachedBalance !== null && differs(walletBalance, cachedBalance)) {
+        findings.push({
+          discrepancy_type: 'cache_mismatch',
+          transaction_id: null,
+          previous_transaction_id: null,
+          expected_balance: roundAmount(walletBalance, 6),
+          actual_balance: roundAmount(cachedBalance, 6),
+          difference: roundAmount(cachedBalance - walletBalance, 6)
+        });
+      }
+    }
+
+    return {
+      user_type: userType,
+      user_id: Number(accountId),
+      transactions: replay.transactions,
+      opening_balance: replay.opening_balance,
+      ledger_balance: replay.ledger_balance,
+      replayed_balance: replay.replayed_balance,
+      wallet_balance: roundAmount(snapshot.walletBalance, 6),
+      cached_balance: cachedBalance,
+      findings
+    };
+  }
+
+  /**
+   * Store an account's findings against its open and ignored discrepancies: known ones are
+   * refreshed, new ones opened, and open ones that were not found again are resolved.
+   * Ignored discrepancies stay ignored.
+   * @param {string} userType
+   * @param {number} accountId
+   * @param {Array<Object>} findings
+   * @param {Array<Object>} existing - The account's open and ignored discrepancy rows
+   * @param {Date} now
+   * @returns {Promise<{ created: number, resolved: number }>}
+   */
+  async recordFindings(userType, accountId, findings, existing, now) {
+    const byKey = new Map(existing.map((d) => [findingKey(d), d]));
+    let created = 0;
+    let resolved = 0;
+
+    for (const finding of findings) {
+      const key = findingKey(finding);
+      const known = byKey.get(key);
+      if (known) {
+        byKey.delete(key);
+        await known.update({
+          ...(known.status === 'open' ? {
+            expected_balance: finding.expected_balance,
+            actual_balance: finding.actual_balance,
+            difference: finding.difference
+          } : {}),
+          detection_count: known.detection_count + 1,
+          last_detected_at: now
+        });
+        continue;
+      }
+      await WalletReconciliationDiscrepancy.create({
+        user_type: userType,
+        user_id: accountId,
+        ...finding,
+        status: 'open',
+        first_detected_at: now,
+        last_detected_at: now
+      });
+      created++;
+    }
+
+    for (const stale of byKey.values()) {
+      if (stale.status !== 'open') continue;
+      await stale.update({ status: 'resolved', resolved_at: now });
+      resolved++;
+    }
+
+    return { created, resolved };
+  }
+
+  /**
+   * Reconcile every account that has ledger rows
+   * @param {Object} [options]
+   * @param {Array<string>} [options.userTypes] - Defaults to all account types
+   * @param {Date} [options.now]
+   * @returns {Promise<Object>} Run summary
+   */
+  async runReconciliation({ userTypes = ACCOUNT_TYPES, now = new Date() } = {}) {
+    const summary = {
+      checked: 0,
+      skipped: 0,
+      failed: 0,
+      accounts_with_discrepancies: 0,
+      discrepancies_opened: 0,
+      discrepancies_resolved: 0,
+      by_type: {}
+    };
+
+    for (const userType of userTypes) {
+      const Model = getAccountModel(userType);
+      const typeSummary = { checked: 0, accounts_with_discrepancies: 0, discrepancies_opened: 0 };
+      let lastId = 0;
+
+      for (;;) {
+        const accounts = await Model.findAll({
+          where: { id: { [Op.gt]: lastId } },
+          attributes: ['id'],
+          order: [['id', 'ASC']],
+          limit: BATCH_SIZE,
+          raw: true
+        });
+        if (!accounts.length) break;
+        lastId = accounts[accounts.length - 1].id;
+
+        const ids = accounts.map((a) => a.id);
+        const existingRows = await WalletReconciliationDiscrepancy.findAll({
+          where: { user_type: userType, user_id: { [Op.in]: ids }, status: { [Op.in]: ['open', 'ignored'] } }
+        });
+        const existingByAccount = new Map();
+        for (const row of existingRows) {
+          const accountId = Number(row.user_id);
+          if (!existingByAccount.has(accountId)) existingByAccount.set(accountId, []);
+          existingByAccount.get(accountId).push(row);
+        }
+
+        for (const id of ids) {
+          try {
+            const result = await this.reconcileAccount(userType, id);
+            if (!result) {
+              summary.skipped++;
+            } else {
+              summary.checked++;
+              typeSummary.checked++;
+            }
+            const findings = result ? result.findings : [];
+            const recorded = await this.recordFindings(userType, id, findings, existingByAccount.get(id) || [], now);
+            summary.discrepancies_opened += recorded.created;
+            summary.discrepancies_resolved += recorded.resolved;
+            typeSummary.discrepancies_opened += recorded.created;
+            if (findings.length) {
+              summary.accounts_with_discrepancies++;
+              typeSummary.accounts_with_discrepancies++;
+            }
+          } catch (error) {
+            summary.failed++;
+            logger.error('Wallet reconciliation failed for account', { userType, accountId: id, error: error.message });
+          }
+        }
+      }
+
+      summary.by_type[userType] = typeSummary;
+    }
+
+    if (summary.discrepancies_opened > 0) {
+      logger.warn('Wallet reconciliation found new discrepancies', summary);
+    } else {
+      logger.info('Wallet reconciliation completed', summary);
+    }
+    return summary;
+  }
+
+  /**
+   * List stored discrepancies
+   * @param {Object} query - status (default open), discrepancy_type, user_type, user_id, page, limit
+   */
+  async listDiscrepancies(query = {}) {
+    const where = {};
+    const status = query.status === undefined ? 'open' : query.status;
+    if (status !== 'all') {
+      if (!DISCREPANCY_STATUSES.includes(status)) {
+        throw new WalletReconciliationError(`status must be one of: all, ${DISCREPANCY_STATUSES.join(', ')}`);
+      }
+      where.status = status;
+    }
+    if (query.discrepancy_type !== undefined) {
+      if (!DISCREPANCY_TYPES.includes(query.discrepancy_type)) {
+        throw new WalletReconciliationError(`discrepancy_type must be one of: ${DISCREPANCY_TYPES.join(', ')}`);
+      }
+      where.discrepancy_type = query.discrepancy_type;
+    }
+    if (query.user_type !== undefined) {
+      getAccountModel(query.user_type);
+      where.user_type = query.user_type;
+    }
+    if (query.user_id) where.user_id = parseInt(query.user_id, 10) || 0;
+
+    const { pageNum, pageSize, offset } = paginate(query.page, query.limit);
+    const [{ count, rows }, openTotals] = await Promise.all([
+      WalletReconciliationDiscrepancy.findAndCountAll({
+        where,
+        order: [['last_detected_at', 'DESC'], ['id', 'DESC']],
+        limit: pageSize,
+        offset
+      }),
+      WalletReconciliationDiscrepancy.findAll({
+        where: { status: 'open' },
+        attributes: [
+          'discrepancy_type',
+          [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
+          [sequelize.fn('SUM', sequelize.fn('ABS', sequelize.col('difference'))), 'absolute_difference']
+        ],
+        group: ['discrepancy_type'],
+        raw: true
+      })
+    ]);
+
+    return {
+      discrepancies: rows.map(formatDiscrepancy),
+      open_totals: openTotals.map((t) => ({
+        discrepancy_type: t.discrepancy_type,
+        count: Number(t.count),
+        absolute_difference: roundAmount(t.absolute_difference, 6)
+      })),
+      pagination: {
+        total: count,
+        page: pageNum,
+        limit: pageSize,
+        total_pages: Math.ceil(count / pageSize)
+      }
+    };
+  }
+
+  /**
+   * Fresh replay of one account next to its stored discrepancies (nothing is recorded)
+   * @param {string} userType
+   * @param {number} accountId
+   */
+  async getAccountReport(userType, accountId) {
+    const Model = getAccountModel(userType);
+    const account = await Model.findByPk(accountId, { attributes: ['id'] });
+    if (!account) {
+      throw new WalletReconciliationError('Account not found', 404);
+    }
+
+    const [replay, discrepancies] = await Promise.all([
+      this.reconcileAccount(userType, accountId),
+      WalletReconciliationDiscrepancy.findAll({
+        where: { user_type: userType, user_id: accountId },
+        order: [['last_detected_at', 'DESC'], ['id', 'DESC']],
+        limit: 100
+      })
+    ]);
+
+    return {
+      user_type: userType,
+      user_id: Number(accountId),
+      replay,
+      discrepancies: discrepancies.map(formatDiscrepancy)
+    };
+  }
+
+  async loadOpenDiscrepancy(discrepancyId) {
+    const discrepancy = await WalletReconciliationDiscrepancy.findByPk(discrepancyId);
+    if (!discrepancy) {
+      throw new WalletReconciliationError('Discrepancy not found', 404);
+    }
+    if (discrepancy.status !== 'open') {
+      throw new WalletReconciliationError(`Discrepancy is already ${discrepancy.status}`, 409);
+    }
+    return discrepancy;
+  }
+
+  /**
+   * Repair an open wallet or cache mismatch.
+   *
+   * Guarded: the caller must echo the recorded difference, and the balances are re-read under
+   * lock and must still differ by that amount.
+   *  - accept_wallet: the stored wallet is right; an adjustment records the unexplained movement
+   *    so the ledger ends at the wallet balance. The wallet is not touched.
+   *  - restore_ledger: the ledger is right; the same recording adjustment is posted, followed by
+   *    a reversing adjustment that moves the wallet back to the ledger balance.
+   *  - resync_cache: the stored wallet is pushed to Redis again.
+   *
+   * @param {number} discrepancyId
+   * @param {Object} data - { mode, reason, expected_difference }
+   * @param {number} adminId
+   * @returns {Promise<Object>} The updated discrepancy
+   */
+  async repairDiscrepancy(discrepancyId, data, adminId) {
+    const discrepancy = await this.loadOpenDiscrepancy(discrepancyId);
+
+    const allowedModes = REPAIR_MODES[discrepancy.discrepancy_type];
+    if (!allowedModes) {
+      throw new WalletReconciliationError('Ledger history discrepancies cannot be repaired; ignore them once reviewed');
+    }
+    if (!allowedModes.includes(data.mode)) {
+      throw new WalletReconciliationError(`mode must be one of: ${allowedModes.join(', ')}`);
+    }
+    const reason = typeof data.reason === 'string' ? data.reason.trim() : '';
+    if (!reason) {
+      throw new WalletReconciliationError('reason is required');
+    }
+    if (reason.length > 500) {
+      throw new WalletReconciliationError('reason must be at most 500 characters');
+    }
+    const expectedDifference = parseFloat(data.expected_difference);
+    if (!Number.isFinite(expectedDifference)) {
+      throw new WalletReconciliationError('expected_difference is required');
+    }
+    if (differs(toAmount(discrepancy.difference), expectedDifference)) {
+      throw new WalletReconciliationError('expected_difference does not match the recorded difference');
+    }
+
+    const userType = discrepancy.user_type;
+    const accountId = Number(discrepancy.user_id);
+    const Model = getAccountModel(userType);
+
+    if (data.mode === 'resync_cache') {
+      const account = await Model.findByPk(accountId, { attributes: ['id', 'wallet_balance'] });
+      if (!account) {
+        throw new WalletReconciliationError('Account not found', 404);
+      }
+      const walletBalance = toAmount(account.wallet_balance);
+      await this.syncCachedBalance(userType, accountId, walletBalance, { admin_id: adminId });
+      const cachedBalance = await this.getCachedBalance(userType, accountId);
+      if (cachedBalance !== null && differs(walletBalance, cachedBalance)) {
+        throw new WalletReconciliationError('Cached balance still differs after resync', 409);
+      }
+      await discrepancy.update({
+        status: 'repaired',
+        resolution: 'resync_cache',
+        resolution_note: reason,
+        resolved_by: adminId,
+        resolved_at: new Date()
+      });
+      logger.info('Wallet cache discrepancy repaired', { discrepancyId, userType, accountId, adminId, walletBalance });
+      return formatDiscrepancy(discrepancy);
+    }
+
+    const result = await sequelize.transaction({ isolationLevel: Transaction.ISOLATION_LEVELS.READ_COMMITTED }, async (t) => {
+      const account = await Model.findByPk(accountId, { transaction: t, lock: t.LOCK.UPDATE });
+      if (!account) {
+        throw new WalletReconciliationError('Account not found', 404);
+      }
+      const last = await UserTransaction.findOne({
+        where: { user_type: userType, user_id: accountId, status: 'completed' },
+        order: [['id', 'DESC']],
+        transaction: t
+      });
+      if (!last) {
+        throw new WalletReconciliationError('Account has no ledger rows', 409);
+      }
+
+      const walletBalance = roundAmount(account.wallet_balance, 6);
+      const ledgerBalance = roundAmount(last.balance_after, 6);
+      const difference = roundAmount(walletBalance - ledgerBalance, 6);
+      if (differs(toAmount(discrepancy.difference), difference)) {
+        throw new WalletReconciliationError('Balances have changed since the discrepancy was found; run the reconciliation again', 409);
+      }
+
+      const base = {
+        user_id: accountId,
+        user_type: userType,
+        type: 'adjustment',
+        status: 'completed',
+        admin_id: adminId,
+        user_email: account.email || null,
+        metadata: {
+          processed_by: 'superadmin',
+          reconciliation_discrepancy_id: discrepancy.id,
+          resolution: data.mode,
+          processing_timestamp: new Date().toISOString()
+        }
+      };
+
+      // Record the movement the ledger missed, so it ends at the stored wallet balance
+      const recorded = await UserTransaction.create({
+        ...base,
+        transaction_id: await idGenerator.generateTransactionId(),
+        amount: difference,
+        balance_before: ledgerBalance,
+        balance_after: walletBalance,
+        notes: `Reconciliation: unrecorded wallet movement (discrepancy #${discrepancy.id}). ${reason}`
+      }, { transaction: t });
+      const transactionIds = [recorded.transaction_id];
+
+      let balanceAfter = walletBalance;
+      if (data.mode === 'restore_ledger') {
+        const reversal = await UserTransaction.create({
+          ...base,
+          transaction_id: await idGenerator.generateTransactionId(),
+          amount: -difference,
+          balance_before: walletBalance,
+          balance_after: ledgerBalance,
+          notes: `Reconciliation: wallet restored to ledger balance (discrepancy #${discrepancy.id}). ${reason}`
+        }, { transaction: t });
+        transactionIds.push(reversal.transaction_id);
+        await account.update({ wallet_balance: ledgerBalance }, { transaction: t });
+        balanceAfter = ledgerBalance;
+      }
+
+      await discrepancy.update({
+        status: 'repaired',
+        resolution: data.mode,
+        resolution_note: reason,
+        resolved_by: adminId,
+        resolved_at: new Date(),
+        repair_transaction_ids: transactionIds
+      }, { transaction: t });
+
+      return { balanceAfter, transactionIds };
+    });
+
+    if (data.mode === 'restore_ledger') {
+      await this.syncCachedBalance(userType, accountId, result.balanceAfter, {
+        admin_id: adminId,
+        transaction_id: result.transactionIds[result.transactionIds.length - 1]
+      });
+    }
+
+    logger.info('Wallet discrepancy repaired', {
+      discrepancyId,
+      userType,
+      accountId,
+      adminId,
+      mode: data.mode,
+      difference: toAmount(discrepancy.difference),
+      transactionIds: result.transactionIds
+    });
+
+    return formatDiscrepancy(discrepancy);
+  }
+
+  /**
+   * Acknowledge an open discrepancy; later runs keep it ignored instead of reporting it again
+   * @param {number} discrepancyId
+   * @param {Object} data - { reason }
+   * @param {number} adminId
+   */
+  async ignoreDiscrepancy(discrepancyId, data, adminId) {
+    const discrepancy = await this.loadOpenDiscrepancy(discrepancyId);
+
+    const reason = typeof data.reason === 'string' ? data.reason.trim() : '';
+    if (!reason) {
+      throw new WalletReconciliationError('reason is required');
+    }
+    if (reason.length > 500) {
+      throw new WalletReconciliationError('reason must be at most 500 characters');
+    }
+
+    await discrepancy.update({
+      status: 'ignored',
+      resolution: 'ignore',
+      resolution_note: reason,
+      resolved_by: adminId,
+      resolved_at: new Date()
+    });
+
+    logger.info('Wallet discrepancy ignored', { discrepancyId, adminId, discrepancyType: discrepancy.discrepancy_type });
+    return formatDiscrepancy(discrepancy);
+  }
+}
+
+const walletReconciliationService = new WalletReconciliationService();
+walletReconciliationService.WalletReconciliationError = WalletReconciliationError;
+walletReconciliationService.ACCOUNT_TYPES = ACCOUNT_TYPES;
+walletReconciliationService.replayLedger = replayLedger;
+
+module.exports = walletReconciliationService;
@@ -9,6 +9,15 @@ const DemoUserOrder = require('../../models/demoUserOrder.model');
 const logger = require('../logger.service');
 const portfolioEvents = require('../events/portfolio.events');
 
+// Portfolio events delivered to the client as notifications (event type -> WS message type)
+const NOTIFICATION_EVENTS = {
+  price_alert_triggered: 'price_alert',
+  margin_warning: 'margin_warning',
+  stop_out: 'stop_out',
+  copy_risk_breach: 'copy_risk_breach',
+  copy_fee_unpaid: 'copy_fee_unpaid',
+};
+
 // Connection tracking for logging purposes only (no limits)
 const userConnCounts = new Map(); // key: user_type:user_id -> count
 
@@ -88,7 +97,13 @@ async function fetchOrdersFromDB(userType, userId) {
     };
     const status = String(r.order_status).toUpperCase();
     if (status === 'OPEN') open.push(base);
-    else if (status === 'PENDING') pending.push(base);
+    else if (status === 'PENDING') {
+      pending.push({
+        ...base,
+        time_in_force: r.time_in_force || 'GTC',
+        expires_at: r.expires_at ? toIsoTimeSafe(r.expires_at) : null,
+      });
+    }
     else if (status === 'REJECTED') rejected.push(base);
     // Note: CANCELLED orders are not included in any category (they're removed from UI)
     // Note: CLOSED orders are not included in any category (they're in order history)
@@ -256,6 +271,15 @@ function startPortfolioWSServer(server) {
     // Event-driven updates: subscribe to user events
     const unsubscribe = portfolioEvents.onUserUpdate(userType, userId, async (evt) => {
       if (!alive) return;
+      // Notifications are not portfolio changes: forward them as-is
+      if (evt && NOTIFICATION_EVENTS[evt.type]) {
+        try {
+          ws.send(JSON.stringify({ type: NOTIFICATION_EVENTS[evt.type], data: evt.data }));
+        } catch (e) {
+          logger.error('WS notification send failed', { error: e.message, userId, userType, type: evt.type });
+        }
+        return;
+      }
       await sendSnapshot('event', evt);
     });
 
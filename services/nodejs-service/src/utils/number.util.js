@@ -0,0 +1,42 @@
+/**
+ * Number coercion and rounding for values read from Redis hashes, DECIMAL columns and request bodies.
+ */
+
+/**
+ * @param {*} v
+ * @returns {number} The number, or NaN when `v` is not a finite number
+ */
+function toNumber(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : NaN;
+}
+
+/**
+ * For amounts and balances where a missing value counts as zero.
+ * @param {*} v
+ * @returns {number} The number, or 0 when `v` is not a finite number
+ */
+function toAmount(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+}
+
+/**
+ * @param {number} v
+ * @param {number} [digits=2]
+ * @returns {number|null} `v` rounded to `digits` decimals, or null when it is not finite
+ */
+function round(v, digits = 2) {
+  return Number.isFinite(v) ? Number(v.toFixed(digits)) : null;
+}
+
+/**
+ * @param {*} v
+ * @param {number} [digits=2]
+ * @returns {number} `v` as an amount (see toAmount) rounded to `digits` decimals
+ */
+function roundAmount(v, digits = 2) {
+  return Number(toAmount(v).toFixed(digits));
+}
+
+module.exports = { toNumber, toAmount, round, roundAmount };
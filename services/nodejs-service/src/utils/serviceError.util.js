@@ -0,0 +1,20 @@
+/**
+ * Base class for errors a service raises on purpose (bad input, missing record, conflicting state).
+ * Controllers answer them with `statusCode` instead of a generic 500.
+ * Each service declares its own subclass so controllers can tell whose error it is.
+ */
+class ServiceError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} [statusCode=400]
+   * @param {string|null} [reason] - Machine-readable reason code, where the API returns one
+   */
+  constructor(message, statusCode = 400, reason = null) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.reason = reason;
+  }
+}
+
+module.exports = { ServiceError };
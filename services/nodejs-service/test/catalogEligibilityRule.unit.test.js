@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const catalogEligibilityRuleService = require('../src/services/catalogEligibilityRule.service');
+
+const { CatalogRuleError } = catalogEligibilityRuleService;
+
+const rules = [
+  { id: 1, rule_type: 'min_closed_trades', threshold: 10 },
+  { id: 2, rule_type: 'max_drawdown', threshold: 30, description: 'Keep drawdown under 30%' },
+  { id: 3, rule_type: 'max_days_since_last_trade', threshold: 7 },
+  { id: 4, rule_type: 'kyc_required', threshold: null },
+];
+
+test('evaluateRules passes a provider that meets every threshold', () => {
+  const checks = catalogEligibilityRuleService.evaluateRules(rules, {
+    closed_trades: 10, max_drawdown: 30, days_since_last_trade: 0, is_kyc_verified: true,
+  });
+  assert.deepEqual(checks.map((c) => c.passed), [true, true, true, true]);
+  assert.ok(checks.every((c) => c.message === null));
+  assert.equal(checks[0].description, 'closed trades');
+  assert.equal(checks[1].description, 'Keep drawdown under 30%');
+});
+
+test('evaluateRules explains each failed rule', () => {
+  const checks = catalogEligibilityRuleService.evaluateRules(rules, {
+    closed_trades: 4, max_drawdown: 41.256, days_since_last_trade: null, is_kyc_verified: false,
+  });
+  assert.deepEqual(checks.map((c) => c.passed), [false, false, false, false]);
+  assert.deepEqual(checks.map((c) => c.message), [
+    'Minimum 10 closed trades required (current: 4)',
+    'Max drawdown must be <= 30% (current: 41.26%)',
+    'No recent trades - must have traded within 7 days',
+    'KYC verification required',
+  ]);
+  assert.equal(checks[2].actual, null);
+});
+
+test('evaluateRules fails rules of an unknown type', () => {
+  const [check] = catalogEligibilityRuleService.evaluateRules([{ id: 9, rule_type: 'min_followers', threshold: 5 }], { followers: 50 });
+  assert.equal(check.passed, false);
+  assert.equal(check.actual, null);
+  assert.equal(check.message, 'Rule min_followers not met');
+});
+
+test('validateRule checks thresholds against the rule type', () => {
+  assert.deepEqual(catalogEligibilityRuleService.validateRule({ rule_type: 'min_equity', threshold: '500' }), { rule_type: 'min_equity', threshold: 500 });
+  assert.deepEqual(catalogEligibilityRuleService.validateRule({ rule_type: 'kyc_required', threshold: 3 }), { rule_type: 'kyc_required', threshold: null });
+  for (const data of [
+    { rule_type: 'min_followers', threshold: 1 },
+    { rule_type: 'min_closed_trades', threshold: 2.5 },
+    { rule_type: 'max_drawdown', threshold: 120 },
+    { rule_type: 'min_return' },
+    { rule_type: 'min_return', threshold: 5, is_enabled: 'yes' },
+  ]) {
+    assert.throws(() => catalogEligibilityRuleService.validateRule(data), CatalogRuleError, JSON.stringify(data));
+  }
+});
+
+test('validateRule keeps the rule type of an existing rule', () => {
+  const existing = { rule_type: 'min_return', threshold: 5 };
+  assert.deepEqual(catalogEligibilityRuleService.validateRule({ is_enabled: false }, existing), { is_enabled: false });
+  assert.throws(() => catalogEligibilityRuleService.validateRule({ rule_type: 'min_equity' }, existing), CatalogRuleError);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CopyFollowerAccount = require('../src/models/copyFollowerAccount.model');
+const LiveUser = require('../src/models/liveUser.model');
+const copyFollowerGuardianService = require('../src/services/copyFollowerGuardian.service');
+const portfolioEvents = require('../src/services/events/portfolio.events');
+const copyFeeBillingService = require('../src/services/copyFeeBilling.service');
+
+const { monthWindow, managementFeeForDays, subscriptionFeeForMonth } = copyFeeBillingService;
+
+test('monthWindow covers the UTC calendar month', () => {
+  const window = monthWindow(new Date('2025-02-10T12:00:00Z'));
+  assert.equal(window.period, '2025-02');
+  assert.equal(window.start.toISOString(), '2025-02-01T00:00:00.000Z');
+  assert.equal(window.end.toISOString(), '2025-03-01T00:00:00.000Z');
+  assert.equal(window.days, 28);
+});
+
+test('managementFeeForDays accrues the annual rate per day on positive equity', () => {
+  assert.equal(managementFeeForDays(36500, 2, 10), 20);
+  assert.equal(managementFeeForDays(-500, 2, 10), 0);
+  assert.equal(managementFeeForDays(36500, 0, 10), 0);
+  assert.equal(managementFeeForDays(36500, 2, 0), 0);
+});
+
+test('subscriptionFeeForMonth charges full months and pro-rates the joining month', () => {
+  const november = monthWindow(new Date('2025-11-15T00:00:00Z'));
+  assert.equal(subscriptionFeeForMonth(30, november, new Date('2025-10-02T00:00:00Z')), 30);
+  assert.equal(subscriptionFeeForMonth(30, november, null), 30);
+  // Joined on the 21st: 10 of 30 days, the joining day included
+  assert.equal(subscriptionFeeForMonth(30, november, new Date('2025-11-21T15:00:00Z')), 10);
+  assert.equal(subscriptionFeeForMonth(30, november, new Date('2025-12-01T00:00:00Z')), 0);
+  assert.equal(subscriptionFeeForMonth(0, november, null), 0);
+});
+
+test('pauseForUnpaidFee pauses the follower and notifies the owner on the portfolio socket', async (t) => {
+  const update = t.mock.method(CopyFollowerAccount, 'update', async () => [1]);
+  const invalidate = t.mock.method(copyFollowerGuardianService, 'invalidate', () => {});
+  const emits = [];
+  t.mock.method(portfolioEvents, 'emitUserUpdate', (userType, userId, payload) => emits.push([userType, userId, payload]));
+  const findOwner = t.mock.method(LiveUser, 'findByPk', async () => ({ email: null }));
+  const charge = { id: 9, fee_type: 'subscription_fee', period: '2025-11', amount: '30', attempts: 2 };
+
+  await copyFeeBillingService.pauseForUnpaidFee(4, { charge, userId: 1, strategyName: 'Alpha', due: 30 });
+
+  const [values, options] = update.mock.calls[0].arguments;
+  assert.equal(values.copy_status, 'paused');
+  assert.equal(values.pause_reason, 'Subscription fee of 30 for 2025-11 unpaid: insufficient funds');
+  assert.deepEqual(options.where, { id: 4, copy_status: 'active', unfollow_requested_at: null });
+  assert.equal(invalidate.mock.calls[0].arguments[0], 4);
+  // The portfolio socket serves live and demo users, so the notice goes to the owner's live account only
+  assert.deepEqual(emits.map(([userType, userId, payload]) => [userType, userId, payload.type]), [['live', 1, 'copy_fee_unpaid']]);
+  assert.equal(emits[0][2].data.strategy_name, 'Alpha');
+  assert.equal(findOwner.mock.calls[0].arguments[0], 1);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { redisCluster } = require('../config/redis');
+const CopyFollowerAccount = require('../src/models/copyFollowerAccount.model');
+const CopyFollowerOrder = require('../src/models/copyFollowerOrder.model');
+const CopyFollowerRiskBreach = require('../src/models/copyFollowerRiskBreach.model');
+const StrategyProviderAccount = require('../src/models/strategyProviderAccount.model');
+const LiveUser = require('../src/models/liveUser.model');
+const portfolioEvents = require('../src/services/events/portfolio.events');
+const copyTradingService = require('../src/services/copyTrading.service');
+const guardianService = require('../src/services/copyFollowerGuardian.service');
+
+const { evaluate } = guardianService;
+
+test('evaluate reports a drawdown from the initial investment', () => {
+  const limits = { stop_copying_on_drawdown: 20, base_equity: 1000, max_daily_loss: 0 };
+  assert.equal(evaluate(limits, { equity: 850, floating_pnl: -150 }), null);
+  assert.deepEqual(evaluate(limits, { equity: 800, floating_pnl: -200 }), {
+    breach_type: 'drawdown',
+    limit_value: 20,
+    actual_value: 20
+  });
+});
+
+test('evaluate adds the open loss to the realized loss of the day', () => {
+  const limits = { stop_copying_on_drawdown: 0, base_equity: 1000, max_daily_loss: 100, realized_loss_today: 60 };
+  assert.equal(evaluate(limits, { equity: 950, floating_pnl: -39.99 }), null);
+  assert.deepEqual(evaluate(limits, { equity: 950, floating_pnl: -40 }), {
+    breach_type: 'daily_loss',
+    limit_value: 100,
+    actual_value: 100
+  });
+  // Open profit does not offset realized losses
+  assert.equal(evaluate({ ...limits, realized_loss_today: 99 }, { equity: 950, floating_pnl: 50 }), null);
+});
+
+test('evaluate reports the drawdown first when both limits are hit', () => {
+  const limits = { stop_copying_on_drawdown: 10, base_equity: 1000, max_daily_loss: 50, realized_loss_today: 0 };
+  assert.equal(evaluate(limits, { equity: 850, floating_pnl: -150 }).breach_type, 'drawdown');
+});
+
+test('evaluate ignores limits that are not set', () => {
+  assert.equal(evaluate({ stop_copying_on_drawdown: 0, base_equity: 1000, max_daily_loss: 0 }, { equity: 1, floating_pnl: -999 }), null);
+});
+
+test('handleBreach counts only the positions the engine accepted to close', async (t) => {
+  t.mock.method(redisCluster, 'set', async () => 'OK');
+  t.mock.method(CopyFollowerAccount, 'update', async () => [1]);
+  t.mock.method(CopyFollowerOrder, 'findAll', async () => [
+    { order_id: 'ord_1', master_order_id: 'ord_m1', order_status: 'OPEN' },
+    { order_id: 'ord_2', master_order_id: 'ord_m2', order_status: 'OPEN' },
+    { order_id: 'ord_3', master_order_id: 'ord_m3', order_status: 'PENDING' }
+  ]);
+  t.mock.method(copyTradingService, 'closeFollowerOrder', async (order) => (
+    order.order_id === 'ord_1' ? { success: true } : { success: false, error: 'timeout' }
+  ));
+  t.mock.method(copyTradingService, 'cancelFollowerOrder', async () => ({ success: true }));
+  const create = t.mock.method(CopyFollowerRiskBreach, 'create', async (fields) => ({ id: 1, ...fields }));
+  t.mock.method(StrategyProviderAccount, 'findByPk', async () => null);
+  t.mock.method(LiveUser, 'findByPk', async () => null);
+  const emit = t.mock.method(portfolioEvents, 'emitUserUpdate', () => {});
+
+  const limits = { follower_id: 7, user_id: 1, strategy_provider_id: 3, close_positions_on_breach: true };
+  const figures = { balance: 800, equity: 800, floating_pnl: -200, open_positions: 3 };
+  const breach = { breach_type: 'drawdown', limit_value: 20, actual_value: 20 };
+  const notice = await guardianService.handleBreach(limits, figures, breach);
+
+  const record = create.mock.calls[0].arguments[0];
+  assert.equal(record.positions_closed, 2);
+  assert.deepEqual(record.close_errors, [{ order_id: 'ord_2', error: 'timeout' }]);
+  assert.equal(notice.positions_closed, 2);
+  // The portfolio socket serves live and demo users, so the notice goes to the owner's live account
+  assert.deepEqual(emit.mock.calls.map((c) => [c.arguments[0], c.arguments[1], c.arguments[2].type]), [['live', 1, 'copy_risk_breach']]);
+});
@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sequelize = require('../src/config/db');
+const CopyFollowerAccount = require('../src/models/copyFollowerAccount.model');
+const LiveUser = require('../src/models/liveUser.model');
+const copyPortfolioService = require('../src/services/copyPortfolio.service');
+
+const { CopyPortfolioError, splitByWeight, planRebalance, isRebalanceDue, fundingUpdates } = copyPortfolioService;
+
+const member = (id, weight, equity, withdrawable = equity) => ({ id, weight, equity, withdrawable });
+
+test('splitByWeight splits an amount in proportion to the weights', () => {
+  assert.deepEqual(splitByWeight(1000, [{ id: 1, weight: 60 }, { id: 2, weight: 40 }]), [
+    { id: 1, amount: 600 },
+    { id: 2, amount: 400 }
+  ]);
+});
+
+test('splitByWeight gives the rounding remainder to the largest weight', () => {
+  const even = splitByWeight(100, [{ id: 1, weight: 1 }, { id: 2, weight: 1 }, { id: 3, weight: 1 }]);
+  assert.deepEqual(even.map(p => p.amount), [33.34, 33.33, 33.33]);
+  const uneven = splitByWeight(10, [{ id: 1, weight: 1 }, { id: 2, weight: 2 }, { id: 3, weight: 3 }]);
+  assert.deepEqual(uneven.map(p => p.amount), [1.67, 3.33, 5]);
+});
+
+test('splitByWeight returns nothing without a positive total weight', () => {
+  assert.deepEqual(splitByWeight(100, [{ id: 1, weight: 0 }]), []);
+  assert.deepEqual(splitByWeight(100, []), []);
+});
+
+test('planRebalance moves funds from over-weight to under-weight accounts', () => {
+  const plan = planRebalance([member(1, 40, 800), member(2, 30, 100), member(3, 30, 100)]);
+  assert.equal(plan.drift, 40);
+  assert.deepEqual(plan.adjustments, [
+    { id: 1, amount: -400 },
+    { id: 2, amount: 200 },
+    { id: 3, amount: 200 }
+  ]);
+});
+
+test('planRebalance only moves what the over-weight account can withdraw', () => {
+  const plan = planRebalance([member(1, 50, 700, 50), member(2, 50, 300)]);
+  assert.equal(plan.drift, 20);
+  assert.deepEqual(plan.adjustments, [{ id: 1, amount: -50 }, { id: 2, amount: 50 }]);
+});
+
+test('planRebalance skips transfers below the minimum but still reports the drift', () => {
+  const plan = planRebalance([member(1, 50, 700, 0.5), member(2, 50, 300)]);
+  assert.deepEqual(plan, { drift: 20, adjustments: [] });
+  assert.deepEqual(planRebalance([member(1, 50, 0), member(2, 50, 0)]), { drift: 0, adjustments: [] });
+});
+
+test('isRebalanceDue waits a full week or calendar month since the last rebalance', () => {
+  const weekly = { rebalance_frequency: 'weekly', last_rebalanced_at: '2025-11-01T00:00:00Z' };
+  assert.equal(isRebalanceDue(weekly, new Date('2025-11-07T23:59:00Z')), false);
+  assert.equal(isRebalanceDue(weekly, new Date('2025-11-08T00:00:00Z')), true);
+
+  const monthly = { rebalance_frequency: 'monthly', last_rebalanced_at: null, created_at: '2025-10-15T12:00:00Z' };
+  assert.equal(isRebalanceDue(monthly, new Date('2025-11-15T11:59:00Z')), false);
+  assert.equal(isRebalanceDue(monthly, new Date('2025-11-15T12:00:00Z')), true);
+});
+
+test('isRebalanceDue is never true without a schedule', () => {
+  assert.equal(isRebalanceDue({ rebalance_frequency: 'none', created_at: '2020-01-01T00:00:00Z' }, new Date()), false);
+});
+
+const account = {
+  wallet_balance: '1000',
+  investment_amount: '1000',
+  initial_investment: '1000',
+  high_water_mark: '1200'
+};
+
+test('fundingUpdates raises the invested amount and high-water mark by a deposit', () => {
+  assert.deepEqual(fundingUpdates(account, 500), {
+    wallet_balance: 1500,
+    investment_amount: 1500,
+    initial_investment: 1500,
+    high_water_mark: 1700
+  });
+});
+
+test('fundingUpdates lowers them by the share of equity withdrawn', () => {
+  assert.deepEqual(fundingUpdates(account, -250, 1000), {
+    wallet_balance: 750,
+    investment_amount: 750,
+    initial_investment: 750,
+    high_water_mark: 900
+  });
+});
+
+test('fundingUpdates measures a withdrawal against live equity when positions are open', () => {
+  // Open losses halve the equity, so taking 250 out removes half of the account
+  assert.deepEqual(fundingUpdates(account, -250, 500), {
+    wallet_balance: 750,
+    investment_amount: 500,
+    initial_investment: 500,
+    high_water_mark: 600
+  });
+});
+
+test('fundingUpdates starts the high-water mark from the initial investment when none is set', () => {
+  const updates = fundingUpdates({ ...account, high_water_mark: null }, 500);
+  assert.equal(updates.high_water_mark, 1500);
+});
+
+// Portfolio 4 with two equally weighted members. Figures are read from `wallets`; the locked rows
+// carry `lockedWallets`, as if another withdrawal committed in between.
+function withPortfolio(t, { wallets, margins, lockedWallets = wallets }) {
+  const portfolio = { id: 4, user_id: 1, name: 'Core', status: 'active', rebalance_threshold: '5', total_withdrawn: '0' };
+  portfolio.update = t.mock.fn(async (values) => Object.assign(portfolio, values));
+  const members = Object.keys(wallets).map(id => ({
+    id: Number(id), account_name: `Follower ${id}`, portfolio_weight: '50', wallet_balance: String(wallets[id]), margin: String(margins[id])
+  }));
+  const findPortfolio = t.mock.method(copyPortfolioService, 'findOwnedPortfolio', async () => portfolio);
+  t.mock.method(copyPortfolioService, 'getActiveMembers', async () => members);
+  t.mock.method(copyPortfolioService, 'getMemberFigures', async (m) => {
+    const balance = Number(m.wallet_balance);
+    const usedMargin = Number(m.margin);
+    return { balance, equity: balance, floating_pnl: 0, used_margin: usedMargin, withdrawable: balance - usedMargin };
+  });
+  t.mock.method(sequelize, 'transaction', async (options, work) => work({ LOCK: { UPDATE: 'UPDATE' } }));
+  t.mock.method(LiveUser, 'findByPk', async () => ({ id: 1 }));
+  t.mock.method(CopyFollowerAccount, 'findByPk', async (id) => {
+    const m = members.find(x => x.id === id);
+    return { ...m, wallet_balance: String(lockedWallets[id]) };
+  });
+  t.mock.method(copyPortfolioService, 'adjustOwnerFunds', async () => 0);
+  t.mock.method(copyPortfolioService, 'syncCachedBalances', async () => {});
+  const moves = t.mock.method(copyPortfolioService, 'adjustMemberFunds', async (account, amount) => Number(account.wallet_balance) + amount);
+  return { portfolio, findPortfolio, moves };
+}
+
+test('withdraw takes each share from the free funds of the locked member', async (t) => {
+  const { moves } = withPortfolio(t, { wallets: { 11: 1000, 12: 1000 }, margins: { 11: 400, 12: 0 } });
+  const result = await copyPortfolioService.withdraw(1, 4, 1000);
+  assert.deepEqual(result.allocations.map(a => a.amount), [500, 500]);
+  assert.deepEqual(moves.mock.calls.map(c => c.arguments[1]), [-500, -500]);
+});
+
+test('withdraw rejects when a concurrent withdrawal took the free funds of a member', async (t) => {
+  // 600 was free when read, but only 800 - 400 margin is left once the row is locked
+  const { moves } = withPortfolio(t, { wallets: { 11: 1000, 12: 1000 }, margins: { 11: 400, 12: 0 }, lockedWallets: { 11: 800, 12: 1000 } });
+  await assert.rejects(copyPortfolioService.withdraw(1, 4, 1000), (e) => e instanceof CopyPortfolioError && e.statusCode === 409);
+  assert.equal(moves.mock.callCount(), 0);
+});
+
+test('rebalance locks the portfolio and moves funds towards the target weights', async (t) => {
+  const { portfolio, findPortfolio, moves } = withPortfolio(t, { wallets: { 11: 1500, 12: 500 }, margins: { 11: 400, 12: 0 } });
+  const result = await copyPortfolioService.rebalance(portfolio);
+  assert.equal(result.status, 'rebalanced');
+  assert.deepEqual(moves.mock.calls.map(c => [c.arguments[0].id, c.arguments[1]]), [[11, -500], [12, 500]]);
+  assert.equal(findPortfolio.mock.calls[0].arguments[2].lock, 'UPDATE');
+  assert.ok(portfolio.last_rebalanced_at instanceof Date);
+});
+
+test('rebalance rejects when the locked member no longer has the free funds to give', async (t) => {
+  const { portfolio, moves } = withPortfolio(t, { wallets: { 11: 1500, 12: 500 }, margins: { 11: 400, 12: 0 }, lockedWallets: { 11: 800, 12: 500 } });
+  await assert.rejects(copyPortfolioService.rebalance(portfolio), (e) => e instanceof CopyPortfolioError && e.statusCode === 409);
+  assert.equal(moves.mock.callCount(), 0);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const replicationQualityService = require('../src/services/copyReplicationQuality.service');
+
+const { summarizeDelays, computeSlippage } = replicationQualityService;
+
+test('summarizeDelays reports nearest-rank percentiles of the valid delays', () => {
+  const orders = [100, 300, 200, -5, '400', 'n/a'].map((copy_delay_ms) => ({ copy_delay_ms }));
+  assert.deepEqual(summarizeDelays(orders), { count: 4, avg_ms: 250, p50_ms: 200, p95_ms: 400, max_ms: 400 });
+});
+
+test('summarizeDelays leaves out copies without a recorded delay', () => {
+  const orders = [null, undefined, '', 300, 100].map((copy_delay_ms) => ({ copy_delay_ms }));
+  assert.deepEqual(summarizeDelays(orders), { count: 2, avg_ms: 200, p50_ms: 100, p95_ms: 300, max_ms: 300 });
+});
+
+test('summarizeDelays without copies has no statistics', () => {
+  assert.deepEqual(summarizeDelays([]), { count: 0, avg_ms: null, p50_ms: null, p95_ms: null, max_ms: null });
+});
+
+test('computeSlippage counts a worse fill than the master as adverse on either side', () => {
+  const masters = new Map([
+    ['m1', { order_price: '1.10000' }],
+    ['m2', { order_price: '2000.00' }],
+    ['m3', { order_price: '1.10000' }],
+    ['m4', { order_price: '2000.00' }],
+  ]);
+  const orders = [
+    { master_order_id: 'm1', symbol: 'EURUSD', order_type: 'BUY', order_price: '1.10020' },
+    { master_order_id: 'm2', symbol: 'xauusd', order_type: 'SELL', order_price: '1999.00' },
+    { master_order_id: 'm3', symbol: 'EURUSD', order_type: 'BUY', order_price: '1.10000' },
+    { master_order_id: 'm4', symbol: 'XAUUSD', order_type: 'SELL_LIMIT', order_price: '2002.00' },
+    // No master row: not compared
+    { master_order_id: 'm9', symbol: 'EURUSD', order_type: 'BUY', order_price: '1.2' },
+  ];
+
+  const slippage = computeSlippage(orders, masters);
+
+  assert.equal(slippage.count, 4);
+  assert.equal(slippage.adverse_count, 2);
+  assert.equal(slippage.favorable_count, 1);
+  assert.equal(slippage.zero_count, 1);
+  // 1.82 + 5 + 0 - 10 bps
+  assert.equal(slippage.avg_bps, -0.8);
+  assert.equal(slippage.avg_abs_bps, 4.2);
+  assert.equal(slippage.p95_abs_bps, 10);
+  assert.deepEqual(slippage.by_symbol, [
+    { symbol: 'EURUSD', count: 2, avg_price_diff: 0.0001, avg_bps: 0.91 },
+    { symbol: 'XAUUSD', count: 2, avg_price_diff: -0.5, avg_bps: -2.5 },
+  ]);
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { redisCluster } = require('../config/redis');
+const StrategyProviderAccount = require('../src/models/strategyProviderAccount.model');
+const groupsCache = require('../src/services/groups.cache.service');
+const copyTradingService = require('../src/services/copyTrading.service');
+
+const masterOrder = { order_id: 'ord_m1', order_user_id: 3, symbol: 'EURUSD', order_quantity: '1.00', order_price: '1.10000', stop_loss: null };
+
+// Provider equity 10000, follower invested 1000: proportional sizing copies a tenth of the master lot
+function withMarket(t, { minLot = '0.01', maxLot = '5', profitCurrency = 'USD', quotes = {} } = {}) {
+  t.mock.method(StrategyProviderAccount, 'findByPk', async () => ({ id: 3, wallet_balance: '9500', net_profit: '500' }));
+  t.mock.method(groupsCache, 'getGroupFields', async () => ({ min_lot: minLot, max_lot: maxLot }));
+  t.mock.method(groupsCache, 'getGroup', async () => ({ contract_size: '100000', profit: profitCurrency }));
+  t.mock.method(redisCluster, 'hmget', async (key) => quotes[key.replace('market:', '')] || [null, null]);
+}
+
+function follower(overrides = {}) {
+  return { id: 7, group: 'Standard', investment_amount: '1000', wallet_balance: '1000', net_profit: '0', max_lot_size: null, ...overrides };
+}
+
+function close(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+}
+
+test('equity_proportional sizes by the follower share of provider equity', async (t) => {
+  withMarket(t);
+  const result = await copyTradingService.calculateFollowerLotSize(masterOrder, follower());
+  assert.equal(result.lotMode, 'equity_proportional');
+  close(result.ratio, 0.1);
+  close(result.finalLotSize, 0.1);
+});
+
+test('fixed_lot and lot_multiplier ignore equity', async (t) => {
+  withMarket(t);
+  const fixed = await copyTradingService.calculateFollowerLotSize(masterOrder, follower({ lot_mode: 'fixed_lot', fixed_lot_size: '0.25' }));
+  close(fixed.finalLotSize, 0.25);
+
+  const multiplied = await copyTradingService.calculateFollowerLotSize(masterOrder, follower({ lot_mode: 'lot_multiplier', lot_multiplier: '1.5' }));
+  close(multiplied.finalLotSize, 1.5);
+  assert.equal(multiplied.lotModeValue, 1.5);
+
+  await assert.rejects(copyTradingService.calculateFollowerLotSize(masterOrder, follower({ lot_mode: 'fixed_lot' })), /fixed_lot_size/);
+});
+
+test('the follower max lot and the group lot range apply to every mode', async (t) => {
+  withMarket(t, { minLot: '0.05', maxLot: '2' });
+  const capped = await copyTradingService.calculateFollowerLotSize(masterOrder, follower({ lot_mode: 'lot_multiplier', lot_multiplier: '3', max_lot_size: '2.5' }));
+  close(capped.calculatedLotSize, 2.5);
+  close(capped.finalLotSize, 2);
+
+  const raised = await copyTradingService.calculateFollowerLotSize(masterOrder, follower({ investment_amount: '100' }));
+  close(raised.calculatedLotSize, 0.01);
+  close(raised.finalLotSize, 0.05);
+});
+
+test('fixed_risk loses the risk percentage of equity at the master stop loss', async (t) => {
+  withMarket(t);
+  const order = { ...masterOrder, stop_loss: '1.09800' };
+  // 2% of 1000 = 20; 0.002 * 100000 = 200 per lot
+  const result = await copyTradingService.calculateFollowerLotSize(order, follower({ lot_mode: 'fixed_risk', risk_percentage: '2' }));
+  assert.equal(result.lotMode, 'fixed_risk');
+  close(result.finalLotSize, 0.1);
+});
+
+test('fixed_risk converts the loss per lot to USD', async (t) => {
+  withMarket(t, { profitCurrency: 'JPY', quotes: { USDJPY: ['150.00', '150.00'] } });
+  const order = { ...masterOrder, symbol: 'USDJPY', order_price: '150.000', stop_loss: '149.000' };
+  // 1 JPY * 100000 = 100000 JPY per lot = 666.67 USD; 2% of 1000 = 20
+  const lots = await copyTradingService.calculateRiskLotSize(order, follower(), 2);
+  close(lots, 20 / (100000 / 150));
+});
+
+test('fixed_risk falls back to equity_proportional without a master stop loss', async (t) => {
+  withMarket(t);
+  const result = await copyTradingService.calculateFollowerLotSize(masterOrder, follower({ lot_mode: 'fixed_risk', risk_percentage: '2' }));
+  assert.equal(result.lotMode, 'equity_proportional');
+  assert.equal(result.lotModeValue, null);
+  close(result.finalLotSize, 0.1);
+});
+
+test('checkCopyFilters copies only symbols on the include list', () => {
+  const include = { symbol_filter_mode: 'include', symbol_filter: ['eurusd', 'XAUUSD'] };
+  assert.deepEqual(copyTradingService.checkCopyFilters({ symbol: 'EURUSD', order_type: 'BUY' }, include), { allowed: true });
+  const blocked = copyTradingService.checkCopyFilters({ symbol: 'GBPUSD', order_type: 'BUY' }, include);
+  assert.equal(blocked.allowed, false);
+  assert.match(blocked.reason, /^symbol_filter/);
+});
+
+test('checkCopyFilters skips symbols on the exclude list', () => {
+  const exclude = { symbol_filter_mode: 'exclude', symbol_filter: ['XAUUSD'] };
+  assert.equal(copyTradingService.checkCopyFilters({ symbol: 'xauusd', order_type: 'SELL' }, exclude).allowed, false);
+  assert.equal(copyTradingService.checkCopyFilters({ symbol: 'EURUSD', order_type: 'SELL' }, exclude).allowed, true);
+});
+
+test('checkCopyFilters applies the copy direction to pending order types too', () => {
+  const buyOnly = { copy_direction: 'buy_only' };
+  assert.equal(copyTradingService.checkCopyFilters({ symbol: 'EURUSD', order_type: 'BUY_LIMIT' }, buyOnly).allowed, true);
+  assert.match(copyTradingService.checkCopyFilters({ symbol: 'EURUSD', order_type: 'SELL_STOP' }, buyOnly).reason, /^direction_filter/);
+
+  const sellOnly = { copy_direction: 'sell_only' };
+  assert.equal(copyTradingService.checkCopyFilters({ symbol: 'EURUSD', order_type: 'SELL' }, sellOnly).allowed, true);
+  assert.equal(copyTradingService.checkCopyFilters({ symbol: 'EURUSD', order_type: 'BUY' }, sellOnly).allowed, false);
+});
+
+test('checkCopyFilters allows everything without filters', () => {
+  assert.deepEqual(copyTradingService.checkCopyFilters({ symbol: 'EURUSD', order_type: 'SELL' }, { symbol_filter: null }), { allowed: true });
+});
+
+test('sizeFollowerLot sizes against the master equity it is given', async (t) => {
+  withMarket(t);
+  const findByPk = t.mock.method(StrategyProviderAccount, 'findByPk', async () => null);
+  const result = await copyTradingService.sizeFollowerLot(masterOrder, follower({ investment_amount: '2500' }), 5000);
+  close(result.ratio, 0.5);
+  close(result.finalLotSize, 0.5);
+  assert.equal(findByPk.mock.callCount(), 0);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const StrategyProviderOrder = require('../src/models/strategyProviderOrder.model');
+const StrategyProviderSnapshot = require('../src/models/strategyProviderSnapshot.model');
+const copyTradingService = require('../src/services/copyTrading.service');
+const strategyProviderAnalyticsService = require('../src/services/strategyProviderAnalytics.service');
+const simulatorService = require('../src/services/copyTradingSimulator.service');
+
+const { SimulationError } = simulatorService;
+const now = new Date('2025-11-05T12:00:00Z');
+const request = { investment_amount: '5000', start_date: '2025-06-01' };
+
+test('validateParams defaults to proportional sizing without follower SL/TP', () => {
+  const { investmentAmount, startDate, settings } = simulatorService.validateParams(request, now);
+  assert.equal(investmentAmount, 5000);
+  assert.equal(startDate.toISOString(), '2025-06-01T00:00:00.000Z');
+  assert.equal(settings.lot_mode, 'equity_proportional');
+  assert.equal(settings.copy_sl_mode, 'none');
+  assert.equal(settings.copy_tp_mode, 'none');
+  assert.equal(settings.fixed_lot_size, null);
+});
+
+test('validateParams requires the setting each lot mode sizes with', () => {
+  assert.throws(() => simulatorService.validateParams({ ...request, lot_mode: 'fixed_lot' }, now), /fixed_lot_size is required/);
+  assert.throws(() => simulatorService.validateParams({ ...request, lot_mode: 'fixed_risk' }, now), /risk_percentage is required/);
+  assert.throws(() => simulatorService.validateParams({ ...request, lot_mode: 'fixed_risk', risk_percentage: 150 }, now), /cannot exceed 100/);
+
+  const { settings } = simulatorService.validateParams({ ...request, lot_mode: 'lot_multiplier', lot_multiplier: '0.5' }, now);
+  assert.equal(settings.lot_multiplier, 0.5);
+});
+
+test('validateParams requires the level of a follower SL/TP mode', () => {
+  assert.throws(() => simulatorService.validateParams({ ...request, copy_sl_mode: 'percentage' }, now), /sl_percentage is required/);
+  assert.throws(() => simulatorService.validateParams({ ...request, copy_tp_mode: 'pips' }, now), /copy_tp_mode must be one of/);
+
+  const { settings } = simulatorService.validateParams({ ...request, copy_tp_mode: 'amount', tp_amount: '75' }, now);
+  assert.equal(settings.tp_amount, 75);
+});
+
+test('validateParams rejects amounts and dates outside the simulated range', () => {
+  const cases = [
+    { ...request, investment_amount: 0 },
+    { ...request, investment_amount: 20000000 },
+    { ...request, start_date: 'soon' },
+    { ...request, start_date: '2025-11-06' },
+    { ...request, start_date: '2019-01-01' },
+    { ...request, lot_mode: 'martingale' },
+    { ...request, max_lot_size: '-1' },
+  ];
+  for (const body of cases) {
+    assert.throws(() => simulatorService.validateParams(body, now), SimulationError, JSON.stringify(body));
+  }
+});
+
+test('simulate reports trades whose lot was rounded up to the group minimum', async (t) => {
+  t.mock.method(strategyProviderAnalyticsService, 'getViewableProvider', async () => ({
+    id: 3, group: 'Standard', wallet_balance: '100000', net_profit: '0', performance_fee: '0', fee_settlement_period: 'monthly'
+  }));
+  const order = (id, qty, day) => ({
+    order_id: id, symbol: 'EURUSD', order_type: 'BUY', order_quantity: qty,
+    created_at: `2025-10-${day}T10:00:00Z`, updated_at: `2025-10-${day}T12:00:00Z`
+  });
+  t.mock.method(StrategyProviderOrder, 'findAll', async () => [order('o1', '0.5', '01'), order('o2', '20', '02')]);
+  t.mock.method(StrategyProviderOrder, 'count', async () => 0);
+  t.mock.method(StrategyProviderSnapshot, 'findAll', async () => []);
+  // 5000 of 100000 master equity: 0.025 and 1 lot against a 0.1 minimum
+  t.mock.method(copyTradingService, 'sizeFollowerLot', async (master, follower, masterEquity) => {
+    const calculatedLotSize = Number(master.order_quantity) * follower.investment_amount / masterEquity;
+    return { calculatedLotSize, finalLotSize: Math.max(calculatedLotSize, 0.1), minLot: 0.1 };
+  });
+  t.mock.method(simulatorService, 'simulateTradePnl', async () => ({ pnl: 10, exitReason: null }));
+
+  const result = await simulatorService.simulate(1, 3, { investment_amount: '5000', start_date: '2025-09-01' }, { now });
+
+  assert.equal(result.summary.trades_copied, 2);
+  assert.equal(result.summary.trades_skipped, 0);
+  assert.equal(result.summary.trades_upsized_to_min_lot, 1);
+  assert.deepEqual(result.upsized_trades, [{
+    order_id: 'o1',
+    symbol: 'EURUSD',
+    order_type: 'BUY',
+    opened_at: '2025-10-01T10:00:00.000Z',
+    calculated_lot_size: 0.025,
+    lot_size: 0.1
+  }]);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { redisCluster } = require('../config/redis');
+const CopyFollowerAccount = require('../src/models/copyFollowerAccount.model');
+const CopyFollowerOrder = require('../src/models/copyFollowerOrder.model');
+const StrategyProviderAccount = require('../src/models/strategyProviderAccount.model');
+const copyTradingService = require('../src/services/copyTrading.service');
+const unfollowService = require('../src/services/copyTradingUnfollow.service');
+
+const { UnfollowError } = unfollowService;
+
+function stubAccount(t, fields = {}) {
+  const account = { id: 7, strategy_provider_id: 3, investment_amount: '1000', ...fields };
+  account.update = t.mock.fn(async (values) => Object.assign(account, values));
+  t.mock.method(CopyFollowerAccount, 'findOne', async () => account);
+  return account;
+}
+
+test('requestUnfollow rejects unknown modes', async () => {
+  await assert.rejects(unfollowService.requestUnfollow(1, 7, { mode: 'liquidate' }), UnfollowError);
+});
+
+test('requestUnfollow asks for a mode while copied orders are open', async (t) => {
+  const account = stubAccount(t);
+  t.mock.method(CopyFollowerOrder, 'findAll', async () => [{ id: 1, order_status: 'OPEN' }, { id: 2, order_status: 'PENDING' }]);
+
+  await assert.rejects(unfollowService.requestUnfollow(1, 7), (e) => e instanceof UnfollowError && e.openOrdersCount === 2);
+  assert.equal(account.update.mock.callCount(), 0);
+});
+
+test('requestUnfollow refuses a second request while one is in progress', async (t) => {
+  stubAccount(t, { unfollow_requested_at: new Date(), unfollow_mode: 'wind_down' });
+  await assert.rejects(unfollowService.requestUnfollow(1, 7, { mode: 'close' }), { statusCode: 409 });
+});
+
+test('requestUnfollow in detach mode hands the open orders to the follower', async (t) => {
+  const account = stubAccount(t);
+  t.mock.method(CopyFollowerOrder, 'findAll', async () => [{ id: 1, order_status: 'OPEN' }, { id: 2, order_status: 'OPEN' }]);
+  const detach = t.mock.method(CopyFollowerOrder, 'update', async () => [2]);
+  t.mock.method(CopyFollowerOrder, 'count', async () => 2);
+  t.mock.method(StrategyProviderAccount, 'decrement', async () => {});
+  const cleanup = t.mock.method(unfollowService, 'cleanupRelationship', async () => {});
+  t.mock.method(unfollowService, 'finalizeUnfollow', async () => null);
+
+  const result = await unfollowService.requestUnfollow(1, 7, { mode: 'detach' });
+
+  assert.equal(account.copy_status, 'stopped');
+  assert.equal(account.unfollow_mode, 'detach');
+  assert.deepEqual(detach.mock.calls[0].arguments[0], { copy_status: 'detached' });
+  assert.equal(cleanup.mock.callCount(), 1);
+  assert.deepEqual(result, { mode: 'detach', status: 'pending', open_orders_count: 2 });
+});
+
+test('requestUnfollow in close mode leaves the unfollow pending for the consumer', async (t) => {
+  stubAccount(t);
+  t.mock.method(CopyFollowerOrder, 'findAll', async () => [
+    { id: 1, order_id: 'ord_1', master_order_id: 'ord_m1', order_status: 'OPEN' }
+  ]);
+  t.mock.method(CopyFollowerOrder, 'count', async () => 0);
+  t.mock.method(StrategyProviderAccount, 'decrement', async () => {});
+  const close = t.mock.method(copyTradingService, 'closeFollowerOrder', async () => ({ success: true }));
+  const finalize = t.mock.method(unfollowService, 'finalizeUnfollow', async () => ({ returned_amount: 0 }));
+
+  const result = await unfollowService.requestUnfollow(1, 7, { mode: 'close' });
+
+  assert.equal(close.mock.callCount(), 1);
+  assert.equal(finalize.mock.callCount(), 0);
+  assert.equal(result.status, 'pending');
+});
+
+test('closePayoutsApplied waits until every close since the request is paid out', async (t) => {
+  const follower = { id: 7, unfollow_requested_at: new Date('2025-11-05T10:00:00Z') };
+  t.mock.method(CopyFollowerOrder, 'findAll', async () => [{ order_id: 'ord_1' }, { order_id: 'ord_2' }]);
+  const paid = new Set(['close_payout_applied:ord_1']);
+  t.mock.method(redisCluster, 'exists', async (key) => (paid.has(key) ? 1 : 0));
+
+  assert.equal(await unfollowService.closePayoutsApplied(follower), false);
+  paid.add('close_payout_applied:ord_2');
+  assert.equal(await unfollowService.closePayoutsApplied(follower), true);
+});
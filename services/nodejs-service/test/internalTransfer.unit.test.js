@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const InternalTransfer = require('../src/models/internalTransfer.model');
+const TransactionService = require('../src/services/transaction.service');
+const marginMonitorService = require('../src/services/marginMonitor.service');
+const redisSyncService = require('../src/services/redis.sync.service');
+const internalTransferService = require('../src/services/internalTransfer.service');
+
+const { InternalTransferError } = internalTransferService;
+
+test('assertCanTransfer refuses inactive accounts', () => {
+  assert.throws(() => internalTransferService.assertCanTransfer('live', { status: 0, is_active: 1 }), InternalTransferError);
+  assert.throws(() => internalTransferService.assertCanTransfer('strategy_provider', { status: 1, is_active: 0 }), InternalTransferError);
+  assert.doesNotThrow(() => internalTransferService.assertCanTransfer('live', { status: 1, is_active: 1 }));
+});
+
+test('assertCanTransfer refuses stopped and portfolio follower accounts', () => {
+  const follower = { status: 1, is_active: 1, copy_status: 'active', copy_portfolio_id: null };
+  assert.doesNotThrow(() => internalTransferService.assertCanTransfer('copy_follower', follower));
+  assert.throws(() => internalTransferService.assertCanTransfer('copy_follower', { ...follower, copy_status: 'stopped' }), InternalTransferError);
+  assert.throws(() => internalTransferService.assertCanTransfer('copy_follower', { ...follower, copy_portfolio_id: 4 }), InternalTransferError);
+});
+
+test('getAvailableFunds only frees the free margin, capped at the balance', async (t) => {
+  t.mock.method(marginMonitorService, 'computeMarginLevel', async () => ({
+    balance: 1000, equity: 1300, used_margin: 200, free_margin: 1100
+  }));
+  const funds = await internalTransferService.getAvailableFunds('live', { id: 1 });
+  assert.deepEqual(funds, { balance: 1000, equity: 1300, used_margin: 200, available: 1000 });
+});
+
+test('getAvailableFunds falls back to the stored wallet when the account is not cached', async (t) => {
+  t.mock.method(marginMonitorService, 'computeMarginLevel', async () => { throw new Error('not cached'); });
+  const funds = await internalTransferService.getAvailableFunds('copy_follower', { id: 7, wallet_balance: '500', margin: '120' });
+  assert.deepEqual(funds, { balance: 500, equity: 500, used_margin: 120, available: 380 });
+});
+
+// A live wallet of 1000 with 600 held as margin, moving funds to strategy provider account 9.
+// `lockedWallet` is what the live row holds once the transfer has it locked.
+function stubTransfer(t, lockedWallet) {
+  const owner = { id: 1, status: 1, is_active: 1, wallet_balance: String(lockedWallet), margin: '600', email: 'a@b.c' };
+  const provider = { id: 9, status: 1, is_active: 1, wallet_balance: '0', account_number: 'SP9' };
+  t.mock.method(internalTransferService, 'findOwnedAccount', async (userId, { type }) => (type === 'live' ? { ...owner, wallet_balance: '1000' } : provider));
+  t.mock.method(internalTransferService, 'getAvailableFunds', async () => ({ balance: 1000, equity: 1000, used_margin: 600, available: 400 }));
+  t.mock.method(TransactionService, 'executeWithUserLock', async (userId, work) => work({ LOCK: { UPDATE: 'UPDATE' } }, owner));
+  t.mock.method(InternalTransfer, 'create', async (fields) => ({ ...fields, created_at: new Date() }));
+  t.mock.method(redisSyncService, 'syncUserAfterBalanceChange', async () => {});
+  return t.mock.method(internalTransferService, 'postLeg', async (type, account, amount) => ({
+    transactionId: `TXN_${type}`,
+    balance: Number(account.wallet_balance) + amount
+  }));
+}
+
+test('transfer moves the free funds it finds on the locked source row', async (t) => {
+  const postLeg = stubTransfer(t, 1000);
+  const result = await internalTransferService.transfer(1, { from_type: 'live', to_type: 'strategy_provider', to_account_id: 9, amount: 300 });
+  assert.deepEqual(postLeg.mock.calls.map((c) => c.arguments[2]), [-300, 300]);
+  assert.equal(result.balances[0].wallet_balance, 700);
+});
+
+test('transfer rejects inside the lock when a concurrent transfer took the free funds', async (t) => {
+  // Another transfer of 300 committed after the free funds were read
+  const postLeg = stubTransfer(t, 700);
+  await assert.rejects(
+    internalTransferService.transfer(1, { from_type: 'live', to_type: 'strategy_provider', to_account_id: 9, amount: 300 }),
+    (e) => e instanceof InternalTransferError && e.statusCode === 409 && /available: \$100\b/.test(e.message)
+  );
+  assert.equal(postLeg.mock.callCount(), 0);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const makerCheckerService = require('../src/services/makerChecker.service');
+
+const { MakerCheckerError } = makerCheckerService;
+
+function withThresholds(t, env) {
+  const saved = {};
+  for (const [name, value] of Object.entries(env)) {
+    saved[name] = process.env[name];
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+  t.after(() => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+}
+
+test('getThresholds defaults to 10000 and ignores invalid values', (t) => {
+  withThresholds(t, { MAKER_CHECKER_WITHDRAWAL_THRESHOLD: undefined, MAKER_CHECKER_ADJUSTMENT_THRESHOLD: '-5' });
+  assert.deepEqual(makerCheckerService.getThresholds(), { withdrawal: 10000, adjustment: 10000 });
+});
+
+test('requiresSecondApproval applies only above the configured threshold', (t) => {
+  withThresholds(t, { MAKER_CHECKER_WITHDRAWAL_THRESHOLD: '5000', MAKER_CHECKER_ADJUSTMENT_THRESHOLD: '0' });
+  assert.equal(makerCheckerService.requiresSecondApproval('withdrawal', 5000), false);
+  assert.equal(makerCheckerService.requiresSecondApproval('withdrawal', '5000.01'), true);
+  // A zero threshold sends every adjustment for a second approval
+  assert.equal(makerCheckerService.requiresSecondApproval('adjustment', 1), true);
+});
+
+test('assertSecondApprover refuses the admin who made the first approval', async () => {
+  await assert.rejects(
+    makerCheckerService.assertSecondApprover(12, '12', { userType: 'live', userId: 1 }),
+    (error) => error instanceof MakerCheckerError && error.statusCode === 403
+  );
+});
@@ -0,0 +1,15 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const marginMonitorService = require('../src/services/marginMonitor.service');
+
+test('isStopOut accepts the close messages of both auto-cutoff paths', () => {
+  for (const message of ['Autocutoff', 'Auto-cutoff', 'AUTOCUTOFF', ' auto cutoff ']) {
+    assert.equal(marginMonitorService.isStopOut(message), true, message);
+  }
+});
+
+test('isStopOut rejects other close messages', () => {
+  for (const message of ['Closed', 'Stoploss', 'Takeprofit', '', null, undefined]) {
+    assert.equal(marginMonitorService.isStopOut(message), false, String(message));
+  }
+});
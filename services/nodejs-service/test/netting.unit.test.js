@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { redisCluster } = require('../config/redis');
+const LiveUserOrder = require('../src/models/liveUserOrder.model');
+const portfolioEvents = require('../src/services/events/portfolio.events');
+const nettingService = require('../src/services/netting.service');
+
+const { NettingError } = nettingService;
+const long = { order_id: 'ord_pos', symbol: 'EURUSD', order_type: 'BUY', order_status: 'OPEN', order_price: 1.1, order_quantity: 1 };
+
+test('planOrder opens when flat and increases on the same side', () => {
+  assert.deepEqual(nettingService.planOrder(null, 'buy', '0.5'), { action: 'open', position: null, closeQuantity: 0, openQuantity: 0.5 });
+  assert.deepEqual(nettingService.planOrder(long, 'BUY', 0.3), { action: 'increase', position: long, closeQuantity: 0, openQuantity: 0.3 });
+});
+
+test('planOrder reduces or closes the position on the opposite side', () => {
+  assert.deepEqual(nettingService.planOrder(long, 'SELL', 0.4), { action: 'reduce', position: long, closeQuantity: 0.4, openQuantity: 0 });
+  assert.deepEqual(nettingService.planOrder(long, 'SELL', 1.0000000001), { action: 'close', position: long, closeQuantity: 1, openQuantity: 0 });
+});
+
+test('planOrder reverses with the quantity left after closing the position', () => {
+  const plan = nettingService.planOrder({ ...long, order_quantity: 0.3 }, 'SELL', 1.1);
+  assert.equal(plan.action, 'reverse');
+  assert.equal(plan.closeQuantity, 0.3);
+  assert.equal(plan.openQuantity, 0.8);
+});
+
+test('prepareMarketOrder refuses a second order while the symbol is locked', async (t) => {
+  t.mock.method(nettingService, 'isNetting', async () => true);
+  t.mock.method(redisCluster, 'set', async () => null);
+  const find = t.mock.method(nettingService, 'findNetPosition', async () => long);
+
+  await assert.rejects(
+    nettingService.prepareMarketOrder({ userType: 'live', userId: 1, symbol: 'eurusd', orderType: 'SELL', quantity: 1 }),
+    (e) => e instanceof NettingError && e.statusCode === 409 && e.reason === 'netting_in_progress'
+  );
+  assert.equal(find.mock.callCount(), 0);
+});
+
+test('prepareMarketOrder releases only its own lock', async (t) => {
+  const held = new Map();
+  t.mock.method(nettingService, 'isNetting', async () => true);
+  t.mock.method(redisCluster, 'set', async (key, token) => { held.set(key, token); return 'OK'; });
+  t.mock.method(redisCluster, 'get', async (key) => held.get(key));
+  t.mock.method(redisCluster, 'del', async (key) => { held.delete(key); });
+  t.mock.method(nettingService, 'findNetPosition', async () => long);
+
+  const plan = await nettingService.prepareMarketOrder({ userType: 'live', userId: 1, symbol: 'eurusd', orderType: 'SELL', quantity: 0.4 });
+  assert.equal(plan.symbol, 'EURUSD');
+  assert.equal(plan.action, 'reduce');
+
+  const lockKey = nettingService.lockKey('live', 1, 'EURUSD');
+  held.set(lockKey, 'taken_over_after_ttl');
+  await plan.release();
+  assert.equal(held.get(lockKey), 'taken_over_after_ttl');
+
+  held.delete(lockKey);
+  const next = await nettingService.prepareMarketOrder({ userType: 'live', userId: 1, symbol: 'EURUSD', orderType: 'SELL', quantity: 0.4 });
+  await next.release();
+  assert.equal(held.has(lockKey), false);
+});
+
+test('prepareMarketOrder releases the lock when the position lookup fails', async (t) => {
+  const held = new Map();
+  t.mock.method(nettingService, 'isNetting', async () => true);
+  t.mock.method(redisCluster, 'set', async (key, token) => { held.set(key, token); return 'OK'; });
+  t.mock.method(redisCluster, 'get', async (key) => held.get(key));
+  t.mock.method(redisCluster, 'del', async (key) => { held.delete(key); });
+  t.mock.method(nettingService, 'findNetPosition', async () => {
+    throw new NettingError('Multiple open positions on EURUSD', 409, 'netting_multiple_positions');
+  });
+
+  await assert.rejects(
+    nettingService.prepareMarketOrder({ userType: 'live', userId: 1, symbol: 'EURUSD', orderType: 'BUY', quantity: 1 }),
+    { reason: 'netting_multiple_positions' }
+  );
+  assert.equal(held.size, 0);
+});
+
+function orderRow(fields) {
+  const row = { ...fields, updates: [] };
+  row.update = async (values) => {
+    row.updates.push(values);
+    Object.assign(row, values);
+  };
+  return row;
+}
+
+test('mergeIntoPosition averages the entry price and sums margin and costs', async (t) => {
+  const position = orderRow({
+    order_id: 'ord_pos', symbol: 'EURUSD', order_status: 'OPEN',
+    order_price: '1.10000000', order_quantity: '1.00000000', margin: '220', contract_value: '110000', commission: '3.5',
+  });
+  const fill = orderRow({
+    order_id: 'ord_fill', symbol: 'EURUSD', order_status: 'OPEN',
+    order_price: '1.12000000', order_quantity: '0.50000000', margin: '112', contract_value: '56000', commission: null,
+  });
+  t.mock.method(redisCluster, 'set', async () => 'OK');
+  t.mock.method(LiveUserOrder, 'findOne', async ({ where }) => (where.order_id === 'ord_pos' ? position : fill));
+  const mergeHoldings = t.mock.method(nettingService, '_mergeHoldings', async () => {});
+  const track = t.mock.method(nettingService, 'trackPosition', async () => {});
+  t.mock.method(portfolioEvents, 'emitUserUpdate', () => {});
+
+  const merged = await nettingService.mergeIntoPosition({ userType: 'live', userId: 1, positionOrderId: 'ord_pos', fillOrderId: 'ord_fill' });
+
+  assert.deepEqual(merged, {
+    order_id: 'ord_pos',
+    order_price: '1.10666667',
+    order_quantity: '1.50000000',
+    margin: '332.00000000',
+    contract_value: '166000.00000000',
+    commission: '3.50000000',
+  });
+  assert.equal(fill.order_status, 'NETTED');
+  assert.equal(fill.parent_order_id, 'ord_pos');
+  assert.equal(mergeHoldings.mock.callCount(), 1);
+  assert.deepEqual(track.mock.calls[0].arguments, ['live', 1, 'EURUSD', 'ord_pos']);
+});
+
+test('mergeIntoPosition keeps the fill as the position when the old one has closed', async (t) => {
+  const position = orderRow({ order_id: 'ord_pos', symbol: 'EURUSD', order_status: 'CLOSED' });
+  const fill = orderRow({ order_id: 'ord_fill', symbol: 'EURUSD', order_status: 'OPEN' });
+  t.mock.method(redisCluster, 'set', async () => 'OK');
+  t.mock.method(LiveUserOrder, 'findOne', async ({ where }) => (where.order_id === 'ord_pos' ? position : fill));
+  const track = t.mock.method(nettingService, 'trackPosition', async () => {});
+
+  assert.equal(await nettingService.mergeIntoPosition({ userType: 'live', userId: 1, positionOrderId: 'ord_pos', fillOrderId: 'ord_fill' }), null);
+  assert.deepEqual(track.mock.calls[0].arguments, ['live', 1, 'EURUSD', 'ord_fill']);
+  assert.equal(position.updates.length + fill.updates.length, 0);
+});
+
+test('mergeIntoPosition merges a redelivered fill only once', async (t) => {
+  t.mock.method(redisCluster, 'set', async () => null);
+  const findOne = t.mock.method(LiveUserOrder, 'findOne', async () => null);
+  assert.equal(await nettingService.mergeIntoPosition({ userType: 'live', userId: 1, positionOrderId: 'ord_pos', fillOrderId: 'ord_fill' }), null);
+  assert.equal(findOne.mock.callCount(), 0);
+});
@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseBulkCloseFilter, BulkCloseError } = require('../src/services/order.bulk.close.service');
+
+test('parseBulkCloseFilter closes everything when no criteria are given', () => {
+  assert.deepEqual(parseBulkCloseFilter(), { symbol: null, side: null, pnl: null });
+  assert.deepEqual(parseBulkCloseFilter({ symbol: '', side: '', pnl: '' }), { symbol: null, side: null, pnl: null });
+});
+
+test('parseBulkCloseFilter normalizes the criteria', () => {
+  assert.deepEqual(
+    parseBulkCloseFilter({ symbol: ' eurusd ', side: 'sell', pnl: 'Losing' }),
+    { symbol: 'EURUSD', side: 'SELL', pnl: 'losing' }
+  );
+});
+
+test('parseBulkCloseFilter rejects unknown sides and P&L filters', () => {
+  assert.throws(() => parseBulkCloseFilter({ side: 'long' }), BulkCloseError);
+  assert.throws(() => parseBulkCloseFilter({ pnl: 'breakeven' }), BulkCloseError);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Op } = require('sequelize');
+const { OrderHistoryError, parseClosedOrdersQuery, buildClosedOrdersWhere } = require('../src/services/order.history.service');
+
+test('parseClosedOrdersQuery sorts by close time, newest first, by default', () => {
+  const { filters, order } = parseClosedOrdersQuery({});
+  assert.deepEqual(filters, { symbol: null, side: null, result: null, from: null, to: null, minLot: null, maxLot: null });
+  assert.deepEqual(order, [['updated_at', 'DESC'], ['id', 'DESC']]);
+});
+
+test('parseClosedOrdersQuery normalizes filters and maps the sort column', () => {
+  const { filters, order } = parseClosedOrdersQuery({
+    symbol: ' eurusd ',
+    side: 'sell',
+    result: 'Loss',
+    from: '2025-11-01T00:00:00Z',
+    to: String(Date.parse('2025-11-30T23:59:59Z')),
+    min_lot: '0.1',
+    max_lot: '2',
+    sort_by: 'profit',
+    sort_dir: 'asc',
+  });
+  assert.equal(filters.symbol, 'EURUSD');
+  assert.equal(filters.side, 'SELL');
+  assert.equal(filters.result, 'loss');
+  assert.equal(filters.from.toISOString(), '2025-11-01T00:00:00.000Z');
+  assert.equal(filters.to.toISOString(), '2025-11-30T23:59:59.000Z');
+  assert.equal(filters.minLot, 0.1);
+  assert.equal(filters.maxLot, 2);
+  assert.deepEqual(order, [['net_profit', 'ASC'], ['id', 'ASC']]);
+  assert.deepEqual(parseClosedOrdersQuery({ sort_by: 'open_time' }).order[0], ['created_at', 'DESC']);
+});
+
+test('parseClosedOrdersQuery rejects invalid filters', () => {
+  const cases = [
+    { side: 'long' },
+    { result: 'even' },
+    { from: 'yesterday' },
+    { from: '2025-11-02', to: '2025-11-01' },
+    { min_lot: '-1' },
+    { min_lot: '2', max_lot: '1' },
+    { sort_by: 'symbol' },
+    { sort_dir: 'up' },
+  ];
+  for (const query of cases) {
+    assert.throws(() => parseClosedOrdersQuery(query), OrderHistoryError, JSON.stringify(query));
+  }
+});
+
+test('buildClosedOrdersWhere limits to the user\'s closed orders', () => {
+  assert.deepEqual(buildClosedOrdersWhere('12'), { order_user_id: 12, order_status: 'CLOSED' });
+});
+
+test('buildClosedOrdersWhere adds date, result and lot ranges', () => {
+  const from = new Date('2025-11-01T00:00:00Z');
+  const to = new Date('2025-11-30T00:00:00Z');
+  const where = buildClosedOrdersWhere(12, { symbol: 'EURUSD', side: 'BUY', result: 'profit', from, to, minLot: 0.5, maxLot: 1 });
+
+  assert.equal(where.symbol, 'EURUSD');
+  assert.equal(where.order_type, 'BUY');
+  assert.equal(where.updated_at[Op.gte], from);
+  assert.equal(where.updated_at[Op.lte], to);
+  assert.equal(where.net_profit[Op.gt], 0);
+  assert.equal(where.order_quantity[Op.gte], 0.5);
+  assert.equal(where.order_quantity[Op.lte], 1);
+
+  const losing = buildClosedOrdersWhere(12, { result: 'loss', minLot: 0, maxLot: null });
+  assert.equal(losing.net_profit[Op.lt], 0);
+  assert.equal(losing.order_quantity[Op.gte], 0);
+  assert.equal(losing.order_quantity[Op.lte], undefined);
+  assert.equal(losing.updated_at, undefined);
+});
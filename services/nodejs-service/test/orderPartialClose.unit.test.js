@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { redisCluster } = require('../config/redis');
+const sequelize = require('../src/config/db');
+const LiveUser = require('../src/models/liveUser.model');
+const LiveUserOrder = require('../src/models/liveUserOrder.model');
+const portfolioEvents = require('../src/services/events/portfolio.events');
+const orderPayoutService = require('../src/services/order.payout.service');
+const partialCloseService = require('../src/services/order.partial.close.service');
+
+const { PartialCloseError, isPartialCloseQuantity, assertPartialCloseLots, applyPartialClose } = partialCloseService;
+
+test('isPartialCloseQuantity treats the full open quantity as a full close', () => {
+  assert.equal(isPartialCloseQuantity(1, 0.4), true);
+  assert.equal(isPartialCloseQuantity(1, 1), false);
+  assert.equal(isPartialCloseQuantity(0.3, 0.1 + 0.2), false);
+});
+
+test('isPartialCloseQuantity rejects more than the open quantity and an unknown open quantity', () => {
+  assert.throws(() => isPartialCloseQuantity(1, 1.01), (e) => e instanceof PartialCloseError && e.statusCode === 400);
+  assert.throws(() => isPartialCloseQuantity(NaN, 0.1), (e) => e instanceof PartialCloseError && e.statusCode === 409);
+  assert.throws(() => isPartialCloseQuantity(0, 0.1), PartialCloseError);
+});
+
+test('assertPartialCloseLots keeps both the slice and the leftover at or above min_lot', () => {
+  assert.doesNotThrow(() => assertPartialCloseLots(1, 0.9, 0.1));
+  assert.doesNotThrow(() => assertPartialCloseLots(1, 0.1, 0.1));
+  assert.throws(() => assertPartialCloseLots(1, 0.95, 0.1), /minimum lot \(0\.1\)/);
+  assert.throws(() => assertPartialCloseLots(1, 0.05, 0.1), PartialCloseError);
+  // No group min_lot: nothing to enforce
+  assert.doesNotThrow(() => assertPartialCloseLots(1, 0.999, NaN));
+});
+
+// One open EURUSD order of 1 lot in SQL; slices are kept in `rows` once created
+function withOrderTable(t) {
+  const parent = {
+    id: 1,
+    order_id: 'ord_p1',
+    order_user_id: 5,
+    symbol: 'EURUSD',
+    order_type: 'BUY',
+    order_price: '1.10000',
+    order_quantity: '1.00000000',
+    contract_value: '100000',
+    margin: '100',
+    commission: '7',
+    swap: '-2',
+    placed_by: 'user'
+  };
+  parent.update = t.mock.fn(async (values) => Object.assign(parent, values));
+  const rows = new Map([[parent.order_id, parent]]);
+  t.mock.method(sequelize, 'transaction', async (work) => work({ LOCK: { UPDATE: 'UPDATE' } }));
+  t.mock.method(LiveUserOrder, 'findOne', async ({ where }) => rows.get(where.order_id) || null);
+  const create = t.mock.method(LiveUserOrder, 'create', async (fields) => {
+    const row = { id: rows.size + 1, ...fields };
+    rows.set(row.order_id, row);
+    return row;
+  });
+  return { parent, create };
+}
+
+function withPayoutGuards(t) {
+  const keys = new Set();
+  t.mock.method(redisCluster, 'set', async (key) => {
+    if (keys.has(key)) return null;
+    keys.add(key);
+    return 'OK';
+  });
+  t.mock.method(portfolioEvents, 'emitUserUpdate', () => {});
+  return {
+    payout: t.mock.method(orderPayoutService, 'applyOrderClosePayout', async () => {}),
+    increment: t.mock.method(LiveUser, 'increment', async () => {})
+  };
+}
+
+const confirmation = {
+  userType: 'live',
+  userId: '5',
+  parentOrderId: 'ord_p1',
+  closeOrderId: 'ord_s1',
+  closeId: 'cls_1',
+  closedQuantity: '0.4',
+  remainingQuantity: '0.6',
+  closePrice: '1.10200',
+  netProfit: '77.2',
+  commission: '2.8',
+  commissionEntry: '2.8',
+  profitUsd: '80'
+};
+
+test('applyPartialClose stores the slice and shrinks the parent by the closed share', async (t) => {
+  const { parent, create } = withOrderTable(t);
+  const { payout } = withPayoutGuards(t);
+
+  const result = await applyPartialClose(confirmation);
+
+  assert.equal(result.created, true);
+  const slice = create.mock.calls[0].arguments[0];
+  assert.equal(slice.parent_order_id, 'ord_p1');
+  assert.equal(slice.order_status, 'CLOSED');
+  assert.equal(slice.order_quantity, '0.40000000');
+  assert.equal(slice.margin, '40.00000000');
+  assert.equal(slice.net_profit, '77.20000000');
+  assert.equal(parent.order_quantity, '0.60000000');
+  assert.equal(parent.margin, '60.00000000');
+  assert.equal(parent.contract_value, '60000.00000000');
+  assert.equal(parent.commission, '4.20000000');
+  assert.equal(parent.swap, '-1.20000000');
+  assert.equal(payout.mock.calls[0].arguments[0].orderIdStr, 'ord_s1');
+});
+
+test('applyPartialClose pays a redelivered confirmation out only once', async (t) => {
+  const { parent, create } = withOrderTable(t);
+  const { payout, increment } = withPayoutGuards(t);
+
+  await applyPartialClose(confirmation);
+  const again = await applyPartialClose(confirmation);
+
+  assert.equal(again.created, false);
+  assert.equal(create.mock.callCount(), 1);
+  assert.equal(parent.update.mock.callCount(), 1);
+  assert.equal(payout.mock.callCount(), 1);
+  assert.equal(increment.mock.callCount(), 1);
+});
+
+test('applyPartialClose leaves the wallet alone when the payout key is already taken', async (t) => {
+  withOrderTable(t);
+  const { payout, increment } = withPayoutGuards(t);
+  await redisCluster.set('close_payout_applied:ord_s1', '1', 'EX', 60, 'NX');
+
+  const result = await applyPartialClose(confirmation);
+
+  assert.equal(result.created, true);
+  assert.equal(payout.mock.callCount(), 0);
+  assert.equal(increment.mock.callCount(), 1);
+});
+
+test('applyPartialClose does nothing without the parent row', async (t) => {
+  const { create } = withOrderTable(t);
+  const { payout } = withPayoutGuards(t);
+
+  const result = await applyPartialClose({ ...confirmation, parentOrderId: 'ord_missing' });
+
+  assert.deepEqual(result, { parent: null, slice: null, created: false });
+  assert.equal(create.mock.callCount(), 0);
+  assert.equal(payout.mock.callCount(), 0);
+});
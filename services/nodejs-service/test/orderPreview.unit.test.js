@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { redisCluster } = require('../config/redis');
+const groupsCache = require('../src/services/groups.cache.service');
+const { OrderPreviewError, parsePreviewInput, computeCommission, computeFloatingPnl } = require('../src/services/order.preview.service');
+
+test('parsePreviewInput accepts order_quantity or lots and normalizes the symbol and side', () => {
+  assert.deepEqual(parsePreviewInput({ symbol: ' eurusd ', order_type: 'buy', order_quantity: '0.5' }), {
+    symbol: 'EURUSD', side: 'BUY', lots: 0.5, stopLoss: null, takeProfit: null, price: null,
+  });
+  assert.deepEqual(parsePreviewInput({ symbol: 'XAUUSD', side: 'SELL', lots: 2, stop_loss: '2410.5', take_profit: '', order_price: 2400 }), {
+    symbol: 'XAUUSD', side: 'SELL', lots: 2, stopLoss: 2410.5, takeProfit: null, price: 2400,
+  });
+});
+
+test('parsePreviewInput rejects missing or non-positive values', () => {
+  const valid = { symbol: 'EURUSD', order_type: 'BUY', order_quantity: 1 };
+  const cases = [
+    { ...valid, symbol: '' },
+    { ...valid, order_type: 'BUY_LIMIT' },
+    { ...valid, order_quantity: 0 },
+    { ...valid, order_quantity: 'abc' },
+    { ...valid, stop_loss: -1 },
+    { ...valid, take_profit: 'x' },
+    { ...valid, order_price: 0 },
+  ];
+  for (const body of cases) {
+    assert.throws(() => parsePreviewInput(body), OrderPreviewError, JSON.stringify(body));
+  }
+});
+
+test('computeCommission charges per lot on the legs the commission type covers', () => {
+  const everyTrade = { commision: '3.5', commision_type: '0', commision_value_type: '0' };
+  assert.equal(computeCommission(everyTrade, 'entry', 2, 1.1), 7);
+  assert.equal(computeCommission(everyTrade, 'exit', 2, 1.1), 7);
+
+  const entryOnly = { ...everyTrade, commision_type: '1' };
+  assert.equal(computeCommission(entryOnly, 'entry', 2, 1.1), 7);
+  assert.equal(computeCommission(entryOnly, 'exit', 2, 1.1), 0);
+
+  const exitOnly = { ...everyTrade, commision_type: '2' };
+  assert.equal(computeCommission(exitOnly, 'entry', 2, 1.1), 0);
+  assert.equal(computeCommission(exitOnly, 'exit', 2, 1.1), 7);
+});
+
+test('computeCommission charges a percentage of the notional', () => {
+  const cfg = { commision: '0.01', commision_type: '0', commision_value_type: '1', contract_size: '100000' };
+  // 0.01% of 100000 * 0.5 * 1.2
+  assert.equal(computeCommission(cfg, 'entry', 0.5, 1.2), 6);
+  assert.equal(computeCommission({ ...cfg, contract_size: null }, 'entry', 0.5, 1.2), 0);
+});
+
+test('computeCommission is zero when the group has no commission configured', () => {
+  assert.equal(computeCommission({}, 'entry', 1, 1.1), 0);
+  assert.equal(computeCommission({ commision: '5', commision_type: '0', commision_value_type: '7' }, 'entry', 1, 1.1), 0);
+});
+
+function withMarket(t, quotes, configs) {
+  t.mock.method(groupsCache, 'getGroup', async (group, symbol) => configs[symbol] || null);
+  return t.mock.method(redisCluster, 'hmget', async (key) => quotes[key.replace('market:', '')] || [null, null]);
+}
+
+test('computeFloatingPnl prices BUY at the bid and SELL at the ask in USD', async (t) => {
+  const hmget = withMarket(t, {
+    EURUSD: ['1.1010', '1.1012'],
+    USDJPY: ['150.00', '150.02'],
+  }, {
+    EURUSD: { contract_size: '100000', profit: 'USD' },
+    USDJPY: { contract_size: '100000', profit: 'JPY' },
+  });
+  const holdings = [
+    { order_id: 'a', symbol: 'EURUSD', order_type: 'BUY', order_price: '1.1000', order_quantity: '1' },
+    { order_id: 'b', symbol: 'eurusd', order_type: 'sell', order_price: 1.1020, order_quantity: 0.5 },
+    { order_id: 'c', symbol: 'USDJPY', order_type: 'SELL', order_price: '150.32', order_quantity: '0.1' },
+  ];
+
+  const floating = await computeFloatingPnl('Standard', holdings);
+
+  // +100 and +40 on EURUSD, 3000 JPY on USDJPY converted at 1 / 150.02
+  assert.ok(Math.abs(floating - (100 + 40 + 3000 / 150.02)) < 1e-6);
+  // EURUSD is quoted once for both orders; USDJPY once for the JPY rate and once for the price
+  assert.deepEqual(hmget.mock.calls.map((c) => c.arguments[0]), ['market:EURUSD', 'market:JPYUSD', 'market:USDJPY', 'market:USDJPY']);
+});
+
+test('computeFloatingPnl skips holdings it cannot price and reports them', async (t) => {
+  withMarket(t, { EURUSD: ['1.1010', '1.1012'] }, {
+    EURUSD: { contract_size: '100000', profit: 'USD' },
+    GBPUSD: { contract_size: '100000', profit: 'USD' },
+  });
+  const failed = [];
+  const holdings = [
+    { order_id: 'a', symbol: 'EURUSD', order_type: 'BUY', order_price: '1.1000', order_quantity: '1' },
+    { order_id: 'b', symbol: 'XAUUSD', order_type: 'BUY', order_price: '2400', order_quantity: '1' },
+    { order_id: 'c', symbol: 'GBPUSD', order_type: 'BUY', order_price: '1.2700', order_quantity: '1' },
+    { order_id: 'd', symbol: 'EURUSD', order_type: 'BUY', order_price: null, order_quantity: '1' },
+  ];
+
+  const floating = await computeFloatingPnl('Standard', holdings, (h, e) => failed.push([h.order_id, e.constructor]));
+
+  assert.ok(Math.abs(floating - 100) < 1e-6);
+  // No group config is an error; a missing quote is just left out
+  assert.deepEqual(failed, [['b', OrderPreviewError]]);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+delete process.env.TRADING_DAY_END_UTC_HOUR;
+const PendingExpiryCronService = require('../src/services/cron/pendingExpiry.cron.service');
+
+const { PendingExpiryError } = PendingExpiryCronService;
+const now = new Date('2025-11-05T10:00:00Z');
+
+test('resolveExpiry defaults to GTC without an expiry', () => {
+  assert.deepEqual(PendingExpiryCronService.resolveExpiry({ now }), { timeInForce: 'GTC', expiresAt: null });
+  assert.deepEqual(PendingExpiryCronService.resolveExpiry({ timeInForce: ' gtc ', now }), { timeInForce: 'GTC', expiresAt: null });
+});
+
+test('resolveExpiry expires DAY orders at the end of the trading day', () => {
+  const { timeInForce, expiresAt } = PendingExpiryCronService.resolveExpiry({ timeInForce: 'day', now });
+  assert.equal(timeInForce, 'DAY');
+  assert.equal(expiresAt.toISOString(), '2025-11-05T22:00:00.000Z');
+});
+
+test('the trading day rolls over to tomorrow after the day end hour', () => {
+  const end = PendingExpiryCronService.getTradingDayEnd(new Date('2025-11-05T22:00:00Z'));
+  assert.equal(end.toISOString(), '2025-11-06T22:00:00.000Z');
+});
+
+test('resolveExpiry accepts GTD expiries as ISO dates or epoch milliseconds', () => {
+  const iso = PendingExpiryCronService.resolveExpiry({ timeInForce: 'GTD', expiresAt: '2025-11-07T12:00:00Z', now });
+  assert.equal(iso.expiresAt.toISOString(), '2025-11-07T12:00:00.000Z');
+
+  const epoch = Date.parse('2025-11-07T12:00:00Z');
+  const fromEpoch = PendingExpiryCronService.resolveExpiry({ timeInForce: 'GTD', expiresAt: String(epoch), now });
+  assert.equal(fromEpoch.expiresAt.getTime(), epoch);
+});
+
+test('resolveExpiry rejects invalid time-in-force input', () => {
+  const cases = [
+    { timeInForce: 'IOC' },
+    { timeInForce: 'GTD' },
+    { timeInForce: 'GTD', expiresAt: 'next week' },
+    { timeInForce: 'GTD', expiresAt: '2025-11-05T09:59:59Z' }
+  ];
+  for (const params of cases) {
+    assert.throws(() => PendingExpiryCronService.resolveExpiry({ ...params, now }), PendingExpiryError, JSON.stringify(params));
+  }
+});
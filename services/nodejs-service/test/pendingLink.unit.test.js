@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { redisCluster } = require('../config/redis');
+const ordersController = require('../src/controllers/orders.controller');
+const orderLifecycleService = require('../src/services/orderLifecycle.service');
+const portfolioEvents = require('../src/services/events/portfolio.events');
+const pendingLinkService = require('../src/services/pendingLink.service');
+
+// Hashes and NX keys held in memory in place of the cluster
+function mockRedis(t, hashes) {
+  const keys = new Map();
+  t.mock.method(redisCluster, 'set', async (key, value, ...args) => {
+    if (args.includes('NX') && keys.has(key)) return null;
+    keys.set(key, value);
+    return 'OK';
+  });
+  t.mock.method(redisCluster, 'hgetall', async (key) => ({ ...(hashes[key] || {}) }));
+  t.mock.method(redisCluster, 'hdel', async (key, ...fields) => {
+    for (const f of fields) if (hashes[key]) delete hashes[key][f];
+  });
+  t.mock.method(redisCluster, 'del', async (key) => {
+    delete hashes[key];
+  });
+}
+
+function respondWith(statusCode, body) {
+  return async (req, res) => res.status(statusCode).json(body);
+}
+
+test('onLegTriggered cancels the sibling once when both OCO legs trigger together', async (t) => {
+  const leg = { user_id: '1', user_type: 'live', symbol: 'EURUSD' };
+  mockRedis(t, {
+    'pending_links:ord_a': { ...leg, oco_link_id: 'OCO_A', oco_sibling_id: 'ord_b', oco_sibling_link_id: 'OCO_B' },
+    'pending_links:ord_b': { ...leg, oco_link_id: 'OCO_B', oco_sibling_id: 'ord_a', oco_sibling_link_id: 'OCO_A' },
+    'order_data:ord_a': { symbol: 'EURUSD', order_type: 'SELL_LIMIT' },
+    'order_data:ord_b': { symbol: 'EURUSD', order_type: 'BUY_STOP' },
+  });
+  t.mock.method(orderLifecycleService, 'updateLifecycleStatus', async () => {});
+  const cancel = t.mock.method(ordersController, 'cancelPendingOrder', respondWith(200, { success: true, order_status: 'CANCELLED' }));
+
+  const results = await Promise.all([
+    pendingLinkService.onLegTriggered({ orderId: 'ord_a' }),
+    pendingLinkService.onLegTriggered({ orderId: 'ord_b' }),
+  ]);
+
+  assert.equal(cancel.mock.callCount(), 1);
+  assert.equal(results.filter(Boolean).length, 1);
+  assert.equal(cancel.mock.calls[0].arguments[0].body.order_id, results.find(Boolean).sibling_order_id);
+});
+
+test('onLegOpened reports a bracket whose stop loss the engine rejected', async (t) => {
+  mockRedis(t, {
+    'pending_links:ord_a': { user_id: '1', user_type: 'live', symbol: 'EURUSD', bracket_id: 'BRK_1', stop_loss: '1.0950', take_profit: '1.1100' },
+  });
+  const status = t.mock.method(orderLifecycleService, 'updateLifecycleStatus', async () => {});
+  t.mock.method(ordersController, 'addStopLoss', respondWith(400, { success: false, message: 'Stop loss too close' }));
+  const addTakeProfit = t.mock.method(ordersController, 'addTakeProfit', respondWith(200, { success: true }));
+  const emit = t.mock.method(portfolioEvents, 'emitUserUpdate', () => {});
+
+  const results = await pendingLinkService.onLegOpened({ orderId: 'ord_a', userId: 1, userType: 'live', orderType: 'BUY' });
+
+  assert.equal(results.stoploss.statusCode, 400);
+  assert.equal(results.takeprofit.statusCode, 200);
+  assert.equal(addTakeProfit.mock.calls[0].arguments[0].body.take_profit, '1.1100');
+  assert.deepEqual(status.mock.calls[0].arguments.slice(0, 2), ['BRK_1', 'executed']);
+  assert.match(status.mock.calls[0].arguments[2], /stoploss: failed \(Stop loss too close\), takeprofit: attached/);
+  assert.equal(emit.mock.calls[0].arguments[2].reason, 'bracket_attach_failed');
+
+  // A redelivered fill does not attach the bracket again
+  assert.equal(await pendingLinkService.onLegOpened({ orderId: 'ord_a', userId: 1, userType: 'live', orderType: 'BUY' }), null);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const performanceFeeService = require('../src/services/performanceFee.service');
+
+function isoPeriod({ period, start, end }) {
+  return { period, start: start.toISOString(), end: end.toISOString() };
+}
+
+test('getLastCompletedPeriod returns the previous Monday-to-Monday week', () => {
+  // Wednesday
+  const result = performanceFeeService.getLastCompletedPeriod('weekly', new Date('2025-11-05T15:30:00Z'));
+  assert.deepEqual(isoPeriod(result), {
+    period: 'weekly',
+    start: '2025-10-27T00:00:00.000Z',
+    end: '2025-11-03T00:00:00.000Z'
+  });
+});
+
+test('getLastCompletedPeriod treats Monday as the end of the week just completed', () => {
+  const result = performanceFeeService.getLastCompletedPeriod('weekly', new Date('2025-11-03T00:00:00Z'));
+  assert.equal(result.end.toISOString(), '2025-11-03T00:00:00.000Z');
+});
+
+test('getLastCompletedPeriod returns the previous calendar month, across year ends', () => {
+  assert.deepEqual(isoPeriod(performanceFeeService.getLastCompletedPeriod('monthly', new Date('2025-11-05T15:30:00Z'))), {
+    period: 'monthly',
+    start: '2025-10-01T00:00:00.000Z',
+    end: '2025-11-01T00:00:00.000Z'
+  });
+  assert.deepEqual(isoPeriod(performanceFeeService.getLastCompletedPeriod('monthly', new Date('2026-01-15T00:00:00Z'))), {
+    period: 'monthly',
+    start: '2025-12-01T00:00:00.000Z',
+    end: '2026-01-01T00:00:00.000Z'
+  });
+});
+
+test('getLastCompletedPeriod falls back to monthly for unknown periods', () => {
+  const result = performanceFeeService.getLastCompletedPeriod('daily', new Date('2025-11-05T15:30:00Z'));
+  assert.equal(result.period, 'monthly');
+});
+
+test('calculateFee charges only the profit above the high-water mark and raises the mark', () => {
+  const result = performanceFeeService.calculateFee({ equity: 1200, highWaterMark: 1000, feePercentage: 20, walletBalance: 1200 });
+  assert.deepEqual(result, { profitAboveHwm: 200, feeAmount: 40, highWaterMarkAfter: 1160 });
+});
+
+test('calculateFee charges nothing while equity is below the high-water mark', () => {
+  // Lost money this period
+  assert.deepEqual(
+    performanceFeeService.calculateFee({ equity: 900, highWaterMark: 1000, feePercentage: 20, walletBalance: 900 }),
+    { profitAboveHwm: 0, feeAmount: 0, highWaterMarkAfter: 1000 }
+  );
+  // Recovered part of earlier losses: still no fee, the mark stays
+  assert.deepEqual(
+    performanceFeeService.calculateFee({ equity: 990, highWaterMark: 1000, feePercentage: 20, walletBalance: 990 }),
+    { profitAboveHwm: 0, feeAmount: 0, highWaterMarkAfter: 1000 }
+  );
+});
+
+test('calculateFee never takes the wallet below zero', () => {
+  const result = performanceFeeService.calculateFee({ equity: 1200, highWaterMark: 1000, feePercentage: 20, walletBalance: 10 });
+  assert.deepEqual(result, { profitAboveHwm: 200, feeAmount: 10, highWaterMarkAfter: 1190 });
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const priceAlertService = require('../src/services/priceAlert.service');
+
+const { PriceAlertError } = priceAlertService;
+
+test('parseAlertInput reads a crossing alert', () => {
+  const values = priceAlertService.parseAlertInput({
+    symbol: ' eurusd ', condition: 'Crosses_Above', target_price: '1.1050', price_field: 'ASK', notify_email: 'yes', cooldown_seconds: '120',
+  });
+  assert.deepEqual(values, {
+    symbol: 'EURUSD',
+    condition: 'crosses_above',
+    price_field: 'ask',
+    notify_email: true,
+    cooldown_seconds: 120,
+    target_price: 1.105,
+  });
+});
+
+test('parseAlertInput defaults the window and direction of a percent move', () => {
+  const values = priceAlertService.parseAlertInput({ symbol: 'XAUUSD', condition: 'percent_move', percent: '1.5' });
+  assert.equal(values.percent, 1.5);
+  assert.equal(values.window_minutes, 60);
+  assert.equal(values.direction, 'any');
+});
+
+test('parseAlertInput rejects fields that do not belong to the condition', () => {
+  const cases = [
+    { symbol: 'EURUSD', condition: 'percent_move', percent: 1, target_price: 1.1 },
+    { symbol: 'EURUSD', condition: 'crosses_below', target_price: 1.1, percent: 1 },
+    { symbol: 'EURUSD', condition: 'crosses_below' },
+    { symbol: 'EURUSD', condition: 'percent_move', percent: 101 },
+    { symbol: 'EURUSD', condition: 'percent_move', percent: 1, window_minutes: 1441 },
+    { symbol: 'EURUSD', condition: 'crosses_above', target_price: 1.1, cooldown_seconds: 59 },
+    { symbol: 'EURUSD', condition: 'touches', target_price: 1.1 },
+    { condition: 'crosses_above', target_price: 1.1 },
+  ];
+  for (const body of cases) {
+    assert.throws(() => priceAlertService.parseAlertInput(body), PriceAlertError, JSON.stringify(body));
+  }
+});
+
+test('parseAlertInput on update only returns the changed fields', () => {
+  const existing = { symbol: 'EURUSD', condition: 'crosses_above' };
+  assert.deepEqual(priceAlertService.parseAlertInput({ target_price: '1.2', status: 'Disabled' }, existing), { status: 'disabled', target_price: 1.2 });
+  assert.deepEqual(priceAlertService.parseAlertInput({ note: '' }, existing), { note: null });
+  assert.throws(() => priceAlertService.parseAlertInput({ symbol: 'GBPUSD' }, existing), PriceAlertError);
+  assert.throws(() => priceAlertService.parseAlertInput({ condition: 'crosses_below' }, existing), PriceAlertError);
+});
+
+test('isArmedAt arms a crossing alert only while the price is on the near side', () => {
+  const above = { condition: 'crosses_above', price_field: 'bid', target_price: '1.1000' };
+  assert.equal(priceAlertService.isArmedAt(above, { bid: 1.0990, ask: 1.1010 }), true);
+  assert.equal(priceAlertService.isArmedAt(above, { bid: 1.1000, ask: 1.1002 }), false);
+  assert.equal(priceAlertService.isArmedAt({ ...above, price_field: 'ask' }, { bid: 1.0990, ask: 1.1010 }), false);
+
+  const below = { condition: 'crosses_below', target_price: '1.1000' };
+  assert.equal(priceAlertService.isArmedAt(below, { bid: 1.1010 }), true);
+  assert.equal(priceAlertService.isArmedAt(below, { bid: 1.0990 }), false);
+});
+
+test('isArmedAt arms alerts that have no market price yet and every percent move', () => {
+  assert.equal(priceAlertService.isArmedAt({ condition: 'crosses_above', target_price: '1.1' }, { bid: NaN }), true);
+  assert.equal(priceAlertService.isArmedAt({ condition: 'percent_move' }, { bid: 1.2 }), true);
+});
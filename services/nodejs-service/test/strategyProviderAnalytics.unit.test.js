@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Op } = require('sequelize');
+const StrategyProviderOrder = require('../src/models/strategyProviderOrder.model');
+const StrategyProviderSnapshot = require('../src/models/strategyProviderSnapshot.model');
+const CopyFollowerAccount = require('../src/models/copyFollowerAccount.model');
+const UserTransaction = require('../src/models/userTransaction.model');
+const analyticsService = require('../src/services/strategyProviderAnalytics.service');
+
+const { computeDailyReturns, computeReturnMetrics, computeTradeStats } = analyticsService;
+
+test('computeDailyReturns takes deposits and withdrawals out of the equity change', () => {
+  const returns = computeDailyReturns([
+    { snapshot_date: '2025-11-01', equity: '1000', net_flows: '0' },
+    { snapshot_date: '2025-11-02', equity: '1150', net_flows: '100' },
+    { snapshot_date: '2025-11-03', equity: '1035', net_flows: '-115' },
+  ]);
+  assert.deepEqual(returns.map((r) => r.date), ['2025-11-02', '2025-11-03']);
+  assert.ok(Math.abs(returns[0].return - 0.05) < 1e-12);
+  assert.ok(Math.abs(returns[1].return - 0) < 1e-12);
+});
+
+test('computeDailyReturns skips days after an empty account', () => {
+  const returns = computeDailyReturns([
+    { snapshot_date: '2025-11-01', equity: '0', net_flows: '0' },
+    { snapshot_date: '2025-11-02', equity: '500', net_flows: '500' },
+  ]);
+  assert.deepEqual(returns, []);
+});
+
+test('computeReturnMetrics compounds returns and tracks the drawdown to its recovery', () => {
+  const metrics = computeReturnMetrics([
+    { date: '2025-10-30', return: 0.1 },
+    { date: '2025-10-31', return: -0.2 },
+    { date: '2025-11-01', return: 0.25 },
+  ], '2025-10-29');
+
+  assert.equal(metrics.total_return_percentage, 10);
+  assert.equal(metrics.three_month_return, 10);
+  assert.deepEqual(metrics.max_drawdown, {
+    max_drawdown_percentage: 20,
+    peak_date: '2025-10-30',
+    trough_date: '2025-10-31',
+    recovery_date: '2025-11-01',
+  });
+  assert.deepEqual(metrics.monthly_returns, [
+    { month: '2025-10', return_percentage: -12 },
+    { month: '2025-11', return_percentage: 25 },
+  ]);
+  assert.equal(metrics.days, 3);
+  assert.ok(metrics.sharpe_ratio > 0);
+  assert.ok(metrics.sortino_ratio > 0);
+});
+
+test('computeReturnMetrics measures the three-month return from the NAV before the window', () => {
+  const metrics = computeReturnMetrics([
+    { date: '2025-07-01', return: 1 },
+    { date: '2025-11-01', return: 0.1 },
+  ]);
+  assert.equal(metrics.total_return_percentage, 120);
+  assert.equal(metrics.three_month_return, 10);
+});
+
+test('computeReturnMetrics without history leaves the ratios undefined', () => {
+  const metrics = computeReturnMetrics([]);
+  assert.equal(metrics.total_return_percentage, 0);
+  assert.equal(metrics.three_month_return, null);
+  assert.equal(metrics.sharpe_ratio, null);
+  assert.equal(metrics.sortino_ratio, null);
+  assert.equal(metrics.max_drawdown.peak_date, null);
+});
+
+test('computeTradeStats reports win rate, profit factor and holding time per symbol', () => {
+  const hour = 3600000;
+  const opened = Date.parse('2025-11-03T08:00:00Z');
+  const stats = computeTradeStats([
+    { symbol: 'eurusd', net_profit: '120', order_quantity: '1', created_at: new Date(opened), updated_at: new Date(opened + 2 * hour) },
+    { symbol: 'EURUSD', net_profit: '-40', order_quantity: '0.5', created_at: new Date(opened), updated_at: new Date(opened + 4 * hour) },
+    { symbol: 'XAUUSD', net_profit: '-20', order_quantity: '0.1', created_at: null, updated_at: new Date(opened) },
+  ]);
+
+  assert.equal(stats.closed_trades, 3);
+  assert.equal(stats.win_rate, 33.33);
+  assert.equal(stats.gross_profit, 120);
+  assert.equal(stats.gross_loss, 60);
+  assert.equal(stats.profit_factor, 2);
+  assert.equal(stats.average_holding_hours, 3);
+  assert.deepEqual(stats.per_symbol, [
+    { symbol: 'EURUSD', trades: 2, win_rate: 50, net_profit: 80, volume: 1.5, average_holding_hours: 3 },
+    { symbol: 'XAUUSD', trades: 1, win_rate: 0, net_profit: -20, volume: 0.1, average_holding_hours: null },
+  ]);
+});
+
+test('computeTradeStats leaves the profit factor undefined without a losing trade', () => {
+  assert.equal(computeTradeStats([{ symbol: 'EURUSD', net_profit: '10' }]).profit_factor, null);
+  assert.equal(computeTradeStats([]).win_rate, 0);
+});
+
+// A provider without open orders or followers; `previous` is the last snapshot before the day
+function withSnapshotTables(t, previous) {
+  t.mock.method(StrategyProviderOrder, 'findAll', async () => []);
+  t.mock.method(CopyFollowerAccount, 'count', async () => 0);
+  t.mock.method(CopyFollowerAccount, 'sum', async () => null);
+  const flows = t.mock.method(UserTransaction, 'sum', async () => '250');
+  t.mock.method(StrategyProviderSnapshot, 'findOne', async ({ where }) => (
+    typeof where.snapshot_date === 'object' ? previous : null
+  ));
+  const create = t.mock.method(StrategyProviderSnapshot, 'create', async (fields) => fields);
+  return { flows, create };
+}
+
+test('snapshotProvider counts the flows booked since the previous snapshot was taken', async (t) => {
+  const previousRun = new Date('2025-11-09T23:55:03Z');
+  const { flows, create } = withSnapshotTables(t, { updated_at: previousRun });
+  const now = new Date('2025-11-10T23:55:00Z');
+
+  await analyticsService.snapshotProvider({ id: 7, wallet_balance: '1000', margin: '0' }, '2025-11-10', now);
+
+  // A deposit at 23:58 on the 9th, after that day's run, is counted on the 10th
+  assert.deepEqual(flows.mock.calls[0].arguments[1].where.created_at, { [Op.gt]: previousRun, [Op.lte]: now });
+  assert.equal(create.mock.calls[0].arguments[0].net_flows, 250);
+});
+
+test('snapshotProvider counts the flows of a first snapshot from the start of its day', async (t) => {
+  const { flows } = withSnapshotTables(t, null);
+  const now = new Date('2025-11-10T23:55:00Z');
+
+  await analyticsService.snapshotProvider({ id: 7, wallet_balance: '1000', margin: '0' }, '2025-11-10', now);
+
+  assert.deepEqual(flows.mock.calls[0].arguments[1].where.created_at, {
+    [Op.gte]: new Date('2025-11-10T00:00:00Z'),
+    [Op.lte]: now
+  });
+});
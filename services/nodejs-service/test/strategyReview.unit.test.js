@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeReviewerStats, maskReviewerName } = require('../src/services/strategyReview.service');
+
+const now = new Date('2025-11-05T12:00:00Z');
+
+test('computeReviewerStats takes the longest copy and the return on everything invested', () => {
+  const stats = computeReviewerStats([
+    { subscription_date: '2025-10-01T12:00:00Z', unfollow_requested_at: '2025-10-11T12:00:00Z', initial_investment: '1000', investment_amount: '400' },
+    { subscription_date: null, created_at: '2025-10-20T12:00:00Z', investment_amount: '500' }
+  ], 150, now);
+
+  assert.deepEqual(stats, { copying_days: 16, realized_pnl: 150, realized_return_percentage: 10 });
+});
+
+test('computeReviewerStats ends a copy when the unfollow was requested and counts whole days only', () => {
+  const stopped = { subscription_date: '2025-10-01T00:00:00Z', unfollow_requested_at: '2025-10-05T00:00:00Z', unfollowed_at: '2025-10-20T00:00:00Z' };
+  assert.equal(computeReviewerStats([stopped], 0, now).copying_days, 4);
+
+  const active = { subscription_date: '2025-10-23T00:00:00Z' };
+  assert.equal(computeReviewerStats([active], 0, new Date('2025-11-05T23:00:00Z')).copying_days, 13);
+});
+
+test('computeReviewerStats reports no return without an investment', () => {
+  const stats = computeReviewerStats([{ subscription_date: '2025-10-01T00:00:00Z', investment_amount: '0' }], 12.3456789, now);
+  assert.equal(stats.realized_pnl, 12.345679);
+  assert.equal(stats.realized_return_percentage, 0);
+  assert.equal(computeReviewerStats([], -5, now).copying_days, 0);
+});
+
+test('maskReviewerName keeps the first name and the last initial', () => {
+  assert.equal(maskReviewerName('jane van doe'), 'jane D.');
+  assert.equal(maskReviewerName('  Cher '), 'Cher');
+  assert.equal(maskReviewerName(null), 'Follower');
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { redisCluster } = require('../config/redis');
+const groupsCache = require('../src/services/groups.cache.service');
+const trailingStopService = require('../src/services/trailingStop.service');
+
+test('resolveDistancePrice converts points with show_points and pips with the pip size', async (t) => {
+  t.mock.method(groupsCache, 'getGroupFields', async () => ({ show_points: '5', pips: '0.0001' }));
+
+  const points = await trailingStopService.resolveDistancePrice('VIP', 'EURUSD', 150, 'points');
+  assert.equal(points.unit, 'points');
+  assert.ok(Math.abs(points.distancePrice - 0.0015) < 1e-12);
+
+  const pips = await trailingStopService.resolveDistancePrice('VIP', 'EURUSD', '20', 'PIPS');
+  assert.equal(pips.unit, 'pips');
+  assert.ok(Math.abs(pips.distancePrice - 0.002) < 1e-12);
+});
+
+test('resolveDistancePrice falls back to the Standard group', async (t) => {
+  const getGroupFields = t.mock.method(groupsCache, 'getGroupFields', async (group) => (
+    group === 'Standard' ? { show_points: '2', pips: '0.1' } : null
+  ));
+  const { distancePrice } = await trailingStopService.resolveDistancePrice('VIP', 'XAUUSD', 30, 'pips');
+  assert.ok(Math.abs(distancePrice - 3) < 1e-12);
+  assert.deepEqual(getGroupFields.mock.calls.map((c) => c.arguments[0]), ['VIP', 'Standard']);
+});
+
+test('resolveDistancePrice rejects bad distances, units and missing configuration', async (t) => {
+  t.mock.method(groupsCache, 'getGroupFields', async () => ({ show_points: '5', pips: null }));
+  await assert.rejects(trailingStopService.resolveDistancePrice('Standard', 'EURUSD', 0, 'pips'), { statusCode: 400 });
+  await assert.rejects(trailingStopService.resolveDistancePrice('Standard', 'EURUSD', 10, 'ticks'), /trailing_unit/);
+  await assert.rejects(trailingStopService.resolveDistancePrice('Standard', 'EURUSD', 10, 'pips'), /pips configuration is missing/);
+});
+
+test('a BUY trails below the bid and a SELL above the ask', () => {
+  const prices = { bid: 1.1, ask: 1.1002 };
+  assert.equal(trailingStopService.trailingReference('BUY', prices), 1.1);
+  assert.equal(trailingStopService.trailingReference('SELL', prices), 1.1002);
+  assert.ok(Math.abs(trailingStopService.candidateStop('BUY', 1.1, 0.002) - 1.098) < 1e-12);
+  assert.ok(Math.abs(trailingStopService.candidateStop('SELL', 1.1002, 0.002) - 1.1022) < 1e-12);
+});
+
+test('onPriceUpdate moves a stop only in the direction that locks in profit', async (t) => {
+  const trails = {
+    buy_up: { order_id: 'buy_up', order_type: 'BUY', distance_price: '0.002', current_sl: '1.0970' },
+    buy_down: { order_id: 'buy_down', order_type: 'BUY', distance_price: '0.002', current_sl: '1.0990' },
+    sell_down: { order_id: 'sell_down', order_type: 'SELL', distance_price: '0.002', current_sl: '1.1030' },
+    sell_up: { order_id: 'sell_up', order_type: 'SELL', distance_price: '0.002', current_sl: '1.1010' },
+  };
+  t.mock.method(redisCluster, 'smembers', async () => Object.keys(trails));
+  t.mock.method(redisCluster, 'hmget', async () => ['1.1000', '1.1002']);
+  t.mock.method(redisCluster, 'hgetall', async (key) => trails[key.replace('trailing_sl:', '')]);
+  const adjust = t.mock.method(trailingStopService, 'adjust', async () => null);
+
+  await trailingStopService.onPriceUpdate('EURUSD');
+
+  assert.deepEqual(adjust.mock.calls.map((c) => c.arguments[0].order_id), ['buy_up', 'sell_down']);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { replayLedger } = require('../src/services/walletReconciliation.service');
+
+function row(transaction_id, balance_before, amount, balance_after) {
+  return { transaction_id, balance_before: String(balance_before), amount: String(amount), balance_after: String(balance_after) };
+}
+
+test('replayLedger accepts a consistent chain', () => {
+  const result = replayLedger([row('TXN1', 0, 100, 100), row('TXN2', 100, -30, 70)], 0.01);
+  assert.deepEqual(result, {
+    transactions: 2,
+    opening_balance: 0,
+    ledger_balance: 70,
+    replayed_balance: 70,
+    findings: []
+  });
+});
+
+test('replayLedger reports a wallet move without a ledger entry as a chain gap', () => {
+  const result = replayLedger([row('TXN1', 0, 100, 100), row('TXN2', 120, -30, 90)], 0.01);
+  assert.equal(result.ledger_balance, 90);
+  assert.equal(result.replayed_balance, 70);
+  assert.deepEqual(result.findings, [{
+    discrepancy_type: 'chain_gap',
+    transaction_id: 'TXN2',
+    previous_transaction_id: 'TXN1',
+    expected_balance: 100,
+    actual_balance: 120,
+    difference: 20
+  }]);
+});
+
+test('replayLedger reports a row whose balances do not match its amount', () => {
+  const result = replayLedger([row('TXN1', 0, 100, 100), row('TXN2', 100, -30, 75)], 0.01);
+  assert.deepEqual(result.findings, [{
+    discrepancy_type: 'pair_mismatch',
+    transaction_id: 'TXN2',
+    previous_transaction_id: null,
+    expected_balance: 70,
+    actual_balance: 75,
+    difference: 5
+  }]);
+});
+
+test('replayLedger ignores differences within the tolerance', () => {
+  const result = replayLedger([row('TXN1', 0, 100, 100.005), row('TXN2', 100, -30, 70)], 0.01);
+  assert.deepEqual(result.findings, []);
+});
+
+test('replayLedger handles an account without transactions', () => {
+  assert.deepEqual(replayLedger([]), {
+    transactions: 0,
+    opening_balance: 0,
+    ledger_balance: 0,
+    replayed_balance: 0,
+    findings: []
+  });
+});
@@ -662,7 +662,7 @@ async def close_order_endpoint(payload: CloseOrderRequest):
         if not result.get("ok"):
             reason = result.get("reason", "close_failed")
             # Validation errors
-            if reason in ("missing_fields", "invalid_order_type", "invalid_close_status", "missing_or_invalid_quantity", "missing_entry_price"):
+            if reason in ("missing_fields", "invalid_order_type", "invalid_close_status", "missing_or_invalid_quantity", "invalid_close_quantity", "missing_entry_price"):
                 raise HTTPException(status_code=400, detail=result)
             if reason.startswith("provider_send_failed") or reason.startswith("provider_close_send_failed") or reason.startswith("cancel_ack_timeout") or reason.startswith("cancel_request_rejected") or reason.startswith("close_request_rejected") or reason.startswith("close_ack_timeout"):
                 raise HTTPException(status_code=503, detail=result)
@@ -58,6 +58,8 @@ class CloseOrderRequest(BaseModel):
     stoploss_cancel_id: str | None = Field(None, description="Lifecycle cancel id for stoploss (provider flow)")
     takeprofit_cancel_id: str | None = Field(None, description="Lifecycle cancel id for takeprofit (provider flow)")
     close_price: float | None = Field(None, description="Optional proposed close price; local flow will fetch from market")
+    close_quantity: float | None = Field(None, gt=0, description="Optional lot quantity to close; less than the order quantity performs a partial close")
+    close_order_id: str | None = Field(None, description="Order id assigned to the closed slice of a partial close")
 
     @field_validator("symbol")
     def symbol_upper(cls, v: str) -> str:
@@ -643,6 +643,14 @@ class CloseWorker:
                         "trigger_lifecycle_id": trigger_lifecycle_id,
                         "close_message": close_message,
                     }
+                    if result.get("partial"):
+                        db_msg.update({
+                            "partial": True,
+                            "closed_quantity": result.get("closed_quantity"),
+                            "remaining_quantity": result.get("remaining_quantity"),
+                            "close_order_id": result.get("close_order_id"),
+                            "close_id": result.get("close_id"),
+                        })
                     
                     msg = aio_pika.Message(body=orjson.dumps(db_msg), delivery_mode=aio_pika.DeliveryMode.PERSISTENT)
                     await self._ex.publish(msg, routing_key=DB_UPDATE_QUEUE)